@@ -2,7 +2,8 @@
  * Default Configuration for Topolop Layer 1 Data Sources
  * 
  * This file contains all configurable values used across Layer 1 analyzers.
- * Values can be overridden by environment variables or configuration files.
+ * Values can be overridden by the "settings" section of topolop.config.*
+ * (see configure) and by environment variables, which take precedence.
  */
 
 const defaultConfig = {
@@ -60,6 +61,23 @@ const defaultConfig = {
     }
   },
 
+  // Static Analysis Adapters (null = the adapter's own default)
+  staticAnalysis: {
+    cpp: {
+      timeout: null,
+      maxFileSize: null,
+      maxMemory: null
+    },
+    go: {
+      timeout: null,
+      maxFileSize: null
+    },
+    rust: {
+      timeout: null,
+      maxFileSize: null
+    }
+  },
+
   // AST Analysis Configuration
   ast: {
     maxFileSize: 10485760,      // 10MB max file size for AST parsing
@@ -155,16 +173,28 @@ function getNestedConfig(obj, path) {
   return current;
 }
 
+// Overrides from the "settings" section of the project config file
+let projectSettings = {};
+
+/**
+ * Apply project config settings; environment variables still take precedence
+ */
+function configure(settings) {
+  projectSettings = settings || {};
+}
+
 /**
  * Get configuration with environment override support
  */
 function resolveConfig(path) {
-  const defaultValue = getNestedConfig(defaultConfig, path);
+  const configured = getNestedConfig(projectSettings, path);
+  const defaultValue = configured !== undefined ? configured : getNestedConfig(defaultConfig, path);
   return getConfig(path, defaultValue);
 }
 
 module.exports = {
   defaultConfig,
+  configure,
   getConfig,
   getNestedConfig,
   resolveConfig
@@ -0,0 +1,109 @@
+/**
+ * Architecture Rules Adapter
+ *
+ * Checks a project's declarative architecture rules (layers, components,
+ * allowed and forbidden dependencies, facades, cycle bans and public APIs)
+ * against its compiler-resolved import graph, alongside the Madge,
+ * TypeScript and ESLint architecture adapters. Each violation becomes an
+ * ArchitectureIssue carrying the offending import chain. Projects without a
+ * rules file get no issues.
+ */
+
+import {
+  ArchitectureAdapter,
+  ArchitectureIssue,
+  TechnicalDebtAssessment
+} from '@topolop/shared-types';
+import { IssueSeverity } from '@topolop/shared-types';
+
+import {
+  ArchitectureRules,
+  ARCHITECTURE_RULES_TOOL_NAME,
+  DEFAULT_ARCHITECTURE_RULES_FILE,
+  architectureRuleIssues
+} from '../../../engines/architecture-rules';
+import { DependencyAnalyzer } from '../../../engines/dependency-analyzer';
+
+export interface ArchitectureRulesConfig {
+  /** Project-relative rules file (default .topolop-architecture.json) */
+  rulesFile?: string;
+  /** Rules to check instead of the project's file */
+  rules?: ArchitectureRules;
+}
+
+const DEBT_MINUTES: Record<IssueSeverity, number> = {
+  [IssueSeverity.CRITICAL]: 120,
+  [IssueSeverity.HIGH]: 60,
+  [IssueSeverity.MEDIUM]: 30,
+  [IssueSeverity.LOW]: 10,
+  [IssueSeverity.INFO]: 0
+};
+
+export class ArchitectureRulesAdapter implements ArchitectureAdapter {
+  public readonly name = ARCHITECTURE_RULES_TOOL_NAME;
+  public readonly version = '1.0.0';
+  public readonly type = 'dependency_analysis' as const;
+
+  private config: ArchitectureRulesConfig;
+
+  constructor(config: ArchitectureRulesConfig = {}) {
+    this.config = config;
+  }
+
+  async initialize(config: any): Promise<void> {
+    if (config) {
+      this.config = { ...this.config, ...config };
+    }
+  }
+
+  /**
+   * Violations of the project's rules; a malformed rules file throws
+   */
+  async analyzeArchitecture(projectPath: string): Promise<ArchitectureIssue[]> {
+    const rules = this.config.rules
+      ?? ArchitectureRules.fromProject(projectPath, this.config.rulesFile ?? DEFAULT_ARCHITECTURE_RULES_FILE);
+    if (!rules) return [];
+
+    const analysis = await new DependencyAnalyzer({ architectureRules: rules }).analyzeDependencies(projectPath, []);
+    return architectureRuleIssues(analysis.ruleViolations);
+  }
+
+  /**
+   * Rules describe dependencies, not design patterns
+   */
+  detectDesignPatterns(_codeStructure: any): ArchitectureIssue[] {
+    return [];
+  }
+
+  assessTechnicalDebt(issues: ArchitectureIssue[]): TechnicalDebtAssessment {
+    const totalDebtMinutes = issues.reduce((minutes, issue) => minutes + DEBT_MINUTES[issue.severity], 0);
+    const urgent = issues.filter(issue => issue.severity === IssueSeverity.CRITICAL || issue.severity === IssueSeverity.HIGH);
+    const rulesBroken = (list: ArchitectureIssue[]) => Array.from(new Set(list.map(issue => issue.ruleId))).sort();
+
+    return {
+      totalDebtMinutes,
+      debtRatio: Math.min((totalDebtMinutes / 6000) * 100, 100),
+      ratingCategory: totalDebtMinutes >= 1200 ? 'E' : totalDebtMinutes >= 600 ? 'D' : totalDebtMinutes >= 240 ? 'C' : totalDebtMinutes > 0 ? 'B' : 'A',
+      breakdown: {
+        complexity: 0,
+        coupling: issues.filter(issue => issue.architectureCategory === 'coupling').length,
+        duplication: issues.filter(issue => issue.architectureCategory === 'dependency_cycle').length,
+        maintainability: 0
+      },
+      recommendations: {
+        immediate: rulesBroken(urgent).map(ruleId => `Fix the imports breaking rule "${ruleId}"`),
+        shortTerm: rulesBroken(issues.filter(issue => !urgent.includes(issue))).map(ruleId => `Fix the imports breaking rule "${ruleId}"`),
+        longTerm: ['Review the architecture rules as the module structure changes']
+      }
+    };
+  }
+
+  capabilities = {
+    circularDependencyDetection: true,
+    complexityAnalysis: false,
+    patternRecognition: false,
+    refactoringGuidance: true
+  };
+}
+
+export default ArchitectureRulesAdapter;
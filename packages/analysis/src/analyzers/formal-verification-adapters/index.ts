@@ -14,6 +14,33 @@ export * from './base-interfaces/formal-verification-types';
 export { JavaScriptFormalVerifier } from './javascript-formal/javascript-formal-verifier';
 export { PythonFormalVerifier } from './python-formal/python-formal-verifier';
 export { LLMAssistedSpecGenerator } from './llm-assisted/llm-spec-generator';
+export type { LLMSpecGeneratorOptions } from './llm-assisted/llm-spec-generator';
+
+// LLM providers behind the specification generator
+export {
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  LocalLLMProvider,
+  RecordedFixtureProvider,
+  LLMProviderError,
+  providerFromEnvironment,
+  estimateTokens,
+  promptHash,
+  LLM_FIXTURE_FILE_VERSION
+} from './llm-assisted/llm-providers';
+export type {
+  LLMProvider,
+  LLMRequest,
+  LLMCompletion,
+  HttpProviderOptions,
+  AnthropicProviderOptions,
+  LocalLLMProviderOptions,
+  RecordedFixtureProviderOptions,
+  LLMFixture,
+  LLMFixtureFile
+} from './llm-assisted/llm-providers';
+export { LLMClient, LLMBudgetError } from './llm-assisted/llm-client';
+export type { LLMClientOptions, LLMClientUsage, LLMClientCompletion } from './llm-assisted/llm-client';
 
 // Integration and registry system
 export { FormalVerificationAdapterRegistry } from './formal-verification-registry';
@@ -0,0 +1,172 @@
+/**
+ * LLM Client
+ *
+ * Wraps an LLMProvider with what every caller needs: retries with
+ * exponential backoff on rate limits and transient failures, a token budget
+ * checked with estimateTokens before anything is sent, and a response cache
+ * keyed by prompt hash, kept in memory and optionally in a file.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import {
+  LLMCompletion,
+  LLMProvider,
+  LLMProviderError,
+  LLMRequest,
+  estimateTokens,
+  promptHash
+} from './llm-providers';
+
+export interface LLMClientOptions {
+  /** Retries after a retryable failure (default 2) */
+  retries?: number;
+  /** First backoff delay in ms, doubled on each retry (default 1000) */
+  retryDelay?: number;
+  /** Context window when the provider does not state one (default 8192) */
+  contextWindow?: number;
+  /** Tokens this client may spend over its lifetime (default unlimited) */
+  tokenBudget?: number;
+  /** Reuse responses to identical requests (default true) */
+  cache?: boolean;
+  /** JSON file keeping the cache between runs; an unreadable one is started afresh */
+  cacheFile?: string;
+}
+
+export interface LLMClientUsage {
+  requests: number;
+  cachedResponses: number;
+  inputTokens: number;
+  outputTokens: number;
+}
+
+export interface LLMClientCompletion extends LLMCompletion {
+  cached: boolean;
+}
+
+/**
+ * A request that does not fit the context window or the remaining budget
+ */
+export class LLMBudgetError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'LLMBudgetError';
+  }
+}
+
+export class LLMClient {
+  private readonly cache = new Map<string, LLMCompletion>();
+  private readonly counters: LLMClientUsage = { requests: 0, cachedResponses: 0, inputTokens: 0, outputTokens: 0 };
+
+  constructor(
+    readonly provider: LLMProvider,
+    private readonly options: LLMClientOptions = {}
+  ) {
+    if (options.cacheFile && options.cache !== false) {
+      this.loadCache(options.cacheFile);
+    }
+  }
+
+  get usage(): LLMClientUsage {
+    return { ...this.counters };
+  }
+
+  /**
+   * Tokens left in the budget, Infinity without one
+   */
+  get remainingTokens(): number {
+    const budget = this.options.tokenBudget ?? Infinity;
+    return Math.max(0, budget - this.counters.inputTokens - this.counters.outputTokens);
+  }
+
+  async complete(request: LLMRequest): Promise<LLMClientCompletion> {
+    const key = `${this.provider.name}:${this.provider.model}:${promptHash(request)}`;
+    const cached = this.options.cache !== false ? this.cache.get(key) : undefined;
+    if (cached) {
+      this.counters.cachedResponses++;
+      return { ...cached, cached: true };
+    }
+
+    this.checkBudget(request);
+    const completion = await this.completeWithRetries(request);
+    this.counters.requests++;
+    this.counters.inputTokens += completion.usage.input;
+    this.counters.outputTokens += completion.usage.output;
+
+    if (this.options.cache !== false) {
+      this.cache.set(key, completion);
+      this.saveCache();
+    }
+    return { ...completion, cached: false };
+  }
+
+  private checkBudget(request: LLMRequest): void {
+    const input = estimateTokens((request.system ?? '') + request.prompt);
+    const contextWindow = this.provider.contextWindow ?? this.options.contextWindow ?? 8192;
+    if (input + request.maxTokens > contextWindow) {
+      throw new LLMBudgetError(
+        `Prompt of ~${input} tokens plus ${request.maxTokens} for the answer exceeds ` +
+        `the ${contextWindow}-token context window of ${this.provider.model}`
+      );
+    }
+    if (input + request.maxTokens > this.remainingTokens) {
+      throw new LLMBudgetError(
+        `Request needs up to ${input + request.maxTokens} tokens but only ${this.remainingTokens} of the budget remain`
+      );
+    }
+  }
+
+  private async completeWithRetries(request: LLMRequest): Promise<LLMCompletion> {
+    const retries = this.options.retries ?? 2;
+    const retryDelay = this.options.retryDelay ?? 1000;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.provider.complete(request);
+      } catch (error) {
+        if (!(error instanceof LLMProviderError) || !error.retryable || attempt >= retries) {
+          throw error;
+        }
+        await sleep(error.retryAfter ?? retryDelay * 2 ** attempt);
+      }
+    }
+  }
+
+  /**
+   * Read the completions of a cache file; a missing, truncated or foreign
+   * one only costs the requests it would have saved
+   */
+  private loadCache(cacheFile: string): void {
+    let stored: unknown;
+    try {
+      stored = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+    } catch {
+      return;
+    }
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return;
+
+    for (const [key, completion] of Object.entries(stored as Record<string, LLMCompletion>)) {
+      if (typeof completion?.content === 'string' && completion.usage) {
+        this.cache.set(key, completion);
+      }
+    }
+  }
+
+  /**
+   * Replace the cache file through a temporary one, so an interrupted write
+   * cannot leave it truncated
+   */
+  private saveCache(): void {
+    const { cacheFile } = this.options;
+    if (!cacheFile) return;
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    const temporary = `${cacheFile}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(Object.fromEntries(this.cache), null, 2) + '\n');
+    fs.renameSync(temporary, cacheFile);
+  }
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
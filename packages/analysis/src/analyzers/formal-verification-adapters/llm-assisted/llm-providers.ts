@@ -0,0 +1,404 @@
+/**
+ * LLM Providers
+ *
+ * One interface over the model servers LLMAssistedSpecGenerator can talk to:
+ * OpenAI-compatible chat endpoints (OpenAI, Azure OpenAI, vLLM, LM Studio),
+ * Anthropic-style messages endpoints, a local Ollama or llama.cpp server, and
+ * a recorded-fixture provider that replays saved responses so the generator
+ * can be exercised offline.
+ */
+
+import { createHash } from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+
+export interface LLMRequest {
+  system?: string;
+  prompt: string;
+  maxTokens: number;
+  temperature: number;
+}
+
+export interface LLMCompletion {
+  content: string;
+  model: string;
+  usage: {
+    input: number;
+    output: number;
+  };
+}
+
+export interface LLMProvider {
+  /** Provider kind, e.g. "openai", "anthropic", "ollama" */
+  readonly name: string;
+  readonly model: string;
+  /** Largest prompt plus completion the model accepts, in tokens */
+  readonly contextWindow?: number;
+  complete(request: LLMRequest): Promise<LLMCompletion>;
+}
+
+/**
+ * A failed provider call; `retryable` marks rate limits, server errors,
+ * timeouts and network failures
+ */
+export class LLMProviderError extends Error {
+  constructor(
+    message: string,
+    readonly status?: number,
+    readonly retryable: boolean = false,
+    /** Server-requested wait before retrying, in ms */
+    readonly retryAfter?: number
+  ) {
+    super(message);
+    this.name = 'LLMProviderError';
+  }
+}
+
+export interface HttpProviderOptions {
+  model: string;
+  /** Base URL of the API */
+  endpoint?: string;
+  apiKey?: string;
+  /** Request timeout in ms (default 60000) */
+  timeout?: number;
+  contextWindow?: number;
+}
+
+/**
+ * Rough token count, about four characters per token
+ */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Identity of a request's text; sampling settings are not part of it
+ */
+export function promptHash(request: Pick<LLMRequest, 'system' | 'prompt'>): string {
+  return createHash('sha256').update(`${request.system ?? ''}\u0000${request.prompt}`).digest('hex');
+}
+
+/**
+ * Chat completions API of OpenAI and the servers mimicking it
+ */
+export class OpenAICompatibleProvider implements LLMProvider {
+  readonly name = 'openai';
+  readonly model: string;
+  readonly contextWindow?: number;
+
+  constructor(private readonly options: HttpProviderOptions) {
+    this.model = options.model;
+    if (options.contextWindow !== undefined) this.contextWindow = options.contextWindow;
+  }
+
+  async complete(request: LLMRequest): Promise<LLMCompletion> {
+    const messages = [
+      ...(request.system ? [{ role: 'system', content: request.system }] : []),
+      { role: 'user', content: request.prompt }
+    ];
+    const body = await postJson(
+      `${trimSlash(this.options.endpoint ?? 'https://api.openai.com/v1')}/chat/completions`,
+      this.options.apiKey ? { Authorization: `Bearer ${this.options.apiKey}` } : {},
+      { model: this.model, messages, max_tokens: request.maxTokens, temperature: request.temperature },
+      this.options.timeout
+    );
+
+    const content = body.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new LLMProviderError('OpenAI-compatible response has no message content');
+    }
+    return {
+      content,
+      model: body.model ?? this.model,
+      usage: {
+        input: body.usage?.prompt_tokens ?? estimateTokens((request.system ?? '') + request.prompt),
+        output: body.usage?.completion_tokens ?? estimateTokens(content)
+      }
+    };
+  }
+}
+
+export interface AnthropicProviderOptions extends HttpProviderOptions {
+  /** Value of the anthropic-version header (default 2023-06-01) */
+  apiVersion?: string;
+}
+
+/**
+ * Messages API of Anthropic and compatible gateways
+ */
+export class AnthropicProvider implements LLMProvider {
+  readonly name = 'anthropic';
+  readonly model: string;
+  readonly contextWindow?: number;
+
+  constructor(private readonly options: AnthropicProviderOptions) {
+    this.model = options.model;
+    if (options.contextWindow !== undefined) this.contextWindow = options.contextWindow;
+  }
+
+  async complete(request: LLMRequest): Promise<LLMCompletion> {
+    const body = await postJson(
+      `${trimSlash(this.options.endpoint ?? 'https://api.anthropic.com')}/v1/messages`,
+      {
+        'anthropic-version': this.options.apiVersion ?? '2023-06-01',
+        ...(this.options.apiKey ? { 'x-api-key': this.options.apiKey } : {})
+      },
+      {
+        model: this.model,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        ...(request.system ? { system: request.system } : {}),
+        messages: [{ role: 'user', content: request.prompt }]
+      },
+      this.options.timeout
+    );
+
+    if (!Array.isArray(body.content)) {
+      throw new LLMProviderError('Anthropic response has no content');
+    }
+    const content = body.content
+      .filter((block: any) => block.type === 'text')
+      .map((block: any) => block.text)
+      .join('');
+    return {
+      content,
+      model: body.model ?? this.model,
+      usage: {
+        input: body.usage?.input_tokens ?? estimateTokens((request.system ?? '') + request.prompt),
+        output: body.usage?.output_tokens ?? estimateTokens(content)
+      }
+    };
+  }
+}
+
+export interface LocalLLMProviderOptions extends HttpProviderOptions {
+  /** Server flavor (default ollama) */
+  api?: 'ollama' | 'llama.cpp';
+}
+
+/**
+ * Model served on this machine by Ollama (`/api/generate`, default port
+ * 11434) or the llama.cpp server (`/completion`, default port 8080)
+ */
+export class LocalLLMProvider implements LLMProvider {
+  readonly name: string;
+  readonly model: string;
+  readonly contextWindow?: number;
+  private readonly api: 'ollama' | 'llama.cpp';
+
+  constructor(private readonly options: LocalLLMProviderOptions) {
+    this.api = options.api ?? 'ollama';
+    this.name = this.api;
+    this.model = options.model;
+    if (options.contextWindow !== undefined) this.contextWindow = options.contextWindow;
+  }
+
+  async complete(request: LLMRequest): Promise<LLMCompletion> {
+    const headers: Record<string, string> = this.options.apiKey ? { Authorization: `Bearer ${this.options.apiKey}` } : {};
+
+    if (this.api === 'ollama') {
+      const body = await postJson(
+        `${trimSlash(this.options.endpoint ?? 'http://127.0.0.1:11434')}/api/generate`,
+        headers,
+        {
+          model: this.model,
+          prompt: request.prompt,
+          ...(request.system ? { system: request.system } : {}),
+          stream: false,
+          options: { num_predict: request.maxTokens, temperature: request.temperature }
+        },
+        this.options.timeout
+      );
+      if (typeof body.response !== 'string') {
+        throw new LLMProviderError('Ollama response has no text');
+      }
+      return {
+        content: body.response,
+        model: body.model ?? this.model,
+        usage: {
+          input: body.prompt_eval_count ?? estimateTokens((request.system ?? '') + request.prompt),
+          output: body.eval_count ?? estimateTokens(body.response)
+        }
+      };
+    }
+
+    // llama.cpp serves a single model and takes a raw prompt
+    const prompt = request.system ? `${request.system}\n\n${request.prompt}` : request.prompt;
+    const body = await postJson(
+      `${trimSlash(this.options.endpoint ?? 'http://127.0.0.1:8080')}/completion`,
+      headers,
+      { prompt, n_predict: request.maxTokens, temperature: request.temperature, stream: false },
+      this.options.timeout
+    );
+    if (typeof body.content !== 'string') {
+      throw new LLMProviderError('llama.cpp response has no content');
+    }
+    return {
+      content: body.content,
+      model: body.model ?? this.model,
+      usage: {
+        input: body.tokens_evaluated ?? estimateTokens(prompt),
+        output: body.tokens_predicted ?? estimateTokens(body.content)
+      }
+    };
+  }
+}
+
+export const LLM_FIXTURE_FILE_VERSION = 1;
+
+export interface LLMFixture {
+  /** The request's text, kept so fixture files can be reviewed */
+  system?: string;
+  prompt: string;
+  content: string;
+  model: string;
+  usage: LLMCompletion['usage'];
+}
+
+export interface LLMFixtureFile {
+  version: number;
+  /** Keyed by promptHash() */
+  responses: Record<string, LLMFixture>;
+}
+
+export interface RecordedFixtureProviderOptions {
+  /** Fixture file to replay (and to record into) */
+  file: string;
+  /**
+   * Provider answering prompts the file has no response for; its answers
+   * are added to the file. Without one, such prompts fail.
+   */
+  record?: LLMProvider;
+}
+
+/**
+ * Replays responses recorded in a fixture file, matched by prompt hash
+ */
+export class RecordedFixtureProvider implements LLMProvider {
+  readonly name = 'fixture';
+  readonly model: string;
+  readonly contextWindow?: number;
+  private readonly fixtures: LLMFixtureFile;
+
+  constructor(private readonly options: RecordedFixtureProviderOptions) {
+    this.fixtures = fs.existsSync(options.file)
+      ? readFixtureFile(options.file)
+      : { version: LLM_FIXTURE_FILE_VERSION, responses: {} };
+    this.model = options.record?.model ?? 'recorded';
+    if (options.record?.contextWindow !== undefined) this.contextWindow = options.record.contextWindow;
+  }
+
+  async complete(request: LLMRequest): Promise<LLMCompletion> {
+    const hash = promptHash(request);
+    const fixture = this.fixtures.responses[hash];
+    if (fixture) {
+      return { content: fixture.content, model: fixture.model, usage: { ...fixture.usage } };
+    }
+
+    if (!this.options.record) {
+      throw new LLMProviderError(`No recorded response for prompt ${hash.slice(0, 12)} in ${this.options.file}`);
+    }
+    const completion = await this.options.record.complete(request);
+    this.fixtures.responses[hash] = {
+      ...(request.system ? { system: request.system } : {}),
+      prompt: request.prompt,
+      content: completion.content,
+      model: completion.model,
+      usage: completion.usage
+    };
+    fs.mkdirSync(path.dirname(this.options.file), { recursive: true });
+    fs.writeFileSync(this.options.file, JSON.stringify(this.fixtures, null, 2) + '\n');
+    return completion;
+  }
+}
+
+function readFixtureFile(file: string): LLMFixtureFile {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (parsed?.version !== LLM_FIXTURE_FILE_VERSION || typeof parsed.responses !== 'object' || parsed.responses === null) {
+    throw new Error(`${file} is not an LLM fixture file (version ${LLM_FIXTURE_FILE_VERSION})`);
+  }
+  return parsed;
+}
+
+/**
+ * Provider configured through the environment, or null when none is:
+ *
+ * - TOPOLOP_LLM_PROVIDER: openai, anthropic, ollama, llama.cpp or fixture
+ * - TOPOLOP_LLM_MODEL, TOPOLOP_LLM_ENDPOINT: override the provider's defaults
+ * - TOPOLOP_LLM_API_KEY, else OPENAI_API_KEY / ANTHROPIC_API_KEY
+ * - TOPOLOP_LLM_FIXTURES: fixture file of the fixture provider
+ *
+ * Code is only ever sent to a model someone chose explicitly, so API keys
+ * alone select nothing.
+ */
+export function providerFromEnvironment(env: NodeJS.ProcessEnv = process.env): LLMProvider | null {
+  const kind = env.TOPOLOP_LLM_PROVIDER?.trim().toLowerCase();
+  if (!kind) return null;
+
+  const common = {
+    ...(env.TOPOLOP_LLM_ENDPOINT ? { endpoint: env.TOPOLOP_LLM_ENDPOINT } : {})
+  };
+  switch (kind) {
+    case 'openai': {
+      const apiKey = env.TOPOLOP_LLM_API_KEY ?? env.OPENAI_API_KEY;
+      return new OpenAICompatibleProvider({ ...common, model: env.TOPOLOP_LLM_MODEL ?? 'gpt-4', ...(apiKey ? { apiKey } : {}) });
+    }
+    case 'anthropic': {
+      const apiKey = env.TOPOLOP_LLM_API_KEY ?? env.ANTHROPIC_API_KEY;
+      return new AnthropicProvider({ ...common, model: env.TOPOLOP_LLM_MODEL ?? 'claude-3-5-sonnet-latest', ...(apiKey ? { apiKey } : {}) });
+    }
+    case 'ollama':
+    case 'llama.cpp': {
+      const apiKey = env.TOPOLOP_LLM_API_KEY;
+      return new LocalLLMProvider({
+        ...common,
+        api: kind,
+        model: env.TOPOLOP_LLM_MODEL ?? (kind === 'ollama' ? 'llama3' : 'default'),
+        ...(apiKey ? { apiKey } : {})
+      });
+    }
+    case 'fixture':
+      if (!env.TOPOLOP_LLM_FIXTURES) {
+        throw new Error('TOPOLOP_LLM_PROVIDER=fixture needs TOPOLOP_LLM_FIXTURES');
+      }
+      return new RecordedFixtureProvider({ file: env.TOPOLOP_LLM_FIXTURES });
+    default:
+      throw new Error(`Unknown TOPOLOP_LLM_PROVIDER "${kind}" (expected openai, anthropic, ollama, llama.cpp or fixture)`);
+  }
+}
+
+/**
+ * POST a JSON body and parse the JSON reply
+ */
+async function postJson(url: string, headers: Record<string, string>, body: unknown, timeout?: number): Promise<any> {
+  const options: RequestInit = {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeout || 60000)
+  };
+
+  let response: Response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new LLMProviderError(`LLM request to ${url} failed: ${message}`, undefined, true);
+  }
+
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 300);
+    const retryAfter = Number(response.headers.get('retry-after'));
+    throw new LLMProviderError(
+      `LLM API error: ${response.status} ${response.statusText}${detail ? ` - ${detail}` : ''}`,
+      response.status,
+      response.status === 429 || response.status >= 500,
+      Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : undefined
+    );
+  }
+  return response.json();
+}
+
+function trimSlash(url: string): string {
+  return url.replace(/\/+$/, '');
+}
@@ -19,19 +19,21 @@ import {
   AdapterStatus,
   VerificationMethod
 } from '../base-interfaces/formal-verification-types';
+import { LLMClient, LLMClientOptions } from './llm-client';
+import { LLMProvider, providerFromEnvironment } from './llm-providers';
+
+export interface LLMSpecGeneratorOptions extends LLMClientOptions {
+  /** Model to query (default: providerFromEnvironment()) */
+  provider?: LLMProvider;
+  /** Answer length limit in tokens (default 2000) */
+  maxTokens?: number;
+  /** Sampling temperature (default 0.1) */
+  temperature?: number;
+}
 
 /**
  * LLM-specific types and interfaces
  */
-interface LLMProvider {
-  name: 'openai' | 'anthropic' | 'local' | 'azure';
-  model: string;
-  apiKey?: string;
-  endpoint?: string;
-  maxTokens: number;
-  temperature: number;
-}
-
 interface SpecificationContext {
   language: string;
   framework?: string;
@@ -45,6 +47,8 @@ interface LLMResponse {
   specification: string;
   confidence: number;
   reasoning: string;
+  properties: string[];
+  assumptions: string[];
   alternatives: string[];
   limitations: string[];
   tokens: {
@@ -53,8 +57,30 @@ interface LLMResponse {
     total: number;
   };
   processingTime: number;
+  model: string;
+}
+
+/**
+ * What the model is asked to answer with (see SPECIFICATION_SYSTEM_PROMPT)
+ */
+interface SpecificationReply {
+  specification: string;
+  properties?: string[];
+  assumptions?: string[];
+  limitations?: string[];
+  alternatives?: string[];
+  reasoning?: string;
+  confidence?: number;
 }
 
+const SPECIFICATION_SYSTEM_PROMPT = `You are a formal verification expert writing formal specifications.
+Answer with a single JSON object and nothing else:
+{"specification": string, "properties": string[], "assumptions": string[], "limitations": string[], "alternatives": string[], "reasoning": string, "confidence": number between 0 and 1}`;
+
+const REVIEW_SYSTEM_PROMPT = `You are a formal verification expert reviewing whether a specification matches the code it describes.
+Answer with a single JSON object and nothing else:
+{"valid": boolean, "completeness": number between 0 and 1, "issues": [{"type": "missing_property" | "ambiguous_specification" | "inconsistency", "description": string, "severity": "high" | "medium" | "low", "suggestions": string[]}]}`;
+
 interface SpecificationTemplate {
   format: string;
   language: string;
@@ -75,21 +101,32 @@ export class LLMAssistedSpecGenerator implements FormalVerificationAdapter {
   readonly supportedLanguages = ['javascript', 'typescript', 'python', 'java', 'c', 'cpp', 'rust', 'go'];
   readonly verificationMethods: VerificationMethod[] = ['ai_assisted'];
 
-  private providers: Map<string, LLMProvider>;
+  private client: LLMClient | null;
   private templates: Map<string, SpecificationTemplate>;
   private validator: SpecificationValidator;
   private codeAnalyzer: CodeContextAnalyzer;
-
-  constructor() {
-    this.providers = new Map();
+  private maxTokens: number;
+  private temperature: number;
+
+  constructor(options: LLMSpecGeneratorOptions = {}) {
+    const provider = options.provider ?? providerFromEnvironment();
+    this.client = provider ? new LLMClient(provider, options) : null;
+    this.maxTokens = options.maxTokens ?? 2000;
+    this.temperature = options.temperature ?? 0.1;
     this.templates = new Map();
     this.validator = new SpecificationValidator();
     this.codeAnalyzer = new CodeContextAnalyzer();
     
-    this.initializeProviders();
     this.initializeTemplates();
   }
 
+  /**
+   * Token usage and cache hits so far; null without a provider
+   */
+  get usage() {
+    return this.client?.usage ?? null;
+  }
+
   /**
    * Generate formal specification from natural language description
    * Innovation: Bridge between human requirements and formal verification
@@ -112,12 +149,12 @@ export class LLMAssistedSpecGenerator implements FormalVerificationAdapter {
       specification: response.specification,
       format: targetFormat,
       confidence: response.confidence,
-      properties: this.extractProperties(response.specification, targetFormat),
-      assumptions: this.extractAssumptions(response.reasoning),
+      properties: response.properties,
+      assumptions: response.assumptions,
       limitations: response.limitations,
       generationMethod: 'llm',
       metadata: {
-        model: this.getActiveProvider().model,
+        model: response.model,
         tokens: response.tokens.total,
         processingTime: response.processingTime
       }
@@ -146,12 +183,12 @@ export class LLMAssistedSpecGenerator implements FormalVerificationAdapter {
       specification: response.specification,
       format: context.targetFormat,
       confidence: response.confidence * 0.9, // Slightly lower confidence for modifications
-      properties: this.extractProperties(response.specification, context.targetFormat),
-      assumptions: this.extractAssumptions(response.reasoning),
+      properties: response.properties,
+      assumptions: response.assumptions,
       limitations: response.limitations,
       generationMethod: 'llm',
       metadata: {
-        model: this.getActiveProvider().model,
+        model: response.model,
         tokens: response.tokens.total,
         processingTime: response.processingTime
       }
@@ -161,6 +198,9 @@ export class LLMAssistedSpecGenerator implements FormalVerificationAdapter {
   /**
    * Validate specification against code
    * Integration: AI validation with formal verification feedback
+   *
+   * The heuristic checks always run; with a provider configured the model's
+   * review is merged in, and its issues are added to theirs.
    */
   async validateSpecification(
     specification: string,
@@ -170,8 +210,28 @@ export class LLMAssistedSpecGenerator implements FormalVerificationAdapter {
     const specContext = this.analyzeSpecification(specification);
     
     const validation = await this.validator.validate(specification, code, codeContext, specContext);
-    
-    return validation;
+    if (!this.client) return validation;
+
+    const completion = await this.client.complete({
+      system: REVIEW_SYSTEM_PROMPT,
+      prompt: this.buildReviewPrompt(specification, code, codeContext.language),
+      maxTokens: this.maxTokens,
+      temperature: this.temperature
+    });
+    const review = parseJsonReply(completion.content);
+    if (!review) {
+      throw new Error('LLM review is not the requested JSON object');
+    }
+
+    const issues = [...validation.issues, ...reviewIssues(review.issues)];
+    const completeness = typeof review.completeness === 'number'
+      ? Math.min(validation.completeness, clamp(review.completeness))
+      : validation.completeness;
+    return {
+      valid: validation.valid && review.valid !== false && !issues.some(issue => issue.severity === 'high'),
+      completeness,
+      issues
+    };
   }
 
   /**
@@ -247,7 +307,7 @@ export class LLMAssistedSpecGenerator implements FormalVerificationAdapter {
         timestamp: new Date().toISOString(),
         metadata: {
           ...spec.metadata,
-          llmProvider: this.getActiveProvider().name,
+          llmProvider: this.client?.provider.name,
           specificationFormat: spec.format
         }
       }];
@@ -300,12 +360,12 @@ export class LLMAssistedSpecGenerator implements FormalVerificationAdapter {
       specification: response.specification,
       format: targetFormat,
       confidence: response.confidence,
-      properties: this.extractProperties(response.specification, targetFormat),
-      assumptions: this.extractAssumptions(response.reasoning),
+      properties: response.properties,
+      assumptions: response.assumptions,
       limitations: response.limitations,
       generationMethod: 'llm',
       metadata: {
-        model: this.getActiveProvider().model,
+        model: response.model,
         tokens: response.tokens.total,
         processingTime: response.processingTime
       }
@@ -316,26 +376,35 @@ export class LLMAssistedSpecGenerator implements FormalVerificationAdapter {
    * Query LLM with prompt
    */
   private async queryLLM(prompt: string, context: SpecificationContext): Promise<LLMResponse> {
-    const provider = this.getActiveProvider();
+    const client = this.requireClient();
     const startTime = Date.now();
 
     try {
-      // This would integrate with actual LLM APIs
-      const response = await this.callLLMAPI(provider, prompt, context);
-      const processingTime = Date.now() - startTime;
+      const completion = await client.complete({
+        system: SPECIFICATION_SYSTEM_PROMPT,
+        prompt,
+        maxTokens: this.maxTokens,
+        temperature: this.temperature
+      });
+      const reply = parseSpecificationReply(completion.content);
 
       return {
-        specification: response.content,
-        confidence: this.calculateConfidence(response, context),
-        reasoning: response.reasoning || 'Generated through AI analysis',
-        alternatives: response.alternatives || [],
-        limitations: this.identifyLimitations(response, context),
+        specification: reply.specification,
+        confidence: this.calculateConfidence(reply, context),
+        reasoning: reply.reasoning || 'Generated through AI analysis',
+        properties: reply.properties?.length
+          ? reply.properties
+          : this.extractProperties(reply.specification, context.targetFormat),
+        assumptions: reply.assumptions?.length ? reply.assumptions : this.extractAssumptions(reply.reasoning || ''),
+        alternatives: reply.alternatives || [],
+        limitations: this.identifyLimitations(reply, context),
         tokens: {
-          input: this.estimateTokens(prompt),
-          output: this.estimateTokens(response.content),
-          total: this.estimateTokens(prompt) + this.estimateTokens(response.content)
+          input: completion.usage.input,
+          output: completion.usage.output,
+          total: completion.usage.input + completion.usage.output
         },
-        processingTime
+        processingTime: Date.now() - startTime,
+        model: completion.model
       };
 
     } catch (error) {
@@ -344,50 +413,11 @@ export class LLMAssistedSpecGenerator implements FormalVerificationAdapter {
     }
   }
 
-  /**
-   * Call LLM API (abstracted for different providers)
-   */
-  private async callLLMAPI(provider: LLMProvider, prompt: string, context: SpecificationContext): Promise<any> {
-    // Mock implementation - would integrate with actual APIs
-    return {
-      content: this.generateMockSpecification(context),
-      reasoning: 'Mock reasoning for testing',
-      alternatives: [],
-      usage: { total_tokens: this.estimateTokens(prompt) + 500 }
-    };
-  }
-
-  /**
-   * Generate mock specification for testing
-   */
-  private generateMockSpecification(context: SpecificationContext): string {
-    switch (context.targetFormat) {
-      case 'jsdoc':
-        return `/**
- * @precondition input !== null && input !== undefined
- * @postcondition result.length >= 0
- * @pure
- */`;
-      case 'python_contracts':
-        return `def example_function(x: int) -> int:
-    """
-    requires: x >= 0
-    ensures: result >= x
-    """
-    pass`;
-      case 'tla+':
-        return `---- MODULE ExampleSpec ----
-VARIABLE x
-Init == x = 0
-Next == x' = x + 1
-Spec == Init /\\ [][Next]_x
-====`;
-      default:
-        return `// Generated formal specification
-// Requires: Valid input parameters
-// Ensures: Function returns expected output
-// Invariant: System state remains consistent`;
+  private requireClient(): LLMClient {
+    if (!this.client) {
+      throw new Error('No LLM provider configured (pass one to LLMAssistedSpecGenerator or set TOPOLOP_LLM_PROVIDER)');
     }
+    return this.client;
   }
 
   /**
@@ -442,25 +472,23 @@ ${feedback}
 Please provide an improved specification that addresses the feedback while maintaining correctness.`;
   }
 
+  private buildReviewPrompt(specification: string, code: string, language: string): string {
+    return `Check whether this specification is complete and consistent with the ${language} code.
+
+Specification:
+${specification}
+
+Code:
+\`\`\`${language}
+${code.slice(0, 4000)}${code.length > 4000 ? '...' : ''}
+\`\`\`
+
+Report properties the code has that the specification misses, ambiguous clauses and clauses the code contradicts.`;
+  }
+
   /**
    * Helper methods
    */
-  private initializeProviders(): void {
-    this.providers.set('openai', {
-      name: 'openai',
-      model: 'gpt-4',
-      maxTokens: 4000,
-      temperature: 0.1
-    });
-    
-    this.providers.set('local', {
-      name: 'local',
-      model: 'mock-model',
-      maxTokens: 2000,
-      temperature: 0.0
-    });
-  }
-
   private initializeTemplates(): void {
     this.templates.set('jsdoc', {
       format: 'jsdoc',
@@ -479,17 +507,6 @@ Please provide an improved specification that addresses the feedback while maint
     });
   }
 
-  private getActiveProvider(): LLMProvider {
-    const localProvider = this.providers.get('local');
-    if (localProvider) return localProvider;
-    
-    const firstProvider = this.providers.values().next().value;
-    if (!firstProvider) {
-      throw new Error('No LLM providers available');
-    }
-    return firstProvider;
-  }
-
   private extractProperties(specification: string, format: string): string[] {
     // Extract verifiable properties from specification
     const properties: string[] = [];
@@ -516,7 +533,10 @@ Please provide an improved specification that addresses the feedback while maint
     ];
   }
 
-  private identifyLimitations(response: any, context: SpecificationContext): string[] {
+  private identifyLimitations(reply: SpecificationReply, context: SpecificationContext): string[] {
+    if (reply.limitations?.length) {
+      return [...reply.limitations, 'AI-generated specification may require manual review'];
+    }
     return [
       'AI-generated specification may require manual review',
       'Complex business logic may not be fully captured',
@@ -524,7 +544,7 @@ Please provide an improved specification that addresses the feedback while maint
     ];
   }
 
-  private calculateConfidence(response: any, context: SpecificationContext): number {
+  private calculateConfidence(reply: SpecificationReply, context: SpecificationContext): number {
     // Calculate confidence based on various factors
     let confidence = 0.7; // Base confidence
     
@@ -532,9 +552,13 @@ Please provide an improved specification that addresses the feedback while maint
       confidence += 0.1; // Higher confidence for typed languages
     }
     
-    if (response.content.length > 100) {
+    if (reply.specification.length > 100) {
       confidence += 0.1; // Higher confidence for detailed specifications
     }
+
+    if (typeof reply.confidence === 'number') {
+      confidence = (confidence + clamp(reply.confidence)) / 2; // Temper the model's own estimate
+    }
     
     return Math.min(confidence, 1.0);
   }
@@ -599,10 +623,6 @@ Please provide an improved specification that addresses the feedback while maint
     return 'low_confidence';
   }
 
-  private estimateTokens(text: string): number {
-    return Math.ceil(text.length / 4); // Rough estimate
-  }
-
   private async readFile(filePath: string): Promise<string> {
     const fs = await import('fs/promises');
     return fs.readFile(filePath, 'utf-8');
@@ -657,14 +677,13 @@ Please provide an improved specification that addresses the feedback while maint
   }
 
   async isAvailable(): Promise<boolean> {
-    // Check if LLM provider is configured and accessible
-    const provider = this.getActiveProvider();
-    return provider !== undefined;
+    // Check if LLM provider is configured
+    return this.client !== null;
   }
 
   async getStatus(): Promise<AdapterStatus> {
     const available = await this.isAvailable();
-    const provider = this.getActiveProvider();
+    const provider = this.client?.provider;
     
     return {
       available,
@@ -672,7 +691,7 @@ Please provide an improved specification that addresses the feedback while maint
       lastCheck: new Date().toISOString(),
       dependencies: [
         {
-          name: 'LLM Provider',
+          name: provider ? `LLM Provider (${provider.name})` : 'LLM Provider',
           available: available,
           version: provider?.model
         }
@@ -682,11 +701,76 @@ Please provide an improved specification that addresses the feedback while maint
         successRate: 0.75, // 75% success rate
         recentAnalyses: 0
       },
-      errors: []
+      errors: available ? [] : ['No LLM provider configured (set TOPOLOP_LLM_PROVIDER)']
     };
   }
 }
 
+/**
+ * Parse the model's specification answer; a model ignoring the JSON format
+ * still yields its first code block, or the whole answer, as specification
+ */
+function parseSpecificationReply(content: string): SpecificationReply {
+  const parsed = parseJsonReply(content);
+  if (parsed && typeof parsed.specification === 'string') {
+    return {
+      specification: parsed.specification,
+      properties: stringList(parsed.properties),
+      assumptions: stringList(parsed.assumptions),
+      limitations: stringList(parsed.limitations),
+      alternatives: stringList(parsed.alternatives),
+      ...(typeof parsed.reasoning === 'string' ? { reasoning: parsed.reasoning } : {}),
+      ...(typeof parsed.confidence === 'number' ? { confidence: parsed.confidence } : {})
+    };
+  }
+
+  const block = /```[\w+-]*\n([\s\S]*?)```/.exec(content);
+  if (block) {
+    const reasoning = (content.slice(0, block.index) + content.slice(block.index + block[0].length)).trim();
+    return { specification: block[1]!.trim(), ...(reasoning ? { reasoning } : {}) };
+  }
+  return { specification: content.trim() };
+}
+
+/**
+ * The JSON object in a model's answer, also when fenced or surrounded by prose
+ */
+function parseJsonReply(content: string): any | null {
+  const fenced = /```(?:json)?\s*\n([\s\S]*?)```/.exec(content);
+  const text = fenced ? fenced[1]! : content;
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start < 0 || end < start) return null;
+  try {
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function reviewIssues(value: unknown): SpecificationValidation['issues'] {
+  if (!Array.isArray(value)) return [];
+  const types = ['missing_property', 'ambiguous_specification', 'inconsistency'];
+  const severities = ['high', 'medium', 'low'];
+  return value
+    .filter(issue => issue && typeof issue.description === 'string')
+    .map(issue => ({
+      type: types.includes(issue.type) ? issue.type : 'inconsistency',
+      description: issue.description,
+      severity: severities.includes(issue.severity) ? issue.severity : 'medium',
+      suggestions: stringList(issue.suggestions)
+    }));
+}
+
+function stringList(value: unknown): string[] {
+  return Array.isArray(value) ? value.filter((item): item is string => typeof item === 'string') : [];
+}
+
+function clamp(value: number): number {
+  return Math.max(0, Math.min(1, value));
+}
+
 /**
  * Specification Validator
  * Validates AI-generated specifications against code
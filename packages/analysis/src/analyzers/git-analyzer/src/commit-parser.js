@@ -113,29 +113,37 @@ class CommitParser {
     return hotspots;
   }
 
-  identifyCoChangePatterns(commits, changedFilesMap) {
+  // Commits touching more than maxFilesPerCommit files are bulk changes (reformats,
+  // vendor updates) and skipped; LogicalCouplingAnalyzer adds time decay on top of this
+  identifyCoChangePatterns(commits, changedFilesMap, options = {}) {
+    const maxFilesPerCommit = options.maxFilesPerCommit || 30;
     const coChangeMatrix = {};
-    
+    const fileCommits = {};
+    let analyzedCommits = 0;
+
     commits.forEach(commit => {
-      const files = changedFilesMap[commit.hash] || [];
-      
+      const files = [...new Set((changedFilesMap[commit.hash] || []).map(file => file.path))].sort();
+      if (files.length === 0 || files.length > maxFilesPerCommit) return;
+
+      analyzedCommits++;
+      files.forEach(file => {
+        fileCommits[file] = (fileCommits[file] || 0) + 1;
+      });
+
       // For each pair of files changed together
       for (let i = 0; i < files.length; i++) {
         for (let j = i + 1; j < files.length; j++) {
-          const file1 = files[i].path;
-          const file2 = files[j].path;
-          
-          const key = [file1, file2].sort().join('::');
-          
+          const key = `${files[i]}::${files[j]}`;
+
           if (!coChangeMatrix[key]) {
             coChangeMatrix[key] = {
-              file1: file1 < file2 ? file1 : file2,
-              file2: file1 < file2 ? file2 : file1,
+              file1: files[i],
+              file2: files[j],
               frequency: 0,
               commits: []
             };
           }
-          
+
           coChangeMatrix[key].frequency++;
           coChangeMatrix[key].commits.push(commit.hash);
         }
@@ -145,7 +153,12 @@ class CommitParser {
     // Return pairs sorted by frequency
     return Object.values(coChangeMatrix)
       .filter(pair => pair.frequency > 1) // Only pairs that changed together more than once
-      .sort((a, b) => b.frequency - a.frequency);
+      .map(pair => ({
+        ...pair,
+        support: pair.frequency / analyzedCommits,
+        confidence: pair.frequency / Math.min(fileCommits[pair.file1], fileCommits[pair.file2])
+      }))
+      .sort((a, b) => b.frequency - a.frequency || b.confidence - a.confidence);
   }
 
   _classifyCommitType(message) {
@@ -233,6 +233,46 @@ class GitReader {
     }
   }
 
+  /**
+   * Line-level authorship of a file
+   * @param {string} filePath - File to blame
+   * @param {string} commitHash - Revision to blame (default: HEAD)
+   * @returns {Array} One entry per line: { line, hash, author: { name, email }, date }
+   */
+  async getBlame(filePath, commitHash = 'HEAD') {
+    try {
+      const output = await this.git.raw(['blame', '--line-porcelain', commitHash, '--', filePath]);
+      return this._parseBlame(output);
+    } catch (error) {
+      throw new Error(`Failed to get blame for ${filePath} at ${commitHash}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Latest commit of every author, for telling active authors from inactive ones
+   * @returns {Array} One entry per author email: { name, email, lastCommit }
+   */
+  async getAuthorActivity() {
+    try {
+      const output = await this.git.raw(['log', '--no-merges', '--format=%an%x09%ae%x09%aI']);
+      const authors = new Map();
+
+      for (const line of output.split('\n')) {
+        const [name, email, date] = line.split('\t');
+        if (!date) continue;
+        const key = email.toLowerCase();
+        const lastCommit = new Date(date);
+        if (!authors.has(key) || authors.get(key).lastCommit < lastCommit) {
+          authors.set(key, { name, email, lastCommit });
+        }
+      }
+
+      return Array.from(authors.values());
+    } catch (error) {
+      throw new Error(`Failed to get author activity: ${error.message}`);
+    }
+  }
+
   /**
    * Get commits since a specific commit hash (for incremental analysis)
    * @param {string} sinceCommit - Commit hash to start from (exclusive)
@@ -307,6 +347,34 @@ class GitReader {
     }
   }
 
+  /**
+   * Parse git blame --line-porcelain output; every line repeats its commit's headers
+   */
+  _parseBlame(output) {
+    const lines = [];
+    let current = null;
+
+    for (const line of output.split('\n')) {
+      const header = line.match(/^([0-9a-f]{40}) \d+ (\d+)/);
+      if (header) {
+        current = { line: Number(header[2]), hash: header[1], author: { name: '', email: '' }, date: null };
+      } else if (!current) {
+        continue;
+      } else if (line.startsWith('author ')) {
+        current.author.name = line.substring(7);
+      } else if (line.startsWith('author-mail ')) {
+        current.author.email = line.substring(12).replace(/^<|>$/g, '');
+      } else if (line.startsWith('author-time ')) {
+        current.date = new Date(Number(line.substring(12)) * 1000);
+      } else if (line.startsWith('\t')) {
+        lines.push(current);
+        current = null;
+      }
+    }
+
+    return lines;
+  }
+
   _mapGitStatus(statusCode) {
     const statusMap = {
       'A': 'added',
@@ -44,8 +44,14 @@ const PipAuditAnalyzer = require('./dependency-analyzers/pip-audit-analyzer/src/
 const SafetyAnalyzer = require('./dependency-analyzers/safety-analyzer/src/index');
 const RetireJSAnalyzer = require('./dependency-analyzers/retirejs-analyzer/src/index');
 
+const { configure } = require('./config/default-config');
+
 class Layer1DataSources {
   constructor(options = {}) {
+    // "settings" from topolop.config.*; must be applied before analyzers read their defaults.
+    // Without any, the defaults apply again rather than an earlier instance's settings.
+    configure(options.settings);
+
     this.astAnalyzer = new ASTAnalyzer();
     this.gitAnalyzer = null; // Created per repository
     this.formalMethodsHub = new FormalMethodsHub();
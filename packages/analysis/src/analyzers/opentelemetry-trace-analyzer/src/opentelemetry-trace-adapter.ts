@@ -0,0 +1,499 @@
+/**
+ * OpenTelemetry Trace Adapter
+ *
+ * Reads exported traces from disk (OTLP/JSON, Jaeger JSON or Zipkin v2 JSON)
+ * instead of querying an APM service. Spans map to source through the
+ * OpenTelemetry `code.*` attributes; those without them are reported against
+ * their service, as the DataDog adapter does. Slow spans, failing spans and
+ * N+1 query patterns become PerformanceIssues, and each mapped file gets the
+ * latency percentiles of its spans.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import {
+  PerformanceAdapter,
+  PerformanceIssue,
+  PerformanceMetrics
+} from '@topolop/shared-types';
+
+import {
+  UnifiedEntity,
+  UnifiedAnalysisResult,
+  IssueSeverity,
+  AnalysisType,
+  UnifiedIssue,
+  FileLatency,
+  FunctionLatency,
+  LatencySummary,
+  latencyPercentiles
+} from '@topolop/shared-types';
+
+import { TraceSpan, SpanAttributeValue, parseTraceExport } from './trace-formats';
+
+export const OPENTELEMETRY_TRACE_TOOL_NAME = 'OpenTelemetry Traces';
+
+const TRACE_FILE_EXTENSIONS = ['.json', '.jsonl', '.ndjson'];
+
+export interface OpenTelemetryTraceConfig {
+  /** Trace files or directories of them; defaults to the project id */
+  paths?: string[];
+  /** Root that absolute `code.filepath` values are made relative to */
+  projectRoot?: string;
+  /** Path prefixes to remove first, e.g. a container's working directory */
+  stripPrefixes?: string[];
+  /** p95 above which a location's spans are slow (default 500ms) */
+  slowSpanMs?: number;
+  /** Error percentage at which a location is failing (default 1) */
+  minErrorRate?: number;
+  /** Identical sibling spans under one parent that make an N+1 (default 5) */
+  nPlusOneThreshold?: number;
+}
+
+export interface TraceAnalysis {
+  issues: PerformanceIssue[];
+  /** By canonical path */
+  latency: Map<string, FileLatency>;
+  spans: number;
+  /** Spans with `code.*` attributes */
+  mappedSpans: number;
+}
+
+/**
+ * Where a span's code lives; file is null for spans without `code.*`
+ */
+interface SpanLocation {
+  file: string | null;
+  function: string | null;
+  line: number | null;
+}
+
+interface LocationSpans {
+  location: SpanLocation;
+  service: string | null;
+  name: string;
+  spans: TraceSpan[];
+}
+
+interface RepeatedSpans {
+  parent: LocationSpans;
+  child: LocationSpans;
+  statement: string;
+  /** Largest repeat under one parent */
+  repeats: number;
+  /** Parents it repeated under */
+  occurrences: number;
+  traceId: string;
+}
+
+export class OpenTelemetryTraceAdapter implements PerformanceAdapter {
+  public readonly name = OPENTELEMETRY_TRACE_TOOL_NAME;
+  public readonly version = '1.0.0';
+  public readonly type = 'apm' as const;
+
+  private config: OpenTelemetryTraceConfig;
+
+  constructor(config: OpenTelemetryTraceConfig = {}) {
+    this.config = config;
+  }
+
+  async initialize(config: any): Promise<void> {
+    if (config) {
+      this.config = { ...this.config, ...config };
+    }
+  }
+
+  /**
+   * Issues from the configured trace files, or from the file or directory
+   * named by projectId, within timeRange when given
+   */
+  async getPerformanceMetrics(projectId: string, timeRange?: { start: Date; end: Date }): Promise<PerformanceIssue[]> {
+    return this.analyzeSpans(this.readSpans(this.config.paths ?? [projectId], timeRange)).issues;
+  }
+
+  /**
+   * Issues from export data already in memory: parsed JSON, export text, or
+   * spans from readSpans
+   */
+  analyzePerformanceData(rawData: any): PerformanceIssue[] {
+    const spans: TraceSpan[] = typeof rawData === 'string'
+      ? parseTraceExport(rawData)
+      : Array.isArray(rawData) && rawData.every(span => typeof span?.spanId === 'string' && 'durationMs' in span)
+        ? rawData
+        : parseTraceExport(JSON.stringify(rawData));
+    return this.analyzeSpans(spans).issues;
+  }
+
+  /**
+   * Spans of trace files, searching directories for .json, .jsonl and .ndjson
+   */
+  readSpans(paths: string[], timeRange?: { start: Date; end: Date }): TraceSpan[] {
+    const spans = this.traceFiles(paths)
+      .flatMap(file => parseTraceExport(fs.readFileSync(file, 'utf8'), file));
+    if (!timeRange) return spans;
+
+    const start = timeRange.start.getTime();
+    const end = timeRange.end.getTime();
+    return spans.filter(span => span.startTime >= start && span.startTime <= end);
+  }
+
+  analyzeSpans(spans: TraceSpan[]): TraceAnalysis {
+    const groups = new Map<string, LocationSpans>();
+    const groupOf = new Map<TraceSpan, LocationSpans>();
+    for (const span of spans) {
+      const location = this.locate(span);
+      const key = this.groupKey(location, span);
+      if (!groups.has(key)) {
+        groups.set(key, { location, service: span.service, name: location.function ?? span.name, spans: [] });
+      }
+      groups.get(key)!.spans.push(span);
+      groupOf.set(span, groups.get(key)!);
+    }
+
+    const issues: PerformanceIssue[] = [];
+    for (const group of groups.values()) {
+      const slow = this.slowSpanIssue(group);
+      if (slow) issues.push(slow);
+      const failing = this.errorSpanIssue(group);
+      if (failing) issues.push(failing);
+    }
+    for (const repeated of this.repeatedSpans(spans, groupOf)) {
+      issues.push(this.nPlusOneIssue(repeated));
+    }
+
+    return {
+      issues,
+      latency: this.fileLatency(Array.from(groups.values())),
+      spans: spans.length,
+      mappedSpans: spans.filter(span => groupOf.get(span)!.location.file !== null).length
+    };
+  }
+
+  /**
+   * Put each file's span latency on the result's file metrics
+   */
+  attach(analysis: TraceAnalysis, result: UnifiedAnalysisResult): void {
+    analysis.latency.forEach((latency, file) => result.setLatency(file, latency));
+  }
+
+  capabilities = {
+    realTimeMonitoring: false,
+    historicalData: true,
+    alerting: false,
+    customMetrics: true
+  };
+
+  private traceFiles(paths: string[]): string[] {
+    return paths.flatMap(tracePath => {
+      if (!fs.statSync(tracePath).isDirectory()) return [tracePath];
+      return fs.readdirSync(tracePath, { withFileTypes: true })
+        .filter(entry => entry.isFile() && TRACE_FILE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+        .map(entry => path.join(tracePath, entry.name))
+        .sort();
+    });
+  }
+
+  /**
+   * Reads both the current semantic conventions (`code.file.path`,
+   * `code.function.name`, `code.line.number`) and the older names
+   */
+  private locate(span: TraceSpan): SpanLocation {
+    const filePath = attributeString(span.attributes['code.file.path'] ?? span.attributes['code.filepath']);
+    const functionName = attributeString(span.attributes['code.function.name'] ?? span.attributes['code.function']);
+    const namespace = attributeString(span.attributes['code.namespace']);
+    const line = Number(span.attributes['code.line.number'] ?? span.attributes['code.lineno']);
+
+    return {
+      file: filePath ? this.canonicalPath(filePath) : null,
+      function: functionName && namespace && !functionName.includes('.') ? `${namespace}.${functionName}` : functionName,
+      line: Number.isInteger(line) && line > 0 ? line : null
+    };
+  }
+
+  private canonicalPath(filePath: string): string {
+    let file = filePath.replace(/^file:\/\//, '').replace(/\\/g, '/');
+    const prefix = (this.config.stripPrefixes ?? [])
+      .map(strip => strip.replace(/\\/g, '/').replace(/\/?$/, '/'))
+      .find(strip => file.startsWith(strip));
+    if (prefix) {
+      file = file.slice(prefix.length);
+    } else if (this.config.projectRoot && path.isAbsolute(file)) {
+      const relative = path.relative(path.resolve(this.config.projectRoot), file);
+      if (!relative.startsWith('..') && !path.isAbsolute(relative)) file = relative;
+    }
+    return path.posix.normalize(file.split(path.sep).join('/')).replace(/^\.\//, '');
+  }
+
+  /**
+   * Spans of one function share a group; spans without a function are told
+   * apart by name, and spans without a file by service too
+   */
+  private groupKey(location: SpanLocation, span: TraceSpan): string {
+    if (location.file) return `${location.file}#${location.function ?? span.name}`;
+    return `services/${span.service ?? 'unknown'}#${span.name}`;
+  }
+
+  private slowSpanIssue(group: LocationSpans): PerformanceIssue | null {
+    const threshold = this.config.slowSpanMs ?? 500;
+    const summary = summarize(group.spans);
+    if (summary.p95 <= threshold) return null;
+
+    const severe = summary.p95 > threshold * 3;
+    return this.createPerformanceIssue({
+      group,
+      kind: 'slow-span',
+      title: 'Slow Span',
+      description: `${this.describe(group)} has a p95 latency of ${Math.round(summary.p95)}ms over ${summary.spans} span(s) (target: <${threshold}ms)`,
+      severity: severe ? IssueSeverity.HIGH : IssueSeverity.MEDIUM,
+      summary,
+      performanceMetrics: {
+        responseTime: summary.p95,
+        throughput: summary.spans,
+        traceId: slowest(group.spans).traceId,
+        lastSeen: lastSeen(group.spans)
+      },
+      performanceCategory: 'response_time',
+      optimizationOpportunity: {
+        potentialImprovement: `Reduce p95 latency by ${Math.round((summary.p95 - threshold) / summary.p95 * 100)}%`,
+        effort: severe ? 'high' : 'medium',
+        priority: severe ? 'high' : 'medium'
+      }
+    });
+  }
+
+  private errorSpanIssue(group: LocationSpans): PerformanceIssue | null {
+    const threshold = this.config.minErrorRate ?? 1;
+    const summary = summarize(group.spans);
+    const errorRate = summary.errors / summary.spans * 100;
+    if (summary.errors === 0 || errorRate < threshold) return null;
+
+    const failed = group.spans.filter(span => span.error);
+    const messages = Array.from(new Set(failed.map(span => span.errorMessage).filter((message): message is string => !!message)));
+    return this.createPerformanceIssue({
+      group,
+      kind: 'error-span',
+      title: 'Failing Span',
+      description: `${this.describe(group)} failed in ${summary.errors} of ${summary.spans} span(s) (${errorRate.toFixed(2)}%)`
+        + (messages.length > 0 ? `: ${messages.slice(0, 3).join('; ')}` : ''),
+      severity: errorRate >= 10 ? IssueSeverity.HIGH : IssueSeverity.MEDIUM,
+      summary,
+      performanceMetrics: {
+        errorRate,
+        throughput: summary.spans,
+        traceId: failed[failed.length - 1]!.traceId,
+        lastSeen: lastSeen(failed)
+      },
+      performanceCategory: 'availability',
+      optimizationOpportunity: {
+        potentialImprovement: `Reduce error rate to <${threshold}% (current: ${errorRate.toFixed(2)}%)`,
+        effort: 'medium',
+        priority: errorRate >= 10 ? 'high' : 'medium'
+      },
+      metadata: { errorMessages: messages }
+    });
+  }
+
+  /**
+   * Children of one parent repeating the same query or operation, at least
+   * nPlusOneThreshold times, counted per pattern across traces
+   */
+  private repeatedSpans(spans: TraceSpan[], groupOf: Map<TraceSpan, LocationSpans>): RepeatedSpans[] {
+    const threshold = this.config.nPlusOneThreshold ?? 5;
+    const byId = new Map(spans.map(span => [`${span.traceId}/${span.spanId}`, span]));
+    const siblings = new Map<string, TraceSpan[]>();
+    for (const span of spans) {
+      if (!span.parentSpanId || !byId.has(`${span.traceId}/${span.parentSpanId}`)) continue;
+      const key = `${span.traceId}/${span.parentSpanId}\0${this.groupKey(groupOf.get(span)!.location, span)}\0${statementOf(span)}`;
+      if (!siblings.has(key)) siblings.set(key, []);
+      siblings.get(key)!.push(span);
+    }
+
+    const patterns = new Map<string, RepeatedSpans>();
+    for (const [key, repeated] of siblings) {
+      if (repeated.length < threshold) continue;
+      const first = repeated[0]!;
+      const parent = groupOf.get(byId.get(`${first.traceId}/${first.parentSpanId}`)!)!;
+      const child = groupOf.get(first)!;
+      const statement = key.split('\0')[2]!;
+      const pattern = `${this.groupKey(parent.location, parent.spans[0]!)}\0${this.groupKey(child.location, first)}\0${statement}`;
+
+      const existing = patterns.get(pattern);
+      if (!existing) {
+        patterns.set(pattern, { parent, child, statement, repeats: repeated.length, occurrences: 1, traceId: first.traceId });
+      } else {
+        existing.occurrences++;
+        if (repeated.length > existing.repeats) {
+          existing.repeats = repeated.length;
+          existing.traceId = first.traceId;
+        }
+      }
+    }
+    return Array.from(patterns.values());
+  }
+
+  /**
+   * Reported where the loop is, at the parent, falling back to the repeated
+   * span when the parent has no code location
+   */
+  private nPlusOneIssue(repeated: RepeatedSpans): PerformanceIssue {
+    const group = repeated.parent.location.file || !repeated.child.location.file ? repeated.parent : repeated.child;
+    const summary = summarize(repeated.child.spans);
+    const severe = repeated.repeats >= 20;
+    return this.createPerformanceIssue({
+      group,
+      kind: 'n-plus-one',
+      discriminator: repeated.statement,
+      title: 'N+1 Span Pattern',
+      description: `${this.describe(repeated.parent)} runs "${truncate(repeated.statement, 120)}" up to ${repeated.repeats} times per call`
+        + ` (${repeated.occurrences} occurrence(s)); batch or prefetch instead`,
+      severity: severe ? IssueSeverity.HIGH : IssueSeverity.MEDIUM,
+      summary,
+      performanceMetrics: {
+        responseTime: Math.round(summary.p50 * repeated.repeats * 1000) / 1000,
+        throughput: repeated.repeats,
+        traceId: repeated.traceId,
+        lastSeen: lastSeen(repeated.child.spans)
+      },
+      performanceCategory: 'response_time',
+      optimizationOpportunity: {
+        potentialImprovement: `Replace up to ${repeated.repeats} calls with one`,
+        effort: 'medium',
+        priority: severe ? 'high' : 'medium'
+      },
+      metadata: { statement: repeated.statement, repeats: repeated.repeats, occurrences: repeated.occurrences }
+    });
+  }
+
+  private createPerformanceIssue(params: {
+    group: LocationSpans;
+    kind: string;
+    discriminator?: string;
+    title: string;
+    description: string;
+    severity: IssueSeverity;
+    summary: LatencySummary;
+    performanceMetrics: PerformanceMetrics;
+    performanceCategory: PerformanceIssue['performanceCategory'];
+    optimizationOpportunity: PerformanceIssue['optimizationOpportunity'];
+    metadata?: Record<string, any>;
+  }): PerformanceIssue {
+    const { location, service } = params.group;
+    const canonicalPath = location.file ?? `services/${service ?? 'unknown'}`;
+    const ruleId = `otel-${params.kind}`;
+    const { spans, errors, ...latency } = params.summary;
+
+    return Object.assign(new UnifiedIssue({
+      id: [ruleId, canonicalPath, params.group.name, params.discriminator].filter(Boolean).join(':'),
+      entity: location.file
+        ? new UnifiedEntity({ id: `file-${location.file}`, type: 'file', name: path.posix.basename(location.file), canonicalPath })
+        : new UnifiedEntity({ id: `service-${service ?? 'unknown'}`, type: 'service', name: service ?? 'unknown', canonicalPath }),
+      severity: params.severity,
+      analysisType: AnalysisType.APM_PERFORMANCE,
+      title: params.title,
+      description: params.description,
+      ruleId,
+      line: location.line,
+      toolName: this.name,
+      metadata: {
+        source: 'opentelemetry_traces',
+        performanceCategory: params.performanceCategory,
+        impactLevel: impactLevelOf(params.group),
+        span: params.group.name,
+        service,
+        latency,
+        spans,
+        errors,
+        ...params.metadata
+      }
+    }), {
+      performanceMetrics: params.performanceMetrics,
+      performanceCategory: params.performanceCategory,
+      impactLevel: impactLevelOf(params.group),
+      optimizationOpportunity: params.optimizationOpportunity
+    }) as PerformanceIssue;
+  }
+
+  private describe(group: LocationSpans): string {
+    if (!group.location.file) return `Span "${group.name}" of service "${group.service ?? 'unknown'}"`;
+    return `${group.location.function ? `Function "${group.location.function}"` : `Span "${group.name}"`} in ${group.location.file}`;
+  }
+
+  private fileLatency(groups: LocationSpans[]): Map<string, FileLatency> {
+    const files = new Map<string, LocationSpans[]>();
+    for (const group of groups) {
+      if (!group.location.file) continue;
+      if (!files.has(group.location.file)) files.set(group.location.file, []);
+      files.get(group.location.file)!.push(group);
+    }
+
+    const latency = new Map<string, FileLatency>();
+    for (const [file, fileGroups] of Array.from(files).sort(([a], [b]) => a.localeCompare(b))) {
+      const functions: FunctionLatency[] = fileGroups
+        .filter(group => group.location.function)
+        .map(group => ({
+          name: group.location.function!,
+          line: minLine(group.spans.map(span => this.locate(span).line)),
+          ...summarize(group.spans)
+        }))
+        .sort((a, b) => b.p95 - a.p95 || a.name.localeCompare(b.name));
+      latency.set(file, {
+        ...summarize(fileGroups.flatMap(group => group.spans)),
+        functions,
+        source: this.name
+      });
+    }
+    return latency;
+  }
+}
+
+function summarize(spans: TraceSpan[]): LatencySummary {
+  return {
+    ...latencyPercentiles(spans.map(span => span.durationMs)),
+    spans: spans.length,
+    errors: spans.filter(span => span.error).length
+  };
+}
+
+/**
+ * The query with its literals replaced, so that calls differing only in
+ * their arguments match; the span name for spans without one
+ */
+function statementOf(span: TraceSpan): string {
+  const statement = attributeString(span.attributes['db.query.text'] ?? span.attributes['db.statement']);
+  if (!statement) return span.name;
+  return statement
+    .replace(/'(?:[^']|'')*'/g, '?')
+    .replace(/\b\d+(?:\.\d+)?\b/g, '?')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Server spans answer callers directly; everything else is internal work
+ */
+function impactLevelOf(group: LocationSpans): PerformanceIssue['impactLevel'] {
+  return group.spans.some(span => span.kind === 'server') ? 'user_facing' : 'system_level';
+}
+
+function attributeString(value: SpanAttributeValue | undefined): string | null {
+  return typeof value === 'string' && value.length > 0 ? value : null;
+}
+
+function slowest(spans: TraceSpan[]): TraceSpan {
+  return spans.reduce((max, span) => span.durationMs > max.durationMs ? span : max);
+}
+
+function lastSeen(spans: TraceSpan[]): string {
+  return new Date(spans.reduce((latest, span) => Math.max(latest, span.startTime), 0)).toISOString();
+}
+
+function minLine(lines: Array<number | null>): number | null {
+  return lines.reduce<number | null>((min, line) => line !== null && (min === null || line < min) ? line : min, null);
+}
+
+function truncate(text: string, length: number): string {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+export default OpenTelemetryTraceAdapter;
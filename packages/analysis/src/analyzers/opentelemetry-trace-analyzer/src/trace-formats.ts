@@ -0,0 +1,206 @@
+/**
+ * Trace export formats
+ *
+ * Reads trace exports into one span shape:
+ *
+ * - OTLP/JSON: an ExportTraceServiceRequest (`resourceSpans`), or one per
+ *   line as the collector's file exporter writes them
+ * - Jaeger JSON: the UI's download or the query API's `{ data: [trace] }`
+ * - Zipkin v2 JSON: an array of spans, or of traces as the API returns them
+ */
+
+export type TraceFormat = 'otlp' | 'jaeger' | 'zipkin';
+
+export type SpanAttributeValue = string | number | boolean | Array<string | number | boolean>;
+
+export interface TraceSpan {
+  traceId: string;
+  spanId: string;
+  parentSpanId: string | null;
+  name: string;
+  service: string | null;
+  /** e.g. server, client, internal, as the export names it in lower case */
+  kind: string | null;
+  /** Epoch milliseconds */
+  startTime: number;
+  durationMs: number;
+  error: boolean;
+  errorMessage: string | null;
+  /** Span attributes (tags), with the resource's underneath */
+  attributes: Record<string, SpanAttributeValue>;
+}
+
+/**
+ * Spans of an export's text; JSON Lines are read line by line
+ */
+export function parseTraceExport(content: string, source = 'trace export'): TraceSpan[] {
+  let data: unknown;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0);
+    if (lines.length < 2) {
+      throw new Error(`${source} is not valid JSON: ${error instanceof Error ? error.message : error}`);
+    }
+    return lines.flatMap((line, index) => {
+      const at = `${source}:${index + 1}`;
+      let parsed: unknown;
+      try {
+        parsed = JSON.parse(line);
+      } catch (lineError) {
+        throw new Error(`${at} is not valid JSON: ${lineError instanceof Error ? lineError.message : lineError}`);
+      }
+      return traceSpans(parsed, at);
+    });
+  }
+  return traceSpans(data, source);
+}
+
+/**
+ * Spans of parsed export data in any supported format
+ */
+export function traceSpans(data: any, source = 'trace export'): TraceSpan[] {
+  switch (detectTraceFormat(data)) {
+    case 'otlp': return otlpSpans(data);
+    case 'jaeger': return jaegerSpans(data);
+    case 'zipkin': return zipkinSpans(data);
+    default: throw new Error(`${source} is not an OTLP, Jaeger or Zipkin trace export`);
+  }
+}
+
+export function detectTraceFormat(data: any): TraceFormat | null {
+  if (Array.isArray(data?.resourceSpans)) return 'otlp';
+  if (Array.isArray(data?.data) && data.data.every((trace: any) => Array.isArray(trace?.spans))) return 'jaeger';
+  if (Array.isArray(data?.spans) && data.traceID !== undefined) return 'jaeger';
+  if (Array.isArray(data) && data.flat().every((span: any) => typeof span?.traceId === 'string' && typeof span?.id === 'string')) {
+    return 'zipkin';
+  }
+  return null;
+}
+
+function otlpSpans(data: any): TraceSpan[] {
+  const spans: TraceSpan[] = [];
+  for (const resourceSpans of data.resourceSpans) {
+    const resource = otlpAttributes(resourceSpans.resource?.attributes);
+    // instrumentationLibrarySpans before OTLP 0.15
+    for (const scopeSpans of resourceSpans.scopeSpans ?? resourceSpans.instrumentationLibrarySpans ?? []) {
+      for (const span of scopeSpans.spans ?? []) {
+        const start = BigInt(span.startTimeUnixNano ?? 0);
+        const end = BigInt(span.endTimeUnixNano ?? span.startTimeUnixNano ?? 0);
+        // Status code 2 is ERROR; JSON encoders may write the enum name
+        const error = span.status?.code === 2 || span.status?.code === 'STATUS_CODE_ERROR';
+        spans.push({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          parentSpanId: span.parentSpanId || null,
+          name: span.name ?? '',
+          service: stringOrNull(resource['service.name']),
+          kind: otlpKind(span.kind),
+          startTime: Number(start / 1000n) / 1000,
+          durationMs: Number(end - start) / 1e6,
+          error,
+          errorMessage: error ? span.status?.message || null : null,
+          attributes: { ...resource, ...otlpAttributes(span.attributes) }
+        });
+      }
+    }
+  }
+  return spans;
+}
+
+function otlpAttributes(attributes: any[] | undefined): Record<string, SpanAttributeValue> {
+  const values: Record<string, SpanAttributeValue> = {};
+  for (const attribute of attributes ?? []) {
+    const value = otlpValue(attribute?.value);
+    if (typeof attribute?.key === 'string' && value !== undefined) values[attribute.key] = value;
+  }
+  return values;
+}
+
+function otlpValue(value: any): SpanAttributeValue | undefined {
+  if (!value) return undefined;
+  if ('stringValue' in value) return String(value.stringValue);
+  // 64-bit integers are strings in OTLP/JSON
+  if ('intValue' in value) return Number(value.intValue);
+  if ('doubleValue' in value) return Number(value.doubleValue);
+  if ('boolValue' in value) return Boolean(value.boolValue);
+  if ('arrayValue' in value) {
+    return (value.arrayValue?.values ?? [])
+      .map(otlpValue)
+      .filter((item: SpanAttributeValue | undefined): item is string | number | boolean => item !== undefined && !Array.isArray(item));
+  }
+  return undefined;
+}
+
+function otlpKind(kind: unknown): string | null {
+  const kinds = ['unspecified', 'internal', 'server', 'client', 'producer', 'consumer'];
+  if (typeof kind === 'number') return kinds[kind] ?? null;
+  if (typeof kind === 'string') return kind.replace(/^SPAN_KIND_/, '').toLowerCase();
+  return null;
+}
+
+function jaegerSpans(data: any): TraceSpan[] {
+  const traces: any[] = Array.isArray(data.data) ? data.data : [data];
+  const spans: TraceSpan[] = [];
+  for (const trace of traces) {
+    const processes = trace.processes ?? {};
+    for (const span of trace.spans) {
+      const process = processes[span.processID] ?? span.process ?? {};
+      const attributes = { ...jaegerTags(process.tags), ...jaegerTags(span.tags) };
+      const parent = (span.references ?? []).find((reference: any) => reference.refType === 'CHILD_OF')
+        ?? (span.references ?? [])[0];
+      const errorLog = (span.logs ?? [])
+        .flatMap((log: any) => log.fields ?? [])
+        .find((field: any) => field.key === 'message' || field.key === 'error.object' || field.key === 'exception.message');
+      const error = attributes.error === true || attributes.error === 'true' || attributes['otel.status_code'] === 'ERROR';
+      spans.push({
+        traceId: span.traceID ?? trace.traceID,
+        spanId: span.spanID,
+        parentSpanId: parent?.spanID ?? null,
+        name: span.operationName ?? '',
+        service: stringOrNull(process.serviceName),
+        kind: stringOrNull(attributes['span.kind']),
+        // Jaeger times are microseconds
+        startTime: Number(span.startTime ?? 0) / 1000,
+        durationMs: Number(span.duration ?? 0) / 1000,
+        error,
+        errorMessage: error ? stringOrNull(attributes['otel.status_description']) ?? stringOrNull(errorLog?.value) : null,
+        attributes
+      });
+    }
+  }
+  return spans;
+}
+
+function jaegerTags(tags: any[] | undefined): Record<string, SpanAttributeValue> {
+  const values: Record<string, SpanAttributeValue> = {};
+  for (const tag of tags ?? []) {
+    if (typeof tag?.key === 'string' && tag.value !== undefined) values[tag.key] = tag.value;
+  }
+  return values;
+}
+
+function zipkinSpans(data: any[]): TraceSpan[] {
+  return data.flat().map(span => {
+    const attributes: Record<string, SpanAttributeValue> = { ...(span.tags ?? {}) };
+    const error = 'error' in attributes;
+    return {
+      traceId: span.traceId,
+      spanId: span.id,
+      parentSpanId: span.parentId ?? null,
+      name: span.name ?? '',
+      service: stringOrNull(span.localEndpoint?.serviceName),
+      kind: typeof span.kind === 'string' ? span.kind.toLowerCase() : null,
+      // Zipkin times are microseconds
+      startTime: Number(span.timestamp ?? 0) / 1000,
+      durationMs: Number(span.duration ?? 0) / 1000,
+      error,
+      errorMessage: error && attributes.error !== '' && attributes.error !== 'true' ? String(attributes.error) : null,
+      attributes
+    };
+  });
+}
+
+function stringOrNull(value: unknown): string | null {
+  return typeof value === 'string' && value.length > 0 ? value : null;
+}
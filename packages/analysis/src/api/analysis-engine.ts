@@ -0,0 +1,724 @@
+/**
+ * Analysis Engine
+ *
+ * Programmatic entry point for a whole analysis run. Takes an AnalysisConfig,
+ * runs the requested tools from Layer1DataSources and the static-analysis
+ * adapter registry, converts their findings to UnifiedIssues with canonical
+ * paths, deduplicates and correlates them, and returns an AnalysisResult.
+ *
+ * Include/exclude globs and severity overrides from the config are applied
+ * to the normalized issues before deduplication.
+ *
+ * With a formal verifier (e.g. a FormalVerificationAdapterRegistry) the
+ * files the tools flagged are verified too: refuted properties join the
+ * issues, proven ones become verified regions that correlation weighs the
+ * other findings against.
+ *
+ * With `correlation.logicalCoupling` set, the project's git history is
+ * mined for files that change together; the graph is kept on the unified
+ * result and issues in coupled files are correlated. With `ownership` set,
+ * git blame ownership is put on every tracked file's metrics.
+ *
+ * Tools that fail are reported in the run's tool list and do not stop the
+ * other tools; an unknown tool name or unsupported output format is a
+ * configuration error and fails before anything runs.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import {
+  UnifiedAnalysisResult,
+  UnifiedIssue,
+  IssueSeverity,
+  VerifiedRegion,
+  isSuppressed
+} from '@topolop/shared-types';
+
+import { FormalVerificationResult } from '../analyzers/formal-verification-adapters/base-interfaces/formal-verification-types';
+
+import { EnhancedCorrelationEngine, CorrelationResult } from '../engines/correlation-engine';
+import { SmartDeduplicationEngine } from '../engines/deduplication-engine';
+import { readSourceFromDisk } from '../engines/diff-engine';
+import { LogicalCouplingAnalyzer } from '../engines/logical-coupling';
+import { OwnershipAnalyzer } from '../engines/ownership-analyzer';
+import { SarifExporter } from '../formats/sarif/sarif-exporter';
+import { globToRegExp } from '../suppression/glob';
+import { SuppressionEngine } from '../suppression/suppression-engine';
+import { AnalysisConfig, AnalysisResult, AnalysisSummary, Hotspot, OutputConfig, SeverityOverride } from './types';
+import { formalVerificationIssues } from './formal-issues';
+import { PathNormalizerLike, toUnifiedIssues } from './tool-issues';
+
+export type ToolSource = 'layer1' | 'adapter' | 'formal' | 'git';
+
+/**
+ * Tool name of the formal verification step in a run's tool list
+ */
+export const FORMAL_VERIFICATION_TOOL = 'formal-verification';
+
+/**
+ * Tool name of the logical-coupling step in a run's tool list
+ */
+export const LOGICAL_COUPLING_TOOL = 'logical-coupling';
+
+/**
+ * Tool name of the ownership step in a run's tool list
+ */
+export const OWNERSHIP_TOOL = 'ownership';
+
+/**
+ * The part of FormalVerificationAdapterRegistry used here
+ */
+export interface FormalVerifierLike {
+  verifyFile(filePath: string): Promise<FormalVerificationResult[]>;
+}
+
+/**
+ * Outcome of running one tool
+ */
+export interface ToolRun {
+  tool: string;
+  source: ToolSource;
+  status: 'ok' | 'failed';
+  issueCount: number;
+  /** Milliseconds */
+  duration: number;
+  error?: string;
+}
+
+/**
+ * Everything produced by one run
+ */
+export interface AnalysisRun {
+  result: AnalysisResult;
+  /** The same issues as a UnifiedAnalysisResult, for the store, diff and SARIF */
+  unified: UnifiedAnalysisResult;
+  tools: ToolRun[];
+  /** Function-level clusters, or null when correlation is disabled */
+  correlation: CorrelationResult | null;
+}
+
+/**
+ * Whether a tool can run here
+ */
+export interface ToolStatus {
+  tool: string;
+  source: ToolSource;
+  available: boolean;
+  detail?: string;
+}
+
+export interface AnalysisEngineOptions {
+  /** Layer 1 data sources; analyzers/index.js is loaded when omitted */
+  layer1?: any;
+  /** Static-analysis adapter registry; adapter-registry.js is loaded when omitted */
+  adapterRegistry?: any;
+  /** Path normalizer; engines/path-normalizer.js is loaded when omitted */
+  pathNormalizer?: PathNormalizerLike;
+  /** Apply the project's baseline, suppression file and inline suppressions (default true; AnalysisConfig.suppressions overrides it per run) */
+  suppressions?: boolean;
+  /** Formally verify the files the tools flagged (and AnalysisConfig.files) */
+  formalVerifier?: FormalVerifierLike;
+  /** Called after each tool finishes */
+  onToolComplete?: (run: ToolRun) => void;
+}
+
+interface ToolContext {
+  projectPath: string;
+  options: Record<string, any>;
+}
+
+interface Layer1Tool {
+  /** Layer1DataSources constructor option naming the analyzer */
+  key: string;
+  run(layer1: any, context: ToolContext): Promise<unknown>;
+}
+
+/**
+ * Tools provided by Layer1DataSources
+ */
+const LAYER1_TOOLS: Record<string, Layer1Tool> = {
+  sonarqube: {
+    key: 'sonarQube',
+    run: (layer1, { options }) => layer1.collectSonarQubeData(required(options, 'sonarqube', 'projectKey'), options.options)
+  },
+  codeclimate: {
+    key: 'codeClimate',
+    run: (layer1, { options }) => layer1.collectCodeClimateData(required(options, 'codeclimate', 'repository'), options.options)
+  },
+  semgrep: {
+    key: 'semgrep',
+    run: (layer1, { projectPath, options }) => layer1.collectSemgrepData(options.target ?? projectPath, options.options)
+  },
+  codeql: {
+    key: 'codeql',
+    run: (layer1, { projectPath, options }) =>
+      layer1.collectCodeQLData(options.sourcePath ?? projectPath, required(options, 'codeql', 'language'), options.options)
+  },
+  deepsource: {
+    key: 'deepSource',
+    run: (layer1, { options }) => layer1.collectDeepSourceData(required(options, 'deepsource', 'repositoryId'), options.options)
+  },
+  veracode: {
+    key: 'veracode',
+    run: (layer1, { options }) => layer1.collectVeracodeData(required(options, 'veracode', 'applicationId'), options.options)
+  },
+  checkmarx: {
+    key: 'checkmarx',
+    run: (layer1, { options }) => layer1.collectCheckmarxData(required(options, 'checkmarx', 'projectId'), options.options)
+  },
+  codacy: {
+    key: 'codacy',
+    run: (layer1, { options }) => layer1.collectCodacyData(
+      required(options, 'codacy', 'provider'),
+      required(options, 'codacy', 'organization'),
+      required(options, 'codacy', 'repository'),
+      options.options
+    )
+  },
+  'npm-audit': {
+    key: 'npmAudit',
+    run: (layer1, { projectPath, options }) => layer1.npmAuditAnalyzer.analyzeProject(projectPath, options.options)
+  },
+  osv: {
+    key: 'osv',
+    run: (layer1, { projectPath, options }) => layer1.osvAnalyzer.analyzeProject(projectPath, options.options)
+  },
+  'pip-audit': {
+    key: 'pipAudit',
+    run: (layer1, { projectPath }) => layer1.pipAuditAnalyzer.analyzeProject(projectPath)
+  },
+  safety: {
+    key: 'safety',
+    run: (layer1, { projectPath }) => layer1.safetyAnalyzer.analyzeProject(projectPath)
+  },
+  retirejs: {
+    key: 'retireJS',
+    run: (layer1, { projectPath }) => layer1.retireJSAnalyzer.analyzeProject(projectPath)
+  }
+};
+
+/**
+ * Short names for adapters registered under a different name
+ */
+const ADAPTER_ALIASES: Record<string, string> = {
+  pylint: 'secure-pylint',
+  bandit: 'secure-bandit',
+  mypy: 'secure-mypy',
+  'clang-analyzer': 'clang-static-analyzer'
+};
+
+const SEVERITY_WEIGHTS: Record<IssueSeverity, number> = {
+  [IssueSeverity.CRITICAL]: 10,
+  [IssueSeverity.HIGH]: 7,
+  [IssueSeverity.MEDIUM]: 4,
+  [IssueSeverity.LOW]: 2,
+  [IssueSeverity.INFO]: 1
+};
+
+const OUTPUT_FORMATS = ['json', 'sarif'];
+
+/**
+ * Runs tools, deduplication and correlation for a project
+ */
+export class AnalysisEngine {
+  private layer1: any;
+  private adapterRegistry: any;
+
+  constructor(private readonly options: AnalysisEngineOptions = {}) {
+    this.layer1 = options.layer1 ?? null;
+    this.adapterRegistry = options.adapterRegistry ?? null;
+  }
+
+  /**
+   * Tool names accepted in AnalysisConfig.tools
+   */
+  getAvailableTools(): string[] {
+    const adapters: string[] = this.registry().getSupportedTools();
+    return Array.from(new Set([...Object.keys(LAYER1_TOOLS), ...adapters])).sort();
+  }
+
+  /**
+   * Check whether tools are installed and configured; all known tools when
+   * none are given
+   */
+  async checkTools(tools?: string[], toolOptions: AnalysisConfig['toolOptions'] = {}): Promise<ToolStatus[]> {
+    let registry: any = null;
+    let registryError = '';
+    try {
+      registry = this.registry();
+    } catch (error) {
+      registryError = error instanceof Error ? error.message : String(error);
+    }
+
+    const names = (tools ?? [
+      ...Object.keys(LAYER1_TOOLS),
+      ...(registry ? registry.getSupportedTools() as string[] : [])
+    ]).map(name => name.trim().toLowerCase());
+    const layer1Names = names.filter(name => LAYER1_TOOLS[name]);
+
+    let layer1: any = null;
+    let layer1Error = '';
+    if (layer1Names.length > 0) {
+      try {
+        layer1 = this.layer1Sources(layer1Names, { projectPath: '.', toolOptions });
+      } catch (error) {
+        layer1Error = error instanceof Error ? error.message : String(error);
+      }
+    }
+
+    const statuses: ToolStatus[] = [];
+    for (const tool of new Set(names)) {
+      const definition = LAYER1_TOOLS[tool];
+      if (definition) {
+        const analyzer = layer1?.[`${definition.key}Analyzer`];
+        statuses.push(analyzer
+          ? { tool, source: 'layer1', ...await analyzerStatus(analyzer) }
+          : { tool, source: 'layer1', available: false, detail: layer1Error || 'analyzer not loaded' });
+        continue;
+      }
+
+      const adapter = registry?.getAdapter(ADAPTER_ALIASES[tool] ?? tool);
+      if (!adapter) {
+        statuses.push({ tool, source: 'adapter', available: false, detail: registryError || 'unknown tool' });
+        continue;
+      }
+      try {
+        const available = typeof adapter.checkAvailability === 'function' ? await adapter.checkAvailability() : true;
+        statuses.push({ tool, source: 'adapter', available: Boolean(available), ...(available ? {} : { detail: 'not installed' }) });
+      } catch (error) {
+        statuses.push({ tool, source: 'adapter', available: false, detail: error instanceof Error ? error.message : String(error) });
+      }
+    }
+
+    return statuses;
+  }
+
+  /**
+   * Run the analysis and return its result
+   */
+  async analyze(config: AnalysisConfig): Promise<AnalysisResult> {
+    return (await this.run(config)).result;
+  }
+
+  /**
+   * Run the analysis, keeping the unified result and per-tool outcomes
+   */
+  async run(config: AnalysisConfig): Promise<AnalysisRun> {
+    const started = Date.now();
+    const timestamp = new Date(started).toISOString();
+    const projectPath = path.resolve(config.projectPath);
+
+    if (!fs.existsSync(projectPath) || !fs.statSync(projectPath).isDirectory()) {
+      throw new Error(`Project path "${config.projectPath}" is not a directory`);
+    }
+    const format = config.output?.format ?? 'json';
+    if (config.output?.destination && !OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Output format "${format}" is not supported by AnalysisEngine (use ${OUTPUT_FORMATS.join(' or ')})`);
+    }
+
+    this.checkToolOptions(config.toolOptions);
+    const tools = config.tools?.includes('*')
+      ? this.getAvailableTools()
+      : config.tools ?? await this.defaultTools(projectPath);
+    const { layer1Tools, adapterTools } = this.resolveTools(tools);
+    // Read by Layer 1 analyzers and adapters through resolveConfig; a run
+    // without settings resets those of an earlier run to the defaults
+    require('../analyzers/config/default-config').configure(config.settings);
+
+    // Collect and normalize findings
+    const normalizer = this.pathNormalizer(projectPath);
+    const toolRuns: ToolRun[] = [];
+    const collected: UnifiedIssue[] = [];
+    const record = (run: ToolRun, issues: UnifiedIssue[]) => {
+      toolRuns.push(run);
+      collected.push(...issues);
+      this.options.onToolComplete?.(run);
+    };
+
+    if (layer1Tools.length > 0) {
+      const layer1 = this.layer1Sources(layer1Tools, config);
+      for (const tool of layer1Tools) {
+        const context = { projectPath, options: config.toolOptions?.[tool] ?? {} };
+        record(...await this.runTool(tool, 'layer1', normalizer, () => LAYER1_TOOLS[tool]!.run(layer1, context)));
+      }
+    }
+
+    if (adapterTools.length > 0) {
+      const registry = this.registry();
+      const validation = await registry.securityValidator.validateCodebase(projectPath, 'all');
+      for (const [tool, adapterName] of adapterTools) {
+        const options = {
+          ...(config.toolOptions?.[tool] ?? {}),
+          validatedFiles: validation.validFiles
+            .map((file: { path: string }) => file.path)
+            .filter((file: string) => this.inScope(path.relative(projectPath, path.resolve(projectPath, file)), config)),
+          securityMode: registry.secureMode
+        };
+        record(...await this.runTool(tool, 'adapter', normalizer, async () => {
+          if (!validation.valid) {
+            throw new Error(`Security validation failed: ${validation.errors.join(', ')}`);
+          }
+          return registry.getAdapter(adapterName).analyze(projectPath, options);
+        }));
+      }
+    }
+
+    let verifiedRegions: Array<{ canonicalPath: string; region: VerifiedRegion }> = [];
+    if (this.options.formalVerifier) {
+      const verifier = this.options.formalVerifier;
+      const files = Array.from(new Set([
+        ...this.filterPaths(collected, config).map(issue => issue.entity.canonicalPath),
+        ...(config.files ?? [])
+      ])).filter(file => fs.existsSync(path.join(projectPath, file))).sort();
+
+      record(...await this.runTool(FORMAL_VERIFICATION_TOOL, 'formal', normalizer, async () => {
+        const results: FormalVerificationResult[] = [];
+        for (const file of files) {
+          results.push(...await verifier.verifyFile(path.join(projectPath, file)));
+        }
+        return results;
+      }, (results: FormalVerificationResult[]) => {
+        const mapping = formalVerificationIssues(results, normalizer);
+        verifiedRegions = mapping.verifiedRegions.filter(({ canonicalPath }) => this.inScope(canonicalPath, config));
+        return mapping.issues;
+      }));
+    }
+
+    // Scope and re-grade, then deduplicate
+    const scoped = this.applySeverityOverrides(this.filterPaths(collected, config), config.severityOverrides ?? []);
+    const unified = new UnifiedAnalysisResult(projectPath);
+    const deduplication = new SmartDeduplicationEngine(config.correlation?.similarity).deduplicateIssues(scoped);
+    deduplication.deduplicatedIssues.forEach(issue => unified.addIssue(issue));
+    unified.deduplicationStats = deduplication.statistics;
+    verifiedRegions.forEach(({ canonicalPath, region }) => unified.addVerifiedRegion(canonicalPath, region));
+
+    // Correlate
+    const correlationConfig = config.correlation ?? { enabled: true };
+    let correlation: CorrelationResult | null = null;
+    if (correlationConfig.enabled !== false) {
+      if (correlationConfig.logicalCoupling) {
+        const options = correlationConfig.logicalCoupling === true ? {} : correlationConfig.logicalCoupling;
+        record(...await this.runTool(LOGICAL_COUPLING_TOOL, 'git', normalizer,
+          () => new LogicalCouplingAnalyzer(options).analyze(projectPath),
+          graph => {
+            unified.logicalCoupling = graph;
+            return [];
+          }));
+      }
+      unified.buildCorrelationGroups(correlationConfig.proximityThreshold);
+      unified.generateHotspots();
+      correlation = new EnhancedCorrelationEngine().analyzeCorrelations(
+        unified.issues,
+        this.fileContents(unified),
+        unified.verifiedRegions(),
+        unified.logicalCoupling
+      );
+    }
+
+    // After correlation, which reads the source of every file with metrics
+    if (config.ownership) {
+      const analyzer = new OwnershipAnalyzer(config.ownership === true ? {} : config.ownership);
+      record(...await this.runTool(OWNERSHIP_TOOL, 'git', normalizer, () => analyzer.analyze(projectPath), report => {
+        analyzer.attach(report, unified);
+        return [];
+      }));
+    }
+
+    if ((config.suppressions ?? this.options.suppressions) !== false) {
+      SuppressionEngine.fromProject(projectPath).apply(unified);
+    }
+
+    const succeeded = toolRuns.filter(run => run.status === 'ok').map(run => run.tool);
+    unified.metadata = {
+      source: 'analysis-engine',
+      sourceVersion: '1',
+      analyzedAt: timestamp,
+      tools: succeeded,
+      failedTools: toolRuns.filter(run => run.status === 'failed').map(run => run.tool)
+    };
+
+    const result: AnalysisResult = {
+      issues: unified.issues,
+      // shared-types declares UnifiedFileMetrics twice; the two classes are identical
+      metrics: unified.fileMetrics as unknown as AnalysisResult['metrics'],
+      hotspots: correlation ? this.hotspots(unified, correlationConfig.minToolCount ?? 2) : [],
+      summary: this.summarize(unified.issues, succeeded),
+      timestamp,
+      duration: Date.now() - started
+    };
+
+    const run: AnalysisRun = { result, unified, tools: toolRuns, correlation };
+    if (config.output?.destination) {
+      this.writeOutput(run, config.output);
+    }
+    return run;
+  }
+
+  /**
+   * Write a run to the configured destination
+   */
+  writeOutput(run: AnalysisRun, output: OutputConfig): void {
+    if (!output.destination) {
+      throw new Error('Output destination is required');
+    }
+    fs.mkdirSync(path.dirname(path.resolve(output.destination)), { recursive: true });
+
+    if (output.format === 'sarif') {
+      new SarifExporter().writeFile(run.unified, output.destination);
+      return;
+    }
+
+    const { metrics, ...rest } = run.result;
+    const json = output.includeMetrics === false
+      ? rest
+      : { ...rest, metrics: Object.fromEntries(metrics) };
+    fs.writeFileSync(output.destination, JSON.stringify({ ...json, tools: run.tools }, null, 2) + '\n', 'utf8');
+  }
+
+  /**
+   * Adapters for the languages found in the project
+   */
+  private async defaultTools(projectPath: string): Promise<string[]> {
+    const registry = this.registry();
+    const languages: string[] = await registry.detectLanguages(projectPath);
+    const tools = languages
+      .flatMap(language => registry.getToolsForLanguage(language) as string[])
+      .map(tool => ADAPTER_ALIASES[tool] ?? tool)
+      .filter(tool => registry.getAdapter(tool));
+    return Array.from(new Set(tools));
+  }
+
+  private resolveTools(tools: string[]): { layer1Tools: string[]; adapterTools: Array<[string, string]> } {
+    const layer1Tools: string[] = [];
+    const adapterTools: Array<[string, string]> = [];
+    const unknown: string[] = [];
+
+    for (const tool of new Set(tools.map(name => name.trim().toLowerCase()))) {
+      if (LAYER1_TOOLS[tool]) {
+        layer1Tools.push(tool);
+      } else if (this.registry().getAdapter(ADAPTER_ALIASES[tool] ?? tool)) {
+        adapterTools.push([tool, ADAPTER_ALIASES[tool] ?? tool]);
+      } else {
+        unknown.push(tool);
+      }
+    }
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown tool(s): ${unknown.join(', ')}. Available: ${this.getAvailableTools().join(', ')}`);
+    }
+    return { layer1Tools, adapterTools };
+  }
+
+  /**
+   * Tool names in toolOptions must be known, so a misspelt tool is not
+   * silently ignored
+   */
+  private checkToolOptions(toolOptions: AnalysisConfig['toolOptions']): void {
+    const unknown = Object.keys(toolOptions ?? {}).filter(tool =>
+      !LAYER1_TOOLS[tool] && !this.registry().getAdapter(ADAPTER_ALIASES[tool] ?? tool));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown tool(s) in toolOptions: ${unknown.join(', ')}. Available: ${this.getAvailableTools().join(', ')}`);
+    }
+  }
+
+  /**
+   * Whether a project-relative path is one of the files to analyze and
+   * passes the include and exclude globs
+   */
+  private inScope(relativePath: string, config: AnalysisConfig): boolean {
+    const normalized = relativePath.split(path.sep).join('/');
+    if (config.files && !config.files.includes(normalized)) {
+      return false;
+    }
+    if (config.include?.length && !config.include.some(glob => globToRegExp(glob).test(normalized))) {
+      return false;
+    }
+    return !config.exclude?.some(glob => globToRegExp(glob).test(normalized));
+  }
+
+  private filterPaths(issues: UnifiedIssue[], config: AnalysisConfig): UnifiedIssue[] {
+    if (!config.files && !config.include?.length && !config.exclude?.length) return issues;
+    return issues.filter(issue => this.inScope(issue.entity.canonicalPath, config));
+  }
+
+  /**
+   * Give each issue the severity of the first override it matches; the
+   * tool's own severity is kept in metadata.originalSeverity
+   */
+  private applySeverityOverrides(issues: UnifiedIssue[], overrides: SeverityOverride[]): UnifiedIssue[] {
+    if (overrides.length === 0) return issues;
+
+    const matchers = overrides.map(override => ({
+      override,
+      globs: override.paths?.length ? override.paths.map(globToRegExp) : null
+    }));
+    return issues.map(issue => {
+      const match = matchers.find(({ override, globs }) =>
+        (!override.tools?.length || override.tools.includes(issue.toolName)) &&
+        (!override.ruleIds?.length || override.ruleIds.includes(issue.ruleId)) &&
+        (!globs || globs.some(glob => glob.test(issue.entity.canonicalPath))));
+      if (!match || match.override.severity === issue.severity) return issue;
+
+      return new UnifiedIssue({
+        ...issue,
+        severity: match.override.severity,
+        metadata: { ...issue.metadata, originalSeverity: issue.severity }
+      });
+    });
+  }
+
+  private async runTool(
+    tool: string,
+    source: ToolSource,
+    normalizer: PathNormalizerLike,
+    execute: () => Promise<unknown>,
+    convert: (output: any) => UnifiedIssue[] = output => toUnifiedIssues(output, tool, normalizer)
+  ): Promise<[ToolRun, UnifiedIssue[]]> {
+    const started = Date.now();
+    try {
+      const output: any = await execute();
+      // Analyzers that catch their own errors report them in the output
+      if (output && (output.success === false || (output.error && !output.issues && !output.results))) {
+        throw new Error(String(output.error ?? 'tool reported failure'));
+      }
+      const issues = convert(output);
+      return [{ tool, source, status: 'ok', issueCount: issues.length, duration: Date.now() - started }, issues];
+    } catch (error) {
+      return [{
+        tool,
+        source,
+        status: 'failed',
+        issueCount: 0,
+        duration: Date.now() - started,
+        error: error instanceof Error ? error.message : String(error)
+      }, []];
+    }
+  }
+
+  /**
+   * Files flagged by at least `minToolCount` tools, plus the result's
+   * high-risk files, by descending severity score
+   */
+  private hotspots(unified: UnifiedAnalysisResult, minToolCount: number): Hotspot[] {
+    const highRisk = new Set(unified.hotspots.map(hotspot => hotspot.canonicalPath));
+    const byFile = new Map<string, UnifiedIssue[]>();
+    for (const issue of unified.issues) {
+      if (isSuppressed(issue)) continue;
+      const issues = byFile.get(issue.entity.canonicalPath) ?? [];
+      issues.push(issue);
+      byFile.set(issue.entity.canonicalPath, issues);
+    }
+
+    const hotspots: Hotspot[] = [];
+    for (const [filePath, issues] of byFile) {
+      const tools = Array.from(new Set(issues.flatMap(sourceTools))).sort();
+      if (tools.length < minToolCount && !highRisk.has(filePath)) continue;
+
+      hotspots.push({
+        filePath,
+        toolCount: tools.length,
+        issueCount: issues.length,
+        severityScore: issues.reduce((score, issue) => score + SEVERITY_WEIGHTS[issue.severity], 0),
+        tools,
+        issues
+      });
+    }
+
+    return hotspots.sort((a, b) => b.severityScore - a.severityScore || a.filePath.localeCompare(b.filePath));
+  }
+
+  /**
+   * Summary of the active (unsuppressed) issues
+   */
+  private summarize(issues: UnifiedIssue[], toolsUsed: string[]): AnalysisSummary {
+    const active = issues.filter(issue => !isSuppressed(issue));
+    const summary: AnalysisSummary = {
+      totalIssues: active.length,
+      totalFiles: new Set(active.map(issue => issue.entity.canonicalPath)).size,
+      toolsUsed,
+      severityBreakdown: { critical: 0, high: 0, medium: 0, low: 0, info: 0 },
+      analysisTypes: {}
+    };
+
+    for (const issue of active) {
+      summary.severityBreakdown[issue.severity]++;
+      summary.analysisTypes[issue.analysisType] = (summary.analysisTypes[issue.analysisType] ?? 0) + 1;
+    }
+    return summary;
+  }
+
+  /**
+   * Sources of flagged files, so the correlation engine can cluster by function
+   */
+  private fileContents(unified: UnifiedAnalysisResult): Map<string, string> | undefined {
+    const contents = new Map<string, string>();
+    for (const canonicalPath of unified.fileMetrics.keys()) {
+      const source = readSourceFromDisk(canonicalPath, unified.projectRoot);
+      if (source !== null) contents.set(canonicalPath, source);
+    }
+    return contents.size > 0 ? contents : undefined;
+  }
+
+  /**
+   * Layer 1 sources with only the requested analyzers constructed
+   */
+  private layer1Sources(tools: string[], config: AnalysisConfig): any {
+    if (this.layer1) return this.layer1;
+
+    // Layer1DataSources applies these again, so they must be this run's
+    const options: Record<string, any> = { settings: config.settings };
+    for (const [tool, definition] of Object.entries(LAYER1_TOOLS)) {
+      options[definition.key] = tools.includes(tool) ? (config.toolOptions?.[tool]?.config ?? {}) : false;
+    }
+
+    const Layer1DataSources = require('../analyzers/index');
+    return new Layer1DataSources(options);
+  }
+
+  private registry(): any {
+    if (!this.adapterRegistry) {
+      const SecureFormalMethodsRegistry = require('../analyzers/static-analysis-adapters/adapter-registry');
+      this.adapterRegistry = new SecureFormalMethodsRegistry();
+    }
+    return this.adapterRegistry;
+  }
+
+  private pathNormalizer(projectPath: string): PathNormalizerLike {
+    if (this.options.pathNormalizer) return this.options.pathNormalizer;
+
+    const PathNormalizer = require('../engines/path-normalizer');
+    return new PathNormalizer(projectPath);
+  }
+}
+
+/**
+ * Tools behind an issue, including those merged into it by deduplication
+ */
+function sourceTools(issue: UnifiedIssue): string[] {
+  return Array.isArray(issue.metadata.allTools) ? issue.metadata.allTools : [issue.toolName];
+}
+
+async function analyzerStatus(analyzer: any): Promise<{ available: boolean; detail?: string }> {
+  try {
+    if (typeof analyzer.healthCheck === 'function') {
+      const health = await analyzer.healthCheck();
+      return health?.healthy
+        ? { available: true, ...(health.version ? { detail: `version ${health.version}` } : {}) }
+        : { available: false, detail: (health?.issues ?? []).join('; ') || 'health check failed' };
+    }
+    if (typeof analyzer.isConfigured === 'function' && !analyzer.isConfigured()) {
+      return { available: false, detail: 'not configured' };
+    }
+    return { available: true };
+  } catch (error) {
+    return { available: false, detail: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+function required(options: Record<string, any>, tool: string, key: string): any {
+  if (options[key] === undefined || options[key] === '') {
+    throw new Error(`${tool} requires toolOptions.${tool}.${key}`);
+  }
+  return options[key];
+}
@@ -0,0 +1,237 @@
+/**
+ * Formal Verification Conversion
+ *
+ * Turns FormalVerificationResults into the unified model. Each property a
+ * tool refuted or left undecided becomes a UnifiedIssue with a FormalFinding
+ * (counterexample and symbolic paths included) in its metadata; each
+ * property proved by a sound method becomes a VerifiedRegion for its file.
+ *
+ * Adapters rarely give properties a line of their own, so it is read from
+ * the evidence, the counterexample, or a `file:line` in the specification,
+ * in that order. A proof without a line covers the whole file but is not
+ * held against other findings in it; an issue without one is a file-level
+ * issue.
+ */
+
+import {
+  UnifiedEntity,
+  UnifiedIssue,
+  IssueSeverity,
+  AnalysisType,
+  FORMAL_FINDING_METADATA_KEY,
+  FormalFinding,
+  FormalPropertyOutcome,
+  FormalTracePath,
+  VerifiedRegion
+} from '@topolop/shared-types';
+
+import {
+  FormalVerificationResult,
+  VerificationProperty
+} from '../analyzers/formal-verification-adapters/base-interfaces/formal-verification-types';
+import { PathNormalizerLike } from './tool-issues';
+
+export interface FormalVerificationMapping {
+  issues: UnifiedIssue[];
+  verifiedRegions: Array<{ canonicalPath: string; region: VerifiedRegion }>;
+}
+
+/**
+ * Short tool names for the adapters' display names
+ */
+const TOOL_NAMES: Record<string, string> = {
+  'CBMC Bounded Model Checker': 'cbmc',
+  'KLEE Symbolic Execution Engine': 'klee',
+  'Z3': 'z3',
+  'SMTChecker': 'smtchecker',
+  'Certora': 'certora',
+  'Kontrol': 'kontrol',
+  'JavaScript Formal Verifier': 'javascript-formal',
+  'Python Formal Verifier': 'python-formal',
+  'LLM-Assisted Specification Generator': 'llm-assisted'
+};
+
+const VIOLATION_SEVERITIES: Record<VerificationProperty['propertyType'], IssueSeverity> = {
+  security: IssueSeverity.CRITICAL,
+  safety: IssueSeverity.HIGH,
+  correctness: IssueSeverity.HIGH,
+  liveness: IssueSeverity.MEDIUM,
+  performance: IssueSeverity.MEDIUM
+};
+
+/**
+ * Confidence levels that make a passed property a proof
+ */
+const PROOF_CONFIDENCE = new Set(['mathematical_proof', 'high_confidence']);
+
+/**
+ * Convert formal verification results; results of a run that errored or
+ * timed out contribute issues for their refuted properties only
+ */
+export function formalVerificationIssues(
+  results: FormalVerificationResult[],
+  normalizer: PathNormalizerLike
+): FormalVerificationMapping {
+  const mapping: FormalVerificationMapping = { issues: [], verifiedRegions: [] };
+
+  for (const result of results) {
+    const toolName = formalToolName(result.toolName);
+    const rawPath = result.filePath || result.canonicalPath;
+    if (!rawPath) continue;
+    const normalized = normalizer.normalize(rawPath, toolName);
+    if (!normalized.normalized || !normalized.canonicalPath) continue;
+    const canonicalPath = normalized.canonicalPath;
+    const completed = result.status !== 'error' && result.status !== 'timeout';
+
+    result.properties.forEach((property, index) => {
+      const range = lineRangeOf(property, result);
+
+      if (property.verified) {
+        if (!completed || result.method === 'ai_assisted' || !PROOF_CONFIDENCE.has(property.confidence)) return;
+        mapping.verifiedRegions.push({
+          canonicalPath,
+          region: {
+            toolName,
+            propertyId: property.id,
+            propertyName: property.name,
+            propertyType: property.propertyType,
+            method: result.method,
+            confidence: property.confidence as VerifiedRegion['confidence'],
+            lineRange: range ?? { start: 1, end: -1 }
+          }
+        });
+        return;
+      }
+
+      const counterexample = counterexampleOf(property, result);
+      const outcome = outcomeOf(property, counterexample, result);
+      if (outcome === 'unknown' && !completed) return;
+
+      const finding: FormalFinding = {
+        propertyId: property.id,
+        propertyName: property.name,
+        propertyType: property.propertyType,
+        specification: property.specification,
+        outcome,
+        method: result.method,
+        confidence: property.confidence,
+        ...(counterexample !== undefined ? { counterexample } : {}),
+        ...(range ? { trace: tracesThrough(result, range.start) } : {})
+      };
+      if (finding.trace?.length === 0) delete finding.trace;
+
+      const entity = new UnifiedEntity(canonicalPath, rawPath, toolName);
+      entity.confidence = normalized.confidence;
+      mapping.issues.push(new UnifiedIssue({
+        id: `${toolName}-${result.id}-${property.id || index}`,
+        entity,
+        severity: severityOf(property, outcome, result),
+        analysisType: analysisTypeOf(property, result),
+        title: outcome === 'violated' ? `${property.name} violated` : `${property.name} not proven`,
+        description: describe(property, outcome, result),
+        ruleId: ruleIdOf(property),
+        line: range?.start ?? null,
+        endLine: range && range.end !== range.start ? range.end : null,
+        toolName,
+        metadata: {
+          originalPath: rawPath,
+          [FORMAL_FINDING_METADATA_KEY]: finding
+        }
+      }));
+    });
+  }
+
+  return mapping;
+}
+
+/**
+ * Short name of a formal verification tool, e.g. `cbmc` for "CBMC Bounded
+ * Model Checker"
+ */
+export function formalToolName(displayName: string): string {
+  return TOOL_NAMES[displayName] ?? displayName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * A refutation needs evidence: a counterexample, or a tool confident in
+ * its negative answer
+ */
+function outcomeOf(property: VerificationProperty, counterexample: unknown, result: FormalVerificationResult): FormalPropertyOutcome {
+  if (result.method === 'ai_assisted') return 'unknown';
+  if (counterexample !== undefined) return 'violated';
+  return PROOF_CONFIDENCE.has(property.confidence) ? 'violated' : 'unknown';
+}
+
+function severityOf(property: VerificationProperty, outcome: FormalPropertyOutcome, result: FormalVerificationResult): IssueSeverity {
+  if (outcome === 'violated') return VIOLATION_SEVERITIES[property.propertyType] ?? IssueSeverity.HIGH;
+  return result.method === 'ai_assisted' ? IssueSeverity.INFO : IssueSeverity.LOW;
+}
+
+function analysisTypeOf(property: VerificationProperty, result: FormalVerificationResult): AnalysisType {
+  if (result.method === 'ai_assisted') return AnalysisType.AI_POWERED;
+  if (property.propertyType === 'security') return AnalysisType.SECURITY;
+  if (property.propertyType === 'performance') return AnalysisType.PERFORMANCE;
+  return AnalysisType.SEMANTIC;
+}
+
+function describe(property: VerificationProperty, outcome: FormalPropertyOutcome, result: FormalVerificationResult): string {
+  const verdict = outcome === 'violated'
+    ? 'The property does not hold'
+    : `The property could not be proven (${result.status}, ${property.confidence.replace(/_/g, ' ')})`;
+  return `${property.description || property.name}\n${verdict}: ${property.specification}`;
+}
+
+/**
+ * Stable rule id from the property name, since property ids often carry
+ * run-specific path or counter values
+ */
+function ruleIdOf(property: VerificationProperty): string {
+  const slug = property.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `formal/${slug || property.propertyType}`;
+}
+
+/**
+ * The property's counterexample, or the result's when it names this
+ * property (CBMC reports one per run)
+ */
+function counterexampleOf(property: VerificationProperty, result: FormalVerificationResult): unknown {
+  if (property.counterexample !== undefined && property.counterexample !== null) return property.counterexample;
+  const reported = result.metadata?.counterexample;
+  if (reported && (reported.propertyId === undefined || reported.propertyId === property.id)) return reported;
+  return undefined;
+}
+
+function lineRangeOf(property: VerificationProperty, result: FormalVerificationResult): { start: number; end: number } | null {
+  const evidence = property.evidence ?? {};
+  const counterexample = counterexampleOf(property, result) as any;
+  const start = firstLine(
+    evidence.lineRange?.start, evidence.startLine, evidence.line, evidence.location?.line,
+    counterexample?.location?.line, counterexample?.line,
+    /:(\d+)(?::\d+)?\s*$/.exec(property.specification)?.[1]
+  );
+  if (start === null) return null;
+  const end = firstLine(evidence.lineRange?.end, evidence.endLine);
+  return { start, end: end !== null && end >= start ? end : start };
+}
+
+/**
+ * Feasible symbolic paths reaching a line
+ */
+function tracesThrough(result: FormalVerificationResult, line: number): FormalTracePath[] {
+  return (result.symbolicPaths ?? [])
+    .filter(symbolicPath => symbolicPath.feasible && symbolicPath.reachableLines.includes(line))
+    .map(symbolicPath => ({
+      pathId: symbolicPath.pathId,
+      pathCondition: symbolicPath.pathCondition,
+      testInputs: symbolicPath.testInputs,
+      lines: symbolicPath.reachableLines
+    }));
+}
+
+function firstLine(...values: unknown[]): number | null {
+  for (const value of values) {
+    const number = typeof value === 'string' ? Number(value) : value;
+    if (typeof number === 'number' && Number.isInteger(number) && number > 0) return number;
+  }
+  return null;
+}
@@ -0,0 +1,162 @@
+/**
+ * Incremental Analysis
+ *
+ * Keeps a UnifiedAnalysisResult current while files change. Only the
+ * changed files are re-analyzed (AnalysisConfig.files); their issues
+ * replace the earlier ones, and correlation groups, hotspots and
+ * suppressions are rebuilt over the merged issues.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import { UnifiedAnalysisResult, UnifiedIssue, VerifiedRegion } from '@topolop/shared-types';
+
+import { EnhancedCorrelationEngine } from '../engines/correlation-engine';
+import { AnalysisDiffEngine } from '../engines/diff-engine';
+import { matchesGlob } from '../suppression/glob';
+import { SuppressionEngine } from '../suppression/suppression-engine';
+import { AnalysisEngine, AnalysisRun, ToolRun } from './analysis-engine';
+import { AnalysisConfig } from './types';
+
+export interface IncrementalAnalysisOptions {
+  /** Apply the project's baseline, suppression file and inline suppressions (default true) */
+  suppressions?: boolean;
+}
+
+/**
+ * Outcome of re-analyzing changed files
+ */
+export interface IncrementalUpdate {
+  /** Project-relative files re-analyzed, sorted */
+  files: string[];
+  /** Issues now in each of those files; empty for clean or deleted files */
+  issuesByFile: Map<string, UnifiedIssue[]>;
+  result: UnifiedAnalysisResult;
+  tools: ToolRun[];
+}
+
+export class IncrementalAnalysis {
+  private readonly projectRoot: string;
+  private readonly config: AnalysisConfig;
+  private current: UnifiedAnalysisResult | null;
+
+  constructor(
+    private readonly engine: AnalysisEngine,
+    config: AnalysisConfig,
+    initial?: UnifiedAnalysisResult,
+    private readonly options: IncrementalAnalysisOptions = {}
+  ) {
+    this.projectRoot = path.resolve(config.projectPath);
+    // Written by the caller, if at all; not on every change
+    const { output: _output, files: _files, ...rest } = config;
+    this.config = options.suppressions === false ? { ...rest, suppressions: false } : rest;
+    this.current = initial ?? null;
+  }
+
+  get result(): UnifiedAnalysisResult | null {
+    return this.current;
+  }
+
+  /**
+   * Analyze the whole project and make it the current result
+   */
+  async full(): Promise<AnalysisRun> {
+    const run = await this.engine.run(this.config);
+    new AnalysisDiffEngine().annotate(run.unified);
+    this.current = run.unified;
+    return run;
+  }
+
+  /**
+   * Re-analyze changed files, given relative to the project root or absolute.
+   * Paths outside the project or its include/exclude globs, directories, and
+   * deleted files that had no issues are ignored (see filesToAnalyze());
+   * returns null when nothing is left to analyze.
+   */
+  async update(changedPaths: Iterable<string>): Promise<IncrementalUpdate | null> {
+    if (!this.current) {
+      await this.full();
+    }
+    const previous = this.current!;
+    const files = this.filesToAnalyze(changedPaths);
+    if (files.length === 0) return null;
+
+    const existing = files.filter(file => fs.existsSync(path.join(this.projectRoot, file)));
+    let fresh: UnifiedIssue[] = [];
+    let freshRegions = new Map<string, VerifiedRegion[]>();
+    let tools: ToolRun[] = [];
+    let metadata = previous.metadata;
+    if (existing.length > 0) {
+      // Edits do not change the history, so coupling and ownership are not mined again
+      const correlation = this.config.correlation && { ...this.config.correlation, logicalCoupling: false };
+      const run = await this.engine.run({
+        ...this.config,
+        files: existing,
+        ...(correlation ? { correlation } : {}),
+        ownership: false
+      });
+      new AnalysisDiffEngine().annotate(run.unified);
+      fresh = run.unified.issues;
+      freshRegions = run.unified.verifiedRegions();
+      tools = run.tools;
+      metadata = run.unified.metadata;
+    }
+
+    const changed = new Set(files);
+    const merged = new UnifiedAnalysisResult(this.projectRoot);
+    previous.issues.filter(issue => !changed.has(issue.entity.canonicalPath)).forEach(issue => merged.addIssue(issue));
+    fresh.forEach(issue => merged.addIssue(issue));
+    for (const [file, regions] of previous.verifiedRegions()) {
+      if (!changed.has(file)) regions.forEach(region => merged.addVerifiedRegion(file, region));
+    }
+    for (const [file, regions] of freshRegions) {
+      regions.forEach(region => merged.addVerifiedRegion(file, region));
+    }
+    merged.metadata = metadata;
+    merged.logicalCoupling = previous.logicalCoupling;
+    for (const [file, metrics] of previous.fileMetrics) {
+      if (metrics.ownership) merged.setOwnership(file, metrics.ownership);
+    }
+
+    if (this.config.correlation?.enabled !== false) {
+      merged.buildCorrelationGroups(this.config.correlation?.proximityThreshold);
+      merged.generateHotspots();
+      new EnhancedCorrelationEngine().applyFormalEvidence(merged.issues, merged.verifiedRegions());
+    }
+    if (this.options.suppressions !== false) {
+      SuppressionEngine.fromProject(this.projectRoot).apply(merged);
+    }
+
+    const issuesByFile = new Map<string, UnifiedIssue[]>(files.map(file => [file, []]));
+    for (const issue of merged.issues) {
+      issuesByFile.get(issue.entity.canonicalPath)?.push(issue);
+    }
+
+    this.current = merged;
+    return { files, issuesByFile, result: merged, tools };
+  }
+
+  /**
+   * The project-relative files update() would re-analyze for these changes
+   */
+  filesToAnalyze(changedPaths: Iterable<string>): string[] {
+    const known = new Set(this.current?.issues.map(issue => issue.entity.canonicalPath));
+    const files = new Set<string>();
+
+    for (const changedPath of changedPaths) {
+      const absolute = path.resolve(this.projectRoot, changedPath);
+      const relative = path.relative(this.projectRoot, absolute).split(path.sep).join('/');
+      if (!relative || relative === '..' || relative.startsWith('../') || path.isAbsolute(relative)) continue;
+      if (this.config.include?.length && !this.config.include.some(glob => matchesGlob(relative, glob))) continue;
+      if (this.config.exclude?.some(glob => matchesGlob(relative, glob))) continue;
+
+      const stats = fs.statSync(absolute, { throwIfNoEntry: false });
+      if (stats ? stats.isFile() : known.has(relative)) {
+        files.add(relative);
+      }
+    }
+
+    return Array.from(files).sort();
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Tool Output Conversion
+ *
+ * Turns the raw output of a Layer 1 analyzer or static-analysis adapter into
+ * UnifiedIssues with canonical paths. Outputs differ per tool, so findings
+ * are located by shape rather than by tool:
+ *
+ *   - `issues`, `results`, `findings` or `vulnerabilities` arrays
+ *   - ESLint-style `{ filePath, messages: [...] }` file results
+ *   - issues already in the unified model (`entity.canonicalPath`)
+ *
+ * and each finding's path, line, rule, message and severity are read from
+ * the field names the tools in this repo use.
+ */
+
+import {
+  UnifiedEntity,
+  UnifiedIssue,
+  IssueSeverity,
+  AnalysisType
+} from '@topolop/shared-types';
+
+/**
+ * The parts of engines/path-normalizer.js used here
+ */
+export interface PathNormalizerLike {
+  normalize(toolPath: string, toolName: string): {
+    canonicalPath: string | null;
+    confidence: number;
+    normalized: boolean;
+  };
+}
+
+const ISSUE_COLLECTIONS = ['issues', 'results', 'findings', 'vulnerabilities'];
+
+const SEVERITIES: Record<string, IssueSeverity> = {
+  blocker: IssueSeverity.CRITICAL,
+  critical: IssueSeverity.CRITICAL,
+  fatal: IssueSeverity.CRITICAL,
+  high: IssueSeverity.HIGH,
+  major: IssueSeverity.HIGH,
+  error: IssueSeverity.HIGH,
+  medium: IssueSeverity.MEDIUM,
+  moderate: IssueSeverity.MEDIUM,
+  warning: IssueSeverity.MEDIUM,
+  low: IssueSeverity.LOW,
+  minor: IssueSeverity.LOW,
+  note: IssueSeverity.LOW,
+  convention: IssueSeverity.LOW,
+  refactor: IssueSeverity.LOW,
+  info: IssueSeverity.INFO,
+  information: IssueSeverity.INFO,
+  none: IssueSeverity.INFO
+};
+
+const TYPES: Array<[RegExp, AnalysisType]> = [
+  [/security|vulnerab|taint|injection|cwe/i, AnalysisType.SECURITY],
+  [/perf/i, AnalysisType.PERFORMANCE],
+  [/complex/i, AnalysisType.COMPLEXITY],
+  [/style|format|convention/i, AnalysisType.STYLE],
+  [/circular|dependency|architecture/i, AnalysisType.ARCHITECTURE_DESIGN],
+  [/semantic|data.?flow/i, AnalysisType.SEMANTIC]
+];
+
+/**
+ * Analysis type of a tool's findings when they carry no category
+ */
+const TOOL_TYPES: Record<string, AnalysisType> = {
+  semgrep: AnalysisType.SECURITY,
+  veracode: AnalysisType.SECURITY,
+  checkmarx: AnalysisType.SECURITY,
+  'secure-bandit': AnalysisType.SECURITY,
+  codeql: AnalysisType.SEMANTIC,
+  deepsource: AnalysisType.AI_POWERED,
+  madge: AnalysisType.ARCHITECTURE_DESIGN,
+  'npm-audit': AnalysisType.DEPENDENCY_SECURITY,
+  osv: AnalysisType.DEPENDENCY_SECURITY,
+  packj: AnalysisType.DEPENDENCY_SECURITY,
+  'pip-audit': AnalysisType.DEPENDENCY_SECURITY,
+  safety: AnalysisType.DEPENDENCY_SECURITY,
+  retirejs: AnalysisType.DEPENDENCY_SECURITY
+};
+
+/**
+ * Convert one tool's output into unified issues. Findings without a file
+ * path are dropped.
+ */
+export function toUnifiedIssues(output: unknown, toolName: string, normalizer: PathNormalizerLike): UnifiedIssue[] {
+  const issues: UnifiedIssue[] = [];
+
+  findingsOf(output).forEach((finding, index) => {
+    const rawPath = firstString(
+      finding.location?.file, finding.location?.path, finding.entity?.canonicalPath,
+      finding.file, finding.filePath, finding.filename, finding.path, finding.component
+    );
+    if (!rawPath) return;
+
+    const normalized = normalizer.normalize(rawPath, toolName);
+    if (!normalized.normalized || !normalized.canonicalPath) return;
+    const canonicalPath = normalized.canonicalPath;
+
+    const line = firstNumber(finding.location?.line, finding.line, finding.line_number, finding.startLine, finding.start?.line);
+    const ruleId = firstString(
+      finding.rule?.key, finding.rule?.id, finding.rule, finding.ruleId,
+      finding.check_id, finding.test_id, finding.symbol, finding['message-id'], finding.code
+    ) ?? '';
+    const message = firstString(
+      finding.message, finding.issue_text, finding.description, finding.title, finding.rule?.name
+    ) ?? ruleId;
+
+    const entity = new UnifiedEntity(canonicalPath, rawPath, toolName);
+    entity.confidence = normalized.confidence;
+
+    issues.push(new UnifiedIssue({
+      id: `${toolName}-${firstString(finding.id) ?? index}`,
+      entity,
+      severity: severityOf(finding),
+      analysisType: analysisTypeOf(finding, toolName),
+      title: firstString(finding.title) ?? firstLine(message),
+      description: message,
+      ruleId,
+      line: line !== null && line > 0 ? line : null,
+      column: firstNumber(finding.location?.column, finding.column, finding.col_offset, finding.start?.col),
+      endLine: firstNumber(finding.location?.endLine, finding.endLine, finding.end?.line),
+      endColumn: firstNumber(finding.location?.endColumn, finding.endColumn, finding.end?.col),
+      toolName,
+      metadata: {
+        originalPath: rawPath,
+        ...(finding.fingerprint ? { toolFingerprint: finding.fingerprint } : {}),
+        ...(typeof finding.source === 'string' && finding.source ? { snippet: finding.source } : {})
+      }
+    }));
+  });
+
+  return issues;
+}
+
+/**
+ * Findings of a tool output, with ESLint-style file results flattened
+ */
+function findingsOf(output: any): any[] {
+  if (!output || typeof output !== 'object') return [];
+
+  let records: any[] = [];
+  if (Array.isArray(output)) {
+    records = output;
+  } else {
+    for (const key of ISSUE_COLLECTIONS) {
+      if (Array.isArray(output[key])) {
+        records = output[key];
+        break;
+      }
+    }
+  }
+
+  return records.flatMap(record => {
+    if (!record || typeof record !== 'object') return [];
+    if (Array.isArray(record.messages) && typeof record.filePath === 'string') {
+      return record.messages.map((message: any) => ({ ...message, filePath: record.filePath }));
+    }
+    return [record];
+  });
+}
+
+function severityOf(finding: any): IssueSeverity {
+  const raw = finding.severity ?? finding.issue_severity ?? finding.level ?? finding.type;
+
+  // ESLint: 2 = error, 1 = warning
+  if (typeof raw === 'number') {
+    return raw >= 2 ? IssueSeverity.HIGH : raw === 1 ? IssueSeverity.MEDIUM : IssueSeverity.INFO;
+  }
+  return (typeof raw === 'string' && SEVERITIES[raw.toLowerCase()]) || IssueSeverity.MEDIUM;
+}
+
+function analysisTypeOf(finding: any, toolName: string): AnalysisType {
+  const values = new Set<string>(Object.values(AnalysisType));
+  const hints = [finding.analysisType, finding.category, finding.type, ...(finding.categories ?? []), ...(finding.tags ?? [])]
+    .filter((hint): hint is string => typeof hint === 'string');
+
+  for (const hint of hints) {
+    if (values.has(hint)) return hint as AnalysisType;
+  }
+  for (const [pattern, type] of TYPES) {
+    if (hints.some(hint => pattern.test(hint))) return type;
+  }
+  return TOOL_TYPES[toolName] ?? AnalysisType.QUALITY;
+}
+
+function firstString(...values: unknown[]): string | null {
+  for (const value of values) {
+    if (typeof value === 'string' && value.length > 0) return value;
+    if (typeof value === 'number') return String(value);
+  }
+  return null;
+}
+
+function firstNumber(...values: unknown[]): number | null {
+  for (const value of values) {
+    const number = typeof value === 'string' ? Number(value) : value;
+    if (typeof number === 'number' && Number.isFinite(number)) return number;
+  }
+  return null;
+}
+
+function firstLine(text: string): string {
+  const line = text.split('\n')[0]!.trim();
+  return line.length > 120 ? `${line.slice(0, 117)}...` : line;
+}
@@ -1,4 +1,8 @@
-import { UnifiedIssue, UnifiedFileMetrics } from '@topolop/shared-types';
+import { IssueSeverity, UnifiedIssue, UnifiedFileMetrics } from '@topolop/shared-types';
+
+import { SimilarityThresholds } from '../engines/deduplication-engine';
+import { LogicalCouplingOptions } from '../engines/logical-coupling';
+import { OwnershipOptions } from '../engines/ownership-analyzer';
 
 /**
  * Analysis configuration
@@ -6,18 +10,50 @@ import { UnifiedIssue, UnifiedFileMetrics } from '@topolop/shared-types';
 export interface AnalysisConfig {
   projectPath: string;
   tools?: string[];
+  /** Per-tool settings; `config` is passed to the tool's analyzer, e.g. `{ sonarqube: { projectKey: 'app', config: {...} } }` */
+  toolOptions?: Record<string, Record<string, any>>;
+  /** Globs against project-relative paths; only issues in matching files are kept */
+  include?: string[];
+  /** Globs against project-relative paths; issues in matching files are dropped */
+  exclude?: string[];
+  /** Project-relative files to re-analyze; only these are given to adapters and only their issues are kept */
+  files?: string[];
+  /** First matching override sets an issue's severity */
+  severityOverrides?: SeverityOverride[];
   correlation?: CorrelationConfig;
   output?: OutputConfig;
+  /** Overrides for analyzers/config/default-config.js, applied by Layer1DataSources */
+  settings?: Record<string, any>;
+  /** Blame the project's files for ownership and bus factor (default false) */
+  ownership?: boolean | Omit<OwnershipOptions, 'gitReader'>;
+  /** Apply the project's baseline, suppression file and inline suppressions (default: the engine's option) */
+  suppressions?: boolean;
 }
 
 export interface CorrelationConfig {
-  enabled: boolean;
+  /** Default true */
+  enabled?: boolean;
   proximityThreshold?: number;
   minToolCount?: number;
+  /** Deduplication thresholds */
+  similarity?: Partial<SimilarityThresholds>;
+  /** Mine git history for files that change together (default false) */
+  logicalCoupling?: boolean | LogicalCouplingOptions;
+}
+
+/**
+ * Severity given to issues matching every criterion listed
+ */
+export interface SeverityOverride {
+  tools?: string[];
+  ruleIds?: string[];
+  /** Globs against project-relative paths */
+  paths?: string[];
+  severity: IssueSeverity;
 }
 
 export interface OutputConfig {
-  format?: 'json' | 'xml' | 'html';
+  format?: 'json' | 'xml' | 'html' | 'sarif';
   destination?: string;
   includeMetrics?: boolean;
 }
@@ -0,0 +1,125 @@
+/**
+ * Argument parsing for the `topolop` CLI
+ *
+ * Supports `--name value`, `--name=value`, boolean `--flag` / `--no-flag`
+ * and single-letter aliases. Options not declared by a command are usage
+ * errors rather than being silently ignored.
+ */
+
+import { IssueSeverity } from '@topolop/shared-types';
+
+import { UsageError } from './exit-codes';
+
+export interface OptionSpec {
+  name: string;
+  alias?: string;
+  /** Takes a value; otherwise a boolean flag */
+  value?: boolean;
+  description: string;
+}
+
+export interface ParsedArgs {
+  positionals: string[];
+  options: Record<string, string | boolean>;
+}
+
+export function parseArgs(args: string[], specs: OptionSpec[]): ParsedArgs {
+  const byName = new Map(specs.map(spec => [spec.name, spec]));
+  const byAlias = new Map(specs.filter(spec => spec.alias).map(spec => [spec.alias!, spec]));
+  const parsed: ParsedArgs = { positionals: [], options: {} };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]!;
+
+    if (arg === '--') {
+      parsed.positionals.push(...args.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      parsed.positionals.push(arg);
+      continue;
+    }
+
+    let name: string;
+    let inline: string | undefined;
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+      inline = eq === -1 ? undefined : arg.slice(eq + 1);
+    } else {
+      const spec = byAlias.get(arg.slice(1));
+      if (!spec) throw new UsageError(`Unknown option "${arg}"`);
+      name = spec.name;
+    }
+
+    const spec = byName.get(name);
+    const negated = name.startsWith('no-') ? byName.get(name.slice(3)) : undefined;
+    if (!spec && negated && !negated.value && inline === undefined) {
+      parsed.options[negated.name] = false;
+      continue;
+    }
+    if (!spec) {
+      throw new UsageError(`Unknown option "--${name}"`);
+    }
+
+    if (spec.value) {
+      const value = inline ?? args[++i];
+      if (value === undefined || (inline === undefined && value.startsWith('-'))) {
+        throw new UsageError(`Option "--${name}" requires a value`);
+      }
+      parsed.options[name] = value;
+    } else {
+      if (inline !== undefined) {
+        throw new UsageError(`Option "--${name}" does not take a value`);
+      }
+      parsed.options[name] = true;
+    }
+  }
+
+  return parsed;
+}
+
+export function stringOption(args: ParsedArgs, name: string): string | undefined {
+  const value = args.options[name];
+  return typeof value === 'string' ? value : undefined;
+}
+
+export function listOption(args: ParsedArgs, name: string): string[] | undefined {
+  const value = stringOption(args, name);
+  return value === undefined ? undefined : value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Severities from least to most severe
+ */
+export const SEVERITY_ORDER: IssueSeverity[] = [
+  IssueSeverity.INFO,
+  IssueSeverity.LOW,
+  IssueSeverity.MEDIUM,
+  IssueSeverity.HIGH,
+  IssueSeverity.CRITICAL
+];
+
+export function severityOption(args: ParsedArgs, name: string): IssueSeverity | undefined {
+  const value = stringOption(args, name);
+  if (value === undefined) return undefined;
+
+  const severity = SEVERITY_ORDER.find(candidate => candidate === value.toLowerCase());
+  if (!severity) {
+    throw new UsageError(`Option "--${name}" must be one of ${SEVERITY_ORDER.join(', ')}`);
+  }
+  return severity;
+}
+
+export function atLeast(severity: IssueSeverity, threshold: IssueSeverity): boolean {
+  return SEVERITY_ORDER.indexOf(severity) >= SEVERITY_ORDER.indexOf(threshold);
+}
+
+export function formatOptions(specs: OptionSpec[]): string {
+  const rows = specs.map(spec => {
+    const flag = `${spec.alias ? `-${spec.alias}, ` : '    '}--${spec.name}${spec.value ? ' <value>' : ''}`;
+    return [flag, spec.description] as const;
+  });
+  const width = Math.max(0, ...rows.map(([flag]) => flag.length));
+  return rows.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`).join('\n');
+}
@@ -0,0 +1,40 @@
+/**
+ * Subcommand contract and the context each subcommand runs in
+ */
+
+import * as path from 'path';
+
+import { AnalysisEngine } from '../api/analysis-engine';
+import { ProfileConfig } from '../config/project-config';
+import { DEFAULT_RESULT_FILE } from '../formats/result-file';
+import { OptionSpec, ParsedArgs } from './args';
+import { ExitCode } from './exit-codes';
+
+export interface CommandContext {
+  /** Project root (--project, default the working directory) */
+  projectRoot: string;
+  /** Project config with the selected profile applied */
+  config: ProfileConfig;
+  /** Config file in use, or null */
+  configPath: string | null;
+  engine: AnalysisEngine;
+  out(line?: string): void;
+  err(line?: string): void;
+}
+
+export interface Command {
+  name: string;
+  summary: string;
+  usage: string;
+  options: OptionSpec[];
+  /** Nested subcommands (`tools list`), replacing `run` */
+  subcommands?: Command[];
+  run?(context: CommandContext, args: ParsedArgs): Promise<ExitCode>;
+}
+
+/**
+ * Result file to read or write: explicit path, config `results`, or the default
+ */
+export function resultsPath(context: CommandContext, explicit?: string): string {
+  return path.resolve(context.projectRoot, explicit ?? context.config.results ?? DEFAULT_RESULT_FILE);
+}
@@ -0,0 +1,95 @@
+/**
+ * `topolop analyze` - run the configured tools and write unified results
+ */
+
+import * as path from 'path';
+
+import { isSuppressed } from '@topolop/shared-types';
+
+import { toAnalysisConfig } from '../../config/project-config';
+import { AnalysisDiffEngine } from '../../engines/diff-engine';
+import { SarifExporter } from '../../formats/sarif/sarif-exporter';
+import { writeResultFile } from '../../formats/result-file';
+import { atLeast, listOption, severityOption, stringOption } from '../args';
+import { Command, resultsPath } from '../command';
+import { ExitCode, UsageError } from '../exit-codes';
+
+export const analyzeCommand: Command = {
+  name: 'analyze',
+  summary: 'Run the selected tools and write unified results',
+  usage: 'topolop analyze [options]',
+  options: [
+    { name: 'tools', alias: 't', value: true, description: 'Comma-separated tools (default: config, else detected languages)' },
+    { name: 'output', alias: 'o', value: true, description: 'Result file (default: config "results" or .topolop/results.json)' },
+    { name: 'format', alias: 'f', value: true, description: 'Result file format: json (default) or sarif' },
+    { name: 'fail-on', value: true, description: 'Exit 1 when an active issue is at least this severe' },
+    { name: 'suppressions', description: 'Apply baseline and suppression files (default; --no-suppressions to skip)' }
+  ],
+
+  async run(context, args) {
+    const format = stringOption(args, 'format') ?? 'json';
+    if (format !== 'json' && format !== 'sarif') {
+      throw new UsageError('Option "--format" must be json or sarif');
+    }
+    const failOn = severityOption(args, 'fail-on');
+
+    const engine = context.engine;
+    const config = toAnalysisConfig(context.projectRoot, context.config);
+    if (args.options.suppressions === false) config.suppressions = false;
+    const tools = listOption(args, 'tools');
+    if (tools) config.tools = tools;
+    // Written below, once issues carry fingerprints
+    const output = config.output;
+    delete config.output;
+
+    context.err(`🔍 Analyzing ${context.projectRoot}`);
+    const run = await engine.run(config);
+
+    for (const tool of run.tools) {
+      const seconds = (tool.duration / 1000).toFixed(1);
+      context.err(tool.status === 'ok'
+        ? `✅ ${tool.tool}: ${tool.issueCount} issues (${seconds}s)`
+        : `❌ ${tool.tool}: ${tool.error}`);
+    }
+    if (run.tools.length > 0 && run.tools.every(tool => tool.status === 'failed')) {
+      context.err('❌ No tool completed');
+      return ExitCode.ERROR;
+    }
+
+    // Fingerprint while the sources are on disk, for later diffs
+    new AnalysisDiffEngine().annotate(run.unified);
+
+    const destination = resultsPath(context, stringOption(args, 'output'));
+    if (format === 'sarif') {
+      new SarifExporter().writeFile(run.unified, destination);
+    } else {
+      writeResultFile(run.unified, destination);
+    }
+    if (output?.destination) {
+      engine.writeOutput(run, { ...output, destination: path.resolve(context.projectRoot, output.destination) });
+    }
+
+    const { summary } = run.result;
+    const breakdown = Object.entries(summary.severityBreakdown)
+      .filter(([, count]) => count > 0)
+      .map(([severity, count]) => `${count} ${severity}`)
+      .join(', ');
+    context.out(`${summary.totalIssues} issues in ${summary.totalFiles} files${breakdown ? ` (${breakdown})` : ''}`);
+    if (run.unified.suppressionStats?.suppressedCount) {
+      context.out(`${run.unified.suppressionStats.suppressedCount} suppressed`);
+    }
+    context.out(`Results written to ${destination}`);
+    if (output?.destination) {
+      context.out(`Output written to ${output.destination}`);
+    }
+
+    if (failOn) {
+      const failing = run.unified.issues.filter(issue => !isSuppressed(issue) && atLeast(issue.severity, failOn));
+      if (failing.length > 0) {
+        context.err(`❌ ${failing.length} issues at or above ${failOn}`);
+        return ExitCode.FAILED;
+      }
+    }
+    return ExitCode.SUCCESS;
+  }
+};
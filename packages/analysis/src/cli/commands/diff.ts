@@ -0,0 +1,49 @@
+/**
+ * `topolop diff` - compare two result files
+ */
+
+import { VisualizationManager } from '@topolop/visualization';
+import { isSuppressed } from '@topolop/shared-types';
+
+import { AnalysisDiffEngine } from '../../engines/diff-engine';
+import { readResultFile } from '../../formats/result-file';
+import { atLeast, severityOption, stringOption } from '../args';
+import { Command, resultsPath } from '../command';
+import { ExitCode, UsageError } from '../exit-codes';
+import { activateStrategy } from './report';
+
+export const diffCommand: Command = {
+  name: 'diff',
+  summary: 'Compare two result files: new, fixed, moved and re-graded issues',
+  usage: 'topolop diff <previous-results> [current-results] [options]',
+  options: [
+    { name: 'strategy', alias: 's', value: true, description: 'Strategy rendering the diff (default: config, else console)' },
+    { name: 'output', alias: 'o', value: true, description: 'Output file for exporting strategies' },
+    { name: 'fail-on-new', value: true, description: 'Exit 1 when a new active issue is at least this severe' }
+  ],
+
+  async run(context, args) {
+    const [previousFile, currentFile] = args.positionals;
+    if (!previousFile) {
+      throw new UsageError('diff needs the previous result file');
+    }
+    const failOn = severityOption(args, 'fail-on-new');
+
+    const previous = readResultFile(resultsPath(context, previousFile), context.projectRoot);
+    const current = readResultFile(resultsPath(context, currentFile), context.projectRoot);
+    const delta = new AnalysisDiffEngine().diff(previous, current);
+
+    const manager = new VisualizationManager();
+    await activateStrategy(context, manager, stringOption(args, 'strategy'), stringOption(args, 'output'));
+    await manager.renderDiff(delta);
+
+    if (failOn) {
+      const failing = delta.newIssues.filter(entry => !isSuppressed(entry.issue) && atLeast(entry.issue.severity, failOn));
+      if (failing.length > 0) {
+        context.err(`❌ ${failing.length} new issues at or above ${failOn}`);
+        return ExitCode.FAILED;
+      }
+    }
+    return ExitCode.SUCCESS;
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * `topolop gate` - evaluate the quality gate over a result file
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import { QualityGateEngine } from '../../engines/quality-gate';
+import { readResultFile } from '../../formats/result-file';
+import { SuppressionEngine } from '../../suppression/suppression-engine';
+import { stringOption } from '../args';
+import { Command, resultsPath } from '../command';
+import { ExitCode, UsageError } from '../exit-codes';
+
+export const gateCommand: Command = {
+  name: 'gate',
+  summary: 'Evaluate the quality gate; exit 1 when it fails',
+  usage: 'topolop gate [results-file] [options]',
+  options: [
+    { name: 'previous', value: true, description: 'Earlier result file; "new" issues are those not in it (default: baseline)' },
+    { name: 'output', alias: 'o', value: true, description: 'Write the verdict as JSON to this file' },
+    { name: 'format', alias: 'f', value: true, description: 'Printed verdict: text (default) or json' },
+    { name: 'suppressions', description: 'Apply baseline and suppression files (default; --no-suppressions to keep the result\'s own)' }
+  ],
+
+  async run(context, args) {
+    const format = stringOption(args, 'format') ?? 'text';
+    if (format !== 'text' && format !== 'json') {
+      throw new UsageError('Option "--format" must be text or json');
+    }
+
+    const current = readResultFile(resultsPath(context, args.positionals[0]), context.projectRoot);
+    const previousFile = stringOption(args, 'previous');
+    const previous = previousFile ? readResultFile(path.resolve(context.projectRoot, previousFile), context.projectRoot) : undefined;
+
+    const suppressionEngine = args.options.suppressions === false ? undefined : SuppressionEngine.fromProject(context.projectRoot);
+    const verdict = new QualityGateEngine(context.config.qualityGate, { suppressionEngine }).evaluate(current, previous);
+
+    const output = stringOption(args, 'output');
+    if (output) {
+      const destination = path.resolve(context.projectRoot, output);
+      fs.mkdirSync(path.dirname(destination), { recursive: true });
+      fs.writeFileSync(destination, JSON.stringify(verdict, null, 2) + '\n', 'utf8');
+    }
+
+    if (format === 'json') {
+      context.out(JSON.stringify(verdict, null, 2));
+    } else {
+      const basis = verdict.basis === 'previous-run' ? 'compared with the previous run' : 'compared with the baseline';
+      context.out(`${verdict.status === 'passed' ? '✅ Quality gate passed' : '❌ Quality gate failed'} ` +
+        `(${verdict.counts.newIssues} new issues, ${basis})`);
+      for (const condition of verdict.conditions) {
+        context.out(`   ${condition.passed ? '✓' : '✗'} ${condition.description}: ${condition.actual} (max ${condition.threshold})`);
+        for (const detail of condition.details) {
+          context.out(`       ${detail}`);
+        }
+      }
+    }
+
+    return verdict.status === 'passed' ? ExitCode.SUCCESS : ExitCode.FAILED;
+  }
+};
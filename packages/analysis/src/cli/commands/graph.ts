@@ -0,0 +1,78 @@
+/**
+ * `topolop graph push` - store a result file in a graph-core database
+ */
+
+import * as path from 'path';
+
+import { DatabaseConfig, DatabaseBackend, createGraphDatabase } from '@topolop/graph-core';
+
+import { readResultFile } from '../../formats/result-file';
+import { AnalysisResultStore } from '../../persistence/analysis-result-store';
+import { stringOption } from '../args';
+import { Command, CommandContext, resultsPath } from '../command';
+import { ExitCode, UsageError } from '../exit-codes';
+
+const BACKENDS: DatabaseBackend[] = ['sqlite', 'neo4j', 'memory'];
+const DEFAULT_GRAPH_FILE = '.topolop/graph.db';
+
+const pushCommand: Command = {
+  name: 'push',
+  summary: 'Write a result file into graph-core',
+  usage: 'topolop graph push [results-file] [options]',
+  options: [
+    { name: 'backend', alias: 'b', value: true, description: 'sqlite (default), neo4j or memory' },
+    { name: 'db', value: true, description: `SQLite file (default: config, else ${DEFAULT_GRAPH_FILE})` },
+    { name: 'uri', value: true, description: 'Neo4j URI' },
+    { name: 'label', alias: 'l', value: true, description: 'Label stored with the run, e.g. a commit' },
+    { name: 'run-id', value: true, description: 'Run id (default: generated)' }
+  ],
+
+  async run(context, args) {
+    const result = readResultFile(resultsPath(context, args.positionals[0]), context.projectRoot);
+    const config = connection(context, stringOption(args, 'backend'), stringOption(args, 'db'), stringOption(args, 'uri'));
+
+    const db = createGraphDatabase(config.backend);
+    await db.connect(config);
+    try {
+      const store = new AnalysisResultStore(db);
+      await store.initialize();
+      const summary = await store.saveRun(result, {
+        runId: stringOption(args, 'run-id'),
+        label: stringOption(args, 'label')
+      });
+      context.out(`Stored run ${summary.runId}: ${summary.issueCount} issues, ${summary.fileCount} files, ` +
+        `${summary.correlationGroupCount} correlation groups, ${summary.hotspotCount} hotspots`);
+    } finally {
+      await db.disconnect();
+    }
+    return ExitCode.SUCCESS;
+  }
+};
+
+/**
+ * Connection from the config file with command-line overrides
+ */
+function connection(context: CommandContext, backend?: string, db?: string, uri?: string): DatabaseConfig {
+  const config: DatabaseConfig = { ...(context.config.graph ?? { backend: 'sqlite' }) };
+  if (backend) {
+    if (!BACKENDS.includes(backend as DatabaseBackend)) {
+      throw new UsageError(`Option "--backend" must be one of ${BACKENDS.join(', ')}`);
+    }
+    config.backend = backend as DatabaseBackend;
+  }
+  if (db) config.filePath = db;
+  if (uri) config.uri = uri;
+
+  if (config.backend === 'sqlite') {
+    config.filePath = path.resolve(context.projectRoot, config.filePath ?? DEFAULT_GRAPH_FILE);
+  }
+  return config;
+}
+
+export const graphCommand: Command = {
+  name: 'graph',
+  summary: 'Graph database operations',
+  usage: 'topolop graph push',
+  options: [],
+  subcommands: [pushCommand]
+};
@@ -0,0 +1,59 @@
+/**
+ * `topolop report` - render unified results through a visualization strategy
+ */
+
+import * as path from 'path';
+
+import { VisualizationManager } from '@topolop/visualization';
+
+import { readResultFile } from '../../formats/result-file';
+import { stringOption } from '../args';
+import { Command, CommandContext, resultsPath } from '../command';
+import { ExitCode, UsageError } from '../exit-codes';
+
+export const reportCommand: Command = {
+  name: 'report',
+  summary: 'Render results through a VisualizationManager strategy',
+  usage: 'topolop report [results-file] [options]',
+  options: [
+    { name: 'strategy', alias: 's', value: true, description: 'Strategy name (default: config, else console)' },
+    { name: 'output', alias: 'o', value: true, description: 'Output file for exporting strategies (json-export, web-dashboard)' },
+    { name: 'list', description: 'List the available strategies' }
+  ],
+
+  async run(context, args) {
+    const manager = new VisualizationManager();
+
+    if (args.options.list) {
+      for (const info of manager.getStrategyInfo()) {
+        context.out(`${info.available ? '✅' : '❌'} ${info.name.padEnd(14)} ${info.description}`);
+      }
+      return ExitCode.SUCCESS;
+    }
+
+    const result = readResultFile(resultsPath(context, args.positionals[0]), context.projectRoot);
+    await activateStrategy(context, manager, stringOption(args, 'strategy'), stringOption(args, 'output'));
+    await manager.render(result);
+    return ExitCode.SUCCESS;
+  }
+};
+
+/**
+ * Activate the requested (or configured) strategy; exporting strategies
+ * get their output file as container
+ */
+export async function activateStrategy(
+  context: CommandContext,
+  manager: VisualizationManager,
+  strategy?: string,
+  output?: string
+): Promise<void> {
+  const name = strategy ?? context.config.report?.strategy ?? 'console';
+  const available = manager.listAvailableStrategies();
+  if (!available.includes(name)) {
+    throw new UsageError(`Unknown or unavailable strategy "${name}". Available: ${available.join(', ')}`);
+  }
+
+  const destination = output ?? context.config.report?.destination;
+  await manager.setStrategy(name, destination ? path.resolve(context.projectRoot, destination) : 'console');
+}
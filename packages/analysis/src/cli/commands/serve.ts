@@ -0,0 +1,80 @@
+/**
+ * `topolop serve` - live dashboard re-analyzing files as they change
+ */
+
+import * as path from 'path';
+
+import { IncrementalAnalysis } from '../../api/incremental-analysis';
+import { toAnalysisConfig } from '../../config/project-config';
+import { readResultFile } from '../../formats/result-file';
+import { DEFAULT_LIVE_PORT, LiveAnalysisServer } from '../../server/live-server';
+import { listOption, stringOption } from '../args';
+import { Command } from '../command';
+import { ExitCode, UsageError } from '../exit-codes';
+
+export const serveCommand: Command = {
+  name: 'serve',
+  summary: 'Serve a live dashboard that re-analyzes changed files',
+  usage: 'topolop serve [options]',
+  options: [
+    { name: 'port', value: true, description: `Port to listen on (default ${DEFAULT_LIVE_PORT})` },
+    { name: 'host', value: true, description: 'Interface to listen on (default 127.0.0.1)' },
+    { name: 'allowed-hosts', value: true, description: 'Comma-separated host names the dashboard may be opened as, besides the host and localhost' },
+    { name: 'tools', alias: 't', value: true, description: 'Comma-separated tools (default: config, else detected languages)' },
+    { name: 'results', value: true, description: 'Start from this result file instead of a full analysis' },
+    { name: 'debounce', value: true, description: 'Milliseconds to wait after the last change (default 300)' }
+  ],
+
+  async run(context, args) {
+    const port = integerOption(stringOption(args, 'port'), 'port', 0, 65535);
+    const debounce = integerOption(stringOption(args, 'debounce'), 'debounce', 0, 60000);
+
+    const config = toAnalysisConfig(context.projectRoot, context.config);
+    const tools = listOption(args, 'tools');
+    if (tools) config.tools = tools;
+
+    const resultsFile = stringOption(args, 'results');
+    const initial = resultsFile ? readResultFile(path.resolve(context.projectRoot, resultsFile), context.projectRoot) : undefined;
+    const analysis = new IncrementalAnalysis(context.engine, config, initial);
+
+    if (!initial) {
+      context.err(`🔍 Analyzing ${context.projectRoot}`);
+      const run = await analysis.full();
+      context.err(`${run.unified.issues.length} issues in ${run.unified.fileMetrics.size} files`);
+    }
+
+    const server = new LiveAnalysisServer(analysis, context.projectRoot, {
+      ...(port !== undefined ? { port } : {}),
+      ...(debounce !== undefined ? { debounce } : {}),
+      ...(stringOption(args, 'host') ? { host: stringOption(args, 'host') } : {}),
+      ...(listOption(args, 'allowed-hosts') ? { allowedHosts: listOption(args, 'allowed-hosts') } : {}),
+      log: line => context.err(line)
+    });
+    const url = await server.start();
+    context.out(`🌐 Live dashboard at ${url} (city view at ${url}/city); watching ${context.projectRoot}`);
+    context.out('Press Ctrl+C to stop');
+
+    await new Promise<void>(resolve => {
+      const stop = () => {
+        process.off('SIGINT', stop);
+        process.off('SIGTERM', stop);
+        resolve();
+      };
+      process.on('SIGINT', stop);
+      process.on('SIGTERM', stop);
+    });
+
+    await server.close();
+    context.err('👋 Server stopped');
+    return ExitCode.SUCCESS;
+  }
+};
+
+function integerOption(value: string | undefined, name: string, min: number, max: number): number | undefined {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new UsageError(`Option "--${name}" must be an integer from ${min} to ${max}`);
+  }
+  return number;
+}
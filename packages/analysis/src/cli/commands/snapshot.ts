@@ -0,0 +1,129 @@
+/**
+ * `topolop snapshot` - render a result file as an SVG or PNG image
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import {
+  CITY_LAYOUT_VERSION,
+  CityLayout,
+  CitySnapshotRenderer,
+  SnapshotProjection,
+  SnapshotView,
+  renderScenePng,
+  sceneToSvg
+} from '@topolop/visualization';
+
+import { readResultFile } from '../../formats/result-file';
+import { ParsedArgs, stringOption } from '../args';
+import { Command, resultsPath } from '../command';
+import { ExitCode, UsageError } from '../exit-codes';
+
+export const DEFAULT_SNAPSHOT_FILE = '.topolop/city.svg';
+
+const PROJECTIONS: SnapshotProjection[] = ['isometric', 'orthographic', 'perspective'];
+
+export const snapshotCommand: Command = {
+  name: 'snapshot',
+  summary: 'Render results as a city or treemap image (SVG or PNG)',
+  usage: 'topolop snapshot [results-file] [options]',
+  options: [
+    { name: 'output', alias: 'o', value: true, description: `Image file (default ${DEFAULT_SNAPSHOT_FILE})` },
+    { name: 'format', alias: 'f', value: true, description: 'svg or png (default: from the output extension, else svg)' },
+    { name: 'view', value: true, description: 'city (default) or treemap' },
+    { name: 'width', value: true, description: 'Image width in pixels (default 1200)' },
+    { name: 'height', value: true, description: 'Image height in pixels (default 800)' },
+    { name: 'projection', value: true, description: 'isometric (default), orthographic or perspective' },
+    { name: 'azimuth', value: true, description: 'Camera degrees around the city (default 45)' },
+    { name: 'elevation', value: true, description: 'Camera degrees above the ground (default 35.26)' },
+    { name: 'zoom', value: true, description: 'Magnification over the fitted view (default 1)' },
+    { name: 'title', value: true, description: 'Title drawn above the city' },
+    { name: 'legend', description: 'Draw the legend (default; --no-legend to omit)' }
+  ],
+
+  async run(context, args) {
+    const output = stringOption(args, 'output') ?? DEFAULT_SNAPSHOT_FILE;
+    const format = stringOption(args, 'format') ?? (path.extname(output).toLowerCase() === '.png' ? 'png' : 'svg');
+    if (format !== 'svg' && format !== 'png') {
+      throw new UsageError('Option "--format" must be svg or png');
+    }
+
+    const view = stringOption(args, 'view') ?? 'city';
+    if (view !== 'city' && view !== 'treemap') {
+      throw new UsageError('Option "--view" must be city or treemap');
+    }
+
+    const projection = stringOption(args, 'projection');
+    if (projection !== undefined && !PROJECTIONS.includes(projection as SnapshotProjection)) {
+      throw new UsageError(`Option "--projection" must be one of ${PROJECTIONS.join(', ')}`);
+    }
+
+    const width = numberOption(args, 'width', value => Number.isInteger(value) && value >= 100 && value <= 8192);
+    const height = numberOption(args, 'height', value => Number.isInteger(value) && value >= 100 && value <= 8192);
+    const zoom = numberOption(args, 'zoom', value => value > 0);
+    const azimuth = numberOption(args, 'azimuth', Number.isFinite);
+    const elevation = numberOption(args, 'elevation', value => value >= 0 && value <= 90);
+    const title = stringOption(args, 'title');
+
+    const result = readResultFile(resultsPath(context, args.positionals[0]), context.projectRoot);
+    const destination = path.resolve(context.projectRoot, output);
+    const layoutFile = layoutPath(destination);
+    const previousLayout = readLayout(layoutFile);
+    const renderer = new CitySnapshotRenderer({
+      view: view as SnapshotView,
+      ...(width !== undefined ? { width } : {}),
+      ...(height !== undefined ? { height } : {}),
+      ...(title !== undefined ? { title } : {}),
+      legend: args.options.legend !== false,
+      camera: {
+        ...(projection !== undefined ? { projection: projection as SnapshotProjection } : {}),
+        ...(azimuth !== undefined ? { azimuth } : {}),
+        ...(elevation !== undefined ? { elevation } : {}),
+        ...(zoom !== undefined ? { zoom } : {})
+      },
+      ...(previousLayout ? { previousLayout } : {})
+    });
+
+    const scene = renderer.renderScene(result);
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.writeFileSync(destination, format === 'png' ? renderScenePng(scene) : sceneToSvg(scene));
+    fs.writeFileSync(layoutFile, `${JSON.stringify(scene.layout)}\n`);
+
+    context.out(`🖼️  ${view === 'city' ? 'City' : 'Treemap'} snapshot written to ${destination}`);
+    return ExitCode.SUCCESS;
+  }
+};
+
+/**
+ * The layout is kept next to the snapshot (city.svg: city.layout.json), so
+ * the next snapshot keeps buildings on their lots
+ */
+function layoutPath(destination: string): string {
+  return path.join(path.dirname(destination), `${path.basename(destination, path.extname(destination))}.layout.json`);
+}
+
+/**
+ * The previous snapshot's layout; a missing, unreadable or outdated one
+ * lays the city out afresh
+ */
+function readLayout(filePath: string): CityLayout | undefined {
+  try {
+    const layout = JSON.parse(fs.readFileSync(filePath, 'utf8')) as CityLayout;
+    return layout?.version === CITY_LAYOUT_VERSION && Array.isArray(layout.buildings) && Array.isArray(layout.districts)
+      ? layout
+      : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function numberOption(args: ParsedArgs, name: string, valid: (value: number) => boolean): number | undefined {
+  const option = stringOption(args, name);
+  if (option === undefined) return undefined;
+  const value = Number(option);
+  if (option.trim() === '' || !valid(value)) {
+    throw new UsageError(`Option "--${name}" has an invalid value "${option}"`);
+  }
+  return value;
+}
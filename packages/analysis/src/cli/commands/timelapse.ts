@@ -0,0 +1,77 @@
+/**
+ * `topolop timelapse` - export a city time-lapse of the git history
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import { UnifiedIssue } from '@topolop/shared-types';
+
+import { TimelapseGenerator } from '../../engines/timelapse-generator';
+import { readResultFile } from '../../formats/result-file';
+import { stringOption } from '../args';
+import { Command, resultsPath } from '../command';
+import { ExitCode, UsageError } from '../exit-codes';
+
+export const DEFAULT_TIMELAPSE_FILE = '.topolop/timelapse.json';
+
+export const timelapseCommand: Command = {
+  name: 'timelapse',
+  summary: 'Export city frames replaying the git history as JSON',
+  usage: 'topolop timelapse [options]',
+  options: [
+    { name: 'step', value: true, description: 'One frame per commit (default) or per week' },
+    { name: 'since', value: true, description: 'First day of history to replay (YYYY-MM-DD)' },
+    { name: 'until', value: true, description: 'Last day of history to replay (YYYY-MM-DD, default today)' },
+    { name: 'max-frames', value: true, description: 'Keep at most this many evenly spaced frames (default 300)' },
+    { name: 'results', value: true, description: 'Result file whose issues color the buildings (default: the results file, if any)' },
+    { name: 'output', alias: 'o', value: true, description: `Frame file (default ${DEFAULT_TIMELAPSE_FILE})` }
+  ],
+
+  async run(context, args) {
+    const step = stringOption(args, 'step') ?? 'commit';
+    if (step !== 'commit' && step !== 'week') {
+      throw new UsageError('Option "--step" must be commit or week');
+    }
+
+    const maxFramesOption = stringOption(args, 'max-frames');
+    const maxFrames = maxFramesOption === undefined ? undefined : Number(maxFramesOption);
+    if (maxFrames !== undefined && (!Number.isInteger(maxFrames) || maxFrames < 1)) {
+      throw new UsageError('Option "--max-frames" must be a positive integer');
+    }
+
+    const since = dateOption(stringOption(args, 'since'), 'since');
+    const until = dateOption(stringOption(args, 'until'), 'until');
+    const timeRange = since || until ? { start: since ?? new Date(0), end: until ?? new Date() } : undefined;
+
+    const resultsFile = resultsPath(context, stringOption(args, 'results'));
+    let issues: UnifiedIssue[] = [];
+    if (fs.existsSync(resultsFile)) {
+      issues = readResultFile(resultsFile, context.projectRoot).issues;
+    } else if (stringOption(args, 'results')) {
+      throw new UsageError(`Result file "${resultsFile}" not found`);
+    }
+
+    const timelapse = await new TimelapseGenerator({ step, ...(maxFrames ? { maxFrames } : {}) })
+      .generate(context.projectRoot, issues, timeRange);
+
+    const destination = path.resolve(context.projectRoot, stringOption(args, 'output') ?? DEFAULT_TIMELAPSE_FILE);
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.writeFileSync(destination, JSON.stringify(timelapse) + '\n', 'utf8');
+
+    const frames = timelapse.frames;
+    context.out(`🎞️  ${frames.length} frames ` +
+      (frames.length > 0 ? `from ${frames[0]!.date.slice(0, 10)} to ${frames[frames.length - 1]!.date.slice(0, 10)} ` : '') +
+      `written to ${destination}`);
+    return ExitCode.SUCCESS;
+  }
+};
+
+function dateOption(value: string | undefined, name: string): Date | undefined {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new UsageError(`Option "--${name}" must be a date (YYYY-MM-DD)`);
+  }
+  return date;
+}
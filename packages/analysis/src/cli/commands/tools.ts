@@ -0,0 +1,51 @@
+/**
+ * `topolop tools list|doctor` - known tools and whether they can run
+ */
+
+import { Command } from '../command';
+import { ExitCode } from '../exit-codes';
+
+const listCommand: Command = {
+  name: 'list',
+  summary: 'List the tools accepted by analyze',
+  usage: 'topolop tools list',
+  options: [],
+
+  async run(context) {
+    for (const status of await context.engine.checkTools()) {
+      context.out(`${status.tool.padEnd(24)} ${status.source}`);
+    }
+    return ExitCode.SUCCESS;
+  }
+};
+
+const doctorCommand: Command = {
+  name: 'doctor',
+  summary: 'Check that tools are installed and configured',
+  usage: 'topolop tools doctor [tool...]',
+  options: [],
+
+  async run(context, args) {
+    // Explicit or configured tools gate the exit code; a full survey does not
+    const configured = context.config.tools?.includes('*') ? undefined : context.config.tools;
+    const selected = args.positionals.length > 0 ? args.positionals : configured;
+    const statuses = await context.engine.checkTools(selected, context.config.toolOptions);
+
+    for (const status of statuses) {
+      const detail = status.detail ? ` (${status.detail})` : '';
+      context.out(`${status.available ? '✅' : '❌'} ${status.tool.padEnd(24)} ${status.source}${detail}`);
+    }
+
+    const missing = statuses.filter(status => !status.available);
+    context.out(`${statuses.length - missing.length}/${statuses.length} tools available`);
+    return selected && missing.length > 0 ? ExitCode.FAILED : ExitCode.SUCCESS;
+  }
+};
+
+export const toolsCommand: Command = {
+  name: 'tools',
+  summary: 'List tools or check their availability',
+  usage: 'topolop tools <list|doctor>',
+  options: [],
+  subcommands: [listCommand, doctorCommand]
+};
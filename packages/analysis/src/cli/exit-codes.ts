@@ -0,0 +1,24 @@
+/**
+ * Exit codes shared by every `topolop` subcommand, so CI jobs can tell a
+ * failed check from a broken setup
+ */
+export enum ExitCode {
+  /** Command succeeded and no threshold was exceeded */
+  SUCCESS = 0,
+  /** Command ran but a threshold was exceeded (--fail-on, doctor, ...) */
+  FAILED = 1,
+  /** Bad arguments or configuration */
+  USAGE = 2,
+  /** Runtime failure: unreadable input, unreachable database, no tool ran */
+  ERROR = 3
+}
+
+/**
+ * Error caused by the command line or config file rather than the analysis
+ */
+export class UsageError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
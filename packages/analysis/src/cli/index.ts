@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+
+/**
+ * `topolop` executable
+ */
+
+import { TopolopCLI } from './topolop-cli';
+
+export { TopolopCLI, COMMANDS } from './topolop-cli';
+export type { TopolopCLIOptions } from './topolop-cli';
+export type { Command, CommandContext } from './command';
+export { ExitCode, UsageError } from './exit-codes';
+
+if (require.main === module) {
+  new TopolopCLI().run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,181 @@
+/**
+ * Topolop CLI
+ *
+ * Single `topolop` entry point over the analysis engine, visualization
+ * strategies and graph-core. Every subcommand reads the same project config
+ * and returns an ExitCode, so CI jobs can gate on it.
+ */
+
+import * as path from 'path';
+
+import { AnalysisEngine } from '../api/analysis-engine';
+import { loadProjectConfig } from '../config/project-config';
+import { OptionSpec, formatOptions, parseArgs, stringOption } from './args';
+import { Command, CommandContext } from './command';
+import { ExitCode, UsageError } from './exit-codes';
+import { analyzeCommand } from './commands/analyze';
+import { diffCommand } from './commands/diff';
+import { gateCommand } from './commands/gate';
+import { graphCommand } from './commands/graph';
+import { reportCommand } from './commands/report';
+import { serveCommand } from './commands/serve';
+import { snapshotCommand } from './commands/snapshot';
+import { timelapseCommand } from './commands/timelapse';
+import { toolsCommand } from './commands/tools';
+
+const VERSION = '0.1.0';
+
+export const COMMANDS: Command[] = [
+  analyzeCommand,
+  reportCommand,
+  diffCommand,
+  gateCommand,
+  timelapseCommand,
+  snapshotCommand,
+  serveCommand,
+  toolsCommand,
+  graphCommand
+];
+
+const GLOBAL_OPTIONS: OptionSpec[] = [
+  { name: 'project', alias: 'p', value: true, description: 'Project root (default: working directory)' },
+  { name: 'config', alias: 'c', value: true, description: 'Config file (default: <project>/topolop.config.{js,json,yaml})' },
+  { name: 'profile', value: true, description: 'Config profile, e.g. ci, security or full' },
+  { name: 'help', alias: 'h', description: 'Show help' },
+  { name: 'version', description: 'Show version' }
+];
+
+export interface TopolopCLIOptions {
+  stdout?: (line: string) => void;
+  stderr?: (line: string) => void;
+  /** Engine shared by the subcommands (default: new AnalysisEngine()) */
+  engine?: AnalysisEngine;
+  cwd?: string;
+}
+
+export class TopolopCLI {
+  private readonly stdout: (line: string) => void;
+  private readonly stderr: (line: string) => void;
+  private readonly cwd: string;
+
+  constructor(private readonly options: TopolopCLIOptions = {}) {
+    this.stdout = options.stdout ?? (line => console.log(line));
+    this.stderr = options.stderr ?? (line => console.error(line));
+    this.cwd = options.cwd ?? process.cwd();
+  }
+
+  /**
+   * Run a command line (without node and script) and return its exit code
+   */
+  async run(argv: string[]): Promise<ExitCode> {
+    try {
+      return await this.dispatch(argv);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      if (error instanceof UsageError) {
+        this.stderr(`❌ ${message}`);
+        this.stderr('Run "topolop --help" for usage');
+        return ExitCode.USAGE;
+      }
+      this.stderr(`❌ ${message}`);
+      return ExitCode.ERROR;
+    }
+  }
+
+  private async dispatch(argv: string[]): Promise<ExitCode> {
+    // Walk down to the (sub)command; everything else is parsed as its options
+    let commands = COMMANDS;
+    let command: Command | undefined;
+    const rest = [...argv];
+    for (let i = 0; i < rest.length; i++) {
+      if (rest[i].startsWith('-')) {
+        if (takesValue(rest[i], [...GLOBAL_OPTIONS, ...(command?.options ?? [])])) i++;
+        continue;
+      }
+      const next = commands.find(candidate => candidate.name === rest[i]);
+      if (!next) break;
+      command = next;
+      rest.splice(i, 1);
+      i--;
+      if (!next.subcommands) break;
+      commands = next.subcommands;
+    }
+
+    const args = parseArgs(rest, [...GLOBAL_OPTIONS, ...(command?.options ?? [])]);
+
+    if (args.options.version) {
+      this.stdout(VERSION);
+      return ExitCode.SUCCESS;
+    }
+    if (!command) {
+      if (args.positionals.length > 0) {
+        throw new UsageError(`Unknown command "${args.positionals[0]}"`);
+      }
+      this.stdout(this.help());
+      return args.options.help ? ExitCode.SUCCESS : ExitCode.USAGE;
+    }
+    if (args.options.help || !command.run) {
+      this.stdout(this.commandHelp(command));
+      return args.options.help ? ExitCode.SUCCESS : ExitCode.USAGE;
+    }
+
+    const projectRoot = path.resolve(this.cwd, stringOption(args, 'project') ?? '.');
+    const explicitConfig = stringOption(args, 'config');
+    let loaded;
+    try {
+      loaded = loadProjectConfig(projectRoot, {
+        configPath: explicitConfig ? path.resolve(this.cwd, explicitConfig) : undefined,
+        profile: stringOption(args, 'profile') ?? process.env.TOPOLOP_PROFILE
+      });
+    } catch (error) {
+      throw new UsageError(error instanceof Error ? error.message : String(error));
+    }
+
+    const context: CommandContext = {
+      projectRoot,
+      config: loaded.config,
+      configPath: loaded.path,
+      engine: this.options.engine ?? new AnalysisEngine(),
+      out: (line = '') => this.stdout(line),
+      err: (line = '') => this.stderr(line)
+    };
+    return command.run(context, args);
+  }
+
+  private help(): string {
+    const width = Math.max(...COMMANDS.map(command => command.name.length));
+    return [
+      'Usage: topolop <command> [options]',
+      '',
+      'Commands:',
+      ...COMMANDS.map(command => `  ${command.name.padEnd(width)}  ${command.summary}`),
+      '',
+      'Global options:',
+      formatOptions(GLOBAL_OPTIONS),
+      '',
+      'Exit codes: 0 success, 1 threshold exceeded or gate failed, 2 usage or config error, 3 runtime error'
+    ].join('\n');
+  }
+
+  private commandHelp(command: Command): string {
+    const lines = [`Usage: ${command.usage}`, '', command.summary];
+    if (command.subcommands) {
+      const width = Math.max(...command.subcommands.map(sub => sub.name.length));
+      lines.push('', 'Commands:', ...command.subcommands.map(sub => `  ${sub.name.padEnd(width)}  ${sub.summary}`));
+    }
+    if (command.options.length > 0) {
+      lines.push('', 'Options:', formatOptions(command.options));
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Whether a separate-value option (`--project dir`, not `--project=dir`)
+ * consumes the next argument
+ */
+function takesValue(arg: string, specs: OptionSpec[]): boolean {
+  if (arg.includes('=')) return false;
+  const name = arg.replace(/^--?/, '');
+  return specs.some(spec => spec.value && (spec.name === name || spec.alias === name));
+}
@@ -0,0 +1,288 @@
+/**
+ * Config Schema
+ *
+ * Declarative schema for `topolop.config.*` and a validator that reports
+ * every problem with its key path. Objects are closed: an unknown key is an
+ * error naming the allowed keys, so a typo never silently disables a setting.
+ */
+
+import { AnalysisType, IssueSeverity } from '@topolop/shared-types';
+
+export type FieldSchema =
+  | { type: 'string'; enum?: readonly string[] }
+  | { type: 'number'; min?: number; max?: number; integer?: boolean }
+  | { type: 'boolean' }
+  | { type: 'array'; items: FieldSchema; minItems?: number }
+  /** Fixed keys; `required` keys must be present */
+  | { type: 'object'; properties: Record<string, FieldSchema>; required?: readonly string[] }
+  /** Free keys, each value matching `values` */
+  | { type: 'record'; values: FieldSchema }
+  /** Free-form value passed through to a tool */
+  | { type: 'any' };
+
+const SEVERITIES = Object.values(IssueSeverity) as string[];
+const ANALYSIS_TYPES = Object.values(AnalysisType) as string[];
+
+const stringList: FieldSchema = { type: 'array', items: { type: 'string' } };
+const ratio: FieldSchema = { type: 'number', min: 0, max: 1 };
+const count: FieldSchema = { type: 'number', min: 0, integer: true };
+
+function keyed(keys: string[], value: FieldSchema): FieldSchema {
+  return { type: 'object', properties: Object.fromEntries(keys.map(key => [key, value])) };
+}
+
+const ISSUE_COUNT_SCHEMA: FieldSchema = {
+  type: 'object',
+  properties: {
+    total: count,
+    severity: keyed(SEVERITIES, count),
+    type: keyed(ANALYSIS_TYPES, count)
+  }
+};
+
+export const QUALITY_GATE_SCHEMA: FieldSchema = {
+  type: 'object',
+  properties: {
+    newIssues: ISSUE_COUNT_SCHEMA,
+    issues: ISSUE_COUNT_SCHEMA,
+    maxHotspotRisk: { type: 'number', min: 0 },
+    correlationGroups: {
+      type: 'object',
+      properties: {
+        max: count,
+        minRiskScore: { type: 'number', min: 0 },
+        minTools: { type: 'number', min: 1, integer: true }
+      },
+      required: ['max']
+    },
+    dependencyVulnerabilities: ISSUE_COUNT_SCHEMA,
+    maxLicenseViolations: count
+  }
+};
+
+export const SIMILARITY_SCHEMA: FieldSchema = {
+  type: 'object',
+  properties: {
+    exactMatch: ratio,
+    nearMatch: ratio,
+    relatedMatch: ratio,
+    weakMatch: ratio
+  }
+};
+
+export const SEVERITY_OVERRIDE_SCHEMA: FieldSchema = {
+  type: 'object',
+  properties: {
+    tools: stringList,
+    ruleIds: stringList,
+    paths: stringList,
+    severity: { type: 'string', enum: SEVERITIES }
+  },
+  required: ['severity']
+};
+
+/**
+ * Everything a profile may set; the top level adds `profiles` itself
+ */
+const PROFILE_PROPERTIES: Record<string, FieldSchema> = {
+  tools: stringList,
+  toolOptions: { type: 'record', values: { type: 'record', values: { type: 'any' } } },
+  include: stringList,
+  exclude: stringList,
+  severityOverrides: { type: 'array', items: SEVERITY_OVERRIDE_SCHEMA },
+  correlation: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      proximityThreshold: { type: 'number', min: 0, integer: true },
+      minToolCount: { type: 'number', min: 1, integer: true },
+      similarity: SIMILARITY_SCHEMA
+    }
+  },
+  output: {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: ['json', 'sarif'] },
+      destination: { type: 'string' },
+      includeMetrics: { type: 'boolean' }
+    }
+  },
+  results: { type: 'string' },
+  report: {
+    type: 'object',
+    properties: {
+      strategy: { type: 'string' },
+      destination: { type: 'string' }
+    }
+  },
+  graph: {
+    type: 'object',
+    properties: {
+      backend: { type: 'string', enum: ['sqlite', 'neo4j', 'memory'] },
+      uri: { type: 'string' },
+      username: { type: 'string' },
+      password: { type: 'string' },
+      database: { type: 'string' },
+      filePath: { type: 'string' }
+    },
+    required: ['backend']
+  },
+  qualityGate: QUALITY_GATE_SCHEMA,
+  // Checked against analyzers/config/default-config.js by the loader
+  settings: { type: 'record', values: { type: 'any' } }
+};
+
+export const PROFILE_SCHEMA: FieldSchema = { type: 'object', properties: PROFILE_PROPERTIES };
+
+export const PROJECT_CONFIG_SCHEMA: FieldSchema = {
+  type: 'object',
+  properties: {
+    ...PROFILE_PROPERTIES,
+    profiles: { type: 'record', values: PROFILE_SCHEMA }
+  }
+};
+
+/**
+ * Problems with a value, one line per problem, e.g.
+ * `correlation.proximityTreshold: unknown key (did you mean "proximityThreshold"?)`
+ */
+export function validateConfig(value: unknown, schema: FieldSchema, keyPath: string = ''): string[] {
+  const problems: string[] = [];
+  check(value, schema, keyPath, problems);
+  return problems;
+}
+
+/**
+ * Problems with keys of `value` that are not in `shape`, at any depth;
+ * leaves of `shape` accept any value of the same kind
+ */
+export function validateAgainstShape(value: unknown, shape: Record<string, any>, keyPath: string): string[] {
+  const problems: string[] = [];
+  if (!isObject(value)) {
+    return [`${keyPath}: expected an object`];
+  }
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = `${keyPath}.${key}`;
+    if (!(key in shape)) {
+      problems.push(unknownKey(childPath, key, Object.keys(shape)));
+    } else if (isObject(shape[key])) {
+      problems.push(...validateAgainstShape(child, shape[key], childPath));
+    }
+  }
+  return problems;
+}
+
+function check(value: unknown, schema: FieldSchema, keyPath: string, problems: string[]): void {
+  const at = keyPath || '(root)';
+
+  switch (schema.type) {
+    case 'any':
+      return;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        problems.push(`${at}: expected a string, got ${describe(value)}`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${at}: must be one of ${schema.enum.join(', ')}, got "${value}"`);
+      }
+      return;
+
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        problems.push(`${at}: expected a number, got ${describe(value)}`);
+      } else if (schema.integer && !Number.isInteger(value)) {
+        problems.push(`${at}: expected an integer, got ${value}`);
+      } else if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+        problems.push(`${at}: must be between ${schema.min ?? '-∞'} and ${schema.max ?? '∞'}, got ${value}`);
+      }
+      return;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        problems.push(`${at}: expected true or false, got ${describe(value)}`);
+      }
+      return;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        problems.push(`${at}: expected an array, got ${describe(value)}`);
+        return;
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        problems.push(`${at}: needs at least ${schema.minItems} entries`);
+      }
+      value.forEach((item, index) => check(item, schema.items, `${keyPath}[${index}]`, problems));
+      return;
+
+    case 'record':
+      if (!isObject(value)) {
+        problems.push(`${at}: expected an object, got ${describe(value)}`);
+        return;
+      }
+      for (const [key, child] of Object.entries(value)) {
+        check(child, schema.values, join(keyPath, key), problems);
+      }
+      return;
+
+    case 'object':
+      if (!isObject(value)) {
+        problems.push(`${at}: expected an object, got ${describe(value)}`);
+        return;
+      }
+      for (const key of schema.required ?? []) {
+        if (value[key] === undefined) {
+          problems.push(`${join(keyPath, key)}: required`);
+        }
+      }
+      for (const [key, child] of Object.entries(value)) {
+        const property = schema.properties[key];
+        if (property) {
+          check(child, property, join(keyPath, key), problems);
+        } else {
+          problems.push(unknownKey(join(keyPath, key), key, Object.keys(schema.properties)));
+        }
+      }
+      return;
+  }
+}
+
+function unknownKey(keyPath: string, key: string, allowed: string[]): string {
+  const suggestion = allowed
+    .map(candidate => ({ candidate, distance: editDistance(key.toLowerCase(), candidate.toLowerCase()) }))
+    .filter(({ distance }) => distance <= Math.max(2, Math.floor(key.length / 4)))
+    .sort((a, b) => a.distance - b.distance)[0];
+
+  return suggestion
+    ? `${keyPath}: unknown key (did you mean "${suggestion.candidate}"?)`
+    : `${keyPath}: unknown key (allowed: ${allowed.join(', ')})`;
+}
+
+function editDistance(a: string, b: string): number {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j]! + 1,
+        current[j - 1]! + 1,
+        previous[j - 1]! + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length]!;
+}
+
+function isObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function describe(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return typeof value === 'string' ? `"${value}"` : typeof value;
+}
+
+function join(keyPath: string, key: string): string {
+  return keyPath ? `${keyPath}.${key}` : key;
+}
@@ -0,0 +1,259 @@
+/**
+ * Project Configuration
+ *
+ * `topolop.config.(js|json|yaml)` at the project root, shared by the
+ * `topolop` CLI, AnalysisEngine callers and Layer1DataSources:
+ *
+ *   {
+ *     "tools": ["semgrep", "eslint"],
+ *     "toolOptions": { "sonarqube": { "projectKey": "app" } },
+ *     "include": ["src/**"],
+ *     "exclude": ["src/vendor/**"],
+ *     "severityOverrides": [{ "tools": ["eslint"], "ruleIds": ["no-console"], "severity": "info" }],
+ *     "correlation": { "enabled": true, "proximityThreshold": 5, "similarity": { "nearMatch": 0.9 } },
+ *     "output": { "format": "sarif", "destination": "topolop.sarif" },
+ *     "results": ".topolop/results.json",
+ *     "report": { "strategy": "web-dashboard", "destination": "topolop-report.html" },
+ *     "graph": { "backend": "sqlite", "filePath": ".topolop/graph.db" },
+ *     "qualityGate": { "newIssues": { "severity": { "critical": 0, "high": 0 } }, "maxLicenseViolations": 0 },
+ *     "settings": { "cache": { "enabled": false } },
+ *     "profiles": { "ci": { "output": { "destination": "ci/topolop.sarif" } } }
+ *   }
+ *
+ * A profile is a partial config merged over the top level: objects merge,
+ * everything else replaces. The built-in `ci`, `security` and `full`
+ * profiles can be refined under `profiles` in the file.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import { DatabaseConfig } from '@topolop/graph-core';
+
+import { AnalysisConfig, CorrelationConfig, OutputConfig, SeverityOverride } from '../api/types';
+import { QualityGateConfig } from '../engines/quality-gate';
+import { PROJECT_CONFIG_SCHEMA, validateAgainstShape, validateConfig } from './config-schema';
+
+export const PROJECT_CONFIG_FILES = [
+  'topolop.config.js',
+  'topolop.config.json',
+  'topolop.config.yaml',
+  'topolop.config.yml'
+];
+
+/**
+ * Tools that need no server or account
+ */
+export const SECURITY_TOOLS = ['semgrep', 'bandit', 'npm-audit', 'osv', 'pip-audit', 'safety', 'retirejs'];
+
+export const BUILTIN_PROFILES: Record<string, ProfileConfig> = {
+  ci: {
+    output: { format: 'sarif', destination: '.topolop/results.sarif' },
+    report: { strategy: 'console' }
+  },
+  security: {
+    tools: SECURITY_TOOLS
+  },
+  full: {
+    // Every tool AnalysisEngine knows
+    tools: ['*'],
+    correlation: { enabled: true, minToolCount: 2 }
+  }
+};
+
+export interface ReportConfig {
+  /** VisualizationManager strategy name */
+  strategy?: string;
+  /** Output file for exporting strategies */
+  destination?: string;
+}
+
+export interface ProfileConfig {
+  /** Tools to run; `*` runs every known tool */
+  tools?: string[];
+  /** Per-tool options, keyed by tool name */
+  toolOptions?: Record<string, Record<string, any>>;
+  /** Globs; only issues in matching files are kept */
+  include?: string[];
+  /** Globs; issues in matching files are dropped */
+  exclude?: string[];
+  severityOverrides?: SeverityOverride[];
+  correlation?: CorrelationConfig;
+  output?: OutputConfig;
+  /** Unified result file written by analyze and read by the other commands */
+  results?: string;
+  report?: ReportConfig;
+  /** graph-core connection for `graph push` */
+  graph?: DatabaseConfig;
+  /** Conditions for `topolop gate` (default: no new critical or high issues) */
+  qualityGate?: QualityGateConfig;
+  /** Overrides for analyzers/config/default-config.js (timeouts, cache, paths, ...) */
+  settings?: Record<string, any>;
+}
+
+export interface ProjectConfig extends ProfileConfig {
+  profiles?: Record<string, ProfileConfig>;
+}
+
+export interface LoadedProjectConfig {
+  /** Config with the selected profile applied */
+  config: ProfileConfig;
+  /** File the config was read from, or null when none exists */
+  path: string | null;
+  profile: string | null;
+}
+
+export interface LoadProjectConfigOptions {
+  /** Explicit config file instead of the project's own */
+  configPath?: string;
+  /** Profile to apply */
+  profile?: string;
+}
+
+/**
+ * Invalid config file; `problems` lists each error with its key path
+ */
+export class ConfigError extends Error {
+  constructor(readonly file: string, readonly problems: string[]) {
+    super(`Invalid config ${file}:\n  ${problems.join('\n  ')}`);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Config file in a project root, if any
+ */
+export function findProjectConfig(projectRoot: string): string | null {
+  for (const name of PROJECT_CONFIG_FILES) {
+    const candidate = path.resolve(projectRoot, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Load an explicit config file, or the project's own one, and apply a
+ * profile; a project without a config file gets an empty config
+ */
+export function loadProjectConfig(projectRoot: string, options: LoadProjectConfigOptions = {}): LoadedProjectConfig {
+  const file = options.configPath ? path.resolve(options.configPath) : findProjectConfig(projectRoot);
+  if (file && !fs.existsSync(file)) {
+    throw new Error(`Config file "${options.configPath}" not found`);
+  }
+
+  const raw = file ? readConfigFile(file) : {};
+  const config = validateProjectConfig(raw, file ?? '(defaults)');
+  return {
+    config: options.profile ? applyProfile(config, options.profile) : withoutProfiles(config),
+    path: file,
+    profile: options.profile ?? null
+  };
+}
+
+/**
+ * Parse a config file by extension; `.js` files export the config object
+ */
+export function readConfigFile(file: string): unknown {
+  const extension = path.extname(file).toLowerCase();
+  try {
+    if (extension === '.js' || extension === '.cjs') {
+      delete require.cache[require.resolve(file)];
+      const exported = require(file);
+      return exported?.default ?? exported;
+    }
+
+    const text = fs.readFileSync(file, 'utf8');
+    if (extension === '.yaml' || extension === '.yml') {
+      // Loaded lazily so JSON-only projects do not need js-yaml
+      const yaml = require('js-yaml');
+      return yaml.load(text) ?? {};
+    }
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError(file, [error instanceof Error ? error.message : String(error)]);
+  }
+}
+
+/**
+ * Check a parsed config against the schema, including `settings` keys;
+ * throws a ConfigError listing every problem
+ */
+export function validateProjectConfig(raw: unknown, file: string): ProjectConfig {
+  const problems = validateConfig(raw, PROJECT_CONFIG_SCHEMA);
+  if (problems.length === 0) {
+    const config = raw as ProjectConfig;
+    const sections: Array<[string, Record<string, any> | undefined]> = [
+      ['settings', config.settings],
+      ...Object.entries(config.profiles ?? {}).map(([name, profile]): [string, Record<string, any> | undefined] =>
+        [`profiles.${name}.settings`, profile.settings])
+    ];
+    for (const [keyPath, settings] of sections) {
+      if (!settings) continue;
+      const { defaultConfig } = require('../analyzers/config/default-config');
+      problems.push(...validateAgainstShape(settings, defaultConfig, keyPath));
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(file, problems);
+  }
+  return raw as ProjectConfig;
+}
+
+/**
+ * Names of the profiles a config can select
+ */
+export function profileNames(config: ProjectConfig): string[] {
+  return Array.from(new Set([...Object.keys(BUILTIN_PROFILES), ...Object.keys(config.profiles ?? {})])).sort();
+}
+
+/**
+ * Config with a named profile merged over its top level; the file's own
+ * definition of a built-in profile is merged over the built-in one
+ */
+export function applyProfile(config: ProjectConfig, name: string): ProfileConfig {
+  const builtin = BUILTIN_PROFILES[name];
+  const own = config.profiles?.[name];
+  if (!builtin && !own) {
+    throw new Error(`Unknown profile "${name}". Available: ${profileNames(config).join(', ')}`);
+  }
+
+  let merged = withoutProfiles(config);
+  if (builtin) merged = merge(merged, builtin);
+  if (own) merged = merge(merged, own);
+  return merged;
+}
+
+/**
+ * AnalysisConfig for a project from its project config
+ */
+export function toAnalysisConfig(projectPath: string, config: ProfileConfig): AnalysisConfig {
+  return {
+    projectPath,
+    ...(config.tools ? { tools: config.tools } : {}),
+    ...(config.toolOptions ? { toolOptions: config.toolOptions } : {}),
+    ...(config.include ? { include: config.include } : {}),
+    ...(config.exclude ? { exclude: config.exclude } : {}),
+    ...(config.severityOverrides ? { severityOverrides: config.severityOverrides } : {}),
+    ...(config.correlation ? { correlation: config.correlation } : {}),
+    ...(config.output ? { output: config.output } : {}),
+    ...(config.settings ? { settings: config.settings } : {})
+  };
+}
+
+function withoutProfiles(config: ProjectConfig): ProfileConfig {
+  const { profiles: _profiles, ...rest } = config;
+  return rest;
+}
+
+function merge<T extends Record<string, any>>(base: T, override: Record<string, any>): T {
+  const merged: Record<string, any> = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? merge(merged[key], value) : value;
+  }
+  return merged as T;
+}
+
+function isPlainObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
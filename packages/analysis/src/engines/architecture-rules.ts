@@ -0,0 +1,542 @@
+/**
+ * Architecture Rules
+ *
+ * Declarative rules checked against the import graph. A rules file
+ * declares layers and components by project-relative globs, then rules
+ * between them:
+ *
+ * - `allowed`: files of `from` may only import files of `to` (or of `from`
+ *   itself); files of no layer or component are not checked
+ * - `forbidden`: files of `from` may not import files of `to`, or with
+ *   `transitive` not reach them through any chain of imports
+ * - `facade`: files outside a component may only import its `via` files
+ * - `no-cycles`: no runtime import cycles within the `scope` elements (the
+ *   whole project without one)
+ * - `public-api`: other packages may only import a package's `entryPoints`,
+ *   globs relative to the package directory
+ *
+ * Type-only imports count unless a rule sets `ignoreTypeOnly`; cycles are
+ * always checked on runtime imports. Each violation carries the chain of
+ * imports that breaks the rule.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import {
+  AnalysisType,
+  ArchitectureIssue,
+  IssueSeverity,
+  UnifiedEntity,
+  UnifiedIssue
+} from '@topolop/shared-types';
+
+import { matchesGlob } from '../suppression/glob';
+import { ImportGraph } from './import-graph';
+
+export const ARCHITECTURE_RULES_FILE_VERSION = 1;
+
+export const DEFAULT_ARCHITECTURE_RULES_FILE = '.topolop-architecture.json';
+
+/**
+ * Tool name on the issues rule violations become
+ */
+export const ARCHITECTURE_RULES_TOOL_NAME = 'Architecture Rules Analyzer';
+
+export interface ArchitectureElement {
+  name: string;
+  /** Globs against project-relative paths */
+  paths: string[];
+}
+
+interface RuleBase {
+  id: string;
+  /** Default high */
+  severity?: IssueSeverity;
+  /** Shown with each violation */
+  description?: string;
+  ignoreTypeOnly?: boolean;
+}
+
+export interface AllowedDependencyRule extends RuleBase {
+  type: 'allowed';
+  from: string;
+  to: string[];
+}
+
+export interface ForbiddenDependencyRule extends RuleBase {
+  type: 'forbidden';
+  from: string[];
+  to: string[];
+  transitive?: boolean;
+}
+
+export interface FacadeRule extends RuleBase {
+  type: 'facade';
+  component: string;
+  /** Globs against project-relative paths */
+  via: string[];
+}
+
+export interface NoCyclesRule extends RuleBase {
+  type: 'no-cycles';
+  scope: string[];
+}
+
+export interface PublicApiRule extends RuleBase {
+  type: 'public-api';
+  package: string;
+  /** Globs against paths relative to the package directory */
+  entryPoints: string[];
+}
+
+export type ArchitectureRule = AllowedDependencyRule | ForbiddenDependencyRule | FacadeRule | NoCyclesRule | PublicApiRule;
+
+export interface ArchitectureRulesFile {
+  version: number;
+  layers: ArchitectureElement[];
+  components: ArchitectureElement[];
+  rules: ArchitectureRule[];
+}
+
+/**
+ * One import of a violation's chain, between project-relative files
+ */
+export interface ImportChainStep {
+  from: string;
+  to: string;
+  specifier: string;
+  line: number;
+  typeOnly: boolean;
+}
+
+export interface ArchitectureRuleViolation {
+  ruleId: string;
+  ruleType: ArchitectureRule['type'];
+  severity: IssueSeverity;
+  /** Project-relative file the chain starts from */
+  file: string;
+  line: number;
+  message: string;
+  /** Imports from `file` to the offending file; for cycles, back to `file` */
+  chain: ImportChainStep[];
+}
+
+interface ProjectEdge extends ImportChainStep {
+  /** Absolute resolved file */
+  target: string;
+  packageName?: string;
+}
+
+const RULE_TYPES: ReadonlyArray<ArchitectureRule['type']> = ['allowed', 'forbidden', 'facade', 'no-cycles', 'public-api'];
+
+const SEVERITIES: ReadonlyArray<string> = Object.values(IssueSeverity);
+
+const DEBT_LEVELS: Record<IssueSeverity, ArchitectureIssue['technicalDebtLevel']> = {
+  [IssueSeverity.CRITICAL]: 'critical',
+  [IssueSeverity.HIGH]: 'high',
+  [IssueSeverity.MEDIUM]: 'medium',
+  [IssueSeverity.LOW]: 'low',
+  [IssueSeverity.INFO]: 'low'
+};
+
+export class ArchitectureRules {
+  private readonly elements: ArchitectureElement[];
+  private readonly membership = new Map<string, Set<string>>();
+
+  constructor(readonly file: ArchitectureRulesFile, readonly source?: string) {
+    this.elements = [...file.layers, ...file.components];
+  }
+
+  /**
+   * Validate rules as read from JSON; names may be given as a string or an
+   * array of strings
+   */
+  static parse(data: any, source = 'architecture rules'): ArchitectureRules {
+    const fail = (problem: string): never => {
+      throw new Error(`${source}: ${problem}`);
+    };
+
+    if (data?.version !== ARCHITECTURE_RULES_FILE_VERSION) {
+      fail(`unsupported architecture rules version ${data?.version}`);
+    }
+
+    const names = new Set<string>();
+    const elements = (key: 'layers' | 'components'): ArchitectureElement[] => {
+      const list = data[key] ?? [];
+      if (!Array.isArray(list)) fail(`"${key}" must be an array`);
+      return list.map((element: any, index: number) => {
+        if (typeof element?.name !== 'string' || element.name.trim().length === 0) {
+          fail(`${key}[${index}] needs a "name"`);
+        }
+        if (names.has(element.name)) fail(`duplicate layer or component "${element.name}"`);
+        names.add(element.name);
+        return { name: element.name, paths: strings(element.paths, `${key}[${index}] ("${element.name}") "paths"`, fail, true) };
+      });
+    };
+    const layers = elements('layers');
+    const components = elements('components');
+
+    if (!Array.isArray(data.rules)) fail('"rules" must be an array');
+    const ids = new Set<string>();
+    const allowedFrom = new Set<string>();
+    const rules = data.rules.map((rule: any, index: number): ArchitectureRule => {
+      if (typeof rule?.id !== 'string' || rule.id.trim().length === 0) fail(`rules[${index}] needs an "id"`);
+      if (ids.has(rule.id)) fail(`duplicate rule id "${rule.id}"`);
+      ids.add(rule.id);
+
+      const at = `rules[${index}] ("${rule.id}")`;
+      if (!RULE_TYPES.includes(rule.type)) fail(`${at} "type" must be one of ${RULE_TYPES.join(', ')}`);
+      if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+        fail(`${at} "severity" must be one of ${SEVERITIES.join(', ')}`);
+      }
+      const elementNames = (key: string, required: boolean) => {
+        const list = strings(rule[key], `${at} "${key}"`, fail, required);
+        const unknown = list.find(name => !names.has(name));
+        if (unknown) fail(`${at} names unknown layer or component "${unknown}"`);
+        return list;
+      };
+
+      const base: RuleBase = {
+        id: rule.id,
+        ...(rule.severity ? { severity: rule.severity } : {}),
+        ...(typeof rule.description === 'string' ? { description: rule.description } : {}),
+        ...(rule.ignoreTypeOnly ? { ignoreTypeOnly: true } : {})
+      };
+      switch (rule.type as ArchitectureRule['type']) {
+        case 'allowed': {
+          if (typeof rule.from !== 'string') fail(`${at} "from" must name one layer or component`);
+          const [from] = elementNames('from', true);
+          if (allowedFrom.has(from!)) fail(`${at} repeats the allowed dependencies of "${from}"`);
+          allowedFrom.add(from!);
+          return { ...base, type: 'allowed', from: from!, to: elementNames('to', false) };
+        }
+        case 'forbidden':
+          return {
+            ...base,
+            type: 'forbidden',
+            from: elementNames('from', true),
+            to: elementNames('to', true),
+            ...(rule.transitive ? { transitive: true } : {})
+          };
+        case 'facade': {
+          const [component] = elementNames('component', true);
+          if (!components.some(element => element.name === component)) fail(`${at} "component" must name a component`);
+          return { ...base, type: 'facade', component: component!, via: strings(rule.via, `${at} "via"`, fail, true) };
+        }
+        case 'no-cycles':
+          return { ...base, type: 'no-cycles', scope: elementNames('scope', false) };
+        case 'public-api':
+          if (typeof rule.package !== 'string' || rule.package.length === 0) fail(`${at} needs a "package"`);
+          return { ...base, type: 'public-api', package: rule.package, entryPoints: strings(rule.entryPoints, `${at} "entryPoints"`, fail, true) };
+      }
+    });
+
+    return new ArchitectureRules({ version: data.version, layers, components, rules }, source);
+  }
+
+  static fromFile(filePath: string): ArchitectureRules {
+    let data: any;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read ${filePath}: ${error instanceof Error ? error.message : error}`);
+    }
+    return ArchitectureRules.parse(data, filePath);
+  }
+
+  /**
+   * The project's rules file, or null without one
+   */
+  static fromProject(projectRoot: string, fileName = DEFAULT_ARCHITECTURE_RULES_FILE): ArchitectureRules | null {
+    const filePath = path.resolve(projectRoot, fileName);
+    return fs.existsSync(filePath) ? ArchitectureRules.fromFile(filePath) : null;
+  }
+
+  /**
+   * Names of the layers and components a project-relative file belongs to
+   */
+  elementsOf(file: string): Set<string> {
+    let elements = this.membership.get(file);
+    if (!elements) {
+      elements = new Set(this.elements
+        .filter(element => element.paths.some(glob => matchesGlob(file, glob)))
+        .map(element => element.name));
+      this.membership.set(file, elements);
+    }
+    return elements;
+  }
+
+  /**
+   * Check every rule against an import graph of the project
+   */
+  check(graph: ImportGraph, projectRoot: string): ArchitectureRuleViolation[] {
+    const root = realpath(projectRoot);
+    const relative = (file: string) => path.relative(root, file).split(path.sep).join('/');
+    const edges: ProjectEdge[] = graph.edges
+      .filter(edge => edge.to !== null && (edge.target === 'internal' || edge.target === 'workspace'))
+      .map(edge => ({
+        from: relative(edge.from),
+        to: relative(edge.to!),
+        specifier: edge.specifier,
+        line: edge.line,
+        typeOnly: edge.typeOnly,
+        target: edge.to!,
+        ...(edge.target === 'workspace' ? { packageName: edge.packageName } : {})
+      }));
+
+    const violations: ArchitectureRuleViolation[] = [];
+    for (const rule of this.file.rules) {
+      const ruleEdges = rule.ignoreTypeOnly || rule.type === 'no-cycles' ? edges.filter(edge => !edge.typeOnly) : edges;
+      const violation = (chain: ImportChainStep[], message: string): ArchitectureRuleViolation => ({
+        ruleId: rule.id,
+        ruleType: rule.type,
+        severity: rule.severity ?? IssueSeverity.HIGH,
+        file: chain[0]!.from,
+        line: chain[0]!.line,
+        message: rule.description ? `${message}: ${rule.description}` : message,
+        chain: chain.map(step)
+      });
+
+      switch (rule.type) {
+        case 'allowed': {
+          const allowed = new Set([rule.from, ...rule.to]);
+          for (const edge of ruleEdges) {
+            if (!this.elementsOf(edge.from).has(rule.from)) continue;
+            const targets = Array.from(this.elementsOf(edge.to));
+            if (targets.length === 0 || targets.some(name => allowed.has(name))) continue;
+            violations.push(violation([edge], `${rule.from} may not depend on ${targets.join(', ')}`));
+          }
+          break;
+        }
+        case 'forbidden':
+          violations.push(...this.forbidden(rule, ruleEdges).map(chain => {
+            const last = chain[chain.length - 1]!;
+            const targets = rule.to.filter(name => this.elementsOf(last.to).has(name));
+            return violation(chain, `${rule.from.filter(name => this.elementsOf(chain[0]!.from).has(name)).join(', ')} may not depend on ${targets.join(', ')}`);
+          }));
+          break;
+        case 'facade':
+          for (const edge of ruleEdges) {
+            const inside = (file: string) => this.elementsOf(file).has(rule.component);
+            if (inside(edge.from) || !inside(edge.to) || rule.via.some(glob => matchesGlob(edge.to, glob))) continue;
+            violations.push(violation([edge], `${rule.component} may only be used through ${rule.via.join(', ')}`));
+          }
+          break;
+        case 'no-cycles': {
+          const inScope = (file: string) => rule.scope.length === 0 || rule.scope.some(name => this.elementsOf(file).has(name));
+          for (const cycle of cycles(ruleEdges.filter(edge => inScope(edge.from) && inScope(edge.to)))) {
+            violations.push(violation(cycle, `Import cycle through ${cycle.length} file${cycle.length === 1 ? '' : 's'}`));
+          }
+          break;
+        }
+        case 'public-api': {
+          const directory = graph.packages.find(entry => entry.name === rule.package)?.directory;
+          if (!directory) break;
+          for (const edge of ruleEdges) {
+            if (edge.packageName !== rule.package) continue;
+            const entry = path.relative(realpath(directory), edge.target).split(path.sep).join('/');
+            if (rule.entryPoints.some(glob => matchesGlob(entry, glob))) continue;
+            violations.push(violation([edge], `${rule.package} may only be imported through ${rule.entryPoints.join(', ')}`));
+          }
+          break;
+        }
+      }
+    }
+
+    return violations.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.ruleId.localeCompare(b.ruleId));
+  }
+
+  /**
+   * Chains from files of `from` to files of `to`: direct imports, or with
+   * `transitive` the shortest chain from each file, not passing through
+   * other files of `from` (they are reported themselves)
+   */
+  private forbidden(rule: ForbiddenDependencyRule, edges: ProjectEdge[]): ProjectEdge[][] {
+    const isFrom = (file: string) => rule.from.some(name => this.elementsOf(file).has(name));
+    const isTo = (file: string) => rule.to.some(name => this.elementsOf(file).has(name));
+
+    if (!rule.transitive) {
+      return edges.filter(edge => isFrom(edge.from) && isTo(edge.to)).map(edge => [edge]);
+    }
+
+    const outgoing = adjacency(edges);
+    const chains: ProjectEdge[][] = [];
+    for (const start of outgoing.keys()) {
+      if (!isFrom(start)) continue;
+      const via = new Map<string, ProjectEdge>();
+      const queue = [start];
+      search: for (let i = 0; i < queue.length; i++) {
+        for (const edge of outgoing.get(queue[i]!) ?? []) {
+          if (edge.to === start || via.has(edge.to)) continue;
+          via.set(edge.to, edge);
+          if (isTo(edge.to)) {
+            chains.push(chainTo(edge.to, via, start));
+            break search;
+          }
+          if (!isFrom(edge.to)) queue.push(edge.to);
+        }
+      }
+    }
+    return chains;
+  }
+}
+
+/**
+ * One chain per strongly connected component (or self-import), starting at
+ * its first file by path
+ */
+function cycles(edges: ProjectEdge[]): ProjectEdge[][] {
+  const outgoing = adjacency(edges);
+  const index = new Map<string, number>();
+  const lowLink = new Map<string, number>();
+  const stack: string[] = [];
+  const onStack = new Set<string>();
+  const components: string[][] = [];
+
+  const connect = (file: string): void => {
+    index.set(file, index.size);
+    lowLink.set(file, index.get(file)!);
+    stack.push(file);
+    onStack.add(file);
+    for (const edge of outgoing.get(file) ?? []) {
+      if (!index.has(edge.to)) {
+        connect(edge.to);
+        lowLink.set(file, Math.min(lowLink.get(file)!, lowLink.get(edge.to)!));
+      } else if (onStack.has(edge.to)) {
+        lowLink.set(file, Math.min(lowLink.get(file)!, index.get(edge.to)!));
+      }
+    }
+    if (lowLink.get(file) === index.get(file)) {
+      const component: string[] = [];
+      let member: string;
+      do {
+        member = stack.pop()!;
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== file);
+      components.push(component);
+    }
+  };
+  Array.from(outgoing.keys()).sort().forEach(file => {
+    if (!index.has(file)) connect(file);
+  });
+
+  const chains: ProjectEdge[][] = [];
+  for (const component of components) {
+    const members = new Set(component);
+    const start = component.sort()[0]!;
+    const selfImport = (outgoing.get(start) ?? []).find(edge => edge.to === start);
+    if (component.length === 1) {
+      if (selfImport) chains.push([selfImport]);
+      continue;
+    }
+    // Shortest way back to the start within the component
+    const via = new Map<string, ProjectEdge>();
+    const queue = [start];
+    search: for (let i = 0; i < queue.length; i++) {
+      for (const edge of outgoing.get(queue[i]!) ?? []) {
+        if (!members.has(edge.to) || via.has(edge.to)) continue;
+        via.set(edge.to, edge);
+        if (edge.to === start) break search;
+        queue.push(edge.to);
+      }
+    }
+    chains.push(chainTo(start, via, start));
+  }
+  return chains;
+}
+
+function adjacency(edges: ProjectEdge[]): Map<string, ProjectEdge[]> {
+  const outgoing = new Map<string, ProjectEdge[]>();
+  for (const edge of edges) {
+    outgoing.set(edge.from, [...(outgoing.get(edge.from) ?? []), edge]);
+  }
+  return outgoing;
+}
+
+/**
+ * Walk the edges a breadth-first search arrived by back from `file` to `start`
+ */
+function chainTo(file: string, via: Map<string, ProjectEdge>, start: string): ProjectEdge[] {
+  const chain: ProjectEdge[] = [];
+  let current = file;
+  do {
+    const edge = via.get(current)!;
+    chain.unshift(edge);
+    current = edge.from;
+  } while (current !== start);
+  return chain;
+}
+
+function step(edge: ImportChainStep): ImportChainStep {
+  return { from: edge.from, to: edge.to, specifier: edge.specifier, line: edge.line, typeOnly: edge.typeOnly };
+}
+
+function strings(value: unknown, at: string, fail: (problem: string) => never, required: boolean): string[] {
+  const list = typeof value === 'string' ? [value] : value ?? [];
+  if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+    fail(`${at} must be a string or an array of strings`);
+  }
+  if (required && (list as string[]).length === 0) fail(`${at} must not be empty`);
+  return list as string[];
+}
+
+function realpath(file: string): string {
+  try {
+    return fs.realpathSync(file);
+  } catch {
+    return path.resolve(file);
+  }
+}
+
+/**
+ * Architecture issues of rule violations, with the chain in the metadata
+ */
+export function architectureRuleIssues(violations: ArchitectureRuleViolation[]): ArchitectureIssue[] {
+  return violations.map(violation => {
+    const target = violation.chain[violation.chain.length - 1]!.to;
+    const chain = [violation.file, ...violation.chain.map(step => step.to)].join(' -> ');
+    const issue = new UnifiedIssue({
+      id: `architecture-rule-${violation.ruleId}-${violation.file.replace(/[^a-zA-Z0-9]/g, '_')}-${violation.line}`,
+      entity: new UnifiedEntity({
+        id: `architecture-rule-${violation.ruleId}`,
+        type: 'rule_violation',
+        name: violation.ruleId,
+        canonicalPath: violation.file
+      }),
+      severity: violation.severity,
+      analysisType: AnalysisType.ARCHITECTURE_DESIGN,
+      title: `Architecture rule ${violation.ruleId}: ${violation.message}`,
+      description: `${violation.message}. Import chain: ${chain}.`,
+      ruleId: violation.ruleId,
+      line: violation.line,
+      toolName: ARCHITECTURE_RULES_TOOL_NAME,
+      metadata: { ruleType: violation.ruleType, chain: violation.chain, target }
+    });
+
+    return Object.assign(issue, {
+      architectureInfo: {
+        componentType: 'module' as const,
+        designPattern: violation.ruleType,
+        complexityMetrics: {
+          cyclomaticComplexity: violation.chain.length,
+          cognitiveComplexity: violation.chain.length,
+          maintainabilityIndex: Math.max(0, 100 - violation.chain.length * 10)
+        },
+        couplingLevel: violation.chain.length > 3 ? 'high' as const : violation.chain.length > 1 ? 'medium' as const : 'low' as const,
+        cohesionLevel: 'medium' as const,
+        ...(violation.ruleType === 'no-cycles' ? { circularDependencies: violation.chain.map(step => step.from) } : {})
+      },
+      architectureCategory: violation.ruleType === 'no-cycles' ? 'dependency_cycle' as const : 'coupling' as const,
+      technicalDebtLevel: DEBT_LEVELS[violation.severity],
+      refactoringOpportunity: {
+        suggestedAction: violation.ruleType === 'no-cycles'
+          ? 'Break the cycle by moving the shared code or inverting one of the imports'
+          : `Remove the import of ${target} or route it through an allowed module`,
+        effort: violation.chain.length > 2 ? 'medium' as const : 'low' as const,
+        impact: 'medium' as const
+      }
+    }) as ArchitectureIssue;
+  });
+}
@@ -0,0 +1,85 @@
+/**
+ * CODEOWNERS
+ *
+ * Reads GitHub/GitLab CODEOWNERS files: one `pattern owner...` rule per
+ * line, the last matching rule wins and a rule without owners leaves the
+ * files unowned. Patterns follow gitignore: a leading or inner `/` anchors
+ * a pattern to the root, otherwise it matches at any depth, and a pattern
+ * naming a directory covers everything below it (except a trailing `/*`,
+ * which covers the directory's own files). GitLab `[Section]` headers are
+ * skipped.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import { globToRegExp } from '../suppression/glob';
+
+/**
+ * Where CODEOWNERS files are looked for, in order
+ */
+export const CODEOWNERS_LOCATIONS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS', '.gitlab/CODEOWNERS'];
+
+export interface CodeOwnersRule {
+  pattern: string;
+  /** As written, e.g. `@org/team`, `@user` or an email */
+  owners: string[];
+  /** 1-based line in the file */
+  line: number;
+}
+
+export class CodeOwners {
+  private readonly matchers: Array<{ rule: CodeOwnersRule; regex: RegExp }>;
+
+  constructor(readonly rules: CodeOwnersRule[], readonly source?: string) {
+    this.matchers = rules.map(rule => ({ rule, regex: patternToRegExp(rule.pattern) }));
+  }
+
+  static parse(content: string, source?: string): CodeOwners {
+    const rules: CodeOwnersRule[] = [];
+    content.split(/\r?\n/).forEach((raw, index) => {
+      const line = raw.replace(/(^|\s)#.*$/, '').trim();
+      if (!line || /^\^?\[[^\]]*\]/.test(line)) return;
+      const [pattern, ...owners] = line.split(/\s+/);
+      rules.push({ pattern: pattern!.replace(/\\#/g, '#'), owners, line: index + 1 });
+    });
+    return new CodeOwners(rules, source);
+  }
+
+  /**
+   * The project's CODEOWNERS file, or null without one
+   */
+  static fromProject(projectRoot: string): CodeOwners | null {
+    for (const location of CODEOWNERS_LOCATIONS) {
+      const file = path.join(projectRoot, location);
+      if (fs.existsSync(file)) {
+        return CodeOwners.parse(fs.readFileSync(file, 'utf8'), location);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Rule deciding a project-relative file's owners, or null when none matches
+   */
+  ruleFor(file: string): CodeOwnersRule | null {
+    for (let i = this.matchers.length - 1; i >= 0; i--) {
+      if (this.matchers[i]!.regex.test(file)) return this.matchers[i]!.rule;
+    }
+    return null;
+  }
+
+  ownersOf(file: string): string[] {
+    return this.ruleFor(file)?.owners ?? [];
+  }
+}
+
+function patternToRegExp(pattern: string): RegExp {
+  let body = pattern.replace(/\/+$/, '');
+  const anchored = body.includes('/');
+  body = body.replace(/^\//, '');
+  const glob = globToRegExp(body).source.slice(1, -1);
+  // `docs/*` covers the files directly in docs only, as on GitHub
+  const descendants = /(^|\/)\*$/.test(body) ? '' : '(?:/.*)?';
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${glob}${descendants}$`);
+}
@@ -14,7 +14,14 @@ import {
   UnifiedEntityParams,
   IssueSeverity,
   AnalysisType,
-  UnifiedIssueParams
+  UnifiedIssueParams,
+  FORMAL_FINDING_METADATA_KEY,
+  PROOF_COVERAGE_METADATA_KEY,
+  FormalFinding,
+  ProofCoverage,
+  VerifiedRegion,
+  regionCoversLine,
+  LogicalCouplingGraph
 } from '@topolop/shared-types';
 
 import {
@@ -36,6 +43,49 @@ export interface FunctionCluster {
   riskLevel: 'low' | 'medium' | 'high' | 'critical';
 }
 
+/**
+ * Another tool's finding whose confidence formal verification changed
+ */
+export interface ProofAdjustment {
+  issue: UnifiedIssue;
+  coverage: ProofCoverage;
+}
+
+/**
+ * Confidence in a finding no tool has confirmed or refuted
+ */
+const DEFAULT_FINDING_CONFIDENCE = 0.7;
+
+/**
+ * Share of the confidence a proof of the given strength removes
+ */
+const PROOF_DISCOUNT: Record<VerifiedRegion['confidence'], number> = {
+  mathematical_proof: 0.6,
+  high_confidence: 0.3
+};
+
+/**
+ * Share of the remaining doubt a nearby counterexample removes
+ */
+const COUNTEREXAMPLE_BOOST = 0.5;
+
+/**
+ * Lines between a violation and a finding it corroborates
+ */
+const COUNTEREXAMPLE_PROXIMITY = 2;
+
+/**
+ * Kinds of findings a property speaks to, proven or refuted; a memory-safety
+ * proof says nothing about style
+ */
+const PROOF_RELEVANCE: Record<string, AnalysisType[]> = {
+  safety: [AnalysisType.SECURITY, AnalysisType.SEMANTIC, AnalysisType.QUALITY],
+  correctness: [AnalysisType.SEMANTIC, AnalysisType.QUALITY, AnalysisType.AI_POWERED],
+  security: [AnalysisType.SECURITY, AnalysisType.SEMANTIC],
+  liveness: [AnalysisType.SEMANTIC, AnalysisType.PERFORMANCE],
+  performance: [AnalysisType.PERFORMANCE]
+};
+
 export interface CorrelationResult {
   functionClusters: FunctionCluster[];
   crossFunctionGroups: Array<{
@@ -48,6 +98,8 @@ export interface CorrelationResult {
     filePath: string;
     lineRange: { start: number; end: number };
   }>;
+  /** Findings confirmed or contradicted by formal verification */
+  proofAdjustments: ProofAdjustment[];
   statistics: {
     totalIssues: number;
     clusteredIssues: number;
@@ -67,12 +119,19 @@ export class EnhancedCorrelationEngine {
   }
 
   /**
-   * Analyze issues with function-level clustering
+   * Analyze issues with function-level clustering; with the proven regions
+   * per file, formal verification adjusts the confidence in the findings
+   * first (see applyFormalEvidence). With a logical-coupling graph, issues
+   * in files that change together are correlated too.
    */
   public analyzeCorrelations(
     issues: UnifiedIssue[],
-    fileContents?: Map<string, string>
+    fileContents?: Map<string, string>,
+    verifiedRegions?: Map<string, VerifiedRegion[]>,
+    logicalCoupling?: LogicalCouplingGraph | null
   ): CorrelationResult {
+    const proofAdjustments = this.applyFormalEvidence(issues, verifiedRegions ?? new Map());
+
     // First deduplicate issues
     const dedupResult = this.deduplicationEngine.deduplicateIssues(issues);
     const cleanIssues = dedupResult.deduplicatedIssues;
@@ -87,6 +146,9 @@ export class EnhancedCorrelationEngine {
 
     // Find cross-function correlations
     const crossFunctionGroups = this.findCrossFunctionCorrelations(cleanIssues, functionClusters);
+    if (logicalCoupling) {
+      crossFunctionGroups.push(...this.findCoChangeCorrelations(cleanIssues, logicalCoupling));
+    }
 
     // Group remaining issues by proximity
     const proximityGroups = this.createProximityGroups(cleanIssues, functionClusters);
@@ -102,10 +164,77 @@ export class EnhancedCorrelationEngine {
       functionClusters,
       crossFunctionGroups,
       proximityGroups,
+      proofAdjustments,
       statistics
     };
   }
 
+  /**
+   * Weigh other tools' findings against formal verification: a proof of a
+   * relevant property covering a finding's line lowers the confidence in
+   * it, a relevant violation within two lines raises it (a concrete
+   * counterexample outweighs a proof). Proofs without a line range (end -1)
+   * do not say which code they cover, so they lower nothing. The outcome
+   * is stored as a ProofCoverage in the finding's metadata.
+   */
+  public applyFormalEvidence(
+    issues: UnifiedIssue[],
+    verifiedRegions: Map<string, VerifiedRegion[]>
+  ): ProofAdjustment[] {
+    const violations = issues.filter(issue =>
+      (issue.metadata[FORMAL_FINDING_METADATA_KEY] as FormalFinding | undefined)?.outcome === 'violated');
+    const adjustments: ProofAdjustment[] = [];
+
+    for (const issue of issues) {
+      delete issue.metadata[PROOF_COVERAGE_METADATA_KEY];
+      if (issue.metadata[FORMAL_FINDING_METADATA_KEY] || issue.line === null) continue;
+
+      const originalConfidence = typeof issue.metadata.confidence === 'number'
+        ? issue.metadata.confidence
+        : DEFAULT_FINDING_CONFIDENCE;
+      let coverage: ProofCoverage | null = null;
+
+      const corroborating = violations.filter(violation =>
+        violation.toolName !== issue.toolName &&
+        issue.isNearby(violation, COUNTEREXAMPLE_PROXIMITY) &&
+        relevant((violation.metadata[FORMAL_FINDING_METADATA_KEY] as FormalFinding).propertyType, issue));
+      if (corroborating.length > 0) {
+        coverage = {
+          effect: 'corroborated',
+          originalConfidence,
+          confidence: round(originalConfidence + (1 - originalConfidence) * COUNTEREXAMPLE_BOOST),
+          evidence: corroborating.map(violation => {
+            const finding = violation.metadata[FORMAL_FINDING_METADATA_KEY] as FormalFinding;
+            return { toolName: violation.toolName, propertyId: finding.propertyId, propertyName: finding.propertyName };
+          })
+        };
+      } else {
+        const proofs = (verifiedRegions.get(issue.entity.canonicalPath) ?? []).filter(region =>
+          region.lineRange.end !== -1 && regionCoversLine(region, issue.line!) && relevant(region.propertyType, issue));
+        if (proofs.length > 0) {
+          const discount = Math.max(...proofs.map(region => PROOF_DISCOUNT[region.confidence] ?? 0));
+          coverage = {
+            effect: 'contradicted',
+            originalConfidence,
+            confidence: round(originalConfidence * (1 - discount)),
+            evidence: proofs.map(region => ({
+              toolName: region.toolName,
+              propertyId: region.propertyId,
+              propertyName: region.propertyName
+            }))
+          };
+        }
+      }
+
+      if (coverage) {
+        issue.metadata[PROOF_COVERAGE_METADATA_KEY] = coverage;
+        adjustments.push({ issue, coverage });
+      }
+    }
+
+    return adjustments;
+  }
+
   /**
    * Parse basic function boundaries from file contents
    */
@@ -330,6 +459,35 @@ export class EnhancedCorrelationEngine {
     return correlations;
   }
 
+  /**
+   * Group the issues of coupled files that both have some: a fix in one
+   * file is likely to need a change in the other
+   */
+  private findCoChangeCorrelations(
+    issues: UnifiedIssue[],
+    logicalCoupling: LogicalCouplingGraph
+  ): Array<{
+    issues: UnifiedIssue[];
+    reason: string;
+    confidence: number;
+  }> {
+    const byFile = new Map<string, UnifiedIssue[]>();
+    for (const issue of issues) {
+      const fileIssues = byFile.get(issue.entity.canonicalPath) ?? [];
+      fileIssues.push(issue);
+      byFile.set(issue.entity.canonicalPath, fileIssues);
+    }
+
+    return logicalCoupling.pairs
+      .filter(pair => byFile.has(pair.fileA) && byFile.has(pair.fileB))
+      .map(pair => ({
+        issues: [...byFile.get(pair.fileA)!, ...byFile.get(pair.fileB)!],
+        reason: `${pair.fileA} and ${pair.fileB} changed together in ${pair.coChanges} commits` +
+          (pair.hidden ? ' without importing each other' : ''),
+        confidence: pair.confidence
+      }));
+  }
+
   /**
    * Find which function contains an issue
    */
@@ -466,4 +624,12 @@ export class EnhancedCorrelationEngine {
 
     return recommendations;
   }
-}
\ No newline at end of file
+}
+
+function relevant(propertyType: string, issue: UnifiedIssue): boolean {
+  return (PROOF_RELEVANCE[propertyType] ?? []).includes(issue.analysisType);
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
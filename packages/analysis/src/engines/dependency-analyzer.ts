@@ -6,6 +6,8 @@
  */
 
 import { DependencyRelationship } from './semantic-analysis-engine';
+import { ImportEdge, ImportGraph, ImportGraphBuilder, ImportGraphOptions, ImportTarget } from './import-graph';
+import { ArchitectureRules, ArchitectureRuleViolation } from './architecture-rules';
 import { UnifiedIssue } from '@topolop/shared-types';
 import * as fs from 'fs';
 import * as path from 'path';
@@ -14,14 +16,27 @@ import * as path from 'path';
  * Dependency graph analysis result
  */
 export interface DependencyAnalysis {
+  /** Project files each file needs at runtime */
   dependencies: DependencyRelationship[];
+  /** Project files each file references only for types */
+  typeDependencies: DependencyRelationship[];
+  /** Every resolved reference, with the package-level graph */
+  importGraph: ImportGraph;
   modules: ModuleInfo[];
   clusters: DependencyCluster[];
   violations: ArchitecturalViolation[];
+  /** Violations of the project's architecture rules, with their import chains */
+  ruleViolations: ArchitectureRuleViolation[];
   metrics: DependencyMetrics;
   correlations: CrossFileDependencyCorrelation[];
 }
 
+export interface DependencyAnalyzerOptions {
+  importGraph?: ImportGraphOptions;
+  /** Rules to check; read from the project's rules file when omitted, `false` skips them */
+  architectureRules?: ArchitectureRules | false;
+}
+
 /**
  * Module information
  */
@@ -54,11 +69,16 @@ export interface ExportInfo {
  */
 export interface ImportInfo {
   name: string;
+  /** Resolved file for project files, the package name for packages */
   source: string;
+  /** As written */
+  specifier: string;
   type: 'named' | 'default' | 'namespace' | 'dynamic';
   line: number;
   usageCount: number;
   isExternal: boolean;
+  target: ImportTarget;
+  typeOnly: boolean;
 }
 
 /**
@@ -90,7 +110,7 @@ export interface DependencyCluster {
  */
 export interface ArchitecturalViolation {
   id: string;
-  type: 'circular_dependency' | 'wrong_layer_dependency' | 'layer_violation' | 'external_coupling' | 'god_module' | 'orphan_module';
+  type: 'circular_dependency' | 'wrong_layer_dependency' | 'layer_violation' | 'encapsulation_violation' | 'external_coupling' | 'god_module' | 'orphan_module';
   severity: 'low' | 'medium' | 'high' | 'critical';
   modules: string[];
   description: string;
@@ -180,22 +200,31 @@ export interface LicenseIssue {
 export class DependencyAnalyzer {
   private moduleCache: Map<string, ModuleInfo> = new Map();
   private dependencyGraph: Map<string, string[]> = new Map();
+  private importGraph: ImportGraph = { files: [], edges: [], packages: [], packageEdges: [] };
+
+  constructor(private readonly options: DependencyAnalyzerOptions = {}) {}
 
   /**
    * Analyze complete dependency structure
    */
   public async analyzeDependencies(projectRoot: string, issues: UnifiedIssue[]): Promise<DependencyAnalysis> {
-    // Discover all modules in the project
-    const modules = await this.discoverModules(projectRoot);
+    const rules = this.options.architectureRules === false
+      ? null
+      : this.options.architectureRules ?? ArchitectureRules.fromProject(projectRoot);
+
+    // Discover all modules in the project; resolved paths are real paths
+    const modules = await this.discoverModules(fs.realpathSync(projectRoot));
 
     // Build dependency relationships
     const dependencies = await this.buildDependencyGraph(modules);
+    const typeDependencies = this.relationships(this.importGraph.edges.filter(edge => edge.typeOnly));
 
     // Analyze dependency clusters
     const clusters = this.analyzeDependencyClusters(dependencies);
 
     // Detect architectural violations
-    const violations = this.detectArchitecturalViolations(modules, dependencies);
+    const ruleViolations = rules ? rules.check(this.importGraph, projectRoot) : [];
+    const violations = this.detectArchitecturalViolations(modules, dependencies, ruleViolations);
 
     // Calculate metrics
     const metrics = this.calculateDependencyMetrics(modules, dependencies);
@@ -205,9 +234,12 @@ export class DependencyAnalyzer {
 
     return {
       dependencies,
+      typeDependencies,
+      importGraph: this.importGraph,
       modules,
       clusters,
       violations,
+      ruleViolations,
       metrics,
       correlations
     };
@@ -220,9 +252,15 @@ export class DependencyAnalyzer {
     const modules: ModuleInfo[] = [];
     const jsFiles = await this.findJavaScriptFiles(projectRoot);
 
+    this.importGraph = new ImportGraphBuilder(this.options.importGraph).build(projectRoot, jsFiles);
+    const edgesByFile = new Map<string, ImportEdge[]>();
+    for (const edge of this.importGraph.edges) {
+      edgesByFile.set(edge.from, [...(edgesByFile.get(edge.from) ?? []), edge]);
+    }
+
     for (const filePath of jsFiles) {
       try {
-        const moduleInfo = await this.analyzeModule(filePath);
+        const moduleInfo = await this.analyzeModule(filePath, edgesByFile.get(filePath) ?? []);
         modules.push(moduleInfo);
         this.moduleCache.set(filePath, moduleInfo);
       } catch (error) {
@@ -267,13 +305,13 @@ export class DependencyAnalyzer {
   /**
    * Analyze individual module
    */
-  private async analyzeModule(filePath: string): Promise<ModuleInfo> {
+  private async analyzeModule(filePath: string, edges: ImportEdge[]): Promise<ModuleInfo> {
     const content = fs.readFileSync(filePath, 'utf-8');
     const stats = fs.statSync(filePath);
 
-    const imports = this.extractImports(content, filePath);
+    const imports = this.extractImports(content, edges);
     const exports = this.extractExports(content, filePath);
-    const dependencies = imports.map(imp => imp.source);
+    const dependencies = Array.from(new Set(imports.filter(imp => !imp.typeOnly).map(imp => imp.source)));
 
     return {
       filePath,
@@ -296,78 +334,32 @@ export class DependencyAnalyzer {
   }
 
   /**
-   * Extract import statements from code
+   * Imports of a module from its resolved references
    */
-  private extractImports(content: string, filePath: string): ImportInfo[] {
+  private extractImports(content: string, edges: ImportEdge[]): ImportInfo[] {
     const imports: ImportInfo[] = [];
-    const lines = content.split('\n');
 
-    lines.forEach((line, index) => {
-      const lineNumber = index + 1;
-
-      // ES6 imports
-      const importMatch = line.match(/import\s+(?:(\{[^}]+\})|([^,\s]+)(?:\s*,\s*\{[^}]+\})?|\*\s+as\s+\w+)\s+from\s+['"]([^'"]+)['"]/);
-      if (importMatch && importMatch[3]) {
-        const source = importMatch[3];
-        const isExternal = !source.startsWith('.') && !source.startsWith('/');
-
-        if (importMatch[1]) {
-          // Named imports: import { a, b } from 'module'
-          const namedImports = importMatch[1].replace(/[{}]/g, '').split(',');
-          namedImports.forEach(name => {
-            imports.push({
-              name: name.trim(),
-              source: this.resolveImportPath(source, filePath),
-              type: 'named',
-              line: lineNumber,
-              usageCount: this.countUsage(content, name.trim()),
-              isExternal
-            });
-          });
-        } else if (importMatch[2]) {
-          // Default import: import name from 'module'
-          imports.push({
-            name: importMatch[2],
-            source: this.resolveImportPath(source, filePath),
-            type: 'default',
-            line: lineNumber,
-            usageCount: this.countUsage(content, importMatch[2]),
-            isExternal
-          });
-        }
-      }
+    for (const edge of edges) {
+      const inProject = edge.to !== null && (edge.target === 'internal' || edge.target === 'workspace');
+      const source = inProject ? edge.to! : edge.packageName ?? edge.specifier;
+      const type: ImportInfo['type'] = edge.kind === 'dynamic' ? 'dynamic'
+        : edge.kind === 'require' || edge.kind === 'import-equals' ? 'default'
+        : 'named';
 
-      // CommonJS requires
-      const requireMatch = line.match(/(?:const|let|var)\s+(?:(\{[^}]+\})|([^=\s]+))\s*=\s*require\(['"]([^'"]+)['"]\)/);
-      if (requireMatch && requireMatch[3]) {
-        const source = requireMatch[3];
-        const isExternal = !source.startsWith('.') && !source.startsWith('/');
-
-        const name = requireMatch[1] || requireMatch[2] || 'unknown';
+      for (const name of edge.names) {
         imports.push({
-          name: name,
-          source: this.resolveImportPath(source, filePath),
-          type: 'default',
-          line: lineNumber,
-          usageCount: this.countUsage(content, name),
-          isExternal
-        });
-      }
-
-      // Dynamic imports
-      const dynamicImportMatch = line.match(/import\(['"]([^'"]+)['"]\)/);
-      if (dynamicImportMatch && dynamicImportMatch[1]) {
-        const source = dynamicImportMatch[1];
-        imports.push({
-          name: 'dynamic_import',
-          source: this.resolveImportPath(source, filePath),
-          type: 'dynamic',
-          line: lineNumber,
-          usageCount: 1,
-          isExternal: !source.startsWith('.') && !source.startsWith('/')
+          name,
+          source,
+          specifier: edge.specifier,
+          type: name === '*' && type === 'named' ? 'namespace' : type,
+          line: edge.line,
+          usageCount: name === '*' ? 1 : this.countUsage(content, name),
+          isExternal: edge.target === 'external' || edge.target === 'builtin',
+          target: edge.target,
+          typeOnly: edge.typeOnly
         });
       }
-    });
+    }
 
     return imports;
   }
@@ -454,28 +446,16 @@ export class DependencyAnalyzer {
    * Build dependency graph and calculate coupling metrics
    */
   private async buildDependencyGraph(modules: ModuleInfo[]): Promise<DependencyRelationship[]> {
-    const dependencies: DependencyRelationship[] = [];
-
-    // Build dependency relationships
-    for (const module of modules) {
-      for (const imp of module.imports) {
-        if (!imp.isExternal) {
-          const dependency: DependencyRelationship = {
-            from: module.filePath,
-            to: imp.source,
-            type: imp.type === 'dynamic' ? 'require' : 'import',
-            importedSymbols: [imp.name],
-            isExternal: false
-          };
-          dependencies.push(dependency);
-
-          // Update dependency graph
-          if (!this.dependencyGraph.has(module.filePath)) {
-            this.dependencyGraph.set(module.filePath, []);
-          }
-          this.dependencyGraph.get(module.filePath)!.push(imp.source);
-        }
+    // Type-only references are erased at compile time and take no part in
+    // cycles or coupling
+    const dependencies = this.relationships(this.importGraph.edges.filter(edge => !edge.typeOnly));
+
+    // Update dependency graph
+    for (const dependency of dependencies) {
+      if (!this.dependencyGraph.has(dependency.from)) {
+        this.dependencyGraph.set(dependency.from, []);
       }
+      this.dependencyGraph.get(dependency.from)!.push(dependency.to);
     }
 
     // Calculate coupling metrics
@@ -484,6 +464,37 @@ export class DependencyAnalyzer {
     return dependencies;
   }
 
+  /**
+   * One relationship per pair of project files, with the symbols of all
+   * references between them
+   */
+  private relationships(edges: ImportEdge[]): DependencyRelationship[] {
+    const relationships = new Map<string, DependencyRelationship>();
+
+    for (const edge of edges) {
+      if (edge.to === null || (edge.target !== 'internal' && edge.target !== 'workspace')) continue;
+      const key = `${edge.from}\n${edge.to}`;
+      let relationship = relationships.get(key);
+      if (!relationship) {
+        relationship = {
+          from: edge.from,
+          to: edge.to,
+          type: edge.kind === 'require' || edge.kind === 'import-equals' || edge.kind === 'dynamic' ? 'require' : 'import',
+          importedSymbols: [],
+          isExternal: false,
+          typeOnly: edge.typeOnly,
+          ...(edge.packageName ? { packageName: edge.packageName } : {})
+        };
+        relationships.set(key, relationship);
+      }
+      for (const name of edge.names) {
+        if (!relationship.importedSymbols.includes(name)) relationship.importedSymbols.push(name);
+      }
+    }
+
+    return Array.from(relationships.values());
+  }
+
   /**
    * Calculate coupling metrics for all modules
    */
@@ -545,7 +556,11 @@ export class DependencyAnalyzer {
   /**
    * Detect architectural violations
    */
-  private detectArchitecturalViolations(modules: ModuleInfo[], dependencies: DependencyRelationship[]): ArchitecturalViolation[] {
+  private detectArchitecturalViolations(
+    modules: ModuleInfo[],
+    dependencies: DependencyRelationship[],
+    ruleViolations: ArchitectureRuleViolation[]
+  ): ArchitecturalViolation[] {
     const violations: ArchitecturalViolation[] = [];
 
     // Detect circular dependencies
@@ -560,9 +575,9 @@ export class DependencyAnalyzer {
     const orphanViolations = this.detectOrphanModules(modules);
     violations.push(...orphanViolations);
 
-    // Detect layer violations
-    const layerViolations = this.detectLayerViolations(dependencies);
-    violations.push(...layerViolations);
+    // Violations of the declared architecture rules
+    const declaredViolations = this.detectRuleViolations(ruleViolations);
+    violations.push(...declaredViolations);
 
     return violations;
   }
@@ -630,13 +645,6 @@ export class DependencyAnalyzer {
     return complexity;
   }
 
-  private resolveImportPath(importPath: string, currentFile: string): string {
-    if (importPath.startsWith('.')) {
-      return path.resolve(path.dirname(currentFile), importPath);
-    }
-    return importPath;
-  }
-
   private countUsage(content: string, name: string): number {
     const regex = new RegExp(`\\b${name}\\b`, 'g');
     const matches = content.match(regex);
@@ -920,73 +928,28 @@ export class DependencyAnalyzer {
     return violations;
   }
 
-  private detectLayerViolations(dependencies: DependencyRelationship[]): ArchitecturalViolation[] {
-    const violations: ArchitecturalViolation[] = [];
-
-    // Define common architectural layer patterns
-    const layerPatterns = {
-      'presentation': ['view', 'component', 'ui', 'frontend', 'client', 'page', 'screen'],
-      'business': ['service', 'logic', 'domain', 'business', 'core', 'engine'],
-      'data': ['data', 'repository', 'dao', 'model', 'entity', 'db', 'database', 'storage'],
-      'infrastructure': ['config', 'util', 'helper', 'lib', 'framework', 'external', 'api']
+  private detectRuleViolations(ruleViolations: ArchitectureRuleViolation[]): ArchitecturalViolation[] {
+    const types: Record<ArchitectureRuleViolation['ruleType'], ArchitecturalViolation['type']> = {
+      allowed: 'layer_violation',
+      forbidden: 'layer_violation',
+      facade: 'encapsulation_violation',
+      'public-api': 'encapsulation_violation',
+      'no-cycles': 'circular_dependency'
     };
 
-    // Classify modules by layer based on path patterns
-    const moduleLayer = new Map<string, string>();
-    for (const dep of dependencies) {
-      [dep.from, dep.to].forEach(modulePath => {
-        if (!moduleLayer.has(modulePath)) {
-          const pathLower = modulePath.toLowerCase();
-          let detectedLayer = 'unknown';
-
-          for (const [layer, patterns] of Object.entries(layerPatterns)) {
-            if (patterns.some(pattern => pathLower.includes(pattern))) {
-              detectedLayer = layer;
-              break;
-            }
-          }
-          moduleLayer.set(modulePath, detectedLayer);
-        }
-      });
-    }
-
-    // Define allowed layer dependencies (lower layers can depend on higher layers)
-    const layerHierarchy = ['infrastructure', 'data', 'business', 'presentation'];
-    const layerIndex = new Map(layerHierarchy.map((layer, index) => [layer, index]));
-
-    // Check for layer violations
-    for (const dep of dependencies) {
-      if (!dep.isExternal) {
-        const fromLayer = moduleLayer.get(dep.from) || 'unknown';
-        const toLayer = moduleLayer.get(dep.to) || 'unknown';
-
-        if (fromLayer !== 'unknown' && toLayer !== 'unknown') {
-          const fromIndex = layerIndex.get(fromLayer) ?? -1;
-          const toIndex = layerIndex.get(toLayer) ?? -1;
-
-          // Violation: higher layer depending on lower layer
-          if (fromIndex > toIndex && fromIndex !== -1 && toIndex !== -1) {
-            violations.push({
-              id: `layer-violation-${violations.length + 1}`,
-              type: 'layer_violation',
-              severity: 'medium',
-              modules: [dep.from, dep.to],
-              description: `Layer violation: ${fromLayer} layer (${dep.from}) depends on ${toLayer} layer (${dep.to})`,
-              impact: `Architecture: Breaks layered architecture principles, increases coupling, reduces maintainability`,
-              recommendations: [
-                `Move dependency from ${toLayer} to ${fromLayer} layer or higher`,
-                `Use dependency inversion principle with interfaces`,
-                `Consider extracting common functionality to infrastructure layer`,
-                `Review if modules are correctly categorized by layer`
-              ],
-              relatedIssues: []
-            });
-          }
-        }
-      }
-    }
-
-    return violations;
+    return ruleViolations.map((violation, index) => ({
+      id: `rule-violation-${index + 1}`,
+      type: types[violation.ruleType],
+      severity: violation.severity === 'info' ? 'low' : violation.severity,
+      modules: [violation.file, ...violation.chain.map(step => step.to)],
+      description: `${violation.ruleId}: ${violation.message} (${violation.file}:${violation.line})`,
+      impact: 'Architecture: Breaks a declared architecture rule',
+      recommendations: [
+        `Remove or reroute the import chain ${[violation.file, ...violation.chain.map(step => step.to)].join(' -> ')}`,
+        `Change the rule "${violation.ruleId}" if the dependency is intended`
+      ],
+      relatedIssues: []
+    }));
   }
 
   private isEntryPoint(filePath: string): boolean {
@@ -0,0 +1,394 @@
+/**
+ * Run-to-run Diff Engine
+ *
+ * Compares two UnifiedAnalysisResults and reports new and fixed issues,
+ * severity changes, moved issues and hotspot growth. Issues are matched by
+ * fingerprints built from the rule, the entity, a hash of the flagged code
+ * and a hash of the code around it, so an issue keeps its identity when
+ * code above it moves.
+ */
+
+import { createHash } from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+
+import {
+  UnifiedAnalysisResult,
+  UnifiedIssue,
+  IssueSeverity,
+  DetectedHotspot,
+  IssueFingerprint,
+  IssueMatchStrategy,
+  IssueDeltaEntry,
+  MatchedIssue,
+  IssueSeverityChange,
+  IssueMove,
+  HotspotDelta,
+  AnalysisDelta
+} from '@topolop/shared-types';
+
+/**
+ * Returns a file's content, or null when it cannot be read
+ */
+export type SourceProvider = (canonicalPath: string, projectRoot: string) => string | null;
+
+/**
+ * Diff engine configuration
+ */
+export interface DiffEngineOptions {
+  /** Non-blank lines on each side of the snippet hashed as context (default 2) */
+  contextLines?: number;
+  /** Longest snippet hashed, in lines (default 20) */
+  maxSnippetLines?: number;
+  /** Risk score change below which a hotspot counts as unchanged (default 0.01) */
+  riskTolerance?: number;
+  /** Source lookup; defaults to reading from the project root on disk */
+  sourceProvider?: SourceProvider;
+}
+
+/**
+ * Issue metadata key holding a fingerprint recorded by annotate()
+ */
+export const FINGERPRINT_METADATA_KEY = 'fingerprint';
+
+const SEVERITY_RANK: Record<IssueSeverity, number> = {
+  [IssueSeverity.INFO]: 0,
+  [IssueSeverity.LOW]: 1,
+  [IssueSeverity.MEDIUM]: 2,
+  [IssueSeverity.HIGH]: 3,
+  [IssueSeverity.CRITICAL]: 4
+};
+
+/**
+ * Matching passes, strictest first. Each pass buckets the still-unmatched
+ * issues of both runs by a key; issues sharing a bucket are paired by line.
+ */
+const MATCH_PASSES: Array<{
+  strategy: IssueMatchStrategy;
+  key: (fp: IssueFingerprint, issue: UnifiedIssue) => string | null;
+}> = [
+  {
+    strategy: 'exact',
+    key: (fp) => fp.snippetHash && fp.contextHash ? `${fp.rule}|${fp.entity}|${fp.snippetHash}|${fp.contextHash}` : null
+  },
+  {
+    strategy: 'snippet',
+    key: (fp) => fp.snippetHash ? `${fp.rule}|${fp.entity}|${fp.snippetHash}` : null
+  },
+  {
+    strategy: 'context',
+    key: (fp) => fp.contextHash ? `${fp.rule}|${fp.entity}|${fp.contextHash}` : null
+  },
+  {
+    strategy: 'location',
+    key: (fp, issue) => issue.line !== null ? `${fp.rule}|${fp.entity}|${issue.line}` : null
+  },
+  {
+    // Without snippets on both sides, fall back to the message
+    strategy: 'message',
+    key: (fp, issue) => `${fp.rule}|${fp.entity}|${normalizeMessage(issue.title)}`
+  }
+];
+
+interface Candidate {
+  issue: UnifiedIssue;
+  fingerprint: IssueFingerprint;
+  matched: boolean;
+}
+
+/**
+ * Diffs analysis runs using line-independent issue fingerprints
+ */
+export class AnalysisDiffEngine {
+  private readonly contextLines: number;
+  private readonly maxSnippetLines: number;
+  private readonly riskTolerance: number;
+  private readonly sourceProvider: SourceProvider;
+
+  constructor(options: DiffEngineOptions = {}) {
+    this.contextLines = options.contextLines ?? 2;
+    this.maxSnippetLines = options.maxSnippetLines ?? 20;
+    this.riskTolerance = options.riskTolerance ?? 0.01;
+    this.sourceProvider = options.sourceProvider ?? readSourceFromDisk;
+  }
+
+  /**
+   * Record each issue's fingerprint in its metadata. Call this while the
+   * analysed sources are on disk (e.g. before storing a run) so later diffs
+   * do not depend on the files still having the same content.
+   */
+  annotate(result: UnifiedAnalysisResult): void {
+    const fingerprints = this.fingerprintResult(result);
+    result.issues.forEach((issue, index) => {
+      issue.metadata[FINGERPRINT_METADATA_KEY] = fingerprints[index];
+    });
+  }
+
+  /**
+   * Fingerprint every issue of a run, in issue order. Issues whose identity
+   * collides get an occurrence suffix, assigned in line order.
+   */
+  fingerprintResult(result: UnifiedAnalysisResult): IssueFingerprint[] {
+    const sources = new Map<string, string[] | null>();
+    const fingerprints = result.issues.map(issue => {
+      const stored = issue.metadata[FINGERPRINT_METADATA_KEY] as IssueFingerprint | undefined;
+      if (stored && typeof stored.key === 'string') {
+        return { ...stored };
+      }
+      return this.fingerprintIssue(issue, this.sourceLines(result.projectRoot, issue.entity.canonicalPath, sources));
+    });
+
+    const byKey = new Map<string, number[]>();
+    fingerprints.forEach((fp, index) => {
+      const indexes = byKey.get(fp.key) ?? [];
+      indexes.push(index);
+      byKey.set(fp.key, indexes);
+    });
+
+    for (const indexes of byKey.values()) {
+      if (indexes.length < 2) continue;
+      indexes
+        .sort((a, b) => lineOf(result.issues[a]!) - lineOf(result.issues[b]!))
+        .forEach((index, occurrence) => {
+          if (occurrence > 0) {
+            fingerprints[index]!.key = `${fingerprints[index]!.key}:${occurrence}`;
+          }
+        });
+    }
+
+    return fingerprints;
+  }
+
+  /**
+   * Fingerprint one issue; without source lines the hashes are null and the
+   * key falls back to the normalized message
+   */
+  fingerprintIssue(issue: UnifiedIssue, sourceLines?: string[] | null): IssueFingerprint {
+    const rule = `${issue.toolName}:${issue.ruleId || normalizeMessage(issue.title)}`;
+    const entity = issue.entity.canonicalPath;
+
+    let snippet = typeof issue.metadata.snippet === 'string'
+      ? normalizeCode(issue.metadata.snippet.split(/\r?\n/))
+      : null;
+    let context: string | null = null;
+
+    if (sourceLines && issue.line !== null && issue.line >= 1 && issue.line <= sourceLines.length) {
+      const start = issue.line - 1;
+      const lastLine = Math.max(issue.endLine ?? issue.line, issue.line);
+      const end = Math.min(lastLine, issue.line + this.maxSnippetLines - 1, sourceLines.length);
+
+      snippet = snippet ?? normalizeCode(sourceLines.slice(start, end));
+
+      const above = nonBlank(sourceLines.slice(0, start)).slice(-this.contextLines);
+      const below = nonBlank(sourceLines.slice(end)).slice(0, this.contextLines);
+      if (above.length + below.length > 0) {
+        context = normalizeCode([...above, '---', ...below]);
+      }
+    }
+
+    const snippetHash = snippet ? hash(snippet) : null;
+    const contextHash = context ? hash(context) : null;
+
+    return {
+      key: hash(`${rule}|${entity}|${snippetHash ?? `msg:${normalizeMessage(issue.title)}`}`),
+      rule,
+      entity,
+      snippetHash,
+      contextHash
+    };
+  }
+
+  /**
+   * Compare a previous run with a current one
+   */
+  diff(previous: UnifiedAnalysisResult, current: UnifiedAnalysisResult): AnalysisDelta {
+    const before = this.candidates(previous);
+    const after = this.candidates(current);
+    const matches: MatchedIssue[] = [];
+
+    for (const pass of MATCH_PASSES) {
+      const buckets = new Map<string, { before: Candidate[]; after: Candidate[] }>();
+      const add = (candidate: Candidate, side: 'before' | 'after') => {
+        if (candidate.matched) return;
+        const key = pass.key(candidate.fingerprint, candidate.issue);
+        if (key === null) return;
+        const bucket = buckets.get(key) ?? { before: [], after: [] };
+        bucket[side].push(candidate);
+        buckets.set(key, bucket);
+      };
+      before.forEach(c => add(c, 'before'));
+      after.forEach(c => add(c, 'after'));
+
+      for (const bucket of buckets.values()) {
+        const olds = bucket.before.sort((a, b) => lineOf(a.issue) - lineOf(b.issue));
+        const news = bucket.after.sort((a, b) => lineOf(a.issue) - lineOf(b.issue));
+
+        for (let i = 0; i < Math.min(olds.length, news.length); i++) {
+          const old = olds[i]!;
+          const next = news[i]!;
+          if (pass.strategy === 'message' && old.fingerprint.snippetHash && next.fingerprint.snippetHash) {
+            continue;
+          }
+          old.matched = true;
+          next.matched = true;
+          matches.push({
+            fingerprint: next.fingerprint.key,
+            previous: old.issue,
+            current: next.issue,
+            matchedBy: pass.strategy
+          });
+        }
+      }
+    }
+
+    const newIssues: IssueDeltaEntry[] = after
+      .filter(c => !c.matched)
+      .map(c => ({ fingerprint: c.fingerprint.key, issue: c.issue }));
+    const fixedIssues: IssueDeltaEntry[] = before
+      .filter(c => !c.matched)
+      .map(c => ({ fingerprint: c.fingerprint.key, issue: c.issue }));
+
+    const severityChanges: IssueSeverityChange[] = matches
+      .filter(m => m.previous.severity !== m.current.severity)
+      .map(m => ({
+        ...m,
+        previousSeverity: m.previous.severity,
+        currentSeverity: m.current.severity,
+        direction: SEVERITY_RANK[m.current.severity] > SEVERITY_RANK[m.previous.severity] ? 'escalated' : 'deescalated'
+      }));
+
+    const movedIssues: IssueMove[] = matches
+      .filter(m => m.previous.line !== m.current.line)
+      .map(m => ({ ...m, previousLine: m.previous.line, currentLine: m.current.line }));
+
+    const hotspotChanges = this.diffHotspots(previous.hotspots, current.hotspots);
+    const countTrend = (trend: HotspotDelta['trend']) => hotspotChanges.filter(h => h.trend === trend).length;
+
+    return {
+      projectRoot: current.projectRoot,
+      previousCreatedAt: previous.createdAt,
+      currentCreatedAt: current.createdAt,
+      generatedAt: new Date().toISOString(),
+      newIssues,
+      fixedIssues,
+      severityChanges,
+      movedIssues,
+      hotspotChanges,
+      summary: {
+        previousIssueCount: previous.issues.length,
+        currentIssueCount: current.issues.length,
+        netIssueChange: current.issues.length - previous.issues.length,
+        newIssues: newIssues.length,
+        fixedIssues: fixedIssues.length,
+        unchangedIssues: matches.length,
+        movedIssues: movedIssues.length,
+        escalatedIssues: severityChanges.filter(c => c.direction === 'escalated').length,
+        deescalatedIssues: severityChanges.filter(c => c.direction === 'deescalated').length,
+        newHotspots: countTrend('new'),
+        resolvedHotspots: countTrend('resolved'),
+        grownHotspots: countTrend('grew'),
+        shrunkHotspots: countTrend('shrank')
+      }
+    };
+  }
+
+  /**
+   * Compare hotspots per file; unchanged hotspots are omitted
+   */
+  private diffHotspots(previous: DetectedHotspot[], current: DetectedHotspot[]): HotspotDelta[] {
+    const before = hottestPerFile(previous);
+    const after = hottestPerFile(current);
+    const paths = new Set([...before.keys(), ...after.keys()]);
+    const changes: HotspotDelta[] = [];
+
+    for (const canonicalPath of paths) {
+      const old = before.get(canonicalPath) ?? null;
+      const next = after.get(canonicalPath) ?? null;
+      const riskScoreDelta = (next?.riskScore ?? 0) - (old?.riskScore ?? 0);
+      const issueCountDelta = (next?.issueCount ?? 0) - (old?.issueCount ?? 0);
+
+      let trend: HotspotDelta['trend'];
+      if (!old) {
+        trend = 'new';
+      } else if (!next) {
+        trend = 'resolved';
+      } else if (Math.abs(riskScoreDelta) > this.riskTolerance) {
+        trend = riskScoreDelta > 0 ? 'grew' : 'shrank';
+      } else if (issueCountDelta !== 0) {
+        trend = issueCountDelta > 0 ? 'grew' : 'shrank';
+      } else {
+        continue;
+      }
+
+      changes.push({ canonicalPath, trend, previous: old, current: next, riskScoreDelta, issueCountDelta });
+    }
+
+    return changes.sort((a, b) => Math.abs(b.riskScoreDelta) - Math.abs(a.riskScoreDelta));
+  }
+
+  private candidates(result: UnifiedAnalysisResult): Candidate[] {
+    const fingerprints = this.fingerprintResult(result);
+    return result.issues.map((issue, index) => ({ issue, fingerprint: fingerprints[index]!, matched: false }));
+  }
+
+  private sourceLines(
+    projectRoot: string,
+    canonicalPath: string,
+    cache: Map<string, string[] | null>
+  ): string[] | null {
+    if (!cache.has(canonicalPath)) {
+      const source = this.sourceProvider(canonicalPath, projectRoot);
+      cache.set(canonicalPath, source === null ? null : source.split(/\r?\n/));
+    }
+    return cache.get(canonicalPath)!;
+  }
+}
+
+/**
+ * Default SourceProvider: the file under the project root, if readable
+ */
+export function readSourceFromDisk(canonicalPath: string, projectRoot: string): string | null {
+  try {
+    return fs.readFileSync(path.resolve(projectRoot, canonicalPath), 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+function hottestPerFile(hotspots: DetectedHotspot[]): Map<string, DetectedHotspot> {
+  const byPath = new Map<string, DetectedHotspot>();
+  for (const hotspot of hotspots) {
+    const existing = byPath.get(hotspot.canonicalPath);
+    if (!existing || hotspot.riskScore > existing.riskScore) {
+      byPath.set(hotspot.canonicalPath, hotspot);
+    }
+  }
+  return byPath;
+}
+
+function lineOf(issue: UnifiedIssue): number {
+  return issue.line ?? Number.MAX_SAFE_INTEGER;
+}
+
+function nonBlank(lines: string[]): string[] {
+  return lines.filter(line => line.trim().length > 0);
+}
+
+/**
+ * Whitespace-insensitive form of a code fragment; null when it is blank
+ */
+function normalizeCode(lines: string[]): string | null {
+  const normalized = lines.map(line => line.trim().replace(/\s+/g, ' ')).join('\n').trim();
+  return normalized.length > 0 ? normalized : null;
+}
+
+/**
+ * Messages often embed counts or positions; mask digits so they compare equal
+ */
+function normalizeMessage(message: string): string {
+  return message.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+function hash(value: string): string {
+  return createHash('sha1').update(value).digest('hex').slice(0, 16);
+}
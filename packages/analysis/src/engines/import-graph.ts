@@ -0,0 +1,446 @@
+/**
+ * Import Graph
+ *
+ * Builds a file-level and package-level import graph with the TypeScript
+ * compiler API. Every module reference is read from the syntax tree (static
+ * and multi-line imports, re-exports, `import x = require()`, `require()`,
+ * dynamic `import()` and `import('x').T` types) and resolved the way tsc
+ * resolves it, with the options of the file's nearest tsconfig.json:
+ * `paths`, `baseUrl`, extension probing and, when the project's resolution
+ * finds nothing, bundler resolution honoring package.json `exports`.
+ *
+ * Workspace packages resolve through their node_modules symlinks; when the
+ * resolved file is a declaration in the package's outDir, the source file
+ * it was built from is used instead. Type-only references (`import type`,
+ * `export type`, imports whose every specifier is `type`, import types) are
+ * erased at compile time and are flagged apart from runtime ones.
+ */
+
+import type * as TypeScript from 'typescript';
+import * as fs from 'fs';
+import * as path from 'path';
+import { builtinModules } from 'module';
+
+export type ImportKind = 'import' | 'export' | 'import-equals' | 'require' | 'dynamic' | 'import-type';
+
+/**
+ * Where a reference leads: a file of the same package, a file of another
+ * package of the project, an installed package, a Node.js builtin, or a
+ * relative path that does not resolve
+ */
+export type ImportTarget = 'internal' | 'workspace' | 'external' | 'builtin' | 'unresolved';
+
+export interface ImportEdge {
+  /** Absolute path of the importing file */
+  from: string;
+  /** Absolute path of the resolved file; null for builtins and unresolved references */
+  to: string | null;
+  /** As written */
+  specifier: string;
+  kind: ImportKind;
+  /** Erased at compile time */
+  typeOnly: boolean;
+  /** Local names bound, `*` for namespace, side-effect and `export *` references */
+  names: string[];
+  /** 1-based */
+  line: number;
+  target: ImportTarget;
+  /** Package reached, for workspace, external and builtin targets */
+  packageName?: string;
+}
+
+export interface ImportGraphPackage {
+  name: string;
+  /** Absolute directory of the package.json, for the project's own packages */
+  directory?: string;
+  kind: 'workspace' | 'external' | 'builtin';
+  /** Project files belonging to the package */
+  files: number;
+}
+
+export interface PackageEdge {
+  from: string;
+  to: string;
+  /** References from the package's files that remain at runtime */
+  runtime: number;
+  typeOnly: number;
+}
+
+export interface ImportGraph {
+  /** Absolute paths of the files read */
+  files: string[];
+  edges: ImportEdge[];
+  packages: ImportGraphPackage[];
+  packageEdges: PackageEdge[];
+}
+
+export interface ImportGraphOptions {
+  /** Compiler options for files without a tsconfig.json (default CommonJS with node resolution) */
+  defaultCompilerOptions?: TypeScript.CompilerOptions;
+  /** Keep references that resolve to declaration files instead of their sources (default false) */
+  preferDeclarations?: boolean;
+}
+
+/**
+ * Name and directory of the project package owning a file
+ */
+interface OwningPackage {
+  name: string;
+  directory: string;
+}
+
+const BUILTINS = new Set(builtinModules);
+
+/**
+ * The compiler API, loaded when the first graph is built: typescript is
+ * not a runtime dependency of this package, so importing it must not
+ * need typescript installed
+ */
+let ts: typeof TypeScript;
+
+function loadTypeScript(): void {
+  if (ts) return;
+  try {
+    ts = require('typescript');
+  } catch {
+    throw new Error('Building an import graph needs the typescript package (npm install --save-dev typescript)');
+  }
+}
+
+function defaultCompilerOptions(): TypeScript.CompilerOptions {
+  return {
+    module: ts.ModuleKind.CommonJS,
+    moduleResolution: ts.ModuleResolutionKind.Node10
+  };
+}
+
+/**
+ * Reads a tsconfig.json for its options only, without listing its files
+ */
+function configHost(): TypeScript.ParseConfigHost {
+  return {
+    useCaseSensitiveFileNames: ts.sys.useCaseSensitiveFileNames,
+    fileExists: ts.sys.fileExists,
+    readFile: ts.sys.readFile,
+    readDirectory: () => []
+  };
+}
+
+export class ImportGraphBuilder {
+  private readonly options: ImportGraphOptions;
+  private readonly compilerOptions = new Map<string, TypeScript.CompilerOptions>();
+  private readonly resolutionCaches = new Map<string, TypeScript.ModuleResolutionCache>();
+  private readonly owningPackages = new Map<string, OwningPackage | null>();
+  private projectRoot = '';
+
+  constructor(options: ImportGraphOptions = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Graph of the given files, absolute or relative to `projectRoot`
+   */
+  build(projectRoot: string, files: string[]): ImportGraph {
+    loadTypeScript();
+    // Resolved files are real paths
+    this.projectRoot = realpath(path.resolve(projectRoot));
+    const absolute = files.map(file => realpath(path.resolve(this.projectRoot, file)));
+
+    const edges: ImportEdge[] = [];
+    for (const file of absolute) {
+      let content: string;
+      try {
+        content = fs.readFileSync(file, 'utf-8');
+      } catch {
+        continue;
+      }
+      edges.push(...this.edgesOf(file, content));
+    }
+
+    return { files: absolute, edges, ...this.packageGraph(absolute, edges) };
+  }
+
+  /**
+   * References of one file, resolved
+   */
+  edgesOf(file: string, content: string): ImportEdge[] {
+    loadTypeScript();
+    const sourceFile = ts.createSourceFile(file, content, ts.ScriptTarget.Latest, true);
+    return collectReferences(sourceFile).map(reference => ({
+      from: file,
+      ...reference,
+      ...this.resolve(reference.specifier, file, reference.kind)
+    }));
+  }
+
+  private resolve(
+    specifier: string,
+    containingFile: string,
+    kind: ImportKind
+  ): Pick<ImportEdge, 'to' | 'target' | 'packageName'> {
+    const bare = specifier.replace(/^node:/, '');
+    if (specifier.startsWith('node:') || (BUILTINS.has(bare) && !isRelative(specifier))) {
+      return { to: null, target: 'builtin', packageName: bare.split('/')[0] };
+    }
+
+    const options = this.compilerOptionsFor(containingFile);
+    const mode = kind === 'require' || kind === 'import-equals' ? ts.ModuleKind.CommonJS : ts.ModuleKind.ESNext;
+    const resolved = ts.resolveModuleName(
+      specifier, containingFile, options, ts.sys, this.resolutionCacheFor(options), undefined, mode
+    ).resolvedModule
+      // Node10 resolution ignores package.json `exports`
+      ?? ts.resolveModuleName(specifier, containingFile, {
+        ...options,
+        module: ts.ModuleKind.ESNext,
+        moduleResolution: ts.ModuleResolutionKind.Bundler
+      }, ts.sys, undefined, undefined, mode).resolvedModule;
+
+    if (!resolved) {
+      return isRelative(specifier) || path.isAbsolute(specifier)
+        ? { to: null, target: 'unresolved' }
+        : { to: null, target: 'external', packageName: packageNameOf(specifier) };
+    }
+
+    const to = path.resolve(resolved.resolvedFileName);
+    if (!this.inProject(to)) {
+      return { to, target: 'external', packageName: resolved.packageId?.name ?? packageNameOf(specifier) };
+    }
+
+    const target = this.options.preferDeclarations ? to : this.sourceOf(to);
+    const fromPackage = this.owningPackage(containingFile);
+    const toPackage = this.owningPackage(target);
+    if (toPackage && toPackage.directory !== fromPackage?.directory) {
+      return { to: target, target: 'workspace', packageName: toPackage.name };
+    }
+    return { to: target, target: 'internal' };
+  }
+
+  private packageGraph(files: string[], edges: ImportEdge[]): Pick<ImportGraph, 'packages' | 'packageEdges'> {
+    const packages = new Map<string, ImportGraphPackage>();
+    for (const file of files) {
+      const owner = this.owningPackage(file);
+      if (!owner) continue;
+      const entry = packages.get(owner.name) ?? { name: owner.name, directory: owner.directory, kind: 'workspace', files: 0 };
+      entry.files++;
+      packages.set(owner.name, entry);
+    }
+
+    const packageEdges = new Map<string, PackageEdge>();
+    for (const edge of edges) {
+      if (edge.target === 'internal' || edge.target === 'unresolved' || !edge.packageName) continue;
+      const from = this.owningPackage(edge.from)?.name;
+      if (!from || from === edge.packageName) continue;
+
+      if (!packages.has(edge.packageName)) {
+        packages.set(edge.packageName, {
+          name: edge.packageName,
+          kind: edge.target === 'builtin' ? 'builtin' : edge.target === 'workspace' ? 'workspace' : 'external',
+          files: 0
+        });
+      }
+      const key = `${from}\n${edge.packageName}`;
+      const entry = packageEdges.get(key) ?? { from, to: edge.packageName, runtime: 0, typeOnly: 0 };
+      if (edge.typeOnly) entry.typeOnly++;
+      else entry.runtime++;
+      packageEdges.set(key, entry);
+    }
+
+    return {
+      packages: Array.from(packages.values()).sort((a, b) => a.name.localeCompare(b.name)),
+      packageEdges: Array.from(packageEdges.values())
+        .sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to))
+    };
+  }
+
+  /**
+   * Options of the nearest tsconfig.json (or jsconfig.json), with
+   * JavaScript resolution enabled
+   */
+  private compilerOptionsFor(file: string): TypeScript.CompilerOptions {
+    const configPath = findConfig(path.dirname(file)) ?? '';
+    let options = this.compilerOptions.get(configPath);
+    if (!options) {
+      options = this.options.defaultCompilerOptions ?? defaultCompilerOptions();
+      if (configPath) {
+        const { config, error } = ts.readConfigFile(configPath, ts.sys.readFile);
+        if (!error) {
+          options = ts.parseJsonConfigFileContent(config, configHost(), path.dirname(configPath), undefined, configPath).options;
+        }
+      }
+      options = { ...options, allowJs: true, resolveJsonModule: true };
+      this.compilerOptions.set(configPath, options);
+    }
+    return options;
+  }
+
+  private resolutionCacheFor(options: TypeScript.CompilerOptions): TypeScript.ModuleResolutionCache {
+    const key = JSON.stringify(options);
+    let cache = this.resolutionCaches.get(key);
+    if (!cache) {
+      cache = ts.createModuleResolutionCache(this.projectRoot, name => name, options);
+      this.resolutionCaches.set(key, cache);
+    }
+    return cache;
+  }
+
+  /**
+   * Source a declaration file in its package's outDir was built from, or
+   * the file itself
+   */
+  private sourceOf(file: string): string {
+    if (!/\.d\.[mc]?ts$/.test(file)) return file;
+    const configPath = findConfig(path.dirname(file));
+    if (!configPath) return file;
+
+    const { outDir, rootDir, declarationDir } = this.compilerOptionsFor(file);
+    const configDir = path.dirname(configPath);
+    const emitDir = declarationDir ?? outDir;
+    if (!emitDir) return file;
+
+    const relative = path.relative(path.resolve(configDir, emitDir), file);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) return file;
+
+    // Without rootDir, tsc roots the output at the common source directory
+    const roots = rootDir ? [path.resolve(configDir, rootDir)] : [path.join(configDir, 'src'), configDir];
+    const stem = relative.replace(/\.d\.([mc]?)ts$/, '');
+    const extensions = relative.endsWith('.d.mts') ? ['.mts', '.mjs']
+      : relative.endsWith('.d.cts') ? ['.cts', '.cjs']
+      : ['.ts', '.tsx', '.js', '.jsx'];
+    for (const root of roots) {
+      const source = extensions.map(extension => path.join(root, stem + extension)).find(ts.sys.fileExists);
+      if (source) return source;
+    }
+    return file;
+  }
+
+  /**
+   * Nearest package.json inside the project
+   */
+  private owningPackage(file: string): OwningPackage | null {
+    const directory = path.dirname(file);
+    if (this.owningPackages.has(directory)) return this.owningPackages.get(directory)!;
+
+    let owner: OwningPackage | null = null;
+    const manifest = path.join(directory, 'package.json');
+    if (fs.existsSync(manifest)) {
+      owner = { name: this.readPackageName(manifest) ?? (path.relative(this.projectRoot, directory) || '.'), directory };
+    } else if (directory !== this.projectRoot && this.inProject(path.dirname(directory))) {
+      owner = this.owningPackage(directory);
+    }
+    this.owningPackages.set(directory, owner);
+    return owner;
+  }
+
+  private readPackageName(manifest: string): string | undefined {
+    try {
+      const name = JSON.parse(fs.readFileSync(manifest, 'utf-8')).name;
+      return typeof name === 'string' && name ? name : undefined;
+    } catch {
+      return undefined;
+    }
+  }
+
+  private inProject(file: string): boolean {
+    const relative = path.relative(this.projectRoot, file);
+    return !relative.startsWith('..') && !path.isAbsolute(relative) && !relative.split(path.sep).includes('node_modules');
+  }
+}
+
+type Reference = Pick<ImportEdge, 'specifier' | 'kind' | 'typeOnly' | 'names' | 'line'>;
+
+/**
+ * Module references of a parsed file, in source order
+ */
+function collectReferences(sourceFile: TypeScript.SourceFile): Reference[] {
+  const references: Reference[] = [];
+  const add = (node: TypeScript.Node, specifier: TypeScript.Expression | undefined, kind: ImportKind, typeOnly: boolean, names: string[]) => {
+    if (!specifier || !ts.isStringLiteralLike(specifier)) return;
+    const line = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line + 1;
+    references.push({ specifier: specifier.text, kind, typeOnly, names, line });
+  };
+
+  const visit = (node: TypeScript.Node): void => {
+    if (ts.isImportDeclaration(node)) {
+      add(node, node.moduleSpecifier, 'import', importIsTypeOnly(node), importedNames(node.importClause));
+    } else if (ts.isExportDeclaration(node)) {
+      const clause = node.exportClause;
+      const typeOnly = node.isTypeOnly
+        || (!!clause && ts.isNamedExports(clause) && clause.elements.length > 0 && clause.elements.every(element => element.isTypeOnly));
+      const names = clause
+        ? ts.isNamedExports(clause) ? clause.elements.map(element => element.name.text) : [clause.name.text]
+        : ['*'];
+      add(node, node.moduleSpecifier, 'export', typeOnly, names);
+    } else if (ts.isImportEqualsDeclaration(node) && ts.isExternalModuleReference(node.moduleReference)) {
+      add(node, node.moduleReference.expression, 'import-equals', node.isTypeOnly, [node.name.text]);
+    } else if (ts.isImportTypeNode(node) && ts.isLiteralTypeNode(node.argument)) {
+      add(node, node.argument.literal, 'import-type', true, [node.qualifier?.getText(sourceFile) ?? '*']);
+    } else if (ts.isCallExpression(node) && node.arguments.length >= 1) {
+      if (node.expression.kind === ts.SyntaxKind.ImportKeyword) {
+        add(node, node.arguments[0], 'dynamic', false, ['*']);
+      } else if (ts.isIdentifier(node.expression) && node.expression.text === 'require' && node.arguments.length === 1) {
+        add(node, node.arguments[0], 'require', false, boundNames(node));
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+
+  return references;
+}
+
+/**
+ * `import type`, or named imports that are all `type`
+ */
+function importIsTypeOnly(node: TypeScript.ImportDeclaration): boolean {
+  const clause = node.importClause;
+  if (!clause) return false;
+  if (clause.isTypeOnly) return true;
+  const bindings = clause.namedBindings;
+  return !clause.name && !!bindings && ts.isNamedImports(bindings)
+    && bindings.elements.length > 0 && bindings.elements.every(element => element.isTypeOnly);
+}
+
+function importedNames(clause: TypeScript.ImportClause | undefined): string[] {
+  if (!clause) return ['*'];
+  const names = clause.name ? [clause.name.text] : [];
+  const bindings = clause.namedBindings;
+  if (bindings) {
+    if (ts.isNamespaceImport(bindings)) names.push(bindings.name.text);
+    else names.push(...bindings.elements.map(element => element.name.text));
+  }
+  return names;
+}
+
+/**
+ * Names a `require()` is assigned to, `*` when it is not
+ */
+function boundNames(call: TypeScript.CallExpression): string[] {
+  const parent = call.parent;
+  if (!parent || !ts.isVariableDeclaration(parent) || parent.initializer !== call) return ['*'];
+  if (ts.isIdentifier(parent.name)) return [parent.name.text];
+  if (ts.isObjectBindingPattern(parent.name)) {
+    return parent.name.elements.map(element => element.name).filter(ts.isIdentifier).map(name => name.text);
+  }
+  return ['*'];
+}
+
+function realpath(file: string): string {
+  return ts.sys.realpath?.(file) ?? file;
+}
+
+function findConfig(directory: string): string | undefined {
+  return ts.findConfigFile(directory, ts.sys.fileExists)
+    ?? ts.findConfigFile(directory, ts.sys.fileExists, 'jsconfig.json');
+}
+
+function isRelative(specifier: string): boolean {
+  return specifier === '.' || specifier === '..' || specifier.startsWith('./') || specifier.startsWith('../');
+}
+
+/**
+ * `@scope/name` or `name` of a bare specifier
+ */
+function packageNameOf(specifier: string): string {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0]!;
+}
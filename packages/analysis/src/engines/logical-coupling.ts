@@ -0,0 +1,341 @@
+/**
+ * Logical Coupling Analyzer
+ *
+ * Mines git history for files that change together and scores each pair as
+ * an association rule:
+ *
+ * - support: share of the analyzed commits touching both files
+ * - confidence: share of the commits touching one file that touch the
+ *   other too, in each direction
+ *
+ * Every commit is weighted by its age, halving every `halfLifeDays`, so
+ * coupling that stopped fades out. Bulk commits (more than
+ * `maxFilesPerCommit` files, or a reformat or vendor update by their
+ * message) are skipped: they relate files by accident and would make the
+ * pair count quadratic in commit size. Vendored and generated paths are
+ * dropped from every commit.
+ *
+ * Strongly coupled files are grouped into clusters, of which those spanning
+ * modules are kept. Compared with DependencyAnalyzer's import graph, pairs
+ * of source modules that neither import each other are flagged as hidden
+ * coupling.
+ */
+
+import { execFile } from 'child_process';
+import * as path from 'path';
+import { promisify } from 'util';
+
+import {
+  LogicalCouplingCluster,
+  LogicalCouplingGraph,
+  LogicalCouplingPair
+} from '@topolop/shared-types';
+
+import { DependencyAnalyzer } from './dependency-analyzer';
+import { DependencyRelationship } from './semantic-analysis-engine';
+
+const execFileAsync = promisify(execFile);
+
+export interface LogicalCouplingOptions {
+  /** Commits touching more files are skipped (default 30) */
+  maxFilesPerCommit?: number;
+  /** Commit messages marking bulk changes to skip (default reformats and vendor updates) */
+  bulkCommitPattern?: RegExp;
+  /** Paths dropped from every commit (default vendored, generated and lock files) */
+  ignore?: RegExp[];
+  /** Age in days at which a commit counts half (default 180) */
+  halfLifeDays?: number;
+  /** Date the decay is measured from (default the newest commit) */
+  referenceDate?: Date;
+  /** Commits a pair needs (default 2) */
+  minCoChanges?: number;
+  /** Confidence a pair needs in its stronger direction (default 0.3) */
+  minConfidence?: number;
+  /** Confidence joining two files into a cluster (default 0.5) */
+  clusterConfidence?: number;
+  /** Module of a project-relative file (default its first `moduleDepth` directories) */
+  moduleOf?: (file: string) => string;
+  /** Directories naming a module for the default moduleOf (default 2) */
+  moduleDepth?: number;
+  /** Commits read from git, newest first (default 5000) */
+  maxCommits?: number;
+  /** Compare with the import graph in analyze() (default true) */
+  compareImports?: boolean;
+}
+
+/**
+ * A commit as far as co-change goes; TemporalAnalyzer's GitCommit fits
+ * with `files` mapped to paths
+ */
+export interface CoChangeCommit {
+  hash: string;
+  date: Date | string;
+  message?: string;
+  /** Project-relative paths */
+  files: string[];
+}
+
+const DEFAULT_BULK_COMMIT_PATTERN = /\b(re-?format(ted|ting)?|prettier|vendor(ed|ing)?|update (vendored )?dependencies)\b/i;
+
+const DEFAULT_IGNORE = [
+  /(^|\/)(node_modules|vendor|third_party|dist|build)\//,
+  /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|go\.sum|poetry\.lock)$/,
+  /\.min\.(js|css)$/
+];
+
+/**
+ * Extensions of the modules DependencyAnalyzer builds its import graph from
+ */
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+interface PairTally {
+  fileA: string;
+  fileB: string;
+  coChanges: number;
+  weight: number;
+  last: number;
+}
+
+/**
+ * Builds logical-coupling graphs from git co-change history
+ */
+export class LogicalCouplingAnalyzer {
+  private readonly options: LogicalCouplingOptions;
+
+  constructor(options: LogicalCouplingOptions = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Analyze a repository's history; unless `compareImports` is off, pairs
+   * are compared with the given import graph or one DependencyAnalyzer
+   * builds for the project
+   */
+  async analyze(
+    projectRoot: string,
+    context: { dependencies?: DependencyRelationship[]; timeRange?: { start: Date; end: Date } } = {}
+  ): Promise<LogicalCouplingGraph> {
+    const graph = this.fromCommits(await this.readHistory(projectRoot, context.timeRange));
+    if (this.options.compareImports === false) return graph;
+
+    let dependencies = context.dependencies;
+    if (!dependencies) {
+      // A type-only import is still a relationship the code states
+      const analysis = await new DependencyAnalyzer({ architectureRules: false }).analyzeDependencies(projectRoot, []);
+      dependencies = [...analysis.dependencies, ...analysis.typeDependencies];
+    }
+    return this.markHiddenCoupling(graph, dependencies, projectRoot);
+  }
+
+  /**
+   * Coupling graph from commits in any order
+   */
+  fromCommits(commits: CoChangeCommit[]): LogicalCouplingGraph {
+    const maxFiles = this.options.maxFilesPerCommit ?? 30;
+    const bulkPattern = this.options.bulkCommitPattern ?? DEFAULT_BULK_COMMIT_PATTERN;
+    const ignore = this.options.ignore ?? DEFAULT_IGNORE;
+    const halfLifeDays = this.options.halfLifeDays ?? 180;
+    const reference = this.options.referenceDate?.getTime()
+      ?? Math.max(0, ...commits.map(commit => time(commit.date)));
+    const weightOf = (date: number) => 0.5 ** (Math.max(0, reference - date) / DAY / halfLifeDays);
+
+    const fileWeights = new Map<string, number>();
+    const tallies = new Map<string, PairTally>();
+    let totalWeight = 0;
+    let analyzed = 0;
+    let skipped = 0;
+
+    for (const commit of commits) {
+      const files = Array.from(new Set(commit.files))
+        .filter(file => !ignore.some(pattern => pattern.test(file)))
+        .sort();
+      if (files.length > maxFiles || (commit.message && bulkPattern.test(commit.message))) {
+        skipped++;
+        continue;
+      }
+      if (files.length === 0) continue;
+
+      const date = time(commit.date);
+      const weight = weightOf(date);
+      analyzed++;
+      totalWeight += weight;
+      files.forEach(file => fileWeights.set(file, (fileWeights.get(file) ?? 0) + weight));
+
+      for (let i = 0; i < files.length; i++) {
+        for (let j = i + 1; j < files.length; j++) {
+          const key = `${files[i]}\n${files[j]}`;
+          const tally = tallies.get(key) ?? { fileA: files[i]!, fileB: files[j]!, coChanges: 0, weight: 0, last: 0 };
+          tally.coChanges++;
+          tally.weight += weight;
+          tally.last = Math.max(tally.last, date);
+          tallies.set(key, tally);
+        }
+      }
+    }
+
+    const minCoChanges = this.options.minCoChanges ?? 2;
+    const minConfidence = this.options.minConfidence ?? 0.3;
+    const pairs: LogicalCouplingPair[] = [];
+    for (const tally of tallies.values()) {
+      if (tally.coChanges < minCoChanges) continue;
+      const confidenceAToB = round(tally.weight / fileWeights.get(tally.fileA)!);
+      const confidenceBToA = round(tally.weight / fileWeights.get(tally.fileB)!);
+      const confidence = Math.max(confidenceAToB, confidenceBToA);
+      if (confidence < minConfidence) continue;
+
+      pairs.push({
+        fileA: tally.fileA,
+        fileB: tally.fileB,
+        coChanges: tally.coChanges,
+        support: round(tally.weight / totalWeight),
+        confidenceAToB,
+        confidenceBToA,
+        confidence,
+        lastCoChange: new Date(tally.last).toISOString(),
+        crossModule: this.moduleOf(tally.fileA) !== this.moduleOf(tally.fileB)
+      });
+    }
+    pairs.sort((a, b) =>
+      b.confidence - a.confidence || b.coChanges - a.coChanges ||
+      a.fileA.localeCompare(b.fileA) || a.fileB.localeCompare(b.fileB));
+
+    return {
+      pairs,
+      clusters: this.clusters(pairs),
+      commitsAnalyzed: analyzed,
+      commitsSkipped: skipped,
+      halfLifeDays,
+      referenceDate: new Date(reference).toISOString()
+    };
+  }
+
+  /**
+   * Flag pairs of source modules with no import between them in either
+   * direction; `dependencies` use absolute or project-relative paths, with
+   * or without extension, as DependencyAnalyzer reports them
+   */
+  markHiddenCoupling(
+    graph: LogicalCouplingGraph,
+    dependencies: DependencyRelationship[],
+    projectRoot: string
+  ): LogicalCouplingGraph {
+    const imports = new Set<string>();
+    for (const dependency of dependencies) {
+      if (dependency.isExternal) continue;
+      const from = moduleKey(dependency.from, projectRoot);
+      const to = moduleKey(dependency.to, projectRoot);
+      imports.add(`${from}\n${to}`);
+      imports.add(`${to}\n${from}`);
+    }
+
+    return {
+      ...graph,
+      pairs: graph.pairs.map(pair => {
+        const { hidden: _previous, ...unmarked } = pair;
+        if (!isSourceModule(pair.fileA) || !isSourceModule(pair.fileB)) return unmarked;
+        const key = `${moduleKey(pair.fileA, projectRoot)}\n${moduleKey(pair.fileB, projectRoot)}`;
+        return { ...unmarked, hidden: !imports.has(key) };
+      })
+    };
+  }
+
+  /**
+   * Read the commits touching the project, merges left out; the project
+   * may be a directory of a larger repository, whose other files are left
+   * out and whose paths are made project-relative
+   */
+  async readHistory(projectRoot: string, timeRange?: { start: Date; end: Date }): Promise<CoChangeCommit[]> {
+    const args = [
+      'log', '--no-merges', '--name-only', '--relative', '--format=%x1e%H%x1f%aI%x1f%s',
+      `--max-count=${this.options.maxCommits ?? 5000}`
+    ];
+    if (timeRange) {
+      args.push(`--since=${timeRange.start.toISOString()}`, `--until=${timeRange.end.toISOString()}`);
+    }
+    args.push('--', '.');
+
+    let stdout: string;
+    try {
+      ({ stdout } = await execFileAsync('git', args, { cwd: projectRoot, maxBuffer: 256 * 1024 * 1024 }));
+    } catch (error) {
+      throw new Error(`Cannot read git history of "${projectRoot}": ${error instanceof Error ? error.message : error}`);
+    }
+
+    return stdout.split('\x1e').filter(record => record.trim()).map(record => {
+      const [header = '', ...files] = record.split('\n');
+      const [hash = '', date = '', message = ''] = header.split('\x1f');
+      return { hash, date, message, files: files.map(file => file.trim()).filter(Boolean) };
+    });
+  }
+
+  /**
+   * Connected groups of strongly coupled files, kept when they span modules
+   */
+  private clusters(pairs: LogicalCouplingPair[]): LogicalCouplingCluster[] {
+    const threshold = this.options.clusterConfidence ?? 0.5;
+    const strong = pairs.filter(pair => pair.confidence >= threshold);
+
+    const parents = new Map<string, string>();
+    const find = (file: string): string => {
+      let root = file;
+      while (parents.get(root) !== root) root = parents.get(root)!;
+      parents.set(file, root);
+      return root;
+    };
+    for (const pair of strong) {
+      if (!parents.has(pair.fileA)) parents.set(pair.fileA, pair.fileA);
+      if (!parents.has(pair.fileB)) parents.set(pair.fileB, pair.fileB);
+      parents.set(find(pair.fileA), find(pair.fileB));
+    }
+
+    const members = new Map<string, { files: string[]; confidences: number[] }>();
+    for (const file of parents.keys()) {
+      const root = find(file);
+      const group = members.get(root) ?? { files: [], confidences: [] };
+      group.files.push(file);
+      members.set(root, group);
+    }
+    strong.forEach(pair => members.get(find(pair.fileA))!.confidences.push(pair.confidence));
+
+    return Array.from(members.values())
+      .map(group => ({
+        files: group.files.sort(),
+        modules: Array.from(new Set(group.files.map(file => this.moduleOf(file)))).sort(),
+        strength: round(group.confidences.reduce((sum, confidence) => sum + confidence, 0) / group.confidences.length)
+      }))
+      .filter(group => group.modules.length > 1)
+      .sort((a, b) => b.files.length - a.files.length || b.strength - a.strength || a.files[0]!.localeCompare(b.files[0]!))
+      .map((group, index) => ({ id: `coupling-cluster-${index + 1}`, ...group }));
+  }
+
+  private moduleOf(file: string): string {
+    if (this.options.moduleOf) return this.options.moduleOf(file);
+    const directories = file.split('/').slice(0, -1);
+    return directories.slice(0, this.options.moduleDepth ?? 2).join('/') || '.';
+  }
+}
+
+function isSourceModule(file: string): boolean {
+  return SOURCE_EXTENSIONS.includes(path.extname(file));
+}
+
+/**
+ * Project-relative path without source extension or trailing /index, so
+ * `./util` and `util/index.ts` meet
+ */
+function moduleKey(file: string, projectRoot: string): string {
+  let key = path.relative(projectRoot, path.resolve(projectRoot, file)).split(path.sep).join('/');
+  const extension = path.extname(key);
+  if (SOURCE_EXTENSIONS.includes(extension)) key = key.slice(0, -extension.length);
+  return key.replace(/\/index$/, '');
+}
+
+function time(date: Date | string): number {
+  return new Date(date).getTime();
+}
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,310 @@
+/**
+ * Ownership Analyzer
+ *
+ * Measures code ownership from git blame through the git analyzer's
+ * GitReader: an author owns the lines they last changed. For every tracked
+ * file, directory and module it reports the owners' shares, the bus factor
+ * (fewest authors owning more than half of the lines) and the knowledge
+ * loss, the share of lines whose authors have been inactive for
+ * `inactiveAfterDays`.
+ *
+ * With a CODEOWNERS file, declared owners are compared with the blamed
+ * ones. `@user` owners match authors by name or email user, emails match
+ * exactly, and teams need `identities` mapping them to their members;
+ * files whose declared owners cannot be resolved are not reported.
+ */
+
+import {
+  AuthorOwnership,
+  FileOwnership,
+  GroupOwnership,
+  OwnershipMismatch,
+  OwnershipSummary,
+  UnifiedAnalysisResult
+} from '@topolop/shared-types';
+
+import { matchesGlob } from '../suppression/glob';
+import { CodeOwners } from './codeowners';
+
+/**
+ * A line of GitReader.getBlame()
+ */
+export interface BlameLine {
+  line: number;
+  hash: string;
+  author: { name: string; email: string };
+  date: Date | null;
+}
+
+/**
+ * The part of GitReader used here
+ */
+export interface GitReaderLike {
+  getCurrentFiles(): Promise<string[]>;
+  getBlame(filePath: string, commitHash?: string): Promise<BlameLine[]>;
+  getAuthorActivity(): Promise<Array<{ name: string; email: string; lastCommit: Date }>>;
+}
+
+export interface OwnershipOptions {
+  /** Defaults to the git analyzer's GitReader on the project */
+  gitReader?: GitReaderLike;
+  /** Days without a commit after which an author is inactive (default 180) */
+  inactiveAfterDays?: number;
+  /** Date inactivity is measured from (default the latest commit) */
+  referenceDate?: Date;
+  /** Globs against project-relative paths; only matching files are blamed */
+  include?: string[];
+  /** Globs against project-relative paths (default vendored, generated, lock and binary files) */
+  exclude?: string[];
+  /** Files blamed at most, in path order (default 5000) */
+  maxFiles?: number;
+  /** Module of a project-relative file (default its first `moduleDepth` directories) */
+  moduleOf?: (file: string) => string;
+  /** Directories naming a module for the default moduleOf (default 2) */
+  moduleDepth?: number;
+  /** CODEOWNERS to compare with; found in the project when omitted, `false` skips the comparison */
+  codeOwners?: CodeOwners | false;
+  /** Names and emails of CODEOWNERS owners, e.g. `{ '@org/web': ['ana@example.com'] }` */
+  identities?: Record<string, string[]>;
+}
+
+export interface OwnershipReport {
+  files: Map<string, FileOwnership>;
+  /** Every directory holding blamed files, the root as `.` */
+  directories: GroupOwnership[];
+  modules: GroupOwnership[];
+  /** Over all blamed files */
+  authors: AuthorOwnership[];
+  mismatches: OwnershipMismatch[];
+  inactiveAfterDays: number;
+  /** ISO date inactivity was measured from */
+  referenceDate: string;
+}
+
+const DEFAULT_EXCLUDE = [
+  '**/node_modules/**', '**/vendor/**', '**/third_party/**', '**/dist/**', '**/build/**',
+  '**/package-lock.json', '**/yarn.lock', '**/pnpm-lock.yaml', '**/*.min.js', '**/*.min.css',
+  ...['png', 'jpg', 'jpeg', 'gif', 'ico', 'svg', 'pdf', 'zip', 'gz', 'woff', 'woff2', 'ttf', 'eot'].map(extension => `**/*.${extension}`)
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+type LineCounts = Map<string, { author: string; email: string; lines: number }>;
+
+/**
+ * Blame-based ownership and bus factor
+ */
+export class OwnershipAnalyzer {
+  private readonly options: OwnershipOptions;
+
+  constructor(options: OwnershipOptions = {}) {
+    this.options = options;
+  }
+
+  async analyze(projectRoot: string): Promise<OwnershipReport> {
+    const reader = this.options.gitReader ?? gitReader(projectRoot);
+    const inactiveAfterDays = this.options.inactiveAfterDays ?? 180;
+
+    const activity = new Map<string, Date>();
+    for (const author of await reader.getAuthorActivity()) {
+      activity.set(author.email.toLowerCase(), new Date(author.lastCommit));
+    }
+    const reference = this.options.referenceDate?.getTime()
+      ?? Math.max(0, ...Array.from(activity.values(), date => date.getTime()));
+    const lastActive = (email: string) => activity.get(email.toLowerCase()) ?? new Date(0);
+    const isInactive = (email: string) => reference - lastActive(email).getTime() > inactiveAfterDays * DAY;
+    const summarize = (counts: LineCounts): OwnershipSummary => this.summarize(counts, lastActive, isInactive);
+
+    const files = (await reader.getCurrentFiles())
+      .filter(file => this.inScope(file))
+      .sort()
+      .slice(0, this.options.maxFiles ?? 5000);
+
+    const codeOwners = this.options.codeOwners === false
+      ? null
+      : this.options.codeOwners ?? CodeOwners.fromProject(projectRoot);
+
+    const fileOwnership = new Map<string, FileOwnership>();
+    const fileCounts = new Map<string, LineCounts>();
+    for (const file of files) {
+      let blame: BlameLine[];
+      try {
+        blame = await reader.getBlame(file);
+      } catch {
+        // Submodules and files git cannot blame
+        continue;
+      }
+      const counts: LineCounts = new Map();
+      for (const line of blame) {
+        // Uncommitted changes have no author yet
+        if (/^0+$/.test(line.hash)) continue;
+        const key = line.author.email.toLowerCase();
+        const entry = counts.get(key) ?? { author: line.author.name, email: line.author.email, lines: 0 };
+        entry.lines++;
+        counts.set(key, entry);
+      }
+      if (counts.size === 0) continue;
+      fileCounts.set(file, counts);
+      fileOwnership.set(file, { ...summarize(counts), declaredOwners: codeOwners?.ownersOf(file) ?? [] });
+    }
+
+    const directories = this.groups(fileCounts, file => ancestors(file), summarize);
+    const modules = this.groups(fileCounts, file => [this.moduleOf(file)], summarize);
+    const authors = summarize(merge(Array.from(fileCounts.values()))).owners;
+
+    return {
+      files: fileOwnership,
+      directories,
+      modules,
+      authors,
+      mismatches: codeOwners ? this.mismatches(fileOwnership) : [],
+      inactiveAfterDays,
+      referenceDate: new Date(reference).toISOString()
+    };
+  }
+
+  /**
+   * Put each file's ownership on its metrics in a result
+   */
+  attach(report: OwnershipReport, result: UnifiedAnalysisResult): void {
+    report.files.forEach((ownership, file) => result.setOwnership(file, ownership));
+  }
+
+  /**
+   * Files whose declared owners did not write them
+   */
+  private mismatches(files: Map<string, FileOwnership>): OwnershipMismatch[] {
+    const mismatches: OwnershipMismatch[] = [];
+
+    for (const [file, ownership] of files) {
+      const actualOwners = ownership.owners.slice(0, ownership.busFactor).map(owner => owner.author);
+      const declaredOwners = ownership.declaredOwners;
+      if (declaredOwners.length === 0) {
+        mismatches.push({ path: file, kind: 'undeclared', declaredOwners, actualOwners });
+        continue;
+      }
+      if (!declaredOwners.some(owner => this.resolvable(owner))) continue;
+
+      const contributing = ownership.owners.filter(author =>
+        declaredOwners.some(owner => this.ownerMatches(owner, author)));
+      if (contributing.length === 0) {
+        mismatches.push({ path: file, kind: 'not-contributing', declaredOwners, actualOwners });
+      } else if (contributing.every(author => author.inactive)) {
+        mismatches.push({ path: file, kind: 'inactive', declaredOwners, actualOwners });
+      }
+    }
+
+    return mismatches;
+  }
+
+  private resolvable(owner: string): boolean {
+    return owner in (this.options.identities ?? {}) || !/^@[^/]+\//.test(owner);
+  }
+
+  private ownerMatches(owner: string, author: AuthorOwnership): boolean {
+    const name = author.author.toLowerCase();
+    const email = author.email.toLowerCase();
+    const identities = this.options.identities?.[owner];
+    if (identities) {
+      return identities.some(identity => [name, email].includes(identity.toLowerCase()));
+    }
+    if (!owner.startsWith('@')) return owner.toLowerCase() === email;
+
+    const handle = owner.slice(1).toLowerCase();
+    // GitHub noreply addresses: handle@ or id+handle@users.noreply.github.com
+    const user = email.split('@')[0]!.replace(/^\d+\+/, '');
+    return handle === user || handle === name.replace(/\s+/g, '');
+  }
+
+  private groups(
+    fileCounts: Map<string, LineCounts>,
+    keysOf: (file: string) => string[],
+    summarize: (counts: LineCounts) => OwnershipSummary
+  ): GroupOwnership[] {
+    const members = new Map<string, LineCounts[]>();
+    for (const [file, counts] of fileCounts) {
+      for (const key of keysOf(file)) {
+        const group = members.get(key) ?? [];
+        group.push(counts);
+        members.set(key, group);
+      }
+    }
+
+    return Array.from(members.entries())
+      .map(([groupPath, counts]) => ({ path: groupPath, files: counts.length, ...summarize(merge(counts)) }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  private summarize(
+    counts: LineCounts,
+    lastActive: (email: string) => Date,
+    isInactive: (email: string) => boolean
+  ): OwnershipSummary {
+    const totalLines = Array.from(counts.values()).reduce((sum, entry) => sum + entry.lines, 0);
+    const owners = Array.from(counts.values())
+      .map(entry => ({
+        author: entry.author,
+        email: entry.email,
+        lines: entry.lines,
+        share: round(entry.lines / totalLines),
+        lastActive: lastActive(entry.email).toISOString(),
+        inactive: isInactive(entry.email)
+      }))
+      .sort((a, b) => b.lines - a.lines || a.author.localeCompare(b.author));
+
+    let busFactor = 0;
+    let covered = 0;
+    while (covered * 2 <= totalLines && busFactor < owners.length) {
+      covered += owners[busFactor++]!.lines;
+    }
+    const inactiveLines = owners.filter(owner => owner.inactive).reduce((sum, owner) => sum + owner.lines, 0);
+
+    return {
+      owners,
+      totalLines,
+      busFactor,
+      knowledgeLoss: totalLines > 0 ? round(inactiveLines / totalLines) : 0
+    };
+  }
+
+  private inScope(file: string): boolean {
+    const { include, exclude = DEFAULT_EXCLUDE } = this.options;
+    if (include && !include.some(glob => matchesGlob(file, glob))) return false;
+    return !exclude.some(glob => matchesGlob(file, glob));
+  }
+
+  private moduleOf(file: string): string {
+    if (this.options.moduleOf) return this.options.moduleOf(file);
+    const directories = file.split('/').slice(0, -1);
+    return directories.slice(0, this.options.moduleDepth ?? 2).join('/') || '.';
+  }
+}
+
+function gitReader(projectRoot: string): GitReaderLike {
+  const GitReader = require('../analyzers/git-analyzer/src/git-reader');
+  return new GitReader(projectRoot);
+}
+
+/**
+ * Directories containing a file, the root included
+ */
+function ancestors(file: string): string[] {
+  const directories = file.split('/').slice(0, -1);
+  return ['.', ...directories.map((_, index) => directories.slice(0, index + 1).join('/'))];
+}
+
+function merge(countsList: LineCounts[]): LineCounts {
+  const merged: LineCounts = new Map();
+  for (const counts of countsList) {
+    for (const [key, entry] of counts) {
+      const total = merged.get(key) ?? { author: entry.author, email: entry.email, lines: 0 };
+      total.lines += entry.lines;
+      merged.set(key, total);
+    }
+  }
+  return merged;
+}
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
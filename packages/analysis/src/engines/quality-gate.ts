@@ -0,0 +1,243 @@
+/**
+ * Quality Gate Engine
+ *
+ * Turns a UnifiedAnalysisResult into a pass/fail verdict. Conditions cap
+ * counts of new issues by severity and analysis type, the highest hotspot
+ * risk, correlation groups, dependency vulnerabilities and license
+ * violations.
+ *
+ * "New" issues are those missing from a previous run when one is given
+ * (matched by the diff engine's fingerprints), otherwise the issues not
+ * accepted by the project's baseline or suppressions: those of the
+ * suppression engine passed in, else the ones marked in the result.
+ * Against a previous run, issues whose severity escalated also count
+ * against the new-issue severity limits, at their current severity.
+ * Suppressed issues never count.
+ */
+
+import {
+  UnifiedAnalysisResult,
+  UnifiedIssue,
+  IssueSeverity,
+  AnalysisType,
+  isSuppressed
+} from '@topolop/shared-types';
+
+import { AnalysisDiffEngine } from './diff-engine';
+import { SuppressionEngine } from '../suppression/suppression-engine';
+
+export const QUALITY_GATE_VERDICT_VERSION = 1;
+
+/**
+ * Maximum issue counts; every limit given must hold
+ */
+export interface IssueCountThresholds {
+  total?: number;
+  severity?: Partial<Record<IssueSeverity, number>>;
+  type?: Partial<Record<AnalysisType, number>>;
+}
+
+export interface CorrelationGroupThresholds {
+  /** Maximum number of counted groups */
+  max: number;
+  /** Only groups at or above this risk score count (default 0) */
+  minRiskScore?: number;
+  /** Only groups flagged by at least this many tools count (default 1) */
+  minTools?: number;
+}
+
+export interface QualityGateConfig {
+  /** Limits on new issues */
+  newIssues?: IssueCountThresholds;
+  /** Limits on all active issues */
+  issues?: IssueCountThresholds;
+  /** Highest hotspot risk score allowed */
+  maxHotspotRisk?: number;
+  correlationGroups?: CorrelationGroupThresholds;
+  /** Limits on active dependency_security issues */
+  dependencyVulnerabilities?: IssueCountThresholds;
+  /** Maximum active dependency_licensing issues */
+  maxLicenseViolations?: number;
+}
+
+/**
+ * Gate used when a project configures none: no new critical or high issues
+ */
+export const DEFAULT_QUALITY_GATE: QualityGateConfig = {
+  newIssues: { severity: { [IssueSeverity.CRITICAL]: 0, [IssueSeverity.HIGH]: 0 } }
+};
+
+/**
+ * Outcome of one condition
+ */
+export interface QualityGateCondition {
+  /** Config path of the threshold, e.g. `newIssues.severity.high` */
+  metric: string;
+  /** What is measured, e.g. `new high issues` */
+  description: string;
+  threshold: number;
+  actual: number;
+  passed: boolean;
+  /** Offending issues or hotspots (`path:line tool rule`), at most 10 */
+  details: string[];
+}
+
+export interface QualityGateVerdict {
+  version: number;
+  status: 'passed' | 'failed';
+  evaluatedAt: string;
+  /** What "new" was measured against */
+  basis: 'previous-run' | 'baseline';
+  conditions: QualityGateCondition[];
+  /** One sentence per failed condition */
+  reasons: string[];
+  counts: {
+    activeIssues: number;
+    newIssues: number;
+    /** Issues of the previous run that are now more severe */
+    escalatedIssues: number;
+    suppressedIssues: number;
+  };
+}
+
+const MAX_DETAILS = 10;
+
+/**
+ * Evaluates quality gates over unified results
+ */
+export class QualityGateEngine {
+  private readonly diffEngine: AnalysisDiffEngine;
+  private readonly suppressionEngine: SuppressionEngine | null;
+
+  /**
+   * @param options.suppressionEngine re-applied to each result before it
+   * is evaluated (e.g. SuppressionEngine.fromProject()), replacing the
+   * suppressions it was saved with
+   */
+  constructor(
+    private readonly config: QualityGateConfig = DEFAULT_QUALITY_GATE,
+    options: { diffEngine?: AnalysisDiffEngine; suppressionEngine?: SuppressionEngine } = {}
+  ) {
+    this.diffEngine = options.diffEngine ?? new AnalysisDiffEngine();
+    this.suppressionEngine = options.suppressionEngine ?? null;
+  }
+
+  /**
+   * Evaluate the gate, optionally against the run `current` is compared to
+   */
+  evaluate(current: UnifiedAnalysisResult, previous?: UnifiedAnalysisResult): QualityGateVerdict {
+    this.suppressionEngine?.apply(current);
+    const active = current.issues.filter(issue => !isSuppressed(issue));
+    let newIssues = active;
+    let escalated: UnifiedIssue[] = [];
+    if (previous) {
+      const delta = this.diffEngine.diff(previous, current);
+      newIssues = delta.newIssues.map(entry => entry.issue).filter(issue => !isSuppressed(issue));
+      escalated = delta.severityChanges
+        .filter(change => change.direction === 'escalated')
+        .map(change => change.current)
+        .filter(issue => !isSuppressed(issue));
+    }
+
+    const conditions: QualityGateCondition[] = [];
+    const { config } = this;
+
+    if (config.newIssues) {
+      conditions.push(...countConditions('newIssues', 'new', newIssues, config.newIssues, escalated));
+    }
+    if (config.issues) {
+      conditions.push(...countConditions('issues', 'active', active, config.issues));
+    }
+    if (config.dependencyVulnerabilities) {
+      const vulnerabilities = active.filter(issue => issue.analysisType === AnalysisType.DEPENDENCY_SECURITY);
+      conditions.push(...countConditions('dependencyVulnerabilities', 'dependency', vulnerabilities, config.dependencyVulnerabilities));
+    }
+    if (config.maxLicenseViolations !== undefined) {
+      const violations = active.filter(issue => issue.analysisType === AnalysisType.DEPENDENCY_LICENSING);
+      conditions.push(condition('maxLicenseViolations', 'license violations', config.maxLicenseViolations, violations.length,
+        violations.map(describeIssue)));
+    }
+    if (config.maxHotspotRisk !== undefined) {
+      const over = current.hotspots.filter(hotspot => hotspot.riskScore > config.maxHotspotRisk!);
+      const highest = Math.max(0, ...current.hotspots.map(hotspot => hotspot.riskScore));
+      conditions.push(condition('maxHotspotRisk', 'highest hotspot risk', config.maxHotspotRisk, highest,
+        over.map(hotspot => `${hotspot.canonicalPath} risk ${round(hotspot.riskScore)}`)));
+    }
+    if (config.correlationGroups) {
+      const { max, minRiskScore = 0, minTools = 1 } = config.correlationGroups;
+      const groups = current.correlationGroups.filter(group =>
+        group.riskScore >= minRiskScore && group.toolCoverage.length >= minTools);
+      conditions.push(condition('correlationGroups.max', 'correlation groups', max, groups.length,
+        groups.map(group => `${group.canonicalPath}:${group.lineRange.start}-${group.lineRange.end} ` +
+          `risk ${round(group.riskScore)} (${group.toolCoverage.join(', ')})`)));
+    }
+
+    const failed = conditions.filter(entry => !entry.passed);
+    return {
+      version: QUALITY_GATE_VERDICT_VERSION,
+      status: failed.length === 0 ? 'passed' : 'failed',
+      evaluatedAt: new Date().toISOString(),
+      basis: previous ? 'previous-run' : 'baseline',
+      conditions,
+      reasons: failed.map(reason),
+      counts: {
+        activeIssues: active.length,
+        newIssues: newIssues.length,
+        escalatedIssues: escalated.length,
+        suppressedIssues: current.issues.length - active.length
+      }
+    };
+  }
+}
+
+/**
+ * One line describing a failed condition
+ */
+function reason(entry: QualityGateCondition): string {
+  return `${entry.description}: ${round(entry.actual)} (max ${entry.threshold})`;
+}
+
+/**
+ * Conditions for count thresholds; `escalated` issues count only against
+ * the severity limits
+ */
+function countConditions(
+  prefix: string,
+  label: string,
+  issues: UnifiedIssue[],
+  thresholds: IssueCountThresholds,
+  escalated: UnifiedIssue[] = []
+): QualityGateCondition[] {
+  const conditions: QualityGateCondition[] = [];
+
+  if (thresholds.total !== undefined) {
+    conditions.push(condition(`${prefix}.total`, `${label} issues`, thresholds.total, issues.length, issues.map(describeIssue)));
+  }
+  for (const [severity, threshold] of Object.entries(thresholds.severity ?? {})) {
+    const matching = issues.filter(issue => issue.severity === severity);
+    const worse = escalated.filter(issue => issue.severity === severity);
+    const description = worse.length > 0 ? `${label} or escalated ${severity} issues` : `${label} ${severity} issues`;
+    conditions.push(condition(`${prefix}.severity.${severity}`, description, threshold!, matching.length + worse.length,
+      [...matching.map(describeIssue), ...worse.map(issue => `${describeIssue(issue)} (escalated)`)]));
+  }
+  for (const [type, threshold] of Object.entries(thresholds.type ?? {})) {
+    const matching = issues.filter(issue => issue.analysisType === type);
+    conditions.push(condition(`${prefix}.type.${type}`, `${label} ${type} issues`, threshold!, matching.length,
+      matching.map(describeIssue)));
+  }
+  return conditions;
+}
+
+function condition(metric: string, description: string, threshold: number, actual: number, offenders: string[]): QualityGateCondition {
+  const passed = actual <= threshold;
+  return { metric, description, threshold, actual, passed, details: passed ? [] : offenders.slice(0, MAX_DETAILS) };
+}
+
+function describeIssue(issue: UnifiedIssue): string {
+  const location = issue.line ? `${issue.entity.canonicalPath}:${issue.line}` : issue.entity.canonicalPath;
+  return `${location} ${issue.toolName} ${issue.ruleId}`;
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
@@ -101,6 +101,8 @@ export interface DependencyRelationship {
   importedSymbols: string[];
   isExternal: boolean;
   packageName?: string;
+  /** Referenced only for types, erased at compile time */
+  typeOnly?: boolean;
 }
 
 /**
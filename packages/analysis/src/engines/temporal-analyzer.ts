@@ -778,7 +778,9 @@ export class TemporalAnalyzer {
       const { execSync } = require('child_process');
       const content = execSync(`git show ${commitHash}:${filePath}`, { 
         cwd: projectRoot, 
-        encoding: 'utf8' 
+        encoding: 'utf8',
+        // A file missing at a commit is expected; keep git's error off the console
+        stdio: ['ignore', 'pipe', 'ignore']
       });
       return content;
     } catch {
@@ -0,0 +1,194 @@
+/**
+ * Time-Lapse Generator
+ *
+ * Replays TemporalAnalyzer's reconstruction of a project's history into
+ * city snapshots, one per commit or per week, and lays them out as a
+ * CityTimelapse from @topolop/visualization:
+ *
+ * - A file appears with the first commit touching it, and is demolished
+ *   after its last one when it is no longer tracked.
+ * - Lines of code come from ComplexityEvolution samples, carried forward
+ *   with each later commit's added and deleted lines.
+ * - Issue counts follow IssueEvolution timelines: introduced and regressed
+ *   entries add an issue, fixed entries remove one.
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+import { UnifiedIssue } from '@topolop/shared-types';
+import {
+  CityTimelapse,
+  CityTimelapseBuilder,
+  CityTimelapseOptions,
+  TimelapseFileState,
+  TimelapseSnapshot
+} from '@topolop/visualization';
+
+import { GitCommit, TemporalAnalysis, TemporalAnalyzer } from './temporal-analyzer';
+
+const execFileAsync = promisify(execFile);
+
+export interface TimelapseGeneratorOptions {
+  /** One frame per commit (default) or per week */
+  step?: CityTimelapse['step'];
+  /** Frames kept, evenly spaced, always including the last (default 300) */
+  maxFrames?: number;
+  /** Layout and building size options */
+  city?: CityTimelapseOptions;
+  analyzer?: TemporalAnalyzer;
+}
+
+type HistorySource = Pick<TemporalAnalysis, 'commits' | 'fileHistory' | 'issueEvolution'>;
+
+interface FileState {
+  linesOfCode: number;
+  complexity: number;
+  issueCount: number;
+  exists: boolean;
+}
+
+/**
+ * Builds city time-lapses from git history
+ */
+export class TimelapseGenerator {
+  private readonly step: CityTimelapse['step'];
+  private readonly maxFrames: number;
+  private readonly builder: CityTimelapseBuilder;
+  private readonly analyzer: TemporalAnalyzer;
+
+  constructor(options: TimelapseGeneratorOptions = {}) {
+    this.step = options.step ?? 'commit';
+    this.maxFrames = Math.max(1, options.maxFrames ?? 300);
+    this.builder = new CityTimelapseBuilder(options.city);
+    this.analyzer = options.analyzer ?? new TemporalAnalyzer();
+  }
+
+  /**
+   * Analyze a repository's history and build its time-lapse
+   */
+  async generate(
+    projectRoot: string,
+    issues: UnifiedIssue[] = [],
+    timeRange?: { start: Date; end: Date }
+  ): Promise<CityTimelapse> {
+    const analysis = await this.analyzer.analyzeTemporalPatterns(projectRoot, issues, timeRange);
+    return this.fromTemporalAnalysis(analysis, await trackedFiles(projectRoot));
+  }
+
+  /**
+   * Time-lapse from an existing temporal analysis; without `currentFiles`
+   * no building is ever demolished
+   */
+  fromTemporalAnalysis(analysis: HistorySource, currentFiles?: Iterable<string>): CityTimelapse {
+    return this.builder.build(this.snapshots(analysis, currentFiles ? new Set(currentFiles) : null), this.step);
+  }
+
+  private snapshots(analysis: HistorySource, currentFiles: Set<string> | null): TimelapseSnapshot[] {
+    // git log lists newest first; the sort is stable, so same-date commits stay in commit order
+    const commits = [...analysis.commits].reverse().sort((a, b) => time(a.date) - time(b.date));
+
+    const samples = new Map<string, { linesOfCode: number; complexity: number }>();
+    for (const history of analysis.fileHistory) {
+      for (const sample of history.complexity) {
+        samples.set(`${history.filePath}\n${sample.commit}`, {
+          linesOfCode: sample.linesOfCode,
+          complexity: sample.cyclomaticComplexity
+        });
+      }
+    }
+
+    const issueDeltas = new Map<string, number>();
+    for (const evolution of analysis.issueEvolution) {
+      for (const entry of evolution.timeline) {
+        const delta = entry.action === 'introduced' || entry.action === 'regressed' ? 1
+          : entry.action === 'fixed' ? -1 : 0;
+        const key = `${evolution.filePath}\n${entry.commit}`;
+        issueDeltas.set(key, (issueDeltas.get(key) ?? 0) + delta);
+      }
+    }
+
+    const lastTouch = new Map<string, number>();
+    commits.forEach((commit, index) => commit.files.forEach(file => lastTouch.set(file.path, index)));
+
+    const frameIndexes = this.frameIndexes(commits);
+    const state = new Map<string, FileState>();
+    const snapshots: TimelapseSnapshot[] = [];
+
+    commits.forEach((commit, index) => {
+      for (const file of commit.files) {
+        const key = `${file.path}\n${commit.hash}`;
+        const current = state.get(file.path) ?? { linesOfCode: 0, complexity: 0, issueCount: 0, exists: true };
+        const sample = samples.get(key);
+
+        state.set(file.path, {
+          linesOfCode: sample ? sample.linesOfCode : Math.max(0, current.linesOfCode + file.linesAdded - file.linesDeleted),
+          complexity: sample ? sample.complexity : current.complexity,
+          issueCount: Math.max(0, current.issueCount + (issueDeltas.get(key) ?? 0)),
+          exists: !currentFiles || currentFiles.has(file.path) || lastTouch.get(file.path) !== index
+        });
+      }
+
+      if (frameIndexes.has(index)) {
+        snapshots.push({
+          date: new Date(commit.date).toISOString(),
+          commit: commit.hash,
+          label: this.step === 'week' ? weekKey(new Date(commit.date)) : `${commit.hash.slice(0, 7)} ${commit.message}`,
+          files: Array.from(state.entries())
+            .filter(([, file]) => file.exists)
+            .map(([path, file]): TimelapseFileState => ({
+              path,
+              linesOfCode: file.linesOfCode,
+              complexity: file.complexity,
+              issueCount: file.issueCount
+            }))
+        });
+      }
+    });
+
+    return snapshots;
+  }
+
+  /**
+   * Commit indexes that end a frame: every commit, or the last of each
+   * week, thinned to maxFrames
+   */
+  private frameIndexes(commits: GitCommit[]): Set<number> {
+    let ends = commits.map((_, index) => index);
+    if (this.step === 'week') {
+      ends = ends.filter(index =>
+        index === commits.length - 1 ||
+        weekKey(new Date(commits[index]!.date)) !== weekKey(new Date(commits[index + 1]!.date)));
+    }
+    if (ends.length > this.maxFrames) {
+      const stride = (ends.length - 1) / Math.max(1, this.maxFrames - 1);
+      ends = Array.from({ length: this.maxFrames }, (_, index) => ends[Math.round(index * stride)]!);
+    }
+    return new Set(ends);
+  }
+}
+
+/**
+ * Files tracked at HEAD, or undefined outside a git work tree
+ */
+async function trackedFiles(projectRoot: string): Promise<string[] | undefined> {
+  try {
+    const { stdout } = await execFileAsync('git', ['ls-files', '--full-name'], { cwd: projectRoot, maxBuffer: 64 * 1024 * 1024 });
+    return stdout.split('\n').filter(Boolean);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Week key as TemporalAnalyzer writes it (`2024-W07`), but in UTC
+ */
+function weekKey(date: Date): string {
+  const year = date.getUTCFullYear();
+  const week = Math.ceil((date.getTime() - Date.UTC(year, 0, 1)) / (7 * 24 * 60 * 60 * 1000));
+  return `${year}-W${Math.max(1, week).toString().padStart(2, '0')}`;
+}
+
+function time(date: Date | string): number {
+  return new Date(date).getTime();
+}
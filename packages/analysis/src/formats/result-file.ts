@@ -0,0 +1,212 @@
+/**
+ * Result File
+ *
+ * JSON file format for a UnifiedAnalysisResult, written by `topolop analyze`
+ * and read back by `report`, `diff` and `graph push`. Unlike SARIF it keeps
+ * everything the unified model holds: correlation groups reference issues by
+ * position, and file metrics are rebuilt from the issues on load, with the
+ * verified regions of formal verification, the logical-coupling graph,
+ * file ownership and span latency stored alongside.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import {
+  UnifiedAnalysisResult,
+  UnifiedEntity,
+  UnifiedIssue,
+  CorrelationGroup,
+  DetectedHotspot,
+  VerifiedRegion,
+  LogicalCouplingGraph,
+  FileOwnership,
+  FileLatency
+} from '@topolop/shared-types';
+
+import { SarifImporter } from './sarif/sarif-importer';
+
+export const RESULT_FILE_VERSION = 1;
+export const DEFAULT_RESULT_FILE = '.topolop/results.json';
+
+export interface ResultFileIssue {
+  id: string;
+  entity: {
+    id: string;
+    type: string;
+    name: string;
+    canonicalPath: string;
+    originalIdentifier: string;
+    toolName: string;
+    confidence: number;
+  };
+  severity: string;
+  analysisType: string;
+  title: string;
+  description: string;
+  ruleId: string;
+  line: number | null;
+  column: number | null;
+  endLine: number | null;
+  endColumn: number | null;
+  toolName: string;
+  metadata: Record<string, any>;
+  createdAt: string;
+}
+
+export interface ResultFile {
+  version: number;
+  projectRoot: string;
+  createdAt: string;
+  metadata: UnifiedAnalysisResult['metadata'];
+  issues: ResultFileIssue[];
+  /** Issues as indexes into `issues` */
+  correlationGroups: Array<Omit<CorrelationGroup, 'issues'> & { issues: number[] }>;
+  hotspots: DetectedHotspot[];
+  /** Proven properties per file */
+  verifiedRegions?: Record<string, VerifiedRegion[]>;
+  /** Files that change together */
+  logicalCoupling?: LogicalCouplingGraph;
+  /** Who wrote each file, from git blame */
+  ownership?: Record<string, FileOwnership>;
+  /** How long each file's spans take, from traces */
+  latency?: Record<string, FileLatency>;
+  deduplicationStats?: UnifiedAnalysisResult['deduplicationStats'];
+  suppressionStats?: UnifiedAnalysisResult['suppressionStats'];
+}
+
+export function serializeResult(result: UnifiedAnalysisResult): ResultFile {
+  const positions = new Map<UnifiedIssue, number>();
+  result.issues.forEach((issue, index) => positions.set(issue, index));
+  const verifiedRegions = result.verifiedRegions();
+  const ownership = Array.from(result.fileMetrics.entries())
+    .filter(([, metrics]) => metrics.ownership)
+    .map(([canonicalPath, metrics]) => [canonicalPath, metrics.ownership!] as const);
+  const latency = Array.from(result.fileMetrics.entries())
+    .filter(([, metrics]) => metrics.latency)
+    .map(([canonicalPath, metrics]) => [canonicalPath, metrics.latency!] as const);
+
+  return {
+    version: RESULT_FILE_VERSION,
+    projectRoot: result.projectRoot,
+    createdAt: result.createdAt,
+    metadata: result.metadata,
+    issues: result.issues.map(serializeIssue),
+    correlationGroups: result.correlationGroups.map(group => ({
+      ...group,
+      issues: group.issues.map(issue => positions.get(issue)).filter((index): index is number => index !== undefined)
+    })),
+    hotspots: result.hotspots,
+    ...(verifiedRegions.size > 0 ? { verifiedRegions: Object.fromEntries(verifiedRegions) } : {}),
+    ...(result.logicalCoupling ? { logicalCoupling: result.logicalCoupling } : {}),
+    ...(ownership.length > 0 ? { ownership: Object.fromEntries(ownership) } : {}),
+    ...(latency.length > 0 ? { latency: Object.fromEntries(latency) } : {}),
+    ...(result.deduplicationStats ? { deduplicationStats: result.deduplicationStats } : {}),
+    ...(result.suppressionStats ? { suppressionStats: result.suppressionStats } : {})
+  };
+}
+
+export function serializeIssue(issue: UnifiedIssue): ResultFileIssue {
+  return {
+    id: issue.id,
+    entity: {
+      id: issue.entity.id,
+      type: issue.entity.type,
+      name: issue.entity.name,
+      canonicalPath: issue.entity.canonicalPath,
+      originalIdentifier: issue.entity.originalIdentifier,
+      toolName: issue.entity.toolName,
+      confidence: issue.entity.confidence
+    },
+    severity: issue.severity,
+    analysisType: issue.analysisType,
+    title: issue.title,
+    description: issue.description,
+    ruleId: issue.ruleId,
+    line: issue.line,
+    column: issue.column,
+    endLine: issue.endLine,
+    endColumn: issue.endColumn,
+    toolName: issue.toolName,
+    metadata: issue.metadata,
+    createdAt: issue.createdAt
+  };
+}
+
+export function deserializeResult(file: ResultFile): UnifiedAnalysisResult {
+  if (file.version !== RESULT_FILE_VERSION) {
+    throw new Error(`Unsupported result file version ${file.version}, expected ${RESULT_FILE_VERSION}`);
+  }
+  if (!Array.isArray(file.issues)) {
+    throw new Error('Result file has no "issues" array');
+  }
+
+  const result = new UnifiedAnalysisResult(file.projectRoot);
+  Object.assign(result, { createdAt: file.createdAt });
+  result.metadata = file.metadata ?? null;
+  if (file.deduplicationStats) result.deduplicationStats = file.deduplicationStats;
+  if (file.suppressionStats) result.suppressionStats = file.suppressionStats;
+
+  for (const stored of file.issues) {
+    const entity = new UnifiedEntity({
+      id: stored.entity.id,
+      type: stored.entity.type,
+      name: stored.entity.name,
+      canonicalPath: stored.entity.canonicalPath
+    });
+    entity.originalIdentifier = stored.entity.originalIdentifier ?? entity.canonicalPath;
+    entity.toolName = stored.entity.toolName ?? entity.toolName;
+    entity.confidence = stored.entity.confidence ?? entity.confidence;
+
+    const issue = new UnifiedIssue({
+      ...stored,
+      entity,
+      severity: stored.severity as UnifiedIssue['severity'],
+      analysisType: stored.analysisType as UnifiedIssue['analysisType']
+    });
+    // createdAt is stamped at construction; keep the original timestamp
+    Object.assign(issue, { createdAt: stored.createdAt ?? issue.createdAt });
+    result.addIssue(issue);
+  }
+
+  result.correlationGroups = (file.correlationGroups ?? []).map(group => ({
+    ...group,
+    issues: group.issues.map(index => result.issues[index]).filter((issue): issue is UnifiedIssue => issue !== undefined)
+  }));
+  result.hotspots = file.hotspots ?? [];
+  result.logicalCoupling = file.logicalCoupling ?? null;
+  for (const [canonicalPath, ownership] of Object.entries(file.ownership ?? {})) {
+    result.setOwnership(canonicalPath, ownership);
+  }
+  for (const [canonicalPath, latency] of Object.entries(file.latency ?? {})) {
+    result.setLatency(canonicalPath, latency);
+  }
+  for (const [canonicalPath, regions] of Object.entries(file.verifiedRegions ?? {})) {
+    regions.forEach(region => result.addVerifiedRegion(canonicalPath, region));
+  }
+
+  return result;
+}
+
+export function writeResultFile(result: UnifiedAnalysisResult, filePath: string): void {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(serializeResult(result), null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Read a result file; SARIF logs are accepted too and imported, with
+ * projectRoot as the root for runs that do not record theirs
+ */
+export function readResultFile(filePath: string, projectRoot?: string): UnifiedAnalysisResult {
+  let parsed: any;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read result file "${filePath}": ${error instanceof Error ? error.message : error}`);
+  }
+
+  if (parsed && Array.isArray(parsed.runs) && typeof parsed.version === 'string') {
+    return new SarifImporter().importResult(parsed, projectRoot);
+  }
+  return deserializeResult(parsed);
+}
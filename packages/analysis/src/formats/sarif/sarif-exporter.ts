@@ -0,0 +1,290 @@
+/**
+ * SARIF 2.1.0 Exporter
+ *
+ * Writes a UnifiedAnalysisResult as a SARIF log with one run per tool, for
+ * GitHub code scanning and IDE SARIF viewers. Issues merged by the
+ * deduplication engine keep their evidence in result properties; other
+ * issues of the same correlation group become relatedLocations.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+
+import {
+  UnifiedAnalysisResult,
+  UnifiedIssue,
+  IssueSeverity,
+  AnalysisType,
+  getIssueSuppression
+} from '@topolop/shared-types';
+
+import { AnalysisDiffEngine } from '../../engines/diff-engine';
+import {
+  SarifLog,
+  SarifRun,
+  SarifResult,
+  SarifLevel,
+  SarifLocation,
+  SarifReportingDescriptor,
+  SARIF_SCHEMA,
+  SARIF_VERSION
+} from './sarif-types';
+
+/**
+ * Root all exported URIs are relative to
+ */
+export const SARIF_SRCROOT = '%SRCROOT%';
+
+/**
+ * partialFingerprints key holding the diff engine fingerprint
+ */
+export const SARIF_FINGERPRINT_KEY = 'topolop/v1';
+
+export interface SarifExportOptions {
+  /** Add diff engine fingerprints as partialFingerprints (default true) */
+  fingerprints?: boolean;
+  diffEngine?: AnalysisDiffEngine;
+  /** Leave suppressed issues out instead of exporting them with suppressions */
+  omitSuppressed?: boolean;
+  /** Version reported in each run's driver */
+  toolVersion?: string;
+}
+
+const LEVELS: Record<IssueSeverity, SarifLevel> = {
+  [IssueSeverity.CRITICAL]: 'error',
+  [IssueSeverity.HIGH]: 'error',
+  [IssueSeverity.MEDIUM]: 'warning',
+  [IssueSeverity.LOW]: 'note',
+  [IssueSeverity.INFO]: 'note'
+};
+
+/**
+ * GitHub ranks security alerts by this 0-10 score
+ */
+const SECURITY_SEVERITY: Record<IssueSeverity, string> = {
+  [IssueSeverity.CRITICAL]: '9.5',
+  [IssueSeverity.HIGH]: '8.0',
+  [IssueSeverity.MEDIUM]: '5.5',
+  [IssueSeverity.LOW]: '3.0',
+  [IssueSeverity.INFO]: '0.0'
+};
+
+const SECURITY_TYPES: string[] = [AnalysisType.SECURITY, AnalysisType.DEPENDENCY_SECURITY];
+
+const SEVERITY_RANK: Record<IssueSeverity, number> = {
+  [IssueSeverity.INFO]: 0,
+  [IssueSeverity.LOW]: 1,
+  [IssueSeverity.MEDIUM]: 2,
+  [IssueSeverity.HIGH]: 3,
+  [IssueSeverity.CRITICAL]: 4
+};
+
+/**
+ * Converts unified analysis results to SARIF
+ */
+export class SarifExporter {
+  constructor(private readonly options: SarifExportOptions = {}) {}
+
+  export(result: UnifiedAnalysisResult): SarifLog {
+    const fingerprints = this.options.fingerprints === false
+      ? null
+      : (this.options.diffEngine ?? new AnalysisDiffEngine()).fingerprintResult(result).map(fp => fp.key);
+    const relatedIssues = this.correlatedIssues(result);
+
+    // One run per tool; merged issues (`semgrep+2`) belong to their primary tool
+    const byTool = new Map<string, Array<{ issue: UnifiedIssue; fingerprint: string | null }>>();
+    result.issues.forEach((issue, index) => {
+      if (this.options.omitSuppressed && getIssueSuppression(issue)) return;
+      const tool = primaryTool(issue.toolName);
+      const entries = byTool.get(tool) ?? [];
+      entries.push({ issue, fingerprint: fingerprints?.[index] ?? null });
+      byTool.set(tool, entries);
+    });
+
+    const runs: SarifRun[] = [];
+    for (const [tool, entries] of byTool) {
+      // Each rule is described by its most severe issue, the first on ties
+      const ruleIssues = new Map<string, UnifiedIssue>();
+      for (const { issue } of entries) {
+        const ruleId = issue.ruleId || 'unknown';
+        const described = ruleIssues.get(ruleId);
+        if (!described || SEVERITY_RANK[issue.severity] > SEVERITY_RANK[described.severity]) {
+          ruleIssues.set(ruleId, issue);
+        }
+      }
+      const ruleIndexes = new Map(Array.from(ruleIssues.keys()).map((ruleId, index) => [ruleId, index]));
+      const rules = Array.from(ruleIssues, ([ruleId, issue]) => this.rule(issue, ruleId));
+
+      const results = entries.map(({ issue, fingerprint }) => {
+        const ruleId = issue.ruleId || 'unknown';
+        return this.result(result, issue, ruleId, ruleIndexes.get(ruleId)!, fingerprint, relatedIssues.get(issue) ?? []);
+      });
+
+      runs.push({
+        tool: {
+          driver: {
+            name: tool,
+            version: this.options.toolVersion,
+            rules
+          }
+        },
+        // Distinct categories let code scanning accept several runs per upload
+        automationDetails: { id: `topolop/${tool}/` },
+        originalUriBaseIds: {
+          [SARIF_SRCROOT]: { uri: directoryUri(result.projectRoot) }
+        },
+        results,
+        properties: {
+          topolop: {
+            projectRoot: result.projectRoot,
+            createdAt: result.createdAt
+          }
+        }
+      });
+    }
+
+    return { $schema: SARIF_SCHEMA, version: SARIF_VERSION, runs };
+  }
+
+  toJson(result: UnifiedAnalysisResult, pretty: boolean = true): string {
+    return JSON.stringify(this.export(result), null, pretty ? 2 : undefined);
+  }
+
+  writeFile(result: UnifiedAnalysisResult, filePath: string): void {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, this.toJson(result) + '\n', 'utf8');
+  }
+
+  private rule(issue: UnifiedIssue, ruleId: string): SarifReportingDescriptor {
+    const properties: Record<string, unknown> = { tags: [issue.analysisType] };
+    if (SECURITY_TYPES.includes(issue.analysisType)) {
+      (properties.tags as string[]).push('security');
+      properties['security-severity'] = SECURITY_SEVERITY[issue.severity];
+    }
+
+    return {
+      id: ruleId,
+      shortDescription: { text: issue.title },
+      defaultConfiguration: { level: LEVELS[issue.severity] },
+      properties
+    };
+  }
+
+  private result(
+    analysis: UnifiedAnalysisResult,
+    issue: UnifiedIssue,
+    ruleId: string,
+    ruleIndex: number,
+    fingerprint: string | null,
+    related: UnifiedIssue[]
+  ): SarifResult {
+    const sarif: SarifResult = {
+      ruleId,
+      ruleIndex,
+      level: LEVELS[issue.severity],
+      message: { text: issue.description ? `${issue.title}: ${issue.description}` : issue.title },
+      locations: [this.location(analysis, issue)],
+      properties: {
+        issueId: issue.id,
+        title: issue.title,
+        description: issue.description,
+        severity: issue.severity,
+        analysisType: issue.analysisType,
+        toolName: issue.toolName
+      }
+    };
+
+    if (fingerprint) {
+      sarif.partialFingerprints = { [SARIF_FINGERPRINT_KEY]: fingerprint };
+    }
+
+    if (related.length > 0) {
+      sarif.relatedLocations = related.map((other, index) => ({
+        ...this.location(analysis, other),
+        id: index + 1,
+        message: { text: `Correlated ${other.toolName} finding: ${other.title}` }
+      }));
+    }
+
+    // Evidence from the deduplication engine
+    const metadata = issue.metadata;
+    if (Array.isArray(metadata.combinedFrom)) {
+      sarif.properties!.deduplication = {
+        tools: metadata.allTools,
+        consensusSeverity: metadata.consensusSeverity,
+        evidenceCount: metadata.evidenceCount,
+        combinedFrom: metadata.combinedFrom,
+        ...(metadata.deduplicationInfo ?? {})
+      };
+    }
+
+    const suppression = getIssueSuppression(issue);
+    if (suppression) {
+      sarif.suppressions = [{
+        kind: suppression.source === 'inline' ? 'inSource' : 'external',
+        status: 'accepted',
+        justification: suppression.justification,
+        properties: { source: suppression.source, id: suppression.id, expires: suppression.expires }
+      }];
+    }
+
+    return sarif;
+  }
+
+  private location(analysis: UnifiedAnalysisResult, issue: UnifiedIssue): SarifLocation {
+    const filePath = issue.entity.canonicalPath;
+    const relative = path.isAbsolute(filePath) ? path.relative(analysis.projectRoot, filePath) : filePath;
+    const outside = relative.startsWith('..') || path.isAbsolute(relative);
+
+    const location: SarifLocation = {
+      physicalLocation: {
+        artifactLocation: outside
+          ? { uri: pathToFileURL(filePath).href }
+          : { uri: encodeURI(relative.replace(/\\/g, '/').replace(/^\.\//, '')), uriBaseId: SARIF_SRCROOT }
+      }
+    };
+
+    // SARIF regions must start at line 1 or later
+    if (issue.line !== null && issue.line >= 1) {
+      location.physicalLocation!.region = {
+        startLine: issue.line,
+        ...(issue.column !== null && issue.column >= 1 ? { startColumn: issue.column } : {}),
+        ...(issue.endLine !== null && issue.endLine >= issue.line ? { endLine: issue.endLine } : {}),
+        ...(issue.endColumn !== null && issue.endColumn >= 1 ? { endColumn: issue.endColumn } : {})
+      };
+    }
+
+    return location;
+  }
+
+  /**
+   * For each issue, the other issues of its correlation groups
+   */
+  private correlatedIssues(result: UnifiedAnalysisResult): Map<UnifiedIssue, UnifiedIssue[]> {
+    const related = new Map<UnifiedIssue, UnifiedIssue[]>();
+
+    for (const group of result.correlationGroups) {
+      for (const issue of group.issues) {
+        const others = related.get(issue) ?? [];
+        for (const other of group.issues) {
+          if (other !== issue && !others.includes(other)) {
+            others.push(other);
+          }
+        }
+        related.set(issue, others);
+      }
+    }
+
+    return related;
+  }
+}
+
+function primaryTool(toolName: string): string {
+  return toolName.replace(/\+\d+$/, '');
+}
+
+function directoryUri(directory: string): string {
+  const uri = pathToFileURL(path.resolve(directory)).href;
+  return uri.endsWith('/') ? uri : `${uri}/`;
+}
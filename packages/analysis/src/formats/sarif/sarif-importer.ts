@@ -0,0 +1,341 @@
+/**
+ * SARIF 2.1.0 Importer
+ *
+ * Turns the results of any SARIF-emitting tool into UnifiedIssues, so a
+ * tool can be brought in without a bespoke adapter. Logs written by
+ * SarifExporter round-trip: their severity, analysis type and issue ids are
+ * read back from result properties.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+
+import {
+  UnifiedAnalysisResult,
+  UnifiedEntity,
+  UnifiedIssue,
+  IssueSeverity,
+  AnalysisType,
+  SUPPRESSION_METADATA_KEY
+} from '@topolop/shared-types';
+
+import {
+  SarifLog,
+  SarifRun,
+  SarifResult,
+  SarifLevel,
+  SarifLocation,
+  SarifReportingDescriptor,
+  SARIF_VERSION
+} from './sarif-types';
+import { SARIF_SRCROOT } from './sarif-exporter';
+
+export interface SarifImportOptions {
+  /** Root that imported paths are made relative to (default: the run's %SRCROOT%) */
+  projectRoot?: string;
+  /** Root for runs without a %SRCROOT% */
+  fallbackRoot?: string;
+  /** Override the tool name taken from each run's driver */
+  toolName?: string;
+  /** Analysis type when a rule has no recognisable tags (default quality) */
+  defaultAnalysisType?: AnalysisType;
+}
+
+const SEVERITIES = new Set<string>(Object.values(IssueSeverity));
+const ANALYSIS_TYPES = new Set<string>(Object.values(AnalysisType));
+
+/**
+ * Result kinds that report a problem; pass, notApplicable and informational
+ * results are not issues. A result without a kind is a failure.
+ */
+const ISSUE_KINDS = new Set(['fail', 'open', 'review']);
+
+/**
+ * Base ids naming the source root, as written by common tools
+ */
+const SRCROOT_IDS = [SARIF_SRCROOT, 'SRCROOT'];
+
+/**
+ * Rule tags that imply an analysis type, checked in order
+ */
+const TAG_TYPES: Array<[RegExp, AnalysisType]> = [
+  [/^(security|external\/cwe\/|cwe-|owasp)/i, AnalysisType.SECURITY],
+  [/^(performance|perf)$/i, AnalysisType.PERFORMANCE],
+  [/^(complexity)$/i, AnalysisType.COMPLEXITY],
+  [/^(style|formatting|convention)$/i, AnalysisType.STYLE],
+  [/^(correctness|reliability|maintainability|quality|bug)$/i, AnalysisType.QUALITY]
+];
+
+/**
+ * Converts SARIF logs into unified issues
+ */
+export class SarifImporter {
+  constructor(private readonly options: SarifImportOptions = {}) {}
+
+  readFile(filePath: string): UnifiedIssue[] {
+    return this.import(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Import the failing, open and review results of every run. Absolute
+   * locations stay absolute without a project root or the run's %SRCROOT%.
+   */
+  import(log: SarifLog | string): UnifiedIssue[] {
+    const sarif = typeof log === 'string' ? parseSarif(log) : log;
+    if (sarif.version !== SARIF_VERSION) {
+      throw new Error(`Unsupported SARIF version "${sarif.version}", expected ${SARIF_VERSION}`);
+    }
+    if (!Array.isArray(sarif.runs)) {
+      throw new Error('SARIF log has no "runs" array');
+    }
+
+    return sarif.runs.flatMap((run, runIndex) => this.importRun(run, runIndex));
+  }
+
+  /**
+   * Import into a fresh result with correlation groups and hotspots built.
+   * projectRoot is the root for runs without a %SRCROOT% (default: the
+   * first run's, else the working directory).
+   */
+  importResult(log: SarifLog | string, projectRoot?: string): UnifiedAnalysisResult {
+    const sarif = typeof log === 'string' ? parseSarif(log) : log;
+    const fallbackRoot = projectRoot ?? this.options.fallbackRoot;
+    const root = this.options.projectRoot ?? srcRoot(sarif.runs?.[0]) ?? fallbackRoot ?? process.cwd();
+    // Runs without a %SRCROOT% are read against the result's own root
+    const importer = new SarifImporter({ ...this.options, fallbackRoot: fallbackRoot ?? root });
+
+    const result = new UnifiedAnalysisResult(root);
+    importer.import(sarif).forEach(issue => result.addIssue(issue));
+    result.buildCorrelationGroups();
+    result.generateHotspots();
+    result.metadata = {
+      source: 'sarif',
+      sourceVersion: SARIF_VERSION,
+      analyzedAt: new Date().toISOString(),
+      tools: Array.from(new Set(sarif.runs.map(run => run.tool?.driver?.name).filter(Boolean)))
+    };
+    return result;
+  }
+
+  private importRun(run: SarifRun, runIndex: number): UnifiedIssue[] {
+    const driver = run.tool?.driver;
+    if (!driver?.name) {
+      throw new Error(`SARIF run ${runIndex} has no tool.driver.name`);
+    }
+
+    const toolName = this.options.toolName ?? toolId(driver.name);
+    const projectRoot = this.options.projectRoot ?? srcRoot(run) ?? this.options.fallbackRoot;
+
+    // Ids keep the result's position in the run, skipped results included
+    return (run.results ?? []).flatMap((sarif, resultIndex) => {
+      if (!ISSUE_KINDS.has(sarif.kind ?? 'fail')) {
+        return [];
+      }
+
+      const rule = findRule(run, sarif);
+      const ruleId = sarif.ruleId ?? sarif.rule?.id ?? rule?.id ?? '';
+      const properties = sarif.properties ?? {};
+      const location = sarif.locations?.[0];
+      const canonicalPath = this.canonicalPath(run, location, projectRoot);
+      const region = location?.physicalLocation?.region;
+
+      const title = stringProperty(properties.title)
+        ?? rule?.shortDescription?.text ?? rule?.name ?? firstSentence(sarif.message) ?? ruleId;
+      const description = stringProperty(properties.description) ?? messageText(sarif.message) ?? title;
+
+      const entity = new UnifiedEntity({
+        id: `${canonicalPath}:${region?.startLine ?? 0}`,
+        type: location?.physicalLocation ? 'file' : 'module',
+        name: path.basename(canonicalPath),
+        canonicalPath
+      });
+      entity.toolName = toolName;
+
+      const metadata: Record<string, any> = {
+        sarif: {
+          runIndex,
+          resultIndex,
+          level: sarif.level ?? rule?.defaultConfiguration?.level,
+          tags: rule?.properties?.tags ?? [],
+          helpUri: rule?.helpUri,
+          partialFingerprints: sarif.partialFingerprints,
+          fingerprints: sarif.fingerprints,
+          relatedLocations: sarif.relatedLocations?.map(related => ({
+            path: this.canonicalPath(run, related, projectRoot),
+            line: related.physicalLocation?.region?.startLine ?? null,
+            message: messageText(related.message)
+          }))
+        }
+      };
+      if (region?.snippet?.text) {
+        metadata.snippet = region.snippet.text;
+      }
+
+      const suppression = sarif.suppressions?.find(s => s.status === undefined || s.status === 'accepted');
+      if (suppression) {
+        const props = suppression.properties ?? {};
+        metadata[SUPPRESSION_METADATA_KEY] = {
+          source: props.source ?? (suppression.kind === 'inSource' ? 'inline' : 'rule'),
+          id: String(props.id ?? ruleId),
+          justification: suppression.justification ?? '',
+          ...(props.expires ? { expires: String(props.expires) } : {})
+        };
+      }
+      if (properties.deduplication) {
+        metadata.deduplicationInfo = properties.deduplication;
+      }
+
+      return [new UnifiedIssue({
+        id: stringProperty(properties.issueId) ?? `${toolName}-${runIndex}-${resultIndex}`,
+        entity,
+        severity: this.severity(sarif, rule),
+        analysisType: this.analysisType(sarif, rule),
+        title,
+        description,
+        ruleId,
+        line: region?.startLine ?? null,
+        column: region?.startColumn ?? null,
+        endLine: region?.endLine ?? null,
+        endColumn: region?.endColumn ?? null,
+        toolName: (!this.options.toolName && stringProperty(properties.toolName)) || toolName,
+        metadata
+      })];
+    });
+  }
+
+  private severity(sarif: SarifResult, rule: SarifReportingDescriptor | undefined): IssueSeverity {
+    const stored = sarif.properties?.severity;
+    if (typeof stored === 'string' && SEVERITIES.has(stored)) {
+      return stored as IssueSeverity;
+    }
+
+    // GitHub's security-severity score takes precedence over the level
+    const score = Number(rule?.properties?.['security-severity'] ?? sarif.properties?.['security-severity']);
+    if (!isNaN(score)) {
+      if (score >= 9) return IssueSeverity.CRITICAL;
+      if (score >= 7) return IssueSeverity.HIGH;
+      if (score >= 4) return IssueSeverity.MEDIUM;
+      if (score > 0) return IssueSeverity.LOW;
+      return IssueSeverity.INFO;
+    }
+
+    const level: SarifLevel = sarif.level ?? rule?.defaultConfiguration?.level ?? 'warning';
+    switch (level) {
+      case 'error': return IssueSeverity.HIGH;
+      case 'warning': return IssueSeverity.MEDIUM;
+      case 'note': return IssueSeverity.LOW;
+      default: return IssueSeverity.INFO;
+    }
+  }
+
+  private analysisType(sarif: SarifResult, rule: SarifReportingDescriptor | undefined): AnalysisType {
+    const stored = sarif.properties?.analysisType;
+    if (typeof stored === 'string' && ANALYSIS_TYPES.has(stored)) {
+      return stored as AnalysisType;
+    }
+
+    const tags = [...(rule?.properties?.tags ?? []), ...(sarif.properties?.tags ?? [])];
+    for (const tag of tags) {
+      if (ANALYSIS_TYPES.has(tag)) {
+        return tag as AnalysisType;
+      }
+    }
+    for (const [pattern, type] of TAG_TYPES) {
+      if (tags.some(tag => pattern.test(tag))) {
+        return type;
+      }
+    }
+
+    return this.options.defaultAnalysisType ?? AnalysisType.QUALITY;
+  }
+
+  /**
+   * Project-relative path of a location, falling back to its logical name
+   */
+  private canonicalPath(run: SarifRun, location: SarifLocation | undefined, projectRoot: string | undefined): string {
+    const artifact = location?.physicalLocation?.artifactLocation;
+    if (!artifact?.uri) {
+      return location?.logicalLocations?.[0]?.fullyQualifiedName ?? location?.logicalLocations?.[0]?.name ?? 'unknown';
+    }
+
+    let filePath = resolveUri(run, artifact.uri, artifact.uriBaseId);
+    // Paths outside the project, or of a run without a root, stay absolute
+    if (path.isAbsolute(filePath) && projectRoot) {
+      const relative = path.relative(projectRoot, filePath);
+      if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+        filePath = relative;
+      }
+    }
+
+    return filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+  }
+}
+
+function parseSarif(text: string): SarifLog {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid SARIF JSON: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * Absolute path for a URI, or the decoded relative path when it has no
+ * resolvable base
+ */
+function resolveUri(run: SarifRun, uri: string, uriBaseId: string | undefined, depth: number = 0): string {
+  if (uri.startsWith('file:')) {
+    return fileURLToPath(uri);
+  }
+
+  const base = uriBaseId ? run.originalUriBaseIds?.[uriBaseId] : undefined;
+  if (base?.uri && depth < 5) {
+    const root = resolveUri(run, base.uri, base.uriBaseId, depth + 1);
+    return path.join(root, decodeURIComponent(uri));
+  }
+
+  return decodeURIComponent(uri);
+}
+
+function srcRoot(run: SarifRun | undefined): string | undefined {
+  const id = SRCROOT_IDS.find(id => run?.originalUriBaseIds?.[id]?.uri);
+  if (!id) return undefined;
+  const root = resolveUri(run!, run!.originalUriBaseIds![id]!.uri!, run!.originalUriBaseIds![id]!.uriBaseId);
+  return path.isAbsolute(root) ? path.resolve(root) : undefined;
+}
+
+function findRule(run: SarifRun, sarif: SarifResult): SarifReportingDescriptor | undefined {
+  const component = sarif.rule?.toolComponent?.index !== undefined
+    ? run.tool.extensions?.[sarif.rule.toolComponent.index]
+    : run.tool.driver;
+  const rules = component?.rules ?? [];
+  const index = sarif.ruleIndex ?? sarif.rule?.index;
+
+  if (index !== undefined && rules[index]) {
+    return rules[index];
+  }
+
+  const id = sarif.ruleId ?? sarif.rule?.id;
+  return id ? rules.find(rule => rule.id === id) : undefined;
+}
+
+function stringProperty(value: unknown): string | undefined {
+  return typeof value === 'string' ? value : undefined;
+}
+
+function messageText(message: SarifResult['message'] | undefined): string | undefined {
+  return message?.text ?? message?.markdown;
+}
+
+function firstSentence(message: SarifResult['message']): string | undefined {
+  const text = messageText(message);
+  return text?.split(/(?<=\.)\s|\n/)[0];
+}
+
+/**
+ * Tool names in the unified model are lower-case identifiers
+ */
+function toolId(name: string): string {
+  return name.trim().toLowerCase().replace(/\s+/g, '-');
+}
@@ -0,0 +1,106 @@
+/**
+ * SARIF 2.1.0 types
+ *
+ * The subset of the OASIS Static Analysis Results Interchange Format that
+ * the exporter writes and the importer reads. Unknown properties are kept
+ * through the `properties` bags.
+ */
+
+export const SARIF_VERSION = '2.1.0';
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+export type SarifLevel = 'none' | 'note' | 'warning' | 'error';
+
+export interface SarifPropertyBag {
+  tags?: string[];
+  [key: string]: unknown;
+}
+
+export interface SarifMessage {
+  text?: string;
+  markdown?: string;
+  id?: string;
+}
+
+export interface SarifArtifactLocation {
+  uri?: string;
+  uriBaseId?: string;
+  index?: number;
+}
+
+export interface SarifRegion {
+  startLine?: number;
+  startColumn?: number;
+  endLine?: number;
+  endColumn?: number;
+  snippet?: { text?: string };
+}
+
+export interface SarifPhysicalLocation {
+  artifactLocation?: SarifArtifactLocation;
+  region?: SarifRegion;
+}
+
+export interface SarifLocation {
+  id?: number;
+  physicalLocation?: SarifPhysicalLocation;
+  logicalLocations?: Array<{ name?: string; fullyQualifiedName?: string; kind?: string }>;
+  message?: SarifMessage;
+}
+
+export interface SarifReportingDescriptor {
+  id: string;
+  name?: string;
+  shortDescription?: SarifMessage;
+  fullDescription?: SarifMessage;
+  helpUri?: string;
+  defaultConfiguration?: { level?: SarifLevel };
+  properties?: SarifPropertyBag;
+}
+
+export interface SarifToolComponent {
+  name: string;
+  version?: string;
+  semanticVersion?: string;
+  informationUri?: string;
+  rules?: SarifReportingDescriptor[];
+}
+
+export interface SarifSuppression {
+  kind: 'inSource' | 'external';
+  status?: 'accepted' | 'underReview' | 'rejected';
+  justification?: string;
+  properties?: SarifPropertyBag;
+}
+
+export interface SarifResult {
+  ruleId?: string;
+  ruleIndex?: number;
+  rule?: { id?: string; index?: number; toolComponent?: { index?: number; name?: string } };
+  kind?: string;
+  level?: SarifLevel;
+  message: SarifMessage;
+  locations?: SarifLocation[];
+  relatedLocations?: SarifLocation[];
+  partialFingerprints?: Record<string, string>;
+  fingerprints?: Record<string, string>;
+  suppressions?: SarifSuppression[];
+  properties?: SarifPropertyBag;
+}
+
+export interface SarifRun {
+  tool: {
+    driver: SarifToolComponent;
+    extensions?: SarifToolComponent[];
+  };
+  automationDetails?: { id?: string };
+  originalUriBaseIds?: Record<string, { uri?: string; uriBaseId?: string }>;
+  results?: SarifResult[];
+  properties?: SarifPropertyBag;
+}
+
+export interface SarifLog {
+  $schema?: string;
+  version: string;
+  runs: SarifRun[];
+}
@@ -10,15 +10,182 @@ export * from '@topolop/shared-types';
 
 // Core analysis engines
 export { EnhancedCorrelationEngine } from './engines/correlation-engine';
+export type { CorrelationResult, ProofAdjustment } from './engines/correlation-engine';
 export { SmartDeduplicationEngine } from './engines/deduplication-engine';
 export { DependencyAnalyzer } from './engines/dependency-analyzer';
+export type { DependencyAnalysis, DependencyAnalyzerOptions, ModuleInfo, ImportInfo } from './engines/dependency-analyzer';
+export { ImportGraphBuilder } from './engines/import-graph';
+export type {
+  ImportGraph,
+  ImportGraphOptions,
+  ImportGraphPackage,
+  ImportEdge,
+  ImportKind,
+  ImportTarget,
+  PackageEdge
+} from './engines/import-graph';
+export {
+  ArchitectureRules,
+  architectureRuleIssues,
+  ARCHITECTURE_RULES_FILE_VERSION,
+  DEFAULT_ARCHITECTURE_RULES_FILE,
+  ARCHITECTURE_RULES_TOOL_NAME
+} from './engines/architecture-rules';
+export type {
+  ArchitectureElement,
+  ArchitectureRule,
+  ArchitectureRulesFile,
+  ArchitectureRuleViolation,
+  AllowedDependencyRule,
+  ForbiddenDependencyRule,
+  FacadeRule,
+  NoCyclesRule,
+  PublicApiRule,
+  ImportChainStep
+} from './engines/architecture-rules';
+export { ArchitectureRulesAdapter } from './analyzers/enhanced-architecture-analyzer/src/rules-architecture-adapter';
+export type { ArchitectureRulesConfig } from './analyzers/enhanced-architecture-analyzer/src/rules-architecture-adapter';
 export { TemporalAnalyzer } from './engines/temporal-analyzer';
+export { TimelapseGenerator } from './engines/timelapse-generator';
+export type { TimelapseGeneratorOptions } from './engines/timelapse-generator';
+export { LogicalCouplingAnalyzer } from './engines/logical-coupling';
+export type { LogicalCouplingOptions, CoChangeCommit } from './engines/logical-coupling';
+export { OwnershipAnalyzer } from './engines/ownership-analyzer';
+export type { OwnershipOptions, OwnershipReport, GitReaderLike, BlameLine } from './engines/ownership-analyzer';
+export { CodeOwners, CODEOWNERS_LOCATIONS } from './engines/codeowners';
+export type { CodeOwnersRule } from './engines/codeowners';
+export { OpenTelemetryTraceAdapter, OPENTELEMETRY_TRACE_TOOL_NAME } from './analyzers/opentelemetry-trace-analyzer/src/opentelemetry-trace-adapter';
+export type { OpenTelemetryTraceConfig, TraceAnalysis } from './analyzers/opentelemetry-trace-analyzer/src/opentelemetry-trace-adapter';
+export { parseTraceExport, traceSpans, detectTraceFormat } from './analyzers/opentelemetry-trace-analyzer/src/trace-formats';
+export type { TraceSpan, TraceFormat, SpanAttributeValue } from './analyzers/opentelemetry-trace-analyzer/src/trace-formats';
+export { AnalysisDiffEngine, FINGERPRINT_METADATA_KEY, readSourceFromDisk } from './engines/diff-engine';
+export type { DiffEngineOptions, SourceProvider } from './engines/diff-engine';
+export { QualityGateEngine, DEFAULT_QUALITY_GATE, QUALITY_GATE_VERDICT_VERSION } from './engines/quality-gate';
+export type {
+  QualityGateConfig,
+  QualityGateCondition,
+  QualityGateVerdict,
+  IssueCountThresholds,
+  CorrelationGroupThresholds
+} from './engines/quality-gate';
 
-// API (to be implemented)
-// export { AnalysisEngine } from './api/analysis-engine';
-// export { AnalysisConfig, AnalysisResult } from './api/types';
+// Baselines and suppressions
+export { SuppressionEngine } from './suppression/suppression-engine';
+export type {
+  SuppressionEngineOptions,
+  SuppressionReport,
+  InvalidInlineSuppression
+} from './suppression/suppression-engine';
+export {
+  createBaseline,
+  readBaselineFile,
+  writeBaselineFile,
+  readSuppressionFile,
+  validateSuppressionRule,
+  BASELINE_FILE_VERSION,
+  SUPPRESSION_FILE_VERSION,
+  DEFAULT_BASELINE_FILE,
+  DEFAULT_SUPPRESSION_FILE
+} from './suppression/suppression-files';
+export type {
+  BaselineEntry,
+  BaselineFile,
+  SuppressionRule,
+  SuppressionFile
+} from './suppression/suppression-files';
+export { globToRegExp, matchesGlob } from './suppression/glob';
 
-// CLI (to be implemented)
-// export { CLI } from './cli';
+// SARIF 2.1.0
+export { SarifExporter, SARIF_SRCROOT, SARIF_FINGERPRINT_KEY } from './formats/sarif/sarif-exporter';
+export type { SarifExportOptions } from './formats/sarif/sarif-exporter';
+export { SarifImporter } from './formats/sarif/sarif-importer';
+export type { SarifImportOptions } from './formats/sarif/sarif-importer';
+export * from './formats/sarif/sarif-types';
+
+// Result files
+export {
+  serializeResult,
+  serializeIssue,
+  deserializeResult,
+  writeResultFile,
+  readResultFile,
+  RESULT_FILE_VERSION,
+  DEFAULT_RESULT_FILE
+} from './formats/result-file';
+export type { ResultFile, ResultFileIssue } from './formats/result-file';
+
+// Project configuration
+export {
+  loadProjectConfig,
+  findProjectConfig,
+  readConfigFile,
+  validateProjectConfig,
+  applyProfile,
+  profileNames,
+  toAnalysisConfig,
+  ConfigError,
+  PROJECT_CONFIG_FILES,
+  BUILTIN_PROFILES,
+  SECURITY_TOOLS
+} from './config/project-config';
+export type {
+  ProjectConfig,
+  ProfileConfig,
+  LoadedProjectConfig,
+  LoadProjectConfigOptions,
+  ReportConfig
+} from './config/project-config';
+export { validateConfig, PROJECT_CONFIG_SCHEMA } from './config/config-schema';
+export type { FieldSchema } from './config/config-schema';
+
+// Persistence
+export { AnalysisResultStore } from './persistence/analysis-result-store';
+export type { SaveRunOptions, StoredRunSummary } from './persistence/analysis-result-store';
+export {
+  NodeLabels,
+  RelationshipTypes,
+  RUN_SCOPED_LABELS,
+  runScopedId,
+  createAnalysisMigrations,
+} from './persistence/schema';
+
+// API
+export {
+  AnalysisEngine,
+  FORMAL_VERIFICATION_TOOL,
+  LOGICAL_COUPLING_TOOL,
+  OWNERSHIP_TOOL
+} from './api/analysis-engine';
+export type {
+  AnalysisEngineOptions,
+  AnalysisRun,
+  ToolRun,
+  ToolSource,
+  ToolStatus,
+  FormalVerifierLike
+} from './api/analysis-engine';
+export type {
+  AnalysisConfig,
+  CorrelationConfig,
+  OutputConfig,
+  SeverityOverride,
+  AnalysisResult,
+  AnalysisSummary,
+  Hotspot
+} from './api/types';
+export { IncrementalAnalysis } from './api/incremental-analysis';
+export type { IncrementalAnalysisOptions, IncrementalUpdate } from './api/incremental-analysis';
+export { toUnifiedIssues } from './api/tool-issues';
+export type { PathNormalizerLike } from './api/tool-issues';
+export { formalVerificationIssues, formalToolName } from './api/formal-issues';
+export type { FormalVerificationMapping } from './api/formal-issues';
+
+// Live server
+export { LiveAnalysisServer, DEFAULT_LIVE_PORT } from './server/live-server';
+export type { LiveServerOptions, LiveMessage } from './server/live-server';
+
+// CLI
+export { TopolopCLI, ExitCode, UsageError } from './cli';
+export type { TopolopCLIOptions, Command, CommandContext } from './cli';
 
 export const VERSION = '0.1.0';
@@ -0,0 +1,523 @@
+/**
+ * Analysis Result Persistence
+ *
+ * Stores UnifiedAnalysisResult runs in any graph-core IGraphDatabase and
+ * loads them back, so results survive between runs and can be compared,
+ * queried and rendered later. See ./schema for the node/relationship layout.
+ */
+
+import { randomUUID } from 'crypto';
+import {
+  UnifiedAnalysisResult,
+  UnifiedEntity,
+  UnifiedIssue,
+  CorrelationGroup,
+  DetectedHotspot,
+  IssueSeverity,
+  AnalysisType,
+} from '@topolop/shared-types';
+import type {
+  IGraphDatabase,
+  GraphNode,
+  IngestRecord,
+  IngestProgress,
+  NodeReference,
+} from '@topolop/graph-core';
+import {
+  NodeLabels,
+  RelationshipTypes,
+  RUN_SCOPED_LABELS,
+  runScopedId,
+  createAnalysisMigrations,
+} from './schema';
+
+/**
+ * Options for saving a run
+ */
+export interface SaveRunOptions {
+  /** Run id (default: random UUID); must not exist yet */
+  runId?: string;
+  /** Free-form label, e.g. a commit hash or branch name */
+  label?: string;
+  /** Records written per transaction */
+  batchSize?: number;
+  onProgress?: (progress: IngestProgress) => void;
+}
+
+/**
+ * Summary of a stored run, as recorded on its Run node
+ */
+export interface StoredRunSummary {
+  runId: string;
+  projectRoot: string;
+  label?: string;
+  createdAt: string;
+  storedAt: string;
+  issueCount: number;
+  fileCount: number;
+  correlationGroupCount: number;
+  hotspotCount: number;
+  tools: string[];
+}
+
+/**
+ * Persists analysis runs into a graph database
+ */
+export class AnalysisResultStore {
+  constructor(private readonly db: IGraphDatabase) {}
+
+  /**
+   * Apply the analysis schema migrations; call once after connecting
+   */
+  async initialize(): Promise<void> {
+    await this.db.migrate(undefined, { migrations: createAnalysisMigrations() });
+  }
+
+  /**
+   * Write a run's issues, files, tool coverage, correlation groups,
+   * hotspots and file metrics. A failed write leaves no part of the run.
+   */
+  async saveRun(result: UnifiedAnalysisResult, options: SaveRunOptions = {}): Promise<StoredRunSummary> {
+    const runId = options.runId ?? randomUUID();
+
+    const session = this.db.session();
+    try {
+      if (await session.getNode(NodeLabels.RUN, runId)) {
+        throw new Error(`Analysis run "${runId}" already exists`);
+      }
+    } finally {
+      await session.close();
+    }
+
+    const seen = new Set<string>();
+    for (const issue of result.issues) {
+      if (seen.has(issue.id)) {
+        throw new Error(`Issue id "${issue.id}" appears more than once in the run`);
+      }
+      seen.add(issue.id);
+    }
+
+    const summary: StoredRunSummary = {
+      runId,
+      projectRoot: result.projectRoot,
+      label: options.label,
+      createdAt: result.createdAt,
+      storedAt: new Date().toISOString(),
+      issueCount: result.issues.length,
+      fileCount: result.fileMetrics.size,
+      correlationGroupCount: result.correlationGroups.length,
+      hotspotCount: result.hotspots.length,
+      tools: Array.from(new Set(result.issues.map(i => i.toolName))).sort(),
+    };
+
+    try {
+      await this.db.ingest(this.runRecords(result, summary), {
+        batchSize: options.batchSize,
+        onProgress: options.onProgress,
+      });
+    } catch (error) {
+      // Earlier batches are committed; remove them so the run can be retried.
+      // The ingest error is the one to report, even when removing fails too.
+      try {
+        await this.deleteRun(runId);
+      } catch {
+        // Left for a later deleteRun()
+      }
+      throw error;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Rebuild a stored run as a UnifiedAnalysisResult
+   */
+  async loadRun(runId: string): Promise<UnifiedAnalysisResult> {
+    const session = this.db.session();
+
+    try {
+      const run = await session.getNode(NodeLabels.RUN, runId);
+      if (!run) {
+        throw new Error(`Analysis run "${runId}" not found`);
+      }
+
+      const issueNodes = byPosition(await session.findNodes(NodeLabels.ISSUE, { runId }));
+      const metricNodes = await session.findNodes(NodeLabels.FILE_METRICS, { runId });
+      const groupNodes = byPosition(await session.findNodes(NodeLabels.CORRELATION_GROUP, { runId }));
+      const hotspotNodes = byPosition(await session.findNodes(NodeLabels.HOTSPOT, { runId }));
+
+      const props = run.properties;
+      const result = new UnifiedAnalysisResult(String(props.projectRoot));
+      Object.assign(result, { createdAt: props.createdAt });
+      result.metadata = (props.metadata as UnifiedAnalysisResult['metadata']) ?? null;
+      if (props.deduplicationStats) {
+        result.deduplicationStats = props.deduplicationStats as UnifiedAnalysisResult['deduplicationStats'];
+      }
+      if (props.suppressionStats) {
+        result.suppressionStats = props.suppressionStats as UnifiedAnalysisResult['suppressionStats'];
+      }
+
+      const issuesById = new Map<string, UnifiedIssue>();
+      for (const node of issueNodes) {
+        const issue = toIssue(node);
+        issuesById.set(issue.id, issue);
+        result.addIssue(issue);
+      }
+
+      // addIssue rebuilt the metrics; restore the stored values, which may
+      // carry tool-specific metadata
+      for (const node of metricNodes) {
+        const metrics = result.fileMetrics.get(String(node.properties.path));
+        if (metrics) {
+          Object.assign(metrics, {
+            issueCount: node.properties.issueCount,
+            severityDistribution: node.properties.severityDistribution,
+            analysisTypeDistribution: node.properties.analysisTypeDistribution,
+            toolCoverage: node.properties.toolCoverage ?? [],
+            hotspotScore: node.properties.hotspotScore,
+            lastUpdated: node.properties.lastUpdated,
+            metadata: node.properties.metadata ?? {},
+          });
+        }
+      }
+
+      result.correlationGroups = groupNodes.map((node): CorrelationGroup => {
+        const p = node.properties;
+        return {
+          id: String(p.groupId),
+          canonicalPath: String(p.canonicalPath),
+          issues: ((p.issueIds as string[]) ?? [])
+            .map(id => issuesById.get(id))
+            .filter((issue): issue is UnifiedIssue => issue !== undefined),
+          lineRange: { start: Number(p.lineStart), end: Number(p.lineEnd) },
+          riskScore: Number(p.riskScore),
+          analysisTypes: (p.analysisTypes as AnalysisType[]) ?? [],
+          toolCoverage: (p.toolCoverage as string[]) ?? [],
+        };
+      });
+
+      result.hotspots = hotspotNodes.map((node): DetectedHotspot => {
+        const p = node.properties;
+        return {
+          id: String(p.hotspotId),
+          canonicalPath: String(p.canonicalPath),
+          riskScore: Number(p.riskScore),
+          issueCount: Number(p.issueCount),
+          lineRange: { start: Number(p.lineStart), end: Number(p.lineEnd) },
+          severityDistribution: p.severityDistribution as DetectedHotspot['severityDistribution'],
+          analysisTypeDistribution: p.analysisTypeDistribution as DetectedHotspot['analysisTypeDistribution'],
+          toolCoverage: (p.toolCoverage as string[]) ?? [],
+          recommendedActions: (p.recommendedActions as string[]) ?? [],
+        };
+      });
+
+      return result;
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Stored runs, oldest first, optionally limited to one project
+   */
+  async listRuns(projectRoot?: string): Promise<StoredRunSummary[]> {
+    const session = this.db.session();
+
+    try {
+      const runs = await session.findNodes(NodeLabels.RUN, projectRoot ? { projectRoot } : undefined);
+      return runs
+        .map(node => toSummary(node))
+        .sort((a, b) => a.storedAt.localeCompare(b.storedAt));
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Remove a run and everything that belongs only to it. Shared File and
+   * Tool nodes are kept.
+   */
+  async deleteRun(runId: string): Promise<void> {
+    const session = this.db.session();
+
+    try {
+      for (const label of RUN_SCOPED_LABELS) {
+        for (const node of await session.findNodes(label, { runId })) {
+          await session.deleteNode(label, node.id);
+        }
+      }
+      await session.deleteNode(NodeLabels.RUN, runId);
+      await session.commit();
+    } catch (error) {
+      if (session.isActive()) {
+        await session.rollback();
+      }
+      throw error;
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Records for graph-core's ingest, grouped by label/type so each group
+   * becomes a batch write; nodes come before the relationships that use them
+   */
+  private *runRecords(result: UnifiedAnalysisResult, summary: StoredRunSummary): Generator<IngestRecord> {
+    const { runId } = summary;
+    const run: NodeReference = { label: NodeLabels.RUN, id: runId };
+    const file = (path: string): NodeReference => ({ label: NodeLabels.FILE, id: path });
+    const tool = (name: string): NodeReference => ({ label: NodeLabels.TOOL, id: name });
+    const scoped = (label: string, id: string): NodeReference => ({ label, id: runScopedId(runId, id) });
+
+    yield {
+      kind: 'node',
+      label: NodeLabels.RUN,
+      properties: {
+        id: runId,
+        projectRoot: summary.projectRoot,
+        label: summary.label,
+        createdAt: summary.createdAt,
+        storedAt: summary.storedAt,
+        issueCount: summary.issueCount,
+        fileCount: summary.fileCount,
+        correlationGroupCount: summary.correlationGroupCount,
+        hotspotCount: summary.hotspotCount,
+        tools: summary.tools,
+        metadata: result.metadata ?? undefined,
+        deduplicationStats: result.deduplicationStats,
+        suppressionStats: result.suppressionStats,
+      },
+    };
+
+    for (const name of summary.tools) {
+      yield { kind: 'node', label: NodeLabels.TOOL, properties: { id: name, name } };
+    }
+
+    const paths = new Set<string>([
+      ...result.issues.map(i => i.entity.canonicalPath),
+      ...result.fileMetrics.keys(),
+      ...result.hotspots.map(h => h.canonicalPath),
+    ]);
+    for (const path of paths) {
+      yield {
+        kind: 'node',
+        label: NodeLabels.FILE,
+        properties: { id: path, path, name: path.split('/').pop() || path },
+      };
+    }
+
+    for (const [path, metrics] of result.fileMetrics) {
+      yield {
+        kind: 'node',
+        label: NodeLabels.FILE_METRICS,
+        properties: {
+          id: runScopedId(runId, path),
+          runId,
+          path,
+          issueCount: metrics.issueCount,
+          hotspotScore: metrics.hotspotScore,
+          severityDistribution: metrics.severityDistribution,
+          analysisTypeDistribution: metrics.analysisTypeDistribution,
+          toolCoverage: metrics.toolCoverage,
+          lastUpdated: metrics.lastUpdated,
+          metadata: metrics.metadata,
+        },
+      };
+    }
+
+    for (const [position, issue] of result.issues.entries()) {
+      yield {
+        kind: 'node',
+        label: NodeLabels.ISSUE,
+        properties: {
+          id: runScopedId(runId, issue.id),
+          runId,
+          issueId: issue.id,
+          position,
+          canonicalPath: issue.entity.canonicalPath,
+          entity: {
+            id: issue.entity.id,
+            type: issue.entity.type,
+            name: issue.entity.name,
+            canonicalPath: issue.entity.canonicalPath,
+            originalIdentifier: issue.entity.originalIdentifier,
+            toolName: issue.entity.toolName,
+            confidence: issue.entity.confidence,
+          },
+          severity: issue.severity,
+          analysisType: issue.analysisType,
+          title: issue.title,
+          description: issue.description,
+          ruleId: issue.ruleId,
+          line: issue.line,
+          column: issue.column,
+          endLine: issue.endLine,
+          endColumn: issue.endColumn,
+          toolName: issue.toolName,
+          metadata: issue.metadata,
+          createdAt: issue.createdAt,
+        },
+      };
+    }
+
+    for (const [position, group] of result.correlationGroups.entries()) {
+      yield {
+        kind: 'node',
+        label: NodeLabels.CORRELATION_GROUP,
+        properties: {
+          id: runScopedId(runId, group.id),
+          runId,
+          groupId: group.id,
+          position,
+          canonicalPath: group.canonicalPath,
+          lineStart: group.lineRange.start,
+          lineEnd: group.lineRange.end,
+          riskScore: group.riskScore,
+          analysisTypes: group.analysisTypes,
+          toolCoverage: group.toolCoverage,
+          issueIds: group.issues.map(i => i.id),
+        },
+      };
+    }
+
+    for (const [position, hotspot] of result.hotspots.entries()) {
+      yield {
+        kind: 'node',
+        label: NodeLabels.HOTSPOT,
+        properties: {
+          id: runScopedId(runId, hotspot.id),
+          runId,
+          hotspotId: hotspot.id,
+          position,
+          canonicalPath: hotspot.canonicalPath,
+          riskScore: hotspot.riskScore,
+          issueCount: hotspot.issueCount,
+          lineStart: hotspot.lineRange.start,
+          lineEnd: hotspot.lineRange.end,
+          severityDistribution: hotspot.severityDistribution,
+          analysisTypeDistribution: hotspot.analysisTypeDistribution,
+          toolCoverage: hotspot.toolCoverage,
+          recommendedActions: hotspot.recommendedActions,
+        },
+      };
+    }
+
+    const toolIssueCounts = new Map<string, number>();
+    for (const issue of result.issues) {
+      toolIssueCounts.set(issue.toolName, (toolIssueCounts.get(issue.toolName) ?? 0) + 1);
+    }
+    for (const [name, issueCount] of toolIssueCounts) {
+      yield { kind: 'relationship', type: RelationshipTypes.USED_TOOL, from: run, to: tool(name), properties: { issueCount } };
+    }
+
+    for (const issue of result.issues) {
+      const ref = scoped(NodeLabels.ISSUE, issue.id);
+      yield { kind: 'relationship', type: RelationshipTypes.PRODUCED, from: run, to: ref };
+    }
+    for (const issue of result.issues) {
+      const ref = scoped(NodeLabels.ISSUE, issue.id);
+      yield { kind: 'relationship', type: RelationshipTypes.HAS_ISSUE, from: file(issue.entity.canonicalPath), to: ref };
+    }
+    for (const issue of result.issues) {
+      const ref = scoped(NodeLabels.ISSUE, issue.id);
+      yield { kind: 'relationship', type: RelationshipTypes.REPORTED_BY, from: ref, to: tool(issue.toolName) };
+    }
+
+    for (const path of result.fileMetrics.keys()) {
+      yield { kind: 'relationship', type: RelationshipTypes.HAS_METRICS, from: run, to: scoped(NodeLabels.FILE_METRICS, path) };
+    }
+    for (const path of result.fileMetrics.keys()) {
+      yield { kind: 'relationship', type: RelationshipTypes.DESCRIBES, from: scoped(NodeLabels.FILE_METRICS, path), to: file(path) };
+    }
+
+    for (const group of result.correlationGroups) {
+      yield { kind: 'relationship', type: RelationshipTypes.HAS_CORRELATION, from: run, to: scoped(NodeLabels.CORRELATION_GROUP, group.id) };
+    }
+    for (const group of result.correlationGroups) {
+      for (const issue of group.issues) {
+        yield {
+          kind: 'relationship',
+          type: RelationshipTypes.GROUPS,
+          from: scoped(NodeLabels.CORRELATION_GROUP, group.id),
+          to: scoped(NodeLabels.ISSUE, issue.id),
+        };
+      }
+    }
+    for (const group of result.correlationGroups) {
+      // Every pair in the group, from the earlier issue to the later one
+      for (let i = 0; i < group.issues.length; i++) {
+        for (let j = i + 1; j < group.issues.length; j++) {
+          yield {
+            kind: 'relationship',
+            type: RelationshipTypes.CORRELATED_WITH,
+            from: scoped(NodeLabels.ISSUE, group.issues[i]!.id),
+            to: scoped(NodeLabels.ISSUE, group.issues[j]!.id),
+            properties: { groupId: group.id },
+          };
+        }
+      }
+    }
+
+    for (const hotspot of result.hotspots) {
+      yield { kind: 'relationship', type: RelationshipTypes.HAS_HOTSPOT, from: run, to: scoped(NodeLabels.HOTSPOT, hotspot.id) };
+    }
+    for (const hotspot of result.hotspots) {
+      yield { kind: 'relationship', type: RelationshipTypes.LOCATED_IN, from: scoped(NodeLabels.HOTSPOT, hotspot.id), to: file(hotspot.canonicalPath) };
+    }
+  }
+}
+
+function byPosition(nodes: GraphNode[]): GraphNode[] {
+  return nodes.sort((a, b) => Number(a.properties.position) - Number(b.properties.position));
+}
+
+function toIssue(node: GraphNode): UnifiedIssue {
+  const p = node.properties;
+  const stored = (p.entity ?? {}) as Record<string, any>;
+
+  const entity = new UnifiedEntity({
+    id: stored.id ?? `entity-${p.canonicalPath}`,
+    type: stored.type ?? 'file',
+    name: stored.name ?? String(p.canonicalPath).split('/').pop(),
+    canonicalPath: String(p.canonicalPath),
+  });
+  entity.originalIdentifier = stored.originalIdentifier ?? entity.canonicalPath;
+  entity.toolName = stored.toolName ?? entity.toolName;
+  entity.confidence = stored.confidence ?? entity.confidence;
+
+  const issue = new UnifiedIssue({
+    id: String(p.issueId),
+    entity,
+    severity: p.severity as IssueSeverity,
+    analysisType: p.analysisType as AnalysisType,
+    title: String(p.title ?? ''),
+    description: String(p.description ?? ''),
+    ruleId: String(p.ruleId ?? ''),
+    line: (p.line as number | undefined) ?? null,
+    column: (p.column as number | undefined) ?? null,
+    endLine: (p.endLine as number | undefined) ?? null,
+    endColumn: (p.endColumn as number | undefined) ?? null,
+    toolName: String(p.toolName),
+    metadata: (p.metadata as Record<string, any>) ?? {},
+  });
+
+  // createdAt is stamped at construction; keep the original timestamp
+  Object.assign(issue, { createdAt: p.createdAt ?? issue.createdAt });
+  return issue;
+}
+
+function toSummary(node: GraphNode): StoredRunSummary {
+  const p = node.properties;
+  return {
+    runId: node.id,
+    projectRoot: String(p.projectRoot),
+    label: p.label as string | undefined,
+    createdAt: String(p.createdAt),
+    storedAt: String(p.storedAt),
+    issueCount: Number(p.issueCount ?? 0),
+    fileCount: Number(p.fileCount ?? 0),
+    correlationGroupCount: Number(p.correlationGroupCount ?? 0),
+    hotspotCount: Number(p.hotspotCount ?? 0),
+    tools: (p.tools as string[]) ?? [],
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * Graph schema for stored analysis runs
+ *
+ * Shared nodes (one per project file / tool, reused across runs):
+ *   (File {id: canonicalPath})          (Tool {id: toolName})
+ *
+ * Per-run nodes (ids prefixed with the run id, each carries `runId`):
+ *   (Run)-[:PRODUCED]->(Issue)<-[:HAS_ISSUE]-(File)
+ *   (Issue)-[:REPORTED_BY]->(Tool)
+ *   (Issue)-[:CORRELATED_WITH {groupId}]->(Issue)
+ *   (Run)-[:HAS_CORRELATION]->(CorrelationGroup)-[:GROUPS]->(Issue)
+ *   (Run)-[:HAS_HOTSPOT]->(Hotspot)-[:LOCATED_IN]->(File)
+ *   (Run)-[:HAS_METRICS]->(FileMetrics)-[:DESCRIBES]->(File)
+ *   (Run)-[:USED_TOOL {issueCount}]->(Tool)
+ */
+
+import { MigrationRegistry } from '@topolop/graph-core';
+
+export const NodeLabels = {
+  RUN: 'Run',
+  FILE: 'File',
+  TOOL: 'Tool',
+  ISSUE: 'Issue',
+  CORRELATION_GROUP: 'CorrelationGroup',
+  HOTSPOT: 'Hotspot',
+  FILE_METRICS: 'FileMetrics',
+} as const;
+
+export const RelationshipTypes = {
+  PRODUCED: 'PRODUCED',
+  HAS_ISSUE: 'HAS_ISSUE',
+  REPORTED_BY: 'REPORTED_BY',
+  CORRELATED_WITH: 'CORRELATED_WITH',
+  HAS_CORRELATION: 'HAS_CORRELATION',
+  GROUPS: 'GROUPS',
+  HAS_HOTSPOT: 'HAS_HOTSPOT',
+  LOCATED_IN: 'LOCATED_IN',
+  HAS_METRICS: 'HAS_METRICS',
+  DESCRIBES: 'DESCRIBES',
+  USED_TOOL: 'USED_TOOL',
+} as const;
+
+/**
+ * Labels of the nodes that belong to a single run
+ */
+export const RUN_SCOPED_LABELS = [
+  NodeLabels.ISSUE,
+  NodeLabels.CORRELATION_GROUP,
+  NodeLabels.HOTSPOT,
+  NodeLabels.FILE_METRICS,
+] as const;
+
+/**
+ * Id of a node that belongs to a run
+ */
+export function runScopedId(runId: string, id: string): string {
+  return `${runId}:${id}`;
+}
+
+/**
+ * Schema migrations for the analysis graph, applied by
+ * AnalysisResultStore.initialize()
+ */
+export function createAnalysisMigrations(): MigrationRegistry {
+  return new MigrationRegistry('analysis', [
+    {
+      version: '1',
+      description: 'Index run-scoped nodes by run and files by path',
+      up: (ctx) =>
+        ctx.createIndexes([
+          { label: NodeLabels.RUN, properties: ['projectRoot'] },
+          { label: NodeLabels.FILE, properties: ['id'] },
+          ...RUN_SCOPED_LABELS.map((label) => ({ label, properties: ['runId'] })),
+        ]),
+    },
+  ]);
+}
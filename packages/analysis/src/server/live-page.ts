@@ -0,0 +1,246 @@
+/**
+ * Live Page
+ *
+ * The dashboard and city pages served by LiveAnalysisServer. Both keep the
+ * issues per file in the browser, apply the server's deltas to them and
+ * redraw only what changed: summary cards, hotspot and issue rows, and the
+ * city image, which is fetched again and swapped in place.
+ */
+
+import { SUPPRESSION_METADATA_KEY } from '@topolop/shared-types';
+
+export type LivePageKind = 'dashboard' | 'city';
+
+export function livePage(kind: LivePageKind, title: string): string {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · Topolop live</title>
+<style>${STYLE}</style>
+</head>
+<body class="${kind}">
+<header>
+  <h1>🏗️ ${escapeHtml(title)}</h1>
+  <nav><a href="/"${kind === 'dashboard' ? ' class="current"' : ''}>Dashboard</a> <a href="/city"${kind === 'city' ? ' class="current"' : ''}>City</a></nav>
+  <span id="status" class="status offline">Connecting…</span>
+</header>
+<main>
+  <section id="cards" class="cards"></section>
+  <section class="panel city-panel">
+    <div class="panel-header">
+      <h2>City</h2>
+      <select id="city-view" aria-label="City view"><option value="city">City</option><option value="treemap">Treemap</option></select>
+    </div>
+    <div id="city" class="city-image"></div>
+  </section>
+  <section class="panel tables">
+    <h2>Hotspots</h2>
+    <table><thead><tr><th>File</th><th>Lines</th><th>Risk</th><th>Issues</th><th>Tools</th></tr></thead><tbody id="hotspots"></tbody></table>
+    <h2>Issues <small id="issue-note"></small></h2>
+    <table><thead><tr><th>Severity</th><th>File</th><th>Line</th><th>Issue</th><th>Tool</th></tr></thead><tbody id="issues"></tbody></table>
+  </section>
+</main>
+<script>
+var SUPPRESSION_KEY = ${JSON.stringify(SUPPRESSION_METADATA_KEY)};
+${SCRIPT}
+</script>
+</body>
+</html>
+`;
+}
+
+const STYLE = `
+body { margin: 0; font: 14px/1.4 -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; color: #212529; background: #f8f9fa; }
+header { display: flex; align-items: center; gap: 16px; padding: 12px 20px; background: #fff; border-bottom: 1px solid #dee2e6; }
+header h1 { font-size: 18px; margin: 0; flex: 1; }
+nav a { margin-right: 8px; color: #495057; text-decoration: none; }
+nav a.current { font-weight: bold; color: #212529; }
+.status { padding: 2px 10px; border-radius: 10px; font-size: 12px; color: #fff; }
+.status.live { background: #28a745; } .status.busy { background: #fd7e14; }
+.status.offline { background: #adb5bd; } .status.error { background: #dc3545; }
+main { padding: 16px 20px; display: grid; gap: 16px; }
+.cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(130px, 1fr)); gap: 12px; }
+.card { background: #fff; border: 1px solid #dee2e6; border-radius: 6px; padding: 10px 12px; }
+.card .value { font-size: 24px; font-weight: bold; }
+.card .label { color: #6c757d; font-size: 12px; }
+.panel { background: #fff; border: 1px solid #dee2e6; border-radius: 6px; padding: 12px 16px; }
+.panel h2 { font-size: 15px; margin: 8px 0; }
+.panel-header { display: flex; justify-content: space-between; align-items: center; }
+.city-image svg { width: 100%; height: auto; display: block; }
+body.city .cards, body.city .tables { display: none; }
+body.city .city-image svg { max-height: calc(100vh - 140px); }
+table { width: 100%; border-collapse: collapse; font-size: 13px; margin-bottom: 12px; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #f1f3f5; }
+th { color: #6c757d; font-weight: normal; }
+td.path { font-family: ui-monospace, Menlo, monospace; word-break: break-all; }
+.severity { display: inline-block; min-width: 60px; padding: 0 6px; border-radius: 3px; color: #fff; font-size: 12px; text-align: center; }
+.severity.critical { background: #dc3545; } .severity.high { background: #fd7e14; }
+.severity.medium { background: #ffc107; color: #212529; } .severity.low { background: #28a745; } .severity.info { background: #17a2b8; }
+.changed { animation: flash 2s ease-out; }
+@keyframes flash { from { background: #fff3bf; } to { background: transparent; } }
+`;
+
+/**
+ * Plain ES5 so it runs in any browser without a build step
+ */
+const SCRIPT = `
+(function () {
+  var SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+  var ISSUE_ROWS = 200;
+  var files = {};
+  var hotspots = [];
+  var cityRequest = 0;
+
+  function element(id) { return document.getElementById(id); }
+
+  function escape(value) {
+    return String(value == null ? '' : value).replace(/[&<>"]/g, function (c) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c];
+    });
+  }
+
+  function suppressed(issue) { return Boolean(issue.metadata && issue.metadata[SUPPRESSION_KEY]); }
+
+  function status(kind, text) {
+    var node = element('status');
+    node.className = 'status ' + kind;
+    node.textContent = text;
+  }
+
+  function time(iso) { return iso ? new Date(iso).toLocaleTimeString() : ''; }
+
+  function renderCards(changedAny) {
+    var counts = { files: 0, active: 0, suppressed: 0 };
+    SEVERITIES.forEach(function (severity) { counts[severity] = 0; });
+    Object.keys(files).forEach(function (path) {
+      var active = 0;
+      files[path].forEach(function (issue) {
+        if (suppressed(issue)) { counts.suppressed++; return; }
+        active++;
+        counts[issue.severity] = (counts[issue.severity] || 0) + 1;
+      });
+      counts.active += active;
+      if (active > 0) counts.files++;
+    });
+    var cards = [
+      ['active', 'Active issues'], ['files', 'Files with issues'], ['critical', 'Critical'],
+      ['high', 'High'], ['medium', 'Medium'], ['low', 'Low'], ['suppressed', 'Suppressed']
+    ];
+    var container = element('cards');
+    cards.forEach(function (card) {
+      var node = element('card-' + card[0]);
+      if (!node) {
+        node = document.createElement('div');
+        node.id = 'card-' + card[0];
+        node.className = 'card';
+        node.innerHTML = '<div class="value"></div><div class="label">' + card[1] + '</div>';
+        container.appendChild(node);
+      }
+      var value = node.firstChild;
+      if (value.textContent !== String(counts[card[0]])) {
+        value.textContent = counts[card[0]];
+        if (changedAny) flash(node);
+      }
+    });
+  }
+
+  function flash(node) {
+    node.classList.remove('changed');
+    void node.offsetWidth;
+    node.classList.add('changed');
+  }
+
+  function renderHotspots(changed) {
+    element('hotspots').innerHTML = hotspots.slice().sort(function (a, b) {
+      return b.riskScore - a.riskScore || (a.canonicalPath < b.canonicalPath ? -1 : 1);
+    }).slice(0, 25).map(function (hotspot) {
+      return '<tr' + (changed[hotspot.canonicalPath] ? ' class="changed"' : '') + '><td class="path">' + escape(hotspot.canonicalPath) +
+        '</td><td>' + hotspot.lineRange.start + '–' + hotspot.lineRange.end + '</td><td>' + hotspot.riskScore +
+        '</td><td>' + hotspot.issueCount + '</td><td>' + escape(hotspot.toolCoverage.join(', ')) + '</td></tr>';
+    }).join('') || '<tr><td colspan="5">No hotspots</td></tr>';
+  }
+
+  function renderIssues(changed) {
+    var active = [];
+    Object.keys(files).forEach(function (path) {
+      files[path].forEach(function (issue) { if (!suppressed(issue)) active.push(issue); });
+    });
+    active.sort(function (a, b) {
+      return SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+        (a.entity.canonicalPath < b.entity.canonicalPath ? -1 : a.entity.canonicalPath > b.entity.canonicalPath ? 1 : 0) ||
+        (a.line || 0) - (b.line || 0);
+    });
+    element('issue-note').textContent = active.length > ISSUE_ROWS ? '(first ' + ISSUE_ROWS + ' of ' + active.length + ')' : '';
+    element('issues').innerHTML = active.slice(0, ISSUE_ROWS).map(function (issue) {
+      return '<tr' + (changed[issue.entity.canonicalPath] ? ' class="changed"' : '') + '><td><span class="severity ' + escape(issue.severity) + '">' +
+        escape(issue.severity) + '</span></td><td class="path">' + escape(issue.entity.canonicalPath) + '</td><td>' +
+        (issue.line == null ? '' : issue.line) + '</td><td title="' + escape(issue.description) + '">' + escape(issue.title) +
+        '</td><td>' + escape(issue.toolName) + '</td></tr>';
+    }).join('') || '<tr><td colspan="5">No active issues</td></tr>';
+  }
+
+  function renderCity() {
+    var request = ++cityRequest;
+    var xhr = new XMLHttpRequest();
+    xhr.open('GET', '/city.svg?view=' + encodeURIComponent(element('city-view').value));
+    xhr.onload = function () {
+      // A later update may have overtaken this one
+      if (request === cityRequest && xhr.status === 200) element('city').innerHTML = xhr.responseText;
+    };
+    xhr.send();
+  }
+
+  function render(changed) {
+    var changedAny = Object.keys(changed).length > 0;
+    renderCards(changedAny);
+    renderHotspots(changed);
+    renderIssues(changed);
+    renderCity();
+  }
+
+  function handle(message) {
+    if (message.type === 'result') {
+      files = {};
+      message.result.issues.forEach(function (issue) {
+        var path = issue.entity.canonicalPath;
+        (files[path] = files[path] || []).push(issue);
+      });
+      hotspots = message.result.hotspots || [];
+      render({});
+      status('live', 'Analyzed ' + time(message.result.metadata && message.result.metadata.analyzedAt || message.result.createdAt));
+    } else if (message.type === 'delta') {
+      var changed = {};
+      Object.keys(message.files).forEach(function (path) {
+        if (message.files[path].length > 0) files[path] = message.files[path];
+        else delete files[path];
+        changed[path] = true;
+      });
+      hotspots = message.hotspots;
+      render(changed);
+      status('live', 'Updated ' + Object.keys(changed).length + ' file(s) at ' + time(message.analyzedAt));
+    } else if (message.type === 'analyzing') {
+      status('busy', 'Analyzing ' + message.files.length + ' changed file(s)…');
+    } else if (message.type === 'error') {
+      status('error', message.message);
+    }
+  }
+
+  function connect() {
+    var socket = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/live');
+    socket.onmessage = function (event) { handle(JSON.parse(event.data)); };
+    socket.onclose = function () {
+      status('offline', 'Disconnected, reconnecting…');
+      setTimeout(connect, 2000);
+    };
+  }
+
+  element('city-view').onchange = renderCity;
+  connect();
+})();
+`;
+
+function escapeHtml(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,365 @@
+/**
+ * Live Analysis Server
+ *
+ * Local HTTP server behind `topolop serve`. It serves the live dashboard and
+ * city pages, watches the working tree, re-analyzes changed files through
+ * IncrementalAnalysis and pushes the changes to every open page over a
+ * WebSocket at /live:
+ *
+ * - `result`: the whole current result (ResultFile format), sent on connect
+ * - `analyzing`: files about to be re-analyzed
+ * - `delta`: the issues now in each re-analyzed file (an empty list clears
+ *   it) and the rebuilt hotspots
+ * - `error`: the last re-analysis failed; the previous result stays
+ *
+ * HTTP routes: `/` dashboard, `/city` city view, `/api/result` the current
+ * result as JSON, `/city.svg?view=city|treemap` the city snapshot.
+ *
+ * Every request must name the server in its Host header (the bound host,
+ * localhost or an allowed host), so a page on another site cannot reach it
+ * through a DNS name rebound to 127.0.0.1.
+ */
+
+import * as fs from 'fs';
+import * as http from 'http';
+import * as path from 'path';
+import { AddressInfo } from 'net';
+import { Duplex } from 'stream';
+
+import { DetectedHotspot } from '@topolop/shared-types';
+import { CityLayout, CitySnapshotRenderer, SnapshotView, sceneToSvg } from '@topolop/visualization';
+
+import { IncrementalAnalysis, IncrementalUpdate } from '../api/incremental-analysis';
+import { ResultFile, ResultFileIssue, serializeIssue, serializeResult } from '../formats/result-file';
+import { livePage } from './live-page';
+import { WebSocketConnection, acceptWebSocket } from './websocket';
+
+export const DEFAULT_LIVE_PORT = 4700;
+
+/**
+ * Top-level directories whose changes never trigger a re-analysis
+ */
+const IGNORED_DIRECTORIES = new Set(['.git', '.topolop', 'node_modules', 'dist', 'build', 'coverage']);
+
+const LOOPBACK_NAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Addresses that listen on every interface and so name no host
+ */
+const WILDCARD_HOSTS = new Set(['0.0.0.0', '::', '[::]']);
+
+export type LiveMessage =
+  | { type: 'result'; result: ResultFile }
+  | { type: 'analyzing'; files: string[] }
+  | { type: 'delta'; analyzedAt: string; files: Record<string, ResultFileIssue[]>; hotspots: DetectedHotspot[] }
+  | { type: 'error'; message: string };
+
+export interface LiveServerOptions {
+  /** Default 4700; 0 picks a free port */
+  port?: number;
+  /** Default 127.0.0.1, so the server is not reachable from other machines */
+  host?: string;
+  /** More host names accepted in the Host header, e.g. the machine's name when listening on 0.0.0.0 */
+  allowedHosts?: string[];
+  /** Quiet period after the last change before re-analyzing, in ms (default 300) */
+  debounce?: number;
+  /** Watch the project for changes (default true) */
+  watch?: boolean;
+  /** Dashboard title (default: the project directory name) */
+  title?: string;
+  log?: (line: string) => void;
+}
+
+export class LiveAnalysisServer {
+  private readonly server: http.Server;
+  private readonly clients = new Set<WebSocketConnection>();
+  private readonly pending = new Set<string>();
+  private readonly layouts = new Map<SnapshotView, CityLayout>();
+  private readonly projectRoot: string;
+  private readonly title: string;
+  private readonly hostNames: Set<string>;
+  /** Watchers by directory: the root alone when watching recursively */
+  private readonly watchers = new Map<string, fs.FSWatcher>();
+  private timer: NodeJS.Timeout | null = null;
+  private running: Promise<void> | null = null;
+
+  constructor(
+    private readonly analysis: IncrementalAnalysis,
+    projectRoot: string,
+    private readonly options: LiveServerOptions = {}
+  ) {
+    this.projectRoot = path.resolve(projectRoot);
+    this.title = options.title ?? path.basename(this.projectRoot);
+    const host = options.host ?? '127.0.0.1';
+    this.hostNames = new Set([
+      ...LOOPBACK_NAMES,
+      ...(WILDCARD_HOSTS.has(host) ? [] : [host.includes(':') ? `[${host}]` : host]),
+      ...(options.allowedHosts ?? [])
+    ].map(name => name.toLowerCase()));
+    this.server = http.createServer((request, response) => this.handle(request, response));
+    this.server.on('upgrade', (request: http.IncomingMessage, socket: Duplex) => this.upgrade(request, socket));
+  }
+
+  /**
+   * Listen and start watching; resolves with the server's URL
+   */
+  async start(): Promise<string> {
+    if (!this.analysis.result) {
+      await this.analysis.full();
+    }
+
+    const host = this.options.host ?? '127.0.0.1';
+    await new Promise<void>((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port ?? DEFAULT_LIVE_PORT, host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    if (this.options.watch !== false) {
+      try {
+        this.watch();
+      } catch (error) {
+        // Release the port, or the process would keep running without a server
+        this.unwatch();
+        await new Promise<void>(resolve => this.server.close(() => resolve()));
+        throw new Error(`Cannot watch ${this.projectRoot}: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    }
+
+    const address = this.server.address() as AddressInfo;
+    return `http://${host.includes(':') ? `[${host}]` : host}:${address.port}`;
+  }
+
+  /**
+   * Stop watching, close every page's connection and the server; waits
+   * for a re-analysis in progress
+   */
+  async close(): Promise<void> {
+    this.unwatch();
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.pending.clear();
+    await this.running;
+
+    this.clients.forEach(client => client.close(1001));
+    await new Promise<void>(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Queue a changed path (relative to the project root) for re-analysis
+   */
+  changed(relativePath: string): void {
+    const normalized = relativePath.split(path.sep).join('/');
+    if (IGNORED_DIRECTORIES.has(normalized.split('/')[0]!)) return;
+
+    this.pending.add(normalized);
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, this.options.debounce ?? 300);
+  }
+
+  /**
+   * Watch the project with one recursive watcher where the platform has
+   * them (Linux only from Node 20), else with one watcher per directory
+   */
+  private watch(): void {
+    try {
+      const watcher = fs.watch(this.projectRoot, { recursive: true }, (_event, filename) => {
+        if (filename) this.changed(filename.toString());
+      });
+      watcher.on('error', error => this.log(`⚠️  Watcher stopped: ${error.message}`));
+      this.watchers.set(this.projectRoot, watcher);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+      this.watchDirectory(this.projectRoot);
+    }
+  }
+
+  /**
+   * Watch a directory and its subdirectories, and the ones created later
+   */
+  private watchDirectory(directory: string): void {
+    const relative = path.relative(this.projectRoot, directory);
+    if (this.watchers.has(directory) || IGNORED_DIRECTORIES.has(relative.split(path.sep)[0]!)) return;
+
+    const watcher = fs.watch(directory, (_event, filename) => {
+      if (!filename) return;
+      const changed = path.join(directory, filename.toString());
+      this.changed(path.relative(this.projectRoot, changed));
+      try {
+        if (fs.lstatSync(changed).isDirectory()) this.watchDirectory(changed);
+      } catch {
+        // Removed again
+      }
+    });
+    watcher.on('error', error => {
+      watcher.close();
+      this.watchers.delete(directory);
+      if (directory === this.projectRoot) this.log(`⚠️  Watcher stopped: ${error.message}`);
+    });
+    this.watchers.set(directory, watcher);
+
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      if (entry.isDirectory()) this.watchDirectory(path.join(directory, entry.name));
+    }
+  }
+
+  private unwatch(): void {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+  }
+
+  /**
+   * Re-analyze what is pending; changes arriving meanwhile wait for the
+   * next round
+   */
+  private flush(): void {
+    if (this.running || this.pending.size === 0) return;
+    const paths = Array.from(this.pending);
+    this.pending.clear();
+
+    this.running = this.reanalyze(paths).finally(() => {
+      this.running = null;
+      this.flush();
+    });
+  }
+
+  private async reanalyze(paths: string[]): Promise<void> {
+    const started = Date.now();
+    try {
+      const files = this.analysis.filesToAnalyze(paths);
+      if (files.length === 0) return;
+      this.broadcast({ type: 'analyzing', files });
+
+      const update = await this.analysis.update(files);
+      if (!update) return;
+
+      this.broadcast(this.delta(update));
+      const failed = update.tools.filter(tool => tool.status === 'failed').map(tool => `${tool.tool}: ${tool.error}`);
+      this.log(`🔄 ${update.files.length} file(s) re-analyzed in ${((Date.now() - started) / 1000).toFixed(1)}s, ` +
+        `${update.result.issues.length} issues` + (failed.length > 0 ? ` (failed: ${failed.join('; ')})` : ''));
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      this.broadcast({ type: 'error', message });
+      this.log(`❌ Re-analysis failed: ${message}`);
+    }
+  }
+
+  private delta(update: IncrementalUpdate): LiveMessage {
+    const files: Record<string, ResultFileIssue[]> = {};
+    for (const [file, issues] of update.issuesByFile) {
+      files[file] = issues.map(serializeIssue);
+    }
+    return {
+      type: 'delta',
+      analyzedAt: update.result.metadata?.analyzedAt ?? new Date().toISOString(),
+      files,
+      hotspots: update.result.hotspots
+    };
+  }
+
+  private broadcast(message: LiveMessage): void {
+    const text = JSON.stringify(message);
+    this.clients.forEach(client => client.send(text));
+  }
+
+  private handle(request: http.IncomingMessage, response: http.ServerResponse): void {
+    const url = new URL(request.url ?? '/', 'http://localhost');
+    if (!this.knownHost(request.headers.host)) {
+      return send(response, 403, 'text/plain', 'Unknown host');
+    }
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      return send(response, 405, 'text/plain', 'Method not allowed');
+    }
+
+    try {
+      switch (url.pathname) {
+        case '/':
+          return send(response, 200, 'text/html', livePage('dashboard', this.title));
+        case '/city':
+          return send(response, 200, 'text/html', livePage('city', this.title));
+        case '/api/result':
+          return send(response, 200, 'application/json', JSON.stringify(serializeResult(this.analysis.result!)));
+        case '/city.svg':
+          return send(response, 200, 'image/svg+xml', this.citySvg(url.searchParams.get('view') === 'treemap' ? 'treemap' : 'city'));
+        default:
+          return send(response, 404, 'text/plain', 'Not found');
+      }
+    } catch (error) {
+      return send(response, 500, 'text/plain', error instanceof Error ? error.message : String(error));
+    }
+  }
+
+  /**
+   * City snapshot; buildings keep their lots from one update to the next
+   */
+  private citySvg(view: SnapshotView): string {
+    const previousLayout = this.layouts.get(view);
+    const scene = new CitySnapshotRenderer({
+      view,
+      width: 1200,
+      height: view === 'city' ? 700 : 800,
+      ...(previousLayout ? { previousLayout } : {})
+    }).renderScene(this.analysis.result!);
+    this.layouts.set(view, scene.layout);
+    return sceneToSvg(scene);
+  }
+
+  private upgrade(request: http.IncomingMessage, socket: Duplex): void {
+    const url = new URL(request.url ?? '/', 'http://localhost');
+    // Pages from other sites may not open the socket (the browser sends their Origin)
+    const origin = request.headers.origin;
+    if (url.pathname !== '/live' || !this.knownHost(request.headers.host) ||
+      (origin !== undefined && originHost(origin) !== request.headers.host)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    const client = acceptWebSocket(request, socket);
+    if (!client) return;
+    this.clients.add(client);
+    client.onClose(() => this.clients.delete(client));
+    const message: LiveMessage = { type: 'result', result: serializeResult(this.analysis.result!) };
+    client.send(JSON.stringify(message));
+  }
+
+  /**
+   * Whether a Host header names this server: one of its host names, on the
+   * port it listens on
+   */
+  private knownHost(header: string | undefined): boolean {
+    if (!header) return false;
+    let url: URL;
+    try {
+      url = new URL(`http://${header}`);
+    } catch {
+      return false;
+    }
+    const address = this.server.address() as AddressInfo | null;
+    return this.hostNames.has(url.hostname) && Number(url.port || 80) === address?.port;
+  }
+
+  private log(line: string): void {
+    this.options.log?.(line);
+  }
+}
+
+function originHost(origin: string): string | null {
+  try {
+    return new URL(origin).host;
+  } catch {
+    return null;
+  }
+}
+
+function send(response: http.ServerResponse, status: number, contentType: string, body: string): void {
+  response.writeHead(status, {
+    'Content-Type': `${contentType}; charset=utf-8`,
+    'Cache-Control': 'no-store'
+  });
+  response.end(body);
+}
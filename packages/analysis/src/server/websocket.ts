@@ -0,0 +1,152 @@
+/**
+ * WebSocket
+ *
+ * Server side of RFC 6455, as much as pushing JSON to browsers needs: the
+ * upgrade handshake, unfragmented text frames out, and close, ping and pong
+ * from clients. Other client messages are read and ignored.
+ */
+
+import { createHash } from 'crypto';
+import { IncomingMessage } from 'http';
+import { Duplex } from 'stream';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * Largest client frame accepted; the dashboard sends none
+ */
+const MAX_CLIENT_PAYLOAD = 64 * 1024;
+
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+export class WebSocketConnection {
+  private buffer = Buffer.alloc(0);
+  private closed = false;
+  private readonly closeListeners: Array<() => void> = [];
+
+  constructor(private readonly socket: Duplex) {
+    socket.on('data', (data: Buffer) => this.receive(data));
+    socket.on('close', () => this.finish());
+    socket.on('error', () => {
+      socket.destroy();
+      this.finish();
+    });
+  }
+
+  get open(): boolean {
+    return !this.closed;
+  }
+
+  onClose(listener: () => void): void {
+    this.closeListeners.push(listener);
+  }
+
+  send(text: string): void {
+    if (this.closed) return;
+    this.socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(text, 'utf8')));
+  }
+
+  /**
+   * Close with a status code (1000 normal, 1001 going away)
+   */
+  close(code: number = 1000): void {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.socket.end(encodeFrame(OPCODE_CLOSE, payload));
+    this.finish();
+  }
+
+  private receive(data: Buffer): void {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    while (this.buffer.length >= 2) {
+      const opcode = this.buffer[0]! & 0x0f;
+      const masked = (this.buffer[1]! & 0x80) !== 0;
+      let length = this.buffer[1]! & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = this.buffer.readUInt32BE(2) * 0x100000000 + this.buffer.readUInt32BE(6);
+        offset = 10;
+      }
+
+      // Clients must mask their frames (RFC 6455 section 5.1)
+      if (!masked || length > MAX_CLIENT_PAYLOAD) {
+        this.close(masked ? 1009 : 1002);
+        return;
+      }
+      if (this.buffer.length < offset + 4 + length) return;
+
+      const mask = this.buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) {
+        payload[i]! ^= mask[i % 4]!;
+      }
+      this.buffer = this.buffer.subarray(offset + 4 + length);
+
+      if (opcode === OPCODE_CLOSE) {
+        this.close(1000);
+        return;
+      }
+      if (opcode === OPCODE_PING) {
+        this.socket.write(encodeFrame(OPCODE_PONG, payload));
+      }
+    }
+  }
+
+  private finish(): void {
+    if (this.closed) return;
+    this.closed = true;
+    this.closeListeners.forEach(listener => listener());
+  }
+}
+
+/**
+ * Complete the upgrade handshake of a request, or refuse it with 400
+ */
+export function acceptWebSocket(request: IncomingMessage, socket: Duplex): WebSocketConnection | null {
+  const key = request.headers['sec-websocket-key'];
+  if (request.headers.upgrade?.toLowerCase() !== 'websocket' || typeof key !== 'string') {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+
+  const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  return new WebSocketConnection(socket);
+}
+
+function encodeFrame(opcode: number, payload: Buffer): Buffer {
+  let header: Buffer;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+    header.writeUInt32BE(payload.length % 0x100000000, 6);
+  }
+  return Buffer.concat([header, payload]);
+}
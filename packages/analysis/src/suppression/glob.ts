@@ -0,0 +1,35 @@
+/**
+ * Minimal path globs: `**` spans directories, `*` and `?` stay within one
+ */
+
+export function globToRegExp(glob: string): RegExp {
+  let pattern = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]!;
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        i++;
+        if (glob[i + 1] === '/') {
+          i++;
+          pattern += '(?:.*/)?';
+        } else {
+          pattern += '.*';
+        }
+      } else {
+        pattern += '[^/]*';
+      }
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${pattern}$`);
+}
+
+export function matchesGlob(filePath: string, glob: string): boolean {
+  return globToRegExp(glob).test(filePath);
+}
@@ -0,0 +1,296 @@
+/**
+ * Suppression Engine
+ *
+ * Marks issues as suppressed from three sources, most specific first:
+ *
+ *   inline    `topolop-ignore <ruleId|*> until YYYY-MM-DD: <justification>`
+ *             in a source comment; covers its own line and the next one
+ *   rule      glob/rule/tool/fingerprint rules from a suppression file
+ *   baseline  fingerprints recorded in a baseline file
+ *
+ * Suppressed issues stay in the result with an IssueSuppression in their
+ * metadata. Suppressions that match nothing are reported as stale; expired
+ * rules and comments no longer apply.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import {
+  UnifiedAnalysisResult,
+  UnifiedIssue,
+  IssueSuppression,
+  SuppressionSource,
+  SuppressionStats,
+  SUPPRESSION_METADATA_KEY
+} from '@topolop/shared-types';
+
+import { AnalysisDiffEngine, SourceProvider, readSourceFromDisk } from '../engines/diff-engine';
+import { globToRegExp } from './glob';
+import {
+  BaselineFile,
+  SuppressionRule,
+  DEFAULT_BASELINE_FILE,
+  DEFAULT_SUPPRESSION_FILE,
+  readBaselineFile,
+  readSuppressionFile,
+  isIsoDate
+} from './suppression-files';
+
+const INLINE_MARKER = /topolop-ignore\b(.*)$/;
+const INLINE_SYNTAX = /^\s+(\S+)\s+until\s+(\S+?)\s*:\s*(.*?)\s*(?:\*\/|-->)?\s*$/;
+
+/**
+ * Suppression engine configuration
+ */
+export interface SuppressionEngineOptions {
+  baseline?: BaselineFile;
+  rules?: SuppressionRule[];
+  /** Honour inline comments (default true) */
+  inline?: boolean;
+  diffEngine?: AnalysisDiffEngine;
+  /** Source lookup for inline comments; defaults to reading from disk */
+  sourceProvider?: SourceProvider;
+}
+
+/**
+ * Inline comment skipped because it lacks a rule, expiry or justification
+ */
+export interface InvalidInlineSuppression {
+  path: string;
+  line: number;
+  reason: string;
+}
+
+/**
+ * Outcome of applying suppressions to a run
+ */
+export interface SuppressionReport extends SuppressionStats {
+  invalid: InvalidInlineSuppression[];
+}
+
+interface InlineSuppression {
+  id: string;
+  path: string;
+  /** 1-based lines covered */
+  lines: [number, number];
+  rule: string;
+  expires: string;
+  justification: string;
+}
+
+/**
+ * Applies baseline, rule and inline suppressions to analysis results
+ */
+export class SuppressionEngine {
+  private readonly baseline: BaselineFile | null;
+  private readonly rules: SuppressionRule[];
+  private readonly inline: boolean;
+  private readonly diffEngine: AnalysisDiffEngine;
+  private readonly sourceProvider: SourceProvider;
+
+  constructor(options: SuppressionEngineOptions = {}) {
+    this.baseline = options.baseline ?? null;
+    this.rules = options.rules ?? [];
+    this.inline = options.inline ?? true;
+    this.diffEngine = options.diffEngine ?? new AnalysisDiffEngine({ sourceProvider: options.sourceProvider });
+    this.sourceProvider = options.sourceProvider ?? readSourceFromDisk;
+  }
+
+  /**
+   * Load the baseline and suppression files from a project root, skipping
+   * whichever does not exist
+   */
+  static fromProject(
+    projectRoot: string,
+    options: Omit<SuppressionEngineOptions, 'baseline' | 'rules'> & { baselineFile?: string; suppressionFile?: string } = {}
+  ): SuppressionEngine {
+    const baselinePath = path.resolve(projectRoot, options.baselineFile ?? DEFAULT_BASELINE_FILE);
+    const suppressionPath = path.resolve(projectRoot, options.suppressionFile ?? DEFAULT_SUPPRESSION_FILE);
+
+    return new SuppressionEngine({
+      ...options,
+      baseline: fs.existsSync(baselinePath) ? readBaselineFile(baselinePath) : undefined,
+      rules: fs.existsSync(suppressionPath) ? readSuppressionFile(suppressionPath).rules : undefined
+    });
+  }
+
+  /**
+   * Mark suppressed issues in place and record the counts on
+   * result.suppressionStats. Re-applying replaces earlier markings.
+   */
+  apply(result: UnifiedAnalysisResult, now: Date = new Date()): SuppressionReport {
+    const today = now.toISOString().slice(0, 10);
+    const report: SuppressionReport = {
+      suppressedCount: 0,
+      bySource: { baseline: 0, rule: 0, inline: 0 },
+      stale: [],
+      expired: 0,
+      invalid: []
+    };
+
+    for (const issue of result.issues) {
+      delete issue.metadata[SUPPRESSION_METADATA_KEY];
+    }
+
+    const mark = (issue: UnifiedIssue, suppression: IssueSuppression) => {
+      if (issue.metadata[SUPPRESSION_METADATA_KEY]) return;
+      issue.metadata[SUPPRESSION_METADATA_KEY] = suppression;
+      report.suppressedCount++;
+      report.bySource[suppression.source]++;
+    };
+    const stale = (source: SuppressionSource, id: string, justification: string) => {
+      report.stale.push({ source, id, justification });
+    };
+
+    // Fingerprints are only needed for baselines and fingerprint rules
+    let fingerprints: string[] | null = null;
+    const fingerprintsOf = () => fingerprints ??= this.diffEngine.fingerprintResult(result).map(fp => fp.key);
+
+    // Inline comments
+    if (this.inline) {
+      for (const comment of this.inlineSuppressions(result, report.invalid)) {
+        if (comment.expires < today) {
+          report.expired++;
+          continue;
+        }
+
+        const matches = result.issues.filter(issue =>
+          this.relativePath(result, issue) === comment.path &&
+          issue.line !== null &&
+          issue.line >= comment.lines[0] &&
+          issue.line <= comment.lines[1] &&
+          (comment.rule === '*' || comment.rule === issue.ruleId || comment.rule === `${issue.toolName}:${issue.ruleId}`)
+        );
+
+        matches.forEach(issue => mark(issue, {
+          source: 'inline',
+          id: comment.id,
+          justification: comment.justification,
+          expires: comment.expires
+        }));
+        if (matches.length === 0) {
+          stale('inline', comment.id, comment.justification);
+        }
+      }
+    }
+
+    // Suppression rules
+    for (const rule of this.rules) {
+      if (rule.expires < today) {
+        report.expired++;
+        continue;
+      }
+
+      const matches = this.ruleMatches(result, rule, fingerprintsOf);
+      matches.forEach(issue => mark(issue, {
+        source: 'rule',
+        id: rule.id,
+        justification: rule.justification,
+        expires: rule.expires
+      }));
+      if (matches.length === 0) {
+        stale('rule', rule.id, rule.justification);
+      }
+    }
+
+    // Baseline
+    if (this.baseline && this.baseline.entries.length > 0) {
+      const keys = fingerprintsOf();
+      const byFingerprint = new Map<string, UnifiedIssue>();
+      result.issues.forEach((issue, index) => byFingerprint.set(keys[index]!, issue));
+
+      for (const entry of this.baseline.entries) {
+        const issue = byFingerprint.get(entry.fingerprint);
+        if (issue) {
+          mark(issue, { source: 'baseline', id: entry.fingerprint, justification: this.baseline.justification });
+        } else {
+          stale('baseline', entry.fingerprint, `${entry.path}:${entry.line ?? 0} ${entry.title}`);
+        }
+      }
+    }
+
+    result.suppressionStats = {
+      suppressedCount: report.suppressedCount,
+      bySource: report.bySource,
+      stale: report.stale,
+      expired: report.expired
+    };
+
+    return report;
+  }
+
+  private ruleMatches(
+    result: UnifiedAnalysisResult,
+    rule: SuppressionRule,
+    fingerprintsOf: () => string[]
+  ): UnifiedIssue[] {
+    const globs = rule.paths?.length ? rule.paths.map(globToRegExp) : null;
+    const fingerprints = rule.fingerprints?.length ? fingerprintsOf() : null;
+
+    return result.issues.filter((issue, index) =>
+      (!globs || globs.some(glob => glob.test(this.relativePath(result, issue)))) &&
+      (!rule.ruleIds?.length || rule.ruleIds.includes(issue.ruleId)) &&
+      (!rule.tools?.length || rule.tools.includes(issue.toolName)) &&
+      (!fingerprints || rule.fingerprints!.includes(fingerprints[index]!))
+    );
+  }
+
+  /**
+   * Inline comments in the files that have issues
+   */
+  private inlineSuppressions(result: UnifiedAnalysisResult, invalid: InvalidInlineSuppression[]): InlineSuppression[] {
+    const paths = new Set(result.issues.map(issue => issue.entity.canonicalPath));
+    const comments: InlineSuppression[] = [];
+
+    for (const canonicalPath of paths) {
+      const source = this.sourceProvider(canonicalPath, result.projectRoot);
+      if (source === null) continue;
+
+      const relative = this.normalizePath(result, canonicalPath);
+      source.split(/\r?\n/).forEach((text, index) => {
+        const marker = INLINE_MARKER.exec(text);
+        if (!marker) return;
+
+        const line = index + 1;
+        const syntax = INLINE_SYNTAX.exec(marker[1]!);
+        let reason: string | null = null;
+        if (!syntax) {
+          reason = 'expected "topolop-ignore <ruleId|*> until YYYY-MM-DD: <justification>"';
+        } else if (!isIsoDate(syntax[2])) {
+          reason = `invalid expiry date "${syntax[2]}"`;
+        } else if (syntax[3]!.length === 0) {
+          reason = 'missing justification';
+        }
+
+        if (reason) {
+          invalid.push({ path: relative, line, reason });
+          return;
+        }
+
+        comments.push({
+          id: `${relative}:${line}`,
+          path: relative,
+          lines: [line, line + 1],
+          rule: syntax![1]!,
+          expires: syntax![2]!,
+          justification: syntax![3]!
+        });
+      });
+    }
+
+    return comments;
+  }
+
+  private relativePath(result: UnifiedAnalysisResult, issue: UnifiedIssue): string {
+    return this.normalizePath(result, issue.entity.canonicalPath);
+  }
+
+  /**
+   * Paths relative to the project root with forward slashes, as globs expect
+   */
+  private normalizePath(result: UnifiedAnalysisResult, filePath: string): string {
+    const relative = path.isAbsolute(filePath) ? path.relative(result.projectRoot, filePath) : filePath;
+    return relative.replace(/\\/g, '/').replace(/^\.\//, '');
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Baseline and Suppression Files
+ *
+ * A baseline records the fingerprints of a run's findings so they can be
+ * committed and treated as accepted. A suppression file holds glob/rule
+ * based suppressions, each with a justification and an expiry date.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import { UnifiedAnalysisResult } from '@topolop/shared-types';
+import { AnalysisDiffEngine } from '../engines/diff-engine';
+
+export const BASELINE_FILE_VERSION = 1;
+export const SUPPRESSION_FILE_VERSION = 1;
+
+export const DEFAULT_BASELINE_FILE = '.topolop-baseline.json';
+export const DEFAULT_SUPPRESSION_FILE = '.topolop-suppressions.json';
+
+/**
+ * One accepted finding; the descriptive fields are for reviewers
+ */
+export interface BaselineEntry {
+  fingerprint: string;
+  toolName: string;
+  ruleId: string;
+  path: string;
+  line: number | null;
+  title: string;
+}
+
+export interface BaselineFile {
+  version: number;
+  generatedAt: string;
+  justification: string;
+  entries: BaselineEntry[];
+}
+
+/**
+ * Suppression matching issues by path glob, rule, tool and/or fingerprint.
+ * Every criterion given must match.
+ */
+export interface SuppressionRule {
+  id: string;
+  paths?: string[];
+  ruleIds?: string[];
+  tools?: string[];
+  fingerprints?: string[];
+  justification: string;
+  /** ISO date (YYYY-MM-DD); the rule stops applying after this day */
+  expires: string;
+  owner?: string;
+}
+
+export interface SuppressionFile {
+  version: number;
+  rules: SuppressionRule[];
+}
+
+/**
+ * Build a baseline accepting every issue of a run
+ */
+export function createBaseline(
+  result: UnifiedAnalysisResult,
+  options: { justification?: string; diffEngine?: AnalysisDiffEngine } = {}
+): BaselineFile {
+  const fingerprints = (options.diffEngine ?? new AnalysisDiffEngine()).fingerprintResult(result);
+
+  const entries = result.issues
+    .map((issue, index): BaselineEntry => ({
+      fingerprint: fingerprints[index]!.key,
+      toolName: issue.toolName,
+      ruleId: issue.ruleId,
+      path: issue.entity.canonicalPath,
+      line: issue.line,
+      title: issue.title
+    }))
+    // Stable order keeps baseline diffs reviewable
+    .sort((a, b) => a.path.localeCompare(b.path) || (a.line ?? 0) - (b.line ?? 0) || a.fingerprint.localeCompare(b.fingerprint));
+
+  return {
+    version: BASELINE_FILE_VERSION,
+    generatedAt: new Date().toISOString(),
+    justification: options.justification ?? 'Pre-existing findings accepted when the baseline was created',
+    entries
+  };
+}
+
+export function writeBaselineFile(filePath: string, baseline: BaselineFile): void {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(baseline, null, 2) + '\n', 'utf8');
+}
+
+export function readBaselineFile(filePath: string): BaselineFile {
+  const data = readJson(filePath);
+
+  if (data.version !== BASELINE_FILE_VERSION) {
+    throw new Error(`${filePath}: unsupported baseline version ${data.version}`);
+  }
+  if (!Array.isArray(data.entries)) {
+    throw new Error(`${filePath}: "entries" must be an array`);
+  }
+  data.entries.forEach((entry: any, index: number) => {
+    if (typeof entry?.fingerprint !== 'string' || entry.fingerprint.length === 0) {
+      throw new Error(`${filePath}: entries[${index}] has no fingerprint`);
+    }
+  });
+
+  return {
+    version: data.version,
+    generatedAt: String(data.generatedAt ?? ''),
+    justification: String(data.justification ?? ''),
+    entries: data.entries
+  };
+}
+
+export function readSuppressionFile(filePath: string): SuppressionFile {
+  const data = readJson(filePath);
+
+  if (data.version !== SUPPRESSION_FILE_VERSION) {
+    throw new Error(`${filePath}: unsupported suppression file version ${data.version}`);
+  }
+  if (!Array.isArray(data.rules)) {
+    throw new Error(`${filePath}: "rules" must be an array`);
+  }
+
+  const ids = new Set<string>();
+  data.rules.forEach((rule: any, index: number) => {
+    const problem = validateSuppressionRule(rule);
+    if (problem) {
+      throw new Error(`${filePath}: rules[${index}] ${problem}`);
+    }
+    if (ids.has(rule.id)) {
+      throw new Error(`${filePath}: duplicate rule id "${rule.id}"`);
+    }
+    ids.add(rule.id);
+  });
+
+  return { version: data.version, rules: data.rules };
+}
+
+/**
+ * Describe what is wrong with a rule, or return null when it is valid
+ */
+export function validateSuppressionRule(rule: any): string | null {
+  if (typeof rule?.id !== 'string' || rule.id.trim().length === 0) {
+    return 'needs an "id"';
+  }
+  if (typeof rule.justification !== 'string' || rule.justification.trim().length === 0) {
+    return `("${rule.id}") needs a "justification"`;
+  }
+  if (!isIsoDate(rule.expires)) {
+    return `("${rule.id}") needs an "expires" date (YYYY-MM-DD)`;
+  }
+
+  const criteria = ['paths', 'ruleIds', 'tools', 'fingerprints'];
+  for (const key of criteria) {
+    if (rule[key] !== undefined && (!Array.isArray(rule[key]) || rule[key].some((v: unknown) => typeof v !== 'string'))) {
+      return `("${rule.id}") "${key}" must be an array of strings`;
+    }
+  }
+  if (!criteria.some(key => Array.isArray(rule[key]) && rule[key].length > 0)) {
+    return `("${rule.id}") needs at least one of ${criteria.join(', ')}`;
+  }
+
+  return null;
+}
+
+export function isIsoDate(value: unknown): value is string {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+function readJson(filePath: string): any {
+  let text: string;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${filePath}: ${error instanceof Error ? error.message : error}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${filePath} is not valid JSON: ${error instanceof Error ? error.message : error}`);
+  }
+}
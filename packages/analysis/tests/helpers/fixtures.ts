@@ -0,0 +1,44 @@
+/**
+ * Issue and result fixtures shared by the unit tests
+ */
+
+import {
+  AnalysisType,
+  IssueSeverity,
+  UnifiedAnalysisResult,
+  UnifiedEntity,
+  UnifiedIssue,
+  UnifiedIssueParams,
+} from '@topolop/shared-types';
+
+export type IssueFixture = Partial<Omit<UnifiedIssueParams, 'id' | 'entity'>> & {
+  /** Canonical path of the issue's file (default src/app.ts) */
+  path?: string;
+};
+
+/**
+ * A medium ESLint no-eval security finding in src/app.ts unless given otherwise
+ */
+export function issue(id: string, fixture: IssueFixture = {}): UnifiedIssue {
+  const { path = 'src/app.ts', ruleId = 'no-eval', toolName = 'eslint', ...params } = fixture;
+  return new UnifiedIssue({
+    id,
+    entity: new UnifiedEntity(path, path, toolName),
+    severity: IssueSeverity.MEDIUM,
+    analysisType: AnalysisType.SECURITY,
+    title: `Finding ${ruleId}`,
+    description: 'Description',
+    ruleId,
+    toolName,
+    ...params,
+  });
+}
+
+/**
+ * A result for /project holding the given issues
+ */
+export function run(...issues: UnifiedIssue[]): UnifiedAnalysisResult {
+  const result = new UnifiedAnalysisResult('/project');
+  issues.forEach(i => result.addIssue(i));
+  return result;
+}
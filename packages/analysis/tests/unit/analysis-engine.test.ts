@@ -0,0 +1,164 @@
+/**
+ * Unit tests for the analysis engine and tool output conversion
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { AnalysisType, IssueSeverity, isSuppressed } from '@topolop/shared-types';
+
+import { AnalysisEngine } from '../../src/api/analysis-engine';
+import { toUnifiedIssues, PathNormalizerLike } from '../../src/api/tool-issues';
+
+const normalizer: PathNormalizerLike = {
+  normalize: (toolPath) => ({ canonicalPath: toolPath.replace(/^\.\//, ''), confidence: 1, normalized: true }),
+};
+
+const ESLINT_OUTPUT = [{
+  filePath: './src/app.js',
+  messages: [
+    { ruleId: 'no-eval', severity: 2, message: 'eval can be harmful.', line: 2, column: 1 },
+    { ruleId: 'no-unused-vars', severity: 1, message: "'a' is assigned a value but never used.", line: 1, column: 7 },
+  ],
+}, {
+  filePath: './test/app.test.js',
+  messages: [{ ruleId: 'no-eval', severity: 2, message: 'eval can be harmful.', line: 1, column: 1 }],
+}];
+
+/**
+ * An adapter registry holding the given adapters
+ */
+function registry(adapters: Record<string, { analyze(projectPath: string, options: any): Promise<unknown> }>) {
+  return {
+    secureMode: true,
+    securityValidator: {
+      validateCodebase: async () => ({ valid: true, validFiles: [{ path: 'src/app.js' }], errors: [] }),
+    },
+    getSupportedTools: () => Object.keys(adapters),
+    getAdapter: (name: string) => adapters[name] ?? null,
+    detectLanguages: async () => ['javascript'],
+    getToolsForLanguage: () => Object.keys(adapters),
+  };
+}
+
+describe('toUnifiedIssues', () => {
+  it('should flatten ESLint file results', () => {
+    const issues = toUnifiedIssues(ESLINT_OUTPUT, 'eslint', normalizer);
+
+    expect(issues.map(i => [i.entity.canonicalPath, i.ruleId, i.line, i.severity])).toEqual([
+      ['src/app.js', 'no-eval', 2, IssueSeverity.HIGH],
+      ['src/app.js', 'no-unused-vars', 1, IssueSeverity.MEDIUM],
+      ['test/app.test.js', 'no-eval', 1, IssueSeverity.HIGH],
+    ]);
+    expect(issues[0]?.metadata.originalPath).toBe('./src/app.js');
+  });
+
+  it('should read findings by shape and drop those without a path', () => {
+    const issues = toUnifiedIssues({
+      results: [
+        { check_id: 'python.sql-injection', path: 'app.py', start: { line: 4, col: 2 }, extra: {}, severity: 'ERROR', tags: ['cwe-89'] },
+        { check_id: 'no-path', severity: 'ERROR' },
+      ],
+    }, 'semgrep', normalizer);
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({
+      ruleId: 'python.sql-injection',
+      line: 4,
+      column: 2,
+      severity: IssueSeverity.HIGH,
+      analysisType: AnalysisType.SECURITY,
+    });
+  });
+});
+
+describe('AnalysisEngine', () => {
+  let projectPath: string;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'topolop-engine-'));
+    fs.mkdirSync(path.join(projectPath, 'src'));
+    fs.writeFileSync(path.join(projectPath, 'src', 'app.js'), 'const a = 1;\neval(a);\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  it('should run adapters, scope and re-grade their findings', async () => {
+    const analyze = jest.fn(async () => ESLINT_OUTPUT);
+    const engine = new AnalysisEngine({ adapterRegistry: registry({ eslint: { analyze } }), pathNormalizer: normalizer });
+
+    const run = await engine.run({
+      projectPath,
+      tools: ['eslint'],
+      exclude: ['test/**'],
+      severityOverrides: [{ ruleIds: ['no-unused-vars'], severity: IssueSeverity.LOW }],
+    });
+
+    expect(analyze).toHaveBeenCalledWith(projectPath, expect.objectContaining({ validatedFiles: ['src/app.js'] }));
+    expect(run.tools).toEqual([expect.objectContaining({ tool: 'eslint', status: 'ok', issueCount: 3 })]);
+    expect(run.result.issues.map(i => [i.ruleId, i.severity])).toEqual([
+      ['no-eval', IssueSeverity.HIGH],
+      ['no-unused-vars', IssueSeverity.LOW],
+    ]);
+    expect(run.result.issues[1]?.metadata.originalSeverity).toBe(IssueSeverity.MEDIUM);
+    expect(run.result.summary).toMatchObject({ totalIssues: 2, totalFiles: 1, toolsUsed: ['eslint'] });
+  });
+
+  it('should report a failing tool without stopping the others', async () => {
+    const engine = new AnalysisEngine({
+      adapterRegistry: registry({
+        eslint: { analyze: async () => ESLINT_OUTPUT },
+        cppcheck: { analyze: async () => { throw new Error('cppcheck not installed'); } },
+      }),
+      pathNormalizer: normalizer,
+    });
+
+    const run = await engine.run({ projectPath, tools: ['cppcheck', 'eslint'] });
+
+    expect(run.tools.map(t => [t.tool, t.status, t.error])).toEqual([
+      ['cppcheck', 'failed', 'cppcheck not installed'],
+      ['eslint', 'ok', undefined],
+    ]);
+    expect(run.unified.metadata).toMatchObject({ tools: ['eslint'], failedTools: ['cppcheck'] });
+  });
+
+  it('should let a run skip the project suppressions', async () => {
+    fs.writeFileSync(path.join(projectPath, 'src', 'app.js'), 'const a = 1;\n// topolop-ignore no-eval until 2099-01-01: Constant input\n');
+    const engine = new AnalysisEngine({
+      adapterRegistry: registry({ eslint: { analyze: async () => ESLINT_OUTPUT.slice(0, 1) } }),
+      pathNormalizer: normalizer,
+    });
+
+    const applied = await engine.run({ projectPath, tools: ['eslint'] });
+    const skipped = await engine.run({ projectPath, tools: ['eslint'], suppressions: false });
+
+    expect(applied.unified.issues.map(isSuppressed)).toEqual([true, false]);
+    expect(skipped.unified.issues.map(isSuppressed)).toEqual([false, false]);
+    expect(skipped.result.summary.totalIssues).toBe(2);
+  });
+
+  it('should give each run its own settings, or the defaults', async () => {
+    const { resolveConfig } = require('../../src/analyzers/config/default-config');
+    const durations: number[] = [];
+    const engine = new AnalysisEngine({
+      adapterRegistry: registry({ eslint: { analyze: async () => { durations.push(resolveConfig('runtime.perf.defaultDuration')); return []; } } }),
+      pathNormalizer: normalizer,
+    });
+
+    await engine.run({ projectPath, tools: ['eslint'], settings: { runtime: { perf: { defaultDuration: 30 } } } });
+    await engine.run({ projectPath, tools: ['eslint'] });
+
+    expect(durations).toEqual([30, 10]);
+  });
+
+  it('should reject unknown tools before running anything', async () => {
+    const analyze = jest.fn(async () => ESLINT_OUTPUT);
+    const engine = new AnalysisEngine({ adapterRegistry: registry({ eslint: { analyze } }), pathNormalizer: normalizer });
+
+    await expect(engine.run({ projectPath, tools: ['eslint', 'eslnit'] })).rejects.toThrow('Unknown tool(s): eslnit');
+    expect(analyze).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for storing analysis runs in graph-core
+ */
+
+import { createGraphDatabase } from '@topolop/graph-core';
+import type { IGraphDatabase, IngestRecord } from '@topolop/graph-core';
+import { IssueSeverity, UnifiedAnalysisResult } from '@topolop/shared-types';
+
+import { AnalysisResultStore } from '../../src/persistence/analysis-result-store';
+import { issue, run } from '../helpers/fixtures';
+
+function sampleResult(): UnifiedAnalysisResult {
+  return run(
+    issue('a', { path: 'src/a.ts', severity: IssueSeverity.HIGH }),
+    issue('b', { path: 'src/b.ts', severity: IssueSeverity.LOW }),
+    issue('c', { path: 'src/a.ts', severity: IssueSeverity.CRITICAL }),
+  );
+}
+
+describe('AnalysisResultStore', () => {
+  let db: IGraphDatabase;
+  let store: AnalysisResultStore;
+
+  beforeEach(async () => {
+    db = createGraphDatabase('memory');
+    await db.connect({ backend: 'memory' });
+    store = new AnalysisResultStore(db);
+    await store.initialize();
+  });
+
+  afterEach(async () => {
+    await db.disconnect();
+  });
+
+  it('should round-trip a run', async () => {
+    const result = sampleResult();
+    const summary = await store.saveRun(result, { runId: 'run-1', label: 'main' });
+
+    expect(summary.issueCount).toBe(3);
+    expect(summary.tools).toEqual(['eslint']);
+
+    const loaded = await store.loadRun('run-1');
+    expect(loaded.issues.map(i => i.id)).toEqual(['a', 'b', 'c']);
+    expect(loaded.issues[2]?.severity).toBe(IssueSeverity.CRITICAL);
+    expect(loaded.fileMetrics.get('src/a.ts')?.issueCount).toBe(2);
+    expect(loaded.createdAt).toBe(result.createdAt);
+  });
+
+  it('should reject an existing run id', async () => {
+    await store.saveRun(sampleResult(), { runId: 'run-1' });
+    await expect(store.saveRun(sampleResult(), { runId: 'run-1' })).rejects.toThrow('already exists');
+  });
+
+  it('should delete a run without touching other runs', async () => {
+    await store.saveRun(sampleResult(), { runId: 'run-1' });
+    await store.saveRun(sampleResult(), { runId: 'run-2' });
+
+    await store.deleteRun('run-1');
+
+    expect((await store.listRuns()).map(run => run.runId)).toEqual(['run-2']);
+    expect((await store.loadRun('run-2')).issues).toHaveLength(3);
+  });
+
+  it('should leave nothing behind when a later batch fails', async () => {
+    // Fail after the Run node and a few more records were committed
+    const ingest = db.ingest.bind(db);
+    db.ingest = (source, options) => ingest((function* () {
+      let count = 0;
+      for (const record of source as Iterable<IngestRecord>) {
+        if (++count > 4) throw new Error('disk full');
+        yield record;
+      }
+    })(), options);
+
+    await expect(store.saveRun(sampleResult(), { runId: 'run-1', batchSize: 1 })).rejects.toThrow('disk full');
+
+    expect(await store.listRuns()).toEqual([]);
+    const session = db.session();
+    expect(await session.findNodes('Issue', { runId: 'run-1' })).toEqual([]);
+    await session.close();
+
+    db.ingest = ingest;
+    await store.saveRun(sampleResult(), { runId: 'run-1' });
+    expect((await store.loadRun('run-1')).issues).toHaveLength(3);
+  });
+
+  it('should report the ingest error when removing the partial run fails too', async () => {
+    db.ingest = async () => {
+      throw new Error('disk full');
+    };
+    jest.spyOn(store, 'deleteRun').mockRejectedValue(new Error('database is locked'));
+
+    await expect(store.saveRun(sampleResult(), { runId: 'run-1' })).rejects.toThrow('disk full');
+    expect(store.deleteRun).toHaveBeenCalledWith('run-1');
+  });
+});
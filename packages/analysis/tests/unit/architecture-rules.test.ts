@@ -0,0 +1,159 @@
+/**
+ * Unit tests for declarative architecture rules
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { AnalysisType, IssueSeverity } from '@topolop/shared-types';
+
+import { ArchitectureRulesAdapter } from '../../src/analyzers/enhanced-architecture-analyzer/src/rules-architecture-adapter';
+import { ArchitectureRules, architectureRuleIssues } from '../../src/engines/architecture-rules';
+import { ImportEdge, ImportGraph } from '../../src/engines/import-graph';
+
+const ROOT = '/project';
+
+function edge(from: string, to: string, line = 1, extra: Partial<ImportEdge> = {}): ImportEdge {
+  return {
+    from: path.join(ROOT, from),
+    to: path.join(ROOT, to),
+    specifier: `./${path.basename(to, '.ts')}`,
+    kind: 'import',
+    typeOnly: false,
+    names: ['*'],
+    line,
+    target: 'internal',
+    ...extra,
+  };
+}
+
+function graph(...edges: ImportEdge[]): ImportGraph {
+  return {
+    files: [],
+    edges,
+    packages: [{ name: '@mono/lib', directory: path.join(ROOT, 'packages/lib'), kind: 'workspace', files: 2 }],
+    packageEdges: [],
+  };
+}
+
+const RULES = {
+  version: 1,
+  layers: [
+    { name: 'ui', paths: ['src/ui/**'] },
+    { name: 'domain', paths: ['src/domain/**'] },
+    { name: 'data', paths: ['src/data/**'] },
+  ],
+  components: [{ name: 'billing', paths: ['src/billing/**'] }],
+  rules: [
+    { id: 'ui-deps', type: 'allowed', from: 'ui', to: ['domain'] },
+    { id: 'pure-domain', type: 'forbidden', from: 'domain', to: 'ui', transitive: true, severity: 'critical', description: 'The domain stays UI-free' },
+    { id: 'billing-facade', type: 'facade', component: 'billing', via: ['src/billing/index.ts'] },
+    { id: 'no-cycles', type: 'no-cycles' },
+    { id: 'lib-api', type: 'public-api', package: '@mono/lib', entryPoints: ['src/index.ts'] },
+  ],
+};
+
+describe('ArchitectureRules', () => {
+  const rules = ArchitectureRules.parse(RULES);
+
+  it('should report each kind of violation with its import chain', () => {
+    const violations = rules.check(graph(
+      edge('src/ui/page.ts', 'src/domain/order.ts', 1),
+      edge('src/ui/page.ts', 'src/data/db.ts', 2),
+      edge('src/domain/order.ts', 'src/util/format.ts', 3),
+      edge('src/util/format.ts', 'src/ui/theme.ts', 4),
+      edge('src/app.ts', 'src/billing/index.ts', 1),
+      edge('src/app.ts', 'src/billing/internal/rates.ts', 2),
+      edge('src/data/db.ts', 'src/data/pool.ts', 5),
+      edge('src/data/pool.ts', 'src/data/db.ts', 6),
+      edge('src/app.ts', 'packages/lib/src/index.ts', 3, { target: 'workspace', packageName: '@mono/lib' }),
+      edge('src/app.ts', 'packages/lib/src/internal/cache.ts', 4, { target: 'workspace', packageName: '@mono/lib' }),
+    ), ROOT);
+
+    expect(violations.map(v => [v.ruleId, v.file, v.line, v.severity, v.message])).toEqual([
+      ['billing-facade', 'src/app.ts', 2, IssueSeverity.HIGH, 'billing may only be used through src/billing/index.ts'],
+      ['lib-api', 'src/app.ts', 4, IssueSeverity.HIGH, '@mono/lib may only be imported through src/index.ts'],
+      ['no-cycles', 'src/data/db.ts', 5, IssueSeverity.HIGH, 'Import cycle through 2 files'],
+      ['pure-domain', 'src/domain/order.ts', 3, IssueSeverity.CRITICAL, 'domain may not depend on ui: The domain stays UI-free'],
+      ['ui-deps', 'src/ui/page.ts', 2, IssueSeverity.HIGH, 'ui may not depend on data'],
+    ]);
+    expect(violations.find(v => v.ruleId === 'pure-domain')?.chain).toEqual([
+      { from: 'src/domain/order.ts', to: 'src/util/format.ts', specifier: './format', line: 3, typeOnly: false },
+      { from: 'src/util/format.ts', to: 'src/ui/theme.ts', specifier: './theme', line: 4, typeOnly: false },
+    ]);
+    expect(violations.find(v => v.ruleId === 'no-cycles')?.chain.map(step => step.to)).toEqual(['src/data/pool.ts', 'src/data/db.ts']);
+  });
+
+  it('should check cycles on runtime imports only and type-only imports when asked', () => {
+    const typeOnly = { typeOnly: true };
+    const imports = graph(
+      edge('src/data/a.ts', 'src/data/b.ts', 1, typeOnly),
+      edge('src/data/b.ts', 'src/data/a.ts', 1),
+      edge('src/ui/page.ts', 'src/data/types.ts', 1, typeOnly),
+    );
+    const lenient = ArchitectureRules.parse({
+      ...RULES,
+      rules: [{ id: 'ui-deps', type: 'allowed', from: 'ui', to: ['domain'], ignoreTypeOnly: true }],
+    });
+
+    expect(rules.check(imports, ROOT).map(v => v.ruleId)).toEqual(['ui-deps']);
+    expect(lenient.check(imports, ROOT)).toEqual([]);
+  });
+
+  it('should reject malformed rules with their location', () => {
+    const parse = (changes: object) => () => ArchitectureRules.parse({ ...RULES, ...changes }, '.topolop-architecture.json');
+
+    expect(parse({ version: 2 })).toThrow('.topolop-architecture.json: unsupported architecture rules version 2');
+    expect(parse({ components: [{ name: 'ui', paths: ['lib/**'] }] })).toThrow('duplicate layer or component "ui"');
+    expect(parse({ rules: [{ id: 'x', type: 'allowed', from: 'api', to: [] }] }))
+      .toThrow('rules[0] ("x") names unknown layer or component "api"');
+    expect(parse({ rules: [{ id: 'x', type: 'facade', component: 'ui', via: ['src/ui/index.ts'] }] }))
+      .toThrow('rules[0] ("x") "component" must name a component');
+    expect(parse({ rules: [{ id: 'x', type: 'layered' }] })).toThrow('"type" must be one of allowed, forbidden, facade, no-cycles, public-api');
+  });
+
+  it('should turn violations into architecture issues', () => {
+    const violations = rules.check(graph(edge('src/ui/page.ts', 'src/data/db.ts', 2)), ROOT);
+
+    const [issue] = architectureRuleIssues(violations);
+
+    expect(issue).toMatchObject({
+      id: 'architecture-rule-ui-deps-src_ui_page_ts-2',
+      analysisType: AnalysisType.ARCHITECTURE_DESIGN,
+      toolName: 'Architecture Rules Analyzer',
+      ruleId: 'ui-deps',
+      line: 2,
+      description: 'ui may not depend on data. Import chain: src/ui/page.ts -> src/data/db.ts.',
+      architectureCategory: 'coupling',
+      technicalDebtLevel: 'high',
+    });
+    expect(issue?.entity.canonicalPath).toBe('src/ui/page.ts');
+  });
+});
+
+describe('ArchitectureRulesAdapter', () => {
+  let projectRoot: string;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'topolop-rules-'));
+    fs.mkdirSync(path.join(projectRoot, 'src', 'ui'), { recursive: true });
+    fs.mkdirSync(path.join(projectRoot, 'src', 'data'), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'src', 'ui', 'page.ts'), "import { query } from '../data/db';\n\nquery();\n");
+    fs.writeFileSync(path.join(projectRoot, 'src', 'data', 'db.ts'), 'export function query() {}\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should check the project rules file and skip projects without one', async () => {
+    const adapter = new ArchitectureRulesAdapter();
+    expect(await adapter.analyzeArchitecture(projectRoot)).toEqual([]);
+
+    fs.writeFileSync(path.join(projectRoot, '.topolop-architecture.json'), JSON.stringify(RULES));
+    const issues = await adapter.analyzeArchitecture(projectRoot);
+
+    expect(issues.map(issue => [issue.ruleId, issue.entity.canonicalPath, issue.line])).toEqual([['ui-deps', 'src/ui/page.ts', 1]]);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for the run-to-run diff engine
+ */
+
+import { IssueSeverity } from '@topolop/shared-types';
+
+import { AnalysisDiffEngine, FINGERPRINT_METADATA_KEY } from '../../src/engines/diff-engine';
+import { issue, run } from '../helpers/fixtures';
+
+describe('AnalysisDiffEngine', () => {
+  const before = ['import x from "x";', '', 'function a() {', '  eval(input);', '}', 'function b() {', '  eval(other);', '}'];
+  // Three lines were added at the top; the findings moved down
+  const after = ['// header', '// more', '', ...before];
+  let sources: Record<string, string[]>;
+
+  const engine = () => new AnalysisDiffEngine({
+    sourceProvider: (canonicalPath) => sources[canonicalPath]?.join('\n') ?? null,
+  });
+
+  beforeEach(() => {
+    sources = { 'src/app.ts': before };
+  });
+
+  it('should match issues that moved with the code', () => {
+    const previous = run(issue('1', { line: 4 }), issue('2', { line: 7 }));
+    const fingerprinted = engine().fingerprintResult(previous);
+    engine().annotate(previous);
+
+    sources = { 'src/app.ts': after };
+    const current = run(issue('1', { line: 7 }), issue('2', { line: 10 }));
+    const delta = engine().diff(previous, current);
+
+    expect(previous.issues[0]?.metadata[FINGERPRINT_METADATA_KEY]).toEqual(fingerprinted[0]);
+    expect(delta.newIssues).toEqual([]);
+    expect(delta.fixedIssues).toEqual([]);
+    expect(delta.movedIssues.map(m => [m.previousLine, m.currentLine])).toEqual([[4, 7], [7, 10]]);
+    expect(delta.summary.unchangedIssues).toBe(2);
+  });
+
+  it('should report new, fixed and escalated issues', () => {
+    const previous = run(issue('1', { line: 4 }), issue('2', { line: 7, ruleId: 'no-implied-eval' }));
+    const current = run(
+      issue('1', { line: 4, severity: IssueSeverity.CRITICAL }),
+      issue('3', { line: 7, severity: IssueSeverity.HIGH, ruleId: 'no-new-func' }),
+    );
+
+    const delta = engine().diff(previous, current);
+
+    expect(delta.newIssues.map(e => e.issue.id)).toEqual(['3']);
+    expect(delta.fixedIssues.map(e => e.issue.id)).toEqual(['2']);
+    expect(delta.severityChanges).toHaveLength(1);
+    expect(delta.severityChanges[0]).toMatchObject({
+      previousSeverity: IssueSeverity.MEDIUM,
+      currentSeverity: IssueSeverity.CRITICAL,
+      direction: 'escalated',
+    });
+    expect(delta.summary).toMatchObject({ newIssues: 1, fixedIssues: 1, escalatedIssues: 1 });
+  });
+
+  it('should give repeated identical findings distinct fingerprints', () => {
+    sources = { 'src/app.ts': ['eval(x);', 'eval(x);'] };
+    const keys = engine().fingerprintResult(run(issue('1', { line: 1 }), issue('2', { line: 2 }))).map(fp => fp.key);
+
+    expect(new Set(keys).size).toBe(2);
+    expect(keys[1]).toBe(`${keys[0]}:1`);
+  });
+
+  it('should fall back to the message without sources', () => {
+    sources = {};
+    const fingerprint = engine().fingerprintIssue(issue('1', { line: 4 }), null);
+
+    expect(fingerprint.snippetHash).toBeNull();
+    expect(fingerprint.key).toBe(engine().fingerprintIssue(issue('2', { line: 40 }), null).key);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Unit tests for formal verification conversion and proof-based confidence
+ */
+
+import {
+  AnalysisType,
+  FORMAL_FINDING_METADATA_KEY,
+  IssueSeverity,
+  PROOF_COVERAGE_METADATA_KEY,
+  UnifiedEntity,
+  UnifiedIssue,
+  VerifiedRegion,
+} from '@topolop/shared-types';
+
+import { formalToolName, formalVerificationIssues } from '../../src/api/formal-issues';
+import { PathNormalizerLike } from '../../src/api/tool-issues';
+import type {
+  FormalVerificationResult,
+  VerificationProperty,
+} from '../../src/analyzers/formal-verification-adapters/base-interfaces/formal-verification-types';
+import { EnhancedCorrelationEngine } from '../../src/engines/correlation-engine';
+
+const normalizer: PathNormalizerLike = {
+  normalize: (toolPath) => ({ canonicalPath: toolPath.replace(/^\/project\//, ''), confidence: 1, normalized: true }),
+};
+
+function property(id: string, overrides: Partial<VerificationProperty> = {}): VerificationProperty {
+  return {
+    id,
+    name: `Property ${id}`,
+    description: '',
+    propertyType: 'safety',
+    specification: `assert(${id})`,
+    verified: true,
+    confidence: 'mathematical_proof',
+    ...overrides,
+  };
+}
+
+function result(properties: VerificationProperty[], overrides: Partial<FormalVerificationResult> = {}): FormalVerificationResult {
+  return {
+    id: 'run1',
+    toolName: 'CBMC Bounded Model Checker',
+    version: '5.95',
+    filePath: '/project/src/buffer.c',
+    projectRoot: '/project',
+    canonicalPath: 'src/buffer.c',
+    status: 'verified',
+    method: 'bounded_model_checking',
+    confidence: 'mathematical_proof',
+    properties,
+    proofs: [],
+    analysisTime: 10,
+    resourceUsage: { memory: 1, cpu: 1 },
+    assumptions: [],
+    limitations: [],
+    correlationKey: 'src/buffer.c',
+    timestamp: '2025-01-01T00:00:00Z',
+    metadata: {},
+    ...overrides,
+  } as FormalVerificationResult;
+}
+
+function finding(id: string, line: number, analysisType = AnalysisType.SECURITY): UnifiedIssue {
+  return new UnifiedIssue({
+    id,
+    entity: new UnifiedEntity('src/buffer.c', 'src/buffer.c', 'cppcheck'),
+    severity: IssueSeverity.HIGH,
+    analysisType,
+    title: 'Buffer overrun',
+    description: 'Index out of bounds',
+    ruleId: 'arrayIndexOutOfBounds',
+    line,
+    toolName: 'cppcheck',
+  });
+}
+
+function region(lineRange: VerifiedRegion['lineRange'], confidence: VerifiedRegion['confidence'] = 'mathematical_proof'): VerifiedRegion {
+  return {
+    toolName: 'cbmc',
+    propertyId: 'bounds',
+    propertyName: 'Array bounds',
+    propertyType: 'safety',
+    method: 'bounded_model_checking',
+    confidence,
+    lineRange,
+  };
+}
+
+describe('formalVerificationIssues', () => {
+  it('should turn sound proofs into verified regions at their lines', () => {
+    const mapping = formalVerificationIssues([result([
+      property('bounds', { evidence: { lineRange: { start: 10, end: 14 } } }),
+      property('overflow', { specification: 'no overflow at src/buffer.c:22' }),
+      property('weak', { confidence: 'medium_confidence' }),
+      property('anywhere'),
+    ])], normalizer);
+
+    expect(mapping.issues).toEqual([]);
+    expect(mapping.verifiedRegions.map(r => [r.canonicalPath, r.region.toolName, r.region.propertyId, r.region.lineRange])).toEqual([
+      ['src/buffer.c', 'cbmc', 'bounds', { start: 10, end: 14 }],
+      ['src/buffer.c', 'cbmc', 'overflow', { start: 22, end: 22 }],
+      ['src/buffer.c', 'cbmc', 'anywhere', { start: 1, end: -1 }],
+    ]);
+  });
+
+  it('should make refuted properties issues with their counterexample and paths', () => {
+    const counterexample = { location: { line: 7 }, values: { i: 16 } };
+    const mapping = formalVerificationIssues([result(
+      [property('bounds', { verified: false, propertyType: 'security', counterexample })],
+      {
+        status: 'unverified',
+        symbolicPaths: [
+          { pathId: 'p1', pathCondition: 'i >= 16', coverage: 50, testInputs: [{ i: 16 }], reachableLines: [5, 7], feasible: true, executionDepth: 2 },
+          { pathId: 'p2', pathCondition: 'i < 0', coverage: 50, testInputs: [], reachableLines: [7], feasible: false, executionDepth: 2 },
+        ],
+      }
+    )], normalizer);
+
+    const [issue] = mapping.issues;
+    expect(issue).toMatchObject({
+      id: 'cbmc-run1-bounds',
+      severity: IssueSeverity.CRITICAL,
+      analysisType: AnalysisType.SECURITY,
+      title: 'Property bounds violated',
+      ruleId: 'formal/property-bounds',
+      line: 7,
+      toolName: 'cbmc',
+    });
+    expect(issue?.metadata[FORMAL_FINDING_METADATA_KEY]).toMatchObject({
+      outcome: 'violated',
+      counterexample,
+      trace: [{ pathId: 'p1', pathCondition: 'i >= 16', testInputs: [{ i: 16 }], lines: [5, 7] }],
+    });
+  });
+
+  it('should keep undecided properties only from completed runs', () => {
+    const undecided = property('loop', { verified: false, confidence: 'low_confidence', propertyType: 'liveness' });
+
+    const completed = formalVerificationIssues([result([undecided], { status: 'partial' })], normalizer);
+    const timedOut = formalVerificationIssues([result([undecided], { status: 'timeout' })], normalizer);
+    const aiAssisted = formalVerificationIssues([result([property('guess', { verified: true })], { method: 'ai_assisted' })], normalizer);
+
+    expect(completed.issues.map(i => [i.title, i.severity, i.line])).toEqual([['Property loop not proven', IssueSeverity.LOW, null]]);
+    expect(timedOut.issues).toEqual([]);
+    expect(aiAssisted.verifiedRegions).toEqual([]);
+  });
+
+  it('should name tools by their short names', () => {
+    expect(formalToolName('KLEE Symbolic Execution Engine')).toBe('klee');
+    expect(formalToolName('My Prover 2')).toBe('my-prover-2');
+  });
+});
+
+describe('applyFormalEvidence', () => {
+  const engine = new EnhancedCorrelationEngine();
+
+  it('should discount findings on lines a relevant proof covers', () => {
+    const covered = finding('a', 12);
+    const outside = finding('b', 30);
+    const style = finding('c', 12, AnalysisType.STYLE);
+
+    const adjustments = engine.applyFormalEvidence([covered, outside, style], new Map([['src/buffer.c', [region({ start: 10, end: 14 })]]]));
+
+    expect(adjustments.map(a => a.issue.id)).toEqual(['a']);
+    expect(covered.metadata[PROOF_COVERAGE_METADATA_KEY]).toMatchObject({ effect: 'contradicted', originalConfidence: 0.7, confidence: 0.28 });
+  });
+
+  it('should not discount findings for proofs without a line range', () => {
+    const issue = finding('a', 12);
+
+    const adjustments = engine.applyFormalEvidence([issue], new Map([['src/buffer.c', [region({ start: 1, end: -1 })]]]));
+
+    expect(adjustments).toEqual([]);
+    expect(issue.metadata[PROOF_COVERAGE_METADATA_KEY]).toBeUndefined();
+  });
+
+  it('should corroborate findings next to another tool\'s violation', () => {
+    const issue = finding('a', 8);
+    const [violation] = formalVerificationIssues([result(
+      [property('bounds', { verified: false, counterexample: { line: 7 } })],
+      { status: 'unverified' }
+    )], normalizer).issues;
+
+    const adjustments = engine.applyFormalEvidence([issue, violation!], new Map([['src/buffer.c', [region({ start: 1, end: 20 })]]]));
+
+    expect(adjustments).toHaveLength(1);
+    expect(issue.metadata[PROOF_COVERAGE_METADATA_KEY]).toMatchObject({
+      effect: 'corroborated',
+      confidence: 0.85,
+      evidence: [{ toolName: 'cbmc', propertyId: 'bounds', propertyName: 'Property bounds' }],
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for the TypeScript-based import graph
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { ImportGraphBuilder } from '../../src/engines/import-graph';
+
+/**
+ * Write files under a root, objects as JSON
+ */
+function write(root: string, files: Record<string, string | object>): void {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+}
+
+describe('ImportGraphBuilder', () => {
+  let root: string;
+
+  beforeEach(() => {
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'topolop-imports-')));
+    write(root, {
+      'package.json': { name: 'mono', private: true },
+      'packages/app/package.json': { name: '@mono/app' },
+      'packages/app/tsconfig.json': { compilerOptions: { module: 'commonjs', baseUrl: '.', paths: { '@/*': ['src/*'] } } },
+      'packages/app/src/index.ts': [
+        "import { helper } from './util';",
+        "import type { Config } from '@/config';",
+        "import * as lib from '@mono/lib';",
+        "import { readFileSync } from 'node:fs';",
+        "import path = require('path');",
+        "export * from './util';",
+        "const lazy = import('./lazy');",
+        "const { missing } = require('./missing');",
+        "type Shape = import('./types').Shape;",
+        "import 'left-pad';",
+        '',
+      ].join('\n'),
+      'packages/app/src/util.ts': 'export const helper = 1;\n',
+      'packages/app/src/config.ts': 'export interface Config { debug: boolean }\n',
+      'packages/app/src/lazy.ts': 'export default 1;\n',
+      'packages/app/src/types.ts': 'export type Shape = string;\n',
+      'packages/lib/package.json': { name: '@mono/lib', main: 'dist/index.js', types: 'dist/index.d.ts' },
+      'packages/lib/tsconfig.json': { compilerOptions: { outDir: 'dist', declaration: true } },
+      'packages/lib/src/index.ts': 'export const lib = 1;\n',
+      'packages/lib/dist/index.d.ts': 'export declare const lib = 1;\n',
+      'packages/lib/dist/index.js': 'exports.lib = 1;\n',
+    });
+    fs.mkdirSync(path.join(root, 'node_modules', '@mono'), { recursive: true });
+    fs.symlinkSync(path.join(root, 'packages', 'lib'), path.join(root, 'node_modules', '@mono', 'lib'), 'dir');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should read every kind of reference and resolve it as tsc does', () => {
+    const graph = new ImportGraphBuilder().build(root, ['packages/app/src/index.ts', 'packages/lib/src/index.ts']);
+    const app = (file: string) => path.join(root, 'packages', 'app', 'src', file);
+
+    expect(graph.files).toEqual([app('index.ts'), path.join(root, 'packages', 'lib', 'src', 'index.ts')]);
+    expect(graph.edges.map(({ specifier, kind, typeOnly, names, line, target, to, packageName }) =>
+      ({ specifier, kind, typeOnly, names, line, target, to, packageName }))).toEqual([
+      { specifier: './util', kind: 'import', typeOnly: false, names: ['helper'], line: 1, target: 'internal', to: app('util.ts'), packageName: undefined },
+      { specifier: '@/config', kind: 'import', typeOnly: true, names: ['Config'], line: 2, target: 'internal', to: app('config.ts'), packageName: undefined },
+      {
+        specifier: '@mono/lib', kind: 'import', typeOnly: false, names: ['lib'], line: 3,
+        target: 'workspace', to: path.join(root, 'packages', 'lib', 'src', 'index.ts'), packageName: '@mono/lib',
+      },
+      { specifier: 'node:fs', kind: 'import', typeOnly: false, names: ['readFileSync'], line: 4, target: 'builtin', to: null, packageName: 'fs' },
+      { specifier: 'path', kind: 'import-equals', typeOnly: false, names: ['path'], line: 5, target: 'builtin', to: null, packageName: 'path' },
+      { specifier: './util', kind: 'export', typeOnly: false, names: ['*'], line: 6, target: 'internal', to: app('util.ts'), packageName: undefined },
+      { specifier: './lazy', kind: 'dynamic', typeOnly: false, names: ['*'], line: 7, target: 'internal', to: app('lazy.ts'), packageName: undefined },
+      { specifier: './missing', kind: 'require', typeOnly: false, names: ['missing'], line: 8, target: 'unresolved', to: null, packageName: undefined },
+      { specifier: './types', kind: 'import-type', typeOnly: true, names: ['Shape'], line: 9, target: 'internal', to: app('types.ts'), packageName: undefined },
+      { specifier: 'left-pad', kind: 'import', typeOnly: false, names: ['*'], line: 10, target: 'external', to: null, packageName: 'left-pad' },
+    ]);
+  });
+
+  it('should count runtime and type-only references between packages', () => {
+    const graph = new ImportGraphBuilder().build(root, ['packages/app/src/index.ts', 'packages/lib/src/index.ts']);
+
+    expect(graph.packages).toEqual([
+      { name: '@mono/app', directory: path.join(root, 'packages', 'app'), kind: 'workspace', files: 1 },
+      { name: '@mono/lib', directory: path.join(root, 'packages', 'lib'), kind: 'workspace', files: 1 },
+      { name: 'fs', kind: 'builtin', files: 0 },
+      { name: 'left-pad', kind: 'external', files: 0 },
+      { name: 'path', kind: 'builtin', files: 0 },
+    ]);
+    expect(graph.packageEdges).toEqual([
+      { from: '@mono/app', to: '@mono/lib', runtime: 1, typeOnly: 0 },
+      { from: '@mono/app', to: 'fs', runtime: 1, typeOnly: 0 },
+      { from: '@mono/app', to: 'left-pad', runtime: 1, typeOnly: 0 },
+      { from: '@mono/app', to: 'path', runtime: 1, typeOnly: 0 },
+    ]);
+  });
+
+  it('should keep declaration files when asked to', () => {
+    const graph = new ImportGraphBuilder({ preferDeclarations: true }).build(root, ['packages/app/src/index.ts']);
+
+    expect(graph.edges.find(edge => edge.specifier === '@mono/lib')?.to).toBe(path.join(root, 'packages', 'lib', 'dist', 'index.d.ts'));
+  });
+
+  it('should load the compiler only when a graph is built', () => {
+    jest.isolateModules(() => {
+      jest.doMock('typescript', () => {
+        throw new Error("Cannot find module 'typescript'");
+      });
+      const isolated: typeof import('../../src/engines/import-graph') = require('../../src/engines/import-graph');
+
+      expect(() => new isolated.ImportGraphBuilder().build(root, ['packages/app/src/index.ts']))
+        .toThrow('Building an import graph needs the typescript package');
+    });
+    jest.dontMock('typescript');
+  });
+});
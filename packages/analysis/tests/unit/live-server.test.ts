@@ -0,0 +1,151 @@
+/**
+ * Unit tests for the live server's HTTP and WebSocket routes
+ */
+
+import * as fs from 'fs';
+import * as http from 'http';
+import * as net from 'net';
+import * as os from 'os';
+import * as path from 'path';
+
+import { UnifiedAnalysisResult } from '@topolop/shared-types';
+
+import { IncrementalAnalysis } from '../../src/api/incremental-analysis';
+import { LiveAnalysisServer } from '../../src/server/live-server';
+
+interface Reply {
+  status: number;
+  body: string;
+}
+
+/**
+ * Resolve once fn no longer throws, failing after a second
+ */
+async function eventually(fn: () => void): Promise<void> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return fn();
+    } catch (error) {
+      if (attempt === 50) throw error;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+}
+
+function request(url: string, headers: Record<string, string> = {}): Promise<Reply> {
+  return new Promise((resolve, reject) => {
+    const req = http.get(url, { headers }, response => {
+      let body = '';
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode ?? 0, body }));
+    });
+    req.on('upgrade', (response, socket) => {
+      socket.destroy();
+      resolve({ status: response.statusCode ?? 0, body: '' });
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('LiveAnalysisServer', () => {
+  let server: LiveAnalysisServer;
+  let url: string;
+  let port: string;
+
+  beforeEach(async () => {
+    const analysis = { result: new UnifiedAnalysisResult('/project') } as unknown as IncrementalAnalysis;
+    server = new LiveAnalysisServer(analysis, '/project', { port: 0, watch: false, allowedHosts: ['devbox'] });
+    url = await server.start();
+    port = new URL(url).port;
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('should serve the result to the bound host, localhost and allowed hosts', async () => {
+    for (const host of [`127.0.0.1:${port}`, `localhost:${port}`, `devbox:${port}`]) {
+      const reply = await request(`${url}/api/result`, { Host: host });
+      expect(reply.status).toBe(200);
+    }
+    expect(JSON.parse((await request(`${url}/api/result`)).body).projectRoot).toBe('/project');
+  });
+
+  it('should refuse other Host headers on every route', async () => {
+    for (const path of ['/', '/api/result', '/city.svg']) {
+      expect((await request(`${url}${path}`, { Host: `rebound.example:${port}` })).status).toBe(403);
+    }
+    expect((await request(`${url}/api/result`, { Host: 'localhost:1' })).status).toBe(403);
+  });
+
+  it('should refuse WebSocket upgrades from other hosts and origins', async () => {
+    const upgrade = { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==', 'Sec-WebSocket-Version': '13' };
+
+    expect((await request(`${url}/live`, upgrade)).status).toBe(101);
+    expect((await request(`${url}/live`, { ...upgrade, Host: `rebound.example:${port}`, Origin: `http://rebound.example:${port}` })).status).toBe(403);
+    expect((await request(`${url}/live`, { ...upgrade, Origin: 'http://elsewhere.example' })).status).toBe(403);
+  });
+
+  describe('watching', () => {
+    const realWatch = fs.watch;
+    let projectRoot: string;
+    let watch: jest.SpyInstance;
+
+    beforeEach(() => {
+      projectRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'topolop-live-')));
+      fs.mkdirSync(path.join(projectRoot, 'src', 'lib'), { recursive: true });
+      fs.mkdirSync(path.join(projectRoot, 'node_modules', 'left-pad'), { recursive: true });
+      watch = jest.spyOn(require('fs') as typeof fs, 'watch');
+    });
+
+    afterEach(() => {
+      watch.mockRestore();
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+    });
+
+    it('should watch each directory where recursive watching is unavailable', async () => {
+      watch.mockImplementation((directory: string, ...rest: unknown[]) => {
+        if (typeof rest[0] === 'object' && (rest[0] as fs.WatchOptions).recursive) {
+          throw Object.assign(new TypeError('The feature watch recursively is unavailable on the current platform'), {
+            code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM',
+          });
+        }
+        return (realWatch as (...args: unknown[]) => fs.FSWatcher)(directory, ...rest);
+      });
+      const filesToAnalyze = jest.fn((_paths: string[]) => []);
+      const analysis = { result: new UnifiedAnalysisResult(projectRoot), filesToAnalyze } as unknown as IncrementalAnalysis;
+      const watching = new LiveAnalysisServer(analysis, projectRoot, { port: 0, debounce: 10 });
+
+      await watching.start();
+      try {
+        expect(watch.mock.calls.map(call => path.relative(projectRoot, call[0] as string)).slice(1))
+          .toEqual(['', 'src', path.join('src', 'lib')]);
+
+        fs.writeFileSync(path.join(projectRoot, 'src', 'lib', 'util.ts'), 'export {};\n');
+        await eventually(() => expect(filesToAnalyze).toHaveBeenCalledWith(['src/lib/util.ts']));
+      } finally {
+        await watching.close();
+      }
+    });
+
+    it('should release the port when the project cannot be watched', async () => {
+      watch.mockImplementation(() => {
+        throw Object.assign(new Error('EMFILE: too many open files, watch'), { code: 'EMFILE' });
+      });
+      const freePort = await new Promise<number>(resolve => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+          const { port: free } = probe.address() as net.AddressInfo;
+          probe.close(() => resolve(free));
+        });
+      });
+      const analysis = { result: new UnifiedAnalysisResult(projectRoot) } as unknown as IncrementalAnalysis;
+
+      await expect(new LiveAnalysisServer(analysis, projectRoot, { port: freePort }).start())
+        .rejects.toThrow(`Cannot watch ${projectRoot}: EMFILE: too many open files, watch`);
+
+      const next = new LiveAnalysisServer(analysis, projectRoot, { port: freePort, watch: false });
+      await next.start();
+      await next.close();
+    });
+  });
+});
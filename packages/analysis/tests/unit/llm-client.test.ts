@@ -0,0 +1,178 @@
+/**
+ * Unit tests for the LLM client, the fixture provider and fixture replay
+ * through the specification generator
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { LLMBudgetError, LLMClient } from '../../src/analyzers/formal-verification-adapters/llm-assisted/llm-client';
+import {
+  LLMCompletion,
+  LLMProvider,
+  LLMProviderError,
+  LLMRequest,
+  RecordedFixtureProvider,
+} from '../../src/analyzers/formal-verification-adapters/llm-assisted/llm-providers';
+import { LLMAssistedSpecGenerator } from '../../src/analyzers/formal-verification-adapters/llm-assisted/llm-spec-generator';
+
+const FIXTURE_FILE = path.join(__dirname, '../fixtures/llm/spec-generator.json');
+
+const REQUEST: LLMRequest = { system: 'Answer in JSON.', prompt: 'Specify withdraw()', maxTokens: 100, temperature: 0 };
+
+/**
+ * A provider answering with the given completions or errors, in order
+ */
+function provider(...answers: Array<LLMCompletion | Error>): LLMProvider & { complete: jest.Mock } {
+  const complete = jest.fn(async () => {
+    const answer = answers.shift();
+    if (!answer) throw new Error('No more answers');
+    if (answer instanceof Error) throw answer;
+    return answer;
+  });
+  return { name: 'stub', model: 'stub-1', contextWindow: 1000, complete };
+}
+
+function completion(content: string, input = 10, output = 5): LLMCompletion {
+  return { content, model: 'stub-1', usage: { input, output } };
+}
+
+describe('LLMClient', () => {
+  let tempDir: string;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'topolop-llm-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should retry retryable failures and give up on the others', async () => {
+    const flaky = provider(new LLMProviderError('Rate limited', 429, true), completion('ok'));
+    const broken = provider(new LLMProviderError('Bad request', 400), completion('never'));
+
+    const answer = await new LLMClient(flaky, { retryDelay: 0 }).complete(REQUEST);
+
+    expect(answer).toMatchObject({ content: 'ok', cached: false });
+    expect(flaky.complete).toHaveBeenCalledTimes(2);
+    await expect(new LLMClient(broken, { retryDelay: 0 }).complete(REQUEST)).rejects.toThrow('Bad request');
+    expect(broken.complete).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop retrying after the configured attempts', async () => {
+    const down = provider(...[0, 1, 2].map(() => new LLMProviderError('Unavailable', 503, true)));
+
+    await expect(new LLMClient(down, { retries: 1, retryDelay: 0 }).complete(REQUEST)).rejects.toThrow('Unavailable');
+    expect(down.complete).toHaveBeenCalledTimes(2);
+  });
+
+  it('should refuse requests that exceed the context window or the budget', async () => {
+    const stub = provider(completion('first', 40, 20));
+    const client = new LLMClient(stub, { tokenBudget: 200 });
+
+    await expect(client.complete({ ...REQUEST, maxTokens: 1000 })).rejects.toThrow(LLMBudgetError);
+    await client.complete(REQUEST);
+
+    expect(client.remainingTokens).toBe(140);
+    await expect(client.complete({ ...REQUEST, prompt: 'Another prompt', maxTokens: 200 }))
+      .rejects.toThrow('Request needs up to 208 tokens but only 140 of the budget remain');
+    expect(stub.complete).toHaveBeenCalledTimes(1);
+  });
+
+  it('should answer repeated requests from the cache and keep it in a file', async () => {
+    const cacheFile = path.join(tempDir, 'cache', 'llm.json');
+    const stub = provider(completion('cached answer'));
+    const client = new LLMClient(stub, { cacheFile });
+
+    await client.complete(REQUEST);
+    const repeated = await client.complete(REQUEST);
+    const reloaded = await new LLMClient(provider(), { cacheFile }).complete(REQUEST);
+
+    expect(repeated).toMatchObject({ content: 'cached answer', cached: true });
+    expect(reloaded).toMatchObject({ content: 'cached answer', cached: true });
+    expect(stub.complete).toHaveBeenCalledTimes(1);
+    expect(client.usage).toEqual({ requests: 1, cachedResponses: 1, inputTokens: 10, outputTokens: 5 });
+  });
+
+  it('should start afresh from an unreadable cache file and replace it whole', async () => {
+    const cacheFile = path.join(tempDir, 'llm.json');
+    fs.writeFileSync(cacheFile, '{"abc": {"content": "trunc');
+    const stub = provider(completion('fresh answer'));
+
+    const answer = await new LLMClient(stub, { cacheFile }).complete(REQUEST);
+
+    expect(answer).toMatchObject({ content: 'fresh answer', cached: false });
+    expect(Object.values(JSON.parse(fs.readFileSync(cacheFile, 'utf-8')))).toEqual([completion('fresh answer')]);
+    expect(fs.readdirSync(tempDir)).toEqual(['llm.json']);
+  });
+
+  it('should send every request when caching is off', async () => {
+    const stub = provider(completion('one'), completion('two'));
+    const client = new LLMClient(stub, { cache: false });
+
+    await client.complete(REQUEST);
+    const second = await client.complete(REQUEST);
+
+    expect(second).toMatchObject({ content: 'two', cached: false });
+    expect(client.usage.requests).toBe(2);
+  });
+});
+
+describe('RecordedFixtureProvider', () => {
+  let tempDir: string;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'topolop-llm-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should record new prompts and replay them without the recorder', async () => {
+    const file = path.join(tempDir, 'fixtures.json');
+    const recorder = provider(completion('recorded'));
+
+    await new RecordedFixtureProvider({ file, record: recorder }).complete(REQUEST);
+    const replayed = await new RecordedFixtureProvider({ file }).complete(REQUEST);
+
+    expect(replayed).toEqual(completion('recorded'));
+    expect(JSON.parse(fs.readFileSync(file, 'utf-8')).version).toBe(1);
+  });
+
+  it('should fail on prompts it has no response for', async () => {
+    const replay = new RecordedFixtureProvider({ file: FIXTURE_FILE });
+
+    await expect(replay.complete(REQUEST)).rejects.toThrow(LLMProviderError);
+    await expect(replay.complete(REQUEST)).rejects.toThrow('No recorded response for prompt');
+  });
+
+  it('should reject files that are not fixture files', () => {
+    const file = path.join(tempDir, 'other.json');
+    fs.writeFileSync(file, '{"responses": {}}');
+
+    expect(() => new RecordedFixtureProvider({ file })).toThrow('is not an LLM fixture file');
+  });
+});
+
+describe('LLMAssistedSpecGenerator', () => {
+  it('should generate a specification from a recorded response', async () => {
+    const generator = new LLMAssistedSpecGenerator({ provider: new RecordedFixtureProvider({ file: FIXTURE_FILE }) });
+
+    const spec = await generator.generateFromNaturalLanguage('No user can withdraw more than their balance', 'dafny');
+
+    expect(spec).toMatchObject({
+      format: 'dafny',
+      generationMethod: 'llm',
+      properties: ['Withdrawals never exceed the balance', 'The balance never becomes negative'],
+      assumptions: ['amount is an integer'],
+    });
+    expect(spec.limitations).toContain('Concurrent withdrawals are not modelled');
+    expect(spec.confidence).toBeGreaterThan(0.7);
+    expect(spec.specification).toContain('ensures balance == old(balance) - amount');
+    expect(spec.metadata).toMatchObject({ model: 'gpt-4o-mini-2024-07-18', tokens: 508 });
+    expect(generator.usage).toMatchObject({ requests: 1, inputTokens: 412, outputTokens: 96 });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit tests for logical coupling from git co-change history
+ */
+
+import { execFileSync } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { CoChangeCommit, LogicalCouplingAnalyzer } from '../../src/engines/logical-coupling';
+
+function commit(hash: string, date: string, files: string[], message = 'Change'): CoChangeCommit {
+  return { hash, date, message, files };
+}
+
+/**
+ * Commit a change to each of the given files
+ */
+function gitCommit(repo: string, message: string, files: string[]): void {
+  for (const file of files) {
+    fs.mkdirSync(path.dirname(path.join(repo, file)), { recursive: true });
+    fs.appendFileSync(path.join(repo, file), `${message}\n`);
+  }
+  git(repo, 'add', '-A');
+  git(repo, 'commit', '-q', '-m', message);
+}
+
+function git(repo: string, ...args: string[]): string {
+  return execFileSync('git', args, {
+    cwd: repo,
+    encoding: 'utf-8',
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Dev',
+      GIT_AUTHOR_EMAIL: 'dev@example.com',
+      GIT_COMMITTER_NAME: 'Dev',
+      GIT_COMMITTER_EMAIL: 'dev@example.com',
+    },
+  });
+}
+
+describe('LogicalCouplingAnalyzer', () => {
+  describe('fromCommits', () => {
+    it('should score pairs by support and confidence in each direction', () => {
+      const graph = new LogicalCouplingAnalyzer({ halfLifeDays: 1e9 }).fromCommits([
+        commit('1', '2025-01-01', ['src/api/user.ts', 'src/db/user.sql']),
+        commit('2', '2025-01-02', ['src/api/user.ts', 'src/db/user.sql']),
+        commit('3', '2025-01-03', ['src/api/user.ts', 'src/api/auth.ts']),
+        commit('4', '2025-01-04', ['src/api/user.ts']),
+      ]);
+
+      expect(graph.pairs).toEqual([expect.objectContaining({
+        fileA: 'src/api/user.ts',
+        fileB: 'src/db/user.sql',
+        coChanges: 2,
+        support: 0.5,
+        confidenceAToB: 0.5,
+        confidenceBToA: 1,
+        confidence: 1,
+        crossModule: true,
+      })]);
+      expect(graph.clusters).toEqual([{
+        id: 'coupling-cluster-1',
+        files: ['src/api/user.ts', 'src/db/user.sql'],
+        modules: ['src/api', 'src/db'],
+        strength: 1,
+      }]);
+      expect(graph.commitsAnalyzed).toBe(4);
+    });
+
+    it('should skip bulk commits and ignored paths', () => {
+      const files = Array.from({ length: 31 }, (_, i) => `src/file${i}.ts`);
+      const graph = new LogicalCouplingAnalyzer().fromCommits([
+        commit('1', '2025-01-01', files),
+        commit('2', '2025-01-02', ['src/a.ts', 'src/b.ts'], 'Reformat with prettier'),
+        commit('3', '2025-01-03', ['src/a.ts', 'package-lock.json']),
+        commit('4', '2025-01-04', ['src/a.ts', 'package-lock.json']),
+      ]);
+
+      expect(graph.pairs).toEqual([]);
+      expect(graph).toMatchObject({ commitsAnalyzed: 2, commitsSkipped: 2 });
+    });
+
+    it('should let old co-changes fade', () => {
+      const analyzer = new LogicalCouplingAnalyzer({ halfLifeDays: 30, minConfidence: 0 });
+      const graph = analyzer.fromCommits([
+        commit('1', '2024-01-01', ['a.ts', 'b.ts']),
+        commit('2', '2024-01-02', ['a.ts', 'b.ts']),
+        commit('3', '2025-01-01', ['a.ts']),
+        commit('4', '2025-01-02', ['a.ts']),
+      ]);
+
+      expect(graph.pairs[0]?.coChanges).toBe(2);
+      expect(graph.pairs[0]?.confidenceAToB).toBeLessThan(0.01);
+      expect(graph.pairs[0]?.confidenceBToA).toBe(1);
+    });
+  });
+
+  describe('markHiddenCoupling', () => {
+    it('should flag source pairs without an import either way', () => {
+      const analyzer = new LogicalCouplingAnalyzer({ halfLifeDays: 1e9 });
+      const graph = analyzer.fromCommits([
+        commit('1', '2025-01-01', ['src/a.ts', 'src/b.ts', 'src/c.ts', 'schema.sql']),
+        commit('2', '2025-01-02', ['src/a.ts', 'src/b.ts', 'src/c.ts', 'schema.sql']),
+      ]);
+
+      const marked = analyzer.markHiddenCoupling(graph, [
+        { from: '/project/src/b.ts', to: '/project/src/a', type: 'import', importedSymbols: ['a'], isExternal: false },
+      ], '/project');
+
+      const hidden = Object.fromEntries(marked.pairs.map(pair => [`${pair.fileA} ${pair.fileB}`, pair.hidden]));
+      expect(hidden).toEqual({
+        'schema.sql src/a.ts': undefined,
+        'schema.sql src/b.ts': undefined,
+        'schema.sql src/c.ts': undefined,
+        'src/a.ts src/b.ts': false,
+        'src/a.ts src/c.ts': true,
+        'src/b.ts src/c.ts': true,
+      });
+    });
+  });
+
+  describe('readHistory', () => {
+    let repo: string;
+
+    beforeEach(() => {
+      repo = fs.mkdtempSync(path.join(os.tmpdir(), 'topolop-coupling-'));
+      git(repo, 'init', '-q');
+      gitCommit(repo, 'Add app', ['packages/app/src/a.ts', 'packages/app/src/b.ts', 'packages/lib/x.ts']);
+      gitCommit(repo, 'Change lib', ['packages/lib/x.ts', 'packages/lib/y.ts']);
+      gitCommit(repo, 'Change app', ['packages/app/src/a.ts', 'README.md']);
+    });
+
+    afterEach(() => {
+      fs.rmSync(repo, { recursive: true, force: true });
+    });
+
+    it('should read the whole repository with root-relative paths', async () => {
+      const commits = await new LogicalCouplingAnalyzer().readHistory(repo);
+
+      expect(commits.map(c => [c.message, c.files.sort()])).toEqual([
+        ['Change app', ['README.md', 'packages/app/src/a.ts']],
+        ['Change lib', ['packages/lib/x.ts', 'packages/lib/y.ts']],
+        ['Add app', ['packages/app/src/a.ts', 'packages/app/src/b.ts', 'packages/lib/x.ts']],
+      ]);
+    });
+
+    it('should limit a package to its own commits and files', async () => {
+      const commits = await new LogicalCouplingAnalyzer().readHistory(path.join(repo, 'packages', 'app'));
+
+      expect(commits.map(c => [c.message, c.files.sort()])).toEqual([
+        ['Change app', ['src/a.ts']],
+        ['Add app', ['src/a.ts', 'src/b.ts']],
+      ]);
+    });
+
+    it('should report directories outside a repository', async () => {
+      const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'topolop-coupling-'));
+      try {
+        await expect(new LogicalCouplingAnalyzer().readHistory(outside)).rejects.toThrow('Cannot read git history');
+      } finally {
+        fs.rmSync(outside, { recursive: true, force: true });
+      }
+    });
+  });
+});
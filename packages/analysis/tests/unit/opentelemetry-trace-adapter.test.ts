@@ -0,0 +1,267 @@
+/**
+ * Unit tests for trace export parsing and the OpenTelemetry trace adapter
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { AnalysisType, IssueSeverity, UnifiedAnalysisResult } from '@topolop/shared-types';
+
+import { OpenTelemetryTraceAdapter } from '../../src/analyzers/opentelemetry-trace-analyzer/src/opentelemetry-trace-adapter';
+import {
+  TraceSpan,
+  detectTraceFormat,
+  parseTraceExport,
+} from '../../src/analyzers/opentelemetry-trace-analyzer/src/trace-formats';
+
+const OTLP_EXPORT = {
+  resourceSpans: [{
+    resource: { attributes: [{ key: 'service.name', value: { stringValue: 'checkout' } }] },
+    scopeSpans: [{
+      spans: [{
+        traceId: 't1',
+        spanId: 's1',
+        parentSpanId: '',
+        name: 'POST /orders',
+        kind: 2,
+        startTimeUnixNano: '1735689600000000000',
+        endTimeUnixNano: '1735689600250500000',
+        status: { code: 2, message: 'Payment declined' },
+        attributes: [
+          { key: 'code.filepath', value: { stringValue: '/app/src/orders.ts' } },
+          { key: 'code.lineno', value: { intValue: '42' } },
+          { key: 'http.route', value: { arrayValue: { values: [{ stringValue: '/orders' }, { boolValue: true }] } } },
+        ],
+      }],
+    }],
+  }],
+};
+
+const JAEGER_EXPORT = {
+  data: [{
+    traceID: 't2',
+    processes: { p1: { serviceName: 'inventory', tags: [{ key: 'hostname', value: 'web-1' }] } },
+    spans: [{
+      traceID: 't2',
+      spanID: 's2',
+      operationName: 'reserve',
+      processID: 'p1',
+      references: [{ refType: 'FOLLOWS_FROM', spanID: 's0' }, { refType: 'CHILD_OF', spanID: 's1' }],
+      startTime: 1735689600000000,
+      duration: 1500,
+      tags: [{ key: 'span.kind', value: 'client' }, { key: 'error', value: true }],
+      logs: [{ fields: [{ key: 'event', value: 'error' }, { key: 'message', value: 'Out of stock' }] }],
+    }],
+  }],
+};
+
+const ZIPKIN_EXPORT = [[{
+  traceId: 't3',
+  id: 's3',
+  parentId: 's1',
+  name: 'select',
+  kind: 'CLIENT',
+  timestamp: 1735689600000000,
+  duration: 2000,
+  localEndpoint: { serviceName: 'db-proxy' },
+  tags: { error: 'Timeout' },
+}]];
+
+let nextId = 0;
+
+/**
+ * A span of the checkout service in src/orders.ts unless given otherwise
+ */
+function span(overrides: Partial<TraceSpan> & { attributes?: TraceSpan['attributes'] } = {}): TraceSpan {
+  return {
+    traceId: 't1',
+    spanId: `s${++nextId}`,
+    parentSpanId: null,
+    name: 'createOrder',
+    service: 'checkout',
+    kind: 'internal',
+    startTime: Date.parse('2025-01-01T00:00:00Z'),
+    durationMs: 10,
+    error: false,
+    errorMessage: null,
+    ...overrides,
+    attributes: {
+      'code.filepath': 'src/orders.ts',
+      'code.function': 'createOrder',
+      'code.lineno': 12,
+      ...overrides.attributes,
+    },
+  };
+}
+
+describe('trace formats', () => {
+  it('should read OTLP/JSON spans with resource attributes and nanosecond times', () => {
+    const [parsed] = parseTraceExport(JSON.stringify(OTLP_EXPORT));
+
+    expect(parsed).toEqual({
+      traceId: 't1',
+      spanId: 's1',
+      parentSpanId: null,
+      name: 'POST /orders',
+      service: 'checkout',
+      kind: 'server',
+      startTime: 1735689600000,
+      durationMs: 250.5,
+      error: true,
+      errorMessage: 'Payment declined',
+      attributes: {
+        'service.name': 'checkout',
+        'code.filepath': '/app/src/orders.ts',
+        'code.lineno': 42,
+        'http.route': ['/orders', true],
+      },
+    });
+  });
+
+  it('should read OTLP JSON Lines from the collector file exporter', () => {
+    const lines = [OTLP_EXPORT, OTLP_EXPORT].map(data => JSON.stringify(data)).join('\n');
+
+    expect(parseTraceExport(lines)).toHaveLength(2);
+    expect(() => parseTraceExport(`${JSON.stringify(OTLP_EXPORT)}\n{"spans": 1}`, 'traces.jsonl'))
+      .toThrow(/^traces\.jsonl:2 is not an OTLP, Jaeger or Zipkin trace export$/);
+    expect(() => parseTraceExport(`${JSON.stringify(OTLP_EXPORT)}\n{"resourceSpans": [`, 'traces.jsonl'))
+      .toThrow('traces.jsonl:2 is not valid JSON');
+  });
+
+  it('should read Jaeger spans with their process and parent', () => {
+    const [parsed] = parseTraceExport(JSON.stringify(JAEGER_EXPORT));
+
+    expect(parsed).toMatchObject({
+      traceId: 't2',
+      parentSpanId: 's1',
+      service: 'inventory',
+      kind: 'client',
+      startTime: 1735689600000,
+      durationMs: 1.5,
+      error: true,
+      errorMessage: 'Out of stock',
+      attributes: { hostname: 'web-1', 'span.kind': 'client', error: true },
+    });
+  });
+
+  it('should read Zipkin spans, nested per trace or not', () => {
+    const [parsed] = parseTraceExport(JSON.stringify(ZIPKIN_EXPORT));
+
+    expect(parsed).toMatchObject({
+      traceId: 't3',
+      spanId: 's3',
+      parentSpanId: 's1',
+      service: 'db-proxy',
+      kind: 'client',
+      durationMs: 2,
+      error: true,
+      errorMessage: 'Timeout',
+    });
+    expect(parseTraceExport(JSON.stringify(ZIPKIN_EXPORT[0]))).toEqual([parsed]);
+  });
+
+  it('should tell the formats apart and reject anything else', () => {
+    expect([OTLP_EXPORT, JAEGER_EXPORT, JAEGER_EXPORT.data[0], ZIPKIN_EXPORT, { traces: [] }].map(detectTraceFormat))
+      .toEqual(['otlp', 'jaeger', 'jaeger', 'zipkin', null]);
+    expect(() => parseTraceExport('not json', 'spans.json')).toThrow('spans.json is not valid JSON');
+  });
+});
+
+describe('OpenTelemetryTraceAdapter', () => {
+  it('should report slow and failing locations', () => {
+    const adapter = new OpenTelemetryTraceAdapter({ slowSpanMs: 100 });
+    const spans = [
+      ...Array.from({ length: 18 }, () => span({ durationMs: 50 })),
+      span({ durationMs: 400, kind: 'server' }),
+      span({ durationMs: 420, error: true, errorMessage: 'Payment declined' }),
+    ];
+
+    const { issues } = adapter.analyzeSpans(spans);
+
+    expect(issues.map(i => [i.ruleId, i.severity, i.entity.canonicalPath, i.line])).toEqual([
+      ['otel-slow-span', IssueSeverity.HIGH, 'src/orders.ts', 12],
+      ['otel-error-span', IssueSeverity.MEDIUM, 'src/orders.ts', 12],
+    ]);
+    expect(issues[0]).toMatchObject({
+      analysisType: AnalysisType.APM_PERFORMANCE,
+      description: 'Function "createOrder" in src/orders.ts has a p95 latency of 400ms over 20 span(s) (target: <100ms)',
+      impactLevel: 'user_facing',
+    });
+    expect(issues[1]?.description).toBe('Function "createOrder" in src/orders.ts failed in 1 of 20 span(s) (5.00%): Payment declined');
+  });
+
+  it('should report N+1 patterns at the parent when the repeated spans have no location', () => {
+    const adapter = new OpenTelemetryTraceAdapter({ nPlusOneThreshold: 3 });
+    const parent = span({ spanId: 'parent', name: 'listOrders', attributes: { 'code.function': 'listOrders', 'code.lineno': 30 } });
+    const queries = [1, 2, 3, 4].map(id => span({
+      parentSpanId: 'parent',
+      name: 'SELECT',
+      service: 'orders-db',
+      attributes: { 'code.filepath': '', 'code.function': '', 'db.statement': `SELECT * FROM items WHERE order_id = ${id}` },
+    }));
+
+    const analysis = adapter.analyzeSpans([parent, ...queries]);
+
+    expect(analysis.issues).toHaveLength(1);
+    expect(analysis.issues[0]).toMatchObject({
+      ruleId: 'otel-n-plus-one',
+      line: 30,
+      metadata: { statement: 'SELECT * FROM items WHERE order_id = ?', repeats: 4, occurrences: 1 },
+    });
+    expect(analysis.issues[0]?.entity.canonicalPath).toBe('src/orders.ts');
+    expect(analysis).toMatchObject({ spans: 5, mappedSpans: 1 });
+  });
+
+  it('should make file paths project-relative and summarize latency per file', () => {
+    const adapter = new OpenTelemetryTraceAdapter({ stripPrefixes: ['/app'], projectRoot: '/home/dev/shop' });
+    const spans = [
+      span({ durationMs: 10, attributes: { 'code.filepath': '/app/src/orders.ts', 'code.lineno': 14 } }),
+      span({ durationMs: 30, attributes: { 'code.filepath': '/home/dev/shop/src/orders.ts', 'code.function': 'cancel', 'code.lineno': 40 } }),
+    ];
+
+    const analysis = adapter.analyzeSpans(spans);
+    const result = new UnifiedAnalysisResult('/home/dev/shop');
+    adapter.attach(analysis, result);
+
+    expect(Array.from(analysis.latency.keys())).toEqual(['src/orders.ts']);
+    expect(result.fileMetrics.get('src/orders.ts')?.latency).toMatchObject({
+      spans: 2,
+      p50: 10,
+      max: 30,
+      source: 'OpenTelemetry Traces',
+      functions: [
+        expect.objectContaining({ name: 'cancel', line: 40, p95: 30 }),
+        expect.objectContaining({ name: 'createOrder', line: 14, p95: 10 }),
+      ],
+    });
+  });
+
+  describe('getPerformanceMetrics', () => {
+    let traceDir: string;
+
+    beforeEach(() => {
+      traceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'topolop-traces-'));
+      fs.writeFileSync(path.join(traceDir, 'otlp.json'), JSON.stringify(OTLP_EXPORT));
+      fs.writeFileSync(path.join(traceDir, 'jaeger.json'), JSON.stringify(JAEGER_EXPORT));
+      fs.writeFileSync(path.join(traceDir, 'notes.txt'), 'not a trace');
+    });
+
+    afterEach(() => {
+      fs.rmSync(traceDir, { recursive: true, force: true });
+    });
+
+    it('should read the trace files of a directory within the time range', async () => {
+      const adapter = new OpenTelemetryTraceAdapter({ stripPrefixes: ['/app'] });
+
+      const issues = await adapter.getPerformanceMetrics(traceDir);
+      const later = await adapter.getPerformanceMetrics(traceDir, { start: new Date('2025-02-01'), end: new Date('2025-03-01') });
+
+      expect(issues.map(i => [i.ruleId, i.entity.canonicalPath])).toEqual([
+        ['otel-error-span', 'services/inventory'],
+        ['otel-error-span', 'src/orders.ts'],
+      ]);
+      expect(later).toEqual([]);
+    });
+  });
+});
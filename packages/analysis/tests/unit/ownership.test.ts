@@ -0,0 +1,167 @@
+/**
+ * Unit tests for CODEOWNERS matching and blame-based ownership
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { UnifiedAnalysisResult } from '@topolop/shared-types';
+
+import { CodeOwners } from '../../src/engines/codeowners';
+import { BlameLine, GitReaderLike, OwnershipAnalyzer } from '../../src/engines/ownership-analyzer';
+
+const ANA = { name: 'Ana Lima', email: 'ana@example.com' };
+const BO = { name: 'Bo Chen', email: '1234+bochen@users.noreply.github.com' };
+const CY = { name: 'Cy Park', email: 'cy@example.com' };
+
+/**
+ * A git reader over blame given as one author per line, per file
+ */
+function reader(blames: Record<string, Array<typeof ANA | null>>): GitReaderLike {
+  return {
+    getCurrentFiles: async () => Object.keys(blames),
+    getBlame: async (file) => {
+      const authors = blames[file];
+      if (!authors) throw new Error(`fatal: no such path ${file}`);
+      return authors.map((author, index): BlameLine => ({
+        line: index + 1,
+        hash: author ? `c${index}` : '0000000',
+        author: author ?? { name: 'Not Committed Yet', email: 'not.committed.yet' },
+        date: null,
+      }));
+    },
+    getAuthorActivity: async () => [
+      { ...ANA, lastCommit: new Date('2025-06-01') },
+      { ...BO, lastCommit: new Date('2025-05-01') },
+      { ...CY, lastCommit: new Date('2024-01-01') },
+    ],
+  };
+}
+
+function lines<T>(author: T, count: number): T[] {
+  return Array.from({ length: count }, () => author);
+}
+
+describe('CodeOwners', () => {
+  const owners = CodeOwners.parse([
+    '# Default owners',
+    '*                 @org/core',
+    '*.md              @docs-team # docs',
+    '/build/           @org/infra',
+    'src/api/          @ana',
+    'docs/*            ana@example.com',
+    '[Frontend]',
+    'web/**/*.css      @bochen',
+    'src/api/legacy/',
+  ].join('\n'), '.github/CODEOWNERS');
+
+  it('should let the last matching rule win', () => {
+    expect(owners.ownersOf('src/index.ts')).toEqual(['@org/core']);
+    expect(owners.ownersOf('src/api/user.ts')).toEqual(['@ana']);
+    expect(owners.ruleFor('src/api/user.ts')).toEqual({ pattern: 'src/api/', owners: ['@ana'], line: 5 });
+    expect(owners.ownersOf('src/api/legacy/old.ts')).toEqual([]);
+  });
+
+  it('should anchor patterns with a slash and match the others at any depth', () => {
+    expect(owners.ownersOf('build/out.js')).toEqual(['@org/infra']);
+    expect(owners.ownersOf('tools/build/out.js')).toEqual(['@org/core']);
+    expect(owners.ownersOf('packages/app/README.md')).toEqual(['@docs-team']);
+    expect(owners.ownersOf('web/app/theme/main.css')).toEqual(['@bochen']);
+  });
+
+  it('should cover only the direct files of a directory/* pattern', () => {
+    expect(owners.ownersOf('docs/intro.txt')).toEqual(['ana@example.com']);
+    expect(owners.ownersOf('docs/guides/setup.txt')).toEqual(['@org/core']);
+  });
+
+  describe('fromProject', () => {
+    let projectRoot: string;
+
+    beforeEach(() => {
+      projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'topolop-owners-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+    });
+
+    it('should find the file in its known locations', () => {
+      expect(CodeOwners.fromProject(projectRoot)).toBeNull();
+
+      fs.mkdirSync(path.join(projectRoot, 'docs'));
+      fs.writeFileSync(path.join(projectRoot, 'docs', 'CODEOWNERS'), '* @docs\n');
+      fs.writeFileSync(path.join(projectRoot, 'CODEOWNERS'), '* @root\n');
+
+      const found = CodeOwners.fromProject(projectRoot);
+      expect(found?.source).toBe('CODEOWNERS');
+      expect(found?.ownersOf('a.ts')).toEqual(['@root']);
+    });
+  });
+});
+
+describe('OwnershipAnalyzer', () => {
+  it('should measure shares, bus factor and knowledge loss', async () => {
+    const analyzer = new OwnershipAnalyzer({
+      gitReader: reader({
+        'src/api/user.ts': [...lines(ANA, 6), ...lines(BO, 3), CY, null],
+        'src/api/auth.ts': lines(CY, 4),
+        'package-lock.json': lines(ANA, 100),
+      }),
+      codeOwners: false,
+    });
+
+    const report = await analyzer.analyze('/project');
+    const user = report.files.get('src/api/user.ts')!;
+
+    expect(Array.from(report.files.keys())).toEqual(['src/api/auth.ts', 'src/api/user.ts']);
+    expect(user.owners.map(o => [o.author, o.lines, o.share, o.inactive])).toEqual([
+      ['Ana Lima', 6, 0.6, false],
+      ['Bo Chen', 3, 0.3, false],
+      ['Cy Park', 1, 0.1, true],
+    ]);
+    expect(user).toMatchObject({ totalLines: 10, busFactor: 1, knowledgeLoss: 0.1 });
+    expect(report.modules).toEqual([expect.objectContaining({ path: 'src/api', files: 2, totalLines: 14, busFactor: 2, knowledgeLoss: 0.357 })]);
+    expect(report.directories.map(d => d.path)).toEqual(['.', 'src', 'src/api']);
+    expect(report.referenceDate).toBe('2025-06-01T00:00:00.000Z');
+  });
+
+  it('should report files whose declared owners did not write them', async () => {
+    const analyzer = new OwnershipAnalyzer({
+      gitReader: reader({
+        'src/api/user.ts': lines(BO, 5),
+        'src/db/schema.sql': lines(ANA, 5),
+        'src/legacy/old.ts': lines(CY, 5),
+        'src/team/owned.ts': lines(ANA, 5),
+        'src/unknown-team.ts': lines(ANA, 5),
+        'tools/script.sh': lines(ANA, 5),
+      }),
+      codeOwners: CodeOwners.parse([
+        'src/api/      @bochen',
+        'src/db/       @org/dba',
+        'src/legacy/   cy@example.com',
+        'src/team/     @org/web',
+        'src/unknown-team.ts @org/unmapped',
+      ].join('\n')),
+      identities: { '@org/dba': ['Bo Chen'], '@org/web': ['ana@example.com'] },
+    });
+
+    const { mismatches, files } = await analyzer.analyze('/project');
+
+    expect(files.get('src/api/user.ts')?.declaredOwners).toEqual(['@bochen']);
+    expect(mismatches.map(m => [m.path, m.kind, m.actualOwners])).toEqual([
+      ['src/db/schema.sql', 'not-contributing', ['Ana Lima']],
+      ['src/legacy/old.ts', 'inactive', ['Cy Park']],
+      ['tools/script.sh', 'undeclared', ['Ana Lima']],
+    ]);
+  });
+
+  it('should put file ownership on the result metrics', async () => {
+    const analyzer = new OwnershipAnalyzer({ gitReader: reader({ 'src/a.ts': lines(ANA, 2) }), codeOwners: false });
+    const result = new UnifiedAnalysisResult('/project');
+
+    analyzer.attach(await analyzer.analyze('/project'), result);
+
+    expect(result.fileMetrics.get('src/a.ts')?.ownership).toMatchObject({ busFactor: 1, declaredOwners: [] });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for project config files, profiles and schema validation
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { PROJECT_CONFIG_SCHEMA, validateConfig } from '../../src/config/config-schema';
+import {
+  ConfigError,
+  applyProfile,
+  loadProjectConfig,
+  toAnalysisConfig,
+  validateProjectConfig,
+} from '../../src/config/project-config';
+
+describe('validateConfig', () => {
+  it('should accept a complete config', () => {
+    const config = {
+      tools: ['eslint', 'semgrep'],
+      toolOptions: { sonarqube: { projectKey: 'app', config: { url: 'http://sonar' } } },
+      exclude: ['vendor/**'],
+      severityOverrides: [{ tools: ['eslint'], severity: 'low' }],
+      correlation: { proximityThreshold: 5, similarity: { nearMatch: 0.8 } },
+      qualityGate: { newIssues: { severity: { critical: 0 } }, correlationGroups: { max: 2 } },
+      profiles: { nightly: { tools: ['*'] } },
+    };
+
+    expect(validateConfig(config, PROJECT_CONFIG_SCHEMA)).toEqual([]);
+  });
+
+  it('should report every problem with its key path', () => {
+    const problems = validateConfig({
+      tools: 'eslint',
+      correlation: { proximityTreshold: 5, minToolCount: 1.5 },
+      severityOverrides: [{ tools: ['eslint'] }, { severity: 'urgent' }],
+      output: { format: 'xml' },
+      profiles: { ci: { exclude: [3] } },
+    }, PROJECT_CONFIG_SCHEMA);
+
+    expect(problems).toEqual([
+      'tools: expected an array, got "eslint"',
+      'correlation.proximityTreshold: unknown key (did you mean "proximityThreshold"?)',
+      'correlation.minToolCount: expected an integer, got 1.5',
+      'severityOverrides[0].severity: required',
+      'severityOverrides[1].severity: must be one of critical, high, medium, low, info, got "urgent"',
+      'output.format: must be one of json, sarif, got "xml"',
+      'profiles.ci.exclude[0]: expected a string, got number',
+    ]);
+  });
+
+  it('should list the allowed keys when nothing is close', () => {
+    expect(validateConfig({ report: { colour: 'red' } }, PROJECT_CONFIG_SCHEMA))
+      .toEqual(['report.colour: unknown key (allowed: strategy, destination)']);
+  });
+});
+
+describe('project config', () => {
+  let projectRoot: string;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'topolop-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should check settings against the analyzer defaults', () => {
+    expect(() => validateProjectConfig({ settings: { cache: { enabled: false } } }, 'topolop.config.json')).not.toThrow();
+
+    const invalid = () => validateProjectConfig({ profiles: { ci: { settings: { gti: {} } } } }, 'topolop.config.json');
+    expect(invalid).toThrow(ConfigError);
+    expect(invalid).toThrow('profiles.ci.settings.gti: unknown key (did you mean "git"?)');
+  });
+
+  it('should load the project file and merge a profile over it', () => {
+    fs.writeFileSync(path.join(projectRoot, 'topolop.config.json'), JSON.stringify({
+      tools: ['eslint'],
+      correlation: { minToolCount: 3 },
+      profiles: { full: { correlation: { proximityThreshold: 10 } } },
+    }));
+
+    const loaded = loadProjectConfig(projectRoot, { profile: 'full' });
+
+    expect(loaded.path).toBe(path.join(projectRoot, 'topolop.config.json'));
+    expect(loaded.config).toEqual({
+      tools: ['*'],
+      correlation: { enabled: true, minToolCount: 2, proximityThreshold: 10 },
+    });
+    expect(toAnalysisConfig(projectRoot, loaded.config)).toEqual({
+      projectPath: projectRoot,
+      tools: ['*'],
+      correlation: { enabled: true, minToolCount: 2, proximityThreshold: 10 },
+    });
+  });
+
+  it('should use an empty config without a file and reject unknown profiles', () => {
+    expect(loadProjectConfig(projectRoot)).toEqual({ config: {}, path: null, profile: null });
+    expect(() => applyProfile({}, 'nightly')).toThrow('Unknown profile "nightly". Available: ci, full, security');
+  });
+
+  it('should report unreadable files as config errors', () => {
+    fs.writeFileSync(path.join(projectRoot, 'topolop.config.json'), '{ "tools": [');
+
+    expect(() => loadProjectConfig(projectRoot)).toThrow(ConfigError);
+  });
+});
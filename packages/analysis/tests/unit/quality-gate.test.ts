@@ -0,0 +1,105 @@
+/**
+ * Unit tests for quality gate verdicts
+ */
+
+import { AnalysisType, IssueSeverity } from '@topolop/shared-types';
+
+import { AnalysisDiffEngine } from '../../src/engines/diff-engine';
+import { QualityGateEngine } from '../../src/engines/quality-gate';
+import { SuppressionEngine } from '../../src/suppression/suppression-engine';
+import { issue, run } from '../helpers/fixtures';
+
+describe('QualityGateEngine', () => {
+  const diffEngine = new AnalysisDiffEngine({ sourceProvider: () => null });
+
+  it('should fail the default gate on a new high issue only', () => {
+    const gate = new QualityGateEngine(undefined, { diffEngine });
+    const previous = run(issue('1', { line: 4, severity: IssueSeverity.HIGH }));
+
+    const unchanged = gate.evaluate(run(issue('1', { line: 4, severity: IssueSeverity.HIGH })), previous);
+    const added = gate.evaluate(run(
+      issue('1', { line: 4, severity: IssueSeverity.HIGH }),
+      issue('2', { line: 9, severity: IssueSeverity.HIGH, ruleId: 'no-new-func' }),
+    ), previous);
+
+    expect(unchanged.status).toBe('passed');
+    expect(added.status).toBe('failed');
+    expect(added.reasons).toEqual(['new high issues: 1 (max 0)']);
+    expect(added.conditions.find(c => c.metric === 'newIssues.severity.high')?.details).toEqual(['src/app.ts:9 eslint no-new-func']);
+  });
+
+  it('should count escalated issues at their current severity', () => {
+    const gate = new QualityGateEngine({ newIssues: { total: 0, severity: { critical: 0 } } }, { diffEngine });
+    const previous = run(issue('1', { line: 4, severity: IssueSeverity.LOW }));
+
+    const verdict = gate.evaluate(run(issue('1', { line: 4, severity: IssueSeverity.CRITICAL })), previous);
+
+    expect(verdict.status).toBe('failed');
+    expect(verdict.counts).toMatchObject({ newIssues: 0, escalatedIssues: 1 });
+    expect(verdict.conditions).toEqual([
+      expect.objectContaining({ metric: 'newIssues.total', actual: 0, passed: true }),
+      expect.objectContaining({
+        metric: 'newIssues.severity.critical',
+        actual: 1,
+        passed: false,
+        details: ['src/app.ts:4 eslint no-eval (escalated)'],
+      }),
+    ]);
+    expect(verdict.reasons).toEqual(['new or escalated critical issues: 1 (max 0)']);
+  });
+
+  it('should treat unsuppressed issues as new without a previous run', () => {
+    const current = run(
+      issue('1', { line: 4, severity: IssueSeverity.CRITICAL }),
+      issue('2', { line: 9, severity: IssueSeverity.CRITICAL, ruleId: 'no-new-func' }),
+    );
+    new SuppressionEngine({
+      sourceProvider: () => null,
+      inline: false,
+      rules: [{ id: 'legacy', ruleIds: ['no-new-func'], justification: 'Legacy code', expires: '2099-01-01' }],
+    }).apply(current);
+
+    const verdict = new QualityGateEngine(undefined, { diffEngine }).evaluate(current);
+
+    expect(verdict.basis).toBe('baseline');
+    expect(verdict.counts).toEqual({ activeIssues: 1, newIssues: 1, escalatedIssues: 0, suppressedIssues: 1 });
+  });
+
+  it('should apply the suppression engine it is given before counting', () => {
+    const current = run(
+      issue('1', { line: 4, severity: IssueSeverity.CRITICAL }),
+      issue('2', { line: 9, severity: IssueSeverity.CRITICAL, ruleId: 'no-new-func' }),
+    );
+    const suppressionEngine = new SuppressionEngine({
+      sourceProvider: () => null,
+      inline: false,
+      rules: [{ id: 'legacy', ruleIds: ['no-eval', 'no-new-func'], justification: 'Legacy code', expires: '2099-01-01' }],
+    });
+
+    const verdict = new QualityGateEngine(undefined, { diffEngine, suppressionEngine }).evaluate(current);
+
+    expect(verdict.status).toBe('passed');
+    expect(verdict.counts).toMatchObject({ activeIssues: 0, newIssues: 0, suppressedIssues: 2 });
+  });
+
+  it('should check type, dependency and license limits on active issues', () => {
+    const current = run(
+      issue('1', { line: 1, severity: IssueSeverity.MEDIUM, ruleId: 'lodash', analysisType: AnalysisType.DEPENDENCY_SECURITY }),
+      issue('2', { line: 2, severity: IssueSeverity.LOW, ruleId: 'gpl', analysisType: AnalysisType.DEPENDENCY_LICENSING }),
+      issue('3', { line: 3, severity: IssueSeverity.LOW, ruleId: 'complexity', analysisType: AnalysisType.QUALITY }),
+    );
+    const gate = new QualityGateEngine({
+      issues: { type: { quality: 1 } },
+      dependencyVulnerabilities: { total: 0 },
+      maxLicenseViolations: 1,
+    });
+
+    const verdict = gate.evaluate(current);
+
+    expect(verdict.conditions.map(c => [c.metric, c.actual, c.passed])).toEqual([
+      ['issues.type.quality', 1, true],
+      ['dependencyVulnerabilities.total', 1, false],
+      ['maxLicenseViolations', 1, true],
+    ]);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for SARIF export and import
+ */
+
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+
+import { AnalysisType, IssueSeverity, UnifiedIssue } from '@topolop/shared-types';
+
+import { SarifExporter, SARIF_SRCROOT } from '../../src/formats/sarif/sarif-exporter';
+import { SarifImporter } from '../../src/formats/sarif/sarif-importer';
+import type { SarifLog } from '../../src/formats/sarif/sarif-types';
+import { issue, run } from '../helpers/fixtures';
+
+/**
+ * A Semgrep SQL injection finding in src/db.ts
+ */
+function finding(id: string, severity: IssueSeverity, title: string): UnifiedIssue {
+  return issue(id, {
+    path: 'src/db.ts',
+    toolName: 'semgrep',
+    ruleId: 'sql-injection',
+    severity,
+    title,
+    description: 'User input reaches a query',
+    line: 12,
+    column: 3,
+  });
+}
+
+function foreignLog(results: SarifLog['runs'][number]['results'], originalUriBaseIds?: SarifLog['runs'][number]['originalUriBaseIds']): SarifLog {
+  return {
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'Semgrep', rules: [{ id: 'eval', shortDescription: { text: 'Avoid eval' } }] } },
+      originalUriBaseIds,
+      results,
+    }],
+  } as SarifLog;
+}
+
+describe('SARIF', () => {
+  it('should round-trip issues through export and import', () => {
+    const result = run(finding('a', IssueSeverity.CRITICAL, 'SQL injection'));
+
+    const log = new SarifExporter({ fingerprints: false }).export(result);
+    const [imported] = new SarifImporter().import(log);
+
+    expect(log.runs[0]?.originalUriBaseIds?.[SARIF_SRCROOT]?.uri).toBe('file:///project/');
+    expect(imported).toMatchObject({
+      id: 'a',
+      severity: IssueSeverity.CRITICAL,
+      analysisType: AnalysisType.SECURITY,
+      title: 'SQL injection',
+      line: 12,
+      column: 3,
+      toolName: 'semgrep',
+    });
+    expect(imported?.entity.canonicalPath).toBe('src/db.ts');
+  });
+
+  it('should describe a rule by its most severe issue', () => {
+    const result = run(finding('a', IssueSeverity.LOW, 'Possible injection'), finding('b', IssueSeverity.CRITICAL, 'SQL injection'));
+
+    const [rule] = new SarifExporter({ fingerprints: false }).export(result).runs[0]!.tool.driver.rules!;
+
+    expect(rule).toMatchObject({
+      id: 'sql-injection',
+      shortDescription: { text: 'SQL injection' },
+      defaultConfiguration: { level: 'error' },
+      properties: { 'security-severity': '9.5' },
+    });
+  });
+
+  it('should import only results that report a problem', () => {
+    const location = { physicalLocation: { artifactLocation: { uri: 'src/a.js' }, region: { startLine: 1 } } };
+    const log = foreignLog([
+      { ruleId: 'eval', message: { text: 'Failing' }, locations: [location] },
+      { ruleId: 'eval', kind: 'pass', message: { text: 'Passing' }, locations: [location] },
+      { ruleId: 'eval', kind: 'notApplicable', message: { text: 'Skipped' }, locations: [location] },
+      { ruleId: 'eval', kind: 'informational', message: { text: 'Info' }, locations: [location] },
+      { ruleId: 'eval', kind: 'review', message: { text: 'Review' }, locations: [location] },
+    ]);
+
+    const issues = new SarifImporter().import(log);
+
+    expect(issues.map(i => i.id)).toEqual(['semgrep-0-0', 'semgrep-0-4']);
+    expect(issues[0]?.title).toBe('Avoid eval');
+  });
+
+  it('should make absolute URIs relative to the run source root', () => {
+    const log = foreignLog(
+      [{ ruleId: 'eval', message: { text: 'Eval' }, locations: [{ physicalLocation: { artifactLocation: { uri: 'file:///ci/work/src/a.js' } } }] }],
+      { SRCROOT: { uri: 'file:///ci/work/' } }
+    );
+
+    const result = new SarifImporter().importResult(log, '/elsewhere');
+
+    expect(result.projectRoot).toBe('/ci/work');
+    expect(result.issues[0]?.entity.canonicalPath).toBe('src/a.js');
+  });
+
+  it('should use the given root for runs without one, and keep absolute URIs without any root', () => {
+    const log = foreignLog([
+      { ruleId: 'eval', message: { text: 'Eval' }, locations: [{ physicalLocation: { artifactLocation: { uri: 'file:///home/dev/app/src/a.js' } } }] },
+    ]);
+
+    expect(new SarifImporter().importResult(log, '/home/dev/app').issues[0]?.entity.canonicalPath).toBe('src/a.js');
+    expect(new SarifImporter().import(log)[0]?.entity.canonicalPath).toBe('/home/dev/app/src/a.js');
+  });
+
+  it('should read runs without a root against the working directory when importing a result', () => {
+    const log = foreignLog([
+      { ruleId: 'eval', message: { text: 'Eval' }, locations: [{ physicalLocation: { artifactLocation: { uri: pathToFileURL(path.join(process.cwd(), 'src', 'a.js')).href } } }] },
+    ]);
+
+    const result = new SarifImporter().importResult(log);
+
+    expect(result.projectRoot).toBe(process.cwd());
+    expect(result.issues[0]?.entity.canonicalPath).toBe('src/a.js');
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for baselines, suppression rules and inline suppressions
+ */
+
+import { getIssueSuppression, isSuppressed } from '@topolop/shared-types';
+
+import { AnalysisDiffEngine } from '../../src/engines/diff-engine';
+import { SuppressionEngine } from '../../src/suppression/suppression-engine';
+import { createBaseline } from '../../src/suppression/suppression-files';
+import { matchesGlob } from '../../src/suppression/glob';
+import { issue, run } from '../helpers/fixtures';
+
+const NOW = new Date('2026-06-01T00:00:00Z');
+
+describe('SuppressionEngine', () => {
+  let sources: Record<string, string>;
+  const sourceProvider = (canonicalPath: string) => sources[canonicalPath] ?? null;
+
+  beforeEach(() => {
+    sources = {
+      'src/app.ts': ['const a = 1;', 'eval(a);', 'const b = 2;', 'eval(b);'].join('\n'),
+      'test/app.test.ts': 'eval(x);',
+    };
+  });
+
+  it('should suppress baselined issues and report new ones', () => {
+    const diffEngine = new AnalysisDiffEngine({ sourceProvider });
+    const baseline = createBaseline(run(issue('1', { line: 2 })), { diffEngine });
+
+    const current = run(issue('1', { line: 2 }), issue('2', { line: 4, ruleId: 'no-implied-eval' }));
+    const report = new SuppressionEngine({ baseline, sourceProvider, inline: false }).apply(current, NOW);
+
+    expect(report.bySource.baseline).toBe(1);
+    expect(getIssueSuppression(current.issues[0]!)?.source).toBe('baseline');
+    expect(isSuppressed(current.issues[1]!)).toBe(false);
+    expect(current.suppressionStats?.suppressedCount).toBe(1);
+  });
+
+  it('should report baseline entries that no longer match as stale', () => {
+    const diffEngine = new AnalysisDiffEngine({ sourceProvider });
+    const baseline = createBaseline(run(issue('1', { line: 2 })), { diffEngine });
+
+    const report = new SuppressionEngine({ baseline, sourceProvider, inline: false }).apply(run(), NOW);
+
+    expect(report.stale).toEqual([expect.objectContaining({ source: 'baseline' })]);
+  });
+
+  it('should match rules by glob, rule and tool, and skip expired ones', () => {
+    const result = run(issue('1', { line: 2 }), issue('2', { path: 'test/app.test.ts', line: 1 }));
+    const engine = new SuppressionEngine({
+      sourceProvider,
+      inline: false,
+      rules: [
+        { id: 'tests', paths: ['test/**'], ruleIds: ['no-eval'], tools: ['eslint'], justification: 'Test fixtures', expires: '2026-12-31' },
+        { id: 'old', paths: ['src/**'], justification: 'Expired', expires: '2026-01-01' },
+        { id: 'unused', tools: ['semgrep'], justification: 'Nothing matches', expires: '2026-12-31' },
+      ],
+    });
+
+    const report = engine.apply(result, NOW);
+
+    expect(result.issues.map(i => getIssueSuppression(i)?.id ?? null)).toEqual([null, 'tests']);
+    expect(report.expired).toBe(1);
+    expect(report.stale.map(s => s.id)).toEqual(['unused']);
+  });
+
+  it('should honour inline comments on their own and the next line', () => {
+    sources['src/app.ts'] = [
+      '// topolop-ignore no-eval until 2026-12-31: Reviewed, input is constant',
+      'eval(a);',
+      '// topolop-ignore * until soon: bad date',
+      'eval(b);',
+    ].join('\n');
+    const result = run(issue('1', { line: 2 }), issue('2', { line: 4 }));
+
+    const report = new SuppressionEngine({ sourceProvider }).apply(result, NOW);
+
+    expect(getIssueSuppression(result.issues[0]!)).toMatchObject({ source: 'inline', id: 'src/app.ts:1', expires: '2026-12-31' });
+    expect(isSuppressed(result.issues[1]!)).toBe(false);
+    expect(report.invalid).toEqual([{ path: 'src/app.ts', line: 3, reason: 'invalid expiry date "soon"' }]);
+  });
+
+  it('should replace earlier markings when applied again', () => {
+    const result = run(issue('1', { line: 2 }));
+    const rule = { id: 'all', justification: 'Everything', expires: '2026-12-31' };
+
+    new SuppressionEngine({ sourceProvider, inline: false, rules: [rule] }).apply(result, NOW);
+    new SuppressionEngine({ sourceProvider, inline: false }).apply(result, NOW);
+
+    expect(isSuppressed(result.issues[0]!)).toBe(false);
+    expect(result.suppressionStats?.suppressedCount).toBe(0);
+  });
+});
+
+describe('globs', () => {
+  it('should keep single stars within a directory', () => {
+    expect(matchesGlob('src/a.ts', 'src/*.ts')).toBe(true);
+    expect(matchesGlob('src/lib/a.ts', 'src/*.ts')).toBe(false);
+    expect(matchesGlob('src/lib/a.ts', 'src/**/*.ts')).toBe(true);
+    expect(matchesGlob('src/a.ts', 'src/**/*.ts')).toBe(true);
+    expect(matchesGlob('src/a.tsx', 'src/?.ts')).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for building city time-lapses from history
+ */
+
+import { FileHistory, GitCommit, IssueEvolution } from '../../src/engines/temporal-analyzer';
+import { TimelapseGenerator } from '../../src/engines/timelapse-generator';
+
+function commit(hash: string, date: string, files: Array<[string, number, number]>): GitCommit {
+  return {
+    hash,
+    author: 'Dev',
+    email: 'dev@example.com',
+    date: new Date(date),
+    message: `Commit ${hash}`,
+    filesChanged: files.map(([path]) => path),
+    files: files.map(([path, linesAdded, linesDeleted]) => ({ path, linesAdded, linesDeleted })),
+    linesAdded: files.reduce((sum, [, added]) => sum + added, 0),
+    linesDeleted: files.reduce((sum, [, , deleted]) => sum + deleted, 0),
+  };
+}
+
+// Newest first, as git log lists them
+const COMMITS = [
+  commit('c3c3c3c3', '2026-01-10T12:00:00Z', [['src/a.ts', 1, 0], ['src/b.ts', 0, 5]]),
+  commit('c2c2c2c2', '2026-01-02T12:00:00Z', [['src/a.ts', 5, 2], ['src/b.ts', 5, 0]]),
+  commit('c1c1c1c1', '2026-01-01T12:00:00Z', [['src/a.ts', 10, 0]]),
+];
+
+const HISTORY = {
+  commits: COMMITS,
+  fileHistory: [{
+    filePath: 'src/a.ts',
+    complexity: [{ date: new Date('2026-01-02T12:00:00Z'), commit: 'c2c2c2c2', cyclomaticComplexity: 3, linesOfCode: 20, functionCount: 2, classCount: 0 }],
+  } as unknown as FileHistory],
+  issueEvolution: [{
+    filePath: 'src/a.ts',
+    timeline: [{ date: new Date('2026-01-02T12:00:00Z'), commit: 'c2c2c2c2', action: 'introduced' }],
+  } as unknown as IssueEvolution],
+};
+
+describe('TimelapseGenerator', () => {
+  it('should replay commits oldest first with samples, line counts and issues', () => {
+    const timelapse = new TimelapseGenerator().fromTemporalAnalysis(HISTORY, ['src/a.ts']);
+    const states = timelapse.frames.map(frame =>
+      frame.buildings.map(b => `${b.path}:${b.linesOfCode}:${b.complexity}:${b.issueCount}`));
+
+    expect(timelapse.frames.map(frame => frame.label)).toEqual(['c1c1c1c Commit c1c1c1c1', 'c2c2c2c Commit c2c2c2c2', 'c3c3c3c Commit c3c3c3c3']);
+    expect(states).toEqual([
+      ['src/a.ts:10:0:0'],
+      ['src/a.ts:20:3:1', 'src/b.ts:5:0:0'],
+      ['src/a.ts:21:3:1'],
+    ]);
+    expect(timelapse.frames[2]?.changes.map(change => [change.path, change.kind])).toEqual([
+      ['src/a.ts', 'grow'],
+      ['src/b.ts', 'demolish'],
+    ]);
+  });
+
+  it('should keep files that are gone standing without the tracked files', () => {
+    const timelapse = new TimelapseGenerator().fromTemporalAnalysis(HISTORY);
+
+    expect(timelapse.frames[2]?.buildings.map(b => b.path)).toEqual(['src/a.ts', 'src/b.ts']);
+  });
+
+  it('should take the last commit of each week', () => {
+    const timelapse = new TimelapseGenerator({ step: 'week' }).fromTemporalAnalysis(HISTORY, ['src/a.ts']);
+
+    expect(timelapse.step).toBe('week');
+    expect(timelapse.frames.map(frame => [frame.label, frame.commit])).toEqual([
+      ['2026-W01', 'c2c2c2c2'],
+      ['2026-W02', 'c3c3c3c3'],
+    ]);
+  });
+
+  it('should thin frames evenly and keep the last', () => {
+    const timelapse = new TimelapseGenerator({ maxFrames: 2 }).fromTemporalAnalysis(HISTORY, ['src/a.ts']);
+
+    expect(timelapse.frames.map(frame => frame.commit)).toEqual(['c1c1c1c1', 'c3c3c3c3']);
+    expect(timelapse.frames.map(frame => frame.index)).toEqual([0, 1]);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for the topolop CLI: argument parsing, dispatch and exit codes
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { AnalysisEngine } from '../../src/api/analysis-engine';
+import { PathNormalizerLike } from '../../src/api/tool-issues';
+import { OptionSpec, parseArgs } from '../../src/cli/args';
+import { ExitCode, UsageError } from '../../src/cli/exit-codes';
+import { TopolopCLI } from '../../src/cli/topolop-cli';
+
+const SPECS: OptionSpec[] = [
+  { name: 'output', alias: 'o', value: true, description: 'Output file' },
+  { name: 'suppressions', description: 'Apply suppressions' },
+  { name: 'verbose', alias: 'v', description: 'Verbose' },
+];
+
+const normalizer: PathNormalizerLike = {
+  normalize: (toolPath) => ({ canonicalPath: toolPath.replace(/^\.\//, ''), confidence: 1, normalized: true }),
+};
+
+const ESLINT_OUTPUT = [{
+  filePath: './src/app.js',
+  messages: [{ ruleId: 'no-eval', severity: 2, message: 'eval can be harmful.', line: 2, column: 1 }],
+}];
+
+/**
+ * An engine whose only adapter is an installed ESLint
+ */
+function engine(): AnalysisEngine {
+  const eslint = { analyze: async () => ESLINT_OUTPUT, checkAvailability: async () => true };
+  return new AnalysisEngine({
+    adapterRegistry: {
+      secureMode: true,
+      securityValidator: {
+        validateCodebase: async () => ({ valid: true, validFiles: [{ path: 'src/app.js' }], errors: [] }),
+      },
+      getSupportedTools: () => ['eslint'],
+      getAdapter: (name: string) => (name === 'eslint' ? eslint : null),
+      detectLanguages: async () => ['javascript'],
+      getToolsForLanguage: () => ['eslint'],
+    },
+    pathNormalizer: normalizer,
+  });
+}
+
+describe('parseArgs', () => {
+  it('should read values, aliases, flags and positionals', () => {
+    expect(parseArgs(['a', '--output', 'x.json', '-v', '--no-suppressions', 'b'], SPECS)).toEqual({
+      positionals: ['a', 'b'],
+      options: { output: 'x.json', verbose: true, suppressions: false },
+    });
+    expect(parseArgs(['--output=x.json', '--', '--verbose'], SPECS)).toEqual({
+      positionals: ['--verbose'],
+      options: { output: 'x.json' },
+    });
+  });
+
+  it('should reject unknown options and misplaced values', () => {
+    expect(() => parseArgs(['--fast'], SPECS)).toThrow(new UsageError('Unknown option "--fast"'));
+    expect(() => parseArgs(['-x'], SPECS)).toThrow('Unknown option "-x"');
+    expect(() => parseArgs(['--output'], SPECS)).toThrow('Option "--output" requires a value');
+    expect(() => parseArgs(['--output', '--verbose'], SPECS)).toThrow('Option "--output" requires a value');
+    expect(() => parseArgs(['--verbose=yes'], SPECS)).toThrow('Option "--verbose" does not take a value');
+    expect(() => parseArgs(['--no-output'], SPECS)).toThrow('Unknown option "--no-output"');
+  });
+});
+
+describe('TopolopCLI', () => {
+  let projectRoot: string;
+  let stdout: string[];
+  let stderr: string[];
+  let cli: TopolopCLI;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'topolop-cli-'));
+    fs.mkdirSync(path.join(projectRoot, 'src'));
+    fs.writeFileSync(path.join(projectRoot, 'src', 'app.js'), 'const a = 1;\neval(a);\n');
+    stdout = [];
+    stderr = [];
+    cli = new TopolopCLI({
+      stdout: line => stdout.push(line),
+      stderr: line => stderr.push(line),
+      engine: engine(),
+      cwd: projectRoot,
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should print help and the version', async () => {
+    expect(await cli.run(['--version'])).toBe(ExitCode.SUCCESS);
+    expect(stdout).toEqual(['0.1.0']);
+
+    expect(await cli.run(['--help'])).toBe(ExitCode.SUCCESS);
+    expect(await cli.run([])).toBe(ExitCode.USAGE);
+    expect(stdout[1]).toMatch(/^Usage: topolop <command> \[options\]/);
+
+    expect(await cli.run(['tools'])).toBe(ExitCode.USAGE);
+    expect(stdout[3]).toMatch(/^Usage: topolop tools <list\|doctor>/);
+  });
+
+  it('should refuse unknown commands and options with the usage exit code', async () => {
+    expect(await cli.run(['deploy'])).toBe(ExitCode.USAGE);
+    expect(await cli.run(['analyze', '--fast'])).toBe(ExitCode.USAGE);
+    expect(await cli.run(['analyze', '--fail-on', 'severe'])).toBe(ExitCode.USAGE);
+
+    expect(stderr).toEqual([
+      '❌ Unknown command "deploy"',
+      'Run "topolop --help" for usage',
+      '❌ Unknown option "--fast"',
+      'Run "topolop --help" for usage',
+      '❌ Option "--fail-on" must be one of info, low, medium, high, critical',
+      'Run "topolop --help" for usage',
+    ]);
+  });
+
+  it('should treat a broken config file as a usage error', async () => {
+    fs.writeFileSync(path.join(projectRoot, 'topolop.config.json'), '{ "tools": ');
+
+    expect(await cli.run(['analyze'])).toBe(ExitCode.USAGE);
+    expect(stderr[0]).toContain('topolop.config.json');
+  });
+
+  it('should dispatch nested subcommands with global options in any position', async () => {
+    const code = await cli.run(['tools', '--project', projectRoot, 'doctor', 'eslint', 'pmd']);
+
+    expect(code).toBe(ExitCode.FAILED);
+    expect(stdout).toEqual([
+      `✅ ${'eslint'.padEnd(24)} adapter`,
+      `❌ ${'pmd'.padEnd(24)} adapter (unknown tool)`,
+      '1/2 tools available',
+    ]);
+  });
+
+  it('should write results and fail on issues at the --fail-on severity', async () => {
+    expect(await cli.run(['analyze', '--tools', 'eslint', '--fail-on', 'critical'])).toBe(ExitCode.SUCCESS);
+    expect(JSON.parse(fs.readFileSync(path.join(projectRoot, '.topolop', 'results.json'), 'utf8')).issues).toHaveLength(1);
+
+    expect(await cli.run(['analyze', '-t', 'eslint', '--fail-on', 'high', '-o', 'out.json'])).toBe(ExitCode.FAILED);
+    expect(fs.existsSync(path.join(projectRoot, 'out.json'))).toBe(true);
+    expect(stderr).toContain('❌ 1 issues at or above high');
+  });
+
+  it('should keep the snapshot layout next to the image for the next snapshot', async () => {
+    const image = path.join(projectRoot, '.topolop', 'city.svg');
+    const layoutFile = path.join(projectRoot, '.topolop', 'city.layout.json');
+    await cli.run(['analyze', '--tools', 'eslint']);
+
+    expect(await cli.run(['snapshot'])).toBe(ExitCode.SUCCESS);
+    const svg = fs.readFileSync(image, 'utf8');
+    const layout = JSON.parse(fs.readFileSync(layoutFile, 'utf8'));
+    expect(layout.buildings.map((lot: { path: string }) => lot.path)).toEqual(['src/app.js']);
+
+    fs.writeFileSync(layoutFile, '{ "version": ');
+    expect(await cli.run(['snapshot'])).toBe(ExitCode.SUCCESS);
+    expect(JSON.parse(fs.readFileSync(layoutFile, 'utf8'))).toEqual(layout);
+    expect(fs.readFileSync(image, 'utf8')).toBe(svg);
+  });
+
+  it('should report runtime failures with their own exit code', async () => {
+    expect(await cli.run(['analyze', '--project', 'missing', '--tools', 'eslint'])).toBe(ExitCode.ERROR);
+    expect(stderr[stderr.length - 1]).toMatch(/^❌ Project path ".*missing" is not a directory$/);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for WebSocket framing
+ */
+
+import { EventEmitter } from 'events';
+import { IncomingMessage } from 'http';
+import { Duplex } from 'stream';
+
+import { WebSocketConnection, acceptWebSocket } from '../../src/server/websocket';
+
+/**
+ * A socket that records what is written to it
+ */
+function fakeSocket() {
+  const written: Buffer[] = [];
+  const socket = Object.assign(new EventEmitter(), {
+    ended: false,
+    write: (data: string | Buffer) => written.push(Buffer.from(data)) > 0,
+    end: (data?: string | Buffer) => {
+      if (data !== undefined) written.push(Buffer.from(data));
+      socket.ended = true;
+    },
+    destroy: () => undefined,
+  });
+  return { socket, duplex: socket as unknown as Duplex, written };
+}
+
+/**
+ * A masked client frame
+ */
+function clientFrame(opcode: number, payload: Buffer, mask = Buffer.from([1, 2, 3, 4])): Buffer {
+  const masked = Buffer.from(payload.map((byte, index) => byte ^ mask[index % 4]!));
+  return Buffer.concat([Buffer.from([0x80 | opcode, 0x80 | payload.length]), mask, masked]);
+}
+
+describe('WebSocket', () => {
+  it('should answer the upgrade handshake', () => {
+    const { duplex, written } = fakeSocket();
+    const request = { headers: { upgrade: 'websocket', 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==' } } as unknown as IncomingMessage;
+
+    expect(acceptWebSocket(request, duplex)).toBeInstanceOf(WebSocketConnection);
+    expect(written[0]?.toString()).toContain('Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=\r\n');
+  });
+
+  it('should refuse requests that are not upgrades', () => {
+    const { socket, duplex, written } = fakeSocket();
+
+    expect(acceptWebSocket({ headers: {} } as IncomingMessage, duplex)).toBeNull();
+    expect(written[0]?.toString()).toMatch(/^HTTP\/1.1 400 /);
+    expect(socket.ended).toBe(true);
+  });
+
+  it('should frame text with the short and 16-bit lengths', () => {
+    const { duplex, written } = fakeSocket();
+    const connection = new WebSocketConnection(duplex);
+
+    connection.send('hi');
+    connection.send('x'.repeat(300));
+
+    expect(written[0]).toEqual(Buffer.from([0x81, 2, 0x68, 0x69]));
+    expect([...written[1]!.subarray(0, 4)]).toEqual([0x81, 126, 0x01, 0x2c]);
+    expect(written[1]).toHaveLength(304);
+  });
+
+  it('should answer a ping split across reads with a pong', () => {
+    const { socket, duplex, written } = fakeSocket();
+    new WebSocketConnection(duplex);
+    const frame = clientFrame(0x9, Buffer.from('ping'));
+
+    socket.emit('data', frame.subarray(0, 3));
+    expect(written).toEqual([]);
+    socket.emit('data', frame.subarray(3));
+
+    expect(written).toEqual([Buffer.from([0x8a, 4, ...Buffer.from('ping')])]);
+  });
+
+  it('should close on a client close frame and on unmasked frames', () => {
+    const closing = fakeSocket();
+    const connection = new WebSocketConnection(closing.duplex);
+    const closed = jest.fn();
+    connection.onClose(closed);
+
+    closing.socket.emit('data', clientFrame(0x8, Buffer.alloc(0)));
+
+    expect(closed).toHaveBeenCalledTimes(1);
+    expect(connection.open).toBe(false);
+    expect(closing.written).toEqual([Buffer.from([0x88, 2, 0x03, 0xe8])]);
+
+    const unmasked = fakeSocket();
+    new WebSocketConnection(unmasked.duplex);
+    unmasked.socket.emit('data', Buffer.from([0x81, 2, 0x68, 0x69]));
+
+    // 1002: protocol error
+    expect(unmasked.written).toEqual([Buffer.from([0x88, 2, 0x03, 0xea])]);
+  });
+});
@@ -6,11 +6,13 @@ import { IGraphDatabase } from '../interfaces/IGraphDatabase';
 import { DatabaseBackend } from '../interfaces/types';
 import { ConfigurationError } from '../errors';
 import { Neo4jDatabase } from './neo4j/Neo4jDatabase';
+import { SQLiteDatabase } from './sqlite/SQLiteDatabase';
+import { MemoryDatabase } from './memory/MemoryDatabase';
 
 /**
  * Create a graph database instance
  *
- * @param backend Backend type ('neo4j' or 'sqlite')
+ * @param backend Backend type ('neo4j', 'sqlite' or 'memory')
  * @returns Database instance
  *
  * @example
@@ -32,8 +34,10 @@ export function createGraphDatabase(backend?: DatabaseBackend): IGraphDatabase {
       return new Neo4jDatabase();
 
     case 'sqlite':
-      // TODO: Implement SQLiteDatabase
-      throw new ConfigurationError('SQLite backend not yet implemented');
+      return new SQLiteDatabase();
+
+    case 'memory':
+      return new MemoryDatabase();
 
     default:
       throw new ConfigurationError(`Unknown backend: ${effectiveBackend}`);
@@ -0,0 +1,236 @@
+/**
+ * In-memory implementation of IGraphDatabase
+ *
+ * Keeps the whole graph in process. Nothing is persisted: the graph lives as
+ * long as the database instance, which makes it suitable for tests and
+ * one-off analysis runs.
+ */
+
+import { IGraphDatabase, IndexDefinition } from '../../interfaces/IGraphDatabase';
+import { IGraphSession } from '../../interfaces/IGraphSession';
+import {
+  DatabaseConfig,
+  DatabaseInfo,
+  IngestRecord,
+  IngestOptions,
+  IngestProgress,
+} from '../../interfaces/types';
+import {
+  ConnectionError,
+  ConfigurationError,
+  QueryError,
+  ValidationError,
+} from '../../errors';
+import { serializeProperties, validateProperties } from '../../utils/serialization';
+import { ingestRecords } from '../../utils/ingest';
+import {
+  MemoryStore,
+  createEmptyState,
+  cloneState,
+  nodeIndexKey,
+  insertNode,
+  insertRelationship,
+} from './MemoryStore';
+import { MemorySession } from './MemorySession';
+import { MigrationRunner } from '../../migrations/MigrationRunner';
+import { createCoreMigrations } from '../../migrations/core';
+import { MigrateOptions, MigrationPlan } from '../../migrations/types';
+
+/**
+ * Reported by getInfo(); bumped when the in-memory data model changes
+ */
+const MEMORY_BACKEND_VERSION = '1.0.0';
+
+export class MemoryDatabase implements IGraphDatabase {
+  private store: MemoryStore | null = null;
+  private connected = false;
+
+  // ========================================
+  // Connection Management
+  // ========================================
+
+  async connect(config: DatabaseConfig): Promise<void> {
+    if (config.backend !== 'memory') {
+      throw new ConfigurationError('Invalid backend for MemoryDatabase');
+    }
+
+    this.store = { state: createEmptyState(), version: 0 };
+    this.connected = true;
+  }
+
+  async disconnect(): Promise<void> {
+    this.store = null;
+    this.connected = false;
+  }
+
+  isConnected(): boolean {
+    return this.connected;
+  }
+
+  async ping(): Promise<boolean> {
+    return this.connected;
+  }
+
+  async getInfo(): Promise<DatabaseInfo> {
+    this.ensureConnected();
+
+    return {
+      backend: 'memory',
+      version: MEMORY_BACKEND_VERSION,
+      connected: this.connected,
+      nodeCount: this.store!.state.nodes.size,
+      relationshipCount: this.store!.state.relationships.size,
+    };
+  }
+
+  // ========================================
+  // Session Management
+  // ========================================
+
+  session(): IGraphSession {
+    this.ensureConnected();
+
+    return new MemorySession(this.store!);
+  }
+
+  async ingest(
+    source: AsyncIterable<IngestRecord> | Iterable<IngestRecord>,
+    options?: IngestOptions
+  ): Promise<IngestProgress> {
+    this.ensureConnected();
+
+    return ingestRecords(this, source, options);
+  }
+
+  // ========================================
+  // Database Maintenance
+  // ========================================
+
+  async clear(): Promise<void> {
+    this.ensureConnected();
+
+    this.store!.state = createEmptyState();
+    this.store!.version++;
+  }
+
+  async migrate(version?: string, options: MigrateOptions = {}): Promise<MigrationPlan> {
+    this.ensureConnected();
+
+    const runner = new MigrationRunner(this, options.migrations ?? createCoreMigrations());
+    return runner.migrate(version, { dryRun: options.dryRun });
+  }
+
+  async createIndexes(definitions: IndexDefinition[]): Promise<void> {
+    this.ensureConnected();
+
+    // Node lookups by (label, id) are already hash-based and property
+    // filters scan a single label, so index definitions are only validated.
+    for (const def of definitions) {
+      if (!def.label || def.properties.length === 0) {
+        throw new ValidationError('Index definitions need a label and at least one property', 'properties');
+      }
+    }
+  }
+
+  async export(format: 'json' | 'cypher' | 'graphml'): Promise<string> {
+    this.ensureConnected();
+
+    if (format !== 'json') {
+      throw new ConfigurationError(`Export format "${format}" not yet implemented`);
+    }
+
+    const state = this.store!.state;
+
+    const nodes = [...state.nodes.values()].map((node) => ({
+      labels: [node.label],
+      properties: node.properties,
+    }));
+
+    const relationships = [...state.relationships.values()].map((rel) => {
+      const from = state.nodes.get(rel.fromKey)!;
+      const to = state.nodes.get(rel.toKey)!;
+      return {
+        type: rel.type,
+        from: { label: from.label, id: from.id },
+        to: { label: to.label, id: to.id },
+        properties: rel.properties,
+      };
+    });
+
+    return JSON.stringify({ nodes, relationships }, null, 2);
+  }
+
+  async import(data: string, format: 'json' | 'cypher' | 'graphml'): Promise<void> {
+    this.ensureConnected();
+
+    if (format !== 'json') {
+      throw new ConfigurationError(`Import format "${format}" not yet implemented`);
+    }
+
+    let parsed: any;
+    try {
+      parsed = JSON.parse(data);
+    } catch (error) {
+      throw new QueryError(
+        `Failed to import database: ${(error as Error).message}`,
+        undefined,
+        undefined,
+        error as Error
+      );
+    }
+
+    // Import into a copy so a bad document leaves the graph untouched
+    const state = cloneState(this.store!.state);
+
+    for (const node of parsed.nodes || []) {
+      const properties = node.properties || {};
+      validateProperties(properties);
+
+      if (properties.id === undefined || properties.id === null) {
+        throw new ValidationError('Imported node is missing an "id" property', 'id');
+      }
+
+      const label = node.labels?.[0] || 'Node';
+      const id = String(properties.id);
+
+      if (state.nodeIndex.has(nodeIndexKey(label, id))) {
+        throw new QueryError(`Failed to import database: ${label} node "${id}" already exists`);
+      }
+
+      insertNode(state, label, id, serializeProperties(properties));
+    }
+
+    for (const rel of parsed.relationships || []) {
+      if (!rel.from || !rel.to) {
+        throw new ValidationError(`Imported relationship "${rel.type}" is missing its endpoints`, 'from');
+      }
+
+      const properties = rel.properties || {};
+      validateProperties(properties);
+
+      const fromKey = state.nodeIndex.get(nodeIndexKey(rel.from.label, String(rel.from.id)));
+      const toKey = state.nodeIndex.get(nodeIndexKey(rel.to.label, String(rel.to.id)));
+
+      if (fromKey === undefined || toKey === undefined) {
+        throw new ValidationError(
+          `Imported relationship "${rel.type}" references unknown node ${rel.from.label}:${rel.from.id} or ${rel.to.label}:${rel.to.id}`
+        );
+      }
+
+      insertRelationship(state, rel.type, fromKey, toKey, serializeProperties(properties));
+    }
+
+    this.store!.state = state;
+    this.store!.version++;
+  }
+
+  // ========================================
+  // Private Helper Methods
+  // ========================================
+
+  private ensureConnected(): void {
+    if (!this.connected || !this.store) {
+      throw new ConnectionError('Not connected to memory database');
+    }
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Evaluates GraphQuery objects directly against a MemoryGraphState
+ */
+
+import { AggregateRow, Aggregation, Condition, FieldRef, GraphQuery, Ordering } from '../../query/types';
+import { isAggregateQuery, validateQuery } from '../../query/validation';
+import { MemoryGraphState, StoredNode } from './MemoryStore';
+
+/**
+ * Start node and (when traversing) target node of one match
+ */
+interface Match {
+  start: StoredNode;
+  end?: StoredNode;
+}
+
+/**
+ * Evaluate a query, returning stored nodes for node queries and aggregate
+ * rows otherwise. Semantics follow the SQLite compiler so the two embedded
+ * backends agree.
+ */
+export function evaluateQuery(
+  state: MemoryGraphState,
+  query: GraphQuery
+): { nodes: StoredNode[] } | { rows: AggregateRow[] } {
+  validateQuery(query);
+
+  const starts = [...state.nodes.values()].filter(
+    (node) => node.label === query.start.label && matchesAll(node, query.start.where)
+  );
+
+  let matches: Match[] = starts.map((start) => ({ start }));
+  if (query.traverse) {
+    matches = traverse(state, starts, query);
+  }
+
+  if (isAggregateQuery(query)) {
+    const rows = aggregate(matches, query);
+    sortBy(rows, query.orderBy, (row, ordering) => row[(ordering as { column: string }).column]);
+    return { rows: paginate(rows, query) };
+  }
+
+  const seen = new Set<number>();
+  const nodes: StoredNode[] = [];
+  for (const match of matches) {
+    const node = match.end ?? match.start;
+    if (!seen.has(node.key)) {
+      seen.add(node.key);
+      nodes.push(node);
+    }
+  }
+
+  sortBy(nodes, query.orderBy, (node, ordering) =>
+    node.properties[(ordering as { field: FieldRef }).field.property]
+  );
+  return { nodes: paginate(nodes, query) };
+}
+
+function traverse(state: MemoryGraphState, starts: StoredNode[], query: GraphQuery): Match[] {
+  const traversal = query.traverse!;
+  const types = new Set(traversal.types);
+
+  const adjacency = new Map<number, number[]>();
+  const link = (src: number, dst: number) => {
+    const list = adjacency.get(src);
+    if (list) {
+      list.push(dst);
+    } else {
+      adjacency.set(src, [dst]);
+    }
+  };
+
+  for (const rel of state.relationships.values()) {
+    if (types.size > 0 && !types.has(rel.type)) continue;
+    if (traversal.direction !== 'in') link(rel.fromKey, rel.toKey);
+    if (traversal.direction !== 'out') link(rel.toKey, rel.fromKey);
+  }
+
+  const matches: Match[] = [];
+
+  for (const start of starts) {
+    // Breadth-first over (node, depth) states, like the SQLite walk
+    const reached = new Set<number>();
+    let frontier = new Set([start.key]);
+
+    for (let depth = 1; depth <= traversal.maxDepth && frontier.size > 0; depth++) {
+      const next = new Set<number>();
+      for (const key of frontier) {
+        for (const dst of adjacency.get(key) ?? []) {
+          next.add(dst);
+        }
+      }
+
+      if (depth >= traversal.minDepth) {
+        for (const key of next) reached.add(key);
+      }
+      frontier = next;
+    }
+
+    for (const key of reached) {
+      const end = state.nodes.get(key)!;
+      if (traversal.target.label && end.label !== traversal.target.label) continue;
+      if (!matchesAll(end, traversal.target.where)) continue;
+      matches.push({ start, end });
+    }
+  }
+
+  return matches;
+}
+
+function aggregate(matches: Match[], query: GraphQuery): AggregateRow[] {
+  const groups = new Map<string, Match[]>();
+
+  for (const match of matches) {
+    const key = JSON.stringify(query.groupBy.map((g) => fieldValue(match, g.field) ?? null));
+    const group = groups.get(key);
+    if (group) {
+      group.push(match);
+    } else {
+      groups.set(key, [match]);
+    }
+  }
+
+  // An ungrouped aggregate always yields one row, even over no matches
+  if (query.groupBy.length === 0 && groups.size === 0) {
+    groups.set('[]', []);
+  }
+
+  return [...groups.values()].map((group) => {
+    const row: AggregateRow = {};
+    for (const grouping of query.groupBy) {
+      row[grouping.alias] = fieldValue(group[0]!, grouping.field) ?? null;
+    }
+    for (const aggregation of query.aggregations) {
+      row[aggregation.alias] = aggregateValue(group, aggregation);
+    }
+    return row;
+  });
+}
+
+function aggregateValue(group: Match[], aggregation: Aggregation): unknown {
+  if (!aggregation.field) {
+    return group.length;
+  }
+
+  const values = group
+    .map((match) => fieldValue(match, aggregation.field!))
+    .filter((value) => value !== undefined && value !== null);
+
+  switch (aggregation.fn) {
+    case 'count':
+      return values.length;
+    case 'sum':
+      return values.reduce((total: number, value) => total + Number(value), 0);
+    case 'avg':
+      return values.length === 0
+        ? null
+        : values.reduce((total: number, value) => total + Number(value), 0) / values.length;
+    case 'min':
+      return values.length === 0 ? null : values.reduce((a, b) => (compareValues(b, a) < 0 ? b : a));
+    case 'max':
+      return values.length === 0 ? null : values.reduce((a, b) => (compareValues(b, a) > 0 ? b : a));
+  }
+}
+
+function fieldValue(match: Match, field: FieldRef): unknown {
+  const node = field.node === 'start' ? match.start : match.end;
+  return node?.properties[field.property];
+}
+
+function matchesAll(node: StoredNode, conditions: Condition[]): boolean {
+  return conditions.every((condition) => matchesCondition(node.properties[condition.property], condition));
+}
+
+function matchesCondition(actual: unknown, condition: Condition): boolean {
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+
+  const expected = condition.value;
+
+  switch (condition.operator) {
+    case 'exists':
+      return true;
+    case '=':
+      return actual === expected;
+    case '<>':
+      return actual !== expected;
+    case '<':
+      return comparable(actual, expected) && compareValues(actual, expected) < 0;
+    case '<=':
+      return comparable(actual, expected) && compareValues(actual, expected) <= 0;
+    case '>':
+      return comparable(actual, expected) && compareValues(actual, expected) > 0;
+    case '>=':
+      return comparable(actual, expected) && compareValues(actual, expected) >= 0;
+    case 'in':
+      return (expected as unknown[]).includes(actual);
+    case 'contains':
+      return typeof actual === 'string' && actual.includes(expected as string);
+    case 'startsWith':
+      return typeof actual === 'string' && actual.startsWith(expected as string);
+  }
+}
+
+function comparable(a: unknown, b: unknown): boolean {
+  return typeof a === typeof b;
+}
+
+function compareValues(a: unknown, b: unknown): number {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+/**
+ * Stable sort with Cypher's null placement: last ascending, first descending
+ */
+function sortBy<T>(items: T[], orderings: Ordering[], value: (item: T, ordering: Ordering) => unknown): void {
+  if (orderings.length === 0) {
+    return;
+  }
+
+  items.sort((a, b) => {
+    for (const ordering of orderings) {
+      const left = value(a, ordering);
+      const right = value(b, ordering);
+      const leftMissing = left === undefined || left === null;
+      const rightMissing = right === undefined || right === null;
+
+      let diff: number;
+      if (leftMissing || rightMissing) {
+        diff = leftMissing === rightMissing ? 0 : leftMissing ? 1 : -1;
+      } else {
+        diff = compareValues(left, right);
+      }
+
+      if (diff !== 0) {
+        return ordering.direction === 'asc' ? diff : -diff;
+      }
+    }
+    return 0;
+  });
+}
+
+function paginate<T>(items: T[], query: GraphQuery): T[] {
+  const skip = query.skip ?? 0;
+  return query.limit === undefined ? items.slice(skip) : items.slice(skip, skip + query.limit);
+}
@@ -0,0 +1,606 @@
+/**
+ * In-memory implementation of IGraphSession
+ */
+
+import { randomUUID } from 'crypto';
+import { IGraphSession } from '../../interfaces/IGraphSession';
+import {
+  GraphNode,
+  GraphRelationship,
+  NodeReference,
+  RelationshipInput,
+  GraphPath,
+  QueryResult,
+  PathSegment,
+} from '../../interfaces/types';
+import {
+  QueryError,
+  NotFoundError,
+  TransactionError,
+  ValidationError,
+} from '../../errors';
+import {
+  serializeProperties,
+  deserializeProperties,
+  validateProperties,
+} from '../../utils/serialization';
+import { GraphQuery } from '../../query/types';
+import { evaluateQuery } from './MemoryQueryEvaluator';
+import {
+  MemoryStore,
+  MemoryGraphState,
+  StoredNode,
+  StoredRelationship,
+  cloneState,
+  nodeIndexKey,
+  insertNode,
+  insertRelationship,
+} from './MemoryStore';
+
+/**
+ * Maximum number of paths returned by allPaths, matching the other backends
+ */
+const MAX_PATHS = 100;
+
+/**
+ * Partial path used while walking the graph
+ */
+interface Walk {
+  nodeKeys: number[];
+  relIds: number[];
+}
+
+/**
+ * Session over a MemoryStore.
+ *
+ * Reads see the committed graph until the first write, at which point the
+ * session takes a private snapshot and works on it. Commit publishes the
+ * snapshot, rollback simply discards it. A commit fails if another session
+ * committed in between, so concurrent writers never silently overwrite each
+ * other.
+ */
+export class MemorySession implements IGraphSession {
+  private active = true;
+  private working: MemoryGraphState | null = null;
+  private baseVersion: number;
+
+  constructor(private readonly store: MemoryStore) {
+    this.baseVersion = store.version;
+  }
+
+  // ========================================
+  // Node Operations
+  // ========================================
+
+  async createNode(label: string, properties: Record<string, unknown>): Promise<GraphNode> {
+    this.ensureActive();
+    validateProperties(properties);
+
+    const serialized = serializeProperties(properties);
+    if (serialized.id === undefined) {
+      serialized.id = randomUUID();
+    }
+
+    const id = String(serialized.id);
+    const state = this.writable();
+
+    if (state.nodeIndex.has(nodeIndexKey(label, id))) {
+      throw new QueryError(`Failed to create node: ${label} node "${id}" already exists`);
+    }
+
+    return this.convertNode(insertNode(state, label, id, serialized));
+  }
+
+  async getNode(label: string, id: string): Promise<GraphNode | null> {
+    this.ensureActive();
+
+    const node = this.lookup(this.readable(), { label, id });
+    return node ? this.convertNode(node) : null;
+  }
+
+  async updateNode(label: string, id: string, properties: Record<string, unknown>): Promise<GraphNode> {
+    this.ensureActive();
+    validateProperties(properties);
+
+    if (!this.lookup(this.readable(), { label, id })) {
+      throw new NotFoundError(`Node not found`, label, id);
+    }
+
+    const serialized = serializeProperties(properties);
+    const newId = serialized.id !== undefined ? String(serialized.id) : id;
+    if (newId !== id && this.readable().nodeIndex.has(nodeIndexKey(label, newId))) {
+      throw new QueryError(`Failed to update node: ${label} node "${newId}" already exists`);
+    }
+
+    const state = this.writable();
+    const node = this.lookup(state, { label, id })!;
+
+    node.properties = { ...node.properties, ...serialized };
+
+    if (serialized.id !== undefined && String(serialized.id) !== node.id) {
+      state.nodeIndex.delete(nodeIndexKey(label, node.id));
+      node.id = String(serialized.id);
+      state.nodeIndex.set(nodeIndexKey(label, node.id), node.key);
+    }
+
+    return this.convertNode(node);
+  }
+
+  async deleteNode(label: string, id: string): Promise<void> {
+    this.ensureActive();
+
+    if (!this.lookup(this.readable(), { label, id })) {
+      return;
+    }
+
+    const state = this.writable();
+    const node = this.lookup(state, { label, id })!;
+
+    for (const [relId, rel] of state.relationships) {
+      if (rel.fromKey === node.key || rel.toKey === node.key) {
+        state.relationships.delete(relId);
+      }
+    }
+
+    state.nodes.delete(node.key);
+    state.nodeIndex.delete(nodeIndexKey(label, id));
+  }
+
+  async findNodes(label: string, filter?: Record<string, unknown>): Promise<GraphNode[]> {
+    this.ensureActive();
+
+    let serialized: Record<string, unknown> = {};
+    if (filter && Object.keys(filter).length > 0) {
+      validateProperties(filter);
+      serialized = serializeProperties(filter);
+    }
+
+    const matches: GraphNode[] = [];
+    for (const node of this.readable().nodes.values()) {
+      if (node.label !== label) continue;
+
+      const isMatch = Object.entries(serialized).every(([key, value]) =>
+        propertyEquals(node.properties[key], value)
+      );
+
+      if (isMatch) {
+        matches.push(this.convertNode(node));
+      }
+    }
+
+    return matches;
+  }
+
+  // ========================================
+  // Relationship Operations
+  // ========================================
+
+  async createRelationship(
+    from: NodeReference,
+    type: string,
+    to: NodeReference,
+    properties?: Record<string, unknown>
+  ): Promise<GraphRelationship> {
+    this.ensureActive();
+
+    if (properties) {
+      validateProperties(properties);
+    }
+
+    const serialized = properties ? serializeProperties(properties) : {};
+    const state = this.readable();
+
+    const fromNode = this.lookup(state, from);
+    if (!fromNode) {
+      throw new NotFoundError(`Source node not found`, from.label, from.id);
+    }
+
+    const toNode = this.lookup(state, to);
+    if (!toNode) {
+      throw new NotFoundError(`Target node not found`, to.label, to.id);
+    }
+
+    const rel = insertRelationship(this.writable(), type, fromNode.key, toNode.key, serialized);
+    return this.convertRelationship(this.readable(), rel);
+  }
+
+  async getRelationships(from: NodeReference, type: string): Promise<GraphRelationship[]> {
+    this.ensureActive();
+
+    const state = this.readable();
+    const fromNode = this.lookup(state, from);
+    if (!fromNode) {
+      return [];
+    }
+
+    const rels: GraphRelationship[] = [];
+    for (const rel of state.relationships.values()) {
+      if (rel.fromKey === fromNode.key && rel.type === type) {
+        rels.push(this.convertRelationship(state, rel));
+      }
+    }
+
+    return rels;
+  }
+
+  async deleteRelationship(relationshipId: string): Promise<void> {
+    this.ensureActive();
+
+    const relId = parseInt(relationshipId, 10);
+    if (!this.readable().relationships.has(relId)) {
+      return;
+    }
+
+    this.writable().relationships.delete(relId);
+  }
+
+  // ========================================
+  // Batch Operations
+  // ========================================
+
+  async createNodes(label: string, nodes: Record<string, unknown>[]): Promise<GraphNode[]> {
+    this.ensureActive();
+
+    // Check the whole batch before touching the snapshot so a failing batch
+    // writes nothing
+    const state = this.readable();
+    const batchIds = new Set<string>();
+    const prepared = nodes.map((properties) => {
+      validateProperties(properties);
+
+      const serialized = serializeProperties(properties);
+      if (serialized.id === undefined) {
+        serialized.id = randomUUID();
+      }
+
+      const id = String(serialized.id);
+      if (batchIds.has(id) || state.nodeIndex.has(nodeIndexKey(label, id))) {
+        throw new QueryError(`Failed to create nodes: ${label} node "${id}" already exists`);
+      }
+      batchIds.add(id);
+
+      return { id, serialized };
+    });
+
+    if (prepared.length === 0) {
+      return [];
+    }
+
+    const writable = this.writable();
+    return prepared.map(({ id, serialized }) => this.convertNode(insertNode(writable, label, id, serialized)));
+  }
+
+  async mergeNodes(label: string, nodes: Record<string, unknown>[]): Promise<GraphNode[]> {
+    this.ensureActive();
+
+    const prepared = nodes.map((properties) => {
+      validateProperties(properties);
+
+      const serialized = serializeProperties(properties);
+      if (serialized.id === undefined) {
+        throw new ValidationError('mergeNodes requires an "id" property on every node', 'id');
+      }
+
+      return { id: String(serialized.id), serialized };
+    });
+
+    if (prepared.length === 0) {
+      return [];
+    }
+
+    const state = this.writable();
+    return prepared.map(({ id, serialized }) => {
+      const existing = this.lookup(state, { label, id });
+
+      if (!existing) {
+        return this.convertNode(insertNode(state, label, id, serialized));
+      }
+
+      existing.properties = { ...existing.properties, ...serialized };
+      return this.convertNode(existing);
+    });
+  }
+
+  async createRelationships(type: string, relationships: RelationshipInput[]): Promise<GraphRelationship[]> {
+    this.ensureActive();
+
+    const state = this.readable();
+    const prepared = relationships.map(({ from, to, properties }) => {
+      if (properties) {
+        validateProperties(properties);
+      }
+
+      const fromNode = this.lookup(state, from);
+      if (!fromNode) {
+        throw new NotFoundError(`Source node not found`, from.label, from.id);
+      }
+
+      const toNode = this.lookup(state, to);
+      if (!toNode) {
+        throw new NotFoundError(`Target node not found`, to.label, to.id);
+      }
+
+      return {
+        fromKey: fromNode.key,
+        toKey: toNode.key,
+        serialized: properties ? serializeProperties(properties) : {},
+      };
+    });
+
+    if (prepared.length === 0) {
+      return [];
+    }
+
+    const writable = this.writable();
+    return prepared.map(({ fromKey, toKey, serialized }) =>
+      this.convertRelationship(writable, insertRelationship(writable, type, fromKey, toKey, serialized))
+    );
+  }
+
+  // ========================================
+  // Graph Query Operations
+  // ========================================
+
+  async shortestPath(from: string, to: string): Promise<GraphPath | null> {
+    this.ensureActive();
+
+    const [path] = this.walkUndirected(from, to, Number.MAX_SAFE_INTEGER, 1, true);
+    return path ?? null;
+  }
+
+  async allPaths(from: string, to: string, maxDepth = 10): Promise<GraphPath[]> {
+    this.ensureActive();
+
+    return this.walkUndirected(from, to, maxDepth, MAX_PATHS);
+  }
+
+  async reachableFrom(nodeId: string): Promise<GraphNode[]> {
+    this.ensureActive();
+
+    const state = this.readable();
+    return [...this.reachableKeys(state, nodeId)].map((key) => this.convertNode(state.nodes.get(key)!));
+  }
+
+  async hasPath(from: string, to: string): Promise<boolean> {
+    this.ensureActive();
+
+    const state = this.readable();
+    for (const key of this.reachableKeys(state, from)) {
+      if (state.nodes.get(key)!.id === to) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  async query<T>(query: GraphQuery<T>): Promise<T[]> {
+    this.ensureActive();
+
+    const result = evaluateQuery(this.readable(), query);
+    return ('rows' in result ? result.rows : result.nodes.map((node) => this.convertNode(node))) as T[];
+  }
+
+  async rawQuery<T = unknown>(query: string, params?: Record<string, unknown>): Promise<QueryResult<T>> {
+    this.ensureActive();
+
+    throw new QueryError('Raw queries are not supported by the memory backend', query, params);
+  }
+
+  // ========================================
+  // Transaction Control
+  // ========================================
+
+  async commit(): Promise<void> {
+    this.ensureActive();
+
+    if (this.working) {
+      if (this.store.version !== this.baseVersion) {
+        throw new TransactionError(
+          'Failed to commit transaction: the graph was modified by another session'
+        );
+      }
+
+      this.store.state = this.working;
+      this.store.version++;
+      this.working = null;
+    }
+
+    this.active = false;
+  }
+
+  async rollback(): Promise<void> {
+    this.ensureActive();
+
+    this.working = null;
+    this.active = false;
+  }
+
+  async close(): Promise<void> {
+    if (!this.active) {
+      return;
+    }
+
+    // Auto-commit if not already committed/rolled back
+    try {
+      await this.commit();
+    } catch (error) {
+      // Ignore commit errors on close
+    }
+
+    this.working = null;
+    this.active = false;
+  }
+
+  isActive(): boolean {
+    return this.active;
+  }
+
+  // ========================================
+  // Private Helper Methods
+  // ========================================
+
+  private ensureActive(): void {
+    if (!this.active) {
+      throw new TransactionError('Session is not active');
+    }
+  }
+
+  /**
+   * State visible to this session: its own snapshot once it has written,
+   * the committed graph otherwise
+   */
+  private readable(): MemoryGraphState {
+    return this.working ?? this.store.state;
+  }
+
+  /**
+   * Private snapshot for writes, taken from the committed graph on first use
+   */
+  private writable(): MemoryGraphState {
+    if (!this.working) {
+      this.working = cloneState(this.store.state);
+      this.baseVersion = this.store.version;
+    }
+    return this.working;
+  }
+
+  private lookup(state: MemoryGraphState, ref: NodeReference): StoredNode | undefined {
+    const key = state.nodeIndex.get(nodeIndexKey(ref.label, ref.id));
+    return key === undefined ? undefined : state.nodes.get(key);
+  }
+
+  private keysWithId(state: MemoryGraphState, id: string): number[] {
+    const keys: number[] = [];
+    for (const node of state.nodes.values()) {
+      if (node.id === id) keys.push(node.key);
+    }
+    return keys;
+  }
+
+  /**
+   * Keys of every node reachable by following outgoing relationships
+   */
+  private reachableKeys(state: MemoryGraphState, nodeId: string): Set<number> {
+    const outgoing = new Map<number, number[]>();
+    for (const rel of state.relationships.values()) {
+      const targets = outgoing.get(rel.fromKey) ?? [];
+      targets.push(rel.toKey);
+      outgoing.set(rel.fromKey, targets);
+    }
+
+    const reached = new Set<number>();
+    const queue = this.keysWithId(state, nodeId).flatMap((key) => outgoing.get(key) ?? []);
+
+    while (queue.length > 0) {
+      const key = queue.shift()!;
+      if (reached.has(key)) continue;
+      reached.add(key);
+      queue.push(...(outgoing.get(key) ?? []));
+    }
+
+    return reached;
+  }
+
+  /**
+   * Breadth-first enumeration of simple paths, ignoring relationship
+   * direction like Neo4j's `-[*]-` pattern. Paths come out shortest first.
+   * With `visitOnce` every node is expanded at most once, which is enough
+   * (and linear) when only the shortest path is wanted.
+   */
+  private walkUndirected(
+    from: string,
+    to: string,
+    maxDepth: number,
+    limit: number,
+    visitOnce = false
+  ): GraphPath[] {
+    const state = this.readable();
+
+    const adjacency = new Map<number, Array<{ key: number; relId: number }>>();
+    const link = (src: number, dst: number, relId: number): void => {
+      const neighbours = adjacency.get(src) ?? [];
+      neighbours.push({ key: dst, relId });
+      adjacency.set(src, neighbours);
+    };
+    for (const rel of state.relationships.values()) {
+      link(rel.fromKey, rel.toKey, rel.id);
+      link(rel.toKey, rel.fromKey, rel.id);
+    }
+
+    const paths: GraphPath[] = [];
+    const queue: Walk[] = this.keysWithId(state, from).map((key) => ({ nodeKeys: [key], relIds: [] }));
+    const visited = new Set<number>(queue.map((walk) => walk.nodeKeys[0]!));
+
+    while (queue.length > 0 && paths.length < limit) {
+      const walk = queue.shift()!;
+      const current = walk.nodeKeys[walk.nodeKeys.length - 1]!;
+
+      if (walk.relIds.length > 0 && state.nodes.get(current)!.id === to) {
+        paths.push(this.convertPath(state, walk));
+        continue;
+      }
+
+      if (walk.relIds.length >= maxDepth) continue;
+
+      for (const next of adjacency.get(current) ?? []) {
+        if (walk.nodeKeys.includes(next.key)) continue;
+        if (visitOnce) {
+          if (visited.has(next.key) && state.nodes.get(next.key)!.id !== to) continue;
+          visited.add(next.key);
+        }
+        queue.push({
+          nodeKeys: [...walk.nodeKeys, next.key],
+          relIds: [...walk.relIds, next.relId],
+        });
+      }
+    }
+
+    return paths;
+  }
+
+  private convertNode(node: StoredNode): GraphNode {
+    return {
+      id: node.id,
+      label: node.label,
+      properties: deserializeProperties(node.properties),
+    };
+  }
+
+  private convertRelationship(state: MemoryGraphState, rel: StoredRelationship): GraphRelationship {
+    return {
+      id: rel.id.toString(),
+      type: rel.type,
+      from: state.nodes.get(rel.fromKey)!.id,
+      to: state.nodes.get(rel.toKey)!.id,
+      properties: deserializeProperties(rel.properties),
+    };
+  }
+
+  private convertPath(state: MemoryGraphState, walk: Walk): GraphPath {
+    const segments: PathSegment[] = walk.nodeKeys.map((key, idx) => {
+      const relId = walk.relIds[idx];
+      return {
+        node: this.convertNode(state.nodes.get(key)!),
+        relationship: relId !== undefined
+          ? this.convertRelationship(state, state.relationships.get(relId)!)
+          : undefined,
+      };
+    });
+
+    return {
+      segments,
+      length: walk.relIds.length,
+    };
+  }
+}
+
+/**
+ * Compare a stored (serialized) property with a serialized filter value
+ */
+function propertyEquals(stored: unknown, expected: unknown): boolean {
+  if (Array.isArray(expected)) {
+    return Array.isArray(stored) && JSON.stringify(stored) === JSON.stringify(expected);
+  }
+  return stored === expected;
+}
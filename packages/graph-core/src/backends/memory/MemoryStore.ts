@@ -0,0 +1,116 @@
+/**
+ * In-process graph state shared by MemoryDatabase and its sessions
+ */
+
+/**
+ * Stored node; properties are kept in serialized form, exactly as the other
+ * backends persist them
+ */
+export interface StoredNode {
+  key: number;
+  id: string;
+  label: string;
+  properties: Record<string, unknown>;
+}
+
+/**
+ * Stored relationship between two node keys
+ */
+export interface StoredRelationship {
+  id: number;
+  type: string;
+  fromKey: number;
+  toKey: number;
+  properties: Record<string, unknown>;
+}
+
+/**
+ * A complete, independently mutable copy of the graph
+ */
+export interface MemoryGraphState {
+  nodes: Map<number, StoredNode>;
+  nodeIndex: Map<string, number>;
+  relationships: Map<number, StoredRelationship>;
+  nextNodeKey: number;
+  nextRelationshipId: number;
+}
+
+/**
+ * Committed graph plus a version counter used to detect conflicting commits
+ */
+export interface MemoryStore {
+  state: MemoryGraphState;
+  version: number;
+}
+
+export function createEmptyState(): MemoryGraphState {
+  return {
+    nodes: new Map(),
+    nodeIndex: new Map(),
+    relationships: new Map(),
+    nextNodeKey: 1,
+    nextRelationshipId: 1,
+  };
+}
+
+/**
+ * Copy a graph state so that mutations of the copy never leak into the source.
+ * Serialized property values are primitives or primitive arrays and are never
+ * mutated in place, so a shallow copy of each property bag is enough.
+ */
+export function cloneState(state: MemoryGraphState): MemoryGraphState {
+  const nodes = new Map<number, StoredNode>();
+  for (const [key, node] of state.nodes) {
+    nodes.set(key, { ...node, properties: { ...node.properties } });
+  }
+
+  const relationships = new Map<number, StoredRelationship>();
+  for (const [id, rel] of state.relationships) {
+    relationships.set(id, { ...rel, properties: { ...rel.properties } });
+  }
+
+  return {
+    nodes,
+    nodeIndex: new Map(state.nodeIndex),
+    relationships,
+    nextNodeKey: state.nextNodeKey,
+    nextRelationshipId: state.nextRelationshipId,
+  };
+}
+
+/**
+ * Index key for the (label, id) pair that identifies a node
+ */
+export function nodeIndexKey(label: string, id: string): string {
+  return `${label}\u0000${id}`;
+}
+
+/**
+ * Insert a node into a state, returning the stored node
+ */
+export function insertNode(
+  state: MemoryGraphState,
+  label: string,
+  id: string,
+  properties: Record<string, unknown>
+): StoredNode {
+  const node: StoredNode = { key: state.nextNodeKey++, id, label, properties };
+  state.nodes.set(node.key, node);
+  state.nodeIndex.set(nodeIndexKey(label, id), node.key);
+  return node;
+}
+
+/**
+ * Insert a relationship into a state, returning the stored relationship
+ */
+export function insertRelationship(
+  state: MemoryGraphState,
+  type: string,
+  fromKey: number,
+  toKey: number,
+  properties: Record<string, unknown>
+): StoredRelationship {
+  const rel: StoredRelationship = { id: state.nextRelationshipId++, type, fromKey, toKey, properties };
+  state.relationships.set(rel.id, rel);
+  return rel;
+}
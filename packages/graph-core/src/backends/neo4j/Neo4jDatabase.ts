@@ -2,15 +2,35 @@
  * Neo4j implementation of IGraphDatabase
  */
 
-import neo4j, { Driver, Session as Neo4jSession } from 'neo4j-driver';
+import neo4j, { Driver, Session as Neo4jSession, ManagedTransaction } from 'neo4j-driver';
 import { IGraphDatabase, IndexDefinition } from '../../interfaces/IGraphDatabase';
 import { IGraphSession } from '../../interfaces/IGraphSession';
-import { DatabaseConfig, DatabaseInfo } from '../../interfaces/types';
+import {
+  DatabaseConfig,
+  DatabaseInfo,
+  GraphSnapshot,
+  IngestRecord,
+  IngestOptions,
+  IngestProgress,
+} from '../../interfaces/types';
 import {
   ConnectionError,
   ConfigurationError,
   QueryError,
+  ValidationError,
 } from '../../errors';
+import { validateProperties } from '../../utils/serialization';
+import { ingestRecords } from '../../utils/ingest';
+import { MigrationRunner } from '../../migrations/MigrationRunner';
+import { createCoreMigrations } from '../../migrations/core';
+import { MigrateOptions, MigrationPlan } from '../../migrations/types';
+import { toGraphML, parseGraphML } from '../../utils/graphml';
+import {
+  IMPORT_ID_PROPERTY,
+  escapeIdentifier,
+  toCypherScript,
+  splitCypherStatements,
+} from '../../utils/cypher';
 import { Neo4jSession as GraphCoreNeo4jSession } from './Neo4jSession';
 
 export class Neo4jDatabase implements IGraphDatabase {
@@ -139,6 +159,15 @@ export class Neo4jDatabase implements IGraphDatabase {
     return new GraphCoreNeo4jSession(neo4jSession);
   }
 
+  async ingest(
+    source: AsyncIterable<IngestRecord> | Iterable<IngestRecord>,
+    options?: IngestOptions
+  ): Promise<IngestProgress> {
+    this.ensureConnected();
+
+    return ingestRecords(this, source, options);
+  }
+
   // ========================================
   // Database Maintenance
   // ========================================
@@ -162,15 +191,11 @@ export class Neo4jDatabase implements IGraphDatabase {
     }
   }
 
-  async migrate(version?: string): Promise<void> {
+  async migrate(version?: string, options: MigrateOptions = {}): Promise<MigrationPlan> {
     this.ensureConnected();
 
-    // For now, just ensure basic indexes exist
-    // In the future, this could run migration scripts based on version
-    await this.createIndexes([
-      { label: 'State', properties: ['id'] },
-      { label: 'User', properties: ['id'] },
-    ]);
+    const runner = new MigrationRunner(this, options.migrations ?? createCoreMigrations());
+    return runner.migrate(version, { dryRun: options.dryRun });
   }
 
   async createIndexes(definitions: IndexDefinition[]): Promise<void> {
@@ -206,13 +231,21 @@ export class Neo4jDatabase implements IGraphDatabase {
   async export(format: 'json' | 'cypher' | 'graphml'): Promise<string> {
     this.ensureConnected();
 
-    if (format !== 'json') {
-      throw new ConfigurationError(`Export format "${format}" not yet implemented`);
-    }
-
     const session = this.driver!.session();
 
     try {
+      if (format === 'graphml') {
+        return toGraphML(await this.readSnapshot(session));
+      }
+
+      if (format === 'cypher') {
+        return toCypherScript(await this.readSnapshot(session));
+      }
+
+      if (format !== 'json') {
+        throw new ConfigurationError(`Export format "${format}" not yet implemented`);
+      }
+
       // Export as JSON
       const nodesResult = await session.run('MATCH (n) RETURN n, labels(n) as labels');
       const relsResult = await session.run('MATCH ()-[r]->() RETURN r, type(r) as type');
@@ -229,6 +262,7 @@ export class Neo4jDatabase implements IGraphDatabase {
 
       return JSON.stringify({ nodes, relationships }, null, 2);
     } catch (error) {
+      if (error instanceof ConfigurationError) throw error;
       throw new QueryError(
         `Failed to export database: ${(error as Error).message}`,
         undefined,
@@ -243,13 +277,29 @@ export class Neo4jDatabase implements IGraphDatabase {
   async import(data: string, format: 'json' | 'cypher' | 'graphml'): Promise<void> {
     this.ensureConnected();
 
-    if (format !== 'json') {
-      throw new ConfigurationError(`Import format "${format}" not yet implemented`);
-    }
-
     const session = this.driver!.session();
 
     try {
+      if (format === 'graphml') {
+        const snapshot = parseGraphML(data);
+        await session.executeWrite((tx) => this.writeSnapshot(tx, snapshot));
+        return;
+      }
+
+      if (format === 'cypher') {
+        const statements = splitCypherStatements(data);
+        await session.executeWrite(async (tx) => {
+          for (const statement of statements) {
+            await tx.run(statement);
+          }
+        });
+        return;
+      }
+
+      if (format !== 'json') {
+        throw new ConfigurationError(`Import format "${format}" not yet implemented`);
+      }
+
       const parsed = JSON.parse(data);
 
       // Import nodes
@@ -269,6 +319,7 @@ export class Neo4jDatabase implements IGraphDatabase {
         );
       }
     } catch (error) {
+      if (error instanceof ConfigurationError || error instanceof ValidationError) throw error;
       throw new QueryError(
         `Failed to import database: ${(error as Error).message}`,
         undefined,
@@ -289,4 +340,94 @@ export class Neo4jDatabase implements IGraphDatabase {
       throw new ConnectionError('Not connected to Neo4j database');
     }
   }
+
+  /**
+   * Read the whole graph as a portable snapshot keyed by internal node ids
+   */
+  private async readSnapshot(session: Neo4jSession): Promise<GraphSnapshot> {
+    const nodesResult = await session.run(
+      'MATCH (n) RETURN id(n) AS key, labels(n) AS labels, properties(n) AS properties'
+    );
+    const relsResult = await session.run(
+      'MATCH (a)-[r]->(b) RETURN type(r) AS type, id(a) AS fromKey, id(b) AS toKey, properties(r) AS properties'
+    );
+
+    return {
+      nodes: nodesResult.records.map((record) => ({
+        key: `n${record.get('key').toString()}`,
+        labels: record.get('labels'),
+        properties: toPlainProperties(record.get('properties')),
+      })),
+      relationships: relsResult.records.map((record) => ({
+        type: record.get('type'),
+        from: `n${record.get('fromKey').toString()}`,
+        to: `n${record.get('toKey').toString()}`,
+        properties: toPlainProperties(record.get('properties')),
+      })),
+    };
+  }
+
+  /**
+   * Create every node and relationship of a snapshot inside a transaction
+   */
+  private async writeSnapshot(tx: ManagedTransaction, snapshot: GraphSnapshot): Promise<void> {
+    const labelsByKey = new Map<string, string[]>();
+
+    for (const node of snapshot.nodes) {
+      validateProperties(node.properties);
+      labelsByKey.set(node.key, node.labels);
+
+      const labels = node.labels.map(escapeIdentifier).join(':');
+      await tx.run(`CREATE (n${labels ? `:${labels}` : ''}) SET n = $properties`, {
+        properties: { ...node.properties, [IMPORT_ID_PROPERTY]: node.key },
+      });
+    }
+
+    const importId = escapeIdentifier(IMPORT_ID_PROPERTY);
+
+    for (const rel of snapshot.relationships) {
+      validateProperties(rel.properties);
+
+      const fromLabel = labelsByKey.get(rel.from)?.[0];
+      const toLabel = labelsByKey.get(rel.to)?.[0];
+
+      if (!fromLabel || !toLabel) {
+        throw new ValidationError(`Relationship "${rel.type}" references unknown node ${rel.from} or ${rel.to}`);
+      }
+
+      await tx.run(
+        `MATCH (a:${escapeIdentifier(fromLabel)} {${importId}: $from}), (b:${escapeIdentifier(toLabel)} {${importId}: $to})
+         CREATE (a)-[r:${escapeIdentifier(rel.type)}]->(b)
+         SET r = $properties`,
+        { from: rel.from, to: rel.to, properties: rel.properties }
+      );
+    }
+
+    await tx.run(`MATCH (n) WHERE n.${importId} IS NOT NULL REMOVE n.${importId}`);
+  }
+}
+
+/**
+ * Convert driver values (64-bit integers, temporal types) to plain JS values
+ */
+function toPlainProperties(properties: Record<string, unknown>): Record<string, unknown> {
+  const plain: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(properties)) {
+    plain[key] = toPlainValue(value);
+  }
+  return plain;
+}
+
+function toPlainValue(value: unknown): unknown {
+  if (neo4j.isInt(value)) {
+    return (value as { toNumber(): number }).toNumber();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  }
+  if (value !== null && typeof value === 'object') {
+    // Dates, times, durations and points all render to their Cypher form
+    return String(value);
+  }
+  return value;
 }
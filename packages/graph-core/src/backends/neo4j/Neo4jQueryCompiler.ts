@@ -0,0 +1,119 @@
+/**
+ * Compiles GraphQuery objects to parameterized Cypher
+ */
+
+import { escapeIdentifier } from '../../utils/cypher';
+import { Condition, FieldRef, GraphQuery, Ordering } from '../../query/types';
+import { isAggregateQuery, validateQuery } from '../../query/validation';
+
+/**
+ * Cypher statement with its parameters
+ */
+export interface CompiledCypher {
+  query: string;
+  params: Record<string, unknown>;
+}
+
+const VARIABLES = { start: 'n', end: 'm' } as const;
+
+/**
+ * Compile a query to Cypher. Node queries return `node` and `labels`
+ * columns; aggregate queries return one column per alias.
+ */
+export function compileCypherQuery(query: GraphQuery): CompiledCypher {
+  validateQuery(query);
+
+  const params: Record<string, unknown> = {};
+  const lines: string[] = [];
+
+  const addConditions = (variable: string, conditions: Condition[]) => {
+    if (conditions.length > 0) {
+      lines.push(`WHERE ${conditions.map((c) => compileCondition(variable, c, params)).join(' AND ')}`);
+    }
+  };
+
+  lines.push(`MATCH (n:${escapeIdentifier(query.start.label)})`);
+  addConditions('n', query.start.where);
+
+  const traversal = query.traverse;
+  if (traversal) {
+    const types = traversal.types.map(escapeIdentifier).join('|');
+    const hops = `*${traversal.minDepth}..${traversal.maxDepth}`;
+    const relationship = `[${types ? `:${types}` : ''}${hops}]`;
+    const target = traversal.target.label ? `(m:${escapeIdentifier(traversal.target.label)})` : '(m)';
+
+    const pattern = traversal.direction === 'out'
+      ? `(n)-${relationship}->${target}`
+      : traversal.direction === 'in'
+        ? `(n)<-${relationship}-${target}`
+        : `(n)-${relationship}-${target}`;
+
+    lines.push(`MATCH ${pattern}`);
+    addConditions('m', traversal.target.where);
+    lines.push('WITH DISTINCT n, m');
+  }
+
+  if (isAggregateQuery(query)) {
+    const columns = [
+      ...query.groupBy.map((g) => `${fieldExpression(g.field)} AS ${escapeIdentifier(g.alias)}`),
+      ...query.aggregations.map((a) => {
+        const argument = a.field ? fieldExpression(a.field) : '*';
+        return `${a.fn}(${argument}) AS ${escapeIdentifier(a.alias)}`;
+      }),
+    ];
+    lines.push(`RETURN ${columns.join(', ')}`);
+  } else {
+    const variable = traversal ? 'm' : 'n';
+    lines.push(`RETURN DISTINCT ${variable} AS node, labels(${variable}) AS labels`);
+  }
+
+  if (query.orderBy.length > 0) {
+    lines.push(`ORDER BY ${query.orderBy.map(compileOrdering).join(', ')}`);
+  }
+
+  if (query.skip !== undefined) {
+    lines.push(`SKIP ${query.skip}`);
+  }
+
+  if (query.limit !== undefined) {
+    lines.push(`LIMIT ${query.limit}`);
+  }
+
+  return { query: lines.join('\n'), params };
+}
+
+function fieldExpression(field: FieldRef): string {
+  return `${VARIABLES[field.node]}.${escapeIdentifier(field.property)}`;
+}
+
+function compileOrdering(ordering: Ordering): string {
+  // Node results are projected as `node`, so sort on its properties
+  const key = 'column' in ordering
+    ? escapeIdentifier(ordering.column)
+    : `node.${escapeIdentifier(ordering.field.property)}`;
+
+  // Cypher already sorts nulls last ascending and first descending
+  return `${key} ${ordering.direction.toUpperCase()}`;
+}
+
+function compileCondition(variable: string, condition: Condition, params: Record<string, unknown>): string {
+  const property = `${variable}.${escapeIdentifier(condition.property)}`;
+
+  if (condition.operator === 'exists') {
+    return `${property} IS NOT NULL`;
+  }
+
+  const name = `p${Object.keys(params).length}`;
+  params[name] = condition.value;
+
+  switch (condition.operator) {
+    case 'in':
+      return `${property} IN $${name}`;
+    case 'contains':
+      return `${property} CONTAINS $${name}`;
+    case 'startsWith':
+      return `${property} STARTS WITH $${name}`;
+    default:
+      return `${property} ${condition.operator} $${name}`;
+  }
+}
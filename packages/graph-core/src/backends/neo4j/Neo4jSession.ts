@@ -8,6 +8,7 @@ import {
   GraphNode,
   GraphRelationship,
   NodeReference,
+  RelationshipInput,
   GraphPath,
   QueryResult,
   PathSegment,
@@ -23,6 +24,14 @@ import {
   deserializeProperties,
   validateProperties,
 } from '../../utils/serialization';
+import { GraphQuery } from '../../query/types';
+import { isAggregateQuery } from '../../query/validation';
+import { compileCypherQuery } from './Neo4jQueryCompiler';
+
+/**
+ * Rows sent per UNWIND query by the batch operations
+ */
+const UNWIND_BATCH_SIZE = 1000;
 
 export class Neo4jSession implements IGraphSession {
   private transaction: Transaction | null = null;
@@ -261,6 +270,132 @@ export class Neo4jSession implements IGraphSession {
     }
   }
 
+  // ========================================
+  // Batch Operations
+  // ========================================
+
+  async createNodes(label: string, nodes: Record<string, unknown>[]): Promise<GraphNode[]> {
+    this.ensureActive();
+
+    const rows = nodes.map((properties) => {
+      validateProperties(properties);
+      return serializeProperties(properties);
+    });
+
+    const query = `
+      UNWIND $rows AS properties
+      CREATE (n:${label})
+      SET n = properties
+      RETURN n
+    `;
+
+    return this.unwind('create nodes', query, rows, (record) => this.convertNode(label, record.get('n')));
+  }
+
+  async mergeNodes(label: string, nodes: Record<string, unknown>[]): Promise<GraphNode[]> {
+    this.ensureActive();
+
+    const rows = nodes.map((properties) => {
+      validateProperties(properties);
+
+      const serialized = serializeProperties(properties);
+      if (serialized.id === undefined) {
+        throw new ValidationError('mergeNodes requires an "id" property on every node', 'id');
+      }
+
+      return serialized;
+    });
+
+    const query = `
+      UNWIND $rows AS properties
+      MERGE (n:${label} {id: properties.id})
+      SET n += properties
+      RETURN n
+    `;
+
+    return this.unwind('merge nodes', query, rows, (record) => this.convertNode(label, record.get('n')));
+  }
+
+  async createRelationships(type: string, relationships: RelationshipInput[]): Promise<GraphRelationship[]> {
+    this.ensureActive();
+
+    // Labels cannot be parameters, so rows are grouped by endpoint labels and
+    // every group gets its own UNWIND query
+    const groups = new Map<string, { from: string; to: string; rows: Record<string, unknown>[] }>();
+
+    relationships.forEach(({ from, to, properties }, index) => {
+      if (properties) {
+        validateProperties(properties);
+      }
+
+      const groupKey = `${from.label}\u0000${to.label}`;
+      let group = groups.get(groupKey);
+      if (!group) {
+        group = { from: from.label, to: to.label, rows: [] };
+        groups.set(groupKey, group);
+      }
+
+      group.rows.push({
+        index,
+        fromId: from.id,
+        toId: to.id,
+        properties: properties ? serializeProperties(properties) : {},
+      });
+    });
+
+    // Check every endpoint first so a missing node fails the batch before
+    // anything is written
+    for (const group of groups.values()) {
+      const query = `
+        UNWIND $rows AS row
+        OPTIONAL MATCH (from:${group.from} {id: row.fromId})
+        OPTIONAL MATCH (to:${group.to} {id: row.toId})
+        WITH row, from, to
+        WHERE from IS NULL OR to IS NULL
+        RETURN row.fromId AS fromId, row.toId AS toId, from IS NULL AS missingFrom
+        LIMIT 1
+      `;
+
+      const [missing] = await this.unwind('create relationships', query, group.rows, (record) => ({
+        fromId: record.get('fromId') as string,
+        toId: record.get('toId') as string,
+        missingFrom: record.get('missingFrom') as boolean,
+      }));
+
+      if (missing) {
+        throw missing.missingFrom
+          ? new NotFoundError(`Source node not found`, group.from, missing.fromId)
+          : new NotFoundError(`Target node not found`, group.to, missing.toId);
+      }
+    }
+
+    const created: GraphRelationship[] = new Array(relationships.length);
+
+    for (const group of groups.values()) {
+      const query = `
+        UNWIND $rows AS row
+        MATCH (from:${group.from} {id: row.fromId})
+        MATCH (to:${group.to} {id: row.toId})
+        CREATE (from)-[r:${type}]->(to)
+        SET r = row.properties
+        RETURN row.index AS index, row.fromId AS fromId, row.toId AS toId, r, id(r) AS relId
+      `;
+
+      await this.unwind('create relationships', query, group.rows, (record) => {
+        const index = toNumber(record.get('index'));
+        created[index] = this.convertRelationship(
+          type,
+          record.get('fromId'),
+          record.get('toId'),
+          record.get('relId'),
+          record.get('r')
+        );
+      });
+    }
+
+    return created;
+  }
+
   // ========================================
   // Graph Query Operations
   // ========================================
@@ -367,6 +502,39 @@ export class Neo4jSession implements IGraphSession {
     }
   }
 
+  async query<T>(query: GraphQuery<T>): Promise<T[]> {
+    this.ensureActive();
+
+    const compiled = compileCypherQuery(query);
+
+    try {
+      const result = await this.run(compiled.query, compiled.params);
+
+      if (isAggregateQuery(query)) {
+        return result.records.map((record) => {
+          const row: Record<string, unknown> = {};
+          for (const key of record.keys) {
+            const value = record.get(key);
+            row[String(key)] = neo4j.isInt(value) ? toNumber(value) : value;
+          }
+          return row as T;
+        });
+      }
+
+      return result.records.map((record) => {
+        const labels = record.get('labels') as string[];
+        return this.convertNode(labels[0] || 'Node', record.get('node')) as T;
+      });
+    } catch (error) {
+      throw new QueryError(
+        `Failed to run query: ${(error as Error).message}`,
+        compiled.query,
+        compiled.params,
+        error as Error
+      );
+    }
+  }
+
   async rawQuery<T = unknown>(query: string, params?: Record<string, unknown>): Promise<QueryResult<T>> {
     this.ensureActive();
 
@@ -462,6 +630,36 @@ export class Neo4jSession implements IGraphSession {
     return this.transaction.run(query, params);
   }
 
+  /**
+   * Run an UNWIND query over rows in chunks of UNWIND_BATCH_SIZE
+   */
+  private async unwind<T>(
+    operation: string,
+    query: string,
+    rows: Record<string, unknown>[],
+    convert: (record: any) => T
+  ): Promise<T[]> {
+    const results: T[] = [];
+
+    for (let start = 0; start < rows.length; start += UNWIND_BATCH_SIZE) {
+      const batch = rows.slice(start, start + UNWIND_BATCH_SIZE);
+
+      try {
+        const result = await this.run(query, { rows: batch });
+        results.push(...result.records.map(convert));
+      } catch (error) {
+        throw new QueryError(
+          `Failed to ${operation}: ${(error as Error).message}`,
+          query,
+          { rows: batch.length },
+          error as Error
+        );
+      }
+    }
+
+    return results;
+  }
+
   private convertNode(label: string, node: any): GraphNode {
     const props = node.properties || {};
     const deserialized = deserializeProperties(props);
@@ -529,3 +727,7 @@ export class Neo4jSession implements IGraphSession {
     };
   }
 }
+
+function toNumber(value: unknown): number {
+  return neo4j.isInt(value) ? (value as any).toNumber() : Number(value);
+}
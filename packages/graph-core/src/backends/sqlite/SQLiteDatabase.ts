@@ -0,0 +1,401 @@
+/**
+ * SQLite implementation of IGraphDatabase
+ *
+ * Nodes and relationships live in two tables of a single database file.
+ * Properties are stored as JSON text using the same serialization rules as
+ * the Neo4j backend, and graph traversals are expressed as recursive CTEs.
+ */
+
+import type BetterSqlite3 from 'better-sqlite3';
+import type { Database } from 'better-sqlite3';
+import { IGraphDatabase, IndexDefinition } from '../../interfaces/IGraphDatabase';
+import { IGraphSession } from '../../interfaces/IGraphSession';
+import {
+  DatabaseConfig,
+  DatabaseInfo,
+  IngestRecord,
+  IngestOptions,
+  IngestProgress,
+} from '../../interfaces/types';
+import {
+  ConnectionError,
+  ConfigurationError,
+  QueryError,
+  ValidationError,
+} from '../../errors';
+import { serializeProperties, validateProperties } from '../../utils/serialization';
+import { ingestRecords } from '../../utils/ingest';
+import { MigrationRunner } from '../../migrations/MigrationRunner';
+import { createCoreMigrations } from '../../migrations/core';
+import { MigrateOptions, MigrationPlan } from '../../migrations/types';
+import { SQLiteSession, NodeRow, RelationshipRow } from './SQLiteSession';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS nodes (
+    key INTEGER PRIMARY KEY,
+    id TEXT NOT NULL,
+    label TEXT NOT NULL,
+    properties TEXT NOT NULL DEFAULT '{}',
+    UNIQUE (label, id)
+  );
+
+  CREATE INDEX IF NOT EXISTS nodes_id_index ON nodes (id);
+
+  CREATE TABLE IF NOT EXISTS relationships (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    from_key INTEGER NOT NULL REFERENCES nodes (key) ON DELETE CASCADE,
+    to_key INTEGER NOT NULL REFERENCES nodes (key) ON DELETE CASCADE,
+    properties TEXT NOT NULL DEFAULT '{}'
+  );
+
+  CREATE INDEX IF NOT EXISTS relationships_from_index ON relationships (from_key, type);
+  CREATE INDEX IF NOT EXISTS relationships_to_index ON relationships (to_key);
+`;
+
+/**
+ * Milliseconds a connection waits for another writer before failing
+ */
+const BUSY_TIMEOUT_MS = 5000;
+
+/**
+ * The driver, loaded on the first connect: better-sqlite3 is an optional
+ * peer dependency, so loading this package must not need it installed
+ */
+let Driver: typeof BetterSqlite3 | undefined;
+
+function loadDriver(): typeof BetterSqlite3 {
+  try {
+    Driver ??= require('better-sqlite3') as typeof BetterSqlite3;
+  } catch (error) {
+    throw new ConfigurationError(
+      `The SQLite backend needs the better-sqlite3 package (npm install better-sqlite3): ${(error as Error).message}`,
+      error as Error
+    );
+  }
+  return Driver;
+}
+
+export class SQLiteDatabase implements IGraphDatabase {
+  private db: Database | null = null;
+  private connected = false;
+  private config: DatabaseConfig | null = null;
+
+  // ========================================
+  // Connection Management
+  // ========================================
+
+  async connect(config: DatabaseConfig): Promise<void> {
+    if (config.backend !== 'sqlite') {
+      throw new ConfigurationError('Invalid backend for SQLiteDatabase');
+    }
+
+    if (!config.filePath) {
+      throw new ConfigurationError('SQLite requires filePath');
+    }
+
+    // Every session opens its own connection, so a private in-memory
+    // database would be invisible to them.
+    if (config.filePath === ':memory:') {
+      throw new ConfigurationError('SQLite backend requires a database file, not ":memory:"');
+    }
+
+    loadDriver();
+    this.config = config;
+
+    try {
+      this.db = openConnection(config.filePath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.exec(SCHEMA);
+      this.connected = true;
+    } catch (error) {
+      this.db?.close();
+      this.db = null;
+      throw new ConnectionError(
+        `Failed to open SQLite database at ${config.filePath}: ${(error as Error).message}`,
+        error as Error
+      );
+    }
+  }
+
+  async disconnect(): Promise<void> {
+    if (!this.db) {
+      return;
+    }
+
+    try {
+      this.db.close();
+      this.db = null;
+      this.connected = false;
+    } catch (error) {
+      throw new ConnectionError(
+        `Failed to disconnect from SQLite: ${(error as Error).message}`,
+        error as Error
+      );
+    }
+  }
+
+  isConnected(): boolean {
+    return this.connected;
+  }
+
+  async ping(): Promise<boolean> {
+    if (!this.db) {
+      return false;
+    }
+
+    try {
+      this.db.prepare('SELECT 1').get();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async getInfo(): Promise<DatabaseInfo> {
+    this.ensureConnected();
+
+    try {
+      const { version } = this.db!.prepare('SELECT sqlite_version() AS version').get() as { version: string };
+      const { nodeCount } = this.db!.prepare('SELECT count(*) AS nodeCount FROM nodes').get() as { nodeCount: number };
+      const { relationshipCount } = this.db!
+        .prepare('SELECT count(*) AS relationshipCount FROM relationships')
+        .get() as { relationshipCount: number };
+
+      return {
+        backend: 'sqlite',
+        version,
+        connected: this.connected,
+        nodeCount,
+        relationshipCount,
+      };
+    } catch (error) {
+      throw new QueryError(
+        `Failed to get database info: ${(error as Error).message}`,
+        undefined,
+        undefined,
+        error as Error
+      );
+    }
+  }
+
+  // ========================================
+  // Session Management
+  // ========================================
+
+  session(): IGraphSession {
+    this.ensureConnected();
+
+    let connection: Database;
+    try {
+      connection = openConnection(this.config!.filePath!);
+    } catch (error) {
+      throw new ConnectionError(
+        `Failed to open SQLite session: ${(error as Error).message}`,
+        error as Error
+      );
+    }
+
+    return new SQLiteSession(connection);
+  }
+
+  async ingest(
+    source: AsyncIterable<IngestRecord> | Iterable<IngestRecord>,
+    options?: IngestOptions
+  ): Promise<IngestProgress> {
+    this.ensureConnected();
+
+    return ingestRecords(this, source, options);
+  }
+
+  // ========================================
+  // Database Maintenance
+  // ========================================
+
+  async clear(): Promise<void> {
+    this.ensureConnected();
+
+    const query = 'DELETE FROM relationships; DELETE FROM nodes;';
+
+    try {
+      this.db!.exec(query);
+    } catch (error) {
+      throw new QueryError(
+        `Failed to clear database: ${(error as Error).message}`,
+        query,
+        undefined,
+        error as Error
+      );
+    }
+  }
+
+  async migrate(version?: string, options: MigrateOptions = {}): Promise<MigrationPlan> {
+    this.ensureConnected();
+
+    const runner = new MigrationRunner(this, options.migrations ?? createCoreMigrations());
+    return runner.migrate(version, { dryRun: options.dryRun });
+  }
+
+  async createIndexes(definitions: IndexDefinition[]): Promise<void> {
+    this.ensureConnected();
+
+    try {
+      for (const def of definitions) {
+        const indexName = `${def.label}_${def.properties.join('_')}_index`.replace(/[^A-Za-z0-9_]/g, '_');
+        const columns = def.properties
+          .map((prop) => `json_extract(properties, '$."${prop.replace(/'/g, "''")}"')`)
+          .join(', ');
+
+        // Partial expression index scoped to the label, the closest SQLite
+        // equivalent of a Neo4j label/property index
+        const query = `
+          CREATE INDEX IF NOT EXISTS "${indexName}"
+          ON nodes (${columns})
+          WHERE label = '${def.label.replace(/'/g, "''")}'
+        `;
+
+        this.db!.exec(query);
+      }
+    } catch (error) {
+      throw new QueryError(
+        `Failed to create indexes: ${(error as Error).message}`,
+        undefined,
+        undefined,
+        error as Error
+      );
+    }
+  }
+
+  async export(format: 'json' | 'cypher' | 'graphml'): Promise<string> {
+    this.ensureConnected();
+
+    if (format !== 'json') {
+      throw new ConfigurationError(`Export format "${format}" not yet implemented`);
+    }
+
+    try {
+      const nodeRows = this.db!.prepare('SELECT * FROM nodes ORDER BY key').all() as NodeRow[];
+      const relRows = this.db!.prepare(`
+        SELECT r.id AS id, r.type AS type, f.id AS from_id, t.id AS to_id, r.properties AS properties,
+               f.label AS from_label, t.label AS to_label
+        FROM relationships r
+        JOIN nodes f ON f.key = r.from_key
+        JOIN nodes t ON t.key = r.to_key
+        ORDER BY r.id
+      `).all() as Array<RelationshipRow & { from_label: string; to_label: string }>;
+
+      const nodes = nodeRows.map((row) => ({
+        labels: [row.label],
+        properties: JSON.parse(row.properties),
+      }));
+
+      const relationships = relRows.map((row) => ({
+        type: row.type,
+        from: { label: row.from_label, id: row.from_id },
+        to: { label: row.to_label, id: row.to_id },
+        properties: JSON.parse(row.properties),
+      }));
+
+      return JSON.stringify({ nodes, relationships }, null, 2);
+    } catch (error) {
+      throw new QueryError(
+        `Failed to export database: ${(error as Error).message}`,
+        undefined,
+        undefined,
+        error as Error
+      );
+    }
+  }
+
+  async import(data: string, format: 'json' | 'cypher' | 'graphml'): Promise<void> {
+    this.ensureConnected();
+
+    if (format !== 'json') {
+      throw new ConfigurationError(`Import format "${format}" not yet implemented`);
+    }
+
+    const db = this.db!;
+    const insertNode = db.prepare(
+      'INSERT INTO nodes (id, label, properties) VALUES (@id, @label, @properties)'
+    );
+    const insertRelationship = db.prepare(`
+      INSERT INTO relationships (type, from_key, to_key, properties)
+      SELECT @type, f.key, t.key, @properties
+      FROM nodes f, nodes t
+      WHERE f.label = @fromLabel AND f.id = @fromId AND t.label = @toLabel AND t.id = @toId
+    `);
+
+    const importAll = db.transaction((parsed: any) => {
+      for (const node of parsed.nodes || []) {
+        const properties = node.properties || {};
+        validateProperties(properties);
+
+        if (properties.id === undefined || properties.id === null) {
+          throw new ValidationError('Imported node is missing an "id" property', 'id');
+        }
+
+        insertNode.run({
+          id: String(properties.id),
+          label: node.labels?.[0] || 'Node',
+          properties: JSON.stringify(serializeProperties(properties)),
+        });
+      }
+
+      for (const rel of parsed.relationships || []) {
+        if (!rel.from || !rel.to) {
+          throw new ValidationError(`Imported relationship "${rel.type}" is missing its endpoints`, 'from');
+        }
+
+        const properties = rel.properties || {};
+        validateProperties(properties);
+
+        const result = insertRelationship.run({
+          type: rel.type,
+          fromLabel: rel.from.label,
+          fromId: rel.from.id,
+          toLabel: rel.to.label,
+          toId: rel.to.id,
+          properties: JSON.stringify(serializeProperties(properties)),
+        });
+
+        if (result.changes === 0) {
+          throw new ValidationError(
+            `Imported relationship "${rel.type}" references unknown node ${rel.from.label}:${rel.from.id} or ${rel.to.label}:${rel.to.id}`
+          );
+        }
+      }
+    });
+
+    try {
+      importAll(JSON.parse(data));
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      throw new QueryError(
+        `Failed to import database: ${(error as Error).message}`,
+        undefined,
+        undefined,
+        error as Error
+      );
+    }
+  }
+
+  // ========================================
+  // Private Helper Methods
+  // ========================================
+
+  private ensureConnected(): void {
+    if (!this.connected || !this.db) {
+      throw new ConnectionError('Not connected to SQLite database');
+    }
+  }
+}
+
+/**
+ * Open a connection with the pragmas every graph-core connection relies on
+ */
+function openConnection(filePath: string): Database {
+  const db = new (loadDriver())(filePath);
+  db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+  db.pragma('foreign_keys = ON');
+  return db;
+}
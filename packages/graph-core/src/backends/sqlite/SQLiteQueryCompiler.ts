@@ -0,0 +1,217 @@
+/**
+ * Compiles GraphQuery objects to SQL over the graph-core SQLite schema
+ */
+
+import { Condition, FieldRef, GraphQuery, Ordering } from '../../query/types';
+import { isAggregateQuery, validateQuery } from '../../query/validation';
+
+/**
+ * SQL statement with its named parameters
+ */
+export interface CompiledSql {
+  query: string;
+  params: Record<string, unknown>;
+}
+
+const ALIASES = { start: 'n', end: 'm' } as const;
+
+/**
+ * Compile a query to SQL. Node queries select whole `nodes` rows; aggregate
+ * queries select one column per alias.
+ *
+ * Traversals walk relationships with a recursive CTE. With minDepth above 1
+ * a walk may revisit a relationship, whereas Neo4j only counts paths that
+ * use each relationship once.
+ */
+export function compileSqlQuery(query: GraphQuery): CompiledSql {
+  validateQuery(query);
+
+  const params: Record<string, unknown> = { startLabel: query.start.label };
+  const compiler = new ExpressionCompiler(params);
+
+  const startConditions = ['n.label = @startLabel', ...query.start.where.map((c) => compiler.condition('n', c))];
+
+  let from: string;
+  const conditions: string[] = [];
+  let prefix = '';
+
+  const traversal = query.traverse;
+  if (traversal) {
+    params.minDepth = traversal.minDepth;
+    params.maxDepth = traversal.maxDepth;
+
+    const typeFilter = traversal.types.length > 0
+      ? 'WHERE type IN (SELECT value FROM json_each(@types))'
+      : '';
+    if (traversal.types.length > 0) {
+      params.types = JSON.stringify(traversal.types);
+    }
+
+    const forward = `SELECT from_key, to_key FROM relationships ${typeFilter}`;
+    const backward = `SELECT to_key, from_key FROM relationships ${typeFilter}`;
+    const edges = traversal.direction === 'out'
+      ? forward
+      : traversal.direction === 'in'
+        ? backward
+        : `${forward} UNION ALL ${backward}`;
+
+    prefix = `
+      WITH RECURSIVE
+        edges(src, dst) AS (${edges}),
+        walk(start_key, key, depth) AS (
+          SELECT n.key, n.key, 0 FROM nodes n WHERE ${startConditions.join(' AND ')}
+          UNION
+          SELECT w.start_key, e.dst, w.depth + 1
+          FROM walk w JOIN edges e ON e.src = w.key
+          WHERE w.depth < @maxDepth
+        ),
+        pairs(start_key, end_key) AS (
+          SELECT DISTINCT start_key, key FROM walk WHERE depth >= @minDepth
+        )
+    `;
+
+    from = `
+      pairs p
+      JOIN nodes n ON n.key = p.start_key
+      JOIN nodes m ON m.key = p.end_key
+    `;
+
+    if (traversal.target.label) {
+      params.targetLabel = traversal.target.label;
+      conditions.push('m.label = @targetLabel');
+    }
+    conditions.push(...traversal.target.where.map((c) => compiler.condition('m', c)));
+  } else {
+    from = 'nodes n';
+    conditions.push(...startConditions);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  let select: string;
+  let groupBy = '';
+  let orderBy = '';
+
+  if (isAggregateQuery(query)) {
+    const columns = new Map<string, string>();
+
+    for (const grouping of query.groupBy) {
+      columns.set(grouping.alias, compiler.field(grouping.field));
+    }
+
+    for (const aggregation of query.aggregations) {
+      const argument = aggregation.field ? compiler.field(aggregation.field) : '*';
+      // sum() of no values is NULL in SQLite but 0 in Cypher
+      const expression = aggregation.fn === 'sum'
+        ? `coalesce(sum(${argument}), 0)`
+        : `${aggregation.fn}(${argument})`;
+      columns.set(aggregation.alias, expression);
+    }
+
+    select = [...columns].map(([alias, expression]) => `${expression} AS ${quoteIdentifier(alias)}`).join(', ');
+
+    if (query.groupBy.length > 0) {
+      groupBy = `GROUP BY ${query.groupBy.map((g) => columns.get(g.alias)).join(', ')}`;
+    }
+
+    orderBy = compileOrderBy(query.orderBy, (ordering) =>
+      columns.get((ordering as { column: string }).column)!
+    );
+  } else {
+    const alias = traversal ? 'm' : 'n';
+    select = `DISTINCT ${alias}.*`;
+    orderBy = compileOrderBy(query.orderBy, (ordering) =>
+      compiler.field((ordering as { field: FieldRef }).field)
+    );
+  }
+
+  let page = '';
+  if (query.limit !== undefined || query.skip !== undefined) {
+    params.limit = query.limit ?? -1;
+    params.skip = query.skip ?? 0;
+    page = 'LIMIT @limit OFFSET @skip';
+  }
+
+  return {
+    query: [prefix, `SELECT ${select}`, `FROM ${from}`, where, groupBy, orderBy, page]
+      .filter((part) => part.trim().length > 0)
+      .join('\n'),
+    params,
+  };
+}
+
+/**
+ * Builds property expressions and conditions, registering their parameters
+ */
+class ExpressionCompiler {
+  private counter = 0;
+
+  constructor(private readonly params: Record<string, unknown>) {}
+
+  field(field: FieldRef): string {
+    return this.property(ALIASES[field.node], field.property);
+  }
+
+  condition(alias: string, condition: Condition): string {
+    const property = this.property(alias, condition.property);
+
+    if (condition.operator === 'exists') {
+      return `${property} IS NOT NULL`;
+    }
+
+    const name = this.param(
+      condition.operator === 'in'
+        ? JSON.stringify((condition.value as unknown[]).map(toSqlValue))
+        : toSqlValue(condition.value)
+    );
+
+    switch (condition.operator) {
+      case 'in':
+        return `${property} IN (SELECT value FROM json_each(@${name}))`;
+      case 'contains':
+        return `instr(${property}, @${name}) > 0`;
+      case 'startsWith':
+        return `substr(${property}, 1, length(@${name})) = @${name}`;
+      case '<>':
+        return `${property} != @${name}`;
+      default:
+        return `${property} ${condition.operator} @${name}`;
+    }
+  }
+
+  private property(alias: string, property: string): string {
+    const name = this.param(`$."${property}"`, 'path');
+    return `json_extract(${alias}.properties, @${name})`;
+  }
+
+  private param(value: unknown, prefix = 'q'): string {
+    const name = `${prefix}${this.counter++}`;
+    this.params[name] = value;
+    return name;
+  }
+}
+
+function compileOrderBy(orderings: Ordering[], expression: (ordering: Ordering) => string): string {
+  if (orderings.length === 0) {
+    return '';
+  }
+
+  // Match Cypher: nulls last ascending, first descending
+  const keys = orderings.map((ordering) =>
+    ordering.direction === 'asc'
+      ? `${expression(ordering)} ASC NULLS LAST`
+      : `${expression(ordering)} DESC NULLS FIRST`
+  );
+
+  return `ORDER BY ${keys.join(', ')}`;
+}
+
+function quoteIdentifier(name: string): string {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * json_extract returns booleans as 1/0, so compare against the same
+ */
+function toSqlValue(value: unknown): unknown {
+  return typeof value === 'boolean' ? (value ? 1 : 0) : value;
+}
@@ -0,0 +1,763 @@
+/**
+ * SQLite implementation of IGraphSession
+ */
+
+import { randomUUID } from 'crypto';
+import type { Database } from 'better-sqlite3';
+import { IGraphSession } from '../../interfaces/IGraphSession';
+import {
+  GraphNode,
+  GraphRelationship,
+  NodeReference,
+  RelationshipInput,
+  GraphPath,
+  QueryResult,
+  PathSegment,
+} from '../../interfaces/types';
+import {
+  GraphDatabaseError,
+  QueryError,
+  NotFoundError,
+  TransactionError,
+  ValidationError,
+} from '../../errors';
+import {
+  serializeProperties,
+  deserializeProperties,
+  validateProperties,
+} from '../../utils/serialization';
+import { GraphQuery } from '../../query/types';
+import { isAggregateQuery } from '../../query/validation';
+import { compileSqlQuery } from './SQLiteQueryCompiler';
+
+/**
+ * Row shape of the `nodes` table
+ */
+export interface NodeRow {
+  key: number;
+  id: string;
+  label: string;
+  properties: string;
+}
+
+/**
+ * Row shape of the `relationships` table joined with its endpoint node ids
+ */
+export interface RelationshipRow {
+  id: number;
+  type: string;
+  from_id: string;
+  to_id: string;
+  properties: string;
+}
+
+/**
+ * Path row produced by the recursive walk queries
+ */
+interface WalkRow {
+  node_keys: string;
+  rel_ids: string;
+  depth: number;
+}
+
+const RELATIONSHIP_COLUMNS = `
+  r.id AS id, r.type AS type, f.id AS from_id, t.id AS to_id, r.properties AS properties
+`;
+
+const RELATIONSHIP_JOINS = `
+  JOIN nodes f ON f.key = r.from_key
+  JOIN nodes t ON t.key = r.to_key
+`;
+
+/**
+ * Walks simple (node-unique) paths in both directions from every node with
+ * the given id, mirroring Neo4j's undirected `-[*]-` pattern.
+ */
+const UNDIRECTED_WALK = `
+  WITH RECURSIVE
+    edges(src, dst, rel) AS (
+      SELECT from_key, to_key, id FROM relationships
+      UNION ALL
+      SELECT to_key, from_key, id FROM relationships
+    ),
+    walk(key, depth, node_keys, rel_ids) AS (
+      SELECT key, 0, ',' || key || ',', ',' FROM nodes WHERE id = @fromId
+      UNION ALL
+      SELECT e.dst, w.depth + 1, w.node_keys || e.dst || ',', w.rel_ids || e.rel || ','
+      FROM walk w
+      JOIN edges e ON e.src = w.key
+      WHERE w.depth < @maxDepth
+        AND instr(w.node_keys, ',' || e.dst || ',') = 0
+    )
+  SELECT w.node_keys AS node_keys, w.rel_ids AS rel_ids, w.depth AS depth
+  FROM walk w
+  JOIN nodes n ON n.key = w.key
+  WHERE n.id = @toId AND w.depth > 0
+  LIMIT @limit
+`;
+
+/**
+ * Relationships of one node in either direction, with the node at the other
+ * end, in creation order.
+ */
+const UNDIRECTED_NEIGHBOURS = `
+  SELECT e.key AS key, e.rel AS rel, n.id AS id
+  FROM (
+    SELECT to_key AS key, id AS rel FROM relationships WHERE from_key = @key
+    UNION ALL
+    SELECT from_key AS key, id AS rel FROM relationships WHERE to_key = @key
+  ) e
+  JOIN nodes n ON n.key = e.key
+  ORDER BY e.rel
+`;
+
+/**
+ * Keys of every node reachable by following outgoing relationships
+ */
+const DIRECTED_REACH = `
+  WITH RECURSIVE reach(key) AS (
+    SELECT r.to_key FROM relationships r JOIN nodes n ON n.key = r.from_key WHERE n.id = @nodeId
+    UNION
+    SELECT r.to_key FROM relationships r JOIN reach ON r.from_key = reach.key
+  )
+`;
+
+export class SQLiteSession implements IGraphSession {
+  private active = true;
+
+  constructor(private readonly db: Database) {
+    try {
+      this.db.exec('BEGIN');
+    } catch (error) {
+      throw new TransactionError(`Failed to begin transaction: ${(error as Error).message}`, error as Error);
+    }
+  }
+
+  // ========================================
+  // Node Operations
+  // ========================================
+
+  async createNode(label: string, properties: Record<string, unknown>): Promise<GraphNode> {
+    this.ensureActive();
+    validateProperties(properties);
+
+    const serialized = serializeProperties(properties);
+    if (serialized.id === undefined) {
+      serialized.id = randomUUID();
+    }
+
+    const query = 'INSERT INTO nodes (id, label, properties) VALUES (@id, @label, @properties) RETURNING *';
+    const params = { id: String(serialized.id), label, properties: JSON.stringify(serialized) };
+
+    try {
+      const row = this.db.prepare(query).get(params) as NodeRow;
+      return this.convertNode(row);
+    } catch (error) {
+      throw new QueryError(`Failed to create node: ${(error as Error).message}`, query, params, error as Error);
+    }
+  }
+
+  async getNode(label: string, id: string): Promise<GraphNode | null> {
+    this.ensureActive();
+
+    const query = 'SELECT * FROM nodes WHERE label = @label AND id = @id';
+
+    try {
+      const row = this.db.prepare(query).get({ label, id }) as NodeRow | undefined;
+      return row ? this.convertNode(row) : null;
+    } catch (error) {
+      throw new QueryError(`Failed to get node: ${(error as Error).message}`, query, { label, id }, error as Error);
+    }
+  }
+
+  async updateNode(label: string, id: string, properties: Record<string, unknown>): Promise<GraphNode> {
+    this.ensureActive();
+    validateProperties(properties);
+
+    const serialized = serializeProperties(properties);
+
+    const query = `
+      UPDATE nodes
+      SET properties = json_patch(properties, @patch),
+          id = coalesce(json_extract(json_patch(properties, @patch), '$.id'), id)
+      WHERE label = @label AND id = @id
+      RETURNING *
+    `;
+    const params = { label, id, patch: JSON.stringify(serialized) };
+
+    let row: NodeRow | undefined;
+    try {
+      row = this.db.prepare(query).get(params) as NodeRow | undefined;
+    } catch (error) {
+      throw new QueryError(`Failed to update node: ${(error as Error).message}`, query, params, error as Error);
+    }
+
+    if (!row) {
+      throw new NotFoundError(`Node not found`, label, id);
+    }
+
+    return this.convertNode(row);
+  }
+
+  async deleteNode(label: string, id: string): Promise<void> {
+    this.ensureActive();
+
+    // Relationships are removed by the ON DELETE CASCADE foreign keys
+    const query = 'DELETE FROM nodes WHERE label = @label AND id = @id';
+
+    try {
+      this.db.prepare(query).run({ label, id });
+    } catch (error) {
+      throw new QueryError(`Failed to delete node: ${(error as Error).message}`, query, { label, id }, error as Error);
+    }
+  }
+
+  async findNodes(label: string, filter?: Record<string, unknown>): Promise<GraphNode[]> {
+    this.ensureActive();
+
+    let query = 'SELECT * FROM nodes WHERE label = @label';
+    const params: Record<string, unknown> = { label };
+
+    if (filter && Object.keys(filter).length > 0) {
+      validateProperties(filter);
+      const serialized = serializeProperties(filter);
+
+      const whereClauses = Object.keys(serialized).map((key, idx) => {
+        params[`path_${idx}`] = `$."${key}"`;
+        params[`filter_${idx}`] = toSqlValue(serialized[key]);
+        return Array.isArray(serialized[key])
+          ? `json(json_extract(properties, @path_${idx})) = json(@filter_${idx})`
+          : `json_extract(properties, @path_${idx}) = @filter_${idx}`;
+      });
+
+      query += ` AND ${whereClauses.join(' AND ')}`;
+    }
+
+    try {
+      const rows = this.db.prepare(query).all(params) as NodeRow[];
+      return rows.map((row) => this.convertNode(row));
+    } catch (error) {
+      throw new QueryError(`Failed to find nodes: ${(error as Error).message}`, query, params, error as Error);
+    }
+  }
+
+  // ========================================
+  // Relationship Operations
+  // ========================================
+
+  async createRelationship(
+    from: NodeReference,
+    type: string,
+    to: NodeReference,
+    properties?: Record<string, unknown>
+  ): Promise<GraphRelationship> {
+    this.ensureActive();
+
+    if (properties) {
+      validateProperties(properties);
+    }
+
+    const serialized = properties ? serializeProperties(properties) : {};
+
+    const fromKey = this.nodeKey(from);
+    if (fromKey === undefined) {
+      throw new NotFoundError(`Source node not found`, from.label, from.id);
+    }
+
+    const toKey = this.nodeKey(to);
+    if (toKey === undefined) {
+      throw new NotFoundError(`Target node not found`, to.label, to.id);
+    }
+
+    const query = `
+      INSERT INTO relationships (type, from_key, to_key, properties)
+      VALUES (@type, @fromKey, @toKey, @properties)
+      RETURNING id
+    `;
+    const params = { type, fromKey, toKey, properties: JSON.stringify(serialized) };
+
+    try {
+      const row = this.db.prepare(query).get(params) as { id: number };
+
+      return {
+        id: row.id.toString(),
+        type,
+        from: from.id,
+        to: to.id,
+        properties: deserializeProperties(serialized),
+      };
+    } catch (error) {
+      throw new QueryError(
+        `Failed to create relationship: ${(error as Error).message}`,
+        query,
+        params,
+        error as Error
+      );
+    }
+  }
+
+  async getRelationships(from: NodeReference, type: string): Promise<GraphRelationship[]> {
+    this.ensureActive();
+
+    const query = `
+      SELECT ${RELATIONSHIP_COLUMNS}
+      FROM relationships r
+      ${RELATIONSHIP_JOINS}
+      WHERE f.label = @label AND f.id = @fromId AND r.type = @type
+      ORDER BY r.id
+    `;
+    const params = { label: from.label, fromId: from.id, type };
+
+    try {
+      const rows = this.db.prepare(query).all(params) as RelationshipRow[];
+      return rows.map((row) => this.convertRelationship(row));
+    } catch (error) {
+      throw new QueryError(
+        `Failed to get relationships: ${(error as Error).message}`,
+        query,
+        params,
+        error as Error
+      );
+    }
+  }
+
+  async deleteRelationship(relationshipId: string): Promise<void> {
+    this.ensureActive();
+
+    const query = 'DELETE FROM relationships WHERE id = @relId';
+
+    try {
+      this.db.prepare(query).run({ relId: parseInt(relationshipId, 10) });
+    } catch (error) {
+      throw new QueryError(
+        `Failed to delete relationship: ${(error as Error).message}`,
+        query,
+        { relId: relationshipId },
+        error as Error
+      );
+    }
+  }
+
+  // ========================================
+  // Batch Operations
+  // ========================================
+
+  async createNodes(label: string, nodes: Record<string, unknown>[]): Promise<GraphNode[]> {
+    this.ensureActive();
+
+    const query = 'INSERT INTO nodes (id, label, properties) VALUES (@id, @label, @properties) RETURNING *';
+    const rows = nodes.map((properties) => {
+      validateProperties(properties);
+
+      const serialized = serializeProperties(properties);
+      if (serialized.id === undefined) {
+        serialized.id = randomUUID();
+      }
+
+      return { id: String(serialized.id), label, properties: JSON.stringify(serialized) };
+    });
+
+    return this.inSavepoint('create nodes', query, () => {
+      const statement = this.db.prepare(query);
+      return rows.map((row) => this.convertNode(statement.get(row) as NodeRow));
+    });
+  }
+
+  async mergeNodes(label: string, nodes: Record<string, unknown>[]): Promise<GraphNode[]> {
+    this.ensureActive();
+
+    const query = `
+      INSERT INTO nodes (id, label, properties) VALUES (@id, @label, @properties)
+      ON CONFLICT (label, id) DO UPDATE SET properties = json_patch(properties, excluded.properties)
+      RETURNING *
+    `;
+    const rows = nodes.map((properties) => {
+      validateProperties(properties);
+
+      const serialized = serializeProperties(properties);
+      if (serialized.id === undefined) {
+        throw new ValidationError('mergeNodes requires an "id" property on every node', 'id');
+      }
+
+      return { id: String(serialized.id), label, properties: JSON.stringify(serialized) };
+    });
+
+    return this.inSavepoint('merge nodes', query, () => {
+      const statement = this.db.prepare(query);
+      return rows.map((row) => this.convertNode(statement.get(row) as NodeRow));
+    });
+  }
+
+  async createRelationships(type: string, relationships: RelationshipInput[]): Promise<GraphRelationship[]> {
+    this.ensureActive();
+
+    const query = `
+      INSERT INTO relationships (type, from_key, to_key, properties)
+      VALUES (@type, @fromKey, @toKey, @properties)
+      RETURNING id
+    `;
+    const rows = relationships.map(({ from, to, properties }) => {
+      if (properties) {
+        validateProperties(properties);
+      }
+
+      const fromKey = this.nodeKey(from);
+      if (fromKey === undefined) {
+        throw new NotFoundError(`Source node not found`, from.label, from.id);
+      }
+
+      const toKey = this.nodeKey(to);
+      if (toKey === undefined) {
+        throw new NotFoundError(`Target node not found`, to.label, to.id);
+      }
+
+      const serialized = properties ? serializeProperties(properties) : {};
+      return { from, to, serialized, params: { type, fromKey, toKey, properties: JSON.stringify(serialized) } };
+    });
+
+    return this.inSavepoint('create relationships', query, () => {
+      const statement = this.db.prepare(query);
+      return rows.map(({ from, to, serialized, params }) => {
+        const row = statement.get(params) as { id: number };
+        return {
+          id: row.id.toString(),
+          type,
+          from: from.id,
+          to: to.id,
+          properties: deserializeProperties(serialized),
+        };
+      });
+    });
+  }
+
+  // ========================================
+  // Graph Query Operations
+  // ========================================
+
+  async shortestPath(from: string, to: string): Promise<GraphPath | null> {
+    this.ensureActive();
+
+    try {
+      const row = this.breadthFirstWalk(from, to);
+      return row ? this.convertPath(row) : null;
+    } catch (error) {
+      throw new QueryError(
+        `Failed to find shortest path: ${(error as Error).message}`,
+        UNDIRECTED_NEIGHBOURS,
+        { fromId: from, toId: to },
+        error as Error
+      );
+    }
+  }
+
+  async allPaths(from: string, to: string, maxDepth = 10): Promise<GraphPath[]> {
+    this.ensureActive();
+
+    const params = { fromId: from, toId: to, maxDepth, limit: 100 };
+
+    try {
+      const rows = this.db.prepare(UNDIRECTED_WALK).all(params) as WalkRow[];
+      return rows.map((row) => this.convertPath(row));
+    } catch (error) {
+      throw new QueryError(
+        `Failed to find all paths: ${(error as Error).message}`,
+        UNDIRECTED_WALK,
+        params,
+        error as Error
+      );
+    }
+  }
+
+  async reachableFrom(nodeId: string): Promise<GraphNode[]> {
+    this.ensureActive();
+
+    const query = `
+      ${DIRECTED_REACH}
+      SELECT n.* FROM nodes n JOIN reach ON n.key = reach.key
+    `;
+
+    try {
+      const rows = this.db.prepare(query).all({ nodeId }) as NodeRow[];
+      return rows.map((row) => this.convertNode(row));
+    } catch (error) {
+      throw new QueryError(
+        `Failed to find reachable nodes: ${(error as Error).message}`,
+        query,
+        { nodeId },
+        error as Error
+      );
+    }
+  }
+
+  async hasPath(from: string, to: string): Promise<boolean> {
+    this.ensureActive();
+
+    const query = `
+      ${DIRECTED_REACH}
+      SELECT EXISTS (
+        SELECT 1 FROM nodes n JOIN reach ON n.key = reach.key WHERE n.id = @toId
+      ) AS pathExists
+    `;
+
+    try {
+      const row = this.db.prepare(query).get({ nodeId: from, toId: to }) as { pathExists: number };
+      return row.pathExists === 1;
+    } catch (error) {
+      throw new QueryError(
+        `Failed to check path existence: ${(error as Error).message}`,
+        query,
+        { fromId: from, toId: to },
+        error as Error
+      );
+    }
+  }
+
+  async query<T>(query: GraphQuery<T>): Promise<T[]> {
+    this.ensureActive();
+
+    const compiled = compileSqlQuery(query);
+
+    try {
+      const rows = this.db.prepare(compiled.query).all(compiled.params);
+      return (isAggregateQuery(query) ? rows : (rows as NodeRow[]).map((row) => this.convertNode(row))) as T[];
+    } catch (error) {
+      throw new QueryError(
+        `Failed to run query: ${(error as Error).message}`,
+        compiled.query,
+        compiled.params,
+        error as Error
+      );
+    }
+  }
+
+  async rawQuery<T = unknown>(query: string, params?: Record<string, unknown>): Promise<QueryResult<T>> {
+    this.ensureActive();
+
+    try {
+      const statement = this.db.prepare(query);
+
+      if (statement.reader) {
+        return {
+          records: statement.all(params || {}) as T[],
+          summary: { queryType: 'r' },
+        };
+      }
+
+      const result = statement.run(params || {});
+      return {
+        records: [],
+        summary: {
+          queryType: 'w',
+          counters: { changes: result.changes },
+        },
+      };
+    } catch (error) {
+      throw new QueryError(
+        `Raw query failed: ${(error as Error).message}`,
+        query,
+        params,
+        error as Error
+      );
+    }
+  }
+
+  // ========================================
+  // Transaction Control
+  // ========================================
+
+  async commit(): Promise<void> {
+    this.ensureActive();
+
+    try {
+      this.db.exec('COMMIT');
+      this.active = false;
+    } catch (error) {
+      throw new TransactionError(`Failed to commit transaction: ${(error as Error).message}`, error as Error);
+    }
+  }
+
+  async rollback(): Promise<void> {
+    this.ensureActive();
+
+    try {
+      this.db.exec('ROLLBACK');
+      this.active = false;
+    } catch (error) {
+      throw new TransactionError(`Failed to rollback transaction: ${(error as Error).message}`, error as Error);
+    }
+  }
+
+  async close(): Promise<void> {
+    if (this.active) {
+      // Auto-commit if not already committed/rolled back
+      try {
+        this.db.exec('COMMIT');
+      } catch (error) {
+        // Ignore commit errors on close
+      }
+
+      this.active = false;
+    }
+
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+
+  isActive(): boolean {
+    return this.active;
+  }
+
+  // ========================================
+  // Private Helper Methods
+  // ========================================
+
+  private ensureActive(): void {
+    if (!this.active) {
+      throw new TransactionError('Session is not active');
+    }
+  }
+
+  /**
+   * Run a bulk write inside a savepoint so a failure part-way through undoes
+   * the whole batch but leaves the rest of the session's transaction intact
+   */
+  private inSavepoint<T>(operation: string, query: string, write: () => T): T {
+    this.db.exec('SAVEPOINT graph_core_batch');
+
+    try {
+      const result = write();
+      this.db.exec('RELEASE graph_core_batch');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK TO graph_core_batch');
+      this.db.exec('RELEASE graph_core_batch');
+
+      if (error instanceof GraphDatabaseError) throw error;
+      throw new QueryError(`Failed to ${operation}: ${(error as Error).message}`, query, undefined, error as Error);
+    }
+  }
+
+  private nodeKey(ref: NodeReference): number | undefined {
+    const row = this.db
+      .prepare('SELECT key FROM nodes WHERE label = @label AND id = @id')
+      .get({ label: ref.label, id: ref.id }) as { key: number } | undefined;
+    return row?.key;
+  }
+
+  /**
+   * Breadth-first search in both directions that expands every node once,
+   * returning the first (shortest) simple path in the walk row format.
+   */
+  private breadthFirstWalk(from: string, to: string): WalkRow | null {
+    const starts = this.db.prepare('SELECT key FROM nodes WHERE id = ?').all(from) as Array<{ key: number }>;
+    const neighbours = this.db.prepare(UNDIRECTED_NEIGHBOURS);
+
+    const parents = new Map<number, { key: number; relId: number } | null>(starts.map(({ key }) => [key, null]));
+    const walkTo = (key: number): { nodeKeys: number[]; relIds: number[] } => {
+      const nodeKeys = [key];
+      const relIds: number[] = [];
+      for (let step = parents.get(key); step; step = parents.get(step.key)) {
+        nodeKeys.unshift(step.key);
+        relIds.unshift(step.relId);
+      }
+      return { nodeKeys, relIds };
+    };
+
+    let frontier = starts.map(({ key }) => key);
+    while (frontier.length > 0) {
+      const next: number[] = [];
+      for (const key of frontier) {
+        for (const row of neighbours.all({ key }) as Array<{ key: number; rel: number; id: string }>) {
+          if (row.id === to) {
+            const walk = walkTo(key);
+            // Simple paths only: the target may be a visited node, but not one on this path
+            if (!walk.nodeKeys.includes(row.key)) {
+              return {
+                node_keys: `,${[...walk.nodeKeys, row.key].join(',')},`,
+                rel_ids: `,${[...walk.relIds, row.rel].join(',')},`,
+                depth: walk.relIds.length + 1,
+              };
+            }
+          }
+          if (!parents.has(row.key)) {
+            parents.set(row.key, { key, relId: row.rel });
+            next.push(row.key);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    return null;
+  }
+
+  private convertNode(row: NodeRow): GraphNode {
+    return {
+      id: row.id,
+      label: row.label,
+      properties: deserializeProperties(JSON.parse(row.properties)),
+    };
+  }
+
+  private convertRelationship(row: RelationshipRow): GraphRelationship {
+    return {
+      id: row.id.toString(),
+      type: row.type,
+      from: row.from_id,
+      to: row.to_id,
+      properties: deserializeProperties(JSON.parse(row.properties)),
+    };
+  }
+
+  private convertPath(row: WalkRow): GraphPath {
+    const nodeKeys = splitKeys(row.node_keys);
+    const relIds = splitKeys(row.rel_ids);
+
+    const nodeStatement = this.db.prepare('SELECT * FROM nodes WHERE key = ?');
+    const relStatement = this.db.prepare(`
+      SELECT ${RELATIONSHIP_COLUMNS}
+      FROM relationships r
+      ${RELATIONSHIP_JOINS}
+      WHERE r.id = ?
+    `);
+
+    const segments: PathSegment[] = nodeKeys.map((key, idx) => {
+      const node = this.convertNode(nodeStatement.get(key) as NodeRow);
+      const relId = relIds[idx];
+
+      return {
+        node,
+        relationship: relId !== undefined
+          ? this.convertRelationship(relStatement.get(relId) as RelationshipRow)
+          : undefined,
+      };
+    });
+
+    return {
+      segments,
+      length: row.depth,
+    };
+  }
+}
+
+/**
+ * Convert a serialized property value into something SQLite can bind and
+ * compare against `json_extract` output.
+ */
+function toSqlValue(value: unknown): unknown {
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (Array.isArray(value)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+function splitKeys(list: string): number[] {
+  return list
+    .split(',')
+    .filter((part) => part.length > 0)
+    .map((part) => parseInt(part, 10));
+}
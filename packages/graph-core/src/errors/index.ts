@@ -87,13 +87,23 @@ export class ConfigurationError extends GraphDatabaseError {
   }
 }
 
+/**
+ * Schema migration errors
+ */
+export class MigrationError extends GraphDatabaseError {
+  constructor(message: string, public readonly version?: string, cause?: Error) {
+    super(message, cause);
+    this.name = 'MigrationError';
+  }
+}
+
 /**
  * Backend-specific errors
  */
 export class BackendError extends GraphDatabaseError {
   constructor(
     message: string,
-    public readonly backend: 'neo4j' | 'sqlite',
+    public readonly backend: 'neo4j' | 'sqlite' | 'memory',
     cause?: Error
   ) {
     super(message, cause);
@@ -2,7 +2,7 @@
  * @topolop/graph-core - Database-agnostic graph storage abstraction layer
  *
  * This package provides a unified interface for working with graph databases,
- * currently supporting Neo4j and SQLite backends.
+ * currently supporting Neo4j, SQLite and in-memory backends.
  *
  * @example
  * ```typescript
@@ -39,9 +39,16 @@ export type {
   GraphNode,
   GraphRelationship,
   NodeReference,
+  RelationshipInput,
   PathSegment,
   GraphPath,
   QueryResult,
+  SnapshotNode,
+  SnapshotRelationship,
+  GraphSnapshot,
+  IngestRecord,
+  IngestProgress,
+  IngestOptions,
 } from './interfaces/types';
 
 // ========================================
@@ -55,6 +62,7 @@ export {
   NotFoundError,
   TransactionError,
   ConfigurationError,
+  MigrationError,
   BackendError,
 } from './errors';
 
@@ -67,6 +75,49 @@ export {
   isPrimitive,
   validateProperties,
 } from './utils/serialization';
+export { toGraphML, parseGraphML } from './utils/graphml';
+export { toCypherScript, splitCypherStatements } from './utils/cypher';
+export { ingestRecords, DEFAULT_INGEST_BATCH_SIZE } from './utils/ingest';
+
+// ========================================
+// Query Builder
+// ========================================
+export type {
+  PropertyValue,
+  ComparisonOperator,
+  Condition,
+  NodePattern,
+  TraversalDirection,
+  Traversal,
+  FieldRef,
+  AggregateFunction,
+  Aggregation,
+  Grouping,
+  Ordering,
+  AggregateRow,
+  GraphQuery,
+} from './query/types';
+export { QueryBuilder } from './query/QueryBuilder';
+export type { TraverseOptions } from './query/QueryBuilder';
+export { validateQuery } from './query/validation';
+export { compileCypherQuery } from './backends/neo4j/Neo4jQueryCompiler';
+export type { CompiledCypher } from './backends/neo4j/Neo4jQueryCompiler';
+export { compileSqlQuery } from './backends/sqlite/SQLiteQueryCompiler';
+export type { CompiledSql } from './backends/sqlite/SQLiteQueryCompiler';
+
+// ========================================
+// Migrations
+// ========================================
+export type {
+  Migration,
+  MigrationContext,
+  MigrationPlan,
+  MigrationStep,
+  MigrateOptions,
+} from './migrations/types';
+export { MigrationRegistry, compareVersions, BASE_VERSION } from './migrations/MigrationRegistry';
+export { MigrationRunner, SCHEMA_VERSION_LABEL } from './migrations/MigrationRunner';
+export { createCoreMigrations } from './migrations/core';
 
 // ========================================
 // Factory Functions
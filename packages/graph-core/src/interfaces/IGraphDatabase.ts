@@ -2,14 +2,21 @@
  * Graph database interface - main entry point for database operations
  */
 
-import { DatabaseConfig, DatabaseInfo } from './types';
+import {
+  DatabaseConfig,
+  DatabaseInfo,
+  IngestRecord,
+  IngestOptions,
+  IngestProgress,
+} from './types';
 import { IGraphSession } from './IGraphSession';
+import { MigrateOptions, MigrationPlan } from '../migrations/types';
 
 /**
  * IGraphDatabase - Main database connection and session management
  *
  * This interface abstracts the underlying database implementation,
- * allowing code to work with both Neo4j and SQLite backends.
+ * allowing code to work with Neo4j, SQLite and in-memory backends.
  */
 export interface IGraphDatabase {
   // ========================================
@@ -54,6 +61,20 @@ export interface IGraphDatabase {
    */
   session(): IGraphSession;
 
+  /**
+   * Stream records into the database in chunks, one transaction per chunk.
+   * Consecutive records of the same kind and label/type are written with
+   * the session's batch operations. If a chunk fails it is rolled back and
+   * the error is rethrown; earlier chunks stay committed.
+   * @param source Records to write, e.g. an async generator
+   * @param options Batch size, node mode and progress callback
+   * @returns Final totals
+   */
+  ingest(
+    source: AsyncIterable<IngestRecord> | Iterable<IngestRecord>,
+    options?: IngestOptions
+  ): Promise<IngestProgress>;
+
   // ========================================
   // Database Maintenance
   // ========================================
@@ -65,9 +86,12 @@ export interface IGraphDatabase {
 
   /**
    * Run database migrations/schema updates
-   * @param version Target schema version
+   * @param version Target schema version (default: latest); lower than the
+   *   current version migrates backward
+   * @param options Migration registry and dry-run flag
+   * @returns Plan of the steps that were (or, for a dry run, would be) run
    */
-  migrate(version?: string): Promise<void>;
+  migrate(version?: string, options?: MigrateOptions): Promise<MigrationPlan>;
 
   /**
    * Create indexes for performance optimization
@@ -6,9 +6,11 @@ import {
   GraphNode,
   GraphRelationship,
   NodeReference,
+  RelationshipInput,
   GraphPath,
   QueryResult,
 } from './types';
+import { GraphQuery } from '../query/types';
 
 /**
  * IGraphSession - Transaction-scoped database session
@@ -93,6 +95,38 @@ export interface IGraphSession {
    */
   deleteRelationship(relationshipId: string): Promise<void>;
 
+  // ========================================
+  // Batch Operations
+  // ========================================
+
+  /**
+   * Create many nodes with the same label in one bulk write.
+   * Either every node is created or, on error, none are.
+   * @param label Node label
+   * @param nodes Properties of each node
+   * @returns Created nodes, in input order
+   */
+  createNodes(label: string, nodes: Record<string, unknown>[]): Promise<GraphNode[]>;
+
+  /**
+   * Upsert many nodes by id: missing nodes are created, existing nodes get
+   * the given properties merged in (as with updateNode).
+   * Every node must have an `id` property.
+   * @param label Node label
+   * @param nodes Properties of each node
+   * @returns Resulting nodes, in input order
+   */
+  mergeNodes(label: string, nodes: Record<string, unknown>[]): Promise<GraphNode[]>;
+
+  /**
+   * Create many relationships of one type in one bulk write.
+   * Fails with NotFoundError, before writing anything, if an endpoint is missing.
+   * @param type Relationship type
+   * @param relationships Endpoints and properties of each relationship
+   * @returns Created relationships, in input order
+   */
+  createRelationships(type: string, relationships: RelationshipInput[]): Promise<GraphRelationship[]>;
+
   // ========================================
   // Graph Query Operations
   // ========================================
@@ -129,6 +163,13 @@ export interface IGraphSession {
    */
   hasPath(from: string, to: string): Promise<boolean>;
 
+  /**
+   * Run a backend-neutral query, usually built with QueryBuilder
+   * @param query Query to run
+   * @returns Matched nodes, or one row per group for aggregate queries
+   */
+  query<T>(query: GraphQuery<T>): Promise<T[]>;
+
   /**
    * Execute a raw query (backend-specific)
    * @param query Query string (Cypher for Neo4j, SQL for SQLite)
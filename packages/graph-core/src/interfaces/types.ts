@@ -5,7 +5,7 @@
 /**
  * Database backend types
  */
-export type DatabaseBackend = 'neo4j' | 'sqlite';
+export type DatabaseBackend = 'neo4j' | 'sqlite' | 'memory';
 
 /**
  * Database configuration
@@ -58,6 +58,15 @@ export interface NodeReference {
   id: string;
 }
 
+/**
+ * Relationship to create in a batch; the type is given per batch
+ */
+export interface RelationshipInput {
+  from: NodeReference;
+  to: NodeReference;
+  properties?: Record<string, unknown>;
+}
+
 /**
  * Path segment in a graph path
  */
@@ -84,3 +93,68 @@ export interface QueryResult<T = unknown> {
     counters?: Record<string, number>;
   };
 }
+
+/**
+ * Node in a portable graph snapshot used by export/import
+ *
+ * `key` only identifies the node within the snapshot; properties are in
+ * serialized form (see utils/serialization).
+ */
+export interface SnapshotNode {
+  key: string;
+  labels: string[];
+  properties: Record<string, unknown>;
+}
+
+/**
+ * Relationship in a portable graph snapshot, referencing node keys
+ */
+export interface SnapshotRelationship {
+  type: string;
+  from: string;
+  to: string;
+  properties: Record<string, unknown>;
+}
+
+/**
+ * Backend-neutral graph snapshot that the text export formats are built from
+ */
+export interface GraphSnapshot {
+  nodes: SnapshotNode[];
+  relationships: SnapshotRelationship[];
+}
+
+/**
+ * Entity written by IGraphDatabase.ingest()
+ */
+export type IngestRecord =
+  | { kind: 'node'; label: string; properties: Record<string, unknown> }
+  | {
+      kind: 'relationship';
+      type: string;
+      from: NodeReference;
+      to: NodeReference;
+      properties?: Record<string, unknown>;
+    };
+
+/**
+ * Running totals reported while ingesting
+ */
+export interface IngestProgress {
+  batches: number;
+  records: number;
+  nodes: number;
+  relationships: number;
+}
+
+/**
+ * Options for IGraphDatabase.ingest()
+ */
+export interface IngestOptions {
+  /** Records written per transaction (default: 1000) */
+  batchSize?: number;
+  /** Whether nodes are upserted by id or always created (default: 'merge') */
+  nodeMode?: 'create' | 'merge';
+  /** Called after every committed batch */
+  onProgress?: (progress: IngestProgress) => void;
+}
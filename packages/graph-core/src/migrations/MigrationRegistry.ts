@@ -0,0 +1,111 @@
+/**
+ * Ordered collection of migrations
+ */
+
+import { ValidationError } from '../errors';
+import { Migration } from './types';
+
+/**
+ * Version of a schema with no migrations applied
+ */
+export const BASE_VERSION = '0';
+
+/**
+ * Compare two dotted version strings numerically, segment by segment
+ * ("2" < "10", "1.2" < "1.10"); non-numeric segments compare as text.
+ */
+export function compareVersions(a: string, b: string): number {
+  const left = a.split('.');
+  const right = b.split('.');
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const l = left[i] ?? '0';
+    const r = right[i] ?? '0';
+
+    const diff = /^\d+$/.test(l) && /^\d+$/.test(r)
+      ? parseInt(l, 10) - parseInt(r, 10)
+      : l.localeCompare(r);
+
+    if (diff !== 0) {
+      return diff < 0 ? -1 : 1;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * MigrationRegistry - migrations for one schema, kept in version order
+ *
+ * The registry name identifies the schema-version record in the database,
+ * so several independent schemas can share one database.
+ *
+ * @example
+ * ```typescript
+ * const registry = new MigrationRegistry('analysis')
+ *   .register({
+ *     version: '1',
+ *     description: 'Index files by path',
+ *     up: (ctx) => ctx.createIndexes([{ label: 'File', properties: ['path'] }]),
+ *   });
+ *
+ * await db.migrate(undefined, { migrations: registry });
+ * ```
+ */
+export class MigrationRegistry {
+  private readonly migrations: Migration[] = [];
+
+  constructor(public readonly name: string, migrations: Migration[] = []) {
+    if (!name) {
+      throw new ValidationError('Migration registry needs a name', 'name');
+    }
+
+    for (const migration of migrations) {
+      this.register(migration);
+    }
+  }
+
+  /**
+   * Add a migration; versions must be unique and strictly increasing
+   */
+  register(migration: Migration): this {
+    if (!migration.version || compareVersions(migration.version, BASE_VERSION) <= 0) {
+      throw new ValidationError(
+        `Migration version "${migration.version}" must be greater than ${BASE_VERSION}`,
+        'version'
+      );
+    }
+
+    const latest = this.latestVersion();
+    if (compareVersions(migration.version, latest) <= 0) {
+      throw new ValidationError(
+        `Migration "${migration.version}" must come after "${latest}" in registry "${this.name}"`,
+        'version'
+      );
+    }
+
+    this.migrations.push(migration);
+    return this;
+  }
+
+  /**
+   * All migrations in ascending version order
+   */
+  list(): Migration[] {
+    return [...this.migrations];
+  }
+
+  /**
+   * Highest registered version, or the base version when empty
+   */
+  latestVersion(): string {
+    return this.migrations[this.migrations.length - 1]?.version ?? BASE_VERSION;
+  }
+
+  /**
+   * Check whether a version is a valid migration target
+   */
+  has(version: string): boolean {
+    return version === BASE_VERSION || this.migrations.some((m) => m.version === version);
+  }
+}
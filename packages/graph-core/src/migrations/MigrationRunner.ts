@@ -0,0 +1,218 @@
+/**
+ * Backend-neutral migration runner
+ */
+
+import { IGraphDatabase, IndexDefinition } from '../interfaces/IGraphDatabase';
+import { IGraphSession } from '../interfaces/IGraphSession';
+import { DatabaseBackend } from '../interfaces/types';
+import { MigrationError, ValidationError } from '../errors';
+import { MigrationRegistry, BASE_VERSION, compareVersions } from './MigrationRegistry';
+import { Migration, MigrationContext, MigrationPlan, MigrationStep } from './types';
+
+/**
+ * Label of the node that records a registry's applied schema version.
+ * The node id is the registry name.
+ */
+export const SCHEMA_VERSION_LABEL = 'SchemaVersion';
+
+/**
+ * MigrationRunner - moves a database between schema versions
+ *
+ * Runs only through IGraphDatabase/IGraphSession, so it works the same on
+ * every backend. Each migration runs in its own transaction together with
+ * the update of the schema-version node; a failing migration is rolled back
+ * and leaves the recorded version untouched.
+ */
+export class MigrationRunner {
+  constructor(
+    private readonly db: IGraphDatabase,
+    private readonly registry: MigrationRegistry
+  ) {}
+
+  /**
+   * Schema version currently recorded in the database
+   */
+  async currentVersion(): Promise<string> {
+    const session = this.db.session();
+
+    try {
+      const node = await session.getNode(SCHEMA_VERSION_LABEL, this.registry.name);
+      const version = node?.properties.version;
+      return version === undefined || version === null ? BASE_VERSION : String(version);
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * List the operations that migrating to a version would perform
+   * @param target Target version (default: latest registered version)
+   */
+  async plan(target?: string): Promise<MigrationPlan> {
+    return this.migrate(target, { dryRun: true });
+  }
+
+  /**
+   * Migrate forward or backward to a version
+   * @param target Target version (default: latest registered version)
+   * @param options Set dryRun to only plan
+   */
+  async migrate(target?: string, options: { dryRun?: boolean } = {}): Promise<MigrationPlan> {
+    const dryRun = options.dryRun ?? false;
+    const to = target ?? this.registry.latestVersion();
+
+    if (!this.registry.has(to)) {
+      throw new ValidationError(
+        `Unknown schema version "${to}" for migration registry "${this.registry.name}"`,
+        'version'
+      );
+    }
+
+    const from = await this.currentVersion();
+    if (!this.registry.has(from)) {
+      throw new ValidationError(
+        `Database is at schema version "${from}", which migration registry "${this.registry.name}" does not define`,
+        'version'
+      );
+    }
+
+    const comparison = compareVersions(to, from);
+    const direction = comparison > 0 ? 'up' : comparison < 0 ? 'down' : 'none';
+    const all = this.registry.list();
+
+    const pending = direction === 'up'
+      ? all.filter((m) => compareVersions(m.version, from) > 0 && compareVersions(m.version, to) <= 0)
+      : all.filter((m) => compareVersions(m.version, to) > 0 && compareVersions(m.version, from) <= 0).reverse();
+
+    if (direction === 'down') {
+      const irreversible = pending.find((m) => !m.down);
+      if (irreversible) {
+        throw new ValidationError(
+          `Migration "${irreversible.version}" (${irreversible.description}) cannot be rolled back`,
+          'version'
+        );
+      }
+    }
+
+    const { backend } = await this.db.getInfo();
+    const steps: MigrationStep[] = [];
+
+    if (direction !== 'none') {
+      for (const migration of pending) {
+        const versionAfter = direction === 'up' ? migration.version : this.previousVersion(all, migration);
+        steps.push(await this.runStep(migration, direction, versionAfter, backend, dryRun));
+      }
+    }
+
+    return {
+      registry: this.registry.name,
+      from,
+      to: direction === 'none' ? from : to,
+      direction,
+      dryRun,
+      steps,
+    };
+  }
+
+  // ========================================
+  // Private Helper Methods
+  // ========================================
+
+  private async runStep(
+    migration: Migration,
+    direction: 'up' | 'down',
+    versionAfter: string,
+    backend: DatabaseBackend,
+    dryRun: boolean
+  ): Promise<MigrationStep> {
+    const operations: string[] = [];
+    const pendingIndexes: IndexDefinition[] = [];
+    const session = dryRun ? null : this.db.session();
+
+    const context: MigrationContext = {
+      backend,
+      dryRun,
+
+      createIndexes: async (definitions) => {
+        for (const def of definitions) {
+          operations.push(`create index on ${def.label}(${def.properties.join(', ')})`);
+        }
+        pendingIndexes.push(...definitions);
+      },
+
+      updateNodes: async (label, update, description) => {
+        operations.push(description ?? `update ${label} nodes`);
+        if (!session) return;
+
+        for (const node of await session.findNodes(label)) {
+          const changes = update(node);
+          if (changes && Object.keys(changes).length > 0) {
+            await session.updateNode(label, node.id, changes);
+          }
+        }
+      },
+
+      run: async (description, step) => {
+        operations.push(description);
+        if (session) {
+          await step(session);
+        }
+      },
+    };
+
+    try {
+      await (direction === 'up' ? migration.up(context) : migration.down!(context));
+
+      if (session) {
+        await this.recordVersion(session, versionAfter);
+        await session.commit();
+      }
+    } catch (error) {
+      if (session?.isActive()) {
+        await session.rollback();
+      }
+      throw new MigrationError(
+        `Migration "${migration.version}" failed (${direction}): ${(error as Error).message}`,
+        migration.version,
+        error as Error
+      );
+    } finally {
+      await session?.close();
+    }
+
+    if (!dryRun && pendingIndexes.length > 0) {
+      try {
+        await this.db.createIndexes(pendingIndexes);
+      } catch (error) {
+        throw new MigrationError(
+          `Migration "${migration.version}" was applied but its indexes could not be created: ${(error as Error).message}`,
+          migration.version,
+          error as Error
+        );
+      }
+    }
+
+    return {
+      version: migration.version,
+      description: migration.description,
+      direction,
+      operations,
+    };
+  }
+
+  private async recordVersion(session: IGraphSession, version: string): Promise<void> {
+    const properties = { version, updatedAt: new Date().toISOString() };
+    const existing = await session.getNode(SCHEMA_VERSION_LABEL, this.registry.name);
+
+    if (existing) {
+      await session.updateNode(SCHEMA_VERSION_LABEL, this.registry.name, properties);
+    } else {
+      await session.createNode(SCHEMA_VERSION_LABEL, { id: this.registry.name, ...properties });
+    }
+  }
+
+  private previousVersion(all: Migration[], migration: Migration): string {
+    const idx = all.indexOf(migration);
+    return idx > 0 ? all[idx - 1]!.version : BASE_VERSION;
+  }
+}
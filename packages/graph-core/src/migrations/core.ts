@@ -0,0 +1,22 @@
+/**
+ * Built-in graph-core migrations, used when migrate() is given no registry
+ */
+
+import { MigrationRegistry } from './MigrationRegistry';
+
+/**
+ * Create the registry of graph-core's own schema migrations
+ */
+export function createCoreMigrations(): MigrationRegistry {
+  return new MigrationRegistry('graph-core', [
+    {
+      version: '1',
+      description: 'Index State and User nodes by id',
+      up: (ctx) =>
+        ctx.createIndexes([
+          { label: 'State', properties: ['id'] },
+          { label: 'User', properties: ['id'] },
+        ]),
+    },
+  ]);
+}
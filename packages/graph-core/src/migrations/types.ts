@@ -0,0 +1,99 @@
+/**
+ * Type definitions for schema migrations
+ */
+
+import { IndexDefinition } from '../interfaces/IGraphDatabase';
+import { IGraphSession } from '../interfaces/IGraphSession';
+import { DatabaseBackend, GraphNode } from '../interfaces/types';
+import type { MigrationRegistry } from './MigrationRegistry';
+
+/**
+ * Operations available to a migration step
+ *
+ * Data operations run inside the migration's transaction. Index creation is
+ * a schema change and runs after that transaction commits, because several
+ * backends cannot mix schema and data writes in one transaction.
+ */
+export interface MigrationContext {
+  /** Backend the migration runs against, for backend-specific steps */
+  readonly backend: DatabaseBackend;
+
+  /** True when only planning; operations are recorded, not executed */
+  readonly dryRun: boolean;
+
+  /**
+   * Create indexes once the migration's data changes are committed
+   */
+  createIndexes(definitions: IndexDefinition[]): Promise<void>;
+
+  /**
+   * Update every node with a label
+   * @param label Node label
+   * @param update Returns the properties to merge into a node, or null to skip it
+   * @param description Optional text for dry-run plans
+   */
+  updateNodes(
+    label: string,
+    update: (node: GraphNode) => Record<string, unknown> | null,
+    description?: string
+  ): Promise<void>;
+
+  /**
+   * Run an arbitrary step against the migration's session
+   * @param description Text for dry-run plans
+   * @param step Step to execute
+   */
+  run(description: string, step: (session: IGraphSession) => Promise<void>): Promise<void>;
+}
+
+/**
+ * A single versioned migration
+ */
+export interface Migration {
+  /** Version this migration brings the schema to (e.g. "1", "2", "2.1") */
+  version: string;
+
+  /** Human-readable summary */
+  description: string;
+
+  /** Apply the migration */
+  up(context: MigrationContext): Promise<void> | void;
+
+  /** Revert the migration; migrations without it cannot be rolled back */
+  down?(context: MigrationContext): Promise<void> | void;
+}
+
+/**
+ * One migration step of a plan
+ */
+export interface MigrationStep {
+  version: string;
+  description: string;
+  direction: 'up' | 'down';
+  operations: string[];
+}
+
+/**
+ * Result of planning or running migrations
+ */
+export interface MigrationPlan {
+  /** Registry the plan was made for */
+  registry: string;
+  /** Schema version before migrating ("0" when nothing was applied) */
+  from: string;
+  /** Schema version after migrating */
+  to: string;
+  direction: 'up' | 'down' | 'none';
+  dryRun: boolean;
+  steps: MigrationStep[];
+}
+
+/**
+ * Options for IGraphDatabase.migrate()
+ */
+export interface MigrateOptions {
+  /** Migrations to run (default: graph-core's built-in migrations) */
+  migrations?: MigrationRegistry;
+  /** Plan and list operations without changing the database */
+  dryRun?: boolean;
+}
@@ -0,0 +1,224 @@
+/**
+ * Fluent builder for backend-neutral graph queries
+ */
+
+import { GraphNode } from '../interfaces/types';
+import { ValidationError } from '../errors';
+import { validateQuery } from './validation';
+import {
+  AggregateFunction,
+  AggregateRow,
+  Aggregation,
+  ComparisonOperator,
+  FieldRef,
+  GraphQuery,
+  NodePattern,
+  PropertyValue,
+  TraversalDirection,
+} from './types';
+
+/**
+ * Options for QueryBuilder.traverse()
+ */
+export interface TraverseOptions {
+  /** Relationship direction from the start node (default: 'out') */
+  direction?: TraversalDirection;
+  /** Minimum number of hops (default: 1) */
+  minDepth?: number;
+  /** Maximum number of hops (default: minDepth) */
+  maxDepth?: number;
+  /** Label the target nodes must have */
+  label?: string;
+}
+
+type PropertyKey<P> = keyof P & string;
+
+/**
+ * QueryBuilder - assemble a GraphQuery step by step
+ *
+ * `where` applies to the most recent node pattern: the start nodes, or the
+ * traversal targets once `traverse` has been called. Fields passed to
+ * `groupBy`, aggregations and `orderBy` name a property of the returned
+ * node; prefix them with `start.` or `end.` to pick a side of a traversal.
+ * Once a query aggregates, `orderBy` takes output column aliases.
+ *
+ * The property-shape parameter only narrows the property names `where`
+ * accepts; it is not checked against the stored data.
+ *
+ * @example
+ * ```typescript
+ * const hotspots = QueryBuilder.match<{ path: string }>('File')
+ *   .traverse('HAS_ISSUE', { label: 'Issue' })
+ *   .where('severity', 'in', ['high', 'critical'])
+ *   .groupBy('start.path')
+ *   .count('issues')
+ *   .orderBy('issues', 'desc')
+ *   .limit(10)
+ *   .build();
+ *
+ * const rows = await session.query(hotspots);
+ * ```
+ */
+export class QueryBuilder<TResult = GraphNode, P = Record<string, unknown>> {
+  private readonly start: NodePattern & { label: string };
+  private target: NodePattern | null = null;
+  private traversal: { types: string[]; direction: TraversalDirection; minDepth: number; maxDepth: number } | null = null;
+  private readonly groupFields: string[] = [];
+  private readonly aggregations: Array<{ alias: string; fn: AggregateFunction; field?: string }> = [];
+  private readonly orderings: Array<{ key: string; direction: 'asc' | 'desc' }> = [];
+  private skipCount?: number;
+  private limitCount?: number;
+
+  private constructor(label: string) {
+    this.start = { label, where: [] };
+  }
+
+  /**
+   * Start a query on nodes with a label
+   */
+  static match<P = Record<string, unknown>>(label: string): QueryBuilder<GraphNode, P> {
+    return new QueryBuilder<GraphNode, P>(label);
+  }
+
+  /**
+   * Add a condition on the current node pattern
+   */
+  where(property: PropertyKey<P>, operator: 'exists'): this;
+  where(property: PropertyKey<P>, operator: 'in', values: PropertyValue[]): this;
+  where(property: PropertyKey<P>, operator: Exclude<ComparisonOperator, 'exists' | 'in'>, value: PropertyValue): this;
+  where(property: PropertyKey<P>, operator: ComparisonOperator, value?: PropertyValue | PropertyValue[]): this {
+    (this.target ?? this.start).where.push({ property, operator, value });
+    return this;
+  }
+
+  /**
+   * Follow relationships of the given type(s) to target nodes; later
+   * `where` calls filter the targets
+   * @param types Relationship type, types, or null for any type
+   */
+  traverse<Q = Record<string, unknown>>(
+    types: string | string[] | null,
+    options: TraverseOptions = {}
+  ): QueryBuilder<TResult, Q> {
+    if (this.traversal) {
+      throw new ValidationError('A query can only traverse once', 'traverse');
+    }
+
+    const minDepth = options.minDepth ?? 1;
+    this.traversal = {
+      types: types === null ? [] : Array.isArray(types) ? types : [types],
+      direction: options.direction ?? 'out',
+      minDepth,
+      maxDepth: options.maxDepth ?? minDepth,
+    };
+    this.target = { label: options.label, where: [] };
+
+    return this as unknown as QueryBuilder<TResult, Q>;
+  }
+
+  /**
+   * Group results by one or more fields; each becomes an output column
+   * named as given
+   */
+  groupBy(...fields: string[]): QueryBuilder<AggregateRow, P> {
+    this.groupFields.push(...fields);
+    return this as unknown as QueryBuilder<AggregateRow, P>;
+  }
+
+  /**
+   * Count matched rows, or the non-null values of a field
+   */
+  count(alias = 'count', field?: string): QueryBuilder<AggregateRow, P> {
+    return this.aggregate('count', alias, field);
+  }
+
+  sum(alias: string, field: string): QueryBuilder<AggregateRow, P> {
+    return this.aggregate('sum', alias, field);
+  }
+
+  avg(alias: string, field: string): QueryBuilder<AggregateRow, P> {
+    return this.aggregate('avg', alias, field);
+  }
+
+  min(alias: string, field: string): QueryBuilder<AggregateRow, P> {
+    return this.aggregate('min', alias, field);
+  }
+
+  max(alias: string, field: string): QueryBuilder<AggregateRow, P> {
+    return this.aggregate('max', alias, field);
+  }
+
+  /**
+   * Sort by a node field, or by an output column once the query aggregates
+   */
+  orderBy(key: string, direction: 'asc' | 'desc' = 'asc'): this {
+    this.orderings.push({ key, direction });
+    return this;
+  }
+
+  skip(count: number): this {
+    this.skipCount = count;
+    return this;
+  }
+
+  limit(count: number): this {
+    this.limitCount = count;
+    return this;
+  }
+
+  /**
+   * Shorthand for skip/limit with 1-based page numbers
+   */
+  page(page: number, pageSize: number): this {
+    return this.skip((page - 1) * pageSize).limit(pageSize);
+  }
+
+  /**
+   * Produce the validated query
+   */
+  build(): GraphQuery<TResult> {
+    const aggregate = this.groupFields.length > 0 || this.aggregations.length > 0;
+    const columns = new Set([...this.groupFields, ...this.aggregations.map((a) => a.alias)]);
+
+    const query: GraphQuery<TResult> = {
+      start: { label: this.start.label, where: [...this.start.where] },
+      traverse: this.traversal && this.target
+        ? { ...this.traversal, target: { label: this.target.label, where: [...this.target.where] } }
+        : undefined,
+      groupBy: this.groupFields.map((field) => ({ alias: field, field: this.resolveField(field) })),
+      aggregations: this.aggregations.map(({ alias, fn, field }): Aggregation => ({
+        alias,
+        fn,
+        field: field === undefined ? undefined : this.resolveField(field),
+      })),
+      orderBy: this.orderings.map(({ key, direction }) =>
+        aggregate && columns.has(key)
+          ? { column: key, direction }
+          : { field: this.resolveField(key), direction }
+      ),
+      skip: this.skipCount,
+      limit: this.limitCount,
+    };
+
+    validateQuery(query);
+    return query;
+  }
+
+  // ========================================
+  // Private Helper Methods
+  // ========================================
+
+  private aggregate(fn: AggregateFunction, alias: string, field?: string): QueryBuilder<AggregateRow, P> {
+    this.aggregations.push({ alias, fn, field });
+    return this as unknown as QueryBuilder<AggregateRow, P>;
+  }
+
+  private resolveField(field: string): FieldRef {
+    const match = /^(start|end)\.(.+)$/.exec(field);
+    if (match) {
+      return { node: match[1] as 'start' | 'end', property: match[2]! };
+    }
+
+    return { node: this.traversal ? 'end' : 'start', property: field };
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Backend-neutral graph query model
+ *
+ * A GraphQuery is plain data: QueryBuilder produces it and every backend
+ * compiles it to its native query language (Cypher, SQL) or evaluates it
+ * directly (memory).
+ */
+
+/**
+ * Primitive property value usable in conditions
+ */
+export type PropertyValue = string | number | boolean;
+
+/**
+ * Comparison applied to a node property
+ *
+ * Conditions on a missing property are false, except for `exists`.
+ * `contains` and `startsWith` compare strings.
+ */
+export type ComparisonOperator =
+  | '='
+  | '<>'
+  | '<'
+  | '<='
+  | '>'
+  | '>='
+  | 'in'
+  | 'contains'
+  | 'startsWith'
+  | 'exists';
+
+/**
+ * Property condition; `in` takes an array, `exists` takes no value
+ */
+export interface Condition {
+  property: string;
+  operator: ComparisonOperator;
+  value?: PropertyValue | PropertyValue[];
+}
+
+/**
+ * Nodes with a label (optional on traversal targets) matching every condition
+ */
+export interface NodePattern {
+  label?: string;
+  where: Condition[];
+}
+
+export type TraversalDirection = 'out' | 'in' | 'both';
+
+/**
+ * Follow relationships from the start nodes to target nodes
+ *
+ * Yields every distinct (start, target) pair where the target is reachable
+ * in minDepth..maxDepth hops. With no types, any relationship is followed.
+ */
+export interface Traversal {
+  types: string[];
+  direction: TraversalDirection;
+  minDepth: number;
+  maxDepth: number;
+  target: NodePattern;
+}
+
+/**
+ * Property of the start node or of the traversal target
+ */
+export interface FieldRef {
+  node: 'start' | 'end';
+  property: string;
+}
+
+export type AggregateFunction = 'count' | 'sum' | 'avg' | 'min' | 'max';
+
+/**
+ * Aggregate output column; `count` without a field counts matched rows
+ */
+export interface Aggregation {
+  alias: string;
+  fn: AggregateFunction;
+  field?: FieldRef;
+}
+
+/**
+ * Group-by output column
+ */
+export interface Grouping {
+  alias: string;
+  field: FieldRef;
+}
+
+/**
+ * Sort key: a node property for node results, an output column for
+ * aggregate results. Nulls sort last ascending and first descending.
+ */
+export type Ordering =
+  | { field: FieldRef; direction: 'asc' | 'desc' }
+  | { column: string; direction: 'asc' | 'desc' };
+
+/**
+ * Aggregate result row keyed by group-by and aggregation aliases
+ */
+export type AggregateRow = Record<string, unknown>;
+
+/**
+ * Complete query
+ *
+ * Without aggregations the result is the matched nodes (the traversal
+ * targets when traversing), deduplicated. With aggregations the result is
+ * one AggregateRow per group.
+ *
+ * `TResult` only carries the result type through to IGraphSession.query().
+ */
+export interface GraphQuery<TResult = unknown> {
+  start: NodePattern & { label: string };
+  traverse?: Traversal;
+  groupBy: Grouping[];
+  aggregations: Aggregation[];
+  orderBy: Ordering[];
+  skip?: number;
+  limit?: number;
+  readonly __result?: TResult;
+}
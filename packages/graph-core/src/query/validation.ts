@@ -0,0 +1,148 @@
+/**
+ * Structural checks shared by every query compiler
+ */
+
+import { ValidationError } from '../errors';
+import { Condition, FieldRef, GraphQuery } from './types';
+
+const OPERATORS = new Set(['=', '<>', '<', '<=', '>', '>=', 'in', 'contains', 'startsWith', 'exists']);
+const AGGREGATE_FUNCTIONS = new Set(['count', 'sum', 'avg', 'min', 'max']);
+
+/**
+ * True when the query returns aggregate rows instead of nodes
+ */
+export function isAggregateQuery(query: GraphQuery): boolean {
+  return query.groupBy.length > 0 || query.aggregations.length > 0;
+}
+
+/**
+ * Node whose properties a node query returns
+ */
+export function resultNode(query: GraphQuery): 'start' | 'end' {
+  return query.traverse ? 'end' : 'start';
+}
+
+/**
+ * Reject queries that a backend could not compile or that would mean
+ * different things on different backends
+ */
+export function validateQuery(query: GraphQuery): void {
+  if (!query.start?.label) {
+    throw new ValidationError('Query needs a start label', 'start');
+  }
+
+  query.start.where.forEach(validateCondition);
+
+  const traversal = query.traverse;
+  if (traversal) {
+    if (!['out', 'in', 'both'].includes(traversal.direction)) {
+      throw new ValidationError(`Unknown traversal direction "${traversal.direction}"`, 'direction');
+    }
+
+    if (!Number.isInteger(traversal.minDepth) || traversal.minDepth < 1) {
+      throw new ValidationError('Traversal minDepth must be an integer of at least 1', 'minDepth');
+    }
+
+    if (!Number.isInteger(traversal.maxDepth) || traversal.maxDepth < traversal.minDepth) {
+      throw new ValidationError('Traversal maxDepth must be an integer no smaller than minDepth', 'maxDepth');
+    }
+
+    traversal.target.where.forEach(validateCondition);
+  }
+
+  const checkField = (field: FieldRef) => {
+    if (!field.property) {
+      throw new ValidationError('Query fields need a property name', 'property');
+    }
+    if (field.node === 'end' && !traversal) {
+      throw new ValidationError(`Field "${field.property}" refers to the traversal target, but the query does not traverse`, 'property');
+    }
+  };
+
+  const aliases = new Set<string>();
+  const addAlias = (alias: string) => {
+    if (!alias || aliases.has(alias)) {
+      throw new ValidationError(`Output column "${alias}" is empty or used twice`, 'alias');
+    }
+    aliases.add(alias);
+  };
+
+  for (const grouping of query.groupBy) {
+    checkField(grouping.field);
+    addAlias(grouping.alias);
+  }
+
+  for (const aggregation of query.aggregations) {
+    if (!AGGREGATE_FUNCTIONS.has(aggregation.fn)) {
+      throw new ValidationError(`Unknown aggregate function "${aggregation.fn}"`, 'fn');
+    }
+    if (aggregation.fn !== 'count' && !aggregation.field) {
+      throw new ValidationError(`Aggregate "${aggregation.alias}" (${aggregation.fn}) needs a field`, 'field');
+    }
+    if (aggregation.field) {
+      checkField(aggregation.field);
+    }
+    addAlias(aggregation.alias);
+  }
+
+  const aggregate = isAggregateQuery(query);
+  for (const ordering of query.orderBy) {
+    if ('column' in ordering) {
+      if (!aggregate || !aliases.has(ordering.column)) {
+        throw new ValidationError(`Cannot order by unknown column "${ordering.column}"`, 'orderBy');
+      }
+    } else {
+      if (aggregate) {
+        throw new ValidationError('Aggregate queries can only be ordered by their output columns', 'orderBy');
+      }
+      checkField(ordering.field);
+      if (ordering.field.node !== resultNode(query)) {
+        throw new ValidationError(`Cannot order by "${ordering.field.property}" of a node the query does not return`, 'orderBy');
+      }
+    }
+  }
+
+  for (const [name, value] of [['skip', query.skip], ['limit', query.limit]] as const) {
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      throw new ValidationError(`Query ${name} must be a non-negative integer`, name);
+    }
+  }
+}
+
+function validateCondition(condition: Condition): void {
+  const { property, operator, value } = condition;
+
+  if (!property) {
+    throw new ValidationError('Query conditions need a property name', 'property');
+  }
+
+  if (!OPERATORS.has(operator)) {
+    throw new ValidationError(`Unknown operator "${operator}" on "${property}"`, property);
+  }
+
+  if (operator === 'exists') {
+    return;
+  }
+
+  if (operator === 'in') {
+    if (!Array.isArray(value) || !value.every(isPrimitive)) {
+      throw new ValidationError(`Operator "in" on "${property}" needs an array of primitive values`, property);
+    }
+    return;
+  }
+
+  if (operator === 'contains' || operator === 'startsWith') {
+    if (typeof value !== 'string') {
+      throw new ValidationError(`Operator "${operator}" on "${property}" needs a string`, property);
+    }
+    return;
+  }
+
+  if (!isPrimitive(value)) {
+    throw new ValidationError(`Operator "${operator}" on "${property}" needs a string, number or boolean`, property);
+  }
+}
+
+function isPrimitive(value: unknown): boolean {
+  return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+}
@@ -0,0 +1,186 @@
+/**
+ * Cypher script generation and parsing helpers
+ */
+
+import { GraphSnapshot } from '../interfaces/types';
+import { ValidationError } from '../errors';
+
+/**
+ * Temporary property that ties relationships to the nodes created by a
+ * script; removed again by the script's last statement
+ */
+export const IMPORT_ID_PROPERTY = '_importId';
+
+/**
+ * Quote a label, relationship type or property key as a Cypher identifier
+ */
+export function escapeIdentifier(name: string): string {
+  return `\`${name.replace(/`/g, '``')}\``;
+}
+
+/**
+ * Format a serialized property value as a Cypher literal
+ */
+export function cypherLiteral(value: unknown): string {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  if (typeof value === 'string') {
+    // JSON string escapes (\", \\, \n, \uXXXX) are all valid in Cypher
+    return JSON.stringify(value);
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new ValidationError(`Cannot express ${value} as a Cypher literal`);
+    }
+    return String(value);
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(cypherLiteral).join(', ')}]`;
+  }
+
+  throw new ValidationError(`Cannot express ${typeof value} values as Cypher literals; serialize properties first`);
+}
+
+/**
+ * Format a property map as a Cypher map literal
+ */
+export function cypherMap(properties: Record<string, unknown>): string {
+  const entries = Object.entries(properties)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${escapeIdentifier(key)}: ${cypherLiteral(value)}`);
+  return `{${entries.join(', ')}}`;
+}
+
+/**
+ * Convert a snapshot to a replayable Cypher script, one statement per line
+ *
+ * Nodes are created with a temporary import id, relationships are matched
+ * through it and the id is removed at the end, so the script can be replayed
+ * into a database that already contains data.
+ */
+export function toCypherScript(snapshot: GraphSnapshot): string {
+  const lines: string[] = [
+    '// Topolop graph export',
+    `// ${snapshot.nodes.length} nodes, ${snapshot.relationships.length} relationships`,
+  ];
+
+  const labelsByKey = new Map<string, string[]>();
+
+  for (const node of snapshot.nodes) {
+    labelsByKey.set(node.key, node.labels);
+    const labels = node.labels.map(escapeIdentifier).join(':');
+    const properties = { ...node.properties, [IMPORT_ID_PROPERTY]: node.key };
+    lines.push(`CREATE (${labels ? `:${labels}` : ''} ${cypherMap(properties)});`);
+  }
+
+  for (const rel of snapshot.relationships) {
+    const fromLabels = labelsByKey.get(rel.from);
+    const toLabels = labelsByKey.get(rel.to);
+
+    if (!fromLabels || !toLabels) {
+      throw new ValidationError(`Relationship "${rel.type}" references a node that is not part of the snapshot`);
+    }
+
+    const from = nodePattern('a', fromLabels, rel.from);
+    const to = nodePattern('b', toLabels, rel.to);
+    lines.push(
+      `MATCH ${from}, ${to} CREATE (a)-[:${escapeIdentifier(rel.type)} ${cypherMap(rel.properties)}]->(b);`
+    );
+  }
+
+  if (snapshot.nodes.length > 0) {
+    const property = escapeIdentifier(IMPORT_ID_PROPERTY);
+    lines.push(`MATCH (n) WHERE n.${property} IS NOT NULL REMOVE n.${property};`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function nodePattern(variable: string, labels: string[], key: string): string {
+  const label = labels[0] ? `:${escapeIdentifier(labels[0])}` : '';
+  return `(${variable}${label} {${escapeIdentifier(IMPORT_ID_PROPERTY)}: ${cypherLiteral(key)}})`;
+}
+
+/**
+ * Split a Cypher script into statements on top-level semicolons
+ *
+ * Semicolons inside string literals, backtick identifiers and comments are
+ * ignored; comments are stripped from the returned statements.
+ */
+export function splitCypherStatements(script: string): string[] {
+  const statements: string[] = [];
+  let current = '';
+  let i = 0;
+
+  while (i < script.length) {
+    const char = script[i]!;
+    const next = script[i + 1];
+
+    if (char === '/' && next === '/') {
+      const end = script.indexOf('\n', i);
+      i = end === -1 ? script.length : end;
+      continue;
+    }
+
+    if (char === '/' && next === '*') {
+      const end = script.indexOf('*/', i + 2);
+      i = end === -1 ? script.length : end + 2;
+      continue;
+    }
+
+    if (char === '"' || char === "'" || char === '`') {
+      const end = findClosingQuote(script, i);
+      current += script.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+
+    if (char === ';') {
+      if (current.trim()) statements.push(current.trim());
+      current = '';
+      i++;
+      continue;
+    }
+
+    current += char;
+    i++;
+  }
+
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
+
+function findClosingQuote(script: string, start: number): number {
+  const quote = script[start];
+  let i = start + 1;
+
+  while (i < script.length) {
+    const char = script[i];
+
+    if (char === '\\' && quote !== '`') {
+      i += 2;
+      continue;
+    }
+
+    if (char === quote) {
+      // Doubled backticks escape a backtick inside an identifier
+      if (quote === '`' && script[i + 1] === '`') {
+        i += 2;
+        continue;
+      }
+      return i;
+    }
+
+    i++;
+  }
+
+  throw new ValidationError(`Unterminated ${quote} quote in Cypher script`);
+}
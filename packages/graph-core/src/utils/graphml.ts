@@ -0,0 +1,425 @@
+/**
+ * GraphML conversion for graph snapshots
+ *
+ * Node labels are written to a `labels` data key in Neo4j's `:A:B` notation
+ * and relationship types to a `label` data key, so files open directly in
+ * Gephi and yEd and can be read back without losing graph-core semantics.
+ */
+
+import { GraphSnapshot, SnapshotNode, SnapshotRelationship } from '../interfaces/types';
+import { ValidationError } from '../errors';
+
+const GRAPHML_NAMESPACE = 'http://graphml.graphdrawing.org/xmlns';
+const GRAPHML_SCHEMA = 'http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd';
+
+/**
+ * Key ids reserved for labels and relationship types
+ */
+const LABELS_KEY = 'labels';
+const TYPE_KEY = 'label';
+
+/**
+ * Fallbacks for GraphML written by tools that know nothing about labels
+ */
+const DEFAULT_LABEL = 'Node';
+const DEFAULT_TYPE = 'RELATED_TO';
+
+type GraphMLType = 'string' | 'boolean' | 'long' | 'double';
+
+interface GraphMLKey {
+  id: string;
+  domain: 'node' | 'edge';
+  name: string;
+  type: GraphMLType;
+  list: boolean;
+  defaultValue?: string;
+}
+
+// ========================================
+// Export
+// ========================================
+
+/**
+ * Convert a snapshot to a GraphML document
+ */
+export function toGraphML(snapshot: GraphSnapshot): string {
+  const nodeKeys = declareKeys('node', snapshot.nodes.map((node) => node.properties), 0);
+  const edgeKeys = declareKeys('edge', snapshot.relationships.map((rel) => rel.properties), nodeKeys.size);
+
+  const lines: string[] = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<graphml xmlns="${GRAPHML_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${GRAPHML_NAMESPACE} ${GRAPHML_SCHEMA}">`,
+    `  <key id="${LABELS_KEY}" for="node" attr.name="labels" attr.type="string"/>`,
+    `  <key id="${TYPE_KEY}" for="edge" attr.name="label" attr.type="string"/>`,
+  ];
+
+  for (const key of [...nodeKeys.values(), ...edgeKeys.values()]) {
+    const list = key.list ? ` attr.list="${key.type}"` : '';
+    const type = key.list ? 'string' : key.type;
+    lines.push(`  <key id="${key.id}" for="${key.domain}" attr.name="${escapeXml(key.name)}" attr.type="${type}"${list}/>`);
+  }
+
+  lines.push('  <graph id="G" edgedefault="directed">');
+
+  for (const node of snapshot.nodes) {
+    lines.push(`    <node id="${escapeXml(node.key)}">`);
+    lines.push(`      <data key="${LABELS_KEY}">${escapeXml(formatLabels(node.labels))}</data>`);
+    lines.push(...dataLines(node.properties, nodeKeys));
+    lines.push('    </node>');
+  }
+
+  snapshot.relationships.forEach((rel, idx) => {
+    lines.push(`    <edge id="e${idx}" source="${escapeXml(rel.from)}" target="${escapeXml(rel.to)}">`);
+    lines.push(`      <data key="${TYPE_KEY}">${escapeXml(rel.type)}</data>`);
+    lines.push(...dataLines(rel.properties, edgeKeys));
+    lines.push('    </edge>');
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Declare one key per property name, typed from every value seen for it
+ */
+function declareKeys(
+  domain: 'node' | 'edge',
+  propertySets: Array<Record<string, unknown>>,
+  offset: number
+): Map<string, GraphMLKey> {
+  const values = new Map<string, unknown[]>();
+  for (const props of propertySets) {
+    for (const [name, value] of Object.entries(props)) {
+      if (value === null || value === undefined) continue;
+      const seen = values.get(name) ?? [];
+      seen.push(value);
+      values.set(name, seen);
+    }
+  }
+
+  const keys = new Map<string, GraphMLKey>();
+  let idx = offset;
+  for (const [name, seen] of values) {
+    const list = seen.every(Array.isArray);
+    const scalars = list ? seen.flatMap((value) => value as unknown[]) : seen;
+    keys.set(name, {
+      id: `d${idx++}`,
+      domain,
+      name,
+      type: list || !seen.some(Array.isArray) ? inferType(scalars) : 'string',
+      list,
+    });
+  }
+
+  return keys;
+}
+
+function inferType(values: unknown[]): GraphMLType {
+  if (values.length > 0 && values.every((value) => typeof value === 'boolean')) return 'boolean';
+  if (values.length > 0 && values.every((value) => Number.isInteger(value))) return 'long';
+  if (values.length > 0 && values.every((value) => typeof value === 'number')) return 'double';
+  return 'string';
+}
+
+function dataLines(properties: Record<string, unknown>, keys: Map<string, GraphMLKey>): string[] {
+  const lines: string[] = [];
+  for (const [name, value] of Object.entries(properties)) {
+    const key = keys.get(name);
+    if (!key || value === null || value === undefined) continue;
+
+    const text = Array.isArray(value) ? JSON.stringify(value) : String(value);
+    lines.push(`      <data key="${key.id}">${escapeXml(text)}</data>`);
+  }
+  return lines;
+}
+
+function formatLabels(labels: string[]): string {
+  return labels.map((label) => `:${label}`).join('');
+}
+
+function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// ========================================
+// Import
+// ========================================
+
+/**
+ * Parse a GraphML document into a snapshot
+ *
+ * Supports the flat graph structure written by toGraphML and by common
+ * tools: `<key>` declarations with defaults, `<node>`/`<edge>` elements and
+ * their `<data>` values. Nested graphs are flattened and unknown elements
+ * (such as yEd graphics) are ignored.
+ */
+export function parseGraphML(xml: string): GraphSnapshot {
+  const keys = new Map<string, GraphMLKey>();
+  const nodes: SnapshotNode[] = [];
+  const relationships: SnapshotRelationship[] = [];
+
+  const stack: string[] = [];
+  // Mutated from the closures below; the casts stop TypeScript from
+  // narrowing them to null inside the token loop
+  let currentKey = null as GraphMLKey | null;
+  let defaultText = '';
+  let currentElement = null as { domain: 'node' | 'edge'; data: Map<string, string>; attrs: Record<string, string> } | null;
+  let currentData = null as { key: string; text: string } | null;
+
+  const closeElement = (): void => {
+    if (!currentElement) return;
+
+    const { domain, data, attrs } = currentElement;
+    if (domain === 'node') {
+      nodes.push(buildNode(attrs, data, keys));
+    } else {
+      relationships.push(buildRelationship(attrs, data, keys));
+    }
+    currentElement = null;
+  };
+
+  const startElement = (name: string, attrs: Record<string, string>): void => {
+    if (name === 'key') {
+      currentKey = {
+        id: attrs.id ?? '',
+        domain: attrs.for === 'edge' ? 'edge' : 'node',
+        // Keys without attr.name carry tool-specific data and are skipped
+        name: attrs['attr.name'] ?? '',
+        type: normalizeType(attrs['attr.list'] ?? attrs['attr.type']),
+        list: attrs['attr.list'] !== undefined,
+      };
+      keys.set(currentKey.id, currentKey);
+    } else if (name === 'default') {
+      defaultText = '';
+    } else if (name === 'node' || name === 'edge') {
+      // A nested graph inside a node finishes the enclosing node first
+      closeElement();
+      currentElement = { domain: name, data: new Map(), attrs };
+    } else if (name === 'data' && currentElement) {
+      currentData = { key: attrs.key ?? '', text: '' };
+    }
+  };
+
+  const endElement = (name: string): void => {
+    if (name === 'key') {
+      currentKey = null;
+    } else if (name === 'default' && currentKey) {
+      currentKey.defaultValue = defaultText;
+    } else if (name === 'node' || name === 'edge') {
+      closeElement();
+    } else if (name === 'data' && currentData) {
+      currentElement?.data.set(currentData.key, currentData.text);
+      currentData = null;
+    }
+  };
+
+  for (const token of tokenize(xml)) {
+    if (token.kind === 'text') {
+      // Only direct text children count; yEd graphics nest their own markup
+      const parent = stack[stack.length - 1];
+      if (parent === 'data' && currentData) {
+        currentData.text += token.value;
+      } else if (parent === 'default') {
+        defaultText += token.value;
+      }
+    } else if (token.kind === 'close') {
+      stack.pop();
+      endElement(localName(token.name));
+    } else {
+      const name = localName(token.name);
+      startElement(name, token.attrs);
+      if (token.kind === 'open') {
+        stack.push(name);
+      } else {
+        endElement(name);
+      }
+    }
+  }
+
+  closeElement();
+
+  return { nodes, relationships };
+}
+
+function buildNode(
+  attrs: Record<string, string>,
+  data: Map<string, string>,
+  keys: Map<string, GraphMLKey>
+): SnapshotNode {
+  if (!attrs.id) {
+    throw new ValidationError('GraphML node is missing its id attribute', 'id');
+  }
+
+  const labelsKey = findReservedKey(keys, 'node', LABELS_KEY, 'labels');
+  const labelText = labelsKey ? data.get(labelsKey.id) ?? labelsKey.defaultValue : undefined;
+  const labels = (labelText ?? '').split(':').map((label) => label.trim()).filter(Boolean);
+
+  return {
+    key: attrs.id,
+    labels: labels.length > 0 ? labels : [DEFAULT_LABEL],
+    properties: readProperties('node', data, keys, labelsKey),
+  };
+}
+
+function buildRelationship(
+  attrs: Record<string, string>,
+  data: Map<string, string>,
+  keys: Map<string, GraphMLKey>
+): SnapshotRelationship {
+  if (!attrs.source || !attrs.target) {
+    throw new ValidationError('GraphML edge is missing its source or target attribute', 'source');
+  }
+
+  const typeKey = findReservedKey(keys, 'edge', TYPE_KEY, 'label');
+  const type = (typeKey ? data.get(typeKey.id) ?? typeKey.defaultValue : undefined) ?? attrs.label;
+
+  return {
+    type: type?.trim() || DEFAULT_TYPE,
+    from: attrs.source,
+    to: attrs.target,
+    properties: readProperties('edge', data, keys, typeKey),
+  };
+}
+
+function findReservedKey(
+  keys: Map<string, GraphMLKey>,
+  domain: 'node' | 'edge',
+  id: string,
+  name: string
+): GraphMLKey | undefined {
+  const byId = keys.get(id);
+  if (byId && byId.domain === domain) return byId;
+  return [...keys.values()].find((key) => key.domain === domain && key.name === name);
+}
+
+function readProperties(
+  domain: 'node' | 'edge',
+  data: Map<string, string>,
+  keys: Map<string, GraphMLKey>,
+  reserved: GraphMLKey | undefined
+): Record<string, unknown> {
+  const properties: Record<string, unknown> = {};
+
+  for (const key of keys.values()) {
+    if (key.domain !== domain || key === reserved || !key.name) continue;
+
+    const text = data.get(key.id) ?? key.defaultValue;
+    if (text === undefined) continue;
+
+    properties[key.name] = key.list ? parseList(text, key.type) : parseScalar(text, key.type);
+  }
+
+  return properties;
+}
+
+function normalizeType(type: string | undefined): GraphMLType {
+  switch (type) {
+    case 'boolean':
+      return 'boolean';
+    case 'int':
+    case 'long':
+      return 'long';
+    case 'float':
+    case 'double':
+      return 'double';
+    default:
+      return 'string';
+  }
+}
+
+function parseScalar(text: string, type: GraphMLType): unknown {
+  switch (type) {
+    case 'boolean':
+      return text.trim() === 'true';
+    case 'long':
+      return parseInt(text, 10);
+    case 'double':
+      return parseFloat(text);
+    default:
+      return text;
+  }
+}
+
+function parseList(text: string, type: GraphMLType): unknown {
+  try {
+    const parsed = JSON.parse(text);
+    if (Array.isArray(parsed)) return parsed;
+  } catch {
+    // Fall through to a plain value
+  }
+  return parseScalar(text, type);
+}
+
+// ========================================
+// Minimal XML tokenizer
+// ========================================
+
+type XmlToken =
+  | { kind: 'open' | 'empty'; name: string; attrs: Record<string, string> }
+  | { kind: 'close'; name: string }
+  | { kind: 'text'; value: string };
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const ATTR_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function* tokenize(xml: string): Generator<XmlToken> {
+  TOKEN_PATTERN.lastIndex = 0;
+  let match: RegExpExecArray | null;
+
+  while ((match = TOKEN_PATTERN.exec(xml)) !== null) {
+    const [, cdata, closeName, openName, attrText, selfClosing, text] = match;
+
+    if (cdata !== undefined) {
+      yield { kind: 'text', value: cdata };
+    } else if (closeName !== undefined) {
+      yield { kind: 'close', name: closeName };
+    } else if (openName !== undefined) {
+      yield { kind: selfClosing ? 'empty' : 'open', name: openName, attrs: parseAttributes(attrText ?? '') };
+    } else if (text !== undefined) {
+      yield { kind: 'text', value: decodeEntities(text) };
+    }
+  }
+}
+
+function parseAttributes(text: string): Record<string, string> {
+  const attrs: Record<string, string> = {};
+  ATTR_PATTERN.lastIndex = 0;
+  let match: RegExpExecArray | null;
+
+  while ((match = ATTR_PATTERN.exec(text)) !== null) {
+    attrs[match[1]!] = decodeEntities(match[2] ?? match[3] ?? '');
+  }
+
+  return attrs;
+}
+
+function localName(name: string): string {
+  const idx = name.indexOf(':');
+  return idx === -1 ? name : name.slice(idx + 1);
+}
+
+function decodeEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|lt|gt|amp|quot|apos);/g, (_, entity: string) => {
+    switch (entity) {
+      case 'lt':
+        return '<';
+      case 'gt':
+        return '>';
+      case 'amp':
+        return '&';
+      case 'quot':
+        return '"';
+      case 'apos':
+        return "'";
+      default:
+        return String.fromCodePoint(
+          entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+        );
+    }
+  });
+}
@@ -0,0 +1,130 @@
+/**
+ * Chunked, transactional ingest shared by every backend
+ */
+
+import { IGraphDatabase } from '../interfaces/IGraphDatabase';
+import { IGraphSession } from '../interfaces/IGraphSession';
+import { IngestRecord, IngestOptions, IngestProgress } from '../interfaces/types';
+import { ValidationError } from '../errors';
+
+/**
+ * Records written per transaction when no batch size is given
+ */
+export const DEFAULT_INGEST_BATCH_SIZE = 1000;
+
+/**
+ * Write a stream of records through IGraphDatabase sessions, committing
+ * every `batchSize` records.
+ *
+ * Within a chunk, runs of consecutive records that share a kind and
+ * label/type go through the session's batch operations, so record order is
+ * preserved and relationships may point at nodes written earlier in the
+ * same chunk.
+ */
+export async function ingestRecords(
+  db: IGraphDatabase,
+  source: AsyncIterable<IngestRecord> | Iterable<IngestRecord>,
+  options: IngestOptions = {}
+): Promise<IngestProgress> {
+  const batchSize = options.batchSize ?? DEFAULT_INGEST_BATCH_SIZE;
+  const nodeMode = options.nodeMode ?? 'merge';
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new ValidationError(`Ingest batch size must be a positive integer, got ${batchSize}`, 'batchSize');
+  }
+
+  const progress: IngestProgress = { batches: 0, records: 0, nodes: 0, relationships: 0 };
+  let chunk: IngestRecord[] = [];
+
+  const flush = async (): Promise<void> => {
+    const session = db.session();
+
+    try {
+      for (const run of splitRuns(chunk)) {
+        await writeRun(session, run, nodeMode);
+      }
+      await session.commit();
+    } catch (error) {
+      if (session.isActive()) {
+        await session.rollback();
+      }
+      throw error;
+    } finally {
+      await session.close();
+    }
+
+    progress.batches++;
+    progress.records += chunk.length;
+    for (const record of chunk) {
+      if (record.kind === 'node') {
+        progress.nodes++;
+      } else {
+        progress.relationships++;
+      }
+    }
+
+    chunk = [];
+    options.onProgress?.({ ...progress });
+  };
+
+  for await (const record of source) {
+    chunk.push(record);
+    if (chunk.length >= batchSize) {
+      await flush();
+    }
+  }
+
+  if (chunk.length > 0) {
+    await flush();
+  }
+
+  return progress;
+}
+
+/**
+ * Split a chunk into runs of records that can share one batch call
+ */
+function splitRuns(records: IngestRecord[]): IngestRecord[][] {
+  const runs: IngestRecord[][] = [];
+
+  for (const record of records) {
+    const run = runs[runs.length - 1];
+    const previous = run?.[0];
+
+    if (previous && previous.kind === record.kind && groupName(previous) === groupName(record)) {
+      run!.push(record);
+    } else {
+      runs.push([record]);
+    }
+  }
+
+  return runs;
+}
+
+function groupName(record: IngestRecord): string {
+  return record.kind === 'node' ? record.label : record.type;
+}
+
+async function writeRun(
+  session: IGraphSession,
+  run: IngestRecord[],
+  nodeMode: 'create' | 'merge'
+): Promise<void> {
+  const first = run[0]!;
+
+  if (first.kind === 'node') {
+    const properties = run.map((record) => (record as Extract<IngestRecord, { kind: 'node' }>).properties);
+    await (nodeMode === 'merge'
+      ? session.mergeNodes(first.label, properties)
+      : session.createNodes(first.label, properties));
+    return;
+  }
+
+  await session.createRelationships(
+    first.type,
+    run.map((record) => {
+      const rel = record as Extract<IngestRecord, { kind: 'relationship' }>;
+      return { from: rel.from, to: rel.to, properties: rel.properties };
+    })
+  );
+}
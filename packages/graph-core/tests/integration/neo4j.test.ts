@@ -5,7 +5,8 @@
  * Run with: docker-compose up -d
  */
 
-import { createGraphDatabase } from '../../src';
+import { createGraphDatabase, NotFoundError, ValidationError, QueryBuilder } from '../../src';
+import type { GraphQuery, IngestProgress, IngestRecord } from '../../src';
 import { IGraphDatabase } from '../../src/interfaces/IGraphDatabase';
 
 describe('Neo4j Integration Tests', () => {
@@ -185,6 +186,119 @@ describe('Neo4j Integration Tests', () => {
     });
   });
 
+  describe('Batch Operations', () => {
+    it('should create nodes in bulk', async () => {
+      const session = db.session();
+
+      const nodes = await session.createNodes('BatchItem', [
+        { id: 'b1', name: 'First' },
+        { id: 'b2', name: 'Second', meta: { tags: ['x'] } },
+      ]);
+
+      expect(nodes.map((node) => node.id)).toEqual(['b1', 'b2']);
+      expect(nodes[1]!.properties.meta).toEqual({ tags: ['x'] });
+
+      await session.commit();
+      await session.close();
+    });
+
+    it('should merge nodes by id', async () => {
+      const session = db.session();
+      await session.createNodes('BatchMerge', [{ id: 'b1', name: 'First' }]);
+
+      const merged = await session.mergeNodes('BatchMerge', [
+        { id: 'b1', rank: 1 },
+        { id: 'b3', name: 'Third' },
+      ]);
+
+      expect(merged[0]!.properties).toMatchObject({ id: 'b1', name: 'First', rank: 1 });
+      expect(merged[1]!.properties.name).toBe('Third');
+      await expect(session.mergeNodes('BatchItem', [{ name: 'No id' }])).rejects.toThrow(ValidationError);
+
+      await session.commit();
+      await session.close();
+    });
+
+    it('should create relationships in bulk', async () => {
+      const session = db.session();
+      await session.createNodes('BatchLink', [{ id: 'b1' }, { id: 'b2' }, { id: 'b3' }]);
+
+      const rels = await session.createRelationships('NEXT', [
+        { from: { label: 'BatchLink', id: 'b1' }, to: { label: 'BatchLink', id: 'b2' } },
+        { from: { label: 'BatchLink', id: 'b2' }, to: { label: 'BatchLink', id: 'b3' }, properties: { weight: 2 } },
+      ]);
+
+      expect(rels.map((rel) => [rel.from, rel.to])).toEqual([['b1', 'b2'], ['b2', 'b3']]);
+      expect(rels[1]!.properties.weight).toBe(2);
+
+      await session.commit();
+      await session.close();
+    });
+
+    it('should write nothing when a relationship endpoint is missing', async () => {
+      const session = db.session();
+      await session.createNodes('BatchPartial', [{ id: 'b1' }, { id: 'b2' }]);
+
+      await expect(
+        session.createRelationships('NEXT', [
+          { from: { label: 'BatchPartial', id: 'b1' }, to: { label: 'BatchPartial', id: 'b2' } },
+          { from: { label: 'BatchPartial', id: 'b1' }, to: { label: 'BatchPartial', id: 'missing' } },
+        ])
+      ).rejects.toThrow(NotFoundError);
+
+      expect(await session.getRelationships({ label: 'BatchPartial', id: 'b1' }, 'NEXT')).toHaveLength(0);
+
+      await session.rollback();
+      await session.close();
+    });
+
+    it('should ingest a stream in chunks and report progress', async () => {
+      async function* records(): AsyncGenerator<IngestRecord> {
+        for (let i = 0; i < 5; i++) {
+          yield { kind: 'node', label: 'IngestItem', properties: { id: `n${i}`, position: i } };
+        }
+        for (let i = 1; i < 5; i++) {
+          yield {
+            kind: 'relationship',
+            type: 'FOLLOWS',
+            from: { label: 'IngestItem', id: `n${i - 1}` },
+            to: { label: 'IngestItem', id: `n${i}` },
+          };
+        }
+      }
+
+      const reports: IngestProgress[] = [];
+      const summary = await db.ingest(records(), { batchSize: 4, onProgress: (p) => reports.push(p) });
+
+      expect(summary).toEqual({ batches: 3, records: 9, nodes: 5, relationships: 4 });
+      expect(reports.map((p) => p.records)).toEqual([4, 8, 9]);
+
+      const session = db.session();
+      expect(await session.findNodes('IngestItem')).toHaveLength(5);
+      expect(await session.hasPath('n0', 'n4')).toBe(true);
+      await session.close();
+    });
+
+    it('should keep committed chunks when a later chunk fails', async () => {
+      const records: IngestRecord[] = [
+        { kind: 'node', label: 'IngestFail', properties: { id: 'ok' } },
+        { kind: 'node', label: 'IngestFail', properties: { id: 'also-ok' } },
+        {
+          kind: 'relationship',
+          type: 'BROKEN',
+          from: { label: 'IngestFail', id: 'ok' },
+          to: { label: 'IngestFail', id: 'missing' },
+        },
+      ];
+
+      await expect(db.ingest(records, { batchSize: 2 })).rejects.toThrow(NotFoundError);
+
+      const session = db.session();
+      expect(await session.findNodes('IngestFail')).toHaveLength(2);
+      await session.close();
+    });
+  });
+
   describe('Graph Queries', () => {
     beforeEach(async () => {
       const session = db.session();
@@ -248,6 +362,93 @@ describe('Neo4j Integration Tests', () => {
     });
   });
 
+  describe('Query Builder', () => {
+    beforeAll(async () => {
+      const session = db.session();
+      await session.createNodes('QueryFile', [
+        { id: 'qa', path: 'src/a.ts', language: 'ts' },
+        { id: 'qb', path: 'src/b.ts', language: 'ts' },
+        { id: 'qc', path: 'lib/c.js', language: 'js' },
+      ]);
+      await session.createNodes('QueryIssue', [
+        { id: 'qi1', severity: 'high', line: 10 },
+        { id: 'qi2', severity: 'low', line: 20 },
+        { id: 'qi3', severity: 'high', line: 30 },
+        { id: 'qi4', severity: 'high' },
+      ]);
+      await session.createRelationships('HAS_ISSUE', [
+        { from: { label: 'QueryFile', id: 'qa' }, to: { label: 'QueryIssue', id: 'qi1' } },
+        { from: { label: 'QueryFile', id: 'qa' }, to: { label: 'QueryIssue', id: 'qi2' } },
+        { from: { label: 'QueryFile', id: 'qb' }, to: { label: 'QueryIssue', id: 'qi3' } },
+        { from: { label: 'QueryFile', id: 'qc' }, to: { label: 'QueryIssue', id: 'qi4' } },
+      ]);
+      await session.createRelationships('IMPORTS', [
+        { from: { label: 'QueryFile', id: 'qa' }, to: { label: 'QueryFile', id: 'qb' } },
+        { from: { label: 'QueryFile', id: 'qb' }, to: { label: 'QueryFile', id: 'qc' } },
+      ]);
+      await session.commit();
+      await session.close();
+    });
+
+    async function run<T>(query: GraphQuery<T>): Promise<T[]> {
+      const session = db.session();
+      try {
+        return await session.query(query);
+      } finally {
+        await session.close();
+      }
+    }
+
+    it('should filter, order and page nodes', async () => {
+      const nodes = await run(
+        QueryBuilder.match('QueryFile').where('language', '=', 'ts').orderBy('path', 'desc').limit(1).build()
+      );
+
+      expect(nodes.map((n) => n.id)).toEqual(['qb']);
+      expect(nodes[0]!.label).toBe('QueryFile');
+    });
+
+    it('should respect traversal direction and depth', async () => {
+      const out = await run(
+        QueryBuilder.match('QueryFile').where('id', '=', 'qa').traverse('IMPORTS', { maxDepth: 2 }).orderBy('id').build()
+      );
+      const incoming = await run(
+        QueryBuilder.match('QueryFile')
+          .where('id', '=', 'qc')
+          .traverse('IMPORTS', { direction: 'in', minDepth: 2, maxDepth: 2 })
+          .build()
+      );
+
+      expect(out.map((n) => n.id)).toEqual(['qb', 'qc']);
+      expect(incoming.map((n) => n.id)).toEqual(['qa']);
+    });
+
+    it('should aggregate per group with nulls sorted last', async () => {
+      const rows = await run(
+        QueryBuilder.match('QueryFile')
+          .traverse('HAS_ISSUE', { label: 'QueryIssue' })
+          .where('severity', '=', 'high')
+          .groupBy('start.path')
+          .count('issues')
+          .max('lastLine', 'line')
+          .orderBy('lastLine', 'asc')
+          .build()
+      );
+
+      expect(rows).toEqual([
+        { 'start.path': 'src/a.ts', issues: 1, lastLine: 10 },
+        { 'start.path': 'src/b.ts', issues: 1, lastLine: 30 },
+        { 'start.path': 'lib/c.js', issues: 1, lastLine: null },
+      ]);
+    });
+
+    it('should return one row for an ungrouped aggregate over no matches', async () => {
+      const rows = await run(QueryBuilder.match('QueryMissing').count('total').sum('lines', 'line').build());
+
+      expect(rows).toEqual([{ total: 0, lines: 0 }]);
+    });
+  });
+
   describe('Transaction Control', () => {
     it('should rollback on error', async () => {
       const session = db.session();
@@ -312,4 +513,25 @@ describe('Neo4j Integration Tests', () => {
       await session2.close();
     });
   });
+
+  describe('Export and Import', () => {
+    it.each(['graphml', 'cypher'] as const)('should round-trip through %s', async (format) => {
+      const before = await db.getInfo();
+      const exported = await db.export(format);
+
+      await db.clear();
+      await db.import(exported, format);
+
+      const after = await db.getInfo();
+      expect(after.nodeCount).toBe(before.nodeCount);
+      expect(after.relationshipCount).toBe(before.relationshipCount);
+
+      const session = db.session();
+      const node = await session.getNode('TestSerialization', 'complex1');
+      expect(node?.properties.metadata).toEqual({ foo: 'bar', nested: { value: 42 } });
+      expect(node?.properties._importId).toBeUndefined();
+      expect(await session.hasPath('A', 'C')).toBe(true);
+      await session.close();
+    });
+  });
 });
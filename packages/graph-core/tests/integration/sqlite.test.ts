@@ -0,0 +1,669 @@
+/**
+ * Integration tests for SQLite backend
+ *
+ * These tests run against a temporary database file.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { createGraphDatabase, NotFoundError, TransactionError, ConfigurationError, ValidationError, QueryBuilder } from '../../src';
+import type { GraphQuery, IngestProgress, IngestRecord } from '../../src';
+import { IGraphDatabase } from '../../src/interfaces/IGraphDatabase';
+
+describe('SQLite Integration Tests', () => {
+  let db: IGraphDatabase;
+  let tmpDir: string;
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-core-sqlite-'));
+    db = createGraphDatabase('sqlite');
+
+    await db.connect({
+      backend: 'sqlite',
+      filePath: path.join(tmpDir, 'graph.db'),
+    });
+  });
+
+  afterAll(async () => {
+    if (db) {
+      await db.disconnect();
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('Connection', () => {
+    it('should connect successfully', async () => {
+      expect(db.isConnected()).toBe(true);
+    });
+
+    it('should ping successfully', async () => {
+      expect(await db.ping()).toBe(true);
+    });
+
+    it('should get database info', async () => {
+      const info = await db.getInfo();
+      expect(info.backend).toBe('sqlite');
+      expect(info.connected).toBe(true);
+      expect(info.version).toBeDefined();
+    });
+
+    it('should require a file path', async () => {
+      const other = createGraphDatabase('sqlite');
+      await expect(other.connect({ backend: 'sqlite' })).rejects.toThrow(ConfigurationError);
+    });
+
+    it('should load without better-sqlite3 and say it is needed on connect', async () => {
+      await jest.isolateModulesAsync(async () => {
+        jest.doMock('better-sqlite3', () => {
+          throw new Error("Cannot find module 'better-sqlite3'");
+        });
+        const isolated: typeof import('../../src') = require('../../src');
+
+        await expect(isolated.createGraphDatabase('sqlite').connect({ backend: 'sqlite', filePath: path.join(tmpDir, 'other.db') }))
+          .rejects.toThrow('The SQLite backend needs the better-sqlite3 package');
+      });
+      jest.dontMock('better-sqlite3');
+    });
+  });
+
+  describe('Node Operations', () => {
+    it('should create a node', async () => {
+      const session = db.session();
+
+      const node = await session.createNode('TestUser', {
+        id: 'user1',
+        name: 'Alice',
+        age: 30,
+      });
+
+      expect(node.id).toBe('user1');
+      expect(node.label).toBe('TestUser');
+      expect(node.properties.name).toBe('Alice');
+      expect(node.properties.age).toBe(30);
+
+      await session.commit();
+      await session.close();
+    });
+
+    it('should assign an id when none is given', async () => {
+      const session = db.session();
+
+      const node = await session.createNode('TestAnonymous', { name: 'Nobody' });
+      expect(node.id).toBeTruthy();
+      expect(node.properties.id).toBe(node.id);
+
+      await session.rollback();
+      await session.close();
+    });
+
+    it('should get a node by ID', async () => {
+      const session = db.session();
+
+      const node = await session.getNode('TestUser', 'user1');
+
+      expect(node).not.toBeNull();
+      expect(node?.properties.name).toBe('Alice');
+
+      await session.close();
+    });
+
+    it('should update a node', async () => {
+      const session = db.session();
+
+      const updated = await session.updateNode('TestUser', 'user1', {
+        age: 31,
+        city: 'New York',
+      });
+
+      expect(updated.properties.age).toBe(31);
+      expect(updated.properties.city).toBe('New York');
+      expect(updated.properties.name).toBe('Alice');
+
+      await session.commit();
+      await session.close();
+    });
+
+    it('should throw NotFoundError when updating a missing node', async () => {
+      const session = db.session();
+
+      await expect(session.updateNode('TestUser', 'missing', { age: 1 })).rejects.toThrow(NotFoundError);
+
+      await session.close();
+    });
+
+    it('should find nodes with filter', async () => {
+      const session = db.session();
+
+      await session.createNode('TestUser', {
+        id: 'user2',
+        name: 'Bob',
+        age: 25,
+        active: true,
+        tags: ['a', 'b'],
+      });
+
+      await session.commit();
+      await session.close();
+
+      const session2 = db.session();
+
+      const allUsers = await session2.findNodes('TestUser');
+      expect(allUsers.length).toBe(2);
+
+      const alice = await session2.findNodes('TestUser', { name: 'Alice' });
+      expect(alice.length).toBe(1);
+      expect(alice[0]?.properties.name).toBe('Alice');
+
+      const active = await session2.findNodes('TestUser', { active: true, age: 25 });
+      expect(active.map((n) => n.id)).toEqual(['user2']);
+
+      const tagged = await session2.findNodes('TestUser', { tags: ['a', 'b'] });
+      expect(tagged.map((n) => n.id)).toEqual(['user2']);
+
+      await session2.close();
+    });
+
+    it('should delete a node', async () => {
+      const session = db.session();
+
+      await session.deleteNode('TestUser', 'user2');
+      await session.commit();
+      await session.close();
+
+      const session2 = db.session();
+      const deleted = await session2.getNode('TestUser', 'user2');
+      expect(deleted).toBeNull();
+
+      await session2.close();
+    });
+  });
+
+  describe('Relationship Operations', () => {
+    beforeAll(async () => {
+      const session = db.session();
+
+      await session.createNode('TestUser', { id: 'alice', name: 'Alice' });
+      await session.createNode('TestUser', { id: 'bob', name: 'Bob' });
+
+      await session.commit();
+      await session.close();
+    });
+
+    it('should create a relationship', async () => {
+      const session = db.session();
+
+      const rel = await session.createRelationship(
+        { label: 'TestUser', id: 'alice' },
+        'KNOWS',
+        { label: 'TestUser', id: 'bob' },
+        { since: '2024-01-01' }
+      );
+
+      expect(rel.type).toBe('KNOWS');
+      expect(rel.from).toBe('alice');
+      expect(rel.to).toBe('bob');
+      expect(rel.properties.since).toBe('2024-01-01');
+
+      await session.commit();
+      await session.close();
+    });
+
+    it('should reject relationships to missing nodes', async () => {
+      const session = db.session();
+
+      await expect(
+        session.createRelationship(
+          { label: 'TestUser', id: 'alice' },
+          'KNOWS',
+          { label: 'TestUser', id: 'nobody' }
+        )
+      ).rejects.toThrow(NotFoundError);
+
+      await session.close();
+    });
+
+    it('should get relationships', async () => {
+      const session = db.session();
+
+      const rels = await session.getRelationships({ label: 'TestUser', id: 'alice' }, 'KNOWS');
+
+      expect(rels.length).toBe(1);
+      expect(rels[0]?.type).toBe('KNOWS');
+      expect(rels[0]?.to).toBe('bob');
+
+      await session.close();
+    });
+
+    it('should delete relationships with their node', async () => {
+      const session = db.session();
+
+      await session.deleteNode('TestUser', 'bob');
+      const rels = await session.getRelationships({ label: 'TestUser', id: 'alice' }, 'KNOWS');
+      expect(rels).toEqual([]);
+
+      await session.rollback();
+      await session.close();
+    });
+
+    it('should delete a relationship by ID', async () => {
+      const session = db.session();
+
+      const [rel] = await session.getRelationships({ label: 'TestUser', id: 'alice' }, 'KNOWS');
+      await session.deleteRelationship(rel!.id);
+      const rels = await session.getRelationships({ label: 'TestUser', id: 'alice' }, 'KNOWS');
+      expect(rels).toEqual([]);
+
+      await session.rollback();
+      await session.close();
+    });
+  });
+
+  describe('Batch Operations', () => {
+    it('should create nodes in bulk', async () => {
+      const session = db.session();
+
+      const nodes = await session.createNodes('BatchItem', [
+        { id: 'b1', name: 'First' },
+        { id: 'b2', name: 'Second', meta: { tags: ['x'] } },
+      ]);
+
+      expect(nodes.map((node) => node.id)).toEqual(['b1', 'b2']);
+      expect(nodes[1]!.properties.meta).toEqual({ tags: ['x'] });
+
+      await session.commit();
+      await session.close();
+    });
+
+    it('should merge nodes by id', async () => {
+      const session = db.session();
+      await session.createNodes('BatchMerge', [{ id: 'b1', name: 'First' }]);
+
+      const merged = await session.mergeNodes('BatchMerge', [
+        { id: 'b1', rank: 1 },
+        { id: 'b3', name: 'Third' },
+      ]);
+
+      expect(merged[0]!.properties).toMatchObject({ id: 'b1', name: 'First', rank: 1 });
+      expect(merged[1]!.properties.name).toBe('Third');
+      await expect(session.mergeNodes('BatchItem', [{ name: 'No id' }])).rejects.toThrow(ValidationError);
+
+      await session.commit();
+      await session.close();
+    });
+
+    it('should create relationships in bulk', async () => {
+      const session = db.session();
+      await session.createNodes('BatchLink', [{ id: 'b1' }, { id: 'b2' }, { id: 'b3' }]);
+
+      const rels = await session.createRelationships('NEXT', [
+        { from: { label: 'BatchLink', id: 'b1' }, to: { label: 'BatchLink', id: 'b2' } },
+        { from: { label: 'BatchLink', id: 'b2' }, to: { label: 'BatchLink', id: 'b3' }, properties: { weight: 2 } },
+      ]);
+
+      expect(rels.map((rel) => [rel.from, rel.to])).toEqual([['b1', 'b2'], ['b2', 'b3']]);
+      expect(rels[1]!.properties.weight).toBe(2);
+
+      await session.commit();
+      await session.close();
+    });
+
+    it('should write nothing when a relationship endpoint is missing', async () => {
+      const session = db.session();
+      await session.createNodes('BatchPartial', [{ id: 'b1' }, { id: 'b2' }]);
+
+      await expect(
+        session.createRelationships('NEXT', [
+          { from: { label: 'BatchPartial', id: 'b1' }, to: { label: 'BatchPartial', id: 'b2' } },
+          { from: { label: 'BatchPartial', id: 'b1' }, to: { label: 'BatchPartial', id: 'missing' } },
+        ])
+      ).rejects.toThrow(NotFoundError);
+
+      expect(await session.getRelationships({ label: 'BatchPartial', id: 'b1' }, 'NEXT')).toHaveLength(0);
+
+      await session.rollback();
+      await session.close();
+    });
+
+    it('should ingest a stream in chunks and report progress', async () => {
+      async function* records(): AsyncGenerator<IngestRecord> {
+        for (let i = 0; i < 5; i++) {
+          yield { kind: 'node', label: 'IngestItem', properties: { id: `n${i}`, position: i } };
+        }
+        for (let i = 1; i < 5; i++) {
+          yield {
+            kind: 'relationship',
+            type: 'FOLLOWS',
+            from: { label: 'IngestItem', id: `n${i - 1}` },
+            to: { label: 'IngestItem', id: `n${i}` },
+          };
+        }
+      }
+
+      const reports: IngestProgress[] = [];
+      const summary = await db.ingest(records(), { batchSize: 4, onProgress: (p) => reports.push(p) });
+
+      expect(summary).toEqual({ batches: 3, records: 9, nodes: 5, relationships: 4 });
+      expect(reports.map((p) => p.records)).toEqual([4, 8, 9]);
+
+      const session = db.session();
+      expect(await session.findNodes('IngestItem')).toHaveLength(5);
+      expect(await session.hasPath('n0', 'n4')).toBe(true);
+      await session.close();
+    });
+
+    it('should keep committed chunks when a later chunk fails', async () => {
+      const records: IngestRecord[] = [
+        { kind: 'node', label: 'IngestFail', properties: { id: 'ok' } },
+        { kind: 'node', label: 'IngestFail', properties: { id: 'also-ok' } },
+        {
+          kind: 'relationship',
+          type: 'BROKEN',
+          from: { label: 'IngestFail', id: 'ok' },
+          to: { label: 'IngestFail', id: 'missing' },
+        },
+      ];
+
+      await expect(db.ingest(records, { batchSize: 2 })).rejects.toThrow(NotFoundError);
+
+      const session = db.session();
+      expect(await session.findNodes('IngestFail')).toHaveLength(2);
+      await session.close();
+    });
+  });
+
+  describe('Graph Queries', () => {
+    beforeAll(async () => {
+      const session = db.session();
+
+      // A -> B -> C, plus a detour A -> D -> E -> C and an isolated F
+      for (const id of ['A', 'B', 'C', 'D', 'E', 'F']) {
+        await session.createNode('TestNode', { id, name: `Node ${id}` });
+      }
+
+      const edges: Array<[string, string]> = [['A', 'B'], ['B', 'C'], ['A', 'D'], ['D', 'E'], ['E', 'C']];
+      for (const [from, to] of edges) {
+        await session.createRelationship(
+          { label: 'TestNode', id: from },
+          'CONNECTS_TO',
+          { label: 'TestNode', id: to }
+        );
+      }
+
+      await session.commit();
+      await session.close();
+    });
+
+    it('should find shortest path', async () => {
+      const session = db.session();
+
+      const path = await session.shortestPath('A', 'C');
+
+      expect(path).not.toBeNull();
+      expect(path?.length).toBe(2);
+      expect(path?.segments.map((s) => s.node.id)).toEqual(['A', 'B', 'C']);
+      expect(path?.segments[0]?.relationship?.type).toBe('CONNECTS_TO');
+      expect(path?.segments[2]?.relationship).toBeUndefined();
+
+      expect(await session.shortestPath('A', 'F')).toBeNull();
+
+      await session.close();
+    });
+
+    it('should find shortest path in a grid without enumerating paths', async () => {
+      const session = db.session();
+      const size = 12;
+      const id = (row: number, col: number) => `grid-${row}-${col}`;
+
+      const cells = Array.from({ length: size * size }, (_, i) => ({ id: id(Math.floor(i / size), i % size) }));
+      await session.createNodes('GridNode', cells);
+
+      const links = [];
+      for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+          if (col + 1 < size) {
+            links.push({ from: { label: 'GridNode', id: id(row, col) }, to: { label: 'GridNode', id: id(row, col + 1) } });
+          }
+          if (row + 1 < size) {
+            links.push({ from: { label: 'GridNode', id: id(row, col) }, to: { label: 'GridNode', id: id(row + 1, col) } });
+          }
+        }
+      }
+      await session.createRelationships('GRID', links);
+      await session.commit();
+      await session.close();
+
+      const reader = db.session();
+      const path = await reader.shortestPath(id(size - 1, size - 1), id(0, 0));
+
+      expect(path?.length).toBe(2 * (size - 1));
+      expect(path?.segments[0]?.node.id).toBe(id(size - 1, size - 1));
+      expect(path?.segments[path.segments.length - 1]?.node.id).toBe(id(0, 0));
+
+      await reader.close();
+    });
+
+    it('should find all paths', async () => {
+      const session = db.session();
+
+      const paths = await session.allPaths('A', 'C');
+      const routes = paths.map((p) => p.segments.map((s) => s.node.id).join('>'));
+
+      expect(routes).toEqual(['A>B>C', 'A>D>E>C']);
+      expect(await session.allPaths('A', 'C', 2)).toHaveLength(1);
+
+      await session.close();
+    });
+
+    it('should check if path exists', async () => {
+      const session = db.session();
+
+      expect(await session.hasPath('A', 'C')).toBe(true);
+      expect(await session.hasPath('C', 'A')).toBe(false);
+
+      await session.close();
+    });
+
+    it('should find reachable nodes', async () => {
+      const session = db.session();
+
+      const reachable = await session.reachableFrom('A');
+      const ids = reachable.map((n) => n.id).sort();
+      expect(ids).toEqual(['B', 'C', 'D', 'E']);
+
+      await session.close();
+    });
+
+    it('should run raw SQL queries', async () => {
+      const session = db.session();
+
+      const result = await session.rawQuery<{ count: number }>(
+        'SELECT count(*) AS count FROM nodes WHERE label = @label',
+        { label: 'TestNode' }
+      );
+      expect(result.records[0]?.count).toBe(6);
+
+      await session.close();
+    });
+  });
+
+  describe('Query Builder', () => {
+    beforeAll(async () => {
+      const session = db.session();
+      await session.createNodes('QueryFile', [
+        { id: 'qa', path: 'src/a.ts', language: 'ts' },
+        { id: 'qb', path: 'src/b.ts', language: 'ts' },
+        { id: 'qc', path: 'lib/c.js', language: 'js' },
+      ]);
+      await session.createNodes('QueryIssue', [
+        { id: 'qi1', severity: 'high', line: 10 },
+        { id: 'qi2', severity: 'low', line: 20 },
+        { id: 'qi3', severity: 'high', line: 30 },
+        { id: 'qi4', severity: 'high' },
+      ]);
+      await session.createRelationships('HAS_ISSUE', [
+        { from: { label: 'QueryFile', id: 'qa' }, to: { label: 'QueryIssue', id: 'qi1' } },
+        { from: { label: 'QueryFile', id: 'qa' }, to: { label: 'QueryIssue', id: 'qi2' } },
+        { from: { label: 'QueryFile', id: 'qb' }, to: { label: 'QueryIssue', id: 'qi3' } },
+        { from: { label: 'QueryFile', id: 'qc' }, to: { label: 'QueryIssue', id: 'qi4' } },
+      ]);
+      await session.createRelationships('IMPORTS', [
+        { from: { label: 'QueryFile', id: 'qa' }, to: { label: 'QueryFile', id: 'qb' } },
+        { from: { label: 'QueryFile', id: 'qb' }, to: { label: 'QueryFile', id: 'qc' } },
+      ]);
+      await session.commit();
+      await session.close();
+    });
+
+    async function run<T>(query: GraphQuery<T>): Promise<T[]> {
+      const session = db.session();
+      try {
+        return await session.query(query);
+      } finally {
+        await session.close();
+      }
+    }
+
+    it('should filter, order and page nodes', async () => {
+      const nodes = await run(
+        QueryBuilder.match('QueryFile').where('language', '=', 'ts').orderBy('path', 'desc').limit(1).build()
+      );
+
+      expect(nodes.map((n) => n.id)).toEqual(['qb']);
+      expect(nodes[0]!.label).toBe('QueryFile');
+    });
+
+    it('should respect traversal direction and depth', async () => {
+      const out = await run(
+        QueryBuilder.match('QueryFile').where('id', '=', 'qa').traverse('IMPORTS', { maxDepth: 2 }).orderBy('id').build()
+      );
+      const incoming = await run(
+        QueryBuilder.match('QueryFile')
+          .where('id', '=', 'qc')
+          .traverse('IMPORTS', { direction: 'in', minDepth: 2, maxDepth: 2 })
+          .build()
+      );
+
+      expect(out.map((n) => n.id)).toEqual(['qb', 'qc']);
+      expect(incoming.map((n) => n.id)).toEqual(['qa']);
+    });
+
+    it('should aggregate per group with nulls sorted last', async () => {
+      const rows = await run(
+        QueryBuilder.match('QueryFile')
+          .traverse('HAS_ISSUE', { label: 'QueryIssue' })
+          .where('severity', '=', 'high')
+          .groupBy('start.path')
+          .count('issues')
+          .max('lastLine', 'line')
+          .orderBy('lastLine', 'asc')
+          .build()
+      );
+
+      expect(rows).toEqual([
+        { 'start.path': 'src/a.ts', issues: 1, lastLine: 10 },
+        { 'start.path': 'src/b.ts', issues: 1, lastLine: 30 },
+        { 'start.path': 'lib/c.js', issues: 1, lastLine: null },
+      ]);
+    });
+
+    it('should return one row for an ungrouped aggregate over no matches', async () => {
+      const rows = await run(QueryBuilder.match('QueryMissing').count('total').sum('lines', 'line').build());
+
+      expect(rows).toEqual([{ total: 0, lines: 0 }]);
+    });
+  });
+
+  describe('Transaction Control', () => {
+    it('should rollback on error', async () => {
+      const session = db.session();
+
+      await session.createNode('TestRollback', { id: 'rollback1', value: 'test' });
+
+      await session.rollback();
+      await session.close();
+
+      const session2 = db.session();
+      const node = await session2.getNode('TestRollback', 'rollback1');
+      expect(node).toBeNull();
+
+      await session2.close();
+    });
+
+    it('should auto-commit on close if not committed', async () => {
+      const session = db.session();
+
+      await session.createNode('TestAutoCommit', { id: 'auto1', value: 'test' });
+
+      await session.close();
+
+      const session2 = db.session();
+      const node = await session2.getNode('TestAutoCommit', 'auto1');
+      expect(node).not.toBeNull();
+
+      await session2.close();
+    });
+
+    it('should reject operations after commit', async () => {
+      const session = db.session();
+      await session.commit();
+
+      expect(session.isActive()).toBe(false);
+      await expect(session.getNode('TestUser', 'user1')).rejects.toThrow(TransactionError);
+
+      await session.close();
+    });
+  });
+
+  describe('Property Serialization', () => {
+    it('should serialize complex objects', async () => {
+      const session = db.session();
+
+      await session.createNode('TestSerialization', {
+        id: 'complex1',
+        metadata: {
+          foo: 'bar',
+          nested: { value: 42 },
+        },
+        tags: ['important', 'test'],
+      });
+
+      await session.commit();
+      await session.close();
+
+      const session2 = db.session();
+      const retrieved = await session2.getNode('TestSerialization', 'complex1');
+
+      expect(retrieved?.properties.metadata).toEqual({
+        foo: 'bar',
+        nested: { value: 42 },
+      });
+      expect(retrieved?.properties.tags).toEqual(['important', 'test']);
+
+      await session2.close();
+    });
+  });
+
+  describe('Export and Import', () => {
+    it('should round-trip through JSON', async () => {
+      const exported = await db.export('json');
+
+      const copy = createGraphDatabase('sqlite');
+      await copy.connect({ backend: 'sqlite', filePath: path.join(tmpDir, 'copy.db') });
+      await copy.import(exported, 'json');
+
+      const original = await db.getInfo();
+      const imported = await copy.getInfo();
+      expect(imported.nodeCount).toBe(original.nodeCount);
+      expect(imported.relationshipCount).toBe(original.relationshipCount);
+
+      const session = copy.session();
+      expect(await session.hasPath('A', 'C')).toBe(true);
+      const node = await session.getNode('TestSerialization', 'complex1');
+      expect(node?.properties.metadata).toEqual({ foo: 'bar', nested: { value: 42 } });
+      await session.close();
+
+      await copy.disconnect();
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for Cypher script helpers
+ */
+
+import {
+  IMPORT_ID_PROPERTY,
+  escapeIdentifier,
+  cypherLiteral,
+  cypherMap,
+  toCypherScript,
+  splitCypherStatements,
+} from '../../src/utils/cypher';
+import { ValidationError } from '../../src/errors';
+
+describe('Cypher Utilities', () => {
+  describe('escapeIdentifier', () => {
+    it('should backtick-quote identifiers and double embedded backticks', () => {
+      expect(escapeIdentifier('File')).toBe('`File`');
+      expect(escapeIdentifier('we`ird')).toBe('`we``ird`');
+    });
+  });
+
+  describe('cypherLiteral', () => {
+    it('should format primitives and primitive arrays', () => {
+      expect(cypherLiteral('say "hi"\n')).toBe('"say \\"hi\\"\\n"');
+      expect(cypherLiteral(42)).toBe('42');
+      expect(cypherLiteral(1.5)).toBe('1.5');
+      expect(cypherLiteral(true)).toBe('true');
+      expect(cypherLiteral(['a', 1])).toBe('["a", 1]');
+      expect(cypherLiteral(null)).toBe('null');
+    });
+
+    it('should reject values without a Cypher literal form', () => {
+      expect(() => cypherLiteral(NaN)).toThrow(ValidationError);
+      expect(() => cypherLiteral({ nested: true })).toThrow(ValidationError);
+    });
+  });
+
+  describe('cypherMap', () => {
+    it('should skip null values', () => {
+      expect(cypherMap({ id: 'a', gone: null, count: 2 })).toBe('{`id`: "a", `count`: 2}');
+    });
+  });
+
+  describe('toCypherScript', () => {
+    it('should create nodes, match relationships and clean up import ids', () => {
+      const script = toCypherScript({
+        nodes: [
+          { key: 'n0', labels: ['File'], properties: { id: 'a.ts', metadataJson: '{"x":1}' } },
+          { key: 'n1', labels: ['Issue', 'Security'], properties: { id: 'i1' } },
+        ],
+        relationships: [{ type: 'HAS_ISSUE', from: 'n0', to: 'n1', properties: { line: 3 } }],
+      });
+
+      const statements = splitCypherStatements(script);
+
+      expect(statements).toEqual([
+        `CREATE (:\`File\` {\`id\`: "a.ts", \`metadataJson\`: "{\\"x\\":1}", \`${IMPORT_ID_PROPERTY}\`: "n0"})`,
+        `CREATE (:\`Issue\`:\`Security\` {\`id\`: "i1", \`${IMPORT_ID_PROPERTY}\`: "n1"})`,
+        `MATCH (a:\`File\` {\`${IMPORT_ID_PROPERTY}\`: "n0"}), (b:\`Issue\` {\`${IMPORT_ID_PROPERTY}\`: "n1"}) CREATE (a)-[:\`HAS_ISSUE\` {\`line\`: 3}]->(b)`,
+        `MATCH (n) WHERE n.\`${IMPORT_ID_PROPERTY}\` IS NOT NULL REMOVE n.\`${IMPORT_ID_PROPERTY}\``,
+      ]);
+    });
+
+    it('should reject relationships to nodes outside the snapshot', () => {
+      expect(() =>
+        toCypherScript({
+          nodes: [],
+          relationships: [{ type: 'X', from: 'n0', to: 'n1', properties: {} }],
+        })
+      ).toThrow(ValidationError);
+    });
+  });
+
+  describe('splitCypherStatements', () => {
+    it('should ignore semicolons in strings, identifiers and comments', () => {
+      const script = `
+        // first; statement
+        CREATE (:A {name: "x;y", other: 'it\\'s; fine'});
+        /* block; comment */ MATCH (n:\`we;ird\`) RETURN n;
+        RETURN 1
+      `;
+
+      expect(splitCypherStatements(script)).toEqual([
+        `CREATE (:A {name: "x;y", other: 'it\\'s; fine'})`,
+        'MATCH (n:`we;ird`) RETURN n',
+        'RETURN 1',
+      ]);
+    });
+
+    it('should reject unterminated strings', () => {
+      expect(() => splitCypherStatements('RETURN "oops;')).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for GraphML conversion
+ */
+
+import { toGraphML, parseGraphML } from '../../src/utils/graphml';
+import { serializeProperties, deserializeProperties } from '../../src/utils/serialization';
+import { GraphSnapshot } from '../../src/interfaces/types';
+import { ValidationError } from '../../src/errors';
+
+describe('GraphML Utilities', () => {
+  const snapshot: GraphSnapshot = {
+    nodes: [
+      {
+        key: 'n0',
+        labels: ['File', 'Source'],
+        properties: serializeProperties({
+          id: 'src/index.ts',
+          loc: 120,
+          complexity: 4.5,
+          generated: false,
+          tags: ['entry', 'public'],
+          metrics: { issues: 3 },
+        }),
+      },
+      {
+        key: 'n1',
+        labels: ['File'],
+        properties: { id: 'src/a&b <utils>.ts', loc: 12 },
+      },
+    ],
+    relationships: [
+      { type: 'DEPENDS_ON', from: 'n0', to: 'n1', properties: { weight: 2, kind: "static 'import'" } },
+    ],
+  };
+
+  describe('toGraphML', () => {
+    it('should declare typed keys and write labels and types', () => {
+      const xml = toGraphML(snapshot);
+
+      expect(xml).toContain('<graphml xmlns="http://graphml.graphdrawing.org/xmlns"');
+      expect(xml).toContain('attr.name="loc" attr.type="long"');
+      expect(xml).toContain('attr.name="complexity" attr.type="double"');
+      expect(xml).toContain('attr.name="generated" attr.type="boolean"');
+      expect(xml).toContain('attr.name="tags" attr.type="string" attr.list="string"');
+      expect(xml).toContain('<data key="labels">:File:Source</data>');
+      expect(xml).toContain('<data key="label">DEPENDS_ON</data>');
+      expect(xml).toContain('<edge id="e0" source="n0" target="n1">');
+    });
+
+    it('should escape XML special characters', () => {
+      const xml = toGraphML(snapshot);
+      expect(xml).toContain('src/a&amp;b &lt;utils&gt;.ts');
+      expect(xml).toContain('static &apos;import&apos;');
+    });
+  });
+
+  describe('parseGraphML', () => {
+    it('should round-trip labels, types and serialized properties', () => {
+      const parsed = parseGraphML(toGraphML(snapshot));
+
+      expect(parsed).toEqual(snapshot);
+      expect(deserializeProperties(parsed.nodes[0]!.properties).metrics).toEqual({ issues: 3 });
+    });
+
+    it('should read GraphML written by other tools', () => {
+      const xml = `<?xml version="1.0" encoding="UTF-8"?>
+        <!-- exported from a drawing tool -->
+        <graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:y="http://www.yworks.com/xml/graphml">
+          <key id="d0" for="node" attr.name="color" attr.type="string"><default>yellow</default></key>
+          <key id="d1" for="edge" attr.name="weight" attr.type="double"/>
+          <key id="d2" for="node" yfiles.type="nodegraphics"/>
+          <graph id="G" edgedefault="undirected">
+            <node id="a">
+              <data key="d0">green</data>
+              <data key="d2"><y:ShapeNode><y:NodeLabel>ignored</y:NodeLabel></y:ShapeNode></data>
+            </node>
+            <node id="b"/>
+            <edge source="a" target="b"><data key="d1"><![CDATA[1.5]]></data></edge>
+          </graph>
+        </graphml>`;
+
+      const parsed = parseGraphML(xml);
+
+      expect(parsed.nodes).toEqual([
+        { key: 'a', labels: ['Node'], properties: { color: 'green' } },
+        { key: 'b', labels: ['Node'], properties: { color: 'yellow' } },
+      ]);
+      expect(parsed.relationships).toEqual([
+        { type: 'RELATED_TO', from: 'a', to: 'b', properties: { weight: 1.5 } },
+      ]);
+    });
+
+    it('should decode character references', () => {
+      const xml = `<graphml><key id="d0" for="node" attr.name="name" attr.type="string"/>
+        <graph><node id="x"><data key="d0">caf&#233; &#x2192; bar</data></node></graph></graphml>`;
+
+      expect(parseGraphML(xml).nodes[0]?.properties.name).toBe('café → bar');
+    });
+
+    it('should reject edges without endpoints', () => {
+      const xml = '<graphml><graph><node id="a"/><edge source="a"/></graph></graphml>';
+      expect(() => parseGraphML(xml)).toThrow(ValidationError);
+    });
+  });
+});
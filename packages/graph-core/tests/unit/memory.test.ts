@@ -0,0 +1,436 @@
+/**
+ * Unit tests for the in-memory backend
+ */
+
+import { createGraphDatabase, NotFoundError, QueryError, TransactionError, ValidationError } from '../../src';
+import type { IngestProgress, IngestRecord } from '../../src';
+import { IGraphDatabase } from '../../src/interfaces/IGraphDatabase';
+
+describe('Memory Backend', () => {
+  let db: IGraphDatabase;
+
+  beforeEach(async () => {
+    db = createGraphDatabase('memory');
+    await db.connect({ backend: 'memory' });
+  });
+
+  afterEach(async () => {
+    await db.disconnect();
+  });
+
+  async function seedChain(): Promise<void> {
+    const session = db.session();
+
+    // A -> B -> C, plus a detour A -> D -> E -> C and an isolated F
+    for (const id of ['A', 'B', 'C', 'D', 'E', 'F']) {
+      await session.createNode('TestNode', { id, name: `Node ${id}` });
+    }
+
+    const edges: Array<[string, string]> = [['A', 'B'], ['B', 'C'], ['A', 'D'], ['D', 'E'], ['E', 'C']];
+    for (const [from, to] of edges) {
+      await session.createRelationship(
+        { label: 'TestNode', id: from },
+        'CONNECTS_TO',
+        { label: 'TestNode', id: to }
+      );
+    }
+
+    await session.commit();
+    await session.close();
+  }
+
+  describe('Connection', () => {
+    it('should report connection state and info', async () => {
+      expect(db.isConnected()).toBe(true);
+      expect(await db.ping()).toBe(true);
+
+      const info = await db.getInfo();
+      expect(info.backend).toBe('memory');
+      expect(info.nodeCount).toBe(0);
+    });
+
+    it('should refuse sessions after disconnect', async () => {
+      await db.disconnect();
+      expect(() => db.session()).toThrow('Not connected');
+    });
+  });
+
+  describe('Node Operations', () => {
+    it('should create, read, update and delete nodes', async () => {
+      const session = db.session();
+
+      const created = await session.createNode('TestUser', { id: 'user1', name: 'Alice', age: 30 });
+      expect(created).toEqual({ id: 'user1', label: 'TestUser', properties: { id: 'user1', name: 'Alice', age: 30 } });
+
+      const updated = await session.updateNode('TestUser', 'user1', { age: 31, city: 'New York' });
+      expect(updated.properties).toMatchObject({ name: 'Alice', age: 31, city: 'New York' });
+
+      expect((await session.getNode('TestUser', 'user1'))?.properties.age).toBe(31);
+      expect(await session.getNode('OtherLabel', 'user1')).toBeNull();
+
+      await session.deleteNode('TestUser', 'user1');
+      expect(await session.getNode('TestUser', 'user1')).toBeNull();
+
+      await session.close();
+    });
+
+    it('should reject duplicate ids within a label', async () => {
+      const session = db.session();
+
+      await session.createNode('TestUser', { id: 'dup' });
+      await expect(session.createNode('TestUser', { id: 'dup' })).rejects.toThrow(QueryError);
+
+      await session.close();
+    });
+
+    it('should throw NotFoundError when updating a missing node', async () => {
+      const session = db.session();
+      await expect(session.updateNode('TestUser', 'missing', { age: 1 })).rejects.toThrow(NotFoundError);
+      await session.close();
+    });
+
+    it('should reject changing a node id to an existing one', async () => {
+      const session = db.session();
+
+      await session.createNode('TestUser', { id: 'first', name: 'First' });
+      await session.createNode('TestUser', { id: 'second', name: 'Second' });
+      await expect(session.updateNode('TestUser', 'first', { id: 'second' })).rejects.toThrow(QueryError);
+
+      expect((await session.getNode('TestUser', 'second'))?.properties.name).toBe('Second');
+      expect((await session.getNode('TestUser', 'first'))?.properties.name).toBe('First');
+
+      await session.close();
+    });
+
+    it('should find nodes with filters', async () => {
+      const session = db.session();
+
+      await session.createNode('TestUser', { id: 'a', name: 'Alice', active: true, tags: ['x'] });
+      await session.createNode('TestUser', { id: 'b', name: 'Bob', active: false, tags: ['y'] });
+      await session.createNode('Other', { id: 'c', name: 'Alice' });
+
+      expect(await session.findNodes('TestUser')).toHaveLength(2);
+      expect((await session.findNodes('TestUser', { name: 'Alice' })).map((n) => n.id)).toEqual(['a']);
+      expect((await session.findNodes('TestUser', { active: false })).map((n) => n.id)).toEqual(['b']);
+      expect((await session.findNodes('TestUser', { tags: ['y'] })).map((n) => n.id)).toEqual(['b']);
+
+      await session.close();
+    });
+
+    it('should round-trip complex properties', async () => {
+      const session = db.session();
+
+      await session.createNode('TestSerialization', {
+        id: 'complex1',
+        metadata: { foo: 'bar', nested: { value: 42 } },
+        tags: ['important', 'test'],
+      });
+
+      const node = await session.getNode('TestSerialization', 'complex1');
+      expect(node?.properties.metadata).toEqual({ foo: 'bar', nested: { value: 42 } });
+      expect(node?.properties.tags).toEqual(['important', 'test']);
+
+      await session.close();
+    });
+  });
+
+  describe('Relationship Operations', () => {
+    it('should create, list and delete relationships', async () => {
+      const session = db.session();
+
+      await session.createNode('TestUser', { id: 'alice' });
+      await session.createNode('TestUser', { id: 'bob' });
+
+      const rel = await session.createRelationship(
+        { label: 'TestUser', id: 'alice' },
+        'KNOWS',
+        { label: 'TestUser', id: 'bob' },
+        { since: '2024-01-01' }
+      );
+      expect(rel).toMatchObject({ type: 'KNOWS', from: 'alice', to: 'bob', properties: { since: '2024-01-01' } });
+
+      expect(await session.getRelationships({ label: 'TestUser', id: 'alice' }, 'KNOWS')).toHaveLength(1);
+
+      await session.deleteRelationship(rel.id);
+      expect(await session.getRelationships({ label: 'TestUser', id: 'alice' }, 'KNOWS')).toHaveLength(0);
+
+      await session.close();
+    });
+
+    it('should remove relationships when a node is deleted', async () => {
+      const session = db.session();
+
+      await session.createNode('TestUser', { id: 'alice' });
+      await session.createNode('TestUser', { id: 'bob' });
+      await session.createRelationship({ label: 'TestUser', id: 'alice' }, 'KNOWS', { label: 'TestUser', id: 'bob' });
+
+      await session.deleteNode('TestUser', 'bob');
+      expect(await session.getRelationships({ label: 'TestUser', id: 'alice' }, 'KNOWS')).toEqual([]);
+
+      await session.commit();
+      expect((await db.getInfo()).relationshipCount).toBe(0);
+    });
+
+    it('should reject relationships to missing nodes', async () => {
+      const session = db.session();
+
+      await session.createNode('TestUser', { id: 'alice' });
+      await expect(
+        session.createRelationship({ label: 'TestUser', id: 'alice' }, 'KNOWS', { label: 'TestUser', id: 'ghost' })
+      ).rejects.toThrow(NotFoundError);
+
+      await session.close();
+    });
+  });
+
+  describe('Batch Operations', () => {
+    it('should create nodes in bulk', async () => {
+      const session = db.session();
+
+      const nodes = await session.createNodes('BatchItem', [
+        { id: 'b1', name: 'First' },
+        { id: 'b2', name: 'Second', meta: { tags: ['x'] } },
+      ]);
+
+      expect(nodes.map((node) => node.id)).toEqual(['b1', 'b2']);
+      expect(nodes[1]!.properties.meta).toEqual({ tags: ['x'] });
+
+      await session.commit();
+      await session.close();
+    });
+
+    it('should merge nodes by id', async () => {
+      const session = db.session();
+      await session.createNodes('BatchMerge', [{ id: 'b1', name: 'First' }]);
+
+      const merged = await session.mergeNodes('BatchMerge', [
+        { id: 'b1', rank: 1 },
+        { id: 'b3', name: 'Third' },
+      ]);
+
+      expect(merged[0]!.properties).toMatchObject({ id: 'b1', name: 'First', rank: 1 });
+      expect(merged[1]!.properties.name).toBe('Third');
+      await expect(session.mergeNodes('BatchItem', [{ name: 'No id' }])).rejects.toThrow(ValidationError);
+
+      await session.commit();
+      await session.close();
+    });
+
+    it('should create relationships in bulk', async () => {
+      const session = db.session();
+      await session.createNodes('BatchLink', [{ id: 'b1' }, { id: 'b2' }, { id: 'b3' }]);
+
+      const rels = await session.createRelationships('NEXT', [
+        { from: { label: 'BatchLink', id: 'b1' }, to: { label: 'BatchLink', id: 'b2' } },
+        { from: { label: 'BatchLink', id: 'b2' }, to: { label: 'BatchLink', id: 'b3' }, properties: { weight: 2 } },
+      ]);
+
+      expect(rels.map((rel) => [rel.from, rel.to])).toEqual([['b1', 'b2'], ['b2', 'b3']]);
+      expect(rels[1]!.properties.weight).toBe(2);
+
+      await session.commit();
+      await session.close();
+    });
+
+    it('should write nothing when a relationship endpoint is missing', async () => {
+      const session = db.session();
+      await session.createNodes('BatchPartial', [{ id: 'b1' }, { id: 'b2' }]);
+
+      await expect(
+        session.createRelationships('NEXT', [
+          { from: { label: 'BatchPartial', id: 'b1' }, to: { label: 'BatchPartial', id: 'b2' } },
+          { from: { label: 'BatchPartial', id: 'b1' }, to: { label: 'BatchPartial', id: 'missing' } },
+        ])
+      ).rejects.toThrow(NotFoundError);
+
+      expect(await session.getRelationships({ label: 'BatchPartial', id: 'b1' }, 'NEXT')).toHaveLength(0);
+
+      await session.rollback();
+      await session.close();
+    });
+
+    it('should ingest a stream in chunks and report progress', async () => {
+      async function* records(): AsyncGenerator<IngestRecord> {
+        for (let i = 0; i < 5; i++) {
+          yield { kind: 'node', label: 'IngestItem', properties: { id: `n${i}`, position: i } };
+        }
+        for (let i = 1; i < 5; i++) {
+          yield {
+            kind: 'relationship',
+            type: 'FOLLOWS',
+            from: { label: 'IngestItem', id: `n${i - 1}` },
+            to: { label: 'IngestItem', id: `n${i}` },
+          };
+        }
+      }
+
+      const reports: IngestProgress[] = [];
+      const summary = await db.ingest(records(), { batchSize: 4, onProgress: (p) => reports.push(p) });
+
+      expect(summary).toEqual({ batches: 3, records: 9, nodes: 5, relationships: 4 });
+      expect(reports.map((p) => p.records)).toEqual([4, 8, 9]);
+
+      const session = db.session();
+      expect(await session.findNodes('IngestItem')).toHaveLength(5);
+      expect(await session.hasPath('n0', 'n4')).toBe(true);
+      await session.close();
+    });
+
+    it('should keep committed chunks when a later chunk fails', async () => {
+      const records: IngestRecord[] = [
+        { kind: 'node', label: 'IngestFail', properties: { id: 'ok' } },
+        { kind: 'node', label: 'IngestFail', properties: { id: 'also-ok' } },
+        {
+          kind: 'relationship',
+          type: 'BROKEN',
+          from: { label: 'IngestFail', id: 'ok' },
+          to: { label: 'IngestFail', id: 'missing' },
+        },
+      ];
+
+      await expect(db.ingest(records, { batchSize: 2 })).rejects.toThrow(NotFoundError);
+
+      const session = db.session();
+      expect(await session.findNodes('IngestFail')).toHaveLength(2);
+      await session.close();
+    });
+  });
+
+  describe('Graph Queries', () => {
+    beforeEach(seedChain);
+
+    it('should find the shortest path', async () => {
+      const session = db.session();
+
+      const path = await session.shortestPath('A', 'C');
+      expect(path?.length).toBe(2);
+      expect(path?.segments.map((s) => s.node.id)).toEqual(['A', 'B', 'C']);
+      expect(path?.segments[0]?.relationship).toMatchObject({ type: 'CONNECTS_TO', from: 'A', to: 'B' });
+
+      expect(await session.shortestPath('A', 'F')).toBeNull();
+
+      await session.close();
+    });
+
+    it('should find all paths shortest first, honouring maxDepth', async () => {
+      const session = db.session();
+
+      const routes = (await session.allPaths('A', 'C')).map((p) => p.segments.map((s) => s.node.id).join('>'));
+      expect(routes).toEqual(['A>B>C', 'A>D>E>C']);
+      expect(await session.allPaths('A', 'C', 2)).toHaveLength(1);
+
+      await session.close();
+    });
+
+    it('should follow direction for reachability', async () => {
+      const session = db.session();
+
+      expect((await session.reachableFrom('A')).map((n) => n.id).sort()).toEqual(['B', 'C', 'D', 'E']);
+      expect(await session.reachableFrom('C')).toEqual([]);
+      expect(await session.hasPath('A', 'C')).toBe(true);
+      expect(await session.hasPath('C', 'A')).toBe(false);
+
+      await session.close();
+    });
+
+    it('should not support raw queries', async () => {
+      const session = db.session();
+      await expect(session.rawQuery('MATCH (n) RETURN n')).rejects.toThrow(QueryError);
+      await session.close();
+    });
+  });
+
+  describe('Transaction Control', () => {
+    it('should discard writes on rollback', async () => {
+      await seedChain();
+
+      const session = db.session();
+      await session.createNode('TestRollback', { id: 'rollback1' });
+      await session.updateNode('TestNode', 'A', { name: 'changed' });
+      await session.deleteNode('TestNode', 'B');
+      await session.rollback();
+
+      const check = db.session();
+      expect(await check.getNode('TestRollback', 'rollback1')).toBeNull();
+      expect((await check.getNode('TestNode', 'A'))?.properties.name).toBe('Node A');
+      expect(await check.hasPath('A', 'C')).toBe(true);
+      await check.close();
+    });
+
+    it('should isolate uncommitted writes from other sessions', async () => {
+      const writer = db.session();
+      await writer.createNode('TestUser', { id: 'pending' });
+
+      const reader = db.session();
+      expect(await reader.getNode('TestUser', 'pending')).toBeNull();
+
+      await writer.commit();
+      expect(await reader.getNode('TestUser', 'pending')).not.toBeNull();
+
+      await reader.close();
+    });
+
+    it('should auto-commit on close', async () => {
+      const session = db.session();
+      await session.createNode('TestAutoCommit', { id: 'auto1' });
+      await session.close();
+
+      expect((await db.getInfo()).nodeCount).toBe(1);
+    });
+
+    it('should reject a commit that conflicts with another session', async () => {
+      const first = db.session();
+      const second = db.session();
+
+      await first.createNode('TestUser', { id: 'one' });
+      await second.createNode('TestUser', { id: 'two' });
+
+      await first.commit();
+      await expect(second.commit()).rejects.toThrow(TransactionError);
+      await second.rollback();
+
+      expect((await db.getInfo()).nodeCount).toBe(1);
+    });
+
+    it('should reject operations on a finished session', async () => {
+      const session = db.session();
+      await session.commit();
+
+      expect(session.isActive()).toBe(false);
+      await expect(session.findNodes('TestUser')).rejects.toThrow(TransactionError);
+    });
+  });
+
+  describe('Export and Import', () => {
+    it('should round-trip through JSON', async () => {
+      await seedChain();
+
+      const session = db.session();
+      await session.createNode('TestSerialization', { id: 'complex1', metadata: { foo: 'bar' } });
+      await session.commit();
+
+      const exported = await db.export('json');
+
+      const copy = createGraphDatabase('memory');
+      await copy.connect({ backend: 'memory' });
+      await copy.import(exported, 'json');
+
+      expect(await copy.getInfo()).toMatchObject({ nodeCount: 7, relationshipCount: 5 });
+
+      const copySession = copy.session();
+      expect(await copySession.hasPath('A', 'C')).toBe(true);
+      expect((await copySession.getNode('TestSerialization', 'complex1'))?.properties.metadata).toEqual({ foo: 'bar' });
+      await copySession.close();
+    });
+
+    it('should leave the graph untouched when an import fails', async () => {
+      const data = JSON.stringify({
+        nodes: [{ labels: ['TestNode'], properties: { id: 'A' } }],
+        relationships: [{ type: 'LINKS', from: { label: 'TestNode', id: 'A' }, to: { label: 'TestNode', id: 'missing' } }],
+      });
+
+      await expect(db.import(data, 'json')).rejects.toThrow(ValidationError);
+      expect((await db.getInfo()).nodeCount).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for schema migrations, run against the in-memory backend
+ */
+
+import {
+  createGraphDatabase,
+  compareVersions,
+  MigrationError,
+  MigrationRegistry,
+  MigrationRunner,
+  SCHEMA_VERSION_LABEL,
+  ValidationError,
+} from '../../src';
+import { IGraphDatabase } from '../../src/interfaces/IGraphDatabase';
+
+describe('Schema Migrations', () => {
+  let db: IGraphDatabase;
+
+  beforeEach(async () => {
+    db = createGraphDatabase('memory');
+    await db.connect({ backend: 'memory' });
+  });
+
+  afterEach(async () => {
+    await db.disconnect();
+  });
+
+  function createRegistry(): MigrationRegistry {
+    return new MigrationRegistry('test', [
+      {
+        version: '1',
+        description: 'Index issues by id',
+        up: (ctx) => ctx.createIndexes([{ label: 'Issue', properties: ['id'] }]),
+        down: async () => undefined,
+      },
+      {
+        version: '2',
+        description: 'Rename severity "warn" to "warning"',
+        up: (ctx) =>
+          ctx.updateNodes('Issue', (node) =>
+            node.properties.severity === 'warn' ? { severity: 'warning' } : null),
+        down: (ctx) =>
+          ctx.updateNodes('Issue', (node) =>
+            node.properties.severity === 'warning' ? { severity: 'warn' } : null),
+      },
+    ]);
+  }
+
+  async function seedIssues(): Promise<void> {
+    const session = db.session();
+    await session.createNode('Issue', { id: 'i1', severity: 'warn' });
+    await session.createNode('Issue', { id: 'i2', severity: 'error' });
+    await session.close();
+  }
+
+  async function severityOf(id: string): Promise<unknown> {
+    const session = db.session();
+    const node = await session.getNode('Issue', id);
+    await session.close();
+    return node?.properties.severity;
+  }
+
+  describe('compareVersions', () => {
+    it('should compare dotted versions numerically', () => {
+      expect(compareVersions('2', '10')).toBe(-1);
+      expect(compareVersions('1.10', '1.2')).toBe(1);
+      expect(compareVersions('1.0', '1')).toBe(0);
+    });
+  });
+
+  describe('MigrationRegistry', () => {
+    it('should reject out-of-order and duplicate versions', () => {
+      const registry = new MigrationRegistry('test', [
+        { version: '2', description: 'second', up: async () => undefined },
+      ]);
+
+      expect(() => registry.register({ version: '1', description: 'first', up: async () => undefined }))
+        .toThrow(ValidationError);
+      expect(() => registry.register({ version: '2', description: 'again', up: async () => undefined }))
+        .toThrow(ValidationError);
+    });
+
+    it('should reject the base version', () => {
+      expect(() => new MigrationRegistry('test', [
+        { version: '0', description: 'base', up: async () => undefined },
+      ])).toThrow(ValidationError);
+    });
+  });
+
+  describe('migrate', () => {
+    it('should apply the built-in migrations by default', async () => {
+      const plan = await db.migrate();
+
+      expect(plan.registry).toBe('graph-core');
+      expect(plan.from).toBe('0');
+      expect(plan.direction).toBe('up');
+      expect(plan.steps).toHaveLength(1);
+
+      const again = await db.migrate();
+      expect(again.direction).toBe('none');
+      expect(again.steps).toHaveLength(0);
+    });
+
+    it('should migrate forward and record the version', async () => {
+      await seedIssues();
+
+      const plan = await db.migrate(undefined, { migrations: createRegistry() });
+
+      expect(plan.to).toBe('2');
+      expect(plan.steps.map((step) => step.version)).toEqual(['1', '2']);
+      expect(await severityOf('i1')).toBe('warning');
+      expect(await severityOf('i2')).toBe('error');
+
+      const session = db.session();
+      const record = await session.getNode(SCHEMA_VERSION_LABEL, 'test');
+      await session.close();
+      expect(record?.properties.version).toBe('2');
+    });
+
+    it('should migrate backward in reverse order', async () => {
+      await seedIssues();
+      const registry = createRegistry();
+      await db.migrate(undefined, { migrations: registry });
+
+      const plan = await db.migrate('0', { migrations: registry });
+
+      expect(plan.direction).toBe('down');
+      expect(plan.steps.map((step) => step.version)).toEqual(['2', '1']);
+      expect(await severityOf('i1')).toBe('warn');
+      expect(await new MigrationRunner(db, registry).currentVersion()).toBe('0');
+    });
+
+    it('should plan without writing on a dry run', async () => {
+      await seedIssues();
+      const registry = createRegistry();
+
+      const plan = await db.migrate('2', { migrations: registry, dryRun: true });
+
+      expect(plan.dryRun).toBe(true);
+      expect(plan.steps[0]!.operations).toEqual(['create index on Issue(id)']);
+      expect(plan.steps[1]!.operations).toEqual(['update Issue nodes']);
+      expect(await severityOf('i1')).toBe('warn');
+      expect(await new MigrationRunner(db, registry).currentVersion()).toBe('0');
+    });
+
+    it('should roll back a failing migration and keep the previous version', async () => {
+      await seedIssues();
+      const registry = createRegistry().register({
+        version: '3',
+        description: 'Broken',
+        up: (ctx) =>
+          ctx.run('delete issues, then fail', async (session) => {
+            await session.deleteNode('Issue', 'i1');
+            throw new Error('boom');
+          }),
+      });
+
+      await expect(db.migrate(undefined, { migrations: registry })).rejects.toThrow(MigrationError);
+
+      const runner = new MigrationRunner(db, registry);
+      expect(await runner.currentVersion()).toBe('2');
+      expect(await severityOf('i1')).toBe('warning');
+    });
+
+    it('should refuse to roll back an irreversible migration', async () => {
+      const registry = new MigrationRegistry('test', [
+        { version: '1', description: 'One way', up: async () => undefined },
+      ]);
+      await db.migrate(undefined, { migrations: registry });
+
+      await expect(db.migrate('0', { migrations: registry })).rejects.toThrow(ValidationError);
+    });
+
+    it('should reject unknown target versions', async () => {
+      await expect(db.migrate('9', { migrations: createRegistry() })).rejects.toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Unit tests for the query builder, the Cypher compiler and query
+ * evaluation on the in-memory backend
+ */
+
+import {
+  createGraphDatabase,
+  compileCypherQuery,
+  QueryBuilder,
+  ValidationError,
+} from '../../src';
+import type { AggregateRow, GraphNode, GraphQuery } from '../../src';
+import { IGraphDatabase } from '../../src/interfaces/IGraphDatabase';
+
+describe('Query Builder', () => {
+  describe('build', () => {
+    it('should resolve fields against the returned node', () => {
+      const query = QueryBuilder.match('File')
+        .where('language', '=', 'ts')
+        .traverse('HAS_ISSUE', { label: 'Issue' })
+        .where('severity', 'in', ['high'])
+        .orderBy('line', 'desc')
+        .build();
+
+      expect(query.start.where).toEqual([{ property: 'language', operator: '=', value: 'ts' }]);
+      expect(query.traverse).toMatchObject({
+        types: ['HAS_ISSUE'],
+        direction: 'out',
+        minDepth: 1,
+        maxDepth: 1,
+        target: { label: 'Issue', where: [{ property: 'severity', operator: 'in', value: ['high'] }] },
+      });
+      expect(query.orderBy).toEqual([{ field: { node: 'end', property: 'line' }, direction: 'desc' }]);
+    });
+
+    it('should turn aggregate orderings into column references', () => {
+      const query = QueryBuilder.match('File')
+        .traverse('HAS_ISSUE')
+        .groupBy('start.path')
+        .count('issues')
+        .orderBy('issues', 'desc')
+        .build();
+
+      expect(query.groupBy).toEqual([{ alias: 'start.path', field: { node: 'start', property: 'path' } }]);
+      expect(query.orderBy).toEqual([{ column: 'issues', direction: 'desc' }]);
+    });
+
+    it('should compute skip and limit from a page', () => {
+      const query = QueryBuilder.match('File').page(3, 20).build();
+
+      expect(query.skip).toBe(40);
+      expect(query.limit).toBe(20);
+    });
+
+    it('should reject invalid queries', () => {
+      expect(() => QueryBuilder.match('File').traverse('X', { minDepth: 3, maxDepth: 2 }).build())
+        .toThrow(ValidationError);
+      expect(() => QueryBuilder.match('File').where('path', 'in', 'a' as any).build())
+        .toThrow(ValidationError);
+      expect(() => QueryBuilder.match('File').count('n').orderBy('path').build())
+        .toThrow(ValidationError);
+      expect(() => QueryBuilder.match('File').orderBy('end.path').build())
+        .toThrow(ValidationError);
+      expect(() => QueryBuilder.match('File').limit(-1).build())
+        .toThrow(ValidationError);
+    });
+  });
+
+  describe('compileCypherQuery', () => {
+    it('should compile a traversal with conditions and paging', () => {
+      const compiled = compileCypherQuery(
+        QueryBuilder.match('File')
+          .where('language', '=', 'ts')
+          .traverse(['IMPORTS', 'USES'], { direction: 'both', maxDepth: 3 })
+          .where('path', 'startsWith', 'src/')
+          .orderBy('path')
+          .skip(5)
+          .limit(10)
+          .build()
+      );
+
+      expect(compiled.query).toBe([
+        'MATCH (n:`File`)',
+        'WHERE n.`language` = $p0',
+        'MATCH (n)-[:`IMPORTS`|`USES`*1..3]-(m)',
+        'WHERE m.`path` STARTS WITH $p1',
+        'WITH DISTINCT n, m',
+        'RETURN DISTINCT m AS node, labels(m) AS labels',
+        'ORDER BY node.`path` ASC',
+        'SKIP 5',
+        'LIMIT 10',
+      ].join('\n'));
+      expect(compiled.params).toEqual({ p0: 'ts', p1: 'src/' });
+    });
+
+    it('should compile aggregations', () => {
+      const compiled = compileCypherQuery(
+        QueryBuilder.match('File')
+          .traverse('HAS_ISSUE', { direction: 'out', label: 'Issue' })
+          .groupBy('start.path')
+          .count('issues')
+          .avg('meanLine', 'line')
+          .orderBy('issues', 'desc')
+          .build()
+      );
+
+      expect(compiled.query).toContain('MATCH (n)-[:`HAS_ISSUE`*1..1]->(m:`Issue`)');
+      expect(compiled.query).toContain('RETURN n.`path` AS `start.path`, count(*) AS `issues`, avg(m.`line`) AS `meanLine`');
+      expect(compiled.query).toContain('ORDER BY `issues` DESC');
+    });
+  });
+
+  describe('memory backend', () => {
+    let db: IGraphDatabase;
+
+    beforeEach(async () => {
+      db = createGraphDatabase('memory');
+      await db.connect({ backend: 'memory' });
+
+      const session = db.session();
+      await session.createNodes('File', [
+        { id: 'a', path: 'src/a.ts', language: 'ts' },
+        { id: 'b', path: 'src/b.ts', language: 'ts' },
+        { id: 'c', path: 'lib/c.js', language: 'js' },
+      ]);
+      await session.createNodes('Issue', [
+        { id: 'i1', severity: 'high', line: 10 },
+        { id: 'i2', severity: 'low', line: 20 },
+        { id: 'i3', severity: 'high', line: 30 },
+        { id: 'i4', severity: 'high' },
+      ]);
+      await session.createRelationships('HAS_ISSUE', [
+        { from: { label: 'File', id: 'a' }, to: { label: 'Issue', id: 'i1' } },
+        { from: { label: 'File', id: 'a' }, to: { label: 'Issue', id: 'i2' } },
+        { from: { label: 'File', id: 'b' }, to: { label: 'Issue', id: 'i3' } },
+        { from: { label: 'File', id: 'c' }, to: { label: 'Issue', id: 'i4' } },
+      ]);
+      await session.createRelationships('IMPORTS', [
+        { from: { label: 'File', id: 'a' }, to: { label: 'File', id: 'b' } },
+        { from: { label: 'File', id: 'b' }, to: { label: 'File', id: 'c' } },
+      ]);
+      await session.close();
+    });
+
+    afterEach(async () => {
+      await db.disconnect();
+    });
+
+    async function run<T>(query: GraphQuery<T>): Promise<T[]> {
+      const session = db.session();
+      try {
+        return await session.query(query);
+      } finally {
+        await session.close();
+      }
+    }
+
+    it('should filter, order and page nodes', async () => {
+      const nodes: GraphNode[] = await run(
+        QueryBuilder.match('File').where('language', '=', 'ts').orderBy('path', 'desc').limit(1).build()
+      );
+
+      expect(nodes.map((n) => n.id)).toEqual(['b']);
+    });
+
+    it('should respect traversal direction and depth', async () => {
+      const out = await run(
+        QueryBuilder.match('File').where('id', '=', 'a').traverse('IMPORTS', { maxDepth: 2 }).orderBy('id').build()
+      );
+      const incoming = await run(
+        QueryBuilder.match('File').where('id', '=', 'c').traverse('IMPORTS', { direction: 'in', minDepth: 2, maxDepth: 2 }).build()
+      );
+
+      expect(out.map((n) => n.id)).toEqual(['b', 'c']);
+      expect(incoming.map((n) => n.id)).toEqual(['a']);
+    });
+
+    it('should aggregate per group with nulls sorted last', async () => {
+      const rows: AggregateRow[] = await run(
+        QueryBuilder.match('File')
+          .traverse('HAS_ISSUE', { label: 'Issue' })
+          .where('severity', '=', 'high')
+          .groupBy('start.path')
+          .count('issues')
+          .max('lastLine', 'line')
+          .orderBy('lastLine', 'asc')
+          .build()
+      );
+
+      expect(rows).toEqual([
+        { 'start.path': 'src/a.ts', issues: 1, lastLine: 10 },
+        { 'start.path': 'src/b.ts', issues: 1, lastLine: 30 },
+        { 'start.path': 'lib/c.js', issues: 1, lastLine: null },
+      ]);
+    });
+
+    it('should return one row for an ungrouped aggregate over no matches', async () => {
+      const rows = await run(QueryBuilder.match('Missing').count('total').sum('lines', 'line').build());
+
+      expect(rows).toEqual([{ total: 0, lines: 0 }]);
+    });
+  });
+});
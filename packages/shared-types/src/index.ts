@@ -14,6 +14,24 @@ export { IssueSeverity, AnalysisType } from './models/enums';
 // Phase 2 adapter interfaces
 export * from './models/phase2-interfaces';
 
+// Run-to-run delta
+export * from './models/analysis-delta';
+
+// Suppression
+export * from './models/suppression';
+
+// Formal verification
+export * from './models/formal-verification';
+
+// Logical coupling
+export * from './models/logical-coupling';
+
+// Code ownership
+export * from './models/ownership';
+
+// Span latency
+export * from './models/latency';
+
 // Legacy interfaces (for backward compatibility)
 export * from './models/interfaces';
 
@@ -1,5 +1,8 @@
 import { UnifiedIssue } from './UnifiedIssue';
 import { IssueSeverity, AnalysisType } from './enums';
+import { VerifiedRegion, regionCoversLine } from './formal-verification';
+import type { FileOwnership } from './ownership';
+import type { FileLatency } from './latency';
 
 /**
  * Severity distribution interface
@@ -78,6 +81,9 @@ export class UnifiedFileMetrics {
   public hotspotScore: number = 0;           // Multi-dimensional risk score (0-100)
   public lastUpdated: string;
   public metadata: FileMetricsMetadata = {}; // Tool-specific metrics and data
+  public verifiedRegions: VerifiedRegion[] = []; // Lines formal verification proved properties for
+  public ownership: FileOwnership | null = null; // Who wrote the file, from git blame
+  public latency: FileLatency | null = null; // Span durations, from traces
 
   constructor(entity: string) {
     this.entity = entity;
@@ -100,6 +106,28 @@ export class UnifiedFileMetrics {
     this._updateHotspotScore();
   }
 
+  /**
+   * Record a proven property; the same proof is recorded once
+   */
+  public addVerifiedRegion(region: VerifiedRegion): void {
+    const known = this.verifiedRegions.some(existing =>
+      existing.toolName === region.toolName &&
+      existing.propertyId === region.propertyId &&
+      existing.lineRange.start === region.lineRange.start &&
+      existing.lineRange.end === region.lineRange.end);
+    if (known) return;
+
+    this.verifiedRegions.push(region);
+    this.lastUpdated = new Date().toISOString();
+  }
+
+  /**
+   * Proven properties covering a line
+   */
+  public verifiedRegionsAt(line: number): VerifiedRegion[] {
+    return this.verifiedRegions.filter(region => regionCoversLine(region, line));
+  }
+
   /**
    * Calculate hotspot score based on issue severity and distribution
    */
@@ -0,0 +1,112 @@
+/**
+ * Run-to-run analysis delta
+ *
+ * Structured difference between two UnifiedAnalysisResults, produced by the
+ * analysis package's diff engine and rendered by the visualization strategies.
+ */
+
+import {
+  UnifiedIssue,
+  IssueSeverity,
+  DetectedHotspot
+} from './interfaces';
+
+/**
+ * Location-independent identity of an issue. Hashes are null when no
+ * source was available for the issue.
+ */
+export interface IssueFingerprint {
+  /** Stable identity: rule, entity and snippet (or message when no snippet) */
+  key: string;
+  rule: string;
+  entity: string;
+  snippetHash: string | null;
+  contextHash: string | null;
+}
+
+/**
+ * How a previous issue was matched to a current one
+ */
+export type IssueMatchStrategy = 'exact' | 'snippet' | 'context' | 'location' | 'message';
+
+/**
+ * Issue present in only one of the two runs
+ */
+export interface IssueDeltaEntry {
+  fingerprint: string;
+  issue: UnifiedIssue;
+}
+
+/**
+ * Issue present in both runs
+ */
+export interface MatchedIssue {
+  fingerprint: string;
+  previous: UnifiedIssue;
+  current: UnifiedIssue;
+  matchedBy: IssueMatchStrategy;
+}
+
+/**
+ * Matched issue whose severity changed
+ */
+export interface IssueSeverityChange extends MatchedIssue {
+  previousSeverity: IssueSeverity;
+  currentSeverity: IssueSeverity;
+  direction: 'escalated' | 'deescalated';
+}
+
+/**
+ * Matched issue reported at a different line
+ */
+export interface IssueMove extends MatchedIssue {
+  previousLine: number | null;
+  currentLine: number | null;
+}
+
+/**
+ * Hotspot change for one file
+ */
+export interface HotspotDelta {
+  canonicalPath: string;
+  trend: 'new' | 'resolved' | 'grew' | 'shrank';
+  previous: DetectedHotspot | null;
+  current: DetectedHotspot | null;
+  riskScoreDelta: number;
+  issueCountDelta: number;
+}
+
+/**
+ * Counts for a delta
+ */
+export interface AnalysisDeltaSummary {
+  previousIssueCount: number;
+  currentIssueCount: number;
+  netIssueChange: number;
+  newIssues: number;
+  fixedIssues: number;
+  unchangedIssues: number;
+  movedIssues: number;
+  escalatedIssues: number;
+  deescalatedIssues: number;
+  newHotspots: number;
+  resolvedHotspots: number;
+  grownHotspots: number;
+  shrunkHotspots: number;
+}
+
+/**
+ * Difference between a previous and a current analysis run
+ */
+export interface AnalysisDelta {
+  projectRoot: string;
+  previousCreatedAt: string;
+  currentCreatedAt: string;
+  generatedAt: string;
+  newIssues: IssueDeltaEntry[];
+  fixedIssues: IssueDeltaEntry[];
+  severityChanges: IssueSeverityChange[];
+  movedIssues: IssueMove[];
+  hotspotChanges: HotspotDelta[];
+  summary: AnalysisDeltaSummary;
+}
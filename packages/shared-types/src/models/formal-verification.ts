@@ -0,0 +1,87 @@
+/**
+ * Formal verification in the unified model
+ *
+ * A property a formal verification tool refuted or could not decide becomes
+ * a UnifiedIssue carrying a FormalFinding in its metadata. A property it
+ * proved becomes a VerifiedRegion on the file's metrics, and other tools'
+ * findings inside that region carry a ProofCoverage once correlated.
+ */
+
+/**
+ * Issue metadata key holding the FormalFinding
+ */
+export const FORMAL_FINDING_METADATA_KEY = 'formalVerification';
+
+/**
+ * Issue metadata key holding the ProofCoverage
+ */
+export const PROOF_COVERAGE_METADATA_KEY = 'proofCoverage';
+
+/**
+ * `violated`: the tool refuted the property, usually with a counterexample;
+ * `unknown`: it could neither prove nor refute it
+ */
+export type FormalPropertyOutcome = 'violated' | 'unknown';
+
+/**
+ * Symbolic execution path leading to a violation
+ */
+export interface FormalTracePath {
+  pathId: string;
+  pathCondition: string;
+  /** Concrete inputs that drive execution down the path */
+  testInputs: unknown[];
+  lines: number[];
+}
+
+/**
+ * The property behind an issue reported by a formal verification tool
+ */
+export interface FormalFinding {
+  propertyId: string;
+  propertyName: string;
+  propertyType: string;
+  specification: string;
+  outcome: FormalPropertyOutcome;
+  /** Verification method, e.g. bounded_model_checking */
+  method: string;
+  /** The tool's confidence level, e.g. high_confidence */
+  confidence: string;
+  /** As reported by the tool */
+  counterexample?: unknown;
+  trace?: FormalTracePath[];
+}
+
+/**
+ * Lines a formal verification tool proved a property for
+ */
+export interface VerifiedRegion {
+  toolName: string;
+  propertyId: string;
+  propertyName: string;
+  propertyType: string;
+  method: string;
+  confidence: 'mathematical_proof' | 'high_confidence';
+  /** `end` -1 covers the rest of the file, as for file-level hotspots */
+  lineRange: { start: number; end: number };
+}
+
+/**
+ * How formal verification changed the confidence in another tool's finding:
+ * a proof covering its lines contradicts it, a violation next to it
+ * corroborates it
+ */
+export interface ProofCoverage {
+  effect: 'contradicted' | 'corroborated';
+  /** Confidence in the finding before and after, 0-1 */
+  originalConfidence: number;
+  confidence: number;
+  evidence: Array<{ toolName: string; propertyId: string; propertyName: string }>;
+}
+
+/**
+ * Whether a region covers a line
+ */
+export function regionCoversLine(region: VerifiedRegion, line: number): boolean {
+  return line >= region.lineRange.start && (region.lineRange.end === -1 || line <= region.lineRange.end);
+}
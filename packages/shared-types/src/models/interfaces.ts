@@ -8,6 +8,12 @@
  * building genuine unification through canonical entity identification.
  */
 
+import type { SuppressionStats } from './suppression';
+import { VerifiedRegion, regionCoversLine } from './formal-verification';
+import type { FileOwnership } from './ownership';
+import type { FileLatency } from './latency';
+import type { LogicalCouplingGraph } from './logical-coupling';
+
 /**
  * Unified Entity constructor parameters
  */
@@ -263,6 +269,9 @@ export class UnifiedFileMetrics {
   public hotspotScore: number = 0;           // Multi-dimensional risk score (0-100)
   public lastUpdated: string;
   public metadata: FileMetricsMetadata = {}; // Tool-specific metrics and data
+  public verifiedRegions: VerifiedRegion[] = []; // Lines formal verification proved properties for
+  public ownership: FileOwnership | null = null; // Who wrote the file, from git blame
+  public latency: FileLatency | null = null; // Span durations, from traces
 
   constructor(entity: string) {
     this.entity = entity;
@@ -285,6 +294,28 @@ export class UnifiedFileMetrics {
     this._updateHotspotScore();
   }
 
+  /**
+   * Record a proven property; the same proof is recorded once
+   */
+  public addVerifiedRegion(region: VerifiedRegion): void {
+    const known = this.verifiedRegions.some(existing =>
+      existing.toolName === region.toolName &&
+      existing.propertyId === region.propertyId &&
+      existing.lineRange.start === region.lineRange.start &&
+      existing.lineRange.end === region.lineRange.end);
+    if (known) return;
+
+    this.verifiedRegions.push(region);
+    this.lastUpdated = new Date().toISOString();
+  }
+
+  /**
+   * Proven properties covering a line
+   */
+  public verifiedRegionsAt(line: number): VerifiedRegion[] {
+    return this.verifiedRegions.filter(region => regionCoversLine(region, line));
+  }
+
   /**
    * Calculate hotspot score based on issue severity and distribution
    */
@@ -377,6 +408,9 @@ export class UnifiedAnalysisResult {
     duplicatesRemoved: number;
     groupsFound: number;
   };
+  public suppressionStats?: SuppressionStats;
+  /** Files that change together, mined from git history */
+  public logicalCoupling: LogicalCouplingGraph | null = null;
 
   constructor(projectRoot: string) {
     this.projectRoot = projectRoot;
@@ -397,10 +431,51 @@ export class UnifiedAnalysisResult {
     this.fileMetrics.get(issue.entity.canonicalPath)!.addIssue(issue);
   }
 
+  /**
+   * Record a proven property for a file, which need not have issues
+   */
+  public addVerifiedRegion(canonicalPath: string, region: VerifiedRegion): void {
+    if (!this.fileMetrics.has(canonicalPath)) {
+      this.fileMetrics.set(canonicalPath, new UnifiedFileMetrics(canonicalPath));
+    }
+    this.fileMetrics.get(canonicalPath)!.addVerifiedRegion(region);
+  }
+
+  /**
+   * Record who wrote a file, which need not have issues
+   */
+  public setOwnership(canonicalPath: string, ownership: FileOwnership): void {
+    if (!this.fileMetrics.has(canonicalPath)) {
+      this.fileMetrics.set(canonicalPath, new UnifiedFileMetrics(canonicalPath));
+    }
+    this.fileMetrics.get(canonicalPath)!.ownership = ownership;
+  }
+
+  /**
+   * Record how long a file's spans take, which need not have issues
+   */
+  public setLatency(canonicalPath: string, latency: FileLatency): void {
+    if (!this.fileMetrics.has(canonicalPath)) {
+      this.fileMetrics.set(canonicalPath, new UnifiedFileMetrics(canonicalPath));
+    }
+    this.fileMetrics.get(canonicalPath)!.latency = latency;
+  }
+
+  /**
+   * Proven properties per file, for files that have any
+   */
+  public verifiedRegions(): Map<string, VerifiedRegion[]> {
+    const regions = new Map<string, VerifiedRegion[]>();
+    for (const [canonicalPath, metrics] of this.fileMetrics) {
+      if (metrics.verifiedRegions.length > 0) regions.set(canonicalPath, metrics.verifiedRegions);
+    }
+    return regions;
+  }
+
   /**
    * Build correlation groups for issues in proximity
    */
-  public buildCorrelationGroups(): void {
+  public buildCorrelationGroups(lineThreshold: number = 10): void {
     const groups: Map<string, UnifiedIssue[]> = new Map();
     
     // Group issues by file and proximity
@@ -426,7 +501,7 @@ export class UnifiedAnalysisResult {
       for (const issue of fileIssues) {
         const line = issue.line || 0;
         
-        if (line - lastLine <= 10) { // Within 10 lines
+        if (line - lastLine <= lineThreshold) { // Within threshold lines
           currentGroup.push(issue);
         } else {
           if (currentGroup.length >= 2) {
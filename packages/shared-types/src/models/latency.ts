@@ -0,0 +1,49 @@
+/**
+ * Span latency in the unified model
+ *
+ * Trace adapters map spans to source through their `code.*` attributes. A
+ * FileLatency lands on the file's metrics, summarizing the durations of the
+ * spans in the file and in each of its functions.
+ */
+
+/**
+ * Milliseconds, nearest-rank percentiles
+ */
+export interface LatencyPercentiles {
+  p50: number;
+  p90: number;
+  p95: number;
+  p99: number;
+  max: number;
+}
+
+export interface LatencySummary extends LatencyPercentiles {
+  spans: number;
+  errors: number;
+}
+
+export interface FunctionLatency extends LatencySummary {
+  name: string;
+  /** Lowest line a span of the function reported, or null without one */
+  line: number | null;
+}
+
+export interface FileLatency extends LatencySummary {
+  /** By descending p95 */
+  functions: FunctionLatency[];
+  /** Tool the spans came from */
+  source: string;
+}
+
+/**
+ * Percentiles of durations in milliseconds, all zero for none
+ */
+export function latencyPercentiles(durations: number[]): LatencyPercentiles {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const rank = (percentile: number) => {
+    if (sorted.length === 0) return 0;
+    const value = sorted[Math.max(0, Math.ceil(percentile / 100 * sorted.length) - 1)]!;
+    return Math.round(value * 1000) / 1000;
+  };
+  return { p50: rank(50), p90: rank(90), p95: rank(95), p99: rank(99), max: rank(100) };
+}
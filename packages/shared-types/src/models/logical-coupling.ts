@@ -0,0 +1,68 @@
+/**
+ * Logical coupling in the unified model
+ *
+ * Files that keep changing in the same commits are coupled whether or not
+ * the code says so. A LogicalCouplingGraph holds the pairs mined from git
+ * history with their association-rule scores, the clusters of coupled files
+ * that span modules, and, once compared with the import graph, which pairs
+ * are coupled without importing each other.
+ */
+
+/**
+ * Two files that changed together; `fileA` sorts before `fileB`
+ */
+export interface LogicalCouplingPair {
+  /** Project-relative paths */
+  fileA: string;
+  fileB: string;
+  /** Commits touching both files */
+  coChanges: number;
+  /** Share of the analyzed commits touching both, time-decayed, 0-1 */
+  support: number;
+  /** Share of the commits touching fileA that touch fileB too, time-decayed, 0-1 */
+  confidenceAToB: number;
+  /** Share of the commits touching fileB that touch fileA too, time-decayed, 0-1 */
+  confidenceBToA: number;
+  /** The stronger direction */
+  confidence: number;
+  /** ISO date of the latest commit touching both */
+  lastCoChange: string;
+  /** The files live in different modules */
+  crossModule: boolean;
+  /**
+   * Neither file imports the other; left out when the pair was not compared
+   * with the import graph or is not made of source modules
+   */
+  hidden?: boolean;
+}
+
+/**
+ * Files coupled to each other across module boundaries
+ */
+export interface LogicalCouplingCluster {
+  id: string;
+  files: string[];
+  modules: string[];
+  /** Mean confidence of the pairs inside the cluster */
+  strength: number;
+}
+
+export interface LogicalCouplingGraph {
+  pairs: LogicalCouplingPair[];
+  clusters: LogicalCouplingCluster[];
+  /** Commits that contributed pairs */
+  commitsAnalyzed: number;
+  /** Commits left out as bulk changes: too many files, or a reformat or vendor update */
+  commitsSkipped: number;
+  /** Age in days at which a commit counts half */
+  halfLifeDays: number;
+  /** ISO date the decay is measured from */
+  referenceDate: string;
+}
+
+/**
+ * Pairs a file is part of
+ */
+export function couplingPairsOf(graph: LogicalCouplingGraph, file: string): LogicalCouplingPair[] {
+  return graph.pairs.filter(pair => pair.fileA === file || pair.fileB === file);
+}
@@ -0,0 +1,69 @@
+/**
+ * Code ownership in the unified model
+ *
+ * Ownership is measured from git blame: an author owns the lines they last
+ * changed. A FileOwnership lands on the file's metrics; directories and
+ * modules aggregate the lines of their files.
+ */
+
+/**
+ * An author's part of a file, directory or module
+ */
+export interface AuthorOwnership {
+  author: string;
+  email: string;
+  lines: number;
+  /** Share of the lines, 0-1 */
+  share: number;
+  /** ISO date of the author's latest commit in the repository */
+  lastActive: string;
+  /** No commit within the inactivity window */
+  inactive: boolean;
+}
+
+export interface OwnershipSummary {
+  /** By descending share */
+  owners: AuthorOwnership[];
+  totalLines: number;
+  /**
+   * Fewest authors who together own more than half of the lines; leaving
+   * them out takes the majority of the knowledge with them
+   */
+  busFactor: number;
+  /** Share of the lines owned by inactive authors, 0-1 */
+  knowledgeLoss: number;
+}
+
+export interface FileOwnership extends OwnershipSummary {
+  /** Owners CODEOWNERS declares for the file, as written there */
+  declaredOwners: string[];
+}
+
+/**
+ * Ownership of a directory or module over all its files
+ */
+export interface GroupOwnership extends OwnershipSummary {
+  path: string;
+  files: number;
+}
+
+/**
+ * A file whose declared owners do not match who wrote it: `undeclared`
+ * when no CODEOWNERS rule covers it, `not-contributing` when none of the
+ * declared owners owns any of its lines, `inactive` when all that do are
+ * inactive
+ */
+export interface OwnershipMismatch {
+  path: string;
+  kind: 'undeclared' | 'not-contributing' | 'inactive';
+  declaredOwners: string[];
+  /** Authors making up the bus factor */
+  actualOwners: string[];
+}
+
+/**
+ * Ownership of the primary owner, or null for a file without blamed lines
+ */
+export function primaryOwner(ownership: OwnershipSummary): AuthorOwnership | null {
+  return ownership.owners[0] ?? null;
+}
@@ -0,0 +1,63 @@
+/**
+ * Issue suppression
+ *
+ * Suppressed issues stay in the result and carry an IssueSuppression in
+ * their metadata, so consumers can report them separately instead of
+ * losing them.
+ */
+
+/**
+ * Issue metadata key holding the IssueSuppression
+ */
+export const SUPPRESSION_METADATA_KEY = 'suppression';
+
+/**
+ * Where a suppression came from
+ */
+export type SuppressionSource = 'baseline' | 'rule' | 'inline';
+
+/**
+ * Why an issue is suppressed
+ */
+export interface IssueSuppression {
+  source: SuppressionSource;
+  /** Baseline fingerprint, rule id or `path:line` of the inline comment */
+  id: string;
+  justification: string;
+  /** ISO date after which the suppression no longer applies */
+  expires?: string;
+}
+
+/**
+ * Suppression that matched no issue in the run
+ */
+export interface StaleSuppression {
+  source: SuppressionSource;
+  id: string;
+  justification: string;
+}
+
+/**
+ * Suppression counts for a run
+ */
+export interface SuppressionStats {
+  suppressedCount: number;
+  bySource: Record<SuppressionSource, number>;
+  stale: StaleSuppression[];
+  /** Rules and inline comments skipped because they have expired */
+  expired: number;
+}
+
+/**
+ * Suppression recorded on an issue, if any
+ */
+export function getIssueSuppression(issue: { metadata: Record<string, any> }): IssueSuppression | null {
+  return issue.metadata?.[SUPPRESSION_METADATA_KEY] ?? null;
+}
+
+/**
+ * Whether an issue is suppressed
+ */
+export function isSuppressed(issue: { metadata: Record<string, any> }): boolean {
+  return getIssueSuppression(issue) !== null;
+}
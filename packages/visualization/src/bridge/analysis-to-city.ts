@@ -6,6 +6,8 @@
  * - File-type texture mapping (always visible)
  * - Interactive building details on click
  * - Toggle interface for tool filtering
+ * - Roads between files that change together (logical coupling)
+ * - Color modes: tools, ownership and bus factor (see city-color-modes)
  */
 
 import {
@@ -13,9 +15,14 @@ import {
   UnifiedIssue,
   UnifiedEntity,
   IssueSeverity,
-  AnalysisType
+  AnalysisType,
+  LogicalCouplingPair,
+  FileOwnership
 } from '@topolop/shared-types';
 
+import { CityLayout, CityLayoutEngine } from '../layout/city-layout';
+import { CityColorMode, colorForBusFactor, colorForOwnership } from './city-color-modes';
+
 /**
  * City-specific interfaces extending the existing city renderer
  */
@@ -40,8 +47,9 @@ interface EnhancedBuilding {
   // Enhanced properties for unified model
   baseColor: string;        // Neutral base color
   toolColor: string;        // Blended tool colors (transparent when no tools active)
-  finalColor: string;       // Computed final color
+  finalColor: string;       // Computed final color, as the color mode says
   texture: BuildingTexture; // File type texture (always visible)
+  ownership: FileOwnership | null; // Who wrote the file, from git blame
   
   // Interactive properties
   issueCount: number;
@@ -78,6 +86,25 @@ interface IssueSnapshot {
   line?: number;
 }
 
+/**
+ * Road between two buildings whose files change together; hidden coupling
+ * (no import between the files) gets its own road type
+ */
+interface CityRoad {
+  id: string;
+  type: 'logical-coupling' | 'hidden-coupling';
+  from: string;             // Canonical paths of the two files
+  to: string;
+  x1: number;
+  y1: number;
+  x2: number;
+  y2: number;
+  width: number;            // 1-5, wider for stronger coupling
+  strength: number;         // Coupling confidence, 0-1
+  coChanges: number;
+  crossModule: boolean;
+}
+
 interface CityToolToggle {
   toolName: string;
   displayName: string;
@@ -94,6 +121,10 @@ export class UnifiedToCityBridge {
   private unifiedData: UnifiedAnalysisResult;
   private activeTools: Set<string> = new Set();
   private showCorrelations: boolean = false;
+  private colorMode: CityColorMode = 'tools';
+  private previousLayout: CityLayout | undefined;
+  private layout: CityLayout | null = null;
+  private layoutEngine = new CityLayoutEngine({ lotSize: 50, streetWidth: 10 });
   
   // Color definitions for each tool
   private toolColors: Record<string, string> = {
@@ -138,8 +169,13 @@ export class UnifiedToCityBridge {
     '.java': { type: 'solid-brick', pattern: 'solid', intensity: 0.9 }
   };
   
-  constructor(unifiedData: UnifiedAnalysisResult) {
+  /**
+   * @param previousLayout layout of an earlier run (see getLayout()); files
+   *   present in both keep their positions
+   */
+  constructor(unifiedData: UnifiedAnalysisResult, previousLayout?: CityLayout) {
     this.unifiedData = unifiedData;
+    this.previousLayout = previousLayout;
   }
   
   /**
@@ -182,6 +218,14 @@ export class UnifiedToCityBridge {
     this.activeTools = new Set(toolNames);
   }
   
+  /**
+   * Choose what building colors show; ownership modes need ownership on
+   * the file metrics
+   */
+  setColorMode(mode: CityColorMode): void {
+    this.colorMode = mode;
+  }
+  
   /**
    * Toggle correlation display
    */
@@ -192,7 +236,7 @@ export class UnifiedToCityBridge {
   /**
    * Generate city layout from unified data with current tool filters
    */
-  generateCityLayout(): { buildings: EnhancedBuilding[], toolToggles: CityToolToggle[] } {
+  generateCityLayout(): { buildings: EnhancedBuilding[], roads: CityRoad[], toolToggles: CityToolToggle[] } {
     const buildings: EnhancedBuilding[] = [];
     const fileMap = new Map<string, UnifiedEntity>();
     const fileIssues = new Map<string, UnifiedIssue[]>();
@@ -210,6 +254,7 @@ export class UnifiedToCityBridge {
     
     // Create buildings for each file with issues
     let buildingIndex = 0;
+    const paths: string[] = [];
     for (const [path, entity] of fileMap.entries()) {
       const allIssues = fileIssues.get(path) || [];
       const filteredIssues = this.filterIssuesByActiveTools(allIssues);
@@ -222,17 +267,26 @@ export class UnifiedToCityBridge {
       );
       
       buildings.push(building);
+      paths.push(path);
     }
     
-    // Position buildings in a grid layout (simple for now)
-    this.positionBuildings(buildings);
+    this.positionBuildings(buildings, paths);
     
     return {
       buildings,
+      roads: this.createCouplingRoads(buildings, paths),
       toolToggles: this.getAvailableTools()
     };
   }
   
+  /**
+   * Layout used by the last generateCityLayout() call; pass it to the next
+   * bridge to keep buildings in place across runs
+   */
+  getLayout(): CityLayout | null {
+    return this.layout;
+  }
+  
   /**
    * Get building details for interactive click
    */
@@ -266,7 +320,10 @@ export class UnifiedToCityBridge {
     // Color calculations
     const baseColor = '#E0E0E0'; // Neutral gray base
     const toolColor = this.blendToolColors(filteredIssues);
-    const finalColor = this.activeTools.size > 0 ? toolColor : baseColor;
+    const ownership = this.unifiedData.fileMetrics.get(entity.canonicalPath)?.ownership ?? null;
+    const finalColor = this.colorMode === 'ownership' ? colorForOwnership(ownership)
+      : this.colorMode === 'bus-factor' ? colorForBusFactor(ownership)
+      : this.activeTools.size > 0 ? toolColor : baseColor;
     
     // Risk scoring and interactivity
     const riskScore = this.calculateRiskScore(allIssues);
@@ -281,6 +338,7 @@ export class UnifiedToCityBridge {
       toolColor,
       finalColor,
       texture,
+      ownership,
       issueCount: allIssues.length,
       toolsDetected,
       riskScore,
@@ -421,20 +479,53 @@ export class UnifiedToCityBridge {
   }
   
   /**
-   * Simple grid positioning for buildings
+   * Place buildings on their lots in the directory treemap
    */
-  private positionBuildings(buildings: EnhancedBuilding[]): void {
-    const gridSize = Math.ceil(Math.sqrt(buildings.length));
-    const spacing = 100;
+  private positionBuildings(buildings: EnhancedBuilding[], paths: string[]): void {
+    this.layout = this.layoutEngine.layout(
+      [...this.unifiedData.fileMetrics.keys(), ...paths],
+      this.previousLayout
+    );
+    const lots = new Map(this.layout.buildings.map(lot => [lot.path, lot]));
     
     buildings.forEach((building, index) => {
-      const row = Math.floor(index / gridSize);
-      const col = index % gridSize;
-      building.x = col * spacing + 50;
-      building.y = row * spacing + 50;
+      const lot = lots.get(paths[index]!)!;
+      building.x = lot.x;
+      building.y = lot.z;
+      building.width = Math.min(building.width, lot.rect.width * 0.8);
+      building.depth = Math.min(building.depth, lot.rect.depth * 0.8);
     });
   }
   
+  /**
+   * Roads for the coupled pairs whose files both have a building
+   */
+  private createCouplingRoads(buildings: EnhancedBuilding[], paths: string[]): CityRoad[] {
+    const pairs: LogicalCouplingPair[] = this.unifiedData.logicalCoupling?.pairs ?? [];
+    const byPath = new Map(paths.map((path, index) => [path, buildings[index]!]));
+    
+    return pairs
+      .filter(pair => byPath.has(pair.fileA) && byPath.has(pair.fileB))
+      .map((pair, index) => {
+        const from = byPath.get(pair.fileA)!;
+        const to = byPath.get(pair.fileB)!;
+        return {
+          id: `road-coupling-${index}`,
+          type: pair.hidden ? 'hidden-coupling' : 'logical-coupling',
+          from: pair.fileA,
+          to: pair.fileB,
+          x1: from.x,
+          y1: from.y,
+          x2: to.x,
+          y2: to.y,
+          width: 1 + Math.round(pair.confidence * 4),
+          strength: pair.confidence,
+          coChanges: pair.coChanges,
+          crossModule: pair.crossModule
+        };
+      });
+  }
+  
   // Utility methods
   private getFileName(path: string): string {
     return path.split('/').pop() || path;
@@ -530,4 +621,4 @@ export class UnifiedToCityBridge {
   }
 }
 
-export type { EnhancedBuilding, BuildingDetails, CityToolToggle };
\ No newline at end of file
+export type { EnhancedBuilding, BuildingDetails, CityToolToggle, CityRoad };
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * City color modes
+ *
+ * `tools` blends the colors of the active tools (the default),
+ * `ownership` gives every primary owner a color of their own, and
+ * `bus-factor` shades files by how much of their knowledge rests on few or
+ * inactive authors.
+ */
+
+import { FileOwnership } from '@topolop/shared-types';
+
+import { hashPath } from '../layout/city-layout';
+
+export type CityColorMode = 'tools' | 'ownership' | 'bus-factor';
+
+export const CITY_COLOR_MODES: ReadonlyArray<CityColorMode> = ['tools', 'ownership', 'bus-factor'];
+
+/**
+ * Files without blamed lines, and files whose primary owner is inactive
+ */
+export const OWNERSHIP_COLORS = {
+  unowned: '#BDBDBD',
+  inactive: '#616161'
+};
+
+/**
+ * First match wins: most of the file written by inactive authors, then by
+ * bus factor
+ */
+export const BUS_FACTOR_COLORS: ReadonlyArray<{ minKnowledgeLoss: number; maxBusFactor: number; color: string }> = [
+  { minKnowledgeLoss: 0.5, maxBusFactor: Infinity, color: '#dc3545' },
+  { minKnowledgeLoss: 0, maxBusFactor: 1, color: '#fd7e14' },
+  { minKnowledgeLoss: 0, maxBusFactor: 2, color: '#ffc107' },
+  { minKnowledgeLoss: 0, maxBusFactor: Infinity, color: '#28a745' }
+];
+
+/**
+ * Stable color of an author, from their email
+ */
+export function colorForOwner(email: string): string {
+  return hslToHex(hashPath(email.toLowerCase()) % 360, 0.6, 0.5);
+}
+
+export function colorForOwnership(ownership: FileOwnership | null): string {
+  const owner = ownership?.owners[0];
+  if (!owner) return OWNERSHIP_COLORS.unowned;
+  return owner.inactive ? OWNERSHIP_COLORS.inactive : colorForOwner(owner.email);
+}
+
+export function colorForBusFactor(ownership: FileOwnership | null): string {
+  if (!ownership || ownership.owners.length === 0) return OWNERSHIP_COLORS.unowned;
+  return BUS_FACTOR_COLORS.find(entry =>
+    ownership.knowledgeLoss >= entry.minKnowledgeLoss && ownership.busFactor <= entry.maxBusFactor)!.color;
+}
+
+function hslToHex(hue: number, saturation: number, lightness: number): string {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const channel = (offset: number) => {
+    const k = (offset + hue / 30) % 12;
+    const value = lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, '0');
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
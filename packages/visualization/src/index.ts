@@ -9,6 +9,66 @@ export * from '@topolop/shared-types';
 
 // Bridge (analysis → visualization transform)
 export { UnifiedToCityBridge } from './bridge/analysis-to-city';
+export {
+  CITY_COLOR_MODES,
+  OWNERSHIP_COLORS,
+  BUS_FACTOR_COLORS,
+  colorForOwner,
+  colorForOwnership,
+  colorForBusFactor
+} from './bridge/city-color-modes';
+export type { CityColorMode } from './bridge/city-color-modes';
+
+// Deterministic city layout
+export { CityLayoutEngine, hashPath, CITY_LAYOUT_VERSION } from './layout/city-layout';
+
+// Time-lapse replay
+export {
+  CityTimelapseBuilder,
+  TimelapsePlayer,
+  diffFrames,
+  colorForIssueCount,
+  ISSUE_COUNT_COLORS,
+  TIMELAPSE_SPEEDS,
+  CITY_TIMELAPSE_VERSION
+} from './timelapse/city-timelapse';
+export type {
+  CityTimelapse,
+  CityTimelapseOptions,
+  TimelapseFrame,
+  TimelapseBuilding,
+  TimelapseChange,
+  TimelapseChangeKind,
+  TimelapseSnapshot,
+  TimelapseFileState,
+  TimelapseListener,
+  TimelapsePlayerOptions
+} from './timelapse/city-timelapse';
+export { TimelapseControls } from './timelapse/timelapse-controls';
+
+// Headless snapshots
+export { CitySnapshotRenderer, sceneToSvg } from './snapshot/city-snapshot-renderer';
+export type { SnapshotFormat } from './snapshot/city-snapshot-renderer';
+export { buildSnapshotScene, DEFAULT_SNAPSHOT_COLORS } from './snapshot/snapshot-scene';
+export type {
+  CitySnapshotOptions,
+  SnapshotCamera,
+  SnapshotProjection,
+  SnapshotView,
+  SnapshotColorKey,
+  SnapshotScene,
+  ScenePolygon,
+  SceneText,
+  ScenePoint
+} from './snapshot/snapshot-scene';
+export { renderScenePng, encodePng } from './snapshot/png-raster';
+export type {
+  CityLayout,
+  CityLayoutOptions,
+  DistrictLayout,
+  BuildingLot,
+  LayoutRect
+} from './layout/city-layout';
 
 // Visualization components
 export { VisualizationManager } from './visualization/visualization-manager';
@@ -0,0 +1,453 @@
+/**
+ * City Layout
+ *
+ * Deterministic placement of files on the city ground plane: a squarified
+ * treemap of the directory tree in which every directory is a district and
+ * every file gets a lot inside its directory's district.
+ *
+ * - The same set of paths gives the same layout, whatever order it comes in.
+ * - A directory reserves lots in powers of two, so adding or removing a few
+ *   files does not resize its district or move its neighbors.
+ * - A file's lot is chosen by hashing its path. Passing the previous layout
+ *   keeps every surviving file on its old lot, and a directory keeps its old
+ *   capacity while its files still fit.
+ * - Every district keeps part of its area free. Given the previous layout,
+ *   districts and lot blocks whose size is unchanged stay where they were,
+ *   and new or resized ones are placed in their parent's free space; only
+ *   a parent that runs out of free space is laid out again.
+ */
+
+export const CITY_LAYOUT_VERSION = 2;
+
+/**
+ * Axis-aligned rectangle on the ground plane (x to the right, z forward)
+ */
+export interface LayoutRect {
+  x: number;
+  z: number;
+  width: number;
+  depth: number;
+}
+
+export interface DistrictLayout {
+  /** Directory path; the root directory is '' */
+  path: string;
+  /** 0 for the root directory */
+  depth: number;
+  rect: LayoutRect;
+  /** Lots reserved for the directory's own files */
+  capacity: number;
+  /** Lots reserved for the whole subtree, free space included */
+  total: number;
+  /** Block holding the directory's own lots, or null without files */
+  block: LayoutRect | null;
+  /** Space not yet given to a subdirectory or the lot block, or null when there is none */
+  free: LayoutRect | null;
+  /** Lots that fit in `free` */
+  freeCapacity: number;
+}
+
+export interface BuildingLot {
+  /** File path as given to the layout */
+  path: string;
+  /** Directory path of the district holding the lot */
+  district: string;
+  /** Lot index within the district */
+  lot: number;
+  rect: LayoutRect;
+  /** Center of the lot */
+  x: number;
+  z: number;
+}
+
+export interface CityLayout {
+  version: number;
+  lotSize: number;
+  bounds: LayoutRect;
+  /** Sorted by path */
+  districts: DistrictLayout[];
+  /** Sorted by path */
+  buildings: BuildingLot[];
+}
+
+export interface CityLayoutOptions {
+  /** Edge length of a lot (default 20) */
+  lotSize?: number;
+  /** Gap left around each district (default 4) */
+  streetWidth?: number;
+  /** Lots reserved per file before rounding up to a power of two (default 1.5) */
+  slack?: number;
+  /** Share of a subtree's file lots kept free for new directories (default 0.25) */
+  reserve?: number;
+}
+
+interface DirectoryNode {
+  path: string;
+  files: string[];
+  children: Map<string, DirectoryNode>;
+  /** Lots for the directory's own files */
+  own: number;
+  /** Lots for the own files of the whole subtree */
+  fileLots: number;
+  /** Lots for the whole subtree, free space included */
+  total: number;
+}
+
+interface Weighted<T> {
+  item: T;
+  weight: number;
+}
+
+/**
+ * Blocks of a district and the space left free in it
+ */
+interface Placement<T> {
+  blocks: Array<[T, LayoutRect]>;
+  free: LayoutRect | null;
+  freeCapacity: number;
+}
+
+/**
+ * FNV-1a hash of a path, the seed for every ordering and lot choice
+ */
+export function hashPath(path: string): number {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < path.length; index++) {
+    hash ^= path.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Lays files out as districts and lots
+ */
+export class CityLayoutEngine {
+  private readonly lotSize: number;
+  private readonly streetWidth: number;
+  private readonly slack: number;
+  private readonly reserve: number;
+
+  constructor(options: CityLayoutOptions = {}) {
+    this.lotSize = options.lotSize ?? 20;
+    this.streetWidth = options.streetWidth ?? 4;
+    this.slack = Math.max(1, options.slack ?? 1.5);
+    this.reserve = Math.max(0, options.reserve ?? 0.25);
+  }
+
+  /**
+   * Layout for a set of file paths, kept as close to `previous` as the
+   * changes allow
+   */
+  layout(paths: Iterable<string>, previous?: CityLayout): CityLayout {
+    const previousDistricts = new Map((previous?.districts ?? []).map(district => [district.path, district]));
+    const previousLots = new Map((previous?.buildings ?? []).map(building => [building.path, building]));
+
+    const root = this.buildTree(paths);
+    this.assignCapacity(root, previousDistricts);
+
+    const side = Math.sqrt(Math.max(root.total, 1)) * this.lotSize;
+    const bounds: LayoutRect = { x: 0, z: 0, width: side, depth: side };
+    const districts: DistrictLayout[] = [];
+    const buildings: BuildingLot[] = [];
+
+    this.layoutDirectory(root, bounds, 0, previousDistricts, previousLots, districts, buildings);
+
+    return {
+      version: CITY_LAYOUT_VERSION,
+      lotSize: this.lotSize,
+      bounds,
+      districts: districts.sort((a, b) => compare(a.path, b.path)),
+      buildings: buildings.sort((a, b) => compare(a.path, b.path))
+    };
+  }
+
+  private buildTree(paths: Iterable<string>): DirectoryNode {
+    const root = directory('');
+    for (const path of new Set(paths)) {
+      const segments = path.split('/').filter(Boolean);
+      if (segments.length === 0) continue;
+
+      let node = root;
+      for (const segment of segments.slice(0, -1)) {
+        const childPath = node.path ? `${node.path}/${segment}` : segment;
+        let child = node.children.get(childPath);
+        if (!child) {
+          child = directory(childPath);
+          node.children.set(childPath, child);
+        }
+        node = child;
+      }
+      node.files.push(path);
+    }
+    return root;
+  }
+
+  private assignCapacity(node: DirectoryNode, previousDistricts: Map<string, DistrictLayout>): void {
+    for (const child of node.children.values()) {
+      this.assignCapacity(child, previousDistricts);
+    }
+
+    const children = Array.from(node.children.values());
+    const count = node.files.length;
+    const previous = previousDistricts.get(node.path);
+    const before = previous?.capacity ?? 0;
+    // Hysteresis: keep the old capacity until the files outgrow it or use under a quarter of it
+    node.own = count === 0 ? 0
+      : count <= before && count * 4 > before ? before
+        : nextPowerOfTwo(Math.ceil(count * this.slack));
+    node.fileLots = node.own + children.reduce((sum, child) => sum + child.fileLots, 0);
+
+    // The same hysteresis for the subtree; the reserve is a share of the file
+    // lots, not of the children's totals, so it does not compound with depth
+    const used = node.own + children.reduce((sum, child) => sum + child.total, 0);
+    const totalBefore = previous?.total ?? 0;
+    node.total = used === 0 ? 0
+      : used <= totalBefore && used * 4 > totalBefore ? totalBefore
+        : used + Math.ceil(node.fileLots * this.reserve);
+  }
+
+  private layoutDirectory(
+    node: DirectoryNode,
+    rect: LayoutRect,
+    depth: number,
+    previousDistricts: Map<string, DistrictLayout>,
+    previousLots: Map<string, BuildingLot>,
+    districts: DistrictLayout[],
+    buildings: BuildingLot[]
+  ): void {
+    const inner = depth === 0 ? rect : inset(rect, this.streetWidth / 2);
+    const items: Array<Weighted<DirectoryNode | null>> = Array.from(node.children.values())
+      .filter(child => child.total > 0)
+      .map(child => ({ item: child, weight: child.total }));
+    if (node.own > 0) {
+      // The directory's own lots are laid out as one more block among its subdirectories
+      items.push({ item: null, weight: node.own });
+    }
+    items.sort((a, b) =>
+      b.weight - a.weight ||
+      hashPath(a.item?.path ?? node.path) - hashPath(b.item?.path ?? node.path) ||
+      compare(a.item?.path ?? '', b.item?.path ?? ''));
+
+    const used = items.reduce((sum, entry) => sum + entry.weight, 0);
+    const placement = keepPlacement(node, rect, items, previousDistricts) ?? place(items, node.total - used, inner);
+    districts.push({
+      path: node.path,
+      depth,
+      rect,
+      capacity: node.own,
+      total: node.total,
+      block: placement.blocks.find(([item]) => item === null)?.[1] ?? null,
+      free: placement.free,
+      freeCapacity: placement.freeCapacity
+    });
+
+    for (const [item, block] of placement.blocks) {
+      if (item) {
+        this.layoutDirectory(item, block, depth + 1, previousDistricts, previousLots, districts, buildings);
+      } else {
+        const before = previousDistricts.get(node.path)?.capacity;
+        buildings.push(...placeLots(node, block, before === node.own ? previousLots : new Map()));
+      }
+    }
+  }
+}
+
+/**
+ * The previous placement of a district whose rect and total are unchanged:
+ * blocks of unchanged size stay put and the others are placed in the free
+ * space. Null when there is no such placement or the free space is too small.
+ */
+function keepPlacement(
+  node: DirectoryNode,
+  rect: LayoutRect,
+  items: Array<Weighted<DirectoryNode | null>>,
+  previousDistricts: Map<string, DistrictLayout>
+): Placement<DirectoryNode | null> | null {
+  const before = previousDistricts.get(node.path);
+  if (!before || before.total !== node.total || !sameRect(before.rect, rect)) return null;
+
+  const kept: Array<[DirectoryNode | null, LayoutRect]> = [];
+  const moved: Array<Weighted<DirectoryNode | null>> = [];
+  for (const entry of items) {
+    let previousRect: LayoutRect | null;
+    if (entry.item) {
+      const previous = previousDistricts.get(entry.item.path);
+      previousRect = previous?.total === entry.weight ? previous.rect : null;
+    } else {
+      previousRect = before.capacity === entry.weight ? before.block : null;
+    }
+    if (previousRect) {
+      kept.push([entry.item, previousRect]);
+    } else {
+      moved.push(entry);
+    }
+  }
+
+  const needed = moved.reduce((sum, entry) => sum + entry.weight, 0);
+  if (needed === 0) {
+    return { blocks: kept, free: before.free, freeCapacity: before.freeCapacity };
+  }
+  if (!before.free || needed > before.freeCapacity) return null;
+
+  const added = place(moved, before.freeCapacity - needed, before.free);
+  return { blocks: [...kept, ...added.blocks], free: added.free, freeCapacity: added.freeCapacity };
+}
+
+/**
+ * Blocks for `items` in `rect`, in the order given, with `freeCapacity`
+ * lots left free after them
+ */
+function place<T>(items: Array<Weighted<T>>, freeCapacity: number, rect: LayoutRect): Placement<T> {
+  const entries: Array<Weighted<number>> = items.map((entry, index) => ({ item: index, weight: entry.weight }));
+  if (freeCapacity > 0) {
+    entries.push({ item: -1, weight: freeCapacity });
+  }
+
+  const placement: Placement<T> = { blocks: [], free: null, freeCapacity: 0 };
+  for (const [index, block] of squarify(entries, rect)) {
+    if (index < 0) {
+      placement.free = block;
+      placement.freeCapacity = freeCapacity;
+    } else {
+      placement.blocks.push([items[index]!.item, block]);
+    }
+  }
+  return placement;
+}
+
+/**
+ * Lots for a directory's own files inside `block`; files keep the lot they
+ * had in `previousLots` when it is still free
+ */
+function placeLots(node: DirectoryNode, block: LayoutRect, previousLots: Map<string, BuildingLot>): BuildingLot[] {
+  const capacity = node.own;
+  const columns = Math.min(capacity, Math.max(1, Math.round(Math.sqrt(capacity * block.width / Math.max(block.depth, 1e-9)))));
+  const rows = Math.ceil(capacity / columns);
+  const lotWidth = block.width / columns;
+  const lotDepth = block.depth / rows;
+
+  const taken = new Set<number>();
+  const lots = new Map<string, number>();
+  const files = [...node.files].sort((a, b) => hashPath(a) - hashPath(b) || compare(a, b));
+
+  for (const file of files) {
+    const before = previousLots.get(file);
+    if (before && before.district === node.path && before.lot < capacity && !taken.has(before.lot)) {
+      taken.add(before.lot);
+      lots.set(file, before.lot);
+    }
+  }
+  for (const file of files) {
+    if (lots.has(file)) continue;
+    let lot = hashPath(file) % capacity;
+    while (taken.has(lot)) {
+      lot = (lot + 1) % capacity;
+    }
+    taken.add(lot);
+    lots.set(file, lot);
+  }
+
+  return files.map(file => {
+    const lot = lots.get(file)!;
+    const rect: LayoutRect = {
+      x: block.x + (lot % columns) * lotWidth,
+      z: block.z + Math.floor(lot / columns) * lotDepth,
+      width: lotWidth,
+      depth: lotDepth
+    };
+    return { path: file, district: node.path, lot, rect, x: rect.x + lotWidth / 2, z: rect.z + lotDepth / 2 };
+  });
+}
+
+/**
+ * Squarified treemap (Bruls, Huizing and van Wijk): fills `rect` with one
+ * block per item, areas proportional to weight, in the order given
+ */
+function squarify<T>(items: Array<Weighted<T>>, rect: LayoutRect): Array<[T, LayoutRect]> {
+  const placed: Array<[T, LayoutRect]> = [];
+  const total = items.reduce((sum, entry) => sum + entry.weight, 0);
+  if (total <= 0) return placed;
+
+  const scale = (rect.width * rect.depth) / total;
+  const areas = items.map(entry => ({ item: entry.item, weight: entry.weight * scale }));
+  let remaining = rect;
+  let row: Array<Weighted<T>> = [];
+
+  for (let index = 0; index < areas.length;) {
+    const side = Math.min(remaining.width, remaining.depth);
+    const candidate = [...row, areas[index]!];
+    if (row.length === 0 || worstRatio(candidate, side) <= worstRatio(row, side)) {
+      row = candidate;
+      index++;
+    } else {
+      remaining = layoutRow(row, remaining, placed);
+      row = [];
+    }
+  }
+  if (row.length > 0) {
+    layoutRow(row, remaining, placed);
+  }
+  return placed;
+}
+
+function worstRatio<T>(row: Array<Weighted<T>>, side: number): number {
+  const sum = row.reduce((total, entry) => total + entry.weight, 0);
+  if (sum <= 0 || side <= 0) return Infinity;
+  return Math.max(...row.map(entry => Math.max(
+    (side * side * entry.weight) / (sum * sum),
+    (sum * sum) / (side * side * entry.weight)
+  )));
+}
+
+/**
+ * Place a row along the shorter side of `rect`; returns what is left
+ */
+function layoutRow<T>(row: Array<Weighted<T>>, rect: LayoutRect, placed: Array<[T, LayoutRect]>): LayoutRect {
+  const sum = row.reduce((total, entry) => total + entry.weight, 0);
+
+  if (rect.width >= rect.depth) {
+    const width = rect.depth > 0 ? sum / rect.depth : 0;
+    let z = rect.z;
+    for (const entry of row) {
+      const depth = width > 0 ? entry.weight / width : 0;
+      placed.push([entry.item, { x: rect.x, z, width, depth }]);
+      z += depth;
+    }
+    return { x: rect.x + width, z: rect.z, width: Math.max(0, rect.width - width), depth: rect.depth };
+  }
+
+  const depth = rect.width > 0 ? sum / rect.width : 0;
+  let x = rect.x;
+  for (const entry of row) {
+    const width = depth > 0 ? entry.weight / depth : 0;
+    placed.push([entry.item, { x, z: rect.z, width, depth }]);
+    x += width;
+  }
+  return { x: rect.x, z: rect.z + depth, width: rect.width, depth: Math.max(0, rect.depth - depth) };
+}
+
+function inset(rect: LayoutRect, amount: number): LayoutRect {
+  const dx = Math.min(amount, rect.width / 4);
+  const dz = Math.min(amount, rect.depth / 4);
+  return { x: rect.x + dx, z: rect.z + dz, width: rect.width - 2 * dx, depth: rect.depth - 2 * dz };
+}
+
+function sameRect(a: LayoutRect, b: LayoutRect): boolean {
+  const close = (x: number, y: number) => Math.abs(x - y) < 1e-9;
+  return close(a.x, b.x) && close(a.z, b.z) && close(a.width, b.width) && close(a.depth, b.depth);
+}
+
+function directory(path: string): DirectoryNode {
+  return { path, files: [], children: new Map(), own: 0, fileLots: 0, total: 0 };
+}
+
+function nextPowerOfTwo(value: number): number {
+  let power = 1;
+  while (power < value) power *= 2;
+  return power;
+}
+
+function compare(a: string, b: string): number {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
@@ -401,7 +401,9 @@ class ThreeJSCanvasEngine extends BaseCanvasEngine {
       this.geometries.set(roadGeometryKey, roadGeometry);
     }
     
-    const roadColor = type === 'dependency' ? 0x666666 : 0x888888;
+    // Coupling roads: files that change together, orange when no import explains it
+    const roadColors = { 'dependency': 0x666666, 'logical-coupling': 0x5c7cfa, 'hidden-coupling': 0xff7043 };
+    const roadColor = roadColors[type] || 0x888888;
     const roadMaterialKey = `road-${roadColor}`;
     let roadMaterial = this.materials.get(roadMaterialKey);
     if (!roadMaterial) {
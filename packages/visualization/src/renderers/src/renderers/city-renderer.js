@@ -15,6 +15,7 @@ class CityRenderer {
       enableAnimations: true,
       showTraffic: true,
       showLabels: true,
+      layout: null, // CityLayout to place districts and buildings by path
       ...options
     };
 
@@ -60,28 +61,52 @@ class CityRenderer {
   generateCityLayout() {
     console.log('📐 Generating city layout...');
     
-    const modules = this.codebase.getNodesByType('module');
-    const files = this.codebase.getNodesByType('file');
+    // Sorted so the same codebase always gives the same city
+    const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+    const modules = [...this.codebase.getNodesByType('module')].sort(byId);
+    const files = [...this.codebase.getNodesByType('file')].sort(byId);
+    
+    // A CityLayout from @topolop/visualization (CityLayoutEngine) places
+    // districts and buildings by path; without one, districts form a grid
+    const layout = this.options.layout;
+    const layoutDistricts = new Map((layout?.districts || []).map(district => [district.path, district]));
+    const layoutLots = new Map((layout?.buildings || []).map(lot => [lot.path, lot]));
     
-    // Calculate district positions in a grid layout
     const gridSize = Math.ceil(Math.sqrt(modules.length));
     let districtIndex = 0;
     
     modules.forEach(module => {
-      const row = Math.floor(districtIndex / gridSize);
-      const col = districtIndex % gridSize;
-      
-      const districtX = (col - gridSize / 2) * this.options.districtSpacing;
-      const districtZ = (row - gridSize / 2) * this.options.districtSpacing;
+      const placed = layoutDistricts.get(module.data.path ?? module.data.name);
+      let district;
       
-      this.districtLayout.set(module.id, {
-        module,
-        centerX: districtX,
-        centerZ: districtZ,
-        buildings: [],
-        bounds: { minX: districtX - 40, maxX: districtX + 40, minZ: districtZ - 40, maxZ: districtZ + 40 }
-      });
+      if (placed) {
+        const { x, z, width, depth } = placed.rect;
+        district = {
+          module,
+          centerX: x + width / 2,
+          centerZ: z + depth / 2,
+          width,
+          depth,
+          buildings: [],
+          bounds: { minX: x, maxX: x + width, minZ: z, maxZ: z + depth }
+        };
+      } else {
+        const row = Math.floor(districtIndex / gridSize);
+        const col = districtIndex % gridSize;
+        
+        const districtX = (col - gridSize / 2) * this.options.districtSpacing;
+        const districtZ = (row - gridSize / 2) * this.options.districtSpacing;
+        
+        district = {
+          module,
+          centerX: districtX,
+          centerZ: districtZ,
+          buildings: [],
+          bounds: { minX: districtX - 40, maxX: districtX + 40, minZ: districtZ - 40, maxZ: districtZ + 40 }
+        };
+      }
       
+      this.districtLayout.set(module.id, district);
       districtIndex++;
     });
     
@@ -93,7 +118,8 @@ class CityRenderer {
       }
       
       const district = this.districtLayout.get(parentModule.id);
-      const position = this.calculateBuildingPosition(file, district);
+      const lot = layoutLots.get(file.data.path);
+      const position = lot ? { x: lot.x, z: lot.z } : this.calculateBuildingPosition(file, district);
       
       this.buildingPositions.set(file.id, {
         file,
@@ -127,8 +153,8 @@ class CityRenderer {
     
     this.districtLayout.forEach((district, moduleId) => {
       // Create district base/platform
-      const platformWidth = 80;
-      const platformDepth = 80;
+      const platformWidth = district.width || 80;
+      const platformDepth = district.depth || 80;
       const platformHeight = 2;
       
       this.canvas.drawBuilding({
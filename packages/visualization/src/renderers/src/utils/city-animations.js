@@ -66,6 +66,37 @@ class CityAnimations {
     });
   }
 
+  /**
+   * Animate time-lapse changes (see timelapse/city-timelapse.ts): buildings
+   * grow or shrink from their current height, new ones rise from the ground
+   * and demolished ones sink into it. Colors switch at the start, except for
+   * demolished buildings, which keep theirs until they are gone.
+   */
+  initializeBuildingTransitions(changes, options = {}) {
+    const {
+      duration = 800,
+      easeFunction = 'easeInOutCubic'
+    } = options;
+    const startTime = Date.now();
+
+    changes.forEach(change => {
+      const running = this.animationState.buildingGrowth.get(change.path);
+      const fromHeight = running && !running.isComplete ? running.currentHeight : change.fromHeight;
+
+      this.animationState.buildingGrowth.set(change.path, {
+        fromHeight,
+        targetHeight: change.toHeight,
+        currentHeight: fromHeight,
+        color: change.kind === 'demolish' ? change.fromColor : change.toColor,
+        demolish: change.kind === 'demolish',
+        startTime,
+        duration: duration / this.animationState.timeScale,
+        easeFunction,
+        isComplete: false
+      });
+    });
+  }
+
   initializeTrafficFlow(trafficFlows) {
     trafficFlows.forEach(flow => {
       const particles = this.generateTrafficParticles(flow);
@@ -112,7 +143,8 @@ class CityAnimations {
         const progress = Math.min(1, elapsed / animation.duration);
         const easedProgress = this.applyEasing(progress, animation.easeFunction);
         
-        animation.currentHeight = animation.targetHeight * easedProgress;
+        const fromHeight = animation.fromHeight || 0;
+        animation.currentHeight = fromHeight + (animation.targetHeight - fromHeight) * easedProgress;
         
         if (progress >= 1) {
           animation.isComplete = true;
@@ -1,12 +1,42 @@
 class CityGeometry {
+  /**
+   * FNV-1a hash of a string; same as hashPath() in layout/city-layout.ts
+   */
+  static hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Deterministic random numbers in [0, 1) (mulberry32), so the same input
+   * always renders the same city
+   */
+  static seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
   static generateDistrictBoundary(district) {
     const { x, y, size, population } = district;
     const sides = Math.max(6, Math.min(12, Math.floor(population / 5) + 6));
     const points = [];
+    const random = CityGeometry.seededRandom(
+      CityGeometry.hashString(String(district.id ?? district.name ?? `${x},${y}`))
+    );
     
     for (let i = 0; i < sides; i++) {
       const angle = (i * 2 * Math.PI) / sides;
-      const radius = size * (0.8 + 0.4 * Math.random()); // Irregular boundary
+      const radius = size * (0.8 + 0.4 * random()); // Irregular boundary
       points.push({
         x: x + radius * Math.cos(angle),
         y: y + radius * Math.sin(angle)
@@ -23,13 +53,15 @@ class CityGeometry {
       centerForce = 0.1,
       iterations = 300,
       width = 1200,
-      height = 800
+      height = 800,
+      seed = CityGeometry.hashString(nodes.map(node => node.id ?? '').join('\n'))
     } = options;
 
-    // Initialize positions randomly
+    // Initialize positions pseudo-randomly from the seed
+    const random = CityGeometry.seededRandom(seed);
     const positions = nodes.map(() => ({
-      x: Math.random() * width,
-      y: Math.random() * height,
+      x: random() * width,
+      y: random() * height,
       vx: 0,
       vy: 0
     }));
@@ -96,9 +128,12 @@ class CityGeometry {
       building.x = centerX + r * Math.cos(angle);
       building.y = centerY + r * Math.sin(angle);
       
-      // Add some randomness to avoid perfect grid
-      building.x += (Math.random() - 0.5) * 20;
-      building.y += (Math.random() - 0.5) * 20;
+      // Jitter seeded by the building, to avoid a perfect spiral
+      const random = CityGeometry.seededRandom(
+        CityGeometry.hashString(String(building.id ?? building.path ?? index))
+      );
+      building.x += (random() - 0.5) * 20;
+      building.y += (random() - 0.5) * 20;
     });
   }
 
@@ -14,6 +14,8 @@ import {
   DetectedHotspot
 } from '@topolop/shared-types';
 
+import { CityLayoutEngine } from '../../layout/city-layout';
+
 /**
  * Template-compatible data formats
  */
@@ -342,28 +344,14 @@ export class UnifiedDataToTemplateAdapter {
 
   private generateBuildingPositions(): Map<string, { x: number; z: number }> {
     const positions = new Map<string, { x: number; z: number }>();
-    const files = Array.from(this.unifiedData.fileMetrics.keys());
+    const layout = new CityLayoutEngine().layout(this.unifiedData.fileMetrics.keys());
     
-    // Use directory-based clustering
-    const directoryGroups = this.groupFilesByDirectory();
-    let districtIndex = 0;
-    const districtSpacing = 100;
-
-    for (const [directory, filesInDir] of directoryGroups.entries()) {
-      const districtX = (districtIndex % 4) * districtSpacing - 150;
-      const districtZ = Math.floor(districtIndex / 4) * districtSpacing - 150;
-      
-      filesInDir.forEach((file, fileIndex) => {
-        const localX = (fileIndex % 8) * 20 - 70;
-        const localZ = Math.floor(fileIndex / 8) * 20 - 70;
-        
-        positions.set(file, {
-          x: districtX + localX,
-          z: districtZ + localZ
-        });
+    // Directory treemap, centered on the origin
+    for (const lot of layout.buildings) {
+      positions.set(lot.path, {
+        x: lot.x - layout.bounds.width / 2,
+        z: lot.z - layout.bounds.depth / 2
       });
-      
-      districtIndex++;
     }
 
     return positions;
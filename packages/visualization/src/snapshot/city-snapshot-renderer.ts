@@ -0,0 +1,86 @@
+/**
+ * City Snapshot Renderer
+ *
+ * Headless SVG and PNG snapshots of a UnifiedAnalysisResult for reports,
+ * pull request comments and documentation. Runs in plain Node without a
+ * browser or WebGL, and the output is deterministic: rendering the same
+ * result with the same options gives byte-identical files.
+ */
+
+import { UnifiedAnalysisResult } from '@topolop/shared-types';
+
+import { renderScenePng } from './png-raster';
+import { CitySnapshotOptions, SnapshotScene, buildSnapshotScene } from './snapshot-scene';
+
+export type SnapshotFormat = 'svg' | 'png';
+
+export class CitySnapshotRenderer {
+  constructor(private readonly options: CitySnapshotOptions = {}) {}
+
+  /**
+   * Shapes and texts of the snapshot, before writing them in a format
+   */
+  renderScene(result: UnifiedAnalysisResult): SnapshotScene {
+    return buildSnapshotScene(result, this.options);
+  }
+
+  renderSvg(result: UnifiedAnalysisResult): string {
+    return sceneToSvg(this.renderScene(result));
+  }
+
+  /**
+   * PNG bytes; text uses a built-in bitmap font, so it is drawn in capitals
+   */
+  renderPng(result: UnifiedAnalysisResult): Buffer {
+    return renderScenePng(this.renderScene(result));
+  }
+
+  render(result: UnifiedAnalysisResult, format: SnapshotFormat): Buffer {
+    return format === 'png' ? this.renderPng(result) : Buffer.from(this.renderSvg(result), 'utf8');
+  }
+}
+
+export function sceneToSvg(scene: SnapshotScene): string {
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${scene.width}" height="${scene.height}" ` +
+      `viewBox="0 0 ${scene.width} ${scene.height}">`,
+    `<rect width="${scene.width}" height="${scene.height}" fill="${escapeXml(scene.background)}"/>`,
+    '<g stroke-width="1" stroke-linejoin="round">'
+  ];
+
+  for (const polygon of scene.polygons) {
+    const points = polygon.points.map(([x, y]) => `${number(x)},${number(y)}`).join(' ');
+    const stroke = polygon.stroke ? ` stroke="${escapeXml(polygon.stroke)}"` : '';
+    const shape = `<polygon points="${points}" fill="${escapeXml(polygon.fill)}"${stroke}`;
+    lines.push(polygon.title ? `${shape}><title>${escapeXml(polygon.title)}</title></polygon>` : `${shape}/>`);
+  }
+  lines.push('</g>');
+
+  lines.push('<g font-family="Helvetica, Arial, sans-serif">');
+  for (const text of scene.texts) {
+    const weight = text.bold ? ' font-weight="bold"' : '';
+    lines.push(
+      `<text x="${number(text.x)}" y="${number(text.y)}" font-size="${text.size}" fill="${escapeXml(text.color)}" ` +
+      `text-anchor="${text.anchor}"${weight}>${escapeXml(text.text)}</text>`
+    );
+  }
+  lines.push('</g>', '</svg>');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Two decimals, without trailing zeros or negative zero
+ */
+function number(value: number): string {
+  const rounded = Math.round(value * 100) / 100;
+  return String(rounded === 0 ? 0 : rounded);
+}
+
+function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
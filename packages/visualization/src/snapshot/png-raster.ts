@@ -0,0 +1,248 @@
+/**
+ * PNG Raster
+ *
+ * Minimal software rasterizer for snapshot scenes: filled and stroked
+ * polygons, a built-in 5×7 bitmap font and a PNG encoder. It needs no
+ * canvas, browser or native module, and draws the same pixels everywhere,
+ * so PNG snapshots can be compared byte for byte.
+ */
+
+import { ScenePoint, SceneText, SnapshotScene } from './snapshot-scene';
+
+/**
+ * Rows of 5 pixels, top to bottom, leftmost pixel in bit 4. Letters are
+ * upper case only; lower case text is drawn in capitals.
+ */
+const GLYPHS: Record<string, number[]> = {
+  ' ': [0, 0, 0, 0, 0, 0, 0],
+  A: [14, 17, 17, 31, 17, 17, 17], B: [30, 17, 17, 30, 17, 17, 30], C: [14, 17, 16, 16, 16, 17, 14],
+  D: [28, 18, 17, 17, 17, 18, 28], E: [31, 16, 16, 30, 16, 16, 31], F: [31, 16, 16, 30, 16, 16, 16],
+  G: [14, 17, 16, 23, 17, 17, 15], H: [17, 17, 17, 31, 17, 17, 17], I: [14, 4, 4, 4, 4, 4, 14],
+  J: [7, 2, 2, 2, 2, 18, 12], K: [17, 18, 20, 24, 20, 18, 17], L: [16, 16, 16, 16, 16, 16, 31],
+  M: [17, 27, 21, 21, 17, 17, 17], N: [17, 17, 25, 21, 19, 17, 17], O: [14, 17, 17, 17, 17, 17, 14],
+  P: [30, 17, 17, 30, 16, 16, 16], Q: [14, 17, 17, 17, 21, 18, 13], R: [30, 17, 17, 30, 20, 18, 17],
+  S: [15, 16, 16, 14, 1, 1, 30], T: [31, 4, 4, 4, 4, 4, 4], U: [17, 17, 17, 17, 17, 17, 14],
+  V: [17, 17, 17, 17, 17, 10, 4], W: [17, 17, 17, 21, 21, 21, 10], X: [17, 17, 10, 4, 10, 17, 17],
+  Y: [17, 17, 17, 10, 4, 4, 4], Z: [31, 1, 2, 4, 8, 16, 31],
+  '0': [14, 17, 19, 21, 25, 17, 14], '1': [4, 12, 4, 4, 4, 4, 14], '2': [14, 17, 1, 2, 4, 8, 31],
+  '3': [31, 2, 4, 2, 1, 17, 14], '4': [2, 6, 10, 18, 31, 2, 2], '5': [31, 16, 30, 1, 1, 17, 14],
+  '6': [6, 8, 16, 30, 17, 17, 14], '7': [31, 1, 2, 4, 8, 8, 8], '8': [14, 17, 17, 14, 17, 17, 14],
+  '9': [14, 17, 17, 15, 1, 2, 12],
+  '.': [0, 0, 0, 0, 0, 12, 12], ',': [0, 0, 0, 0, 12, 4, 8], ':': [0, 12, 12, 0, 12, 12, 0],
+  ';': [0, 12, 12, 0, 12, 4, 8], '-': [0, 0, 0, 31, 0, 0, 0], '_': [0, 0, 0, 0, 0, 0, 31],
+  '/': [0, 1, 2, 4, 8, 16, 0], '(': [2, 4, 8, 8, 8, 4, 2], ')': [8, 4, 2, 2, 2, 4, 8],
+  '[': [14, 8, 8, 8, 8, 8, 14], ']': [14, 2, 2, 2, 2, 2, 14], '%': [24, 25, 2, 4, 8, 19, 3],
+  '+': [0, 4, 4, 31, 4, 4, 0], '=': [0, 0, 31, 0, 31, 0, 0], '*': [0, 4, 21, 14, 21, 4, 0],
+  '<': [2, 4, 8, 16, 8, 4, 2], '>': [8, 4, 2, 1, 2, 4, 8], '#': [10, 10, 31, 10, 31, 10, 10],
+  '!': [4, 4, 4, 4, 4, 0, 4], '?': [14, 17, 1, 2, 4, 0, 4], "'": [4, 4, 8, 0, 0, 0, 0],
+  '"': [10, 10, 0, 0, 0, 0, 0]
+};
+
+const GLYPH_FALLBACKS: Record<string, string> = { '×': 'X', '·': '.', '…': '.', '–': '-', '—': '-' };
+
+/**
+ * Pixels per final pixel along each axis, for anti-aliased edges
+ */
+const SUPERSAMPLE = 2;
+
+type Color = [number, number, number];
+
+/**
+ * Rasterize a scene and encode it as PNG
+ */
+export function renderScenePng(scene: SnapshotScene): Buffer {
+  const raster = new Raster(scene.width, scene.height, parseColor(scene.background));
+  for (const polygon of scene.polygons) {
+    raster.fillPolygon(polygon.points, parseColor(polygon.fill));
+    if (polygon.stroke) {
+      raster.strokePolygon(polygon.points, parseColor(polygon.stroke), 1);
+    }
+  }
+  for (const text of scene.texts) {
+    raster.drawText(text);
+  }
+  return encodePng(scene.width, scene.height, raster.downsample());
+}
+
+class Raster {
+  private readonly width: number;
+  private readonly height: number;
+  private readonly pixels: Uint8Array;
+
+  constructor(private readonly outputWidth: number, private readonly outputHeight: number, background: Color) {
+    this.width = outputWidth * SUPERSAMPLE;
+    this.height = outputHeight * SUPERSAMPLE;
+    this.pixels = new Uint8Array(this.width * this.height * 3);
+    for (let offset = 0; offset < this.pixels.length; offset += 3) {
+      this.pixels.set(background, offset);
+    }
+  }
+
+  /**
+   * Even-odd scanline fill, sampling pixel centers
+   */
+  fillPolygon(points: ScenePoint[], color: Color): void {
+    if (points.length < 3) return;
+    const scaled = points.map(([x, y]): ScenePoint => [x * SUPERSAMPLE, y * SUPERSAMPLE]);
+    const ys = scaled.map(point => point[1]);
+    const top = Math.max(0, Math.floor(Math.min(...ys)));
+    const bottom = Math.min(this.height - 1, Math.ceil(Math.max(...ys)));
+
+    for (let row = top; row <= bottom; row++) {
+      const y = row + 0.5;
+      const crossings: number[] = [];
+      for (let index = 0; index < scaled.length; index++) {
+        const [x1, y1] = scaled[index]!;
+        const [x2, y2] = scaled[(index + 1) % scaled.length]!;
+        if ((y1 <= y && y2 > y) || (y2 <= y && y1 > y)) {
+          crossings.push(x1 + ((y - y1) / (y2 - y1)) * (x2 - x1));
+        }
+      }
+      crossings.sort((a, b) => a - b);
+      for (let index = 0; index + 1 < crossings.length; index += 2) {
+        const start = Math.max(0, Math.ceil(crossings[index]! - 0.5));
+        const end = Math.min(this.width - 1, Math.floor(crossings[index + 1]! - 0.5));
+        for (let column = start; column <= end; column++) {
+          this.pixels.set(color, (row * this.width + column) * 3);
+        }
+      }
+    }
+  }
+
+  /**
+   * Outline as one thin quad per edge
+   */
+  strokePolygon(points: ScenePoint[], color: Color, lineWidth: number): void {
+    const half = lineWidth / 2;
+    for (let index = 0; index < points.length; index++) {
+      const [x1, y1] = points[index]!;
+      const [x2, y2] = points[(index + 1) % points.length]!;
+      const length = Math.hypot(x2 - x1, y2 - y1);
+      if (length === 0) continue;
+      const nx = (-(y2 - y1) / length) * half;
+      const ny = ((x2 - x1) / length) * half;
+      this.fillPolygon([[x1 + nx, y1 + ny], [x2 + nx, y2 + ny], [x2 - nx, y2 - ny], [x1 - nx, y1 - ny]], color);
+    }
+  }
+
+  /**
+   * Text on its baseline, in the bitmap font scaled to the requested size
+   */
+  drawText(text: SceneText): void {
+    const scale = text.size / 10;
+    const characters = Array.from(text.text.toUpperCase()).map(character =>
+      GLYPHS[character] ? character : GLYPH_FALLBACKS[character] ?? '?');
+    const advance = 6 * scale;
+    const textWidth = characters.length * advance - scale;
+    const left = text.anchor === 'middle' ? text.x - textWidth / 2 : text.anchor === 'end' ? text.x - textWidth : text.x;
+    const top = text.y - 7 * scale;
+    const color = parseColor(text.color);
+    const weight = text.bold ? scale * 1.5 : scale;
+
+    characters.forEach((character, position) => {
+      const rows = GLYPHS[character]!;
+      rows.forEach((bits, row) => {
+        for (let column = 0; column < 5; column++) {
+          if (!(bits & (1 << (4 - column)))) continue;
+          const x = left + position * advance + column * scale;
+          const y = top + row * scale;
+          this.fillPolygon([[x, y], [x + weight, y], [x + weight, y + scale], [x, y + scale]], color);
+        }
+      });
+    });
+  }
+
+  /**
+   * Average each SUPERSAMPLE² block into one output pixel
+   */
+  downsample(): Uint8Array {
+    const output = new Uint8Array(this.outputWidth * this.outputHeight * 3);
+    const samples = SUPERSAMPLE * SUPERSAMPLE;
+    for (let y = 0; y < this.outputHeight; y++) {
+      for (let x = 0; x < this.outputWidth; x++) {
+        for (let channel = 0; channel < 3; channel++) {
+          let sum = 0;
+          for (let dy = 0; dy < SUPERSAMPLE; dy++) {
+            for (let dx = 0; dx < SUPERSAMPLE; dx++) {
+              sum += this.pixels[((y * SUPERSAMPLE + dy) * this.width + x * SUPERSAMPLE + dx) * 3 + channel]!;
+            }
+          }
+          output[(y * this.outputWidth + x) * 3 + channel] = Math.round(sum / samples);
+        }
+      }
+    }
+    return output;
+  }
+}
+
+/**
+ * 8-bit RGB PNG from packed pixel data
+ */
+export function encodePng(width: number, height: number, rgb: Uint8Array): Buffer {
+  // Loaded lazily so browser bundles of this package do not pull in zlib
+  const zlib: typeof import('zlib') = require('zlib');
+
+  const rowLength = width * 3;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // Filter type 0 (none) per row
+    raw[y * (rowLength + 1)] = 0;
+    Buffer.from(rgb.buffer, rgb.byteOffset + y * rowLength, rowLength).copy(raw, y * (rowLength + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 2;  // color type: RGB
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // no interlace
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function chunk(type: string, data: Buffer): Buffer {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body), 0);
+  return Buffer.concat([length, body, crc]);
+}
+
+let crcTable: Uint32Array | null = null;
+
+function crc32(data: Buffer): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = crcTable[(crc ^ byte) & 0xff]! ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * #rgb or #rrggbb; anything else is black
+ */
+function parseColor(color: string): Color {
+  const hex = color.startsWith('#') ? color.slice(1) : color;
+  const full = hex.length === 3 ? Array.from(hex).map(digit => digit + digit).join('') : hex;
+  if (!/^[0-9a-f]{6}$/i.test(full)) return [0, 0, 0];
+  const value = parseInt(full, 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
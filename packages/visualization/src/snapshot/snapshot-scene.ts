@@ -0,0 +1,456 @@
+/**
+ * Snapshot Scene
+ *
+ * Projects a UnifiedAnalysisResult onto a flat list of shapes and texts:
+ * the city (buildings on the CityLayout treemap, seen through a camera) or
+ * the treemap itself from above, plus title and legend. The SVG and PNG
+ * writers only draw what is here, so both outputs match, and nothing
+ * depends on time or randomness: the same result gives the same image.
+ */
+
+import { IssueSeverity, UnifiedAnalysisResult, isSuppressed } from '@topolop/shared-types';
+
+import { CityLayout, CityLayoutEngine, CityLayoutOptions, LayoutRect } from '../layout/city-layout';
+
+export type SnapshotView = 'city' | 'treemap';
+
+/**
+ * `isometric` is orthographic at a fixed 45° azimuth and 35.26° elevation;
+ * the other projections use the camera angles given
+ */
+export type SnapshotProjection = 'isometric' | 'orthographic' | 'perspective';
+
+export interface SnapshotCamera {
+  projection?: SnapshotProjection;
+  /** Degrees around the vertical axis (default 45) */
+  azimuth?: number;
+  /** Degrees above the ground (default 35.26; 90 looks straight down) */
+  elevation?: number;
+  /** Magnification over the fitted view (default 1) */
+  zoom?: number;
+  /** Perspective only: camera distance in city radii (default 2.5) */
+  distance?: number;
+}
+
+export type SnapshotColorKey = IssueSeverity | 'none';
+
+export interface CitySnapshotOptions {
+  view?: SnapshotView;
+  /** Image size in pixels (default 1200×800) */
+  width?: number;
+  height?: number;
+  camera?: SnapshotCamera;
+  /** Draw the legend panel (default true) */
+  legend?: boolean;
+  title?: string;
+  background?: string;
+  /** Building colors by highest active severity; `none` for files without active issues */
+  colors?: Partial<Record<SnapshotColorKey, string>>;
+  layout?: CityLayoutOptions;
+  /** Keeps buildings where an earlier snapshot had them */
+  previousLayout?: CityLayout;
+}
+
+export type ScenePoint = [number, number];
+
+export interface ScenePolygon {
+  points: ScenePoint[];
+  fill: string;
+  stroke?: string;
+  /** Tooltip in SVG output */
+  title?: string;
+}
+
+export interface SceneText {
+  x: number;
+  y: number;
+  text: string;
+  size: number;
+  color: string;
+  anchor: 'start' | 'middle' | 'end';
+  bold?: boolean;
+}
+
+export interface SnapshotScene {
+  width: number;
+  height: number;
+  background: string;
+  /** In drawing order */
+  polygons: ScenePolygon[];
+  texts: SceneText[];
+  layout: CityLayout;
+}
+
+export const DEFAULT_SNAPSHOT_COLORS: Record<SnapshotColorKey, string> = {
+  [IssueSeverity.CRITICAL]: '#dc3545',
+  [IssueSeverity.HIGH]: '#fd7e14',
+  [IssueSeverity.MEDIUM]: '#ffc107',
+  [IssueSeverity.LOW]: '#28a745',
+  [IssueSeverity.INFO]: '#17a2b8',
+  none: '#adb5bd'
+};
+
+const SEVERITIES_DESCENDING: IssueSeverity[] = [
+  IssueSeverity.CRITICAL,
+  IssueSeverity.HIGH,
+  IssueSeverity.MEDIUM,
+  IssueSeverity.LOW,
+  IssueSeverity.INFO
+];
+
+const ISOMETRIC_ELEVATION = Math.atan(1 / Math.SQRT2) * 180 / Math.PI;
+const LEGEND_WIDTH = 200;
+const TITLE_HEIGHT = 36;
+const MARGIN = 16;
+const GROUND_COLORS = ['#f1f3f5', '#e9ecef', '#dee2e6'];
+const TEXT_COLOR = '#212529';
+
+interface FileSummary {
+  path: string;
+  activeIssues: number;
+  severity: SnapshotColorKey;
+}
+
+type Vector = [number, number, number];
+
+/**
+ * Builds the scene for one result
+ */
+export function buildSnapshotScene(result: UnifiedAnalysisResult, options: CitySnapshotOptions = {}): SnapshotScene {
+  const width = options.width ?? 1200;
+  const height = options.height ?? 800;
+  const view = options.view ?? 'city';
+  const colors = { ...DEFAULT_SNAPSHOT_COLORS, ...options.colors };
+  const showLegend = options.legend ?? true;
+
+  const files = summarizeFiles(result);
+  const layout = new CityLayoutEngine(options.layout).layout(files.keys(), options.previousLayout);
+
+  const viewport = {
+    x: MARGIN,
+    y: MARGIN + (options.title ? TITLE_HEIGHT : 0),
+    width: width - 2 * MARGIN - (showLegend ? LEGEND_WIDTH : 0),
+    height: height - 2 * MARGIN - (options.title ? TITLE_HEIGHT : 0)
+  };
+
+  const camera = view === 'treemap'
+    ? { projection: 'orthographic' as const, azimuth: 0, elevation: 90, zoom: options.camera?.zoom ?? 1 }
+    : options.camera ?? {};
+  const projector = new Projector(layout, camera);
+
+  const polygons: Array<{ depth: number; order: string; polygon: ScenePolygon }> = [];
+  const texts: SceneText[] = [];
+
+  // Ground: districts, outermost first
+  for (const district of layout.districts) {
+    polygons.push({
+      depth: -Infinity,
+      order: `${String(district.depth).padStart(4, '0')} ${district.path}`,
+      polygon: {
+        points: rectCorners(district.rect, 0).map(corner => projector.project(corner)),
+        fill: GROUND_COLORS[district.depth % GROUND_COLORS.length]!,
+        stroke: '#ced4da',
+        title: district.path || '/'
+      }
+    });
+  }
+
+  // Buildings: boxes on their lots, drawn far to near
+  const heightScale = layout.lotSize / 20;
+  for (const lot of layout.buildings) {
+    const file = files.get(lot.path)!;
+    const color = colors[file.severity];
+    const footprint = inset(lot.rect, 0.1);
+    const title = `${file.path}: ${file.activeIssues} active issues`;
+
+    if (view === 'treemap') {
+      polygons.push({
+        depth: 0,
+        order: lot.path,
+        polygon: { points: rectCorners(footprint, 0).map(corner => projector.project(corner)), fill: color, stroke: shade(color, 0.7), title }
+      });
+      continue;
+    }
+
+    const buildingHeight = Math.max(5, Math.min(50, file.activeIssues * 3)) * heightScale;
+    const faces = boxFaces(footprint, buildingHeight)
+      .filter(face => projector.faces(face.normal, face.center))
+      .map(face => ({
+        points: face.corners.map(corner => projector.project(corner)),
+        fill: shade(color, face.light),
+        stroke: shade(color, 0.6),
+        title
+      }));
+    const depth = projector.depth([lot.x, buildingHeight / 2, lot.z]);
+    faces.forEach(polygon => polygons.push({ depth, order: lot.path, polygon }));
+  }
+
+  polygons.sort((a, b) => a.depth - b.depth || compare(a.order, b.order));
+
+  // Fit everything into the viewport
+  const allPoints = polygons.flatMap(entry => entry.polygon.points);
+  const fit = fitTransform(allPoints, viewport, camera.zoom ?? 1);
+  const placed = polygons.map(entry => ({
+    ...entry.polygon,
+    points: entry.polygon.points.map(fit)
+  }));
+
+  if (view === 'treemap') {
+    directoryLabels(layout, projector, fit, texts);
+  }
+
+  if (options.title) {
+    texts.push({ x: MARGIN, y: MARGIN + 20, text: options.title, size: 18, color: TEXT_COLOR, anchor: 'start', bold: true });
+  }
+
+  if (showLegend) {
+    legend(width - LEGEND_WIDTH, viewport.y, view, files, colors, placed, texts);
+  }
+
+  return { width, height, background: options.background ?? '#ffffff', polygons: placed, texts, layout };
+}
+
+/**
+ * Directory names at the top left of their districts, where they fit. A
+ * directory starting at the same corner as its parent shares the parent's
+ * label (`src/api`) instead of printing over it.
+ */
+function directoryLabels(
+  layout: CityLayout,
+  projector: Projector,
+  fit: (point: ScenePoint) => ScenePoint,
+  texts: SceneText[]
+): void {
+  const labels: Array<{ base: string; path: string; text: SceneText }> = [];
+  const districts = [...layout.districts].sort((a, b) => a.depth - b.depth || compare(a.path, b.path));
+
+  for (const district of districts) {
+    if (district.depth === 0) continue;
+    const [left, top] = fit(projector.project([district.rect.x, 0, district.rect.z]));
+    const [right] = fit(projector.project([district.rect.x + district.rect.width, 0, district.rect.z]));
+    const fits = (name: string) => right - left > name.length * 7 + 8;
+
+    const shared = labels.find(label =>
+      district.path.startsWith(`${label.path}/`) && Math.abs(label.text.x - left - 4) < 12 && Math.abs(label.text.y - top - 12) < 12);
+    if (shared) {
+      const name = district.path.slice(shared.base.length ? shared.base.length + 1 : 0);
+      if (fits(name)) {
+        shared.text.text = name;
+        shared.path = district.path;
+      }
+      continue;
+    }
+
+    const name = district.path.split('/').pop()!;
+    if (!fits(name)) continue;
+    const text: SceneText = { x: left + 4, y: top + 12, text: name, size: 11, color: '#495057', anchor: 'start' };
+    texts.push(text);
+    labels.push({ base: district.path.split('/').slice(0, -1).join('/'), path: district.path, text });
+  }
+}
+
+/**
+ * Active issue count and highest active severity per file
+ */
+function summarizeFiles(result: UnifiedAnalysisResult): Map<string, FileSummary> {
+  const files = new Map<string, FileSummary>();
+  for (const path of result.fileMetrics.keys()) {
+    files.set(path, { path, activeIssues: 0, severity: 'none' });
+  }
+
+  for (const issue of result.issues) {
+    const path = issue.entity.canonicalPath;
+    const file = files.get(path) ?? { path, activeIssues: 0, severity: 'none' as SnapshotColorKey };
+    files.set(path, file);
+    if (isSuppressed(issue)) continue;
+
+    file.activeIssues++;
+    if (file.severity === 'none' || SEVERITIES_DESCENDING.indexOf(issue.severity) < SEVERITIES_DESCENDING.indexOf(file.severity)) {
+      file.severity = issue.severity;
+    }
+  }
+  return files;
+}
+
+function legend(
+  x: number,
+  y: number,
+  view: SnapshotView,
+  files: Map<string, FileSummary>,
+  colors: Record<SnapshotColorKey, string>,
+  polygons: ScenePolygon[],
+  texts: SceneText[]
+): void {
+  const left = x + 8;
+  let line = y + 8;
+
+  polygons.push({
+    points: [[x, y], [x + LEGEND_WIDTH - MARGIN, y], [x + LEGEND_WIDTH - MARGIN, y + 234], [x, y + 234]],
+    fill: '#f8f9fa',
+    stroke: '#dee2e6'
+  });
+
+  texts.push({ x: left, y: line + 14, text: 'Highest severity', size: 13, color: TEXT_COLOR, anchor: 'start', bold: true });
+  line += 26;
+
+  const keys: SnapshotColorKey[] = [...SEVERITIES_DESCENDING, 'none'];
+  for (const key of keys) {
+    const count = Array.from(files.values()).filter(file => file.severity === key).length;
+    polygons.push({
+      points: [[left, line], [left + 14, line], [left + 14, line + 14], [left, line + 14]],
+      fill: colors[key],
+      stroke: shade(colors[key], 0.7)
+    });
+    texts.push({
+      x: left + 22, y: line + 11, size: 12, color: TEXT_COLOR, anchor: 'start',
+      text: `${key === 'none' ? 'no active issues' : key} (${count})`
+    });
+    line += 20;
+  }
+
+  const activeIssues = Array.from(files.values()).reduce((sum, file) => sum + file.activeIssues, 0);
+  line += 8;
+  if (view === 'city') {
+    texts.push({ x: left, y: line + 11, text: 'Height: active issues', size: 12, color: '#495057', anchor: 'start' });
+    line += 18;
+  }
+  texts.push({ x: left, y: line + 11, text: `${files.size} files`, size: 12, color: '#495057', anchor: 'start' });
+  texts.push({ x: left, y: line + 29, text: `${activeIssues} active issues`, size: 12, color: '#495057', anchor: 'start' });
+}
+
+/**
+ * World (x, height, z) to unscaled screen coordinates
+ */
+class Projector {
+  private readonly center: Vector;
+  private readonly cosAzimuth: number;
+  private readonly sinAzimuth: number;
+  private readonly cosElevation: number;
+  private readonly sinElevation: number;
+  private readonly perspective: boolean;
+  private readonly cameraDistance: number;
+
+  constructor(layout: CityLayout, camera: SnapshotCamera) {
+    const projection = camera.projection ?? 'isometric';
+    const azimuth = projection === 'isometric' ? 45 : camera.azimuth ?? 45;
+    const elevation = projection === 'isometric' ? ISOMETRIC_ELEVATION : camera.elevation ?? ISOMETRIC_ELEVATION;
+    const radians = Math.PI / 180;
+
+    this.center = [layout.bounds.x + layout.bounds.width / 2, 0, layout.bounds.z + layout.bounds.depth / 2];
+    this.cosAzimuth = Math.cos(azimuth * radians);
+    this.sinAzimuth = Math.sin(azimuth * radians);
+    this.cosElevation = Math.cos(Math.max(0, Math.min(90, elevation)) * radians);
+    this.sinElevation = Math.sin(Math.max(0, Math.min(90, elevation)) * radians);
+    this.perspective = projection === 'perspective';
+
+    const radius = Math.hypot(layout.bounds.width, layout.bounds.depth) / 2 + 50 * layout.lotSize / 20;
+    this.cameraDistance = radius * Math.max(1.2, camera.distance ?? 2.5);
+  }
+
+  /**
+   * Camera space: u to the right, v up, w towards the viewer
+   */
+  private toCamera([x, y, z]: Vector, translate: boolean = true): Vector {
+    const dx = translate ? x - this.center[0] : x;
+    const dz = translate ? z - this.center[2] : z;
+    const u = dx * this.cosAzimuth - dz * this.sinAzimuth;
+    const forward = dx * this.sinAzimuth + dz * this.cosAzimuth;
+    const v = y * this.cosElevation - forward * this.sinElevation;
+    const w = y * this.sinElevation + forward * this.cosElevation;
+    return [u, v, w];
+  }
+
+  project(point: Vector): ScenePoint {
+    const [u, v, w] = this.toCamera(point);
+    const scale = this.perspective ? this.cameraDistance / Math.max(1e-6, this.cameraDistance - w) : 1;
+    return [u * scale, -v * scale];
+  }
+
+  /**
+   * Larger is nearer the viewer
+   */
+  depth(point: Vector): number {
+    return this.toCamera(point)[2];
+  }
+
+  /**
+   * Whether a face with this outward normal is turned towards the viewer
+   */
+  faces(normal: Vector, center: Vector): boolean {
+    const [nu, nv, nw] = this.toCamera(normal, false);
+    if (!this.perspective) return nw > 1e-9;
+    const [cu, cv, cw] = this.toCamera(center);
+    return -nu * cu - nv * cv + nw * (this.cameraDistance - cw) > 1e-9;
+  }
+}
+
+interface BoxFace {
+  corners: Vector[];
+  normal: Vector;
+  center: Vector;
+  /** Brightness factor from a fixed light, independent of the camera */
+  light: number;
+}
+
+function boxFaces(rect: LayoutRect, height: number): BoxFace[] {
+  const x0 = rect.x, x1 = rect.x + rect.width, z0 = rect.z, z1 = rect.z + rect.depth;
+  const cx = (x0 + x1) / 2, cz = (z0 + z1) / 2, cy = height / 2;
+  return [
+    { corners: [[x0, height, z0], [x1, height, z0], [x1, height, z1], [x0, height, z1]], normal: [0, 1, 0], center: [cx, height, cz], light: 1 },
+    { corners: [[x0, 0, z1], [x1, 0, z1], [x1, height, z1], [x0, height, z1]], normal: [0, 0, 1], center: [cx, cy, z1], light: 0.85 },
+    { corners: [[x0, 0, z0], [x1, 0, z0], [x1, height, z0], [x0, height, z0]], normal: [0, 0, -1], center: [cx, cy, z0], light: 0.65 },
+    { corners: [[x1, 0, z0], [x1, 0, z1], [x1, height, z1], [x1, height, z0]], normal: [1, 0, 0], center: [x1, cy, cz], light: 0.75 },
+    { corners: [[x0, 0, z0], [x0, 0, z1], [x0, height, z1], [x0, height, z0]], normal: [-1, 0, 0], center: [x0, cy, cz], light: 0.7 }
+  ];
+}
+
+function rectCorners(rect: LayoutRect, y: number): Vector[] {
+  return [
+    [rect.x, y, rect.z],
+    [rect.x + rect.width, y, rect.z],
+    [rect.x + rect.width, y, rect.z + rect.depth],
+    [rect.x, y, rect.z + rect.depth]
+  ];
+}
+
+function inset(rect: LayoutRect, fraction: number): LayoutRect {
+  const dx = rect.width * fraction, dz = rect.depth * fraction;
+  return { x: rect.x + dx, z: rect.z + dz, width: rect.width - 2 * dx, depth: rect.depth - 2 * dz };
+}
+
+/**
+ * Scale and translate projected points into the viewport, centered
+ */
+function fitTransform(
+  points: ScenePoint[],
+  viewport: { x: number; y: number; width: number; height: number },
+  zoom: number
+): (point: ScenePoint) => ScenePoint {
+  if (points.length === 0) return point => point;
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const [x, y] of points) {
+    minX = Math.min(minX, x);
+    maxX = Math.max(maxX, x);
+    minY = Math.min(minY, y);
+    maxY = Math.max(maxY, y);
+  }
+  const scale = Math.min(viewport.width / Math.max(maxX - minX, 1e-6), viewport.height / Math.max(maxY - minY, 1e-6)) * zoom;
+  const centerX = (minX + maxX) / 2, centerY = (minY + maxY) / 2;
+  const targetX = viewport.x + viewport.width / 2, targetY = viewport.y + viewport.height / 2;
+  return ([x, y]) => [targetX + (x - centerX) * scale, targetY + (y - centerY) * scale];
+}
+
+/**
+ * Darken a #rrggbb color by a brightness factor
+ */
+export function shade(color: string, factor: number): string {
+  const match = /^#([0-9a-f]{6})$/i.exec(color);
+  if (!match) return color;
+  const value = parseInt(match[1]!, 16);
+  const channel = (shift: number) => Math.round(((value >> shift) & 0xff) * factor).toString(16).padStart(2, '0');
+  return `#${channel(16)}${channel(8)}${channel(0)}`;
+}
+
+function compare(a: string, b: string): number {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
@@ -0,0 +1,364 @@
+/**
+ * City Time-Lapse
+ *
+ * Replays a codebase's history as a sequence of city frames. Each frame
+ * holds the full state of every building at one point in time (a commit or
+ * the end of a week), plus the changes from the previous frame: buildings
+ * appear, grow, shrink, change color with their issue count and are
+ * demolished.
+ *
+ * Frames are plain JSON, so a time-lapse can be generated offline (see
+ * `topolop timelapse`) and played back later with TimelapsePlayer.
+ */
+
+import { CityLayout, CityLayoutEngine, CityLayoutOptions } from '../layout/city-layout';
+
+export const CITY_TIMELAPSE_VERSION = 1;
+
+/**
+ * State of one file at one point in time, as reconstructed from history
+ */
+export interface TimelapseFileState {
+  path: string;
+  linesOfCode: number;
+  complexity: number;
+  issueCount: number;
+}
+
+/**
+ * All files present at one point in time
+ */
+export interface TimelapseSnapshot {
+  /** ISO date of the snapshot */
+  date: string;
+  /** Last commit included, when known */
+  commit?: string;
+  /** Short caption, e.g. the commit subject or `2024-W07` */
+  label: string;
+  files: TimelapseFileState[];
+}
+
+export interface TimelapseBuilding {
+  path: string;
+  x: number;
+  z: number;
+  width: number;
+  depth: number;
+  height: number;
+  color: string;
+  linesOfCode: number;
+  complexity: number;
+  issueCount: number;
+}
+
+export type TimelapseChangeKind = 'appear' | 'grow' | 'shrink' | 'recolor' | 'demolish';
+
+/**
+ * What happened to one building between two frames; demolished buildings
+ * go to height 0, new ones start from it
+ */
+export interface TimelapseChange {
+  path: string;
+  kind: TimelapseChangeKind;
+  fromHeight: number;
+  toHeight: number;
+  fromColor: string | null;
+  toColor: string | null;
+}
+
+export interface TimelapseFrame {
+  index: number;
+  date: string;
+  commit?: string;
+  label: string;
+  /** Every building standing in this frame, sorted by path */
+  buildings: TimelapseBuilding[];
+  /** Changes from the previous frame (everything appears in frame 0) */
+  changes: TimelapseChange[];
+}
+
+export interface CityTimelapse {
+  version: number;
+  generatedAt: string;
+  /** How frames were taken */
+  step: 'commit' | 'week';
+  /** Layout over every path that ever existed, so buildings never move */
+  layout: CityLayout;
+  frames: TimelapseFrame[];
+}
+
+export interface CityTimelapseOptions {
+  layout?: CityLayoutOptions;
+  minHeight?: number;
+  maxHeight?: number;
+}
+
+/**
+ * Building color for an issue count: green when clean through red
+ */
+export const ISSUE_COUNT_COLORS: ReadonlyArray<{ minIssues: number; color: string }> = [
+  { minIssues: 6, color: '#dc3545' },
+  { minIssues: 3, color: '#fd7e14' },
+  { minIssues: 1, color: '#ffc107' },
+  { minIssues: 0, color: '#28a745' }
+];
+
+export function colorForIssueCount(issueCount: number): string {
+  return ISSUE_COUNT_COLORS.find(entry => issueCount >= entry.minIssues)!.color;
+}
+
+/**
+ * Turns history snapshots into positioned, colored frames
+ */
+export class CityTimelapseBuilder {
+  private readonly layoutEngine: CityLayoutEngine;
+  private readonly minHeight: number;
+  private readonly maxHeight: number;
+
+  constructor(options: CityTimelapseOptions = {}) {
+    this.layoutEngine = new CityLayoutEngine(options.layout);
+    this.minHeight = options.minHeight ?? 5;
+    this.maxHeight = options.maxHeight ?? 200;
+  }
+
+  /**
+   * Time-lapse over snapshots in chronological order
+   */
+  build(snapshots: TimelapseSnapshot[], step: CityTimelapse['step']): CityTimelapse {
+    const layout = this.layoutEngine.layout(snapshots.flatMap(snapshot => snapshot.files.map(file => file.path)));
+    const lots = new Map(layout.buildings.map(lot => [lot.path, lot]));
+
+    const frames: TimelapseFrame[] = [];
+    let previous: TimelapseBuilding[] = [];
+
+    snapshots.forEach((snapshot, index) => {
+      const buildings = snapshot.files
+        .map(file => {
+          const lot = lots.get(file.path)!;
+          return {
+            path: file.path,
+            x: lot.x,
+            z: lot.z,
+            width: lot.rect.width * 0.8,
+            depth: lot.rect.depth * 0.8,
+            height: this.heightFor(file.linesOfCode),
+            color: colorForIssueCount(file.issueCount),
+            linesOfCode: file.linesOfCode,
+            complexity: file.complexity,
+            issueCount: file.issueCount
+          };
+        })
+        .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+      frames.push({
+        index,
+        date: snapshot.date,
+        ...(snapshot.commit ? { commit: snapshot.commit } : {}),
+        label: snapshot.label,
+        buildings,
+        changes: diffBuildings(previous, buildings)
+      });
+      previous = buildings;
+    });
+
+    return {
+      version: CITY_TIMELAPSE_VERSION,
+      generatedAt: new Date().toISOString(),
+      step,
+      layout,
+      frames
+    };
+  }
+
+  /**
+   * Logarithmic in lines of code, like CityRenderer
+   */
+  private heightFor(linesOfCode: number): number {
+    return Math.max(this.minHeight, Math.min(this.maxHeight, Math.log(Math.max(0, linesOfCode) + 1) * 15));
+  }
+}
+
+/**
+ * Changes that turn frame `from` into frame `to`; used when seeking, where
+ * the frames are not adjacent
+ */
+export function diffFrames(from: TimelapseFrame | null, to: TimelapseFrame): TimelapseChange[] {
+  return diffBuildings(from?.buildings ?? [], to.buildings);
+}
+
+function diffBuildings(before: TimelapseBuilding[], after: TimelapseBuilding[]): TimelapseChange[] {
+  const previous = new Map(before.map(building => [building.path, building]));
+  const changes: TimelapseChange[] = [];
+
+  for (const building of after) {
+    const old = previous.get(building.path);
+    previous.delete(building.path);
+
+    if (!old) {
+      changes.push(change(building.path, 'appear', 0, building.height, null, building.color));
+    } else if (building.height !== old.height) {
+      changes.push(change(building.path, building.height > old.height ? 'grow' : 'shrink',
+        old.height, building.height, old.color, building.color));
+    } else if (building.color !== old.color) {
+      changes.push(change(building.path, 'recolor', old.height, building.height, old.color, building.color));
+    }
+  }
+  for (const old of previous.values()) {
+    changes.push(change(old.path, 'demolish', old.height, 0, old.color, null));
+  }
+
+  return changes.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+function change(
+  path: string,
+  kind: TimelapseChangeKind,
+  fromHeight: number,
+  toHeight: number,
+  fromColor: string | null,
+  toColor: string | null
+): TimelapseChange {
+  return { path, kind, fromHeight, toHeight, fromColor, toColor };
+}
+
+export type TimelapseListener = (frame: TimelapseFrame, changes: TimelapseChange[]) => void;
+
+export interface TimelapsePlayerOptions {
+  /** Milliseconds per frame at speed 1 (default 1000) */
+  frameDuration?: number;
+  /** Start again from the first frame after the last (default false) */
+  loop?: boolean;
+  /** Timer functions; default setTimeout/clearTimeout */
+  schedule?: (callback: () => void, delay: number) => unknown;
+  cancel?: (handle: unknown) => void;
+}
+
+/**
+ * Playback speeds offered by the controls
+ */
+export const TIMELAPSE_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+/**
+ * Steps through a time-lapse: play/pause, speed and seeking. Listeners get
+ * each shown frame with the changes from the frame shown before it.
+ */
+export class TimelapsePlayer {
+  private index = -1;
+  private speed = 1;
+  private timer: unknown = null;
+  private listeners: TimelapseListener[] = [];
+  private readonly frameDuration: number;
+  private readonly loop: boolean;
+  private readonly schedule: (callback: () => void, delay: number) => unknown;
+  private readonly cancel: (handle: unknown) => void;
+
+  constructor(readonly timelapse: CityTimelapse, options: TimelapsePlayerOptions = {}) {
+    this.frameDuration = options.frameDuration ?? 1000;
+    this.loop = options.loop ?? false;
+    this.schedule = options.schedule ?? ((callback, delay) => setTimeout(callback, delay));
+    this.cancel = options.cancel ?? (handle => clearTimeout(handle as ReturnType<typeof setTimeout>));
+  }
+
+  get frameCount(): number {
+    return this.timelapse.frames.length;
+  }
+
+  /** Index of the frame shown, -1 before the first */
+  get currentIndex(): number {
+    return this.index;
+  }
+
+  get currentFrame(): TimelapseFrame | null {
+    return this.timelapse.frames[this.index] ?? null;
+  }
+
+  get playing(): boolean {
+    return this.timer !== null;
+  }
+
+  get playbackSpeed(): number {
+    return this.speed;
+  }
+
+  /**
+   * Listen for shown frames; returns a function that unsubscribes
+   */
+  onFrame(listener: TimelapseListener): () => void {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(entry => entry !== listener);
+    };
+  }
+
+  play(): void {
+    if (this.playing || this.frameCount === 0) return;
+    const restart = this.index < 0 || this.index >= this.frameCount - 1;
+    this.scheduleNext();
+    if (restart) {
+      // Start, or replay once the end was reached
+      this.seek(0);
+    }
+  }
+
+  pause(): void {
+    if (this.timer !== null) {
+      this.cancel(this.timer);
+      this.timer = null;
+    }
+  }
+
+  toggle(): void {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Playback speed multiplier, clamped to the TIMELAPSE_SPEEDS range
+   */
+  setSpeed(speed: number): void {
+    this.speed = Math.max(TIMELAPSE_SPEEDS[0]!, Math.min(TIMELAPSE_SPEEDS[TIMELAPSE_SPEEDS.length - 1]!, speed));
+    if (this.playing) {
+      this.pause();
+      this.scheduleNext();
+    }
+  }
+
+  /**
+   * Show a frame; out-of-range indexes are clamped
+   */
+  seek(index: number): void {
+    if (this.frameCount === 0) return;
+    const target = Math.max(0, Math.min(this.frameCount - 1, Math.round(index)));
+    if (target === this.index) return;
+
+    const frame = this.timelapse.frames[target]!;
+    const changes = target === this.index + 1 ? frame.changes : diffFrames(this.currentFrame, frame);
+    this.index = target;
+    for (const listener of this.listeners) {
+      listener(frame, changes);
+    }
+  }
+
+  step(delta: number = 1): void {
+    this.seek(this.index + delta);
+  }
+
+  dispose(): void {
+    this.pause();
+    this.listeners = [];
+  }
+
+  private scheduleNext(): void {
+    this.timer = this.schedule(() => {
+      const next = this.index < this.frameCount - 1 ? this.index + 1 : 0;
+      const more = this.frameCount > 1 && (this.loop || next < this.frameCount - 1);
+      // Still playing while listeners see the frame, unless it is the last
+      if (!more) this.timer = null;
+      this.seek(next);
+      if (more && this.timer !== null) this.scheduleNext();
+    }, this.frameDuration / this.speed);
+  }
+}
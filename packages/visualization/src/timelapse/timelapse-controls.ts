@@ -0,0 +1,78 @@
+/**
+ * Time-Lapse Controls
+ *
+ * Timeline scrubber, play/pause button and speed selector for a
+ * TimelapsePlayer, rendered into a container element.
+ */
+
+import { TIMELAPSE_SPEEDS, TimelapsePlayer } from './city-timelapse';
+
+export class TimelapseControls {
+  private readonly root: HTMLElement;
+  private readonly playButton: HTMLButtonElement;
+  private readonly scrubber: HTMLInputElement;
+  private readonly speedSelect: HTMLSelectElement;
+  private readonly caption: HTMLElement;
+  private readonly unsubscribe: () => void;
+
+  constructor(container: HTMLElement, private readonly player: TimelapsePlayer) {
+    const document = container.ownerDocument;
+
+    this.root = document.createElement('div');
+    this.root.className = 'topolop-timelapse-controls';
+    this.root.style.cssText = 'display:flex;align-items:center;gap:8px;padding:8px;font:12px sans-serif;';
+
+    this.playButton = document.createElement('button');
+    this.playButton.type = 'button';
+    this.playButton.addEventListener('click', () => {
+      this.player.toggle();
+      this.refresh();
+    });
+
+    this.scrubber = document.createElement('input');
+    this.scrubber.type = 'range';
+    this.scrubber.min = '0';
+    this.scrubber.max = String(Math.max(0, player.frameCount - 1));
+    this.scrubber.step = '1';
+    this.scrubber.style.flex = '1';
+    this.scrubber.setAttribute('aria-label', 'Timeline');
+    this.scrubber.addEventListener('input', () => this.player.seek(Number(this.scrubber.value)));
+
+    this.speedSelect = document.createElement('select');
+    this.speedSelect.setAttribute('aria-label', 'Playback speed');
+    for (const speed of TIMELAPSE_SPEEDS) {
+      const option = document.createElement('option');
+      option.value = String(speed);
+      option.textContent = `${speed}×`;
+      this.speedSelect.appendChild(option);
+    }
+    this.speedSelect.addEventListener('change', () => this.player.setSpeed(Number(this.speedSelect.value)));
+
+    this.caption = document.createElement('span');
+    this.caption.style.minWidth = '16em';
+
+    this.root.append(this.playButton, this.scrubber, this.speedSelect, this.caption);
+    container.appendChild(this.root);
+
+    this.unsubscribe = player.onFrame(() => this.refresh());
+    this.refresh();
+  }
+
+  /**
+   * Sync the controls with the player's state
+   */
+  refresh(): void {
+    const frame = this.player.currentFrame;
+    this.playButton.textContent = this.player.playing ? '⏸ Pause' : '▶ Play';
+    this.scrubber.value = String(Math.max(0, this.player.currentIndex));
+    this.speedSelect.value = String(this.player.playbackSpeed);
+    this.caption.textContent = frame
+      ? `${frame.index + 1}/${this.player.frameCount} · ${frame.date.slice(0, 10)} · ${frame.label}`
+      : `${this.player.frameCount} frames`;
+  }
+
+  dispose(): void {
+    this.unsubscribe();
+    this.root.remove();
+  }
+}
@@ -14,10 +14,25 @@ import {
   UnifiedAnalysisResult
 } from '@topolop/shared-types';
 
+import { CityLayout, CityLayoutEngine } from '../../layout/city-layout';
+import { CityColorMode, colorForBusFactor, colorForOwnership } from '../../bridge/city-color-modes';
+import {
+  CityTimelapse,
+  TimelapseChange,
+  TimelapseFrame,
+  TimelapsePlayer,
+  TimelapsePlayerOptions
+} from '../../timelapse/city-timelapse';
+import { TimelapseControls } from '../../timelapse/timelapse-controls';
+
 interface City3DConfig extends VisualizationConfig {
   enablePhysics?: boolean;
   cameraMode?: 'orbit' | 'fly' | 'walk';
   qualityPreset?: 'low' | 'medium' | 'high' | 'ultra';
+  /** Building colors: risk score (`tools`, the default), primary owner or bus factor */
+  colorMode?: CityColorMode;
+  /** Layout of an earlier run (see getLayout()), so buildings stay where they were */
+  previousLayout?: CityLayout;
 }
 
 export class City3DVisualizationStrategy implements VisualizationStrategy {
@@ -29,6 +44,9 @@ export class City3DVisualizationStrategy implements VisualizationStrategy {
   private config: City3DConfig = {};
   private container: HTMLElement | null = null;
   private cityRenderer: any = null; // Will be dynamically imported
+  private timelapsePlayer: TimelapsePlayer | null = null;
+  private timelapseControls: TimelapseControls | null = null;
+  private layout: CityLayout | undefined;
 
   async initialize(container: HTMLElement | string, config?: City3DConfig): Promise<void> {
     this.config = {
@@ -37,6 +55,7 @@ export class City3DVisualizationStrategy implements VisualizationStrategy {
       qualityPreset: 'medium',
       ...config
     };
+    this.layout = this.config.previousLayout;
 
     if (typeof container === 'string') {
       this.container = document.getElementById(container);
@@ -85,7 +104,39 @@ export class City3DVisualizationStrategy implements VisualizationStrategy {
     await this.cityRenderer.update(cityData);
   }
 
+  /**
+   * Layout of the last render or update; save it with the results and pass
+   * it back as `previousLayout` to keep the city stable across runs
+   */
+  getLayout(): CityLayout | null {
+    return this.layout ?? null;
+  }
+
+  /**
+   * Replay a time-lapse with timeline controls below the city; each frame
+   * is passed to the renderer with its changes as `transitions`, for
+   * CityAnimations.initializeBuildingTransitions()
+   */
+  async renderTimelapse(timelapse: CityTimelapse, options: TimelapsePlayerOptions = {}): Promise<TimelapsePlayer> {
+    if (!this.cityRenderer || !this.container) {
+      throw new Error('3D City renderer not initialized');
+    }
+
+    this.disposeTimelapse();
+    const player = new TimelapsePlayer(timelapse, options);
+    player.onFrame((frame, changes) => {
+      this.cityRenderer.update(this.transformTimelapseFrame(frame, changes));
+    });
+    this.timelapsePlayer = player;
+    this.timelapseControls = new TimelapseControls(this.container, player);
+
+    player.seek(0);
+    return player;
+  }
+
   async dispose(): Promise<void> {
+    this.disposeTimelapse();
+
     if (this.cityRenderer) {
       await this.cityRenderer.dispose();
       this.cityRenderer = null;
@@ -158,6 +209,42 @@ export class City3DVisualizationStrategy implements VisualizationStrategy {
     }
   }
 
+  private disposeTimelapse(): void {
+    this.timelapseControls?.dispose();
+    this.timelapsePlayer?.dispose();
+    this.timelapseControls = null;
+    this.timelapsePlayer = null;
+  }
+
+  private transformTimelapseFrame(frame: TimelapseFrame, changes: TimelapseChange[]) {
+    return {
+      buildings: frame.buildings.map(building => ({
+        id: `building-${building.path.replace(/[^a-zA-Z0-9]/g, '-')}`,
+        name: building.path.split('/').pop() || building.path,
+        filePath: building.path,
+        x: building.x,
+        y: 0,
+        z: building.z,
+        height: building.height,
+        width: building.width,
+        depth: building.depth,
+        color: building.color,
+        issueCount: building.issueCount
+      })),
+      roads: [],
+      districts: [],
+      transitions: changes,
+      metadata: {
+        frame: frame.index,
+        date: frame.date,
+        commit: frame.commit,
+        label: frame.label,
+        totalFiles: frame.buildings.length,
+        totalIssues: frame.buildings.reduce((sum, building) => sum + building.issueCount, 0)
+      }
+    };
+  }
+
   private transformToCity3DFormat(data: UnifiedAnalysisResult) {
     // Transform unified analysis result to the format expected by the 3D city renderer
     return {
@@ -175,6 +262,9 @@ export class City3DVisualizationStrategy implements VisualizationStrategy {
 
   private createBuildingsFromFiles(data: UnifiedAnalysisResult) {
     const buildings: any[] = [];
+    // Each render keeps surviving files on the lots of the one before
+    this.layout = new CityLayoutEngine().layout(data.fileMetrics.keys(), this.layout);
+    const lots = new Map(this.layout.buildings.map(lot => [lot.path, lot]));
 
     // Convert file metrics to buildings
     data.fileMetrics.forEach((metrics, filePath) => {
@@ -183,23 +273,27 @@ export class City3DVisualizationStrategy implements VisualizationStrategy {
         name: filePath.split('/').pop() || filePath,
         filePath: filePath,
 
-        // Position (would need proper layout algorithm)
-        x: Math.random() * 100,
+        // Lot in the directory treemap
+        x: lots.get(filePath)!.x,
         y: 0,
-        z: Math.random() * 100,
+        z: lots.get(filePath)!.z,
 
         // Size based on issues
         height: Math.max(5, Math.min(50, metrics.issueCount * 3)),
         width: 10,
         depth: 10,
 
-        // Color based on severity
-        color: this.getColorForRiskScore(metrics.hotspotScore),
+        // Color based on severity, or ownership
+        color: this.config.colorMode === 'ownership' ? colorForOwnership(metrics.ownership)
+          : this.config.colorMode === 'bus-factor' ? colorForBusFactor(metrics.ownership)
+          : this.getColorForRiskScore(metrics.hotspotScore),
 
         // Metadata
         issueCount: metrics.issueCount,
         riskScore: metrics.hotspotScore,
-        toolCoverage: metrics.toolCoverage
+        toolCoverage: metrics.toolCoverage,
+        owner: metrics.ownership?.owners[0]?.author ?? null,
+        busFactor: metrics.ownership?.busFactor ?? null
       };
 
       buildings.push(building);
@@ -210,12 +304,24 @@ export class City3DVisualizationStrategy implements VisualizationStrategy {
 
   private createRoadsFromCorrelations(data: UnifiedAnalysisResult) {
     // Create connections between correlated files
-    return data.correlationGroups.map((group, index) => ({
+    const correlationRoads = data.correlationGroups.map((group, index) => ({
       id: `road-${index}`,
       type: 'correlation',
       strength: group.riskScore,
       files: group.issues.map(issue => issue.entity.canonicalPath)
     }));
+
+    // And between files that change together, where both are buildings
+    const couplingRoads = (data.logicalCoupling?.pairs ?? [])
+      .filter(pair => data.fileMetrics.has(pair.fileA) && data.fileMetrics.has(pair.fileB))
+      .map((pair, index) => ({
+        id: `road-coupling-${index}`,
+        type: pair.hidden ? 'hidden-coupling' : 'logical-coupling',
+        strength: pair.confidence,
+        files: [pair.fileA, pair.fileB]
+      }));
+
+    return [...correlationRoads, ...couplingRoads];
   }
 
   private createDistrictsFromAnalysis(data: UnifiedAnalysisResult) {
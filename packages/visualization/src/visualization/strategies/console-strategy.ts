@@ -13,7 +13,9 @@ import {
 import {
   UnifiedAnalysisResult,
   UnifiedIssue,
-  IssueSeverity
+  IssueSeverity,
+  AnalysisDelta,
+  isSuppressed
 } from '@topolop/shared-types';
 
 export class ConsoleVisualizationStrategy implements VisualizationStrategy {
@@ -35,6 +37,10 @@ export class ConsoleVisualizationStrategy implements VisualizationStrategy {
   }
 
   async render(data: UnifiedAnalysisResult): Promise<void> {
+    // Suppressed issues are counted separately and left out of the listings
+    const activeIssues = data.issues.filter(issue => !isSuppressed(issue));
+    const suppressedCount = data.issues.length - activeIssues.length;
+
     console.log('\n' + '='.repeat(60));
     console.log('📊 TOPOLOP ANALYSIS RESULTS');
     console.log('='.repeat(60));
@@ -42,12 +48,18 @@ export class ConsoleVisualizationStrategy implements VisualizationStrategy {
     // Summary
     console.log(`\n📈 SUMMARY:`);
     console.log(`   Total Issues: ${data.issues.length}`);
+    if (suppressedCount > 0 || data.suppressionStats) {
+      const bySource = data.suppressionStats?.bySource;
+      console.log(`   Active Issues: ${activeIssues.length}`);
+      console.log(`   Suppressed: ${suppressedCount}` +
+        (bySource ? ` (baseline: ${bySource.baseline}, rules: ${bySource.rule}, inline: ${bySource.inline})` : ''));
+    }
     console.log(`   Files Analyzed: ${data.fileMetrics.size}`);
     console.log(`   Hotspots Found: ${data.hotspots.length}`);
     console.log(`   Correlation Groups: ${data.correlationGroups.length}`);
 
     // Severity breakdown
-    const severityBreakdown = this.calculateSeverityBreakdown(data.issues);
+    const severityBreakdown = this.calculateSeverityBreakdown(activeIssues);
     console.log(`\n🚨 SEVERITY BREAKDOWN:`);
     console.log(`   Critical: ${severityBreakdown.critical}`);
     console.log(`   High:     ${severityBreakdown.high}`);
@@ -65,9 +77,9 @@ export class ConsoleVisualizationStrategy implements VisualizationStrategy {
     }
 
     // Recent issues (top 10)
-    if (data.issues.length > 0) {
+    if (activeIssues.length > 0) {
       console.log(`\n⚠️  RECENT ISSUES (Top 10):`);
-      data.issues.slice(0, 10).forEach((issue, index) => {
+      activeIssues.slice(0, 10).forEach((issue, index) => {
         const severity = this.getSeverityIcon(issue.severity);
         console.log(`   ${index + 1}. ${severity} ${issue.title}`);
         console.log(`      File: ${issue.entity.canonicalPath}:${issue.line || 'N/A'}`);
@@ -84,6 +96,16 @@ export class ConsoleVisualizationStrategy implements VisualizationStrategy {
       });
     }
 
+    // Suppressions that no longer match anything
+    const stale = data.suppressionStats?.stale ?? [];
+    if (stale.length > 0) {
+      console.log(`\n🧹 STALE SUPPRESSIONS (${stale.length}):`);
+      stale.slice(0, 10).forEach((suppression, index) => {
+        console.log(`   ${index + 1}. [${suppression.source}] ${suppression.id}`);
+        console.log(`      ${suppression.justification}`);
+      });
+    }
+
     console.log('\n' + '='.repeat(60));
     console.log(`✅ Analysis complete - ${new Date().toISOString()}`);
     console.log('='.repeat(60) + '\n');
@@ -94,6 +116,57 @@ export class ConsoleVisualizationStrategy implements VisualizationStrategy {
     await this.render(data);
   }
 
+  async renderDiff(delta: AnalysisDelta): Promise<void> {
+    const { summary } = delta;
+    const net = summary.netIssueChange > 0 ? `+${summary.netIssueChange}` : `${summary.netIssueChange}`;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('🔀 TOPOLOP ANALYSIS DIFF');
+    console.log('='.repeat(60));
+    console.log(`   ${delta.previousCreatedAt} → ${delta.currentCreatedAt}`);
+
+    console.log(`\n📈 SUMMARY:`);
+    console.log(`   Issues: ${summary.previousIssueCount} → ${summary.currentIssueCount} (${net})`);
+    console.log(`   New: ${summary.newIssues}, Fixed: ${summary.fixedIssues}, Unchanged: ${summary.unchangedIssues}`);
+    console.log(`   Moved: ${summary.movedIssues}, Escalated: ${summary.escalatedIssues}, De-escalated: ${summary.deescalatedIssues}`);
+
+    if (delta.newIssues.length > 0) {
+      console.log(`\n🆕 NEW ISSUES (Top 10):`);
+      delta.newIssues.slice(0, 10).forEach(({ issue }, index) => {
+        console.log(`   ${index + 1}. ${this.getSeverityIcon(issue.severity)} ${issue.title}`);
+        console.log(`      File: ${issue.entity.canonicalPath}:${issue.line || 'N/A'}`);
+      });
+    }
+
+    if (delta.fixedIssues.length > 0) {
+      console.log(`\n✅ FIXED ISSUES (Top 10):`);
+      delta.fixedIssues.slice(0, 10).forEach(({ issue }, index) => {
+        console.log(`   ${index + 1}. ${issue.title}`);
+        console.log(`      File: ${issue.entity.canonicalPath}:${issue.line || 'N/A'}`);
+      });
+    }
+
+    if (delta.severityChanges.length > 0) {
+      console.log(`\n🚨 SEVERITY CHANGES:`);
+      delta.severityChanges.slice(0, 10).forEach((change, index) => {
+        const arrow = change.direction === 'escalated' ? '⬆️' : '⬇️';
+        console.log(`   ${index + 1}. ${arrow} ${change.current.title}`);
+        console.log(`      ${change.previousSeverity} → ${change.currentSeverity} (${change.current.entity.canonicalPath})`);
+      });
+    }
+
+    if (delta.hotspotChanges.length > 0) {
+      console.log(`\n🔥 HOTSPOT CHANGES:`);
+      delta.hotspotChanges.slice(0, 5).forEach((change, index) => {
+        const risk = change.riskScoreDelta >= 0 ? `+${change.riskScoreDelta.toFixed(1)}` : change.riskScoreDelta.toFixed(1);
+        console.log(`   ${index + 1}. ${change.canonicalPath} [${change.trend}]`);
+        console.log(`      Risk: ${risk}, Issues: ${change.issueCountDelta >= 0 ? '+' : ''}${change.issueCountDelta}`);
+      });
+    }
+
+    console.log('\n' + '='.repeat(60) + '\n');
+  }
+
   async dispose(): Promise<void> {
     console.log('📊 Console visualization disposed');
   }
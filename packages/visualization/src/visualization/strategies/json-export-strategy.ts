@@ -15,7 +15,8 @@ import {
 
 import {
   UnifiedAnalysisResult,
-  UnifiedIssue
+  UnifiedIssue,
+  AnalysisDelta
 } from '@topolop/shared-types';
 
 interface JsonExportConfig extends VisualizationConfig {
@@ -70,6 +71,15 @@ export class JsonExportVisualizationStrategy implements VisualizationStrategy {
     await this.render(data);
   }
 
+  async renderDiff(delta: AnalysisDelta): Promise<void> {
+    const exportData = this.transformDelta(delta);
+    const json = this.formatJson(exportData);
+
+    fs.writeFileSync(this.outputPath, json, 'utf8');
+    console.log(`✅ Analysis diff exported to: ${this.outputPath}`);
+    console.log(`📊 Summary: ${delta.summary.newIssues} new, ${delta.summary.fixedIssues} fixed, ${delta.severityChanges.length} severity changes`);
+  }
+
   async dispose(): Promise<void> {
     console.log('📄 JSON Export visualization disposed');
   }
@@ -135,6 +145,60 @@ export class JsonExportVisualizationStrategy implements VisualizationStrategy {
     return baseExport;
   }
 
+  private transformDelta(delta: AnalysisDelta) {
+    const transformIssues = (issues: UnifiedIssue[]) => this.config.format === 'minimal'
+      ? this.transformIssuesMinimal(issues)
+      : this.transformIssuesComplete(issues);
+    const withFingerprints = (entries: AnalysisDelta['newIssues']) => {
+      const issues = transformIssues(entries.map(entry => entry.issue));
+      return issues.map((issue, index) => ({ fingerprint: entries[index]!.fingerprint, ...issue }));
+    };
+
+    return {
+      metadata: this.config.includeMetadata ? {
+        generatedAt: delta.generatedAt,
+        toolVersion: 'Topolop v0.1.0',
+        analysisType: 'run-diff',
+        projectRoot: delta.projectRoot,
+        previousRun: delta.previousCreatedAt,
+        currentRun: delta.currentCreatedAt
+      } : undefined,
+
+      summary: delta.summary,
+      newIssues: withFingerprints(delta.newIssues),
+      fixedIssues: withFingerprints(delta.fixedIssues),
+
+      severityChanges: delta.severityChanges.map(change => ({
+        fingerprint: change.fingerprint,
+        file: change.current.entity.canonicalPath,
+        line: change.current.line,
+        title: change.current.title,
+        tool: change.current.toolName,
+        previousSeverity: change.previousSeverity,
+        currentSeverity: change.currentSeverity,
+        direction: change.direction
+      })),
+
+      movedIssues: delta.movedIssues.map(move => ({
+        fingerprint: move.fingerprint,
+        file: move.current.entity.canonicalPath,
+        title: move.current.title,
+        previousLine: move.previousLine,
+        currentLine: move.currentLine,
+        matchedBy: move.matchedBy
+      })),
+
+      hotspotChanges: delta.hotspotChanges.map(change => ({
+        file: change.canonicalPath,
+        trend: change.trend,
+        previousRiskScore: change.previous?.riskScore ?? null,
+        currentRiskScore: change.current?.riskScore ?? null,
+        riskScoreDelta: change.riskScoreDelta,
+        issueCountDelta: change.issueCountDelta
+      }))
+    };
+  }
+
   private transformIssuesMinimal(issues: UnifiedIssue[]) {
     return issues.map(issue => ({
       file: issue.entity.canonicalPath,
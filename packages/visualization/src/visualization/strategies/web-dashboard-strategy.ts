@@ -17,7 +17,12 @@ import {
 import {
   UnifiedAnalysisResult,
   UnifiedIssue,
-  IssueSeverity
+  IssueSeverity,
+  AnalysisDelta,
+  HotspotDelta,
+  IssueSeverityChange,
+  StaleSuppression,
+  isSuppressed
 } from '@topolop/shared-types';
 
 interface WebDashboardConfig extends VisualizationConfig {
@@ -67,7 +72,7 @@ export class WebDashboardVisualizationStrategy implements VisualizationStrategy
 
     if (this.config.generateHtml) {
       // Generate standalone HTML file
-      const fullHtml = this.generateFullHtml(dashboardHtml, data);
+      const fullHtml = this.generateFullHtml(dashboardHtml, data.issues.length);
       fs.writeFileSync(this.outputPath, fullHtml, 'utf8');
       console.log(`✅ Web Dashboard generated: ${this.outputPath}`);
     }
@@ -79,6 +84,22 @@ export class WebDashboardVisualizationStrategy implements VisualizationStrategy
     await this.render(data);
   }
 
+  async renderDiff(delta: AnalysisDelta): Promise<void> {
+    const diffHtml = this.generateDiffDashboard(delta);
+
+    if (this.container) {
+      this.container.innerHTML = diffHtml;
+    }
+
+    if (this.config.generateHtml) {
+      const fullHtml = this.generateFullHtml(diffHtml, delta.summary.currentIssueCount);
+      fs.writeFileSync(this.outputPath, fullHtml, 'utf8');
+      console.log(`✅ Web Dashboard diff generated: ${this.outputPath}`);
+    }
+
+    console.log(`📊 Diff rendered: ${delta.summary.newIssues} new, ${delta.summary.fixedIssues} fixed issues`);
+  }
+
   async dispose(): Promise<void> {
     if (this.container) {
       this.container.innerHTML = '';
@@ -91,29 +112,35 @@ export class WebDashboardVisualizationStrategy implements VisualizationStrategy
   }
 
   private generateDashboard(data: UnifiedAnalysisResult): string {
-    const severityBreakdown = this.calculateSeverityBreakdown(data.issues);
-    const toolBreakdown = this.calculateToolBreakdown(data.issues);
+    // Suppressed issues are counted separately and left out of the charts
+    const activeIssues = data.issues.filter(issue => !isSuppressed(issue));
+    const severityBreakdown = this.calculateSeverityBreakdown(activeIssues);
+    const toolBreakdown = this.calculateToolBreakdown(activeIssues);
 
     return `
       <div class="topolop-dashboard ${this.config.templateStyle}">
-        ${this.generateHeader(data)}
+        ${this.generateHeader(data, activeIssues.length)}
         ${this.generateSummaryCards(data, severityBreakdown)}
         ${this.generateSeverityChart(severityBreakdown)}
         ${this.generateToolsChart(toolBreakdown)}
         ${this.generateHotspotsTable(data.hotspots)}
-        ${this.generateIssuesTable(data.issues)}
+        ${this.generateIssuesTable(activeIssues)}
         ${this.generateCorrelationsTable(data.correlationGroups)}
+        ${this.generateSuppressionsSection(data, data.issues.length - activeIssues.length)}
       </div>
     `;
   }
 
-  private generateHeader(data: UnifiedAnalysisResult): string {
+  private generateHeader(data: UnifiedAnalysisResult, activeCount: number): string {
+    const suppressedCount = data.issues.length - activeCount;
+
     return `
       <header class="dashboard-header">
         <h1>🏗️ Topolop Analysis Dashboard</h1>
         <p class="timestamp">Generated: ${new Date().toLocaleString()}</p>
         <div class="quick-stats">
-          <span class="stat">${data.issues.length} Issues</span>
+          <span class="stat">${activeCount} Issues</span>
+          ${suppressedCount > 0 ? `<span class="stat">${suppressedCount} Suppressed</span>` : ''}
           <span class="stat">${data.fileMetrics.size} Files</span>
           <span class="stat">${data.hotspots.length} Hotspots</span>
         </div>
@@ -121,6 +148,50 @@ export class WebDashboardVisualizationStrategy implements VisualizationStrategy
     `;
   }
 
+  private generateSuppressionsSection(data: UnifiedAnalysisResult, suppressedCount: number): string {
+    const stats = data.suppressionStats;
+    if (!stats && suppressedCount === 0) {
+      return '';
+    }
+
+    const bySource = stats?.bySource ?? { baseline: 0, rule: 0, inline: 0 };
+    const stale: StaleSuppression[] = stats?.stale ?? [];
+
+    return `
+      <section class="table-section suppressions">
+        <h2>🔕 Suppressed Issues</h2>
+        <div class="tools-chart">
+          <div class="tool-item"><span class="tool-name">Total</span><span class="tool-count">${suppressedCount}</span></div>
+          <div class="tool-item"><span class="tool-name">Baseline</span><span class="tool-count">${bySource.baseline}</span></div>
+          <div class="tool-item"><span class="tool-name">Rules</span><span class="tool-count">${bySource.rule}</span></div>
+          <div class="tool-item"><span class="tool-name">Inline</span><span class="tool-count">${bySource.inline}</span></div>
+          <div class="tool-item"><span class="tool-name">Expired</span><span class="tool-count">${stats?.expired ?? 0}</span></div>
+        </div>
+        ${stale.length > 0 ? `
+        <h3>🧹 Stale Suppressions (${stale.length})</h3>
+        <table class="stale-suppressions-table">
+          <thead>
+            <tr>
+              <th>Source</th>
+              <th>Id</th>
+              <th>Justification</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${stale.slice(0, 50).map(suppression => `
+              <tr>
+                <td class="source">${suppression.source}</td>
+                <td class="file-path">${this.escapeHtml(suppression.id)}</td>
+                <td class="justification">${this.escapeHtml(suppression.justification)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ` : ''}
+      </section>
+    `;
+  }
+
   private generateSummaryCards(data: UnifiedAnalysisResult, severityBreakdown: any): string {
     return `
       <section class="summary-cards">
@@ -212,10 +283,10 @@ export class WebDashboardVisualizationStrategy implements VisualizationStrategy
     `;
   }
 
-  private generateIssuesTable(issues: UnifiedIssue[]): string {
+  private generateIssuesTable(issues: UnifiedIssue[], title: string = '⚠️ Recent Issues'): string {
     return `
       <section class="table-section">
-        <h2>⚠️ Recent Issues</h2>
+        <h2>${title}</h2>
         <table class="issues-table">
           <thead>
             <tr>
@@ -270,7 +341,111 @@ export class WebDashboardVisualizationStrategy implements VisualizationStrategy
     `;
   }
 
-  private generateFullHtml(dashboardContent: string, data: UnifiedAnalysisResult): string {
+  private generateDiffDashboard(delta: AnalysisDelta): string {
+    const { summary } = delta;
+    const net = summary.netIssueChange > 0 ? `+${summary.netIssueChange}` : `${summary.netIssueChange}`;
+
+    return `
+      <div class="topolop-dashboard ${this.config.templateStyle}">
+        <header class="dashboard-header">
+          <h1>🔀 Topolop Analysis Diff</h1>
+          <p class="timestamp">${delta.previousCreatedAt} → ${delta.currentCreatedAt}</p>
+          <div class="quick-stats">
+            <span class="stat">${summary.currentIssueCount} Issues (${net})</span>
+            <span class="stat">${summary.unchangedIssues} Unchanged</span>
+            <span class="stat">${summary.movedIssues} Moved</span>
+          </div>
+        </header>
+        <section class="summary-cards">
+          <div class="card critical">
+            <h3>🆕 New</h3>
+            <div class="number">${summary.newIssues}</div>
+          </div>
+          <div class="card low">
+            <h3>✅ Fixed</h3>
+            <div class="number">${summary.fixedIssues}</div>
+          </div>
+          <div class="card high">
+            <h3>⬆️ Escalated</h3>
+            <div class="number">${summary.escalatedIssues}</div>
+          </div>
+          <div class="card medium">
+            <h3>⬇️ De-escalated</h3>
+            <div class="number">${summary.deescalatedIssues}</div>
+          </div>
+        </section>
+        ${this.generateIssuesTable(delta.newIssues.map(entry => entry.issue), '🆕 New Issues')}
+        ${this.generateIssuesTable(delta.fixedIssues.map(entry => entry.issue), '✅ Fixed Issues')}
+        ${this.generateSeverityChangesTable(delta.severityChanges)}
+        ${this.generateHotspotChangesTable(delta.hotspotChanges)}
+      </div>
+    `;
+  }
+
+  private generateSeverityChangesTable(changes: IssueSeverityChange[]): string {
+    return `
+      <section class="table-section">
+        <h2>🚨 Severity Changes</h2>
+        <table class="severity-changes-table">
+          <thead>
+            <tr>
+              <th>Change</th>
+              <th>File</th>
+              <th>Line</th>
+              <th>Title</th>
+              <th>Tool</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${changes.slice(0, 20).map(change => `
+              <tr class="severity-${change.currentSeverity}">
+                <td class="severity">${this.getSeverityIcon(change.previousSeverity)} → ${this.getSeverityIcon(change.currentSeverity)}</td>
+                <td class="file-path">${this.truncatePath(change.current.entity.canonicalPath)}</td>
+                <td class="line-number">${change.current.line || 'N/A'}</td>
+                <td class="issue-title">${this.escapeHtml(change.current.title)}</td>
+                <td class="tool-name">${change.current.toolName}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </section>
+    `;
+  }
+
+  private generateHotspotChangesTable(changes: HotspotDelta[]): string {
+    return `
+      <section class="table-section">
+        <h2>🔥 Hotspot Changes</h2>
+        <table class="hotspot-changes-table">
+          <thead>
+            <tr>
+              <th>File</th>
+              <th>Trend</th>
+              <th>Risk Score</th>
+              <th>Risk Change</th>
+              <th>Issue Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${changes.slice(0, 10).map(change => {
+              const riskScore = change.current?.riskScore ?? change.previous?.riskScore ?? 0;
+              return `
+              <tr class="trend-${change.trend}">
+                <td class="file-path">${this.truncatePath(change.canonicalPath)}</td>
+                <td class="trend">${change.trend}</td>
+                <td class="risk-score ${this.getRiskClass(riskScore)}">${riskScore.toFixed(1)}</td>
+                <td class="risk-delta">${change.riskScoreDelta >= 0 ? '+' : ''}${change.riskScoreDelta.toFixed(1)}</td>
+                <td class="issue-count">${change.issueCountDelta >= 0 ? '+' : ''}${change.issueCountDelta}</td>
+              </tr>
+            `;
+            }).join('')}
+          </tbody>
+        </table>
+      </section>
+    `;
+  }
+
+  private generateFullHtml(dashboardContent: string, issueCount: number): string {
     return `
 <!DOCTYPE html>
 <html lang="en">
@@ -282,7 +457,7 @@ export class WebDashboardVisualizationStrategy implements VisualizationStrategy
 </head>
 <body>
     ${dashboardContent}
-    ${this.generateJavaScript(data)}
+    ${this.generateJavaScript(issueCount)}
 </body>
 </html>
     `;
@@ -296,7 +471,7 @@ export class WebDashboardVisualizationStrategy implements VisualizationStrategy
     `;
   }
 
-  private generateJavaScript(data: UnifiedAnalysisResult): string {
+  private generateJavaScript(issueCount: number): string {
     return `
 <script>
     // Basic interactivity
@@ -328,7 +503,7 @@ export class WebDashboardVisualizationStrategy implements VisualizationStrategy
             });
         });
 
-        console.log('Topolop Dashboard initialized with ${data.issues.length} issues');
+        console.log('Topolop Dashboard initialized with ${issueCount} issues');
     });
 </script>
     `;
@@ -421,8 +596,12 @@ export class WebDashboardVisualizationStrategy implements VisualizationStrategy
   }
 
   private escapeHtml(text: string): string {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    // String-based so it also works when generating HTML files under Node
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
   }
 }
\ No newline at end of file
@@ -10,7 +10,8 @@ import {
   UnifiedAnalysisResult,
   UnifiedIssue,
   DetectedHotspot,
-  CorrelationGroup
+  CorrelationGroup,
+  AnalysisDelta
 } from '@topolop/shared-types';
 
 /**
@@ -37,6 +38,11 @@ export interface VisualizationStrategy {
    */
   update(data: UnifiedAnalysisResult): Promise<void>;
 
+  /**
+   * Render the changes between two analysis runs (optional)
+   */
+  renderDiff?(delta: AnalysisDelta): Promise<void>;
+
   /**
    * Clean up resources
    */
@@ -136,6 +142,21 @@ export class VisualizationRegistry {
 
     await this.activeStrategy.update(data);
   }
+
+  /**
+   * Render a run-to-run delta using active strategy
+   */
+  async renderDiff(delta: AnalysisDelta): Promise<void> {
+    if (!this.activeStrategy) {
+      throw new Error('No active visualization strategy set');
+    }
+
+    if (!this.activeStrategy.renderDiff) {
+      throw new Error(`Visualization strategy '${this.activeStrategy.name}' does not support diffs`);
+    }
+
+    await this.activeStrategy.renderDiff(delta);
+  }
 }
 
 /**
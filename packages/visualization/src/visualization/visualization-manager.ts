@@ -11,7 +11,7 @@ import {
   VisualizationConfig
 } from './visualization-interface';
 
-import { UnifiedAnalysisResult } from '@topolop/shared-types';
+import { UnifiedAnalysisResult, AnalysisDelta } from '@topolop/shared-types';
 
 // Import available strategies
 import { ConsoleVisualizationStrategy } from './strategies/console-strategy';
@@ -158,6 +158,18 @@ export class VisualizationManager {
     }
   }
 
+  /**
+   * Render the changes between two runs using the active strategy
+   */
+  async renderDiff(delta: AnalysisDelta): Promise<void> {
+    try {
+      await this.registry.renderDiff(delta);
+    } catch (error) {
+      console.error('❌ Visualization diff render failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Render with automatic strategy selection
    */
@@ -0,0 +1,104 @@
+/**
+ * Unit tests for the city layout
+ */
+
+import { BuildingLot, CityLayout, CityLayoutEngine, LayoutRect } from '../../src/layout/city-layout';
+
+const PATHS = [
+  'README.md',
+  'package.json',
+  'src/index.ts',
+  'src/api/client.ts',
+  'src/api/server.ts',
+  'src/api/routes.ts',
+  'src/model/user.ts',
+  'src/model/order.ts',
+  'lib/util.js',
+];
+
+function overlaps(a: LayoutRect, b: LayoutRect): boolean {
+  const epsilon = 1e-9;
+  return a.x + epsilon < b.x + b.width && b.x + epsilon < a.x + a.width &&
+    a.z + epsilon < b.z + b.depth && b.z + epsilon < a.z + a.depth;
+}
+
+function inside(inner: LayoutRect, outer: LayoutRect): boolean {
+  const epsilon = 1e-9;
+  return inner.x >= outer.x - epsilon && inner.z >= outer.z - epsilon &&
+    inner.x + inner.width <= outer.x + outer.width + epsilon &&
+    inner.z + inner.depth <= outer.z + outer.depth + epsilon;
+}
+
+function lots(layout: CityLayout): Map<string, BuildingLot> {
+  return new Map(layout.buildings.map(building => [building.path, building]));
+}
+
+function expectNoOverlaps(layout: CityLayout): void {
+  const { buildings } = layout;
+  for (let i = 0; i < buildings.length; i++) {
+    expect(inside(buildings[i]!.rect, layout.bounds)).toBe(true);
+    for (let j = i + 1; j < buildings.length; j++) {
+      expect(overlaps(buildings[i]!.rect, buildings[j]!.rect)).toBe(false);
+    }
+  }
+}
+
+describe('CityLayoutEngine', () => {
+  const engine = new CityLayoutEngine();
+
+  it('should give the same layout whatever the order of the paths', () => {
+    const layout = engine.layout(PATHS);
+
+    expect(engine.layout([...PATHS].reverse())).toEqual(layout);
+    expect(layout.buildings.map(building => building.path)).toEqual([...PATHS].sort());
+    expectNoOverlaps(layout);
+  });
+
+  it('should place each lot inside its district', () => {
+    const layout = engine.layout(PATHS);
+    const districts = new Map(layout.districts.map(district => [district.path, district]));
+
+    for (const building of layout.buildings) {
+      const district = districts.get(building.district)!;
+      expect(inside(building.rect, district.block!)).toBe(true);
+      expect(inside(district.block!, district.rect)).toBe(true);
+    }
+    expect(districts.get('src/api')?.capacity).toBe(8);
+  });
+
+  it('should keep every building in place when a directory is added', () => {
+    const previous = engine.layout(PATHS);
+    const layout = engine.layout([...PATHS, 'src/auth/token.ts', 'tools/build.js'], previous);
+
+    const before = lots(previous);
+    for (const [path, lot] of lots(layout)) {
+      if (before.has(path)) expect(lot).toEqual(before.get(path));
+    }
+    expect(layout.bounds).toEqual(previous.bounds);
+    expect(layout.districts.find(district => district.path === 'src/api')?.rect)
+      .toEqual(previous.districts.find(district => district.path === 'src/api')?.rect);
+    expectNoOverlaps(layout);
+  });
+
+  it('should keep other buildings in place when files are added and removed', () => {
+    const previous = engine.layout(PATHS);
+    const paths = [...PATHS.filter(path => path !== 'src/model/order.ts'), 'src/api/auth.ts', 'src/model/cart.ts'];
+    const layout = engine.layout(paths, previous);
+
+    const before = lots(previous);
+    for (const [path, lot] of lots(layout)) {
+      if (before.has(path)) expect(lot).toEqual(before.get(path));
+    }
+    expectNoOverlaps(layout);
+  });
+
+  it('should lay a district out again when its free space runs out', () => {
+    const previous = engine.layout(PATHS);
+    const grown = [...PATHS, ...Array.from({ length: 40 }, (_, index) => `src/generated/file${index}.ts`)];
+    const layout = engine.layout(grown, previous);
+
+    expect(layout.buildings).toHaveLength(grown.length);
+    expect(layout.bounds.width).toBeGreaterThan(previous.bounds.width);
+    expectNoOverlaps(layout);
+  });
+});
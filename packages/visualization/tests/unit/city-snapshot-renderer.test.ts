@@ -0,0 +1,73 @@
+/**
+ * Unit tests for headless city snapshots
+ */
+
+import * as zlib from 'zlib';
+
+import {
+  AnalysisType,
+  IssueSeverity,
+  UnifiedAnalysisResult,
+  UnifiedEntity,
+  UnifiedIssue,
+} from '@topolop/shared-types';
+
+import { CitySnapshotRenderer } from '../../src/snapshot/city-snapshot-renderer';
+import { DEFAULT_SNAPSHOT_COLORS } from '../../src/snapshot/snapshot-scene';
+
+function issue(id: string, path: string, severity: IssueSeverity): UnifiedIssue {
+  return new UnifiedIssue({
+    id,
+    entity: new UnifiedEntity(path, path, 'eslint'),
+    severity,
+    analysisType: AnalysisType.QUALITY,
+    title: `Issue ${id}`,
+    description: 'Description',
+    ruleId: 'rule',
+    line: 1,
+    toolName: 'eslint',
+  });
+}
+
+function sampleResult(): UnifiedAnalysisResult {
+  const result = new UnifiedAnalysisResult('/project');
+  result.addIssue(issue('1', 'src/a.ts', IssueSeverity.LOW));
+  result.addIssue(issue('2', 'src/a.ts', IssueSeverity.CRITICAL));
+  result.addIssue(issue('3', 'src/<b>.ts', IssueSeverity.MEDIUM));
+  return result;
+}
+
+describe('CitySnapshotRenderer', () => {
+  const renderer = new CitySnapshotRenderer({ width: 320, height: 200, title: 'Snapshot & more' });
+
+  it('should render the same SVG for the same result', () => {
+    const svg = renderer.renderSvg(sampleResult());
+
+    expect(renderer.renderSvg(sampleResult())).toBe(svg);
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="320" height="200"/);
+    expect(svg).toContain('Snapshot &amp; more');
+    expect(svg).toContain('<title>src/&lt;b&gt;.ts: 1 active issues</title>');
+  });
+
+  it('should color each building by its most severe active issue', () => {
+    const scene = new CitySnapshotRenderer({ width: 320, height: 200, view: 'treemap' }).renderScene(sampleResult());
+    const fills = (title: string) => new Set(scene.polygons.filter(p => p.title === title).map(p => p.fill));
+
+    expect(fills('src/a.ts: 2 active issues')).toEqual(new Set([DEFAULT_SNAPSHOT_COLORS[IssueSeverity.CRITICAL]]));
+    expect(fills('src/<b>.ts: 1 active issues')).toEqual(new Set([DEFAULT_SNAPSHOT_COLORS[IssueSeverity.MEDIUM]]));
+  });
+
+  it('should encode a PNG of the requested size', () => {
+    const png = renderer.renderPng(sampleResult());
+
+    expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    expect(png.toString('ascii', 12, 16)).toBe('IHDR');
+    expect([png.readUInt32BE(16), png.readUInt32BE(20)]).toEqual([320, 200]);
+
+    const dataLength = png.readUInt32BE(33);
+    expect(png.toString('ascii', 37, 41)).toBe('IDAT');
+    // One filter byte and three bytes per pixel on each row
+    expect(zlib.inflateSync(png.subarray(41, 41 + dataLength))).toHaveLength(200 * (1 + 320 * 3));
+    expect(renderer.renderPng(sampleResult()).equals(png)).toBe(true);
+  });
+});
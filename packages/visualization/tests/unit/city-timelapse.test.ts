@@ -0,0 +1,98 @@
+/**
+ * Unit tests for time-lapse frames and playback
+ */
+
+import {
+  CityTimelapse,
+  CityTimelapseBuilder,
+  TimelapseChange,
+  TimelapseFrame,
+  TimelapsePlayer,
+  TimelapseSnapshot,
+  colorForIssueCount,
+} from '../../src/timelapse/city-timelapse';
+
+function snapshot(label: string, files: Array<[string, number, number]>): TimelapseSnapshot {
+  return {
+    date: '2026-01-01T00:00:00.000Z',
+    label,
+    files: files.map(([path, linesOfCode, issueCount]) => ({ path, linesOfCode, complexity: 1, issueCount })),
+  };
+}
+
+const SNAPSHOTS = [
+  snapshot('one', [['src/a.ts', 10, 0]]),
+  snapshot('two', [['src/a.ts', 100, 0], ['src/b.ts', 10, 0]]),
+  snapshot('three', [['src/a.ts', 100, 4]]),
+];
+
+/**
+ * A scheduler run by hand
+ */
+function manualTimer() {
+  const pending: Array<() => void> = [];
+  return {
+    schedule: (callback: () => void) => pending.push(callback),
+    cancel: () => { pending.length = 0; },
+    tick: () => pending.shift()?.(),
+    get pending() { return pending.length; },
+  };
+}
+
+describe('CityTimelapseBuilder', () => {
+  it('should keep each building on one lot and record the changes', () => {
+    const timelapse = new CityTimelapseBuilder().build(SNAPSHOTS, 'commit');
+    const [first, second, third] = timelapse.frames as [TimelapseFrame, TimelapseFrame, TimelapseFrame];
+
+    expect(first.changes.map(change => change.kind)).toEqual(['appear']);
+    expect(second.changes.map(change => [change.path, change.kind])).toEqual([['src/a.ts', 'grow'], ['src/b.ts', 'appear']]);
+    expect(third.changes).toEqual([
+      expect.objectContaining({ path: 'src/a.ts', kind: 'recolor', fromColor: '#28a745', toColor: colorForIssueCount(4) }),
+      expect.objectContaining({ path: 'src/b.ts', kind: 'demolish', toHeight: 0, toColor: null }),
+    ]);
+    expect([first, second, third].map(frame => frame.buildings[0]!.x)).toEqual(Array(3).fill(first.buildings[0]!.x));
+  });
+});
+
+describe('TimelapsePlayer', () => {
+  let timelapse: CityTimelapse;
+
+  beforeEach(() => {
+    timelapse = new CityTimelapseBuilder().build(SNAPSHOTS, 'commit');
+  });
+
+  it('should play through the frames and stop at the last', () => {
+    const timer = manualTimer();
+    const player = new TimelapsePlayer(timelapse, timer);
+    const shown: number[] = [];
+    player.onFrame(frame => shown.push(frame.index));
+
+    player.play();
+    while (timer.pending > 0) timer.tick();
+
+    expect(shown).toEqual([0, 1, 2]);
+    expect(player.playing).toBe(false);
+  });
+
+  it('should give the changes between the frames shown when seeking', () => {
+    const player = new TimelapsePlayer(timelapse, manualTimer());
+    let changes: TimelapseChange[] = [];
+    player.onFrame((_, frameChanges) => { changes = frameChanges; });
+
+    player.seek(2);
+
+    expect(changes.map(change => [change.path, change.kind])).toEqual([['src/a.ts', 'appear']]);
+    player.seek(0);
+    expect(changes.map(change => [change.path, change.kind])).toEqual([['src/a.ts', 'shrink']]);
+  });
+
+  it('should clamp the speed and the frame index', () => {
+    const player = new TimelapsePlayer(timelapse, manualTimer());
+
+    player.setSpeed(100);
+    player.seek(-5);
+
+    expect(player.playbackSpeed).toBe(8);
+    expect(player.currentIndex).toBe(0);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for the 3D city strategy's building placement
+ */
+
+import {
+  AnalysisType,
+  IssueSeverity,
+  UnifiedAnalysisResult,
+  UnifiedEntity,
+  UnifiedIssue,
+} from '@topolop/shared-types';
+
+import { CityLayoutEngine } from '../../src/layout/city-layout';
+import { City3DVisualizationStrategy } from '../../src/visualization/strategies/city3d-strategy';
+
+const PATHS = ['README.md', 'src/index.ts', 'src/api/client.ts', 'src/api/server.ts', 'src/model/user.ts', 'src/model/order.ts'];
+const CHANGED = [...PATHS.filter(path => path !== 'src/model/order.ts'), 'src/api/auth.ts', 'src/model/cart.ts', 'lib/util.js'];
+
+function result(paths: string[]): UnifiedAnalysisResult {
+  const analysis = new UnifiedAnalysisResult('/project');
+  paths.forEach((path, index) => analysis.addIssue(new UnifiedIssue({
+    id: String(index),
+    entity: new UnifiedEntity(path, path, 'eslint'),
+    severity: IssueSeverity.LOW,
+    analysisType: AnalysisType.QUALITY,
+    title: `Issue ${index}`,
+    description: 'Description',
+    ruleId: 'rule',
+    toolName: 'eslint',
+  })));
+  return analysis;
+}
+
+describe('City3DVisualizationStrategy', () => {
+  let rendered: Array<{ buildings: Array<{ filePath: string; x: number; z: number }> }>;
+
+  beforeEach(() => {
+    rendered = [];
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation((message, data) => {
+      if (typeof message === 'string' && message.startsWith('Mock 3D renderer')) rendered.push(data);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function strategy(config = {}): Promise<City3DVisualizationStrategy> {
+    const city = new City3DVisualizationStrategy();
+    await city.initialize({ innerHTML: '' } as HTMLElement, config);
+    return city;
+  }
+
+  function positions(index: number): Map<string, [number, number]> {
+    return new Map(rendered[index]!.buildings.map(building => [building.filePath, [building.x, building.z]]));
+  }
+
+  it('should keep surviving buildings in place from one render to the next', async () => {
+    const city = await strategy();
+
+    await city.render(result(PATHS));
+    await city.update(result(CHANGED));
+
+    const before = positions(0);
+    const after = positions(1);
+    const fresh = new Map(new CityLayoutEngine().layout(CHANGED).buildings.map(lot => [lot.path, [lot.x, lot.z]]));
+    const survivors = CHANGED.filter(path => before.has(path));
+    expect(survivors.map(path => after.get(path))).toEqual(survivors.map(path => before.get(path)));
+    // Laid out from scratch, some would have moved
+    expect(survivors.some(path => fresh.get(path)!.join() !== before.get(path)!.join())).toBe(true);
+  });
+
+  it('should start from the layout of an earlier run', async () => {
+    const first = await strategy();
+    await first.render(result(PATHS));
+
+    const second = await strategy({ previousLayout: first.getLayout()! });
+    await second.render(result(CHANGED));
+
+    expect(positions(1).get('src/index.ts')).toEqual(positions(0).get('src/index.ts'));
+    expect(second.getLayout()?.buildings.map(lot => lot.path)).toEqual([...CHANGED].sort());
+  });
+});